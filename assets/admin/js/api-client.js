@@ -0,0 +1,504 @@
+/**
+ * WPTransformed — Shared AJAX Client
+ * assets/admin/js/api-client.js
+ *
+ * Exposes window.wpt.api, the one client every module script uses to talk
+ * to admin-ajax.php:
+ * 1. Promise-based calls that resolve with the `data` of a {success, data}
+ *    envelope and reject with a wpt.api.ApiError otherwise
+ * 2. Nonce refresh + single retry when WordPress answers "-1" / 403
+ * 3. Request cancellation by AbortSignal or by request key
+ * 4. Retry with backoff for idempotent reads (GET, or `retries` on POST)
+ *
+ * Module scripts declare 'wpt-api' as a dependency and create a client:
+ *
+ *     var api = wpt.api.client({
+ *         ajaxUrl:     config.ajaxUrl,
+ *         nonce:       config.nonce,
+ *         nonceAction: 'wpt_cron_nonce'
+ *     });
+ *
+ *     api.post('wpt_cron_run_now', { hook: hook })
+ *         .then(function (data) { ... })
+ *         .catch(function (err) { showNotice(err.message, 'error'); });
+ *
+ * No jQuery dependency — vanilla JS.
+ */
+(function () {
+    'use strict';
+
+    var settings = window.wptApi || {};
+    var i18n     = settings.i18n || {};
+
+    var DEFAULT_GET_RETRIES = 2;
+    var DEFAULT_RETRY_DELAY = 400;
+
+    /* Pending nonce refreshes, keyed by nonce action, so concurrent failures share one request. */
+    var refreshing = {};
+
+    /* ──────────────────────────────────────
+       ERRORS
+    ────────────────────────────────────── */
+
+    /**
+     * Error thrown (rejected) by every failed request.
+     *
+     * code is one of: request_failed (success:false), invalid_nonce,
+     * not_logged_in, http_error, invalid_json, network_error, timeout, abort
+     * — or the `code` the handler put in its error payload.
+     */
+    function ApiError(message, code, status, data) {
+        this.name    = 'ApiError';
+        this.message = message || i18n.networkError || 'Network error. Please try again.';
+        this.code    = code || 'request_failed';
+        this.status  = status || 0;
+        this.data    = data === undefined ? null : data;
+    }
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    function isAbort(err) {
+        return !!err && (err.code === 'abort' || err.name === 'AbortError');
+    }
+
+    /* ──────────────────────────────────────
+       SERIALIZATION
+    ────────────────────────────────────── */
+
+    /**
+     * Append a value to FormData / URLSearchParams using PHP's bracket syntax:
+     * arrays become key[] (or key[i] for nested objects), objects key[sub],
+     * booleans '1' / '0'. null and undefined are skipped.
+     */
+    function appendValue(target, key, value) {
+        if (value === undefined || value === null) return;
+
+        if (Array.isArray(value)) {
+            value.forEach(function (item, i) {
+                var nested = item !== null && typeof item === 'object' && !isBlob(item);
+                appendValue(target, key + (nested ? '[' + i + ']' : '[]'), item);
+            });
+            return;
+        }
+
+        if (isBlob(value)) {
+            if (target instanceof FormData) target.append(key, value);
+            return;
+        }
+
+        if (typeof value === 'object') {
+            Object.keys(value).forEach(function (sub) {
+                appendValue(target, key + '[' + sub + ']', value[sub]);
+            });
+            return;
+        }
+
+        if (typeof value === 'boolean') {
+            value = value ? '1' : '0';
+        }
+
+        target.append(key, String(value));
+    }
+
+    function isBlob(value) {
+        return typeof Blob !== 'undefined' && value instanceof Blob;
+    }
+
+    function fill(target, data) {
+        if (!data) return target;
+
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            data.forEach(function (value, key) {
+                target.append(key, value);
+            });
+            return target;
+        }
+
+        Object.keys(data).forEach(function (key) {
+            appendValue(target, key, data[key]);
+        });
+        return target;
+    }
+
+    /* ──────────────────────────────────────
+       REQUEST PIPELINE
+    ────────────────────────────────────── */
+
+    function buildRequest(state) {
+        var method = state.method;
+        var init   = { method: method, credentials: 'same-origin' };
+        var params;
+
+        if (method === 'GET') {
+            params = fill(new URLSearchParams(), state.data);
+            params.set('action', state.action);
+            if (state.nonce) params.set(state.nonceField, state.nonce);
+
+            var sep = state.ajaxUrl.indexOf('?') === -1 ? '?' : '&';
+            return { url: state.ajaxUrl + sep + params.toString(), init: init };
+        }
+
+        params = fill(new FormData(), state.data);
+        params.set('action', state.action);
+        if (state.nonce) params.set(state.nonceField, state.nonce);
+        init.body = params;
+
+        return { url: state.ajaxUrl, init: init };
+    }
+
+    /**
+     * Turn a raw HTTP response into resolved data or an ApiError.
+     */
+    function interpret(status, ok, text, state) {
+        var trimmed = (text || '').trim();
+
+        /* check_ajax_referer() failure: wp_die( '-1', 403 ). */
+        if (trimmed === '-1') {
+            throw new ApiError(i18n.invalidNonce || 'Your session has expired. Please reload the page.', 'invalid_nonce', status);
+        }
+
+        /* No handler for the action — usually a logged-out user hitting a wp_ajax_ hook. */
+        if (trimmed === '0') {
+            throw new ApiError(i18n.notLoggedIn || 'You are no longer logged in. Please reload the page.', 'not_logged_in', status);
+        }
+
+        var body;
+        try {
+            body = trimmed === '' ? null : JSON.parse(trimmed);
+        } catch (e) {
+            if (!ok) {
+                throw new ApiError('HTTP ' + status, 'http_error', status);
+            }
+            throw new ApiError(i18n.invalidResponse || 'Invalid response from the server.', 'invalid_json', status);
+        }
+
+        if (state.raw) {
+            if (!ok) throw new ApiError(messageFrom(body) || 'HTTP ' + status, 'http_error', status, body);
+            return body;
+        }
+
+        if (body && typeof body === 'object' && typeof body.success === 'boolean') {
+            if (body.success) {
+                return body.data === undefined ? null : body.data;
+            }
+            var payload = body.data === undefined ? null : body.data;
+            throw new ApiError(messageFrom(payload), codeFrom(payload), status, payload);
+        }
+
+        if (!ok) {
+            throw new ApiError('HTTP ' + status, 'http_error', status, body);
+        }
+
+        return body;
+    }
+
+    /**
+     * Pull a human-readable message out of wp_send_json_error() payloads:
+     * { message }, a plain string, or a WP_Error list [{ code, message }].
+     */
+    function messageFrom(payload) {
+        if (!payload) return '';
+        if (typeof payload === 'string') return payload;
+        if (Array.isArray(payload) && payload[0] && payload[0].message) return payload[0].message;
+        return payload.message || '';
+    }
+
+    function codeFrom(payload) {
+        if (payload && typeof payload === 'object') {
+            if (Array.isArray(payload) && payload[0] && payload[0].code) return String(payload[0].code);
+            if (payload.code) return String(payload.code);
+        }
+        return 'request_failed';
+    }
+
+    function isRetryable(err) {
+        if (err.code === 'network_error' || err.code === 'timeout') return true;
+        return err.code === 'http_error' && (err.status >= 500 || err.status === 429);
+    }
+
+    /**
+     * Run a single HTTP attempt. Each attempt gets its own AbortController so
+     * a timeout can cancel one attempt without cancelling the retries.
+     */
+    function attempt(state) {
+        if (state.aborted) {
+            return Promise.reject(new ApiError(i18n.aborted || 'Request cancelled.', 'abort'));
+        }
+
+        var req        = buildRequest(state);
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var timedOut   = false;
+        var timer      = null;
+
+        state.current = controller;
+        if (controller) req.init.signal = controller.signal;
+
+        if (controller && state.timeout > 0) {
+            timer = setTimeout(function () {
+                timedOut = true;
+                controller.abort();
+            }, state.timeout);
+        }
+
+        return fetch(req.url, req.init)
+            .then(function (resp) {
+                return resp.text().then(function (text) {
+                    return interpret(resp.status, resp.ok, text, state);
+                });
+            }, function (err) {
+                if (timedOut) {
+                    throw new ApiError(i18n.timeout || 'The request timed out.', 'timeout');
+                }
+                if (state.aborted || (err && err.name === 'AbortError')) {
+                    throw new ApiError(i18n.aborted || 'Request cancelled.', 'abort');
+                }
+                throw new ApiError(i18n.networkError, 'network_error');
+            })
+            .then(function (result) {
+                if (timer) clearTimeout(timer);
+                state.current = null;
+                return result;
+            }, function (err) {
+                if (timer) clearTimeout(timer);
+                state.current = null;
+                throw err;
+            });
+    }
+
+    function execute(state) {
+        return attempt(state).then(null, function (err) {
+            if (state.aborted || isAbort(err)) {
+                throw err;
+            }
+
+            if (err.code === 'invalid_nonce' && state.nonceAction && !state.refreshed) {
+                state.refreshed = true;
+                return refreshNonce(state.nonceAction, state.ajaxUrl).then(function (nonce) {
+                    state.nonce = nonce;
+                    if (state.client) state.client.nonce = nonce;
+                    return execute(state);
+                }, function () {
+                    throw err;
+                });
+            }
+
+            if (isRetryable(err) && state.attempts < state.retries) {
+                var wait = state.retryDelay * Math.pow(2, state.attempts);
+                state.attempts++;
+                return delay(wait, state).then(function () {
+                    return execute(state);
+                });
+            }
+
+            throw err;
+        });
+    }
+
+    function delay(ms, state) {
+        return new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                state.cancelDelay = null;
+                resolve();
+            }, ms);
+            state.cancelDelay = function () {
+                clearTimeout(timer);
+                reject(new ApiError(i18n.aborted || 'Request cancelled.', 'abort'));
+            };
+        });
+    }
+
+    function cancel(state) {
+        if (state.aborted) return;
+        state.aborted = true;
+        if (state.current) state.current.abort();
+        if (state.cancelDelay) state.cancelDelay();
+    }
+
+    /* ──────────────────────────────────────
+       NONCE REFRESH
+    ────────────────────────────────────── */
+
+    /**
+     * Ask the server for a fresh nonce for `nonceAction`. Concurrent callers
+     * share the same in-flight request. Notifies listeners via the
+     * `wpt-api-nonce` document event so other scripts can update their copy.
+     */
+    function refreshNonce(nonceAction, ajaxUrl) {
+        if (refreshing[nonceAction]) {
+            return refreshing[nonceAction];
+        }
+
+        var state = createState('wpt_refresh_nonce', { nonce_action: nonceAction }, {
+            ajaxUrl: ajaxUrl,
+            nonce:   ''
+        }, 'POST', null);
+
+        refreshing[nonceAction] = attempt(state)
+            .then(function (data) {
+                delete refreshing[nonceAction];
+                if (!data || !data.nonce) {
+                    throw new ApiError(i18n.invalidNonce, 'invalid_nonce');
+                }
+                document.dispatchEvent(new CustomEvent('wpt-api-nonce', {
+                    detail: { action: nonceAction, nonce: data.nonce }
+                }));
+                return data.nonce;
+            }, function (err) {
+                delete refreshing[nonceAction];
+                throw err;
+            });
+
+        return refreshing[nonceAction];
+    }
+
+    /* ──────────────────────────────────────
+       PUBLIC API
+    ────────────────────────────────────── */
+
+    function createState(action, data, options, method, client) {
+        options = options || {};
+
+        return {
+            action:      action,
+            data:        data || {},
+            method:      method,
+            client:      client,
+            ajaxUrl:     options.ajaxUrl || (client && client.ajaxUrl) || settings.ajaxUrl || '',
+            nonce:       options.nonce !== undefined ? options.nonce : (client ? client.nonce : ''),
+            nonceField:  options.nonceField || (client && client.nonceField) || 'nonce',
+            nonceAction: options.nonceAction || (client && client.nonceAction) || '',
+            retries:     options.retries !== undefined ? options.retries : (method === 'GET' ? DEFAULT_GET_RETRIES : 0),
+            retryDelay:  options.retryDelay || DEFAULT_RETRY_DELAY,
+            timeout:     options.timeout || 0,
+            raw:         !!options.raw,
+            attempts:    0,
+            refreshed:   false,
+            aborted:     false,
+            current:     null,
+            cancelDelay: null
+        };
+    }
+
+    /**
+     * Bound client that carries a module's ajaxUrl, nonce and nonce action.
+     *
+     * @param {Object} defaults { ajaxUrl, nonce, nonceAction, nonceField }
+     */
+    function Client(defaults) {
+        defaults = defaults || {};
+        this.ajaxUrl     = defaults.ajaxUrl || settings.ajaxUrl || '';
+        this.nonce       = defaults.nonce || '';
+        this.nonceAction = defaults.nonceAction || '';
+        this.nonceField  = defaults.nonceField || 'nonce';
+        this.pending     = {};
+
+        var self = this;
+        document.addEventListener('wpt-api-nonce', function (e) {
+            if (self.nonceAction && e.detail && e.detail.action === self.nonceAction) {
+                self.nonce = e.detail.nonce;
+            }
+        });
+    }
+
+    /**
+     * Send a request.
+     *
+     * options:
+     *   method      'POST' (default) or 'GET'
+     *   key         cancel any in-flight request started with the same key
+     *   signal      AbortSignal that cancels the request
+     *   retries     retry count for network / 5xx failures (GET default 2, POST 0)
+     *   retryDelay  base backoff in ms, doubled per retry (default 400)
+     *   timeout     per-attempt timeout in ms (default none)
+     *   raw         resolve with the parsed body instead of unwrapping {success, data}
+     *   nonce, nonceAction, nonceField, ajaxUrl — per-call overrides
+     *
+     * @return {Promise} Resolves with response data, rejects with ApiError.
+     */
+    Client.prototype.request = function (action, data, options) {
+        options = options || {};
+
+        var method = (options.method || 'POST').toUpperCase();
+        var state  = createState(action, data, options, method, this);
+        var key    = options.key;
+        var self   = this;
+
+        if (key) {
+            if (this.pending[key]) cancel(this.pending[key]);
+            this.pending[key] = state;
+        }
+
+        if (options.signal) {
+            if (options.signal.aborted) {
+                cancel(state);
+            } else {
+                options.signal.addEventListener('abort', function () {
+                    cancel(state);
+                });
+            }
+        }
+
+        function settle() {
+            if (key && self.pending[key] === state) {
+                delete self.pending[key];
+            }
+        }
+
+        return execute(state).then(function (result) {
+            settle();
+            return result;
+        }, function (err) {
+            settle();
+            throw err;
+        });
+    };
+
+    Client.prototype.post = function (action, data, options) {
+        return this.request(action, data, Object.assign({}, options, { method: 'POST' }));
+    };
+
+    Client.prototype.get = function (action, data, options) {
+        return this.request(action, data, Object.assign({}, options, { method: 'GET' }));
+    };
+
+    /**
+     * Cancel the in-flight request for `key`, or every pending keyed request.
+     */
+    Client.prototype.abort = function (key) {
+        var self = this;
+        var keys = key ? [ key ] : Object.keys(this.pending);
+
+        keys.forEach(function (k) {
+            if (self.pending[k]) {
+                cancel(self.pending[k]);
+                delete self.pending[k];
+            }
+        });
+    };
+
+    /* Default client — uses wptApi.ajaxUrl and no nonce. */
+    var shared = new Client({});
+
+    window.wpt = window.wpt || {};
+    window.wpt.api = {
+        ApiError:     ApiError,
+        isAbort:      isAbort,
+        isRetryable:  isRetryable,
+        refreshNonce: function (nonceAction) {
+            return refreshNonce(nonceAction, settings.ajaxUrl || '');
+        },
+        client: function (defaults) {
+            return new Client(defaults);
+        },
+        request: function (action, data, options) {
+            return shared.request(action, data, options);
+        },
+        post: function (action, data, options) {
+            return shared.post(action, data, options);
+        },
+        get: function (action, data, options) {
+            return shared.get(action, data, options);
+        }
+    };
+
+})();
@@ -0,0 +1,698 @@
+/**
+ * WPTransformed — Batch Job Runner
+ * assets/admin/js/job-runner.js
+ *
+ * Exposes window.wpt.jobs for long-running operations the server handles
+ * one AJAX batch at a time (search & replace, database cleanup, bulk
+ * image optimization):
+ * 1. The cursor is saved to sessionStorage (or localStorage) after every
+ *    batch, so a reload or a failed request resumes where it stopped
+ * 2. Pause / resume / cancel between batches
+ * 3. Failed batches retry with exponential backoff before the job is
+ *    marked failed — a failed job stays resumable
+ * 4. Throughput and ETA from the processed / total counts
+ *
+ * A module describes how to build a batch request from the cursor and how
+ * to read the next cursor out of the response:
+ *
+ *     var job = wpt.jobs.create({
+ *         id:      'bulk-optimize',
+ *         client:  api,
+ *         action:  'wpt_bulk_optimize_images',
+ *         request: function (cursor, params) {
+ *             return { offset: cursor.offset };
+ *         },
+ *         advance: function (data, cursor, params) {
+ *             return {
+ *                 cursor:    { offset: data.offset },
+ *                 processed: data.processed,
+ *                 total:     data.total,
+ *                 done:      data.done
+ *             };
+ *         }
+ *     });
+ *
+ *     wpt.jobs.panel(job, { wrap: wrapEl, fill: barEl, text: textEl });
+ *     job.start(params, { offset: 0 });
+ *
+ * Depends on 'wpt-api'. No jQuery dependency — vanilla JS.
+ */
+(function () {
+    'use strict';
+
+    var settings = window.wptJobs || {};
+    var i18n     = settings.i18n || {};
+
+    var STORAGE_PREFIX      = 'wpt-job:';
+    var STORAGE_VERSION     = 1;
+    var DEFAULT_RETRIES     = 5;
+    var DEFAULT_RETRY_DELAY = 1000;
+    var MAX_RETRY_DELAY     = 30000;
+    var DEFAULT_MAX_AGE     = 24 * 60 * 60 * 1000;
+
+    /* ──────────────────────────────────────
+       HELPERS
+    ────────────────────────────────────── */
+
+    function t(key, fallback) {
+        return i18n[key] || fallback;
+    }
+
+    function sprintf(str) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var idx  = 0;
+        return String(str).replace(/%[sd]/g, function () {
+            var value = args[idx++];
+            return value !== undefined ? value : '';
+        });
+    }
+
+    function now() {
+        return Date.now();
+    }
+
+    function formatNumber(n) {
+        return Number(n || 0).toLocaleString();
+    }
+
+    function formatDuration(seconds) {
+        seconds = Math.max(0, Math.round(seconds));
+        if (seconds < 60) {
+            return sprintf(t('seconds', '%ds'), seconds);
+        }
+        if (seconds < 3600) {
+            return sprintf(t('minutes', '%d min'), Math.round(seconds / 60));
+        }
+        return sprintf(t('hours', '%d h %d min'), Math.floor(seconds / 3600), Math.round((seconds % 3600) / 60));
+    }
+
+    /**
+     * Resolve a Web Storage area, or null when it is disabled (private
+     * browsing, blocked cookies). Jobs still run without it — they just
+     * cannot be resumed after a reload.
+     */
+    function getStore(kind) {
+        try {
+            var store = kind === 'local' ? window.localStorage : window.sessionStorage;
+            var probe = STORAGE_PREFIX + 'probe';
+            store.setItem(probe, '1');
+            store.removeItem(probe);
+            return store;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /* A failed batch is worth retrying when the request never reached a verdict. */
+    function isTransient(err) {
+        if (!err) return false;
+        if (err.code === 'invalid_json') return true; // PHP fatal / execution timeout page.
+        return wpt.api.isRetryable(err);
+    }
+
+    /* ──────────────────────────────────────
+       JOB
+    ────────────────────────────────────── */
+
+    /**
+     * A resumable batch job.
+     *
+     * status is one of: idle, running, pausing, paused, retrying, failed,
+     * complete, cancelled. Listeners (job.on) receive:
+     *   state     (status)           every status change
+     *   progress  (stats)            after each successful batch
+     *   retry     (err, waitMs)      before a backoff wait
+     *   error     (err)              the job stopped and is resumable
+     *   complete  (stats)            the last batch reported done
+     *   cancel    ()                 the job was cancelled
+     *
+     * @param {Object} options
+     *   id          unique job id — also the storage key
+     *   action      admin-ajax action called for every batch
+     *   client      wpt.api client carrying the module's nonce (default: no nonce)
+     *   request     function (cursor, params) → POST data for the next batch
+     *   advance     function (data, cursor, params) → { cursor, processed, total, done }
+     *   storage     'session' (default) or 'local'
+     *   retries     attempts per batch before failing (default 5)
+     *   retryDelay  base backoff in ms, doubled per attempt (default 1000)
+     *   maxAge      ms after which a saved job is ignored (default 24h)
+     */
+    function Job(options) {
+        this.id         = options.id;
+        this.action     = options.action;
+        this.client     = options.client || wpt.api.client({});
+        this.buildData  = options.request;
+        this.advance    = options.advance;
+        this.retries    = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+        this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+        this.maxAge     = options.maxAge || DEFAULT_MAX_AGE;
+        this.store      = getStore(options.storage);
+        this.storageKey = STORAGE_PREFIX + this.id;
+        this.requestKey = 'wpt-job-' + this.id;
+        this.listeners  = {};
+        this.status     = 'idle';
+        this.timer      = null;
+
+        this.clear();
+    }
+
+    Job.prototype.clear = function () {
+        this.params       = null;
+        this.cursor       = null;
+        this.processed    = 0;
+        this.total        = 0;
+        this.elapsed      = 0;
+        this.segmentStart = null;
+        this.attempt      = 0;
+        this.error        = null;
+        this.retryAt      = 0;
+    };
+
+    Job.prototype.on = function (event, fn) {
+        (this.listeners[event] = this.listeners[event] || []).push(fn);
+        return this;
+    };
+
+    Job.prototype.emit = function (event) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        var self = this;
+        (this.listeners[event] || []).forEach(function (fn) {
+            fn.apply(self, args);
+        });
+    };
+
+    Job.prototype.setStatus = function (status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.emit('state', status);
+    };
+
+    Job.prototype.isActive = function () {
+        return this.status === 'running' || this.status === 'pausing' || this.status === 'retrying';
+    };
+
+    /**
+     * Start a new run, replacing any saved one.
+     *
+     * @param {Object} params Fixed inputs for every batch (persisted with the cursor).
+     * @param {*}      cursor Initial cursor.
+     */
+    Job.prototype.start = function (params, cursor) {
+        if (this.isActive()) return;
+
+        this.clear();
+        this.params = params || {};
+        this.cursor = cursor === undefined ? null : cursor;
+
+        this.setStatus('running');
+        this.save();
+        this.emit('progress', this.stats());
+        this.next();
+    };
+
+    /**
+     * Continue a paused, failed or restored job.
+     */
+    Job.prototype.resume = function () {
+        if (this.status === 'pausing') {
+            this.setStatus('running');
+            return;
+        }
+        if (this.status !== 'paused' && this.status !== 'failed') return;
+
+        this.attempt = 0;
+        this.error   = null;
+        this.setStatus('running');
+        this.save();
+        this.next();
+    };
+
+    /**
+     * Pause after the in-flight batch finishes, so its cursor is not lost.
+     */
+    Job.prototype.pause = function () {
+        if (this.status === 'running') {
+            this.setStatus('pausing');
+        } else if (this.status === 'retrying') {
+            this.clearTimer();
+            this.stopClock();
+            this.setStatus('paused');
+            this.save();
+        }
+    };
+
+    /**
+     * Stop immediately and forget the saved cursor.
+     */
+    Job.prototype.cancel = function () {
+        if (this.status === 'idle' || this.status === 'complete' || this.status === 'cancelled') return;
+
+        this.clearTimer();
+        this.client.abort(this.requestKey);
+        this.stopClock();
+        this.forget();
+        this.setStatus('cancelled');
+        this.emit('cancel');
+    };
+
+    /**
+     * The saved job for this id, or null. Saved jobs outlive the page, so
+     * a job saved while 'running' is one that was interrupted.
+     */
+    Job.prototype.saved = function () {
+        if (!this.store) return null;
+
+        var record;
+        try {
+            record = JSON.parse(this.store.getItem(this.storageKey) || 'null');
+        } catch (e) {
+            record = null;
+        }
+
+        if (!record || record.v !== STORAGE_VERSION || now() - (record.savedAt || 0) > this.maxAge) {
+            this.forget();
+            return null;
+        }
+
+        return record;
+    };
+
+    /**
+     * Load the saved job into this instance as paused. Call resume() to continue.
+     *
+     * @return {boolean} Whether a saved job was found.
+     */
+    Job.prototype.restore = function () {
+        var record = this.saved();
+        if (!record || this.isActive()) return false;
+
+        this.clear();
+        this.params    = record.params || {};
+        this.cursor    = record.cursor;
+        this.processed = record.processed || 0;
+        this.total     = record.total || 0;
+        this.elapsed   = record.elapsed || 0;
+
+        this.setStatus('paused');
+        this.emit('progress', this.stats());
+        return true;
+    };
+
+    /**
+     * Drop the saved job without running it.
+     */
+    Job.prototype.discard = function () {
+        if (this.isActive()) return;
+        this.forget();
+        this.clear();
+        this.setStatus('idle');
+    };
+
+    Job.prototype.stats = function () {
+        var elapsedMs = this.elapsed + (this.segmentStart !== null ? now() - this.segmentStart : 0);
+        var seconds   = elapsedMs / 1000;
+        var rate      = seconds > 0 ? this.processed / seconds : 0;
+        var left      = this.total > this.processed ? this.total - this.processed : 0;
+
+        return {
+            status:    this.status,
+            processed: this.processed,
+            total:     this.total,
+            percent:   this.total > 0 ? Math.min(100, Math.round((this.processed / this.total) * 100)) : null,
+            elapsed:   seconds,
+            rate:      rate,
+            eta:       rate > 0 && left > 0 ? left / rate : null,
+            attempt:   this.attempt,
+            retryIn:   this.status === 'retrying' ? Math.max(0, this.retryAt - now()) / 1000 : 0,
+            error:     this.error
+        };
+    };
+
+    /* ── Loop ── */
+
+    Job.prototype.next = function () {
+        if (this.status !== 'running') return;
+
+        if (this.segmentStart === null) {
+            this.segmentStart = now();
+        }
+
+        var self = this;
+        var data = this.buildData(this.cursor, this.params) || {};
+
+        // The runner owns retries so it can back off, persist and surface them.
+        this.client.post(this.action, data, { key: this.requestKey, retries: 0 })
+            .then(function (response) {
+                self.handleBatch(response);
+            }, function (err) {
+                self.handleFailure(err);
+            });
+    };
+
+    Job.prototype.handleBatch = function (response) {
+        if (!this.isActive()) return;
+
+        var step = this.advance(response, this.cursor, this.params) || {};
+
+        this.attempt = 0;
+        this.error   = null;
+
+        if (step.cursor !== undefined) this.cursor = step.cursor;
+        this.processed += step.processed || 0;
+        if (typeof step.total === 'number' && step.total >= 0) this.total = step.total;
+
+        if (step.done) {
+            this.stopClock();
+            this.forget();
+            this.setStatus('complete');
+            this.emit('progress', this.stats());
+            this.emit('complete', this.stats());
+            return;
+        }
+
+        if (this.status === 'pausing') {
+            this.stopClock();
+            this.setStatus('paused');
+            this.save();
+            this.emit('progress', this.stats());
+            return;
+        }
+
+        this.save();
+        this.emit('progress', this.stats());
+        this.next();
+    };
+
+    Job.prototype.handleFailure = function (err) {
+        if (!this.isActive() || wpt.api.isAbort(err)) return;
+
+        var self = this;
+
+        if (isTransient(err) && this.attempt < this.retries && this.status === 'running') {
+            var wait = Math.min(MAX_RETRY_DELAY, this.retryDelay * Math.pow(2, this.attempt));
+
+            this.attempt++;
+            this.error   = err;
+            this.retryAt = now() + wait;
+            this.setStatus('retrying');
+            this.emit('retry', err, wait);
+
+            this.timer = setTimeout(function () {
+                self.timer = null;
+                if (self.status !== 'retrying') return;
+                self.setStatus('running');
+                self.next();
+            }, wait);
+            return;
+        }
+
+        this.stopClock();
+        this.error = err;
+
+        if (this.status === 'pausing') {
+            this.setStatus('paused');
+            this.save();
+            return;
+        }
+
+        this.setStatus('failed');
+        this.save();
+        this.emit('error', err);
+    };
+
+    /* ── Persistence ── */
+
+    Job.prototype.save = function () {
+        if (!this.store) return;
+
+        try {
+            this.store.setItem(this.storageKey, JSON.stringify({
+                v:         STORAGE_VERSION,
+                id:        this.id,
+                status:    this.status,
+                params:    this.params,
+                cursor:    this.cursor,
+                processed: this.processed,
+                total:     this.total,
+                elapsed:   this.elapsed + (this.segmentStart !== null ? now() - this.segmentStart : 0),
+                savedAt:   now()
+            }));
+        } catch (e) {
+            // Quota exceeded — keep running, the job just won't survive a reload.
+        }
+    };
+
+    Job.prototype.forget = function () {
+        if (!this.store) return;
+        try {
+            this.store.removeItem(this.storageKey);
+        } catch (e) {
+            // Ignore.
+        }
+    };
+
+    Job.prototype.stopClock = function () {
+        if (this.segmentStart !== null) {
+            this.elapsed += now() - this.segmentStart;
+            this.segmentStart = null;
+        }
+    };
+
+    Job.prototype.clearTimer = function () {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    };
+
+    /* ──────────────────────────────────────
+       PANEL
+    ────────────────────────────────────── */
+
+    /**
+     * Bind a job to a module's progress markup and add the shared controls:
+     * a throughput / ETA line, Pause / Resume / Cancel buttons, and a
+     * "resume interrupted job" notice when a saved job exists.
+     *
+     * @param {Job}    job
+     * @param {Object} options
+     *   wrap      container shown while the job runs (required)
+     *   fill      progress bar fill element (width is set in %)
+     *   text      status text element
+     *   describe  function (job) → status text; defaults to "X of Y processed"
+     *   onResume  function (record) called before a saved job resumes, to
+     *             restore module UI from record.params
+     */
+    function Panel(job, options) {
+        this.job     = job;
+        this.wrap    = options.wrap;
+        this.fill    = options.fill || null;
+        this.text    = options.text || null;
+        this.options = options;
+        this.ticker  = null;
+
+        this.build();
+        this.bind();
+        this.offerResume();
+    }
+
+    Panel.prototype.build = function () {
+        this.statsEl = document.createElement('p');
+        this.statsEl.className = 'description wpt-job-stats';
+
+        this.controls = document.createElement('p');
+        this.controls.className = 'wpt-job-controls';
+        this.controls.style.display = 'none';
+
+        this.pauseBtn  = this.button(t('pause', 'Pause'), 'button button-small');
+        this.resumeBtn = this.button(t('resume', 'Resume'), 'button button-small button-primary');
+        this.cancelBtn = this.button(t('cancel', 'Cancel'), 'button button-small button-link-delete');
+
+        this.controls.appendChild(this.pauseBtn);
+        this.controls.appendChild(document.createTextNode(' '));
+        this.controls.appendChild(this.resumeBtn);
+        this.controls.appendChild(document.createTextNode(' '));
+        this.controls.appendChild(this.cancelBtn);
+
+        this.wrap.appendChild(this.statsEl);
+        this.wrap.appendChild(this.controls);
+    };
+
+    Panel.prototype.button = function (label, className) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = className;
+        btn.textContent = label;
+        return btn;
+    };
+
+    Panel.prototype.bind = function () {
+        var self = this;
+        var job  = this.job;
+
+        this.pauseBtn.addEventListener('click', function () { job.pause(); });
+        this.resumeBtn.addEventListener('click', function () { job.resume(); });
+        this.cancelBtn.addEventListener('click', function () {
+            if (confirm(t('confirmCancel', 'Cancel this job? Progress so far is kept, but it cannot be resumed.'))) {
+                job.cancel();
+            }
+        });
+
+        job.on('state', function () { self.render(); });
+        job.on('progress', function () { self.render(); });
+        job.on('retry', function () { self.render(); });
+        job.on('error', function () { self.render(); });
+    };
+
+    Panel.prototype.render = function () {
+        var job    = this.job;
+        var stats  = job.stats();
+        var status = job.status;
+
+        if (status !== 'idle') {
+            this.wrap.style.display = '';
+            this.removeNotice();
+        }
+
+        if (this.fill && stats.percent !== null) {
+            this.fill.style.width = stats.percent + '%';
+        }
+
+        if (this.text) {
+            if (status === 'failed' && stats.error) {
+                this.text.textContent = (stats.error.message || t('failed', 'The job stopped.')) + ' ' +
+                    t('canResume', 'You can resume from where it stopped.');
+            } else if (this.options.describe) {
+                this.text.textContent = this.options.describe(job);
+            } else {
+                this.text.textContent = stats.total > 0
+                    ? sprintf(t('progress', '%s of %s processed'), formatNumber(stats.processed), formatNumber(stats.total))
+                    : sprintf(t('progressNoTotal', '%s processed'), formatNumber(stats.processed));
+            }
+        }
+
+        this.statsEl.textContent = this.describeStats(stats);
+
+        var active = job.isActive();
+        var stopped = status === 'paused' || status === 'failed';
+
+        this.controls.style.display = (active || stopped) ? '' : 'none';
+        this.pauseBtn.style.display  = active ? '' : 'none';
+        this.pauseBtn.disabled       = status === 'pausing';
+        this.pauseBtn.textContent    = status === 'pausing' ? t('pausing', 'Pausing…') : t('pause', 'Pause');
+        this.resumeBtn.style.display = stopped ? '' : 'none';
+
+        this.tick(status === 'retrying');
+    };
+
+    Panel.prototype.describeStats = function (stats) {
+        var parts = [];
+
+        if (stats.status === 'retrying') {
+            parts.push(sprintf(
+                t('retrying', 'Request failed — retrying in %ds (attempt %d of %d).'),
+                Math.ceil(stats.retryIn),
+                stats.attempt,
+                this.job.retries
+            ));
+        } else if (stats.status === 'paused') {
+            parts.push(t('paused', 'Paused.'));
+        }
+
+        if (stats.percent !== null) {
+            parts.push(stats.percent + '%');
+        }
+        if (stats.rate > 0) {
+            parts.push(sprintf(t('rate', '%s/s'), formatNumber(Math.round(stats.rate * 10) / 10)));
+        }
+        if (stats.eta !== null && (stats.status === 'running' || stats.status === 'pausing')) {
+            parts.push(sprintf(t('eta', 'about %s left'), formatDuration(stats.eta)));
+        }
+        if (stats.status === 'complete' && stats.elapsed > 0) {
+            parts.push(sprintf(t('tookTime', 'took %s'), formatDuration(stats.elapsed)));
+        }
+
+        return parts.join(' · ');
+    };
+
+    /* Re-render once a second while counting down to a retry. */
+    Panel.prototype.tick = function (on) {
+        var self = this;
+        if (on && !this.ticker) {
+            this.ticker = setInterval(function () {
+                self.statsEl.textContent = self.describeStats(self.job.stats());
+            }, 1000);
+        } else if (!on && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    };
+
+    Panel.prototype.offerResume = function () {
+        var self   = this;
+        var record = this.job.saved();
+        if (!record) return;
+
+        var percent = record.total > 0 ? Math.min(100, Math.round((record.processed / record.total) * 100)) : null;
+        var message = percent !== null
+            ? sprintf(t('interruptedAt', 'An unfinished job stopped at %s (%s of %s).'), percent + '%', formatNumber(record.processed), formatNumber(record.total))
+            : sprintf(t('interrupted', 'An unfinished job stopped after %s items.'), formatNumber(record.processed));
+
+        var notice = document.createElement('div');
+        notice.className = 'notice notice-warning inline wpt-job-resume';
+
+        var p = document.createElement('p');
+        p.appendChild(document.createTextNode(message + ' '));
+
+        var resume  = this.button(t('resume', 'Resume'), 'button button-small button-primary');
+        var discard = this.button(t('discard', 'Discard'), 'button button-small');
+
+        resume.addEventListener('click', function () {
+            if (!self.job.restore()) {
+                self.removeNotice();
+                return;
+            }
+            if (self.options.onResume) {
+                self.options.onResume(record);
+            }
+            self.job.resume();
+        });
+
+        discard.addEventListener('click', function () {
+            self.job.discard();
+            self.removeNotice();
+        });
+
+        p.appendChild(resume);
+        p.appendChild(document.createTextNode(' '));
+        p.appendChild(discard);
+        notice.appendChild(p);
+
+        this.notice = notice;
+        this.wrap.parentNode.insertBefore(notice, this.wrap);
+    };
+
+    Panel.prototype.removeNotice = function () {
+        if (this.notice) {
+            this.notice.remove();
+            this.notice = null;
+        }
+    };
+
+    /* ──────────────────────────────────────
+       EXPORT
+    ────────────────────────────────────── */
+
+    window.wpt = window.wpt || {};
+    window.wpt.jobs = {
+        Job:            Job,
+        formatDuration: formatDuration,
+        create: function (options) {
+            return new Job(options);
+        },
+        panel: function (job, options) {
+            return new Panel(job, options);
+        }
+    };
+
+})();
@@ -0,0 +1,703 @@
+/**
+ * WPTransformed — Merge Tags
+ * assets/admin/js/merge-tags.js
+ *
+ * Exposes window.wpt.mergeTags for text fields that are filled in from
+ * the event that fired them (workflow emails, webhook bodies and headers):
+ * 1. `{{post.title}}`, `{{user.email}}`, `{{site.url}}`, `{{trigger.meta.foo}}`
+ *    resolve dotted paths in an event context
+ * 2. Filters chain after the path: `{{post.date|date:"Y-m-d"}}`,
+ *    `{{user.display_name|upper}}`, `{{post.excerpt|default:"(none)"}}`
+ * 3. A catalog of the variables each trigger exposes, with example values;
+ *    triggers with free-form payloads add theirs via registerVariables()
+ * 4. An insertion picker and live preview attached to any input/textarea
+ *
+ *     var tags = wpt.mergeTags.attach(textarea, {
+ *         trigger: function () { return triggerSelect.value; },
+ *         sample:  function () { return lastSamplePayload; }
+ *     });
+ *
+ *     wpt.mergeTags.render('Hi {{user.first_name|default:"there"}}', context);
+ *
+ * WPTransformed\Core\Merge_Tags (includes/class-merge-tags.php) renders
+ * the same syntax and filters on the server when the event fires. Keep
+ * the two in step; tests/fixtures/merge-tags.json holds the shared cases.
+ *
+ * No dependencies — vanilla JS.
+ */
+(function () {
+    'use strict';
+
+    var settings = window.wptMergeTags || {};
+    var i18n     = settings.i18n || {};
+
+    var TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+    /* ──────────────────────────────────────
+       HELPERS
+    ────────────────────────────────────── */
+
+    function t(key, fallback) {
+        return i18n[key] || fallback;
+    }
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function resolvePath(context, path) {
+        return path.split('.').reduce(function (value, key) {
+            return value !== null && typeof value === 'object' ? value[key] : undefined;
+        }, context);
+    }
+
+    /* Text form of a resolved value: lists are comma-joined, objects JSON. */
+    function stringify(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return value.map(stringify).join(', ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /* ──────────────────────────────────────
+       DATES
+    ────────────────────────────────────── */
+
+    var DAYS   = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    var MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+                  'August', 'September', 'October', 'November', 'December'];
+
+    function pad(n) {
+        return n < 10 ? '0' + n : String(n);
+    }
+
+    /* Site timezone: an IANA name, or a fixed offset such as "+05:30". */
+    var TIMEZONE = settings.timezone || 'UTC';
+    var zoneParts = null;
+
+    /**
+     * Minutes the site's timezone is ahead of UTC at a moment. Dates are
+     * shown on the site's clock, as the server sends them, not the
+     * browser's.
+     */
+    function siteOffset(ms) {
+        var fixed = /^([+-])(\d{2}):(\d{2})$/.exec(TIMEZONE);
+        if (fixed) {
+            return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+        }
+
+        var parts = {};
+        try {
+            zoneParts = zoneParts || new Intl.DateTimeFormat('en-US', {
+                timeZone: TIMEZONE, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            });
+            zoneParts.formatToParts(new Date(ms)).forEach(function (part) {
+                parts[part.type] = Number(part.value);
+            });
+        } catch (e) {
+            return 0; // Unknown timezone: show UTC.
+        }
+
+        var wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000);
+    }
+
+    /* "+05:30" form of an offset in minutes, as PHP's 'P' writes it. */
+    function formatOffset(minutes) {
+        var abs = Math.abs(minutes);
+        return (minutes < 0 ? '-' : '+') + pad(Math.floor(abs / 60)) + ':' + pad(abs % 60);
+    }
+
+    /**
+     * Accept unix timestamps (seconds or ms), MySQL datetimes as stored
+     * in post_date and ISO strings. Datetimes without a zone are read on
+     * the site's clock. Returns null when unparseable.
+     */
+    function toDate(value) {
+        if (value instanceof Date) return value;
+        if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+            var n = Number(value);
+            return new Date(n < 1e12 ? n * 1000 : n);
+        }
+
+        var text  = String(value).replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T');
+        var local = /^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.exec(text);
+
+        if (local) {
+            var wall = Date.parse(local[1] + (local[2] || 'T00:00') + 'Z');
+            if (isNaN(wall)) return null;
+            // Second pass settles wall times near a DST change.
+            var guess = wall - siteOffset(wall) * 60000;
+            return new Date(wall - siteOffset(guess) * 60000);
+        }
+
+        var date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Format a date with PHP date() characters, the format strings
+     * WordPress users already know, on the site's clock. Backslash
+     * escapes a character.
+     */
+    function formatDate(date, format) {
+        var offset = siteOffset(date.getTime());
+        var wall   = new Date(date.getTime() + offset * 60000);
+        var out = '';
+        for (var i = 0; i < format.length; i++) {
+            var c = format.charAt(i);
+            var h = wall.getUTCHours();
+            switch (c) {
+                case 'd': out += pad(wall.getUTCDate()); break;
+                case 'j': out += wall.getUTCDate(); break;
+                case 'D': out += DAYS[wall.getUTCDay()].slice(0, 3); break;
+                case 'l': out += DAYS[wall.getUTCDay()]; break;
+                case 'N': out += wall.getUTCDay() || 7; break;
+                case 'w': out += wall.getUTCDay(); break;
+                case 'm': out += pad(wall.getUTCMonth() + 1); break;
+                case 'n': out += wall.getUTCMonth() + 1; break;
+                case 'M': out += MONTHS[wall.getUTCMonth()].slice(0, 3); break;
+                case 'F': out += MONTHS[wall.getUTCMonth()]; break;
+                case 'Y': out += wall.getUTCFullYear(); break;
+                case 'y': out += String(wall.getUTCFullYear()).slice(-2); break;
+                case 'a': out += h < 12 ? 'am' : 'pm'; break;
+                case 'A': out += h < 12 ? 'AM' : 'PM'; break;
+                case 'g': out += h % 12 || 12; break;
+                case 'h': out += pad(h % 12 || 12); break;
+                case 'G': out += h; break;
+                case 'H': out += pad(h); break;
+                case 'i': out += pad(wall.getUTCMinutes()); break;
+                case 's': out += pad(wall.getUTCSeconds()); break;
+                case 'U': out += Math.floor(date.getTime() / 1000); break;
+                case 'c': out += formatDate(date, 'Y-m-d\\TH:i:s') + formatOffset(offset); break;
+                case '\\': out += format.charAt(++i); break;
+                default:  out += c;
+            }
+        }
+        return out;
+    }
+
+    /* ──────────────────────────────────────
+       FILTERS
+    ────────────────────────────────────── */
+
+    /**
+     * Each filter receives the raw value (not yet stringified) and its
+     * argument, and returns the new value.
+     */
+    var FILTERS = {
+        upper: function (value) { return stringify(value).toUpperCase(); },
+        lower: function (value) { return stringify(value).toLowerCase(); },
+        capitalize: function (value) {
+            var text = stringify(value);
+            return text.charAt(0).toUpperCase() + text.slice(1);
+        },
+        trim: function (value) { return stringify(value).trim(); },
+        'default': function (value, arg) {
+            return stringify(value) === '' ? arg : value;
+        },
+        date: function (value, arg) {
+            var date = stringify(value) === '' ? null : toDate(value);
+            return date ? formatDate(date, arg || settings.dateFormat || 'Y-m-d') : stringify(value);
+        },
+        truncate: function (value, arg) {
+            var text = stringify(value);
+            var max  = parseInt(arg, 10) || 50;
+            return text.length > max ? text.slice(0, max).replace(/\s+\S*$/, '') + '…' : text;
+        },
+        join: function (value, arg) {
+            return Array.isArray(value) ? value.map(stringify).join(arg === undefined ? ', ' : arg) : value;
+        },
+        first: function (value) { return Array.isArray(value) ? value[0] : value; },
+        count: function (value) {
+            if (Array.isArray(value)) return value.length;
+            return stringify(value) === '' ? 0 : 1;
+        },
+        json: function (value) { return JSON.stringify(value === undefined ? null : value); },
+        urlencode: function (value) { return encodeURIComponent(stringify(value)); },
+        escape: function (value) { return escapeHtml(stringify(value)); }
+    };
+
+    /**
+     * Split `post.date | date:"Y-m-d" | upper` into a path and filters.
+     * Pipes and colons inside quoted arguments are kept.
+     */
+    function parseExpression(expr) {
+        var parts = [];
+        var current = '';
+        var quote = '';
+
+        for (var i = 0; i < expr.length; i++) {
+            var c = expr.charAt(i);
+            if (quote) {
+                if (c === quote) quote = '';
+                current += c;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+                current += c;
+            } else if (c === '|') {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += c;
+            }
+        }
+        parts.push(current.trim());
+
+        return {
+            path: parts.shift(),
+            filters: parts.map(function (part) {
+                var colon = part.indexOf(':');
+                if (colon === -1) return { name: part, arg: undefined };
+                var arg = part.slice(colon + 1).trim();
+                if (/^(["']).*\1$/.test(arg)) arg = arg.slice(1, -1);
+                return { name: part.slice(0, colon).trim(), arg: arg };
+            })
+        };
+    }
+
+    /**
+     * Render a template and report what could not be resolved, so the
+     * preview can point at typos before the rule is saved.
+     */
+    function analyze(template, context) {
+        var missing = [];
+        var unknownFilters = [];
+
+        var output = String(template || '').replace(TAG_PATTERN, function (match, expr) {
+            var parsed = parseExpression(expr);
+            var value  = resolvePath(context || {}, parsed.path);
+
+            if (value === undefined && missing.indexOf(parsed.path) === -1) {
+                missing.push(parsed.path);
+            }
+
+            parsed.filters.forEach(function (filter) {
+                if (FILTERS.hasOwnProperty(filter.name)) {
+                    value = FILTERS[filter.name](value, filter.arg);
+                } else if (unknownFilters.indexOf(filter.name) === -1) {
+                    unknownFilters.push(filter.name);
+                }
+            });
+
+            return stringify(value);
+        });
+
+        return { output: output, missing: missing, unknownFilters: unknownFilters };
+    }
+
+    function render(template, context) {
+        return analyze(template, context).output;
+    }
+
+    /* ──────────────────────────────────────
+       CATALOG
+    ────────────────────────────────────── */
+
+    var site = settings.site || {};
+
+    /**
+     * Variables per subject: [path, label, example]. A path ending in
+     * `.*` is a prefix the user completes (a meta key).
+     */
+    var GROUPS = {
+        post: {
+            label: t('groupPost', 'Post'),
+            vars: [
+                ['id', t('varId', 'ID'), 128],
+                ['title', t('varTitle', 'Title'), 'Hello world'],
+                ['url', t('varPermalink', 'Permalink'), (site.url || 'https://example.com') + '/hello-world/'],
+                ['edit_url', t('varEditUrl', 'Edit link'), (site.url || 'https://example.com') + '/wp-admin/post.php?post=128&action=edit'],
+                ['status', t('varStatus', 'Status'), 'publish'],
+                ['type', t('varType', 'Post type'), 'post'],
+                ['excerpt', t('varExcerpt', 'Excerpt'), 'A short summary of the post.'],
+                ['content', t('varContent', 'Content'), 'The full post content.'],
+                ['date', t('varPublishDate', 'Publish date'), '2026-01-15 09:30:00'],
+                ['modified', t('varModified', 'Last modified'), '2026-01-16 14:05:00'],
+                ['author.name', t('varAuthorName', 'Author name'), 'Jane Doe'],
+                ['author.email', t('varAuthorEmail', 'Author email'), 'jane@example.com'],
+                ['categories', t('varCategories', 'Categories'), ['News', 'Releases']],
+                ['tags', t('varTags', 'Tags'), ['launch']],
+                ['meta.*', t('varMeta', 'Custom field'), '']
+            ]
+        },
+        user: {
+            label: t('groupUser', 'User'),
+            vars: [
+                ['id', t('varId', 'ID'), 42],
+                ['login', t('varLogin', 'Username'), 'jdoe'],
+                ['email', t('varEmail', 'Email'), 'jane@example.com'],
+                ['display_name', t('varDisplayName', 'Display name'), 'Jane Doe'],
+                ['first_name', t('varFirstName', 'First name'), 'Jane'],
+                ['last_name', t('varLastName', 'Last name'), 'Doe'],
+                ['roles', t('varRoles', 'Roles'), ['editor']],
+                ['registered', t('varRegistered', 'Registered'), '2025-11-02 08:00:00'],
+                ['meta.*', t('varMeta', 'Custom field'), '']
+            ]
+        },
+        comment: {
+            label: t('groupComment', 'Comment'),
+            vars: [
+                ['id', t('varId', 'ID'), 311],
+                ['author', t('varCommentAuthor', 'Author name'), 'Sam Reader'],
+                ['author_email', t('varCommentEmail', 'Author email'), 'sam@example.org'],
+                ['content', t('varContent', 'Content'), 'Great post, thanks!'],
+                ['status', t('varStatus', 'Status'), 'hold'],
+                ['date', t('varDate', 'Date'), '2026-01-15 10:12:00'],
+                ['url', t('varCommentLink', 'Link'), (site.url || 'https://example.com') + '/hello-world/#comment-311']
+            ]
+        },
+        site: {
+            label: t('groupSite', 'Site'),
+            vars: [
+                ['name', t('varSiteName', 'Site title'), site.name || 'My Site'],
+                ['url', t('varSiteUrl', 'Site URL'), site.url || 'https://example.com'],
+                ['admin_email', t('varAdminEmail', 'Admin email'), site.admin_email || 'admin@example.com'],
+                ['description', t('varTagline', 'Tagline'), site.description || '']
+            ]
+        },
+        trigger: {
+            label: t('groupTrigger', 'Trigger'),
+            vars: [
+                ['hook', t('varHook', 'Hook name'), ''],
+                ['time', t('varTime', 'Time fired'), ''],
+                ['meta.*', t('varTriggerMeta', 'Event data'), '']
+            ]
+        }
+    };
+
+    /* Subjects per trigger, for hooks whose name doesn't say. */
+    var TRIGGERS = {
+        transition_post_status: ['post'],
+        wp_login:               ['user'],
+        set_user_role:          ['user'],
+        delete_user:            ['user']
+    };
+
+    /* Extra variables per trigger: {hook: {label, vars: [path, label, example]}}. */
+    var EXTRA = {};
+
+    /**
+     * Subjects a trigger exposes, beyond site and trigger which every
+     * event has. Unregistered hooks are guessed from their name.
+     */
+    function subjectsFor(trigger) {
+        trigger = String(trigger || '');
+        if (TRIGGERS[trigger]) return TRIGGERS[trigger];
+
+        var subjects = [];
+        if (/comment/.test(trigger)) subjects.push('comment', 'post');
+        else if (/post|publish|page|attachment|trash/.test(trigger)) subjects.push('post');
+        if (/user|login|logout|register|role|profile|password/.test(trigger)) subjects.push('user');
+        return subjects;
+    }
+
+    /**
+     * Variables available for a trigger as {tag, label, group, example}.
+     */
+    function variables(trigger) {
+        var groups = subjectsFor(trigger).concat(['site', 'trigger']);
+        var out = [];
+
+        groups.forEach(function (key) {
+            var group = GROUPS[key];
+            if (!group) return;
+            group.vars.forEach(function (v) {
+                out.push({ tag: key + '.' + v[0], label: v[1], group: group.label, example: v[2] });
+            });
+        });
+
+        var extra = EXTRA[String(trigger || '')];
+        if (extra) {
+            extra.vars.forEach(function (v) {
+                out.push({ tag: v[0], label: v[1], group: extra.label, example: v[2] });
+            });
+        }
+
+        return out;
+    }
+
+    /**
+     * Context with every variable of a trigger set to its example value,
+     * for previews when no real sample is at hand.
+     */
+    function exampleContext(trigger) {
+        var context = {};
+        variables(trigger).forEach(function (v) {
+            if (/\.\*$/.test(v.tag)) return;
+            var keys = v.tag.split('.');
+            var node = context;
+            keys.forEach(function (key, i) {
+                if (i === keys.length - 1) {
+                    node[key] = v.example;
+                } else {
+                    node = node[key] = node[key] || {};
+                }
+            });
+        });
+        context.trigger.hook = trigger || '';
+        context.trigger.time = formatDate(new Date(), 'Y-m-d H:i:s');
+        return context;
+    }
+
+    /**
+     * Full render context for a sample payload: the payload's own keys
+     * plus site and trigger details the server always adds.
+     */
+    function buildContext(payload, trigger) {
+        var base = exampleContext(trigger);
+        var context = { site: base.site, trigger: base.trigger };
+        Object.keys(payload || {}).forEach(function (key) {
+            context[key] = payload[key];
+        });
+        return context;
+    }
+
+    /* ──────────────────────────────────────
+       PICKER
+    ────────────────────────────────────── */
+
+    var attached = [];
+    var openPicker = null;
+
+    function closePicker() {
+        if (!openPicker) return;
+        openPicker.hidden = true;
+        openPicker = null;
+    }
+
+    document.addEventListener('click', function (e) {
+        if (openPicker && !openPicker.contains(e.target) && !e.target.closest('.wpt-merge-toggle')) {
+            closePicker();
+        }
+    });
+
+    document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && openPicker) {
+            var field = openPicker.wptField;
+            closePicker();
+            if (field) field.focus();
+        }
+    });
+
+    /**
+     * Insert text at the field's caret, selecting `select` within it
+     * (the meta key placeholder) when given.
+     */
+    function insertAtCaret(field, text, select) {
+        var start = typeof field.selectionStart === 'number' ? field.selectionStart : field.value.length;
+        var end   = typeof field.selectionEnd === 'number' ? field.selectionEnd : start;
+
+        field.value = field.value.slice(0, start) + text + field.value.slice(end);
+        field.focus();
+
+        var offset = select ? text.indexOf(select) : -1;
+        if (field.setSelectionRange) {
+            if (offset !== -1) {
+                field.setSelectionRange(start + offset, start + offset + select.length);
+            } else {
+                field.setSelectionRange(start + text.length, start + text.length);
+            }
+        }
+
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Give a field an "Insert variable" picker and a live preview.
+     *
+     * Options:
+     *   trigger  function returning the hook whose variables to offer
+     *   sample   function returning a payload to preview against, or null
+     *            to preview with example values
+     *   preview  false to skip the preview line
+     *
+     * Returns { refresh, destroy }.
+     */
+    function attach(field, options) {
+        options = options || {};
+
+        var tools = document.createElement('div');
+        tools.className = 'wpt-merge-tools';
+        tools.innerHTML = '<button type="button" class="button-link wpt-merge-toggle" aria-haspopup="true" aria-expanded="false">'
+            + '<code>{ }</code> ' + escapeHtml(t('insertVariable', 'Insert variable')) + '</button>'
+            + '<div class="wpt-merge-picker" role="dialog" hidden>'
+            + '<input type="search" class="wpt-merge-search" placeholder="' + escapeHtml(t('searchVariables', 'Search variables…')) + '">'
+            + '<div class="wpt-merge-list" role="listbox"></div>'
+            + '<p class="wpt-merge-filters description">' + escapeHtml(t('filtersHint', 'Filters:')) + ' <code>|upper</code> <code>|lower</code> <code>|date:"Y-m-d"</code> <code>|default:"…"</code> <code>|truncate:80</code> <code>|json</code></p>'
+            + '</div>'
+            + '<div class="wpt-merge-preview" aria-live="polite" hidden></div>';
+
+        field.parentNode.insertBefore(tools, field.nextSibling);
+
+        var toggle  = tools.querySelector('.wpt-merge-toggle');
+        var picker  = tools.querySelector('.wpt-merge-picker');
+        var search  = tools.querySelector('.wpt-merge-search');
+        var list    = tools.querySelector('.wpt-merge-list');
+        var preview = tools.querySelector('.wpt-merge-preview');
+
+        picker.wptField = field;
+
+        function trigger() {
+            return options.trigger ? options.trigger() : '';
+        }
+
+        function renderList() {
+            var query = search.value.trim().toLowerCase();
+            var html = '';
+            var lastGroup = '';
+
+            variables(trigger()).forEach(function (v) {
+                if (query && (v.tag + ' ' + v.label).toLowerCase().indexOf(query) === -1) return;
+                if (v.group !== lastGroup) {
+                    html += '<div class="wpt-merge-group">' + escapeHtml(v.group) + '</div>';
+                    lastGroup = v.group;
+                }
+                html += '<button type="button" class="wpt-merge-option" role="option" data-tag="' + escapeHtml(v.tag) + '">'
+                    + '<code>' + escapeHtml(v.tag) + '</code> <span>' + escapeHtml(v.label) + '</span></button>';
+            });
+
+            list.innerHTML = html || '<p class="description">' + escapeHtml(t('noVariables', 'No matching variables.')) + '</p>';
+        }
+
+        function refresh() {
+            if (options.preview === false) return;
+
+            var value = field.value || '';
+            TAG_PATTERN.lastIndex = 0;
+            if (!TAG_PATTERN.test(value)) {
+                preview.hidden = true;
+                return;
+            }
+
+            var sample  = options.sample ? options.sample() : null;
+            var context = sample ? buildContext(sample, trigger()) : exampleContext(trigger());
+            var result  = analyze(value, context);
+
+            var html = '<span class="wpt-merge-preview-label">'
+                + escapeHtml(sample ? t('previewSample', 'Preview (sample):') : t('previewExample', 'Preview (example values):'))
+                + '</span> <span class="wpt-merge-preview-output">' + escapeHtml(result.output) + '</span>';
+
+            if (result.missing.length) {
+                html += '<span class="wpt-merge-warning">' + escapeHtml(t('missingVariables', 'Not in this event:')) + ' '
+                    + result.missing.map(function (p) { return '<code>' + escapeHtml(p) + '</code>'; }).join(' ') + '</span>';
+            }
+            if (result.unknownFilters.length) {
+                html += '<span class="wpt-merge-warning">' + escapeHtml(t('unknownFilters', 'Unknown filters:')) + ' '
+                    + result.unknownFilters.map(function (f) { return '<code>' + escapeHtml(f) + '</code>'; }).join(' ') + '</span>';
+            }
+
+            preview.innerHTML = html;
+            preview.hidden = false;
+        }
+
+        toggle.addEventListener('click', function () {
+            var show = picker.hidden;
+            closePicker();
+            toggle.setAttribute('aria-expanded', show ? 'true' : 'false');
+            if (!show) return;
+
+            search.value = '';
+            renderList();
+            picker.hidden = false;
+            openPicker = picker;
+            search.focus();
+        });
+
+        search.addEventListener('input', renderList);
+
+        search.addEventListener('keydown', function (e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                var first = list.querySelector('.wpt-merge-option');
+                if (first) first.click();
+            }
+        });
+
+        list.addEventListener('click', function (e) {
+            var option = e.target.closest('.wpt-merge-option');
+            if (!option) return;
+
+            var tag = option.getAttribute('data-tag');
+            closePicker();
+            toggle.setAttribute('aria-expanded', 'false');
+
+            if (/\.\*$/.test(tag)) {
+                insertAtCaret(field, '{{' + tag.slice(0, -1) + 'key}}', 'key');
+            } else {
+                insertAtCaret(field, '{{' + tag + '}}');
+            }
+        });
+
+        field.addEventListener('input', refresh);
+
+        var handle = {
+            field:   field,
+            refresh: refresh,
+            destroy: function () {
+                field.removeEventListener('input', refresh);
+                if (openPicker === picker) closePicker();
+                tools.remove();
+                attached.splice(attached.indexOf(handle), 1);
+            }
+        };
+
+        attached.push(handle);
+        refresh();
+        return handle;
+    }
+
+    /**
+     * Re-render every attached preview, e.g. after the trigger or the
+     * sample changes. Handles whose field left the page are dropped.
+     */
+    function refreshAll() {
+        attached.slice().forEach(function (handle) {
+            if (document.body.contains(handle.field)) {
+                handle.refresh();
+            } else {
+                handle.destroy();
+            }
+        });
+    }
+
+    /* ──────────────────────────────────────
+       EXPORT
+    ────────────────────────────────────── */
+
+    window.wpt = window.wpt || {};
+    window.wpt.mergeTags = {
+        render:         render,
+        analyze:        analyze,
+        formatDate:     formatDate,
+        variables:      variables,
+        exampleContext: exampleContext,
+        buildContext:   buildContext,
+        attach:         attach,
+        refresh:        refreshAll,
+        filters:        FILTERS,
+
+        /**
+         * Declare the subjects ('post', 'user', 'comment') a trigger exposes.
+         */
+        registerTrigger: function (hook, subjects) {
+            TRIGGERS[hook] = subjects;
+        },
+
+        /**
+         * Declare variables a trigger carries beyond its subjects, such as
+         * the fields of an inbound payload: [[path, label, example], ...]
+         * listed under `label` in the picker.
+         */
+        registerVariables: function (hook, label, vars) {
+            EXTRA[hook] = { label: label, vars: vars };
+        }
+    };
+
+})();
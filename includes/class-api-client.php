@@ -0,0 +1,208 @@
+<?php
+declare(strict_types=1);
+
+namespace WPTransformed\Core;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Api Client — Registers the shared `wpt.api` JS client.
+ *
+ * Every module script that talks to admin-ajax.php declares the
+ * `wpt-api` handle as a dependency instead of shipping its own
+ * FormData/XHR helper. This class registers the script (admin, login
+ * and frontend) and serves the nonce refresh endpoint the client calls
+ * when a request comes back with WordPress's "-1" nonce failure.
+ *
+ * It also registers `wpt-jobs`, the resumable batch runner built on the
+ * client, for modules that process data over many AJAX requests, and
+ * `wpt-merge-tags` (script and style), the `{{post.title}}` renderer and
+ * variable picker for fields filled in from an event.
+ *
+ * @package WPTransformed
+ */
+class Api_Client {
+
+    /** Script handle module scripts depend on. */
+    public const HANDLE = 'wpt-api';
+
+    /** Script handle for the batch job runner (wpt.jobs). */
+    public const JOBS_HANDLE = 'wpt-jobs';
+
+    /** Script and style handle for merge tags (wpt.mergeTags). */
+    public const MERGE_TAGS_HANDLE = 'wpt-merge-tags';
+
+    public function __construct() {
+        add_action( 'init', [ $this, 'register_script' ] );
+        add_action( 'wp_ajax_wpt_refresh_nonce', [ $this, 'ajax_refresh_nonce' ] );
+    }
+
+    /**
+     * Register (not enqueue) the client, job runner and merge tags. Modules
+     * pull them in through their dependencies, so they only load where used.
+     */
+    public function register_script(): void {
+        wp_register_script(
+            self::HANDLE,
+            WPT_URL . 'assets/admin/js/api-client.js',
+            [],
+            WPT_VERSION,
+            true
+        );
+
+        wp_localize_script( self::HANDLE, 'wptApi', [
+            'ajaxUrl' => admin_url( 'admin-ajax.php' ),
+            'i18n'    => [
+                'networkError'    => __( 'Network error. Please try again.', 'wptransformed' ),
+                'invalidResponse' => __( 'Invalid response from the server.', 'wptransformed' ),
+                'invalidNonce'    => __( 'Your session has expired. Please reload the page.', 'wptransformed' ),
+                'notLoggedIn'     => __( 'You are no longer logged in. Please reload the page.', 'wptransformed' ),
+                'timeout'         => __( 'The request timed out.', 'wptransformed' ),
+                'aborted'         => __( 'Request cancelled.', 'wptransformed' ),
+            ],
+        ] );
+
+        wp_register_script(
+            self::JOBS_HANDLE,
+            WPT_URL . 'assets/admin/js/job-runner.js',
+            [ self::HANDLE ],
+            WPT_VERSION,
+            true
+        );
+
+        wp_localize_script( self::JOBS_HANDLE, 'wptJobs', [
+            'i18n' => [
+                'pause'           => __( 'Pause', 'wptransformed' ),
+                'pausing'         => __( 'Pausing…', 'wptransformed' ),
+                'resume'          => __( 'Resume', 'wptransformed' ),
+                'cancel'          => __( 'Cancel', 'wptransformed' ),
+                'discard'         => __( 'Discard', 'wptransformed' ),
+                'confirmCancel'   => __( 'Cancel this job? Progress so far is kept, but it cannot be resumed.', 'wptransformed' ),
+                'paused'          => __( 'Paused.', 'wptransformed' ),
+                'failed'          => __( 'The job stopped.', 'wptransformed' ),
+                'canResume'       => __( 'You can resume from where it stopped.', 'wptransformed' ),
+                /* translators: 1: seconds until retry, 2: attempt number, 3: max attempts */
+                'retrying'        => __( 'Request failed — retrying in %ds (attempt %d of %d).', 'wptransformed' ),
+                /* translators: 1: items processed, 2: total items */
+                'progress'        => __( '%s of %s processed', 'wptransformed' ),
+                /* translators: %s: items processed */
+                'progressNoTotal' => __( '%s processed', 'wptransformed' ),
+                /* translators: %s: items per second */
+                'rate'            => __( '%s/s', 'wptransformed' ),
+                /* translators: %s: human-readable duration */
+                'eta'             => __( 'about %s left', 'wptransformed' ),
+                /* translators: %s: human-readable duration */
+                'tookTime'        => __( 'took %s', 'wptransformed' ),
+                /* translators: %d: seconds */
+                'seconds'         => __( '%ds', 'wptransformed' ),
+                /* translators: %d: minutes */
+                'minutes'         => __( '%d min', 'wptransformed' ),
+                /* translators: 1: hours, 2: minutes */
+                'hours'           => __( '%d h %d min', 'wptransformed' ),
+                /* translators: 1: percent complete, 2: items processed, 3: total items */
+                'interruptedAt'   => __( 'An unfinished job stopped at %s (%s of %s).', 'wptransformed' ),
+                /* translators: %s: items processed */
+                'interrupted'     => __( 'An unfinished job stopped after %s items.', 'wptransformed' ),
+            ],
+        ] );
+
+        wp_register_script(
+            self::MERGE_TAGS_HANDLE,
+            WPT_URL . 'assets/admin/js/merge-tags.js',
+            [],
+            WPT_VERSION,
+            true
+        );
+
+        wp_register_style(
+            self::MERGE_TAGS_HANDLE,
+            WPT_URL . 'assets/admin/css/merge-tags.css',
+            [],
+            WPT_VERSION
+        );
+
+        wp_localize_script( self::MERGE_TAGS_HANDLE, 'wptMergeTags', [
+            'dateFormat' => (string) get_option( 'date_format', 'Y-m-d' ),
+            'timezone'   => wp_timezone_string(),
+            'site'       => Event_Context::site(),
+            'i18n'       => [
+                'insertVariable'   => __( 'Insert variable', 'wptransformed' ),
+                'searchVariables'  => __( 'Search variables…', 'wptransformed' ),
+                'noVariables'      => __( 'No matching variables.', 'wptransformed' ),
+                'filtersHint'      => __( 'Filters:', 'wptransformed' ),
+                'previewSample'    => __( 'Preview (sample):', 'wptransformed' ),
+                'previewExample'   => __( 'Preview (example values):', 'wptransformed' ),
+                'missingVariables' => __( 'Not in this event:', 'wptransformed' ),
+                'unknownFilters'   => __( 'Unknown filters:', 'wptransformed' ),
+                'groupPost'        => __( 'Post', 'wptransformed' ),
+                'groupUser'        => __( 'User', 'wptransformed' ),
+                'groupComment'     => __( 'Comment', 'wptransformed' ),
+                'groupSite'        => __( 'Site', 'wptransformed' ),
+                'groupTrigger'     => __( 'Trigger', 'wptransformed' ),
+                'varId'            => __( 'ID', 'wptransformed' ),
+                'varTitle'         => __( 'Title', 'wptransformed' ),
+                'varPermalink'     => __( 'Permalink', 'wptransformed' ),
+                'varEditUrl'       => __( 'Edit link', 'wptransformed' ),
+                'varStatus'        => __( 'Status', 'wptransformed' ),
+                'varType'          => __( 'Post type', 'wptransformed' ),
+                'varExcerpt'       => __( 'Excerpt', 'wptransformed' ),
+                'varContent'       => __( 'Content', 'wptransformed' ),
+                'varPublishDate'   => __( 'Publish date', 'wptransformed' ),
+                'varModified'      => __( 'Last modified', 'wptransformed' ),
+                'varAuthorName'    => __( 'Author name', 'wptransformed' ),
+                'varAuthorEmail'   => __( 'Author email', 'wptransformed' ),
+                'varCategories'    => __( 'Categories', 'wptransformed' ),
+                'varTags'          => __( 'Tags', 'wptransformed' ),
+                'varMeta'          => __( 'Custom field', 'wptransformed' ),
+                'varLogin'         => __( 'Username', 'wptransformed' ),
+                'varEmail'         => __( 'Email', 'wptransformed' ),
+                'varDisplayName'   => __( 'Display name', 'wptransformed' ),
+                'varFirstName'     => __( 'First name', 'wptransformed' ),
+                'varLastName'      => __( 'Last name', 'wptransformed' ),
+                'varRoles'         => __( 'Roles', 'wptransformed' ),
+                'varRegistered'    => __( 'Registered', 'wptransformed' ),
+                'varCommentAuthor' => __( 'Author name', 'wptransformed' ),
+                'varCommentEmail'  => __( 'Author email', 'wptransformed' ),
+                'varDate'          => __( 'Date', 'wptransformed' ),
+                'varCommentLink'   => __( 'Link', 'wptransformed' ),
+                'varSiteName'      => __( 'Site title', 'wptransformed' ),
+                'varSiteUrl'       => __( 'Site URL', 'wptransformed' ),
+                'varAdminEmail'    => __( 'Admin email', 'wptransformed' ),
+                'varTagline'       => __( 'Tagline', 'wptransformed' ),
+                'varHook'          => __( 'Hook name', 'wptransformed' ),
+                'varTime'          => __( 'Time fired', 'wptransformed' ),
+                'varTriggerMeta'   => __( 'Event data', 'wptransformed' ),
+            ],
+        ] );
+    }
+
+    /**
+     * AJAX: issue a fresh nonce for one of the plugin's nonce actions.
+     *
+     * Deliberately not nonce-protected — it runs precisely when the
+     * page's nonces have expired. The wp_ajax_ hook limits it to
+     * logged-in users, the response is same-origin only, and the
+     * handlers the nonce unlocks still do their own capability checks.
+     */
+    public function ajax_refresh_nonce(): void {
+        if ( ! current_user_can( 'read' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Unauthorized.', 'wptransformed' ) ], 403 );
+        }
+
+        $action = isset( $_POST['nonce_action'] ) ? sanitize_key( wp_unslash( $_POST['nonce_action'] ) ) : '';
+
+        /**
+         * Filter whether a nonce action may be refreshed by the JS client.
+         *
+         * @param bool   $allowed Default: true for the plugin's own `wpt_` actions.
+         * @param string $action  Requested nonce action.
+         */
+        $allowed = (bool) apply_filters( 'wpt_api_refreshable_nonce', strpos( $action, 'wpt_' ) === 0, $action );
+
+        if ( $action === '' || ! $allowed ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid nonce action.', 'wptransformed' ) ], 400 );
+        }
+
+        wp_send_json_success( [ 'nonce' => wp_create_nonce( $action ) ] );
+    }
+}
@@ -50,6 +50,9 @@ class Core {
         // 4. Hook asset loading
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_admin_assets' ] );
         add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_frontend_assets' ] );
+
+        // 5. Shared wpt.api JS client that module scripts depend on
+        new Api_Client();
     }
 
     /**
@@ -0,0 +1,155 @@
+<?php
+declare(strict_types=1);
+
+namespace WPTransformed\Core;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Event Context — The post, user, comment and site shapes in event payloads.
+ *
+ * Modules that act on WordPress events (workflow rules, webhooks) describe
+ * the object behind the event the way the merge-tag picker lists it in
+ * assets/admin/js/merge-tags.js, so `post.author.email` reads the same
+ * in a condition, a `{{post.author.email}}` tag and a webhook body.
+ *
+ * @package WPTransformed
+ */
+class Event_Context {
+
+    /**
+     * Meta keys left out of payloads: internal keys, capabilities and
+     * anything that looks like a credential.
+     */
+    private const PRIVATE_META = '/^_|capabilities$|user_level$|session_tokens|password|secret|token/i';
+
+    /**
+     * A post as `post.*` variables.
+     *
+     * @param \WP_Post $post Post.
+     * @return array
+     */
+    public static function post( \WP_Post $post ): array {
+        $author = get_userdata( (int) $post->post_author );
+
+        return [
+            'id'         => (int) $post->ID,
+            'title'      => $post->post_title,
+            'url'        => (string) get_permalink( $post ),
+            'edit_url'   => admin_url( 'post.php?post=' . (int) $post->ID . '&action=edit' ),
+            'status'     => $post->post_status,
+            'type'       => $post->post_type,
+            'excerpt'    => $post->post_excerpt !== ''
+                ? $post->post_excerpt
+                : wp_trim_words( wp_strip_all_tags( strip_shortcodes( $post->post_content ) ), 55 ),
+            'content'    => $post->post_content,
+            'date'       => $post->post_date,
+            'modified'   => $post->post_modified,
+            'author'     => [
+                'id'    => (int) $post->post_author,
+                'name'  => $author ? $author->display_name : '',
+                'email' => $author ? $author->user_email : '',
+            ],
+            'categories' => self::term_names( (int) $post->ID, 'category' ),
+            'tags'       => self::term_names( (int) $post->ID, 'post_tag' ),
+            'meta'       => self::meta( (array) get_post_meta( $post->ID ) ),
+        ];
+    }
+
+    /**
+     * A user as `user.*` variables.
+     *
+     * @param \WP_User $user User.
+     * @return array
+     */
+    public static function user( \WP_User $user ): array {
+        return [
+            'id'           => (int) $user->ID,
+            'login'        => $user->user_login,
+            'email'        => $user->user_email,
+            'display_name' => $user->display_name,
+            'first_name'   => (string) $user->first_name,
+            'last_name'    => (string) $user->last_name,
+            'roles'        => array_values( (array) $user->roles ),
+            'registered'   => $user->user_registered,
+            'meta'         => self::meta( (array) get_user_meta( $user->ID ) ),
+        ];
+    }
+
+    /**
+     * A comment as `comment.*` variables.
+     *
+     * @param \WP_Comment $comment Comment.
+     * @return array
+     */
+    public static function comment( \WP_Comment $comment ): array {
+        $statuses = [ '1' => 'approved', '0' => 'hold' ];
+
+        return [
+            'id'           => (int) $comment->comment_ID,
+            'author'       => $comment->comment_author,
+            'author_email' => $comment->comment_author_email,
+            'content'      => $comment->comment_content,
+            'status'       => $statuses[ (string) $comment->comment_approved ] ?? (string) $comment->comment_approved,
+            'date'         => $comment->comment_date,
+            'url'          => (string) get_comment_link( $comment ),
+        ];
+    }
+
+    /**
+     * The site as `site.*` variables, as localized for the picker.
+     *
+     * @return array
+     */
+    public static function site(): array {
+        return [
+            'name'        => get_bloginfo( 'name' ),
+            'url'         => home_url(),
+            'admin_email' => (string) get_option( 'admin_email' ),
+            'description' => get_bloginfo( 'description' ),
+        ];
+    }
+
+    /**
+     * Names of a post's terms in one taxonomy.
+     *
+     * @param int    $post_id  Post ID.
+     * @param string $taxonomy Taxonomy.
+     * @return string[]
+     */
+    private static function term_names( int $post_id, string $taxonomy ): array {
+        $terms = get_the_terms( $post_id, $taxonomy );
+
+        return is_array( $terms ) ? wp_list_pluck( $terms, 'name' ) : [];
+    }
+
+    /**
+     * Single values for single-valued keys, lists otherwise, without
+     * private keys or objects.
+     *
+     * @param array $raw get_*_meta() output for all keys.
+     * @return array
+     */
+    private static function meta( array $raw ): array {
+        $meta = [];
+
+        foreach ( $raw as $key => $values ) {
+            if ( preg_match( self::PRIVATE_META, (string) $key ) ) {
+                continue;
+            }
+
+            $values = array_filter(
+                array_map( 'maybe_unserialize', (array) $values ),
+                static function ( $value ): bool {
+                    return ! is_object( $value );
+                }
+            );
+
+            if ( $values ) {
+                $meta[ $key ] = count( $values ) === 1 ? reset( $values ) : array_values( $values );
+            }
+        }
+
+        return $meta;
+    }
+}
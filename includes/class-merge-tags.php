@@ -0,0 +1,322 @@
+<?php
+declare(strict_types=1);
+
+namespace WPTransformed\Core;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+/**
+ * Merge Tags — Server-side renderer for `{{post.title|upper}}` templates.
+ *
+ * The PHP twin of assets/admin/js/merge-tags.js: the same tag syntax,
+ * path resolution, text conversion and filters, so what the builder
+ * previews is what an email or webhook sends. Changes to either side
+ * belong in both, with a case in tests/fixtures/merge-tags.json.
+ *
+ *     $context = Merge_Tags::context( $payload, 'publish_post' );
+ *     Merge_Tags::render( 'New: {{post.title|truncate:40}}', $context );
+ *
+ * @package WPTransformed
+ */
+class Merge_Tags {
+
+    /** A tag and the expression inside it. */
+    private const TAG_PATTERN = '/\{\{\s*([^{}]*?)\s*\}\}/';
+
+    /** Filters understood by render(). */
+    public const FILTERS = [ 'upper', 'lower', 'capitalize', 'trim', 'default', 'date', 'truncate', 'join', 'first', 'count', 'json', 'urlencode', 'escape' ];
+
+    /** Payload keys describing an object rather than the event itself. */
+    private const SUBJECTS = [ 'post', 'user', 'comment', 'site', 'trigger' ];
+
+    /**
+     * Render context for an event payload: the payload's own keys plus
+     * `site` and `trigger` (hook, time, and the payload's other keys as
+     * `trigger.meta`), as buildContext() assembles it in the browser.
+     *
+     * @param array  $payload Event payload.
+     * @param string $hook    Hook that fired.
+     * @return array
+     */
+    public static function context( array $payload, string $hook ): array {
+        return array_merge(
+            [
+                'site'    => Event_Context::site(),
+                'trigger' => [
+                    'hook' => $hook,
+                    'time' => current_time( 'mysql' ),
+                    'meta' => array_diff_key( $payload, array_flip( self::SUBJECTS ) ),
+                ],
+            ],
+            $payload
+        );
+    }
+
+    /**
+     * Replace every tag in a template.
+     *
+     * @param string $template Text with {{tags}}.
+     * @param array  $context  Render context.
+     * @return string
+     */
+    public static function render( string $template, array $context ): string {
+        return self::analyze( $template, $context )['output'];
+    }
+
+    /**
+     * Render a template and report the paths that did not resolve and
+     * the filter names that do not exist.
+     *
+     * @param string $template Text with {{tags}}.
+     * @param array  $context  Render context.
+     * @return array{output: string, missing: string[], unknown_filters: string[]}
+     */
+    public static function analyze( string $template, array $context ): array {
+        $missing = [];
+        $unknown = [];
+
+        $output = (string) preg_replace_callback(
+            self::TAG_PATTERN,
+            static function ( array $match ) use ( $context, &$missing, &$unknown ): string {
+                $parsed = self::parse_expression( $match[1] );
+                $value  = self::resolve_path( $context, $parsed['path'], $found );
+
+                if ( ! $found && ! in_array( $parsed['path'], $missing, true ) ) {
+                    $missing[] = $parsed['path'];
+                }
+
+                foreach ( $parsed['filters'] as $filter ) {
+                    if ( in_array( $filter['name'], self::FILTERS, true ) ) {
+                        $value = self::apply_filter( $filter['name'], $value, $filter['arg'] );
+                    } elseif ( ! in_array( $filter['name'], $unknown, true ) ) {
+                        $unknown[] = $filter['name'];
+                    }
+                }
+
+                return self::stringify( $value );
+            },
+            $template
+        );
+
+        return [ 'output' => $output, 'missing' => $missing, 'unknown_filters' => $unknown ];
+    }
+
+    /**
+     * Split `post.date | date:"Y-m-d" | upper` into a path and filters.
+     * Pipes and colons inside quoted arguments are kept.
+     *
+     * @param string $expr Tag expression.
+     * @return array{path: string, filters: array}
+     */
+    private static function parse_expression( string $expr ): array {
+        $parts   = [];
+        $current = '';
+        $quote   = '';
+
+        for ( $i = 0, $len = strlen( $expr ); $i < $len; $i++ ) {
+            $c = $expr[ $i ];
+            if ( $quote !== '' ) {
+                if ( $c === $quote ) {
+                    $quote = '';
+                }
+                $current .= $c;
+            } elseif ( $c === '"' || $c === "'" ) {
+                $quote    = $c;
+                $current .= $c;
+            } elseif ( $c === '|' ) {
+                $parts[] = trim( $current );
+                $current = '';
+            } else {
+                $current .= $c;
+            }
+        }
+        $parts[] = trim( $current );
+
+        $path    = array_shift( $parts );
+        $filters = [];
+
+        foreach ( $parts as $part ) {
+            $colon = strpos( $part, ':' );
+            if ( $colon === false ) {
+                $filters[] = [ 'name' => $part, 'arg' => null ];
+                continue;
+            }
+
+            $arg = trim( substr( $part, $colon + 1 ) );
+            if ( preg_match( '/^(["\']).*\1$/s', $arg ) ) {
+                $arg = substr( $arg, 1, -1 );
+            }
+            $filters[] = [ 'name' => trim( substr( $part, 0, $colon ) ), 'arg' => $arg ];
+        }
+
+        return [ 'path' => $path, 'filters' => $filters ];
+    }
+
+    /**
+     * Value at a dotted path, or null when any part is missing.
+     *
+     * @param array     $context Render context.
+     * @param string    $path    Dotted path.
+     * @param bool|null $found   Set to whether the path exists.
+     * @return mixed
+     */
+    private static function resolve_path( array $context, string $path, ?bool &$found ) {
+        $value = $context;
+        $found = true;
+
+        foreach ( explode( '.', $path ) as $key ) {
+            if ( ! is_array( $value ) || ! array_key_exists( $key, $value ) ) {
+                $found = false;
+                return null;
+            }
+            $value = $value[ $key ];
+        }
+
+        return $value;
+    }
+
+    /**
+     * Text form of a value: lists are comma-joined, maps JSON.
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    private static function stringify( $value ): string {
+        if ( $value === null ) {
+            return '';
+        }
+        if ( is_bool( $value ) ) {
+            return $value ? 'true' : 'false';
+        }
+        if ( is_array( $value ) ) {
+            return self::is_list( $value )
+                ? implode( ', ', array_map( [ self::class, 'stringify' ], $value ) )
+                : self::json( $value );
+        }
+        return (string) $value;
+    }
+
+    /**
+     * JSON as JSON.stringify() writes it.
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    private static function json( $value ): string {
+        return (string) wp_json_encode( $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+    }
+
+    /**
+     * Whether a value is what JSON calls an array.
+     *
+     * @param mixed $value Value.
+     * @return bool
+     */
+    private static function is_list( $value ): bool {
+        return is_array( $value ) && array_values( $value ) === $value;
+    }
+
+    /**
+     * Apply one filter. Filters receive the raw value, not its text.
+     *
+     * @param string      $name  Filter name.
+     * @param mixed       $value Value.
+     * @param string|null $arg   Filter argument.
+     * @return mixed
+     */
+    private static function apply_filter( string $name, $value, ?string $arg ) {
+        switch ( $name ) {
+            case 'upper':
+                return mb_strtoupper( self::stringify( $value ), 'UTF-8' );
+            case 'lower':
+                return mb_strtolower( self::stringify( $value ), 'UTF-8' );
+            case 'capitalize':
+                $text = self::stringify( $value );
+                return mb_strtoupper( mb_substr( $text, 0, 1, 'UTF-8' ), 'UTF-8' ) . mb_substr( $text, 1, null, 'UTF-8' );
+            case 'trim':
+                return (string) preg_replace( '/^\s+|\s+$/u', '', self::stringify( $value ) );
+            case 'default':
+                return self::stringify( $value ) === '' ? $arg : $value;
+            case 'date':
+                $date = self::stringify( $value ) === '' ? null : self::to_date( $value );
+                return $date ? self::format_date( $date, $arg !== null && $arg !== '' ? $arg : (string) get_option( 'date_format', 'Y-m-d' ) ) : self::stringify( $value );
+            case 'truncate':
+                $text = self::stringify( $value );
+                $max  = (int) $arg ?: 50;
+                return mb_strlen( $text, 'UTF-8' ) > $max
+                    ? preg_replace( '/\s+\S*$/u', '', mb_substr( $text, 0, $max, 'UTF-8' ) ) . '…'
+                    : $text;
+            case 'join':
+                return self::is_list( $value )
+                    ? implode( $arg ?? ', ', array_map( [ self::class, 'stringify' ], $value ) )
+                    : $value;
+            case 'first':
+                return self::is_list( $value ) ? ( $value[0] ?? null ) : $value;
+            case 'count':
+                if ( self::is_list( $value ) ) {
+                    return count( $value );
+                }
+                return self::stringify( $value ) === '' ? 0 : 1;
+            case 'json':
+                return self::json( $value );
+            case 'urlencode':
+                // encodeURIComponent() leaves these alone.
+                return strtr( rawurlencode( self::stringify( $value ) ), [ '%21' => '!', '%2A' => '*', '%27' => "'", '%28' => '(', '%29' => ')' ] );
+            case 'escape':
+                return str_replace( [ '&', '<', '>', '"' ], [ '&amp;', '&lt;', '&gt;', '&quot;' ], self::stringify( $value ) );
+        }
+
+        return $value;
+    }
+
+    /**
+     * Unix timestamps (seconds or milliseconds), MySQL datetimes and
+     * ISO strings, in the site's timezone. Null when unparseable.
+     *
+     * @param mixed $value Value.
+     * @return \DateTimeImmutable|null
+     */
+    private static function to_date( $value ): ?\DateTimeImmutable {
+        $timezone = wp_timezone();
+        $text     = self::stringify( $value );
+
+        if ( is_int( $value ) || is_float( $value ) || preg_match( '/^\d+$/', $text ) ) {
+            $number = (float) $value;
+            $number = $number < 1e12 ? $number : $number / 1000;
+
+            return ( new \DateTimeImmutable( '@' . (int) floor( $number ) ) )->setTimezone( $timezone );
+        }
+
+        try {
+            return ( new \DateTimeImmutable( $text, $timezone ) )->setTimezone( $timezone );
+        } catch ( \Exception $e ) {
+            return null;
+        }
+    }
+
+    /**
+     * Format a date with the date() characters the browser renderer
+     * supports; any other character is copied as-is.
+     *
+     * @param \DateTimeImmutable $date   Date.
+     * @param string             $format Format.
+     * @return string
+     */
+    private static function format_date( \DateTimeImmutable $date, string $format ): string {
+        $out = '';
+
+        for ( $i = 0, $len = strlen( $format ); $i < $len; $i++ ) {
+            $c = $format[ $i ];
+
+            if ( $c === '\\' ) {
+                $out .= $format[ ++$i ] ?? '';
+            } elseif ( strpos( 'djDlNwmnMFYyaAghGHisUc', $c ) !== false ) {
+                $out .= $date->format( $c );
+            } else {
+                $out .= $c;
+            }
+        }
+
+        return $out;
+    }
+}
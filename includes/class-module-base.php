@@ -22,6 +22,11 @@ abstract class Module_Base {
         return 'free';
     }
 
+    /** Extra search terms (synonyms, jargon) the command palette matches. */
+    public function get_keywords(): array {
+        return [];
+    }
+
     // -- Lifecycle --
     abstract public function init(): void;
 
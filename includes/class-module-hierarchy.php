@@ -260,7 +260,7 @@ class Module_Hierarchy {
                 'sub_modules' => [
                     'content-calendar',     // v2 — not built yet
                     'auto-publish-missed',
-                    'workflow-automation',  // deferred — not built yet
+                    'workflow-automation',
                 ],
             ],
 
@@ -627,7 +627,7 @@ class Module_Hierarchy {
                     'search-replace',
                     'cron-manager',
                     'file-manager',          // v2 — not built yet (locked-down)
-                    'webhook-manager',       // v2 — not built yet
+                    'webhook-manager',
                     'ads-txt-manager',       // v2 — not built yet
                     'robots-txt-manager',    // v2 — not built yet
                     'export-import-settings',
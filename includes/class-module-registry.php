@@ -8,7 +8,7 @@ if ( ! defined( 'ABSPATH' ) ) exit;
 /**
  * Module Registry — Single source of truth for what modules exist.
  *
- * v1 scope: 86 modules across 8 categories.
+ * v1 scope: 87 modules across 8 categories.
  * Adding a module = adding one line here. Nothing else.
  *
  * @package WPTransformed
@@ -106,7 +106,7 @@ class Module_Registry {
             'disable-backend'             => 'modules/disable-components/class-disable-backend.php',
             'disable-gutenberg'           => 'modules/disable-components/class-disable-gutenberg.php',
 
-            // ── Utilities (15 modules) ───────────────────────────
+            // ── Utilities (17 modules) ───────────────────────────
             'disable-comments'            => 'modules/utilities/class-disable-comments.php',
             'email-smtp'                  => 'modules/utilities/class-email-smtp.php',
             'email-log'                   => 'modules/utilities/class-email-log.php',
@@ -122,6 +122,8 @@ class Module_Registry {
             'system-summary'              => 'modules/utilities/class-system-summary.php',
             'error-log-viewer'            => 'modules/utilities/class-error-log-viewer.php',
             'forms'                       => 'modules/utilities/class-forms.php',
+            'workflow-automation'         => 'modules/utilities/class-workflow-automation.php',
+            'webhook-manager'             => 'modules/utilities/class-webhook-manager.php',
 
         ];
     }
@@ -5,6 +5,7 @@ namespace WPTransformed\Modules\AdminInterface;
 
 if ( ! defined( 'ABSPATH' ) ) exit;
 
+use WPTransformed\Core\Core;
 use WPTransformed\Modules\Module_Base;
 
 /**
@@ -15,10 +16,19 @@ use WPTransformed\Modules\Module_Base;
  * fuzzy matching, full keyboard navigation, and accessibility
  * (combobox role, aria attrs, focus trap).
  *
+ * Other modules contribute commands and search sources as providers,
+ * either in PHP through the `wpt_command_palette_providers` filter or
+ * in JS through `wpt.palette.registerProvider()`. Items with a `run`
+ * spec execute their AJAX action in place, prompting for arguments and
+ * confirmation first (see command-palette.js).
+ *
  * @package WPTransformed
  */
 class Command_Palette extends Module_Base {
 
+    /** Results per page for content and user search. */
+    private const SEARCH_PAGE_SIZE = 10;
+
     // ── Identity ──────────────────────────────────────────────
 
     public function get_id(): string {
@@ -56,6 +66,8 @@ class Command_Palette extends Module_Base {
         add_action( 'wp_footer', [ $this, 'render_palette_html_frontend' ] );
         add_action( 'wp_ajax_wpt_palette_search', [ $this, 'ajax_content_search' ] );
         add_action( 'wp_ajax_wpt_palette_track_page', [ $this, 'ajax_track_recent_page' ] );
+        add_action( 'wp_ajax_wpt_palette_flush_cache', [ $this, 'ajax_flush_cache' ] );
+        add_action( 'wp_ajax_wpt_palette_trash_post', [ $this, 'ajax_trash_post' ] );
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_admin_assets' ] );
         add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_frontend_assets' ] );
     }
@@ -107,11 +119,14 @@ class Command_Palette extends Module_Base {
                     >
                     <kbd class="wpt-palette-shortcut">Esc</kbd>
                 </div>
+                <div id="wpt-palette-filters" class="wpt-palette-filters" role="toolbar" aria-label="<?php esc_attr_e( 'Search filters', 'wptransformed' ); ?>" hidden></div>
                 <ul id="<?php echo esc_attr( $listbox_id ); ?>" class="wpt-palette-list" role="listbox" aria-label="<?php esc_attr_e( 'Search results', 'wptransformed' ); ?>">
                 </ul>
                 <div class="wpt-palette-footer">
                     <span><kbd>&uarr;</kbd><kbd>&darr;</kbd> <?php esc_html_e( 'navigate', 'wptransformed' ); ?></span>
                     <span><kbd>&crarr;</kbd> <?php esc_html_e( 'select', 'wptransformed' ); ?></span>
+                    <span><kbd>tab</kbd> <?php esc_html_e( 'actions', 'wptransformed' ); ?></span>
+                    <span class="wpt-palette-scopes"><kbd>&gt;</kbd><kbd>@</kbd><kbd>#</kbd><kbd>/</kbd><kbd>media:</kbd> <?php esc_html_e( 'scope', 'wptransformed' ); ?></span>
                     <span><kbd>esc</kbd> <?php esc_html_e( 'close', 'wptransformed' ); ?></span>
                 </div>
             </div>
@@ -148,7 +163,7 @@ class Command_Palette extends Module_Base {
         wp_enqueue_script(
             'wpt-command-palette',
             WPT_URL . 'modules/admin-interface/js/command-palette.js',
-            [],
+            [ 'wpt-api' ],
             WPT_VERSION,
             true
         );
@@ -163,10 +178,21 @@ class Command_Palette extends Module_Base {
             'showRecent'    => (bool) $settings['show_recent'],
             'recentCount'   => (int) $settings['recent_count'],
             'searchContent' => (bool) $settings['search_content'],
+            'searchUsers'   => current_user_can( 'list_users' ),
+            'postTypes'     => $this->get_searchable_post_types_for_js(),
+            'statuses'      => [
+                [ 'name' => 'publish', 'label' => __( 'Published', 'wptransformed' ) ],
+                [ 'name' => 'draft', 'label' => __( 'Drafts', 'wptransformed' ) ],
+                [ 'name' => 'pending', 'label' => __( 'Pending', 'wptransformed' ) ],
+                [ 'name' => 'future', 'label' => __( 'Scheduled', 'wptransformed' ) ],
+                [ 'name' => 'private', 'label' => __( 'Private', 'wptransformed' ) ],
+            ],
             'isAdmin'       => $is_admin,
             'adminUrl'      => esc_url( admin_url() ),
             'items'         => $this->build_search_index(),
+            'providers'     => $this->get_providers_for_js(),
             'recentPages'   => $this->get_recent_pages(),
+            'frecency'      => $this->get_frecency(),
             'i18n'          => [
                 'noResults'    => __( 'No results found.', 'wptransformed' ),
                 'recentPages'  => __( 'Recent Pages', 'wptransformed' ),
@@ -175,6 +201,26 @@ class Command_Palette extends Module_Base {
                 'quickActions' => __( 'Quick Actions', 'wptransformed' ),
                 'content'      => __( 'Content', 'wptransformed' ),
                 'searching'    => __( 'Searching...', 'wptransformed' ),
+                'users'        => __( 'Users', 'wptransformed' ),
+                'loadMore'     => __( 'Load more results…', 'wptransformed' ),
+                'allTypes'     => __( 'All types', 'wptransformed' ),
+                'anyStatus'    => __( 'Any status', 'wptransformed' ),
+                /* translators: %s: author name */
+                'byAuthor'     => __( 'By %s', 'wptransformed' ),
+                'removeFilter' => __( 'Remove filter', 'wptransformed' ),
+                'copied'       => __( 'Copied to clipboard.', 'wptransformed' ),
+                'copyFailed'   => __( 'Could not copy to the clipboard.', 'wptransformed' ),
+                'typeToSearch' => __( 'Type to search…', 'wptransformed' ),
+                'invalidUrl'   => __( 'Enter a full URL or a path starting with /.', 'wptransformed' ),
+                /* translators: {title}: command name — keep the braces. */
+                'confirmRun'   => __( 'Run "{title}"?', 'wptransformed' ),
+                'confirm'      => __( 'Confirm', 'wptransformed' ),
+                'cancel'       => __( 'Cancel', 'wptransformed' ),
+                /* translators: {title}: command name — keep the braces. */
+                'running'      => __( 'Running {title}…', 'wptransformed' ),
+                /* translators: {round}: batch number — keep the braces. */
+                'runningRound' => __( 'Running… (batch {round})', 'wptransformed' ),
+                'done'         => __( 'Done.', 'wptransformed' ),
             ],
         ] );
     }
@@ -312,18 +358,23 @@ class Command_Palette extends Module_Base {
     private function get_module_items(): array {
         $items    = [];
         $registry = \WPTransformed\Core\Module_Registry::get_all();
+        $core     = Core::instance();
 
         foreach ( $registry as $module_id => $file ) {
-            // Build a readable title from the module ID.
-            $title = ucwords( str_replace( '-', ' ', $module_id ) );
+            $module = $core->get_module( $module_id );
+
+            // Build a readable title from the module ID when the module failed to load.
+            $title = $module ? $module->get_title() : ucwords( str_replace( '-', ' ', $module_id ) );
 
             $items[] = [
-                'type'     => 'module',
-                'icon'     => 'dashicons-admin-plugins',
-                'title'    => $title,
-                'subtitle' => __( 'Modules', 'wptransformed' ),
-                'url'      => admin_url( 'admin.php?page=wptransformed&module=' . $module_id ),
-                'action'   => null,
+                'type'        => 'module',
+                'icon'        => 'dashicons-admin-plugins',
+                'title'       => $title,
+                'subtitle'    => __( 'Modules', 'wptransformed' ),
+                'description' => $module ? $module->get_description() : '',
+                'keywords'    => $module ? array_values( array_map( 'strval', $module->get_keywords() ) ) : [],
+                'url'         => admin_url( 'admin.php?page=wptransformed&module=' . $module_id ),
+                'action'      => null,
             ];
         }
 
@@ -370,9 +421,43 @@ class Command_Palette extends Module_Base {
             ],
         ];
 
+        if ( current_user_can( 'manage_options' ) ) {
+            $actions[] = [
+                'title'  => __( 'Flush Object Cache', 'wptransformed' ),
+                'icon'   => 'dashicons-update',
+                'action' => 'flush-object-cache',
+                'run'    => [
+                    'ajax'        => 'wpt_palette_flush_cache',
+                    'nonce'       => wp_create_nonce( 'wpt_palette_flush_cache' ),
+                    'nonceAction' => 'wpt_palette_flush_cache',
+                ],
+            ];
+            $actions[] = [
+                'title'  => __( 'Toggle Module…', 'wptransformed' ),
+                'icon'   => 'dashicons-admin-plugins',
+                'action' => 'toggle-module',
+                'run'    => [
+                    'ajax'        => 'wpt_toggle_module',
+                    'nonce'       => wp_create_nonce( 'wpt_admin_nonce' ),
+                    'nonceAction' => 'wpt_admin_nonce',
+                    'args'        => [
+                        [
+                            'name'        => 'module_id',
+                            'label'       => __( 'Module', 'wptransformed' ),
+                            'placeholder' => __( 'Pick a module to enable or disable…', 'wptransformed' ),
+                            'options'     => $this->get_module_toggle_options(),
+                        ],
+                    ],
+                ],
+            ];
+        }
+
         /**
          * Filter the command palette quick actions.
          *
+         * An action with a `run` spec executes in place instead of calling
+         * its JS handler or following its URL.
+         *
          * @param array $actions Array of action definitions.
          */
         $actions = apply_filters( 'wpt_command_palette_actions', $actions );
@@ -386,12 +471,160 @@ class Command_Palette extends Module_Base {
                 'subtitle' => __( 'Quick Actions', 'wptransformed' ),
                 'url'      => $act['url'] ?? '',
                 'action'   => $act['action'] ?? null,
+                'run'      => $act['run'] ?? null,
             ];
         }
 
         return $items;
     }
 
+    /**
+     * Argument options for "Toggle Module…": every module the site can
+     * switch, each posting the opposite of its current state.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function get_module_toggle_options(): array {
+        $core    = Core::instance();
+        $options = [];
+
+        foreach ( $core->get_all_modules() as $module_id => $module ) {
+            if ( $module->get_tier() === 'pro' && ! Core::is_pro_licensed() ) {
+                continue;
+            }
+
+            $title  = $module->get_title();
+            $active = $core->is_active( $module_id );
+
+            if ( $active ) {
+                $options[] = [
+                    'title'       => $title,
+                    'description' => __( 'Active — select to disable', 'wptransformed' ),
+                    'icon'        => 'dashicons-yes-alt',
+                    'value'       => $module_id,
+                    'data'        => [ 'active' => '0' ],
+                    /* translators: %s: module name */
+                    'confirm'     => sprintf( __( 'Disable %s?', 'wptransformed' ), $title ),
+                    /* translators: %s: module name */
+                    'success'     => sprintf( __( '%s disabled. Reload to apply.', 'wptransformed' ), $title ),
+                ];
+                continue;
+            }
+
+            $options[] = [
+                'title'       => $title,
+                'description' => __( 'Inactive — select to enable', 'wptransformed' ),
+                'icon'        => 'dashicons-marker',
+                'value'       => $module_id,
+                'data'        => [ 'active' => '1' ],
+                /* translators: %s: module name */
+                'success'     => sprintf( __( '%s enabled. Reload to apply.', 'wptransformed' ), $title ),
+            ];
+        }
+
+        return $options;
+    }
+
+    // ── Providers ─────────────────────────────────────────────
+
+    /**
+     * Get the providers other modules contribute, keyed by ID, limited to
+     * the ones the current user may use.
+     *
+     * @return array<string, array<string, mixed>>
+     */
+    private function get_providers(): array {
+        /**
+         * Filter the command palette providers.
+         *
+         * Each provider becomes its own result group. Keys are provider IDs;
+         * values accept:
+         *   label      string   Group heading.
+         *   icon       string   Default dashicon for the provider's items.
+         *   priority   int      Group order, lower first. Default 50.
+         *   capability string   Required capability. Default 'manage_options'.
+         *   commands   array    Static items (title, url|action, icon, description, keywords).
+         *   search     callable function( string $query ): array — items matching a
+         *                       typed query, called through the palette's AJAX endpoint.
+         *   min_chars  int      Minimum query length before search runs. Default 2.
+         *
+         * @param array<string, array<string, mixed>> $providers Providers keyed by ID.
+         */
+        $providers = apply_filters( 'wpt_command_palette_providers', [] );
+
+        if ( ! is_array( $providers ) ) {
+            return [];
+        }
+
+        $allowed = [];
+        foreach ( $providers as $id => $provider ) {
+            $id = sanitize_key( (string) $id );
+            if ( $id === '' || in_array( $id, [ 'core', 'content', 'users' ], true ) || ! is_array( $provider ) ) {
+                continue;
+            }
+            if ( ! current_user_can( $provider['capability'] ?? 'manage_options' ) ) {
+                continue;
+            }
+            $allowed[ $id ] = $provider;
+        }
+
+        return $allowed;
+    }
+
+    /**
+     * Providers as the JS expects them. The search callable stays server-side.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function get_providers_for_js(): array {
+        $out = [];
+
+        foreach ( $this->get_providers() as $id => $provider ) {
+            $icon = $provider['icon'] ?? 'dashicons-admin-generic';
+
+            $out[] = [
+                'id'       => $id,
+                'label'    => (string) ( $provider['label'] ?? $id ),
+                'icon'     => $icon,
+                'priority' => (int) ( $provider['priority'] ?? 50 ),
+                'minChars' => max( 1, (int) ( $provider['min_chars'] ?? 2 ) ),
+                'commands' => $this->normalize_items( (array) ( $provider['commands'] ?? [] ), $icon ),
+                'search'   => isset( $provider['search'] ) && is_callable( $provider['search'] ),
+            ];
+        }
+
+        return $out;
+    }
+
+    /**
+     * Fill in the item shape the palette renders.
+     *
+     * @param array  $items Raw items from a provider.
+     * @param string $icon  Default icon.
+     * @return array<int, array<string, mixed>>
+     */
+    private function normalize_items( array $items, string $icon ): array {
+        $out = [];
+
+        foreach ( $items as $item ) {
+            if ( ! is_array( $item ) || empty( $item['title'] ) ) {
+                continue;
+            }
+
+            $out[] = array_merge( $item, [
+                'type'        => $item['type'] ?? 'command',
+                'icon'        => $item['icon'] ?? $icon,
+                'title'       => (string) $item['title'],
+                'subtitle'    => (string) ( $item['subtitle'] ?? '' ),
+                'description' => (string) ( $item['description'] ?? '' ),
+                'url'         => isset( $item['url'] ) ? esc_url_raw( (string) $item['url'] ) : '',
+                'action'      => $item['action'] ?? null,
+            ] );
+        }
+
+        return $out;
+    }
+
     // ── Recent Pages ──────────────────────────────────────────
 
     /**
@@ -416,56 +649,384 @@ class Command_Palette extends Module_Base {
         return array_slice( $recent, 0, $count );
     }
 
+    /**
+     * Frecency weights for tracked pages, keyed by path + query so they
+     * match item URLs whatever host form they use. Visits count for less
+     * as they age (buckets after Firefox's frecency); the top page is 1.
+     *
+     * @return array<string, float>
+     */
+    private function get_frecency(): array {
+        $user_id = get_current_user_id();
+        $recent  = $user_id ? get_user_meta( $user_id, 'wpt_recent_pages', true ) : [];
+        if ( ! is_array( $recent ) ) {
+            return [];
+        }
+
+        $now    = time();
+        $scores = [];
+
+        foreach ( $recent as $page ) {
+            if ( empty( $page['url'] ) ) {
+                continue;
+            }
+
+            // Entries tracked before visit counts existed have neither field.
+            $visits = max( 1, (int) ( $page['visits'] ?? 1 ) );
+            $age    = empty( $page['last_visit'] ) ? PHP_INT_MAX : ( $now - (int) $page['last_visit'] ) / DAY_IN_SECONDS;
+
+            if ( $age <= 4 ) {
+                $weight = 100;
+            } elseif ( $age <= 14 ) {
+                $weight = 70;
+            } elseif ( $age <= 31 ) {
+                $weight = 50;
+            } elseif ( $age <= 90 ) {
+                $weight = 30;
+            } else {
+                $weight = 10;
+            }
+
+            $key            = $this->normalize_url( (string) $page['url'] );
+            $scores[ $key ] = ( $scores[ $key ] ?? 0 ) + $visits * $weight;
+        }
+
+        $max = $scores ? max( $scores ) : 0;
+        if ( $max <= 0 ) {
+            return [];
+        }
+
+        return array_map( function( $score ) use ( $max ) {
+            return round( $score / $max, 3 );
+        }, $scores );
+    }
+
+    /**
+     * Path + query of a URL, the form the palette compares URLs in.
+     *
+     * @param string $url URL.
+     * @return string
+     */
+    private function normalize_url( string $url ): string {
+        $url = (string) preg_replace( '#^[a-z][a-z0-9+.-]*://[^/]+#i', '', $url );
+        return (string) preg_replace( '/#.*$/', '', $url );
+    }
+
     // ── AJAX: Content Search ──────────────────────────────────
 
     /**
-     * AJAX handler for content search (posts/pages by title).
+     * AJAX handler for content search, and for the search sources of
+     * providers registered in PHP (`provider` param).
+     *
+     * Content search takes optional filters — `post_type`, `status`,
+     * `author` — and a `page`. With a filter set the query may be empty,
+     * listing the most recently modified matches. Responds with
+     * `{ items, more }` so the palette can offer "load more".
      */
     public function ajax_content_search(): void {
         check_ajax_referer( 'wpt_palette_search', 'nonce' );
 
+        $provider_id = isset( $_GET['provider'] ) ? sanitize_key( wp_unslash( $_GET['provider'] ) ) : 'content';
+        $query       = isset( $_GET['q'] ) ? sanitize_text_field( wp_unslash( $_GET['q'] ) ) : '';
+        $page        = isset( $_GET['page'] ) ? max( 1, absint( $_GET['page'] ) ) : 1;
+
+        if ( $provider_id === 'users' ) {
+            $this->user_search( $query, $page );
+            return;
+        }
+
+        if ( $provider_id !== 'content' ) {
+            $this->provider_search( $provider_id, $query );
+            return;
+        }
+
         if ( ! current_user_can( 'edit_posts' ) ) {
             wp_send_json_error( [ 'message' => 'Unauthorized' ], 403 );
         }
 
-        $query = isset( $_GET['q'] ) ? sanitize_text_field( wp_unslash( $_GET['q'] ) ) : '';
+        $post_types = array_keys( $this->get_searchable_post_types() );
+        $post_type  = isset( $_GET['post_type'] ) ? sanitize_key( wp_unslash( $_GET['post_type'] ) ) : '';
+        $status     = isset( $_GET['status'] ) ? sanitize_key( wp_unslash( $_GET['status'] ) ) : '';
+        $author     = isset( $_GET['author'] ) ? absint( $_GET['author'] ) : 0;
+        $filtered   = $post_type !== '' || $status !== '' || $author > 0;
 
-        if ( strlen( $query ) < 2 ) {
-            wp_send_json_success( [] );
+        if ( strlen( $query ) < 2 && ! $filtered ) {
+            wp_send_json_success( [ 'items' => [], 'more' => false ] );
+        }
+
+        if ( $post_type !== '' && ! in_array( $post_type, $post_types, true ) ) {
+            wp_send_json_error( [ 'message' => 'Invalid post type' ], 400 );
         }
 
-        $results = new \WP_Query( [
-            's'              => $query,
-            'post_type'      => [ 'post', 'page' ],
-            'post_status'    => [ 'publish', 'draft', 'pending' ],
-            'posts_per_page' => 5,
+        $statuses = [ 'publish', 'draft', 'pending', 'future', 'private' ];
+        $args     = [
+            'post_type'      => $post_type !== '' ? $post_type : array_values( array_intersect( [ 'post', 'page' ], $post_types ) ),
+            'post_status'    => in_array( $status, $statuses, true ) ? $status : $statuses,
+            'posts_per_page' => self::SEARCH_PAGE_SIZE + 1, // One extra row tells us whether there is more.
+            'offset'         => ( $page - 1 ) * self::SEARCH_PAGE_SIZE,
             'no_found_rows'  => true,
             'fields'         => 'ids',
-        ] );
+            // Private posts only when the user may read them, as in the admin list tables.
+            'perm'           => 'readable',
+        ];
+
+        // Attachments only ever have the "inherit" status.
+        if ( $post_type === 'attachment' ) {
+            $args['post_status'] = 'inherit';
+        }
+        if ( $query !== '' ) {
+            $args['s'] = $query;
+        } else {
+            $args['orderby'] = 'modified';
+        }
+        if ( $author > 0 ) {
+            $args['author'] = $author;
+        }
+
+        $results = new \WP_Query( $args );
+        $ids     = array_map( 'intval', (array) $results->posts );
+        $more    = count( $ids ) > self::SEARCH_PAGE_SIZE;
 
         $items = [];
-        if ( $results->have_posts() ) {
-            foreach ( $results->posts as $post_id ) {
-                $post_type_obj = get_post_type_object( get_post_type( $post_id ) );
-                $icon = 'dashicons-admin-post';
-                if ( $post_type_obj && $post_type_obj->menu_icon ) {
-                    $icon = $post_type_obj->menu_icon;
-                } elseif ( get_post_type( $post_id ) === 'page' ) {
-                    $icon = 'dashicons-admin-page';
-                }
+        foreach ( array_slice( $ids, 0, self::SEARCH_PAGE_SIZE ) as $post_id ) {
+            $items[] = $this->content_item( $post_id );
+        }
 
-                $items[] = [
-                    'type'     => 'content',
-                    'icon'     => $icon,
-                    'title'    => get_the_title( $post_id ),
-                    'subtitle' => $post_type_obj ? $post_type_obj->labels->singular_name : __( 'Content', 'wptransformed' ),
-                    'url'      => get_edit_post_link( $post_id, 'raw' ),
-                    'action'   => null,
-                ];
+        wp_send_json_success( [ 'items' => $items, 'more' => $more ] );
+    }
+
+    /**
+     * Palette item for a post, page or attachment, with its secondary
+     * actions (view, copy URL, trash).
+     *
+     * @param int $post_id Post ID.
+     * @return array<string, mixed>
+     */
+    private function content_item( int $post_id ): array {
+        $post          = get_post( $post_id );
+        $post_type_obj = get_post_type_object( $post->post_type );
+        $is_attachment = $post->post_type === 'attachment';
+
+        $icon = 'dashicons-admin-post';
+        if ( $is_attachment ) {
+            $icon = 'dashicons-admin-media';
+        } elseif ( $post_type_obj && is_string( $post_type_obj->menu_icon ) && strpos( $post_type_obj->menu_icon, 'dashicons-' ) === 0 ) {
+            $icon = $post_type_obj->menu_icon;
+        } elseif ( $post->post_type === 'page' ) {
+            $icon = 'dashicons-admin-page';
+        }
+
+        $status_obj  = get_post_status_object( $post->post_status );
+        $author      = get_the_author_meta( 'display_name', (int) $post->post_author );
+        $description = [];
+        if ( ! $is_attachment && $status_obj ) {
+            $description[] = $status_obj->label;
+        }
+        if ( $author ) {
+            $description[] = $author;
+        }
+        $description[] = sprintf(
+            /* translators: %s: human-readable time difference */
+            __( '%s ago', 'wptransformed' ),
+            human_time_diff( (int) get_post_modified_time( 'U', true, $post ), time() )
+        );
+
+        $title     = get_the_title( $post );
+        $permalink = $is_attachment ? (string) wp_get_attachment_url( $post_id ) : (string) get_permalink( $post );
+        $secondary = [];
+
+        if ( $is_attachment || $post->post_status === 'publish' ) {
+            $secondary[] = [ 'label' => __( 'View', 'wptransformed' ), 'icon' => 'dashicons-visibility', 'url' => $permalink ];
+        } elseif ( get_preview_post_link( $post ) ) {
+            $secondary[] = [ 'label' => __( 'Preview', 'wptransformed' ), 'icon' => 'dashicons-visibility', 'url' => get_preview_post_link( $post ) ];
+        }
+        if ( $permalink !== '' ) {
+            $secondary[] = [ 'label' => __( 'Copy URL', 'wptransformed' ), 'icon' => 'dashicons-admin-links', 'copy' => $permalink ];
+        }
+        // Media goes through the library's own delete flow (MEDIA_TRASH is usually off).
+        if ( ! $is_attachment && current_user_can( 'delete_post', $post_id ) ) {
+            $secondary[] = [
+                'label' => __( 'Trash', 'wptransformed' ),
+                'icon'  => 'dashicons-trash',
+                'run'   => [
+                    'ajax'         => 'wpt_palette_trash_post',
+                    'nonce'        => $this->trash_nonce(),
+                    'nonceAction'  => 'wpt_palette_trash_post',
+                    'data'         => [ 'post_id' => $post_id ],
+                    /* translators: {title}: post title — keep the braces. */
+                    'confirm'      => __( 'Move "{title}" to the Trash?', 'wptransformed' ),
+                    'confirmLabel' => __( 'Move to Trash', 'wptransformed' ),
+                ],
+            ];
+        }
+
+        return [
+            'type'        => 'content',
+            'icon'        => $icon,
+            'title'       => $title !== '' ? $title : __( '(no title)', 'wptransformed' ),
+            'subtitle'    => $post_type_obj ? $post_type_obj->labels->singular_name : __( 'Content', 'wptransformed' ),
+            'description' => implode( ' · ', $description ),
+            'url'         => get_edit_post_link( $post_id, 'raw' ),
+            'action'      => null,
+            'secondary'   => $secondary,
+        ];
+    }
+
+    /**
+     * One trash nonce per request, shared by every result.
+     *
+     * @return string
+     */
+    private function trash_nonce(): string {
+        static $nonce = null;
+        if ( $nonce === null ) {
+            $nonce = wp_create_nonce( 'wpt_palette_trash_post' );
+        }
+        return $nonce;
+    }
+
+    /**
+     * Post types content search may be scoped to: public ones with an
+     * admin UI that the current user can edit.
+     *
+     * @return array<string, \WP_Post_Type>
+     */
+    private function get_searchable_post_types(): array {
+        $types = [];
+        foreach ( get_post_types( [ 'show_ui' => true, 'public' => true ], 'objects' ) as $name => $type ) {
+            if ( current_user_can( $type->cap->edit_posts ) ) {
+                $types[ $name ] = $type;
             }
         }
+        return $types;
+    }
+
+    /**
+     * Searchable post types for the filter chips.
+     *
+     * @return array<int, array{name: string, label: string}>
+     */
+    private function get_searchable_post_types_for_js(): array {
+        $out = [];
+        foreach ( $this->get_searchable_post_types() as $name => $type ) {
+            $out[] = [ 'name' => $name, 'label' => $type->labels->name ];
+        }
+        return $out;
+    }
+
+    /**
+     * Users matching the query (`@` scope). Selecting one in the palette
+     * filters content search by that author.
+     *
+     * @param string $query Search query.
+     * @param int    $page  1-based page.
+     */
+    private function user_search( string $query, int $page ): void {
+        if ( ! current_user_can( 'list_users' ) ) {
+            wp_send_json_error( [ 'message' => 'Unauthorized' ], 403 );
+        }
+
+        $args = [
+            'number'  => self::SEARCH_PAGE_SIZE + 1,
+            'offset'  => ( $page - 1 ) * self::SEARCH_PAGE_SIZE,
+            'orderby' => 'display_name',
+            'fields'  => [ 'ID', 'display_name', 'user_email' ],
+        ];
+        if ( $query !== '' ) {
+            $args['search']         = '*' . $query . '*';
+            $args['search_columns'] = [ 'user_login', 'user_nicename', 'user_email', 'display_name' ];
+        }
+
+        $users = ( new \WP_User_Query( $args ) )->get_results();
+        $more  = count( $users ) > self::SEARCH_PAGE_SIZE;
+        $items = [];
+
+        foreach ( array_slice( $users, 0, self::SEARCH_PAGE_SIZE ) as $user ) {
+            $user_id = (int) $user->ID;
+
+            $items[] = [
+                'type'        => 'user',
+                'icon'        => 'dashicons-admin-users',
+                'title'       => $user->display_name,
+                'subtitle'    => __( 'Users', 'wptransformed' ),
+                'description' => $user->user_email,
+                'url'         => admin_url( 'edit.php?author=' . $user_id ),
+                'action'      => 'filter-author',
+                'keepOpen'    => true,
+                'id'          => $user_id,
+                'secondary'   => [
+                    [ 'label' => __( 'Edit User', 'wptransformed' ), 'icon' => 'dashicons-edit', 'url' => get_edit_user_link( $user_id ) ],
+                    [ 'label' => __( 'All Posts', 'wptransformed' ), 'icon' => 'dashicons-admin-post', 'url' => admin_url( 'edit.php?author=' . $user_id ) ],
+                    [ 'label' => __( 'Copy Email', 'wptransformed' ), 'icon' => 'dashicons-email', 'copy' => $user->user_email ],
+                ],
+            ];
+        }
+
+        wp_send_json_success( [ 'items' => $items, 'more' => $more ] );
+    }
+
+    /**
+     * Run a PHP provider's search callable and send its items.
+     *
+     * @param string $provider_id Provider ID.
+     * @param string $query       Search query.
+     */
+    private function provider_search( string $provider_id, string $query ): void {
+        $providers = $this->get_providers();
+        $provider  = $providers[ $provider_id ] ?? null;
+
+        // get_providers() already dropped providers the user cannot access.
+        if ( ! $provider || ! isset( $provider['search'] ) || ! is_callable( $provider['search'] ) ) {
+            wp_send_json_error( [ 'message' => 'Unknown provider' ], 404 );
+        }
+
+        if ( strlen( $query ) < max( 1, (int) ( $provider['min_chars'] ?? 2 ) ) ) {
+            wp_send_json_success( [] );
+        }
+
+        $items = call_user_func( $provider['search'], $query );
+
+        wp_send_json_success( $this->normalize_items( is_array( $items ) ? $items : [], $provider['icon'] ?? 'dashicons-admin-generic' ) );
+    }
+
+    // ── AJAX: Flush Object Cache ──────────────────────────────
+
+    /**
+     * AJAX handler for the "Flush Object Cache" quick action.
+     */
+    public function ajax_flush_cache(): void {
+        check_ajax_referer( 'wpt_palette_flush_cache', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => 'Unauthorized' ], 403 );
+        }
+
+        if ( ! wp_cache_flush() ) {
+            wp_send_json_error( [ 'message' => __( 'The object cache could not be flushed.', 'wptransformed' ) ] );
+        }
 
-        wp_send_json_success( $items );
+        wp_send_json_success( [ 'message' => __( 'Object cache flushed.', 'wptransformed' ) ] );
+    }
+
+    // ── AJAX: Trash Post ──────────────────────────────────────
+
+    /**
+     * AJAX handler for the "Trash" secondary action on content results.
+     */
+    public function ajax_trash_post(): void {
+        check_ajax_referer( 'wpt_palette_trash_post', 'nonce' );
+
+        $post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+        if ( ! $post_id || ! current_user_can( 'delete_post', $post_id ) ) {
+            wp_send_json_error( [ 'message' => 'Unauthorized' ], 403 );
+        }
+
+        if ( ! wp_trash_post( $post_id ) ) {
+            wp_send_json_error( [ 'message' => __( 'The item could not be moved to the Trash.', 'wptransformed' ) ] );
+        }
+
+        wp_send_json_success( [ 'message' => __( 'Moved to the Trash.', 'wptransformed' ) ] );
     }
 
     // ── AJAX: Track Recent Page ───────────────────────────────
@@ -494,17 +1055,25 @@ class Command_Palette extends Module_Base {
             $recent = [];
         }
 
-        $recent = array_filter( $recent, function( $item ) use ( $url ) {
-            return ( $item['url'] ?? '' ) !== $url;
+        // Carry the visit count over from the entry being replaced; it feeds frecency.
+        $visits = 0;
+        $recent = array_filter( $recent, function( $item ) use ( $url, &$visits ) {
+            if ( ( $item['url'] ?? '' ) !== $url ) {
+                return true;
+            }
+            $visits = (int) ( $item['visits'] ?? 1 );
+            return false;
         } );
 
         array_unshift( $recent, [
-            'type'     => 'recent',
-            'icon'     => 'dashicons-clock',
-            'title'    => $title,
-            'subtitle' => __( 'Recent Pages', 'wptransformed' ),
-            'url'      => $url,
-            'action'   => null,
+            'type'       => 'recent',
+            'icon'       => 'dashicons-clock',
+            'title'      => $title,
+            'subtitle'   => __( 'Recent Pages', 'wptransformed' ),
+            'url'        => $url,
+            'action'     => null,
+            'visits'     => $visits + 1,
+            'last_visit' => time(),
         ] );
 
         $recent = array_slice( $recent, 0, 20 );
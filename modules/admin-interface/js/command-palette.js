@@ -1,9 +1,41 @@
 /**
- * Command Palette — Vanilla JS (~8KB)
+ * Command Palette — Vanilla JS
  *
  * Keyboard-driven searchable overlay for WP admin pages,
  * modules, quick actions, and content search.
  *
+ * Results come from providers. The built-in ones (admin index, content
+ * search, providers declared in PHP through `wpt_command_palette_providers`)
+ * are registered here; any script that depends on 'wpt-command-palette'
+ * can add its own:
+ *
+ *     wpt.palette.registerProvider({
+ *         id:       'my-module',
+ *         label:    'My Module',
+ *         commands: [ { title: 'Do Thing', icon: 'dashicons-star-filled', action: 'my-thing' } ],
+ *         search:   function (query, context) { return fetchItems(query, context.signal); },
+ *         actions:  { 'my-thing': function (item) { ... } }
+ *     });
+ *
+ * Items with a `run` spec execute in place instead of navigating: the
+ * palette prompts for each argument, asks for confirmation when the spec
+ * has `confirm`, posts the AJAX action and reports the result in a toast.
+ *
+ *     run: {
+ *         ajax:        'wpt_cron_run_now',            // admin-ajax action
+ *         nonce:       '…', nonceAction: 'wpt_cron_nonce',
+ *         data:        { … },                         // fixed POST fields
+ *         args:        [ { name: 'hook', label: 'Hook', source: 'cron', valueKey: 'hook' } ],
+ *         confirm:     'Run "{hook}" now?',
+ *         success:     'Event triggered.'             // when the response has no message
+ *     }
+ *
+ * A prefix scopes the input: `>` commands only, `@` users, `#` posts,
+ * `/` pages, `media:` attachments. Content results can be narrowed further
+ * with the filter chips (post type, status, author), page in more results,
+ * and offer `secondary` actions — Tab cycles through them, Shift+Enter
+ * runs the highlighted one (or the first).
+ *
  * @package WPTransformed
  */
 (function () {
@@ -17,6 +49,7 @@
     var SHORTCUT_KEY = (cfg.shortcut || 'mod+k').split('+').pop();
     var items        = cfg.items || [];
     var recentPages  = cfg.recentPages || [];
+    var frecency     = cfg.frecency || {};
     var i18n         = cfg.i18n || {};
 
     /* ── DOM refs ────────────────────────────────────────── */
@@ -24,6 +57,7 @@
     var root    = document.getElementById('wpt-command-palette');
     var input   = document.getElementById('wpt-palette-input');
     var listEl  = document.getElementById('wpt-palette-results');
+    var filtersEl = document.getElementById('wpt-palette-filters');
 
     if (!root || !input || !listEl) return;
 
@@ -33,7 +67,121 @@
     var activeIndex   = -1;
     var visibleItems  = [];  // flat array of currently displayed result objects
     var searchTimer   = null;
-    var ajaxController = null;
+    var searchController = null;
+    var searchGeneration = 0;
+    var currentQuery  = '';
+
+    // In-place runs move the palette through these modes; `pending` holds
+    // the run being prompted for.
+    var mode          = 'search';  // search | argument | confirm | running
+    var pending       = null;
+    var savedQuery    = '';
+    var placeholder   = input.getAttribute('placeholder') || '';
+
+    var MAX_ROUNDS    = 50;  // cap for `repeat` runs
+    var toastWrap     = null;
+
+    var actionIndex   = -1;  // highlighted secondary action of the active item; -1 = primary
+    var searching     = 0;   // async searches still out for the current query
+    var remotePages   = {};  // provider id → { query, context, page, more, loading }
+    var filters       = { postType: '', status: '', author: null };
+
+    // Input prefixes that narrow the search to one source.
+    var SCOPES = [ { id: 'commands', prefix: '>' } ];
+    if (cfg.searchUsers) {
+        SCOPES.push({ id: 'users', prefix: '@', provider: 'users' });
+    }
+    if (cfg.searchContent) {
+        SCOPES.push(
+            { id: 'media', prefix: 'media:', provider: 'content', postType: 'attachment' },
+            { id: 'posts', prefix: '#', provider: 'content', postType: 'post' },
+            { id: 'pages', prefix: '/', provider: 'content', postType: 'page' }
+        );
+    }
+
+    // Active filter chips without a prefix scope the search to content.
+    var CONTENT_SCOPE = { id: 'content', prefix: '', provider: 'content' };
+
+    var providers      = [];  // sorted by priority
+    var providerById   = {};
+    var localResults   = {};  // provider id → matched commands for the current query
+    var remoteResults  = {};  // provider id → async results for the current query
+
+    var api = wpt.api.client({
+        ajaxUrl:     cfg.ajaxUrl,
+        nonce:       cfg.nonce,
+        nonceAction: 'wpt_palette_search'
+    });
+
+    /* ── Providers ───────────────────────────────────────── */
+
+    /**
+     * Register a result provider. Re-registering an id replaces it.
+     *
+     * @param {Object} def
+     *   id        unique id (required)
+     *   label     group heading for its results
+     *   priority  group order, lower first (default 50)
+     *   icon      default dashicon for its items
+     *   commands  array of items, or function () → items, fuzzy-matched locally
+     *   search    function (query, context) → items, or { items, more } when
+     *             there are further pages, or a Promise of either; context has
+     *             { signal, api, page, filters } — the signal aborts when the
+     *             query changes, page is 1-based, filters are the content chips
+     *   minChars  minimum query length before search() runs (default 2)
+     *   scoped    only search when the input's prefix scopes to this provider
+     *   group     function (item) → group heading (default: label)
+     *   render    function (item, escapeHtml) → HTML for the item text
+     *   actions   map of action name → function (item) run when an item with
+     *             that `action` is selected; the palette closes first unless
+     *             the item has `keepOpen`
+     */
+    function registerProvider(def) {
+        if (!def || !def.id) return;
+
+        unregisterProvider(def.id);
+
+        var provider = Object.assign({
+            label:    def.id,
+            priority: 50,
+            minChars: 2,
+            actions:  {}
+        }, def);
+
+        providers.push(provider);
+        providers.sort(function (a, b) {
+            return a.priority - b.priority;
+        });
+        providerById[provider.id] = provider;
+
+        if (isOpen && currentQuery) {
+            runSearch(currentQuery);
+        }
+    }
+
+    function unregisterProvider(id) {
+        if (!providerById[id]) return;
+        delete providerById[id];
+        delete localResults[id];
+        delete remoteResults[id];
+        providers = providers.filter(function (p) {
+            return p.id !== id;
+        });
+    }
+
+    /**
+     * Stamp items with their provider so selection can find its handlers.
+     */
+    function tagItems(provider, list) {
+        return (list || []).map(function (item) {
+            return Object.assign({ icon: provider.icon }, item, { provider: provider.id });
+        });
+    }
+
+    function providerCommands(provider) {
+        var list = typeof provider.commands === 'function' ? provider.commands() : provider.commands;
+        return Array.isArray(list) ? list : [];
+    }
 
     /* ── Open / Close ────────────────────────────────────── */
 
@@ -42,14 +190,12 @@
         isOpen = true;
         root.classList.remove('wpt-palette-hidden');
         input.value = '';
+        currentQuery = '';
         activeIndex = -1;
         input.setAttribute('aria-expanded', 'true');
 
-        if (cfg.showRecent && recentPages.length > 0) {
-            renderResults(recentPages, i18n.recentPages || 'Recent Pages');
-        } else {
-            listEl.innerHTML = '';
-        }
+        filters = { postType: '', status: '', author: null };
+        renderEmptyQuery();
 
         requestAnimationFrame(function () {
             input.focus();
@@ -67,15 +213,10 @@
         listEl.innerHTML = '';
         activeIndex = -1;
         visibleItems = [];
+        showFilters(false);
 
-        if (searchTimer) {
-            clearTimeout(searchTimer);
-            searchTimer = null;
-        }
-        if (ajaxController) {
-            ajaxController.abort();
-            ajaxController = null;
-        }
+        cancelSearch();
+        leaveRunMode();
     }
 
     /* ── Keyboard Shortcut ───────────────────────────────── */
@@ -101,7 +242,17 @@
         switch (e.key) {
             case 'Escape':
                 e.preventDefault();
-                close();
+                if (mode === 'argument' || mode === 'confirm') {
+                    backToSearch();
+                } else {
+                    close();
+                }
+                break;
+            case 'Backspace':
+                if (mode === 'argument' && input.value === '') {
+                    e.preventDefault();
+                    backToSearch();
+                }
                 break;
             case 'ArrowDown':
                 e.preventDefault();
@@ -113,11 +264,14 @@
                 break;
             case 'Enter':
                 e.preventDefault();
-                selectCurrent();
+                selectCurrent(e.shiftKey);
                 break;
             case 'Tab':
-                // Focus trap: keep focus within palette.
+                // Focus trap: keep focus within palette; Tab cycles secondary actions.
                 e.preventDefault();
+                if (mode === 'search') {
+                    cycleAction(e.shiftKey ? -1 : 1);
+                }
                 input.focus();
                 break;
         }
@@ -136,137 +290,622 @@
     input.addEventListener('input', function () {
         var query = input.value.trim();
 
-        if (searchTimer) {
-            clearTimeout(searchTimer);
+        if (mode === 'argument') {
+            renderArgument(query);
+            return;
+        }
+        if (mode !== 'search') return;
+
+        cancelSearch();
+        currentQuery = query;
+
+        if (query === '' && !hasFilters()) {
+            renderEmptyQuery();
+            return;
+        }
+
+        runSearch(query);
+    });
+
+    function renderEmptyQuery() {
+        showFilters(false);
+
+        if (cfg.showRecent && recentPages.length > 0) {
+            renderResults(recentPages, i18n.recentPages || 'Recent Pages');
+        } else {
+            listEl.innerHTML = '';
+            visibleItems = [];
+            activeIndex = -1;
+        }
+    }
+
+    /* ── Search ──────────────────────────────────────────── */
+
+    /**
+     * Match every provider's commands locally, render, then query the
+     * async sources after a short debounce. Each source re-renders as it
+     * answers; answers for an outdated query are dropped.
+     *
+     * A scope prefix (or an active content filter) skips the local
+     * commands — except for `>`, which keeps only them — and limits the
+     * async search to the scope's provider, which then runs even for an
+     * empty query.
+     */
+    function runSearch(raw) {
+        cancelSearch();
+
+        var parsed = parseScope(raw);
+        var scope  = parsed.scope || (hasFilters() ? CONTENT_SCOPE : null);
+        var query  = parsed.query;
+
+        localResults  = {};
+        remoteResults = {};
+        remotePages   = {};
+
+        renderFilters(scope);
+
+        if (!scope || scope.id === 'commands') {
+            providers.forEach(function (provider) {
+                var list = tagItems(provider, providerCommands(provider));
+                if (scope) {
+                    list = list.filter(function (item) {
+                        return item.action || item.run;
+                    });
+                }
+
+                var matched = fuzzySearch(query, list);
+                if (matched.length > 0) {
+                    localResults[provider.id] = matched;
+                }
+            });
+        }
+
+        var remote = providers.filter(function (provider) {
+            if (typeof provider.search !== 'function') return false;
+            if (scope) return scope.provider === provider.id;
+            return !provider.scoped && query.length >= provider.minChars;
+        });
+
+        searching = remote.length;
+        renderProviderResults();
+        if (remote.length === 0) return;
+
+        var generation = searchGeneration;
+        searchTimer = setTimeout(function () {
             searchTimer = null;
+            searchController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+            remote.forEach(function (provider) {
+                var context = {
+                    signal:  searchController ? searchController.signal : null,
+                    api:     api,
+                    page:    1,
+                    filters: scope && scope.provider === 'content' ? contentFilters(scope) : {}
+                };
+
+                Promise.resolve()
+                    .then(function () {
+                        return provider.search(query, context);
+                    })
+                    .then(function (found) {
+                        if (generation !== searchGeneration) return;
+
+                        var page = toPage(found);
+                        searching--;
+                        remoteResults[provider.id] = prepareRemote(provider, query, page.items);
+                        remotePages[provider.id]   = { query: query, context: context, page: 1, more: page.more };
+                        renderProviderResults();
+                    })
+                    .catch(function (err) {
+                        if (wpt.api.isAbort(err) || generation !== searchGeneration) return;
+                        searching--;
+                        renderProviderResults();
+                        // eslint-disable-next-line no-console
+                        console.warn('WPT Command Palette: provider "' + provider.id + '" search failed', err);
+                    });
+            });
+        }, 300);
+    }
+
+    /**
+     * Fetch the next page of a provider's results and append it.
+     */
+    function loadMore(providerId) {
+        var provider = providerById[providerId];
+        var state    = remotePages[providerId];
+        if (!provider || !state || state.loading) return;
+
+        var generation = searchGeneration;
+        var context    = Object.assign({}, state.context, { page: state.page + 1 });
+
+        state.loading = true;
+
+        Promise.resolve()
+            .then(function () {
+                return provider.search(state.query, context);
+            })
+            .then(function (found) {
+                if (generation !== searchGeneration) return;
+
+                var page  = toPage(found);
+                var added = prepareRemote(provider, state.query, page.items);
+
+                remoteResults[providerId] = (remoteResults[providerId] || []).concat(added);
+                state.page    = context.page;
+                state.more    = page.more;
+                state.loading = false;
+                renderProviderResults();
+
+                // Keep the keyboard where the new results start.
+                selectIndex(added.length > 0 ? visibleItems.indexOf(added[0]) : visibleItems.length - 1);
+            })
+            .catch(function (err) {
+                state.loading = false;
+                if (wpt.api.isAbort(err) || generation !== searchGeneration) return;
+                showToast(err.message, 'error');
+            });
+    }
+
+    /**
+     * Accept both plain item arrays and paged `{ items, more }` answers.
+     */
+    function toPage(found) {
+        if (Array.isArray(found)) return { items: found, more: false };
+        if (found && Array.isArray(found.items)) return { items: found.items, more: !!found.more };
+        return { items: [], more: false };
+    }
+
+    function prepareRemote(provider, query, list) {
+        return tagItems(provider, list).map(function (item) {
+            return withMatch(query, item);
+        });
+    }
+
+    /* ── Scopes & Filters ────────────────────────────────── */
+
+    /**
+     * Split a scope prefix off the raw input.
+     *
+     * @return {{scope: Object|null, query: string}}
+     */
+    function parseScope(raw) {
+        for (var i = 0; i < SCOPES.length; i++) {
+            var prefix = SCOPES[i].prefix;
+            if (raw.slice(0, prefix.length).toLowerCase() === prefix) {
+                return { scope: SCOPES[i], query: raw.slice(prefix.length).trim() };
+            }
         }
+        return { scope: null, query: raw };
+    }
 
-        if (query === '') {
-            if (cfg.showRecent && recentPages.length > 0) {
-                renderResults(recentPages, i18n.recentPages || 'Recent Pages');
+    function hasFilters() {
+        return !!(filters.postType || filters.status || filters.author);
+    }
+
+    /**
+     * Request params for content search: the scope's post type wins over
+     * the type chip; attachments have no status to filter on.
+     */
+    function contentFilters(scope) {
+        var params = {};
+        var type   = scope.postType || filters.postType;
+
+        if (type) params.post_type = type;
+        if (filters.status && type !== 'attachment') params.status = filters.status;
+        if (filters.author) params.author = filters.author.id;
+
+        return params;
+    }
+
+    /**
+     * Chips for post type, status and author. Shown while content search
+     * takes part: no scope with a query, or a content scope.
+     */
+    function renderFilters(scope) {
+        if (!filtersEl) return;
+
+        if (!cfg.searchContent || (scope ? scope.provider !== 'content' : currentQuery === '')) {
+            showFilters(false);
+            return;
+        }
+
+        var type = (scope && scope.postType) || filters.postType;
+        var html = chip('postType', '', i18n.allTypes || 'All types', type === '');
+
+        (cfg.postTypes || []).forEach(function (postType) {
+            html += chip('postType', postType.name, postType.label, type === postType.name);
+        });
+
+        if (type !== 'attachment') {
+            html += '<span class="wpt-palette-filters-sep" aria-hidden="true"></span>';
+            html += chip('status', '', i18n.anyStatus || 'Any status', filters.status === '');
+            (cfg.statuses || []).forEach(function (status) {
+                html += chip('status', status.name, status.label, filters.status === status.name);
+            });
+        }
+
+        if (filters.author) {
+            html += '<span class="wpt-palette-filters-sep" aria-hidden="true"></span>';
+            html += '<button type="button" class="wpt-palette-chip is-active" data-filter="author" data-value="" ' +
+                'aria-label="' + escapeHtml(i18n.removeFilter || 'Remove filter') + ': ' + escapeHtml(filters.author.name) + '">' +
+                escapeHtml((i18n.byAuthor || 'By %s').replace('%s', filters.author.name)) +
+                ' <span aria-hidden="true">&times;</span></button>';
+        }
+
+        filtersEl.innerHTML = html;
+        showFilters(true);
+    }
+
+    function chip(filter, value, label, active) {
+        return '<button type="button" class="wpt-palette-chip' + (active ? ' is-active' : '') + '" ' +
+            'data-filter="' + filter + '" data-value="' + escapeHtml(value) + '" aria-pressed="' + (active ? 'true' : 'false') + '">' +
+            escapeHtml(label) + '</button>';
+    }
+
+    function showFilters(visible) {
+        if (filtersEl) filtersEl.hidden = !visible;
+    }
+
+    if (filtersEl) {
+        // Keep focus (and the caret) in the input while clicking chips.
+        filtersEl.addEventListener('mousedown', function (e) {
+            e.preventDefault();
+        });
+
+        filtersEl.addEventListener('click', function (e) {
+            var el = e.target.closest ? e.target.closest('.wpt-palette-chip') : null;
+            if (!el) return;
+
+            var name  = el.getAttribute('data-filter');
+            var value = el.getAttribute('data-value') || '';
+
+            if (name === 'author') {
+                filters.author = null;
             } else {
-                listEl.innerHTML = '';
-                visibleItems = [];
-                activeIndex = -1;
+                // A typed type prefix would override the chip, so drop it.
+                var parsed = parseScope(input.value.trim());
+                if (name === 'postType' && parsed.scope && parsed.scope.postType) {
+                    input.value = parsed.query;
+                }
+                filters[name] = value;
             }
-            return;
+
+            currentQuery = input.value.trim();
+            if (currentQuery === '' && !hasFilters()) {
+                renderEmptyQuery();
+            } else {
+                runSearch(currentQuery);
+            }
+            input.focus();
+        });
+    }
+
+    /**
+     * Narrow content search to one author (primary action of `@` results).
+     */
+    function filterByAuthor(item) {
+        filters.author = { id: item.id, name: item.title };
+        input.value = '';
+        currentQuery = '';
+        runSearch('');
+        input.focus();
+    }
+
+    function cancelSearch() {
+        searchGeneration++;
+
+        if (searchTimer) {
+            clearTimeout(searchTimer);
+            searchTimer = null;
         }
+        if (searchController) {
+            searchController.abort();
+            searchController = null;
+        }
+    }
 
-        var localResults = fuzzySearch(query, items);
-        renderGroupedResults(localResults);
+    /**
+     * Flatten current results in provider order, each provider's local
+     * matches ahead of its async results.
+     */
+    function renderProviderResults() {
+        var merged = [];
+
+        providers.forEach(function (provider) {
+            var local  = localResults[provider.id] || [];
+            var remote = remoteResults[provider.id] || [];
+            var state  = remotePages[provider.id];
+
+            merged = merged.concat(local, remote);
+
+            if (state && state.more && remote.length > 0) {
+                merged.push({
+                    title:    i18n.loadMore || 'Load more results…',
+                    icon:     'dashicons-arrow-down-alt2',
+                    provider: provider.id,
+                    subtitle: remote[remote.length - 1].subtitle,  // stays in the last group
+                    loadMore: true
+                });
+            }
+        });
 
-        if (cfg.searchContent && query.length >= 2) {
-            searchTimer = setTimeout(function () {
-                ajaxContentSearch(query, localResults);
-            }, 300);
+        if (merged.length === 0 && searching > 0) {
+            renderMessage('', i18n.searching || 'Searching...', 'wpt-palette-loading');
+            return;
         }
-    });
 
-    /* ── Fuzzy Search ────────────────────────────────────── */
+        renderGroupedResults(merged);
+    }
+
+    /* ── Ranking ─────────────────────────────────────────── */
+
+    // Scorer weights. A matched character is worth SCORE_MATCH; bonuses
+    // reward matches at the start of the text, at word starts and in
+    // runs, and gaps between matched characters cost points.
+    var SCORE_MATCH       = 16;
+    var BONUS_FIRST_CHAR  = 10;
+    var BONUS_BOUNDARY    = 8;
+    var BONUS_CAMEL       = 7;
+    var BONUS_CONSECUTIVE = 6;
+    var BONUS_EXACT       = 50;
+    var PENALTY_GAP_START = 3;
+    var PENALTY_GAP_EXTEND = 1;
+    var PENALTY_LEADING   = 0.5;  // per character before the first match, capped
+    var MAX_LEADING       = 5;
+
+    // Keyword and description hits count for less than the same hit in
+    // the title; descriptions only match contiguous text.
+    var FIELD_WEIGHTS = { title: 1, keywords: 0.9, description: 0.6 };
+
+    // Points added for a fully "frecent" page (see frecencyBoost).
+    var FRECENCY_WEIGHT = 40;
 
     /**
-     * Score and filter items by query.
-     * Scoring: exact match (100) > starts-with (80) > word-starts-with (60) > contains (40) > fuzzy (20).
+     * Rank items by query: each whitespace-separated word must match the
+     * title, a keyword/alias or the description. Matched items are copies
+     * carrying `match` (score and highlight positions per field).
      */
     function fuzzySearch(query, list) {
-        var q = query.toLowerCase();
+        var words  = splitQuery(query);
         var scored = [];
 
+        if (words.length === 0) return list.slice();
+
         for (var i = 0; i < list.length; i++) {
-            var item = list[i];
-            var title = (item.title || '').toLowerCase();
-            var score = 0;
-
-            if (title === q) {
-                score = 100;
-            } else if (title.indexOf(q) === 0) {
-                score = 80;
-            } else if (wordStartsWith(title, q)) {
-                score = 60;
-            } else if (title.indexOf(q) !== -1) {
-                score = 40;
-            } else if (fuzzyCharMatch(title, q)) {
-                score = 20;
-            }
+            var match = matchItem(words, list[i]);
+            if (!match) continue;
 
-            if (score > 0) {
-                scored.push({ item: item, score: score });
-            }
+            scored.push({
+                item:  Object.assign({}, list[i], { match: match }),
+                score: match.score + frecencyBoost(list[i]),
+                index: i
+            });
         }
 
         scored.sort(function (a, b) {
-            return b.score - a.score;
+            return b.score - a.score || a.index - b.index;
         });
 
         return scored.map(function (s) { return s.item; });
     }
 
     /**
-     * Check if any word in title starts with query.
+     * Attach highlight positions to an item ranked elsewhere (async results),
+     * keeping it even when the query does not match locally.
      */
-    function wordStartsWith(title, query) {
-        var words = title.split(/[\s\-_/]+/);
-        for (var i = 0; i < words.length; i++) {
-            if (words[i].indexOf(query) === 0) return true;
+    function withMatch(query, item) {
+        var match = matchItem(splitQuery(query), item);
+        return match ? Object.assign({}, item, { match: match }) : item;
+    }
+
+    function splitQuery(query) {
+        return String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    function matchItem(words, item) {
+        var keywords = keywordList(item);
+        var result   = { score: 0, title: [], description: [] };
+
+        for (var w = 0; w < words.length; w++) {
+            var word = words[w];
+            var best = scoreField('title', word, item.title);
+
+            for (var k = 0; k < keywords.length; k++) {
+                best = better(best, scoreField('keywords', word, keywords[k]));
+            }
+            best = better(best, scoreField('description', word, item.description));
+
+            if (!best) return null;
+
+            result.score += best.score;
+            if (best.field === 'title' || best.field === 'description') {
+                result[best.field] = result[best.field].concat(best.positions);
+            }
+        }
+
+        // Whole query equals the title (or an alias): always first.
+        var whole = words.join(' ');
+        if ((item.title || '').toLowerCase() === whole || keywords.some(function (kw) { return kw.toLowerCase() === whole; })) {
+            result.score += BONUS_EXACT;
         }
-        return false;
+
+        return result;
+    }
+
+    function keywordList(item) {
+        var list = [].concat(item.keywords || [], item.aliases || []);
+        return list.filter(function (kw) {
+            return typeof kw === 'string' && kw !== '';
+        });
+    }
+
+    function better(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return b.score > a.score ? b : a;
+    }
+
+    function scoreField(field, word, text) {
+        if (!text) return null;
+
+        var found = field === 'description' ? substringScore(word, String(text)) : fuzzyScore(word, String(text));
+        if (!found) return null;
+
+        return { field: field, score: found.score * FIELD_WEIGHTS[field], positions: found.positions };
     }
 
     /**
-     * Fuzzy character match: all characters in query appear in title in order.
+     * Best alignment of query characters in text (in order, gaps allowed).
+     * Dynamic programming over (query char, text position): each cell holds
+     * the best score with that query character matched at that position,
+     * reached either from the previous position (a run) or across a gap.
+     *
+     * @return {Object|null} { score, positions } or null when not all characters match.
      */
-    function fuzzyCharMatch(title, query) {
-        var ti = 0;
-        for (var qi = 0; qi < query.length; qi++) {
-            var found = false;
-            while (ti < title.length) {
-                if (title[ti] === query[qi]) {
-                    ti++;
-                    found = true;
-                    break;
+    function fuzzyScore(query, text) {
+        var q = query.toLowerCase();
+        var t = text.toLowerCase();
+        var n = q.length;
+        var m = t.length;
+
+        if (n === 0 || n > m || !isSubsequence(q, t)) return null;
+
+        var bonus = [];
+        for (var b = 0; b < m; b++) {
+            bonus.push(positionBonus(text, b));
+        }
+
+        var NONE  = -Infinity;
+        var prev  = null;
+        var rows  = [];
+        var links = [];
+
+        for (var i = 0; i < n; i++) {
+            var row  = new Array(m);
+            var link = new Array(m);
+            var gapBest = NONE;
+            var gapFrom = -1;
+
+            for (var j = 0; j < m; j++) {
+                // Predecessors two or more positions back are reached across a gap.
+                if (prev && j >= 2) {
+                    gapBest -= PENALTY_GAP_EXTEND;
+                    if (prev[j - 2] - PENALTY_GAP_START > gapBest) {
+                        gapBest = prev[j - 2] - PENALTY_GAP_START;
+                        gapFrom = j - 2;
+                    }
+                }
+
+                row[j] = NONE;
+                if (t[j] !== q[i]) continue;
+
+                if (i === 0) {
+                    row[j] = SCORE_MATCH + bonus[j] - Math.min(j * PENALTY_LEADING, MAX_LEADING);
+                    continue;
+                }
+
+                var run = j >= 1 ? prev[j - 1] + BONUS_CONSECUTIVE : NONE;
+                if (run >= gapBest && run > NONE) {
+                    row[j] = SCORE_MATCH + bonus[j] + run;
+                    link[j] = j - 1;
+                } else if (gapBest > NONE) {
+                    row[j] = SCORE_MATCH + bonus[j] + gapBest;
+                    link[j] = gapFrom;
                 }
-                ti++;
             }
-            if (!found) return false;
+
+            rows.push(row);
+            links.push(link);
+            prev = row;
         }
-        return true;
-    }
 
-    /* ── AJAX Content Search ─────────────────────────────── */
+        var end  = -1;
+        var last = rows[n - 1];
+        for (var e = 0; e < m; e++) {
+            if (last[e] > NONE && (end === -1 || last[e] > last[end])) end = e;
+        }
+        if (end === -1) return null;
 
-    function ajaxContentSearch(query, localResults) {
-        if (ajaxController) {
-            ajaxController.abort();
+        var positions = [];
+        for (var r = n - 1, pos = end; r >= 0; r--) {
+            positions.unshift(pos);
+            pos = links[r][pos];
         }
 
-        if (typeof AbortController !== 'undefined') {
-            ajaxController = new AbortController();
+        return { score: last[end], positions: positions };
+    }
+
+    /**
+     * Contiguous match only, scored like a run found by fuzzyScore().
+     */
+    function substringScore(query, text) {
+        var at = text.toLowerCase().indexOf(query.toLowerCase());
+        if (at === -1) return null;
+
+        var positions = [];
+        for (var i = 0; i < query.length; i++) {
+            positions.push(at + i);
         }
 
-        var url = cfg.ajaxUrl + '?action=wpt_palette_search&nonce=' +
-            encodeURIComponent(cfg.nonce) + '&q=' + encodeURIComponent(query);
+        return {
+            score:     query.length * SCORE_MATCH + (query.length - 1) * BONUS_CONSECUTIVE + positionBonus(text, at),
+            positions: positions
+        };
+    }
 
-        var fetchOptions = { method: 'GET' };
-        if (ajaxController) {
-            fetchOptions.signal = ajaxController.signal;
+    function isSubsequence(q, t) {
+        for (var i = 0, j = 0; i < q.length; i++, j++) {
+            j = t.indexOf(q[i], j);
+            if (j === -1) return false;
         }
+        return true;
+    }
 
-        fetch(url, fetchOptions)
-            .then(function (resp) { return resp.json(); })
-            .then(function (data) {
-                if (data.success && Array.isArray(data.data) && data.data.length > 0) {
-                    // Merge content results with local results.
-                    var merged = localResults.concat(data.data);
-                    renderGroupedResults(merged);
-                }
-            })
-            .catch(function (err) {
-                // Ignore abort errors.
-                if (err.name !== 'AbortError') {
-                    // eslint-disable-next-line no-console
-                    console.warn('WPT Command Palette: content search failed', err);
-                }
+    function positionBonus(text, index) {
+        if (index === 0) return BONUS_FIRST_CHAR;
+
+        var before = text[index - 1];
+        var ch     = text[index];
+        if (/[\s\-_\/.:,()#]/.test(before)) return BONUS_BOUNDARY;
+        if (before.toLowerCase() === before && ch.toUpperCase() === ch && ch.toLowerCase() !== ch) return BONUS_CAMEL;
+        return 0;
+    }
+
+    /**
+     * Boost for pages the user visits often and recently. `cfg.frecency`
+     * maps tracked page paths to weights between 0 and 1.
+     */
+    function frecencyBoost(item) {
+        if (!item.url) return 0;
+        var weight = frecency[normalizeUrl(item.url)];
+        return weight ? weight * FRECENCY_WEIGHT : 0;
+    }
+
+    /**
+     * Path + query of an admin URL, so absolute and relative forms compare equal.
+     */
+    function normalizeUrl(url) {
+        return String(url)
+            .replace(/&amp;/g, '&')
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]+/i, '')
+            .replace(/#.*$/, '');
+    }
+
+    /* ── Remote Sources ──────────────────────────────────── */
+
+    /**
+     * Search function for a provider whose results come from the palette's
+     * AJAX endpoint (content search and providers declared in PHP).
+     */
+    function remoteSearch(providerId) {
+        return function (query, context) {
+            var params = Object.assign({ q: query, provider: providerId, page: context.page || 1 }, context.filters);
+
+            return context.api.get('wpt_palette_search', params, {
+                signal:  context.signal,
+                retries: 0
             });
+        };
     }
 
     /* ── Rendering ───────────────────────────────────────── */
@@ -286,7 +925,7 @@
         var groups = {};
         var groupOrder = [];
         for (var i = 0; i < resultItems.length; i++) {
-            var group = resultItems[i].subtitle || 'Other';
+            var group = groupFor(resultItems[i]);
             if (!groups[group]) {
                 groups[group] = [];
                 groupOrder.push(group);
@@ -309,12 +948,11 @@
                 var idx = visibleItems.length;
                 var itemId = 'wpt-palette-item-' + idx;
 
-                html += '<li id="' + itemId + '" class="wpt-palette-item" role="option" ' +
+                html += '<li id="' + itemId + '" class="wpt-palette-item' + (item.danger ? ' wpt-palette-item-danger' : '') + '" role="option" ' +
                     'aria-selected="false" data-index="' + idx + '">' +
                     '<span class="wpt-palette-item-icon dashicons ' + escapeHtml(item.icon || 'dashicons-admin-generic') + '" aria-hidden="true"></span>' +
-                    '<span class="wpt-palette-item-text">' +
-                    '<span class="wpt-palette-item-title">' + escapeHtml(item.title || '') + '</span>' +
-                    '</span></li>';
+                    '<span class="wpt-palette-item-text">' + renderItemText(item) + '</span>' +
+                    (mode === 'search' ? renderSecondary(item) : '') + '</li>';
 
                 visibleItems.push(item);
             }
@@ -322,6 +960,7 @@
 
         listEl.innerHTML = html;
         activeIndex = -1;
+        actionIndex = -1;
 
         var itemEls = listEl.querySelectorAll('.wpt-palette-item');
         for (var k = 0; k < itemEls.length; k++) {
@@ -330,6 +969,81 @@
         }
     }
 
+    /**
+     * Group heading for an item: its provider's group() or label, falling
+     * back to the item subtitle for items that have no provider.
+     */
+    function groupFor(item) {
+        var provider = item.provider ? providerById[item.provider] : null;
+        if (provider) {
+            return provider.group ? (provider.group(item) || provider.label) : provider.label;
+        }
+        return item.subtitle || 'Other';
+    }
+
+    /**
+     * Show a single non-selectable line under a heading (prompts, progress).
+     */
+    function renderMessage(heading, text, className) {
+        listEl.innerHTML = (heading ? '<li class="wpt-palette-group-label" role="presentation">' + escapeHtml(heading) + '</li>' : '') +
+            '<li class="' + (className || 'wpt-palette-no-results') + '">' + escapeHtml(text) + '</li>';
+        visibleItems = [];
+        activeIndex = -1;
+    }
+
+    /**
+     * Pills for an item's secondary actions (shown on the active row).
+     */
+    function renderSecondary(item) {
+        if (!item.secondary || item.secondary.length === 0) return '';
+
+        var html = '<span class="wpt-palette-item-actions">';
+        item.secondary.forEach(function (act, i) {
+            html += '<span class="wpt-palette-item-action" data-action-index="' + i + '">' +
+                (act.icon ? '<span class="dashicons ' + escapeHtml(act.icon) + '" aria-hidden="true"></span>' : '') +
+                escapeHtml(act.label || '') + '</span>';
+        });
+        return html + '</span>';
+    }
+
+    function renderItemText(item) {
+        var provider = item.provider ? providerById[item.provider] : null;
+        if (provider && provider.render) {
+            return provider.render(item, escapeHtml);
+        }
+
+        var match = item.match || {};
+        var html  = '<span class="wpt-palette-item-title">' + highlight(item.title || '', match.title) + '</span>';
+        if (item.description) {
+            html += '<span class="wpt-palette-item-subtitle">' + highlight(item.description, match.description) + '</span>';
+        }
+        return html;
+    }
+
+    /**
+     * Escape text, wrapping matched character positions in <mark>.
+     */
+    function highlight(text, positions) {
+        text = String(text);
+        if (!positions || positions.length === 0) return escapeHtml(text);
+
+        var marked = {};
+        positions.forEach(function (p) {
+            marked[p] = true;
+        });
+
+        var html  = '';
+        var start = 0;
+        for (var i = 1; i <= text.length; i++) {
+            if (i === text.length || !!marked[i] !== !!marked[start]) {
+                var part = escapeHtml(text.slice(start, i));
+                html += marked[start] ? '<mark>' + part + '</mark>' : part;
+                start = i;
+            }
+        }
+        return html;
+    }
+
     /**
      * Render a flat list of results with a single group label.
      */
@@ -345,17 +1059,25 @@
     function moveSelection(delta) {
         if (visibleItems.length === 0) return;
 
-        var prevIndex = activeIndex;
-        activeIndex += delta;
+        var next = activeIndex + delta;
+        if (next < 0) next = visibleItems.length - 1;
+        if (next >= visibleItems.length) next = 0;
 
-        if (activeIndex < 0) activeIndex = visibleItems.length - 1;
-        if (activeIndex >= visibleItems.length) activeIndex = 0;
+        selectIndex(next);
+    }
+
+    function selectIndex(index) {
+        if (index < 0 || index >= visibleItems.length) return;
 
-        if (prevIndex >= 0) {
-            var prevEl = listEl.querySelector('[data-index="' + prevIndex + '"]');
+        if (activeIndex >= 0) {
+            var prevEl = listEl.querySelector('[data-index="' + activeIndex + '"]');
             if (prevEl) prevEl.setAttribute('aria-selected', 'false');
         }
 
+        activeIndex = index;
+        actionIndex = -1;
+        markAction();
+
         var activeEl = listEl.querySelector('[data-index="' + activeIndex + '"]');
         if (activeEl) {
             activeEl.setAttribute('aria-selected', 'true');
@@ -364,17 +1086,56 @@
         }
     }
 
-    function selectCurrent() {
+    /**
+     * Step through the active item's secondary actions; past the last one
+     * the primary action is highlighted again.
+     */
+    function cycleAction(delta) {
+        var item  = visibleItems[activeIndex];
+        var count = item && item.secondary ? item.secondary.length : 0;
+        if (count === 0) return;
+
+        // Positions -1 (primary) … count - 1, wrapping both ways.
+        actionIndex = ((actionIndex + 1 + delta) % (count + 1) + count + 1) % (count + 1) - 1;
+        markAction();
+    }
+
+    function markAction() {
+        var pills = listEl.querySelectorAll('.wpt-palette-item-action');
+        for (var i = 0; i < pills.length; i++) {
+            var row = pills[i].closest('.wpt-palette-item');
+            var on  = row && parseInt(row.getAttribute('data-index'), 10) === activeIndex &&
+                parseInt(pills[i].getAttribute('data-action-index'), 10) === actionIndex;
+            pills[i].classList.toggle('is-active', !!on);
+        }
+    }
+
+    /**
+     * Enter runs the highlighted action; Shift+Enter runs the highlighted
+     * secondary action, or the first one when none is highlighted.
+     */
+    function selectCurrent(secondary) {
         if (activeIndex < 0 || activeIndex >= visibleItems.length) return;
-        executeItem(visibleItems[activeIndex]);
+
+        var item = visibleItems[activeIndex];
+        if (mode === 'search' && item.secondary && item.secondary.length > 0 && (secondary || actionIndex >= 0)) {
+            executeSecondary(item, actionIndex >= 0 ? actionIndex : 0);
+            return;
+        }
+        executeItem(item);
     }
 
     function onItemClick(e) {
         var el = e.currentTarget;
         var idx = parseInt(el.getAttribute('data-index'), 10);
-        if (!isNaN(idx) && idx >= 0 && idx < visibleItems.length) {
-            executeItem(visibleItems[idx]);
+        if (isNaN(idx) || idx < 0 || idx >= visibleItems.length) return;
+
+        var actionEl = e.target && e.target.closest ? e.target.closest('.wpt-palette-item-action') : null;
+        if (actionEl) {
+            executeSecondary(visibleItems[idx], parseInt(actionEl.getAttribute('data-action-index'), 10));
+            return;
         }
+        executeItem(visibleItems[idx]);
     }
 
     function onItemHover(e) {
@@ -388,6 +1149,8 @@
         }
 
         activeIndex = idx;
+        actionIndex = -1;
+        markAction();
         el.setAttribute('aria-selected', 'true');
         input.setAttribute('aria-activedescendant', el.id);
     }
@@ -397,9 +1160,33 @@
     function executeItem(item) {
         if (!item) return;
 
+        if (mode === 'argument') {
+            chooseArgument(item);
+            return;
+        }
+        if (mode === 'confirm') {
+            if (item.confirmed) {
+                executeRun();
+            } else {
+                backToSearch();
+            }
+            return;
+        }
+        if (mode === 'running') return;
+
+        if (item.loadMore) {
+            loadMore(item.provider);
+            return;
+        }
+
+        if (item.run) {
+            startRun(item);
+            return;
+        }
+
         if (item.action) {
-            close();
-            handleAction(item.action);
+            if (!item.keepOpen) close();
+            handleAction(item);
             return;
         }
 
@@ -410,44 +1197,415 @@
     }
 
     /**
-     * Handle quick actions by name.
+     * Run one of an item's secondary actions: `run` (in place), `copy`
+     * (text to the clipboard), `action` (a provider handler) or `url`.
      */
-    function handleAction(actionName) {
-        switch (actionName) {
-            case 'toggle-dark-mode':
-                document.body.classList.toggle('wpt-dark-mode');
-                var darkToggle = document.querySelector('.wpt-dark-mode-toggle');
-                if (darkToggle) darkToggle.click();
-                break;
+    function executeSecondary(item, index) {
+        var act = item && item.secondary ? item.secondary[index] : null;
+        if (!act) return;
 
-            case 'toggle-maintenance-mode':
-                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed&module=maintenance-mode';
-                break;
+        if (act.run) {
+            startRun(Object.assign({}, item, { run: act.run }));
+            return;
+        }
 
-            case 'clear-transients':
-                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed&module=database-cleanup';
-                break;
+        close();
 
-            case 'run-db-cleanup':
-                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed&module=database-cleanup';
-                break;
+        if (act.copy) {
+            copyText(act.copy).then(function (ok) {
+                showToast(ok ? (i18n.copied || 'Copied to clipboard.') : (i18n.copyFailed || 'Could not copy to the clipboard.'), ok ? 'success' : 'error');
+            });
+            return;
+        }
+        if (act.action) {
+            handleAction(Object.assign({}, item, { action: act.action }));
+            return;
+        }
+        if (act.url) {
+            window.location.href = act.url;
+        }
+    }
 
-            case 'export-settings':
-                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed';
-                break;
+    /**
+     * Run an item's action: its own provider's handler first, then any
+     * provider that handles the action name. Unclaimed actions are still
+     * dispatched as `wpt-palette-action` for listeners written before
+     * providers existed.
+     */
+    function handleAction(item) {
+        var name     = item.action;
+        var provider = item.provider ? providerById[item.provider] : null;
+        var handler  = provider && provider.actions[name];
 
-            case 'view-audit-log':
-                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed&module=audit-log';
-                break;
+        for (var i = 0; !handler && i < providers.length; i++) {
+            handler = providers[i].actions[name];
+        }
 
-            default:
-                document.dispatchEvent(new CustomEvent('wpt-palette-action', {
-                    detail: { action: actionName }
-                }));
-                break;
+        if (handler) {
+            handler(item);
+            return;
         }
+
+        if (item.url) {
+            window.location.href = item.url;
+            return;
+        }
+
+        document.dispatchEvent(new CustomEvent('wpt-palette-action', {
+            detail: { action: name, item: item }
+        }));
+    }
+
+    /* ── In-place Runs ───────────────────────────────────── */
+
+    function startRun(item) {
+        var run = item.run;
+
+        pending = {
+            item:    item,
+            run:     run,
+            step:    0,
+            data:    Object.assign({}, run.data),
+            labels:  { title: item.title || '' },  // display values for {placeholders}
+            confirm: run.confirm,
+            success: run.success
+        };
+        savedQuery = input.value;
+
+        nextStep();
+    }
+
+    function nextStep() {
+        var args = pending.run.args || [];
+
+        if (pending.step < args.length) {
+            promptArgument();
+        } else if (pending.confirm) {
+            promptConfirm();
+        } else {
+            executeRun();
+        }
+    }
+
+    function currentArg() {
+        return pending.run.args[pending.step];
+    }
+
+    function promptArgument() {
+        var arg = currentArg();
+
+        mode = 'argument';
+        cancelSearch();
+        showFilters(false);
+        input.readOnly = false;
+        input.value = '';
+        input.setAttribute('placeholder', arg.placeholder || arg.label || arg.name);
+        renderArgument('');
+        input.focus();
     }
 
+    /**
+     * List the choices for the current argument: its static options, the
+     * results of another provider's search (`source`), or the typed text.
+     */
+    function renderArgument(query) {
+        var arg     = currentArg();
+        var heading = pending.item.title + ' \u203a ' + (arg.label || arg.name);
+
+        cancelSearch();
+
+        if (Array.isArray(arg.options)) {
+            var options = arg.options.map(function (option) {
+                return argumentOption(option, heading);
+            });
+            renderGroupedResults(query ? fuzzySearch(query, options) : options);
+            moveSelection(1);
+            return;
+        }
+
+        if (arg.source) {
+            var provider = providerById[arg.source];
+            if (!provider || typeof provider.search !== 'function' || query.length < provider.minChars) {
+                renderMessage(heading, i18n.typeToSearch || 'Type to search…');
+                return;
+            }
+
+            var generation = searchGeneration;
+            var valueKey   = arg.valueKey || 'id';
+            searchTimer = setTimeout(function () {
+                searchTimer = null;
+                searchController = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+                Promise.resolve()
+                    .then(function () {
+                        return provider.search(query, {
+                            signal: searchController ? searchController.signal : null,
+                            api:    api
+                        });
+                    })
+                    .then(function (found) {
+                        if (generation !== searchGeneration) return;
+                        renderGroupedResults(toPage(found).items.map(function (result) {
+                            return withMatch(query, argumentOption({
+                                title:       result.title,
+                                description: result.description,
+                                icon:        result.icon || provider.icon,
+                                value:       result[valueKey],
+                                data:        result.data
+                            }, heading));
+                        }));
+                        moveSelection(1);
+                    })
+                    .catch(function (err) {
+                        if (wpt.api.isAbort(err) || generation !== searchGeneration) return;
+                        renderMessage(heading, err.message);
+                    });
+            }, 300);
+            return;
+        }
+
+        if (query === '') {
+            renderMessage(heading, arg.hint || arg.placeholder || arg.label || '');
+            return;
+        }
+        if (arg.type === 'url' && !/^(https?:\/\/|\/)/i.test(query)) {
+            renderMessage(heading, i18n.invalidUrl || 'Enter a full URL or a path starting with /.');
+            return;
+        }
+
+        renderGroupedResults([ argumentOption({ title: query, value: query, icon: 'dashicons-editor-break' }, heading) ]);
+        moveSelection(1);
+    }
+
+    function argumentOption(option, heading) {
+        return Object.assign({ icon: 'dashicons-arrow-right-alt2' }, option, { subtitle: heading });
+    }
+
+    /**
+     * Store the chosen value and move on. Options may carry extra POST
+     * fields (`data`) and override the run's `confirm` and `success`.
+     */
+    function chooseArgument(option) {
+        var arg = currentArg();
+
+        pending.data[arg.name]   = option.value;
+        pending.labels[arg.name] = option.title;
+        Object.assign(pending.data, option.data);
+
+        if (option.confirm !== undefined) pending.confirm = option.confirm;
+        if (option.success) pending.success = option.success;
+
+        pending.step++;
+        nextStep();
+    }
+
+    function promptConfirm() {
+        var message = format(
+            pending.confirm === true ? (i18n.confirmRun || 'Run "{title}"?') : pending.confirm,
+            pending.labels
+        );
+
+        mode = 'confirm';
+        cancelSearch();
+        showFilters(false);
+        input.value = '';
+        input.readOnly = true;
+        input.setAttribute('placeholder', message);
+
+        renderGroupedResults([
+            { title: pending.run.confirmLabel || i18n.confirm || 'Confirm', icon: 'dashicons-yes', subtitle: message, confirmed: true, danger: true },
+            { title: i18n.cancel || 'Cancel', icon: 'dashicons-no-alt', subtitle: message, confirmed: false }
+        ]);
+    }
+
+    function executeRun() {
+        var run = pending;
+
+        mode = 'running';
+        cancelSearch();
+        showFilters(false);
+        input.value = '';
+        input.readOnly = true;
+        input.setAttribute('placeholder', run.item.title);
+        renderMessage(run.item.title, format(i18n.running || 'Running…', run.labels), 'wpt-palette-loading');
+
+        runRound(run, 1, {})
+            .then(function (result) {
+                finishRun(run, true, result.message || format(run.success || i18n.done || 'Done.', Object.assign({}, run.labels, result)), result);
+            }, function (err) {
+                finishRun(run, false, err.message, null);
+            });
+    }
+
+    /**
+     * Post the run, repeating while the response's `repeat` field is truthy.
+     * Fields listed in `sum` add up across rounds; others keep the last value.
+     */
+    function runRound(run, round, totals) {
+        var request = typeof run.run.handler === 'function'
+            ? Promise.resolve().then(function () {
+                return run.run.handler(run.data, run.item);
+            })
+            : api.post(run.run.ajax, run.data, {
+                nonce:       run.run.nonce,
+                nonceAction: run.run.nonceAction || run.run.ajax,
+                retries:     0
+            });
+
+        return request.then(function (data) {
+            var result = Object.assign({}, totals, data && typeof data === 'object' ? data : {});
+
+            (run.run.sum || []).forEach(function (field) {
+                result[field] = (Number(totals[field]) || 0) + (Number(data && data[field]) || 0);
+            });
+
+            if (run.run.repeat && data && data[run.run.repeat] && round < MAX_ROUNDS) {
+                if (pending === run) {
+                    renderMessage(run.item.title, format(i18n.runningRound || 'Running… (batch {round})', { round: round + 1 }), 'wpt-palette-loading');
+                }
+                return runRound(run, round + 1, result);
+            }
+            return result;
+        });
+    }
+
+    function finishRun(run, ok, message, result) {
+        // The palette may have been closed (or reused) while the run went on.
+        if (pending === run) {
+            close();
+        }
+
+        showToast(message, ok ? 'success' : 'error');
+
+        if (ok) {
+            document.dispatchEvent(new CustomEvent('wpt-palette-run', {
+                detail: { item: run.item, data: run.data, result: result }
+            }));
+        }
+    }
+
+    function leaveRunMode() {
+        mode = 'search';
+        pending = null;
+        input.readOnly = false;
+        input.setAttribute('placeholder', placeholder);
+    }
+
+    function backToSearch() {
+        cancelSearch();
+        leaveRunMode();
+
+        input.value = savedQuery;
+        currentQuery = savedQuery.trim();
+        if (currentQuery) {
+            runSearch(currentQuery);
+        } else {
+            renderEmptyQuery();
+        }
+        input.focus();
+    }
+
+    /* ── Toasts ──────────────────────────────────────────── */
+
+    function showToast(message, type) {
+        if (!toastWrap) {
+            toastWrap = document.createElement('div');
+            toastWrap.className = 'wpt-palette-toasts';
+            toastWrap.setAttribute('role', 'status');
+            toastWrap.setAttribute('aria-live', 'polite');
+            document.body.appendChild(toastWrap);
+        }
+
+        var toast = document.createElement('div');
+        toast.className = 'wpt-palette-toast wpt-palette-toast-' + type;
+        toast.textContent = message;
+        toastWrap.appendChild(toast);
+
+        setTimeout(function () {
+            if (toast.parentNode) toast.parentNode.removeChild(toast);
+        }, type === 'error' ? 8000 : 4000);
+    }
+
+    /* ── Built-in Providers ──────────────────────────────── */
+
+    function goToModule(moduleId) {
+        window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed&module=' + moduleId;
+    }
+
+    // Admin pages, modules and quick actions indexed by PHP. Grouped by
+    // subtitle so submenu pages sit under their parent menu.
+    registerProvider({
+        id:       'core',
+        label:    i18n.quickActions || 'Quick Actions',
+        priority: 10,
+        commands: items,
+        group:    function (item) {
+            return item.subtitle;
+        },
+        actions:  {
+            'toggle-dark-mode': function () {
+                document.body.classList.toggle('wpt-dark-mode');
+                var darkToggle = document.querySelector('.wpt-dark-mode-toggle');
+                if (darkToggle) darkToggle.click();
+            },
+            'toggle-maintenance-mode': function () {
+                goToModule('maintenance-mode');
+            },
+            'clear-transients': function () {
+                goToModule('database-cleanup');
+            },
+            'run-db-cleanup': function () {
+                goToModule('database-cleanup');
+            },
+            'export-settings': function () {
+                window.location.href = cfg.adminUrl + 'admin.php?page=wptransformed';
+            },
+            'view-audit-log': function () {
+                goToModule('audit-log');
+            }
+        }
+    });
+
+    if (cfg.searchContent) {
+        registerProvider({
+            id:       'content',
+            label:    i18n.content || 'Content',
+            priority: 20,
+            search:   remoteSearch('content'),
+            group:    function (item) {
+                return item.subtitle;
+            }
+        });
+    }
+
+    // Users, only behind the `@` prefix. Picking one filters content by author.
+    if (cfg.searchUsers) {
+        registerProvider({
+            id:       'users',
+            label:    i18n.users || 'Users',
+            priority: 25,
+            icon:     'dashicons-admin-users',
+            scoped:   true,
+            search:   remoteSearch('users'),
+            actions:  {
+                'filter-author': filterByAuthor
+            }
+        });
+    }
+
+    // Providers declared server-side via the wpt_command_palette_providers filter.
+    (cfg.providers || []).forEach(function (def) {
+        registerProvider({
+            id:       def.id,
+            label:    def.label,
+            priority: def.priority,
+            icon:     def.icon,
+            minChars: def.minChars,
+            commands: def.commands || [],
+            search:   def.search ? remoteSearch(def.id) : null
+        });
+    });
+
     /* ── Track Recent Page ───────────────────────────────── */
 
     function trackCurrentPage() {
@@ -456,16 +1614,9 @@
 
         if (!title || !url || !cfg.trackNonce) return;
 
-        var formData = new FormData();
-        formData.append('action', 'wpt_palette_track_page');
-        formData.append('nonce', cfg.trackNonce);
-        formData.append('title', title);
-        formData.append('url', url);
-
-        fetch(cfg.ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: formData,
+        api.post('wpt_palette_track_page', { title: title, url: url }, {
+            nonce:       cfg.trackNonce,
+            nonceAction: 'wpt_palette_track_page'
         }).catch(function () {
             // Silent fail — tracking is non-critical.
         });
@@ -473,10 +1624,66 @@
 
     /* ── Helpers ──────────────────────────────────────────── */
 
+    /**
+     * Replace {name} placeholders with values; unknown names are left as-is.
+     */
+    function format(template, values) {
+        return String(template).replace(/\{(\w+)\}/g, function (match, name) {
+            return values && values[name] !== undefined && values[name] !== null ? String(values[name]) : match;
+        });
+    }
+
+    /**
+     * Copy text, falling back to execCommand where the async clipboard
+     * API is unavailable (plain-HTTP admin).
+     *
+     * @return {Promise<boolean>}
+     */
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text).then(function () {
+                return true;
+            }, function () {
+                return false;
+            });
+        }
+
+        var area = document.createElement('textarea');
+        area.value = text;
+        area.setAttribute('readonly', '');
+        area.style.position = 'fixed';
+        area.style.opacity = '0';
+        document.body.appendChild(area);
+        area.select();
+
+        var ok = false;
+        try {
+            ok = document.execCommand('copy');
+        } catch (e) {
+            ok = false;
+        }
+        document.body.removeChild(area);
+
+        return Promise.resolve(ok);
+    }
+
     function escapeHtml(str) {
         var div = document.createElement('div');
         div.appendChild(document.createTextNode(str));
         return div.innerHTML;
     }
 
+    /* ── Public API ──────────────────────────────────────── */
+
+    window.wpt = window.wpt || {};
+    window.wpt.palette = {
+        registerProvider:   registerProvider,
+        unregisterProvider: unregisterProvider,
+        open:               open,
+        close:              close,
+        toast:              showToast
+    };
+
+    document.dispatchEvent(new CustomEvent('wpt-palette-ready', { detail: window.wpt.palette }));
+
 })();
@@ -68,6 +68,11 @@ class Code_Snippets extends Module_Base {
         return __( 'Add custom PHP, CSS, JS, and HTML code snippets with error recovery and scoped execution.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'php, css, javascript, functions.php, custom code, header scripts', 'wptransformed' ) ) );
+    }
+
     // -- Settings --
 
     public function get_default_settings(): array {
@@ -108,6 +113,74 @@ class Code_Snippets extends Module_Base {
         add_action( 'wp_ajax_wpt_edit_snippet',   [ $this, 'ajax_edit_snippet' ] );
         add_action( 'wp_ajax_wpt_delete_snippet', [ $this, 'ajax_delete_snippet' ] );
         add_action( 'wp_ajax_wpt_toggle_snippet', [ $this, 'ajax_toggle_snippet' ] );
+
+        // Command palette: search snippets by title.
+        add_filter( 'wpt_command_palette_providers', [ $this, 'register_palette_provider' ] );
+    }
+
+    // -- Command Palette --
+
+    /**
+     * Contribute a "Code Snippets" group to the command palette.
+     *
+     * @param array $providers Providers keyed by ID.
+     * @return array
+     */
+    public function register_palette_provider( array $providers ): array {
+        $providers['snippets'] = [
+            'label'    => __( 'Code Snippets', 'wptransformed' ),
+            'icon'     => 'dashicons-editor-code',
+            'commands' => [
+                [
+                    'title'       => __( 'Add Code Snippet', 'wptransformed' ),
+                    'description' => __( 'Code Snippets', 'wptransformed' ),
+                    'url'         => admin_url( 'admin.php?page=wptransformed&module=code-snippets' ),
+                ],
+            ],
+            'search'   => [ $this, 'palette_search' ],
+        ];
+
+        return $providers;
+    }
+
+    /**
+     * Find snippets whose title or description contains the query.
+     *
+     * @param string $query Search query.
+     * @return array
+     */
+    public function palette_search( string $query ): array {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_snippets';
+        $like  = '%' . $wpdb->esc_like( $query ) . '%';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, title, type, scope, is_active FROM {$table}
+                 WHERE title LIKE %s OR description LIKE %s
+                 ORDER BY is_active DESC, title ASC LIMIT 8",
+                $like,
+                $like
+            ),
+            ARRAY_A
+        );
+
+        $page  = admin_url( 'admin.php?page=wptransformed&module=code-snippets' );
+        $items = [];
+
+        foreach ( (array) $rows as $row ) {
+            $items[] = [
+                'title'       => $row['title'],
+                'description' => strtoupper( $row['type'] ) . ' · ' . $row['scope'] . ' · ' .
+                    ( (int) $row['is_active'] ? __( 'Active', 'wptransformed' ) : __( 'Inactive', 'wptransformed' ) ),
+                'url'         => $page,
+                'id'          => (int) $row['id'],
+            ];
+        }
+
+        return $items;
     }
 
     public function deactivate(): void {
@@ -500,6 +573,63 @@ class Code_Snippets extends Module_Base {
         return is_array( $results ) ? $results : [];
     }
 
+    // -- Automation --
+
+    /**
+     * PHP snippets by ID, for the rule builder's "Run Code Snippet" action.
+     *
+     * @return array<string, string> Snippet ID => title.
+     */
+    public function get_php_snippet_titles(): array {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_snippets';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rows = $wpdb->get_results( "SELECT id, title FROM {$table} WHERE type = 'php' ORDER BY title ASC", ARRAY_A );
+
+        return is_array( $rows ) ? array_column( $rows, 'title', 'id' ) : [];
+    }
+
+    /**
+     * Run one PHP snippet now, for Workflow Automation. Inactive snippets
+     * run too: they are the ones kept for a rule to call on demand.
+     *
+     * @param int $snippet_id Snippet ID.
+     * @return string|null Error message, or null once run.
+     */
+    public function run_php_snippet( int $snippet_id ): ?string {
+        if ( empty( $this->get_settings()['enable_php'] ) ) {
+            return __( 'PHP snippets are disabled in the Code Snippets settings.', 'wptransformed' );
+        }
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_snippets';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $code = $wpdb->get_var( $wpdb->prepare( "SELECT code FROM {$table} WHERE id = %d AND type = 'php'", $snippet_id ) );
+
+        if ( $code === null ) {
+            return __( 'PHP snippet not found.', 'wptransformed' );
+        }
+
+        $error = null;
+
+        ob_start();
+
+        try {
+            // phpcs:ignore Squiz.PHP.Eval.Discouraged -- Intentional: user-managed code snippets.
+            eval( $code );
+        } catch ( \Throwable $e ) {
+            $error = $e->getMessage();
+        }
+
+        ob_end_clean();
+
+        return $error;
+    }
+
     // -- AJAX: Add Snippet --
 
     /**
@@ -17,6 +17,7 @@ use WPTransformed\Modules\Module_Base;
  * Features:
  *  - Dashboard-style scan with counts and size estimates
  *  - Per-category or bulk cleanup
+ *  - Item inspector: browse, search and delete selected items of a category
  *  - Batch processing (LIMIT 1000) for large databases
  *  - AJAX polling for progress on large datasets
  *  - Optional table optimization (OPTIMIZE TABLE)
@@ -60,6 +61,26 @@ class Database_Cleanup extends Module_Base {
         'orphaned_relationships',
     ];
 
+    /**
+     * Items per page in the category inspector.
+     */
+    private const INSPECT_PAGE_SIZE = 50;
+
+    /**
+     * How the inspector lists each category. Categories missing here
+     * can only be cleaned as a whole.
+     */
+    private const INSPECT_KINDS = [
+        'revisions'               => 'posts',
+        'auto_drafts'             => 'posts',
+        'trashed_posts'           => 'posts',
+        'spam_comments'           => 'comments',
+        'trashed_comments'        => 'comments',
+        'expired_transients'      => 'transients',
+        'orphaned_postmeta'       => 'meta',
+        'orphaned_commentmeta'    => 'meta',
+    ];
+
     // ── Identity ──────────────────────────────────────────────
 
     public function get_id(): string {
@@ -78,6 +99,11 @@ class Database_Cleanup extends Module_Base {
         return __( 'Remove bloat from WP database: post revisions, trashed posts, spam comments, expired transients, orphaned metadata.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'optimize, bloat, revisions, transients, spam, orphaned, purge', 'wptransformed' ) ) );
+    }
+
     // ── Settings ──────────────────────────────────────────────
 
     public function get_default_settings(): array {
@@ -102,8 +128,62 @@ class Database_Cleanup extends Module_Base {
 
     public function init(): void {
         // AJAX handlers.
-        add_action( 'wp_ajax_wpt_db_cleanup_scan', [ $this, 'ajax_scan' ] );
-        add_action( 'wp_ajax_wpt_db_cleanup_run',  [ $this, 'ajax_run' ] );
+        add_action( 'wp_ajax_wpt_db_cleanup_scan',   [ $this, 'ajax_scan' ] );
+        add_action( 'wp_ajax_wpt_db_cleanup_run',    [ $this, 'ajax_run' ] );
+        add_action( 'wp_ajax_wpt_db_cleanup_items',  [ $this, 'ajax_items' ] );
+        add_action( 'wp_ajax_wpt_db_cleanup_delete', [ $this, 'ajax_delete_items' ] );
+
+        // Command palette: run the cleanup quick actions in place.
+        add_filter( 'wpt_command_palette_actions', [ $this, 'palette_actions' ] );
+    }
+
+    // ── Command Palette ───────────────────────────────────────
+
+    /**
+     * Make the palette's "Clear Transients" and "Run Database Cleanup"
+     * quick actions run here instead of opening this module's page.
+     * Each repeats batches until nothing is left, like the Clean All button.
+     *
+     * @param array $actions Quick action definitions.
+     * @return array
+     */
+    public function palette_actions( array $actions ): array {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return $actions;
+        }
+
+        $run = [
+            'ajax'        => 'wpt_db_cleanup_run',
+            'nonce'       => wp_create_nonce( 'wpt_db_cleanup_nonce' ),
+            'nonceAction' => 'wpt_db_cleanup_nonce',
+            'repeat'      => 'continue',
+            'sum'         => [ 'deleted' ],
+        ];
+
+        foreach ( $actions as &$action ) {
+            switch ( $action['action'] ?? '' ) {
+                case 'clear-transients':
+                    $action['run'] = array_merge( $run, [
+                        'data'    => [ 'category' => 'expired_transients' ],
+                        'confirm' => __( 'Delete all expired transients?', 'wptransformed' ),
+                        /* translators: {deleted}: number of rows — keep the braces. */
+                        'success' => __( 'Deleted {deleted} expired transients.', 'wptransformed' ),
+                    ] );
+                    break;
+
+                case 'run-db-cleanup':
+                    $action['run'] = array_merge( $run, [
+                        'data'    => [ 'category' => 'all' ],
+                        'confirm' => __( 'Run every cleanup enabled in Database Cleanup settings? Deleted items cannot be recovered.', 'wptransformed' ),
+                        /* translators: {deleted}: number of rows — keep the braces. */
+                        'success' => __( 'Database cleanup finished: {deleted} items deleted.', 'wptransformed' ),
+                    ] );
+                    break;
+            }
+        }
+        unset( $action );
+
+        return $actions;
     }
 
     // ── AJAX: Scan ────────────────────────────────────────────
@@ -183,9 +263,18 @@ class Database_Cleanup extends Module_Base {
                 }
             }
 
+            // Remaining items drive the progress total; `continue` still decides when to stop.
+            $remaining = 0;
+            if ( $has_more ) {
+                foreach ( array_keys( $per_category ) as $cat ) {
+                    $remaining += $this->get_count( $cat, $settings );
+                }
+            }
+
             wp_send_json_success( [
                 'deleted'      => $total,
                 'per_category' => $per_category,
+                'remaining'    => $remaining,
                 'continue'     => $has_more,
             ] );
         }
@@ -205,6 +294,91 @@ class Database_Cleanup extends Module_Base {
         ] );
     }
 
+    // ── AJAX: Inspect Items ───────────────────────────────────
+
+    /**
+     * AJAX handler — list one page of the items a category would delete.
+     *
+     * Pages by keyset: `after` is the last key of the previous page.
+     * Orphaned meta is grouped by meta key, one item per key.
+     */
+    public function ajax_items(): void {
+        check_ajax_referer( 'wpt_db_cleanup_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => 'Unauthorized.' ], 403 );
+        }
+
+        $category = isset( $_POST['category'] ) ? sanitize_key( $_POST['category'] ) : '';
+
+        if ( ! isset( self::INSPECT_KINDS[ $category ] ) ) {
+            wp_send_json_error( [ 'message' => 'This category cannot be inspected.' ] );
+        }
+
+        $search = isset( $_POST['search'] ) ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '';
+        // Meta keys and option names are matched as-is, so only unslash the cursor.
+        $after  = isset( $_POST['after'] ) ? (string) wp_unslash( $_POST['after'] ) : '';
+
+        // One extra item tells whether another page follows.
+        $items    = $this->get_items( $category, $search, $after, self::INSPECT_PAGE_SIZE + 1 );
+        $has_more = count( $items ) > self::INSPECT_PAGE_SIZE;
+        $items    = array_slice( $items, 0, self::INSPECT_PAGE_SIZE );
+
+        wp_send_json_success( [
+            'kind'     => self::INSPECT_KINDS[ $category ],
+            'items'    => $items,
+            'after'    => $items ? (string) $items[ count( $items ) - 1 ]['key'] : '',
+            'has_more' => $has_more,
+        ] );
+    }
+
+    // ── AJAX: Delete Selected Items ───────────────────────────
+
+    /**
+     * AJAX handler — delete only the chosen items of a category.
+     *
+     * Each key is checked against the category again, so an item that no
+     * longer qualifies (a restored post, a refreshed transient) is skipped.
+     * Meta keys delete one batch per request and return 'continue' = true
+     * while orphaned rows with those keys remain.
+     */
+    public function ajax_delete_items(): void {
+        check_ajax_referer( 'wpt_db_cleanup_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => 'Unauthorized.' ], 403 );
+        }
+
+        $category = isset( $_POST['category'] ) ? sanitize_key( $_POST['category'] ) : '';
+
+        if ( ! isset( self::INSPECT_KINDS[ $category ] ) ) {
+            wp_send_json_error( [ 'message' => 'Invalid category.' ] );
+        }
+
+        $keys = isset( $_POST['items'] ) && is_array( $_POST['items'] )
+            ? array_values( array_unique( array_map( 'strval', array_filter( wp_unslash( $_POST['items'] ), 'is_scalar' ) ) ) )
+            : [];
+
+        if ( empty( $keys ) ) {
+            wp_send_json_error( [ 'message' => 'No items selected.' ] );
+        }
+
+        if ( count( $keys ) > self::BATCH_SIZE ) {
+            wp_send_json_error( [ 'message' => sprintf( 'Select at most %d items at a time.', self::BATCH_SIZE ) ] );
+        }
+
+        $settings  = $this->get_settings();
+        $deleted   = $this->delete_items( $category, $keys, $settings );
+        $remaining = $this->get_count( $category, $settings );
+
+        wp_send_json_success( [
+            'deleted'   => $deleted,
+            'remaining' => $remaining,
+            'size'      => $remaining * ( self::SIZE_ESTIMATES[ $category ] ?? 200 ),
+            'continue'  => self::INSPECT_KINDS[ $category ] === 'meta' && $deleted >= self::BATCH_SIZE,
+        ] );
+    }
+
     // ── Count Queries ─────────────────────────────────────────
 
     /**
@@ -622,6 +796,382 @@ class Database_Cleanup extends Module_Base {
         return $deleted;
     }
 
+    // ── Item Queries ──────────────────────────────────────────
+
+    /**
+     * List the items a category would delete, ordered by their key.
+     *
+     * Every item carries a string 'key' — the post or comment ID, the
+     * transient's timeout option name, or the meta key — which is what
+     * the client sends back to delete it.
+     *
+     * @param string $category Inspectable category.
+     * @param string $search   Optional substring filter.
+     * @param string $after    Key of the last item already shown.
+     * @param int    $limit    Maximum items to return.
+     * @return array<int,array<string,mixed>>
+     */
+    private function get_items( string $category, string $search, string $after, int $limit ): array {
+        global $wpdb;
+
+        $like = $search !== '' ? '%' . $wpdb->esc_like( $search ) . '%' : '';
+
+        switch ( self::INSPECT_KINDS[ $category ] ?? '' ) {
+            case 'posts':
+                if ( $category === 'revisions' ) {
+                    $where  = 'r.post_type = %s';
+                    $values = [ 'revision' ];
+                } else {
+                    $where  = 'r.post_status = %s';
+                    $values = [ $category === 'auto_drafts' ? 'auto-draft' : 'trash' ];
+                }
+
+                if ( $like !== '' ) {
+                    $where   .= ' AND ( r.post_title LIKE %s OR p.post_title LIKE %s )';
+                    $values[] = $like;
+                    $values[] = $like;
+                }
+
+                $where   .= ' AND r.ID > %d';
+                $values[] = (int) $after;
+                $values[] = $limit;
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+                $rows = $wpdb->get_results( $wpdb->prepare(
+                    "SELECT r.ID, r.post_title, r.post_type, r.post_date, r.post_parent, p.post_title AS parent_title
+                     FROM {$wpdb->posts} r
+                     LEFT JOIN {$wpdb->posts} p ON p.ID = r.post_parent
+                     WHERE {$where}
+                     ORDER BY r.ID ASC
+                     LIMIT %d",
+                    $values
+                ), ARRAY_A );
+
+                $rows = is_array( $rows ) ? $rows : [];
+                $kept = [];
+
+                // Revisions the "Keep recent revisions" setting protects are shown but not selectable.
+                $keep_revisions = (int) ( $this->get_settings()['keep_recent_revisions'] ?? 0 );
+                if ( $category === 'revisions' && $keep_revisions > 0 && $rows ) {
+                    $kept = $this->get_kept_revision_ids( wp_list_pluck( $rows, 'post_parent' ), $keep_revisions );
+                }
+
+                $items = [];
+                foreach ( $rows as $row ) {
+                    $items[] = [
+                        'key'          => (string) $row['ID'],
+                        'title'        => $row['post_title'],
+                        'type'         => $row['post_type'],
+                        'date'         => $row['post_date'],
+                        'parent_id'    => (int) $row['post_parent'],
+                        'parent_title' => $row['parent_title'],
+                        'kept'         => in_array( (int) $row['ID'], $kept, true ),
+                    ];
+                }
+
+                return $items;
+
+            case 'comments':
+                $where  = 'comment_approved = %s';
+                $values = [ $category === 'spam_comments' ? 'spam' : 'trash' ];
+
+                if ( $like !== '' ) {
+                    $where   .= ' AND ( comment_author LIKE %s OR comment_author_email LIKE %s OR comment_content LIKE %s )';
+                    $values[] = $like;
+                    $values[] = $like;
+                    $values[] = $like;
+                }
+
+                $where   .= ' AND comment_ID > %d';
+                $values[] = (int) $after;
+                $values[] = $limit;
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+                $rows = $wpdb->get_results( $wpdb->prepare(
+                    "SELECT comment_ID, comment_author, comment_author_email, comment_content, comment_date
+                     FROM {$wpdb->comments}
+                     WHERE {$where}
+                     ORDER BY comment_ID ASC
+                     LIMIT %d",
+                    $values
+                ), ARRAY_A );
+
+                $items = [];
+                foreach ( is_array( $rows ) ? $rows : [] as $row ) {
+                    $items[] = [
+                        'key'     => (string) $row['comment_ID'],
+                        'author'  => $row['comment_author'],
+                        'email'   => $row['comment_author_email'],
+                        'excerpt' => wp_html_excerpt( $row['comment_content'], 120, '…' ),
+                        'date'    => $row['comment_date'],
+                    ];
+                }
+
+                return $items;
+
+            case 'transients':
+                // Site transients are listed too: the cleanup removes both kinds.
+                $where  = '( option_name LIKE %s OR option_name LIKE %s ) AND option_value < %d';
+                $values = [
+                    $wpdb->esc_like( '_transient_timeout_' ) . '%',
+                    $wpdb->esc_like( '_site_transient_timeout_' ) . '%',
+                    time(),
+                ];
+
+                if ( $like !== '' ) {
+                    $where   .= ' AND option_name LIKE %s';
+                    $values[] = $like;
+                }
+
+                if ( $after !== '' ) {
+                    $where   .= ' AND option_name > %s';
+                    $values[] = $after;
+                }
+
+                $values[] = $limit;
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+                $rows = $wpdb->get_results( $wpdb->prepare(
+                    "SELECT option_name, option_value FROM {$wpdb->options}
+                     WHERE {$where}
+                     ORDER BY option_name ASC
+                     LIMIT %d",
+                    $values
+                ), ARRAY_A );
+
+                $items = [];
+                foreach ( is_array( $rows ) ? $rows : [] as $row ) {
+                    $site    = strpos( $row['option_name'], '_site_transient_timeout_' ) === 0;
+                    $items[] = [
+                        'key'     => $row['option_name'],
+                        'name'    => substr( $row['option_name'], strlen( $site ? '_site_transient_timeout_' : '_transient_timeout_' ) ),
+                        'site'    => $site,
+                        'expired' => gmdate( 'Y-m-d H:i:s', (int) $row['option_value'] ),
+                    ];
+                }
+
+                return $items;
+
+            case 'meta':
+                [ $meta_table, $parent_table, $parent_col, $id_col ] = $this->get_orphan_meta_tables( $category );
+
+                $where  = "o.{$id_col} IS NULL";
+                $values = [];
+
+                if ( $like !== '' ) {
+                    $where   .= ' AND m.meta_key LIKE %s';
+                    $values[] = $like;
+                }
+
+                if ( $after !== '' ) {
+                    $where   .= ' AND m.meta_key > %s';
+                    $values[] = $after;
+                }
+
+                $values[] = $limit;
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                $rows = $wpdb->get_results( $wpdb->prepare(
+                    "SELECT m.meta_key, COUNT(*) AS row_count, COUNT(DISTINCT m.{$parent_col}) AS parents
+                     FROM {$meta_table} m
+                     LEFT JOIN {$parent_table} o ON o.{$id_col} = m.{$parent_col}
+                     WHERE {$where}
+                     GROUP BY m.meta_key
+                     ORDER BY m.meta_key ASC
+                     LIMIT %d",
+                    $values
+                ), ARRAY_A );
+
+                $items = [];
+                foreach ( is_array( $rows ) ? $rows : [] as $row ) {
+                    $items[] = [
+                        'key'     => (string) $row['meta_key'],
+                        'rows'    => (int) $row['row_count'],
+                        'parents' => (int) $row['parents'],
+                    ];
+                }
+
+                return $items;
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Delete the chosen items of a category, skipping keys that no longer
+     * belong to it. Returns number of rows deleted.
+     *
+     * @param string               $category Inspectable category.
+     * @param array<int,string>    $keys     Item keys from get_items().
+     * @param array<string,mixed>  $settings Module settings.
+     * @return int
+     */
+    private function delete_items( string $category, array $keys, array $settings ): int {
+        global $wpdb;
+
+        switch ( self::INSPECT_KINDS[ $category ] ?? '' ) {
+            case 'posts':
+                $ids = array_values( array_filter( array_map( 'absint', $keys ) ) );
+                if ( empty( $ids ) ) {
+                    return 0;
+                }
+
+                $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
+
+                if ( $category === 'revisions' ) {
+                    $where  = 'post_type = %s';
+                    $status = 'revision';
+                } else {
+                    $where  = 'post_status = %s';
+                    $status = $category === 'auto_drafts' ? 'auto-draft' : 'trash';
+                }
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                $rows = $wpdb->get_results( $wpdb->prepare(
+                    "SELECT ID, post_parent FROM {$wpdb->posts} WHERE {$where} AND ID IN ($placeholders)",
+                    array_merge( [ $status ], $ids )
+                ), ARRAY_A );
+
+                $ids = array_map( 'intval', wp_list_pluck( is_array( $rows ) ? $rows : [], 'ID' ) );
+
+                $keep_revisions = (int) ( $settings['keep_recent_revisions'] ?? 0 );
+                if ( $category === 'revisions' && $keep_revisions > 0 && $ids ) {
+                    $kept = $this->get_kept_revision_ids( wp_list_pluck( $rows, 'post_parent' ), $keep_revisions );
+                    $ids  = array_values( array_diff( $ids, $kept ) );
+                }
+
+                if ( empty( $ids ) ) {
+                    return 0;
+                }
+
+                if ( $category === 'trashed_posts' ) {
+                    $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
+                    // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                    $wpdb->query( $wpdb->prepare(
+                        "DELETE FROM {$wpdb->term_relationships} WHERE object_id IN ($placeholders)",
+                        ...$ids
+                    ) );
+                }
+
+                return $this->delete_posts_with_meta( $ids );
+
+            case 'comments':
+                $ids = array_values( array_filter( array_map( 'absint', $keys ) ) );
+                if ( empty( $ids ) ) {
+                    return 0;
+                }
+
+                $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
+
+                // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                $ids = $wpdb->get_col( $wpdb->prepare(
+                    "SELECT comment_ID FROM {$wpdb->comments} WHERE comment_approved = %s AND comment_ID IN ($placeholders)",
+                    array_merge( [ $category === 'spam_comments' ? 'spam' : 'trash' ], $ids )
+                ) );
+
+                if ( empty( $ids ) ) {
+                    return 0;
+                }
+
+                return $this->delete_comments_with_meta( $ids );
+
+            case 'transients':
+                $placeholders = implode( ',', array_fill( 0, count( $keys ), '%s' ) );
+
+                // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                $expired = $wpdb->get_col( $wpdb->prepare(
+                    "SELECT option_name FROM {$wpdb->options}
+                     WHERE ( option_name LIKE %s OR option_name LIKE %s )
+                     AND option_value < %d
+                     AND option_name IN ($placeholders)",
+                    array_merge(
+                        [
+                            $wpdb->esc_like( '_transient_timeout_' ) . '%',
+                            $wpdb->esc_like( '_site_transient_timeout_' ) . '%',
+                            time(),
+                        ],
+                        $keys
+                    )
+                ) );
+
+                return $this->delete_transient_rows( $expired );
+
+            case 'meta':
+                [ $meta_table, $parent_table, $parent_col, $id_col ] = $this->get_orphan_meta_tables( $category );
+
+                $placeholders = implode( ',', array_fill( 0, count( $keys ), '%s' ) );
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                $meta_ids = $wpdb->get_col( $wpdb->prepare(
+                    "SELECT m.meta_id FROM {$meta_table} m
+                     LEFT JOIN {$parent_table} o ON o.{$id_col} = m.{$parent_col}
+                     WHERE o.{$id_col} IS NULL
+                     AND m.meta_key IN ($placeholders)
+                     LIMIT %d",
+                    array_merge( $keys, [ self::BATCH_SIZE ] )
+                ) );
+
+                if ( empty( $meta_ids ) ) {
+                    return 0;
+                }
+
+                $placeholders = implode( ',', array_fill( 0, count( $meta_ids ), '%d' ) );
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+                return (int) $wpdb->query( $wpdb->prepare(
+                    "DELETE FROM {$meta_table} WHERE meta_id IN ($placeholders)",
+                    ...$meta_ids
+                ) );
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * IDs of the newest revisions per parent that "Keep recent revisions" protects.
+     *
+     * @param array $parent_ids Parent post IDs.
+     * @param int   $keep       Revisions to keep per parent.
+     * @return array<int>
+     */
+    private function get_kept_revision_ids( array $parent_ids, int $keep ): array {
+        global $wpdb;
+
+        $kept = [];
+        foreach ( array_unique( array_map( 'intval', $parent_ids ) ) as $parent_id ) {
+            $ids = $wpdb->get_col( $wpdb->prepare(
+                "SELECT ID FROM {$wpdb->posts}
+                 WHERE post_type = %s AND post_parent = %d
+                 ORDER BY post_date DESC
+                 LIMIT %d",
+                'revision',
+                $parent_id,
+                $keep
+            ) );
+
+            $kept = array_merge( $kept, array_map( 'intval', $ids ) );
+        }
+
+        return $kept;
+    }
+
+    /**
+     * Tables and columns behind an orphaned meta category.
+     *
+     * @param string $category 'orphaned_postmeta' or 'orphaned_commentmeta'.
+     * @return array{0:string,1:string,2:string,3:string} Meta table, parent table, meta parent column, parent ID column.
+     */
+    private function get_orphan_meta_tables( string $category ): array {
+        global $wpdb;
+
+        if ( $category === 'orphaned_commentmeta' ) {
+            return [ $wpdb->commentmeta, $wpdb->comments, 'comment_id', 'comment_ID' ];
+        }
+
+        return [ $wpdb->postmeta, $wpdb->posts, 'post_id', 'ID' ];
+    }
+
     // ── Transient Cleanup ─────────────────────────────────────
 
     /**
@@ -632,8 +1182,6 @@ class Database_Cleanup extends Module_Base {
     private function clean_expired_transients(): int {
         global $wpdb;
 
-        $deleted = 0;
-
         // Get expired transient names.
         $expired = $wpdb->get_col( $wpdb->prepare(
             "SELECT option_name FROM {$wpdb->options}
@@ -645,24 +1193,7 @@ class Database_Cleanup extends Module_Base {
             self::BATCH_SIZE
         ) );
 
-        if ( empty( $expired ) ) {
-            return 0;
-        }
-
-        foreach ( $expired as $timeout_key ) {
-            // Derive the transient value key from the timeout key.
-            $transient_key = str_replace( '_transient_timeout_', '_transient_', $timeout_key );
-
-            // Delete both the timeout and the value entry.
-            $deleted += (int) $wpdb->query( $wpdb->prepare(
-                "DELETE FROM {$wpdb->options} WHERE option_name = %s",
-                $timeout_key
-            ) );
-            $deleted += (int) $wpdb->query( $wpdb->prepare(
-                "DELETE FROM {$wpdb->options} WHERE option_name = %s",
-                $transient_key
-            ) );
-        }
+        $deleted = $this->delete_transient_rows( $expired );
 
         // Also handle site transients on single-site.
         $expired_site = $wpdb->get_col( $wpdb->prepare(
@@ -675,9 +1206,27 @@ class Database_Cleanup extends Module_Base {
             self::BATCH_SIZE
         ) );
 
-        foreach ( $expired_site as $timeout_key ) {
-            $transient_key = str_replace( '_site_transient_timeout_', '_site_transient_', $timeout_key );
+        return $deleted + $this->delete_transient_rows( $expired_site );
+    }
 
+    /**
+     * Delete transient timeout rows together with their value rows.
+     *
+     * @param array $timeout_keys Timeout option names (`_transient_timeout_*` or `_site_transient_timeout_*`).
+     * @return int Total rows deleted.
+     */
+    private function delete_transient_rows( array $timeout_keys ): int {
+        global $wpdb;
+
+        $deleted = 0;
+
+        foreach ( $timeout_keys as $timeout_key ) {
+            // Derive the transient value key from the timeout key.
+            $transient_key = strpos( $timeout_key, '_site_transient_timeout_' ) === 0
+                ? str_replace( '_site_transient_timeout_', '_site_transient_', $timeout_key )
+                : str_replace( '_transient_timeout_', '_transient_', $timeout_key );
+
+            // Delete both the timeout and the value entry.
             $deleted += (int) $wpdb->query( $wpdb->prepare(
                 "DELETE FROM {$wpdb->options} WHERE option_name = %s",
                 $timeout_key
@@ -983,7 +1532,7 @@ class Database_Cleanup extends Module_Base {
         wp_enqueue_script(
             'wpt-database-cleanup',
             WPT_URL . 'modules/performance/js/database-cleanup.js',
-            [],
+            [ 'wpt-api', 'wpt-jobs' ],
             WPT_VERSION,
             true
         );
@@ -994,10 +1543,13 @@ class Database_Cleanup extends Module_Base {
             'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
             'nonce'          => wp_create_nonce( 'wpt_db_cleanup_nonce' ),
             'optimizeEnabled' => ! empty( $settings['optimize_tables'] ),
+            'inspectKinds'   => self::INSPECT_KINDS,
             'i18n'           => [
                 'scanning'       => __( 'Scanning database...', 'wptransformed' ),
                 'cleaning'       => __( 'Cleaning up...', 'wptransformed' ),
                 'cleaningBatch'  => __( 'Processing batch, please wait...', 'wptransformed' ),
+                /* translators: %s: number of items removed so far */
+                'cleanedSoFar'   => __( '%s items cleaned', 'wptransformed' ),
                 'complete'       => __( 'Cleanup complete!', 'wptransformed' ),
                 'noItems'        => __( 'No items to clean.', 'wptransformed' ),
                 'clean'          => __( 'Clean', 'wptransformed' ),
@@ -1007,6 +1559,39 @@ class Database_Cleanup extends Module_Base {
                 'optimized'      => __( 'Tables optimized.', 'wptransformed' ),
                 'optimizeBtn'    => __( 'Optimize Tables', 'wptransformed' ),
                 'confirmCleanAll' => __( 'Are you sure you want to clean all selected categories? This cannot be undone.', 'wptransformed' ),
+                'inspect'        => __( 'Inspect', 'wptransformed' ),
+                'hideInspect'    => __( 'Hide', 'wptransformed' ),
+                'searchItems'    => __( 'Search items...', 'wptransformed' ),
+                'search'         => __( 'Search', 'wptransformed' ),
+                'loadingItems'   => __( 'Loading items...', 'wptransformed' ),
+                'noMatches'      => __( 'No items match.', 'wptransformed' ),
+                'loadMore'       => __( 'Load more', 'wptransformed' ),
+                'selectShown'    => __( 'Select all shown', 'wptransformed' ),
+                'selectItem'     => __( 'Select', 'wptransformed' ),
+                /* translators: %s: number of selected items */
+                'deleteSelected' => __( 'Delete Selected (%s)', 'wptransformed' ),
+                /* translators: %s: number of selected items */
+                'confirmDelete'  => __( 'Delete %s selected items? This cannot be undone.', 'wptransformed' ),
+                /* translators: %s: number of rows deleted */
+                'deletedItems'   => __( '%s items deleted.', 'wptransformed' ),
+                'metaHint'       => __( 'Each row is one meta key. Deleting a key removes only its orphaned rows, so keep keys that plugins you still use may need.', 'wptransformed' ),
+                'kept'           => __( 'Kept', 'wptransformed' ),
+                'keptTitle'      => __( 'Protected by the "Keep recent revisions" setting.', 'wptransformed' ),
+                'noTitle'        => __( '(no title)', 'wptransformed' ),
+                /* translators: %s: post ID */
+                'missingParent'  => __( 'Deleted post #%s', 'wptransformed' ),
+                'siteTransient'  => __( 'site', 'wptransformed' ),
+                'colTitle'       => __( 'Title', 'wptransformed' ),
+                'colParent'      => __( 'Parent Post', 'wptransformed' ),
+                'colType'        => __( 'Type', 'wptransformed' ),
+                'colDate'        => __( 'Date', 'wptransformed' ),
+                'colAuthor'      => __( 'Author', 'wptransformed' ),
+                'colComment'     => __( 'Comment', 'wptransformed' ),
+                'colTransient'   => __( 'Transient', 'wptransformed' ),
+                'colExpired'     => __( 'Expired (UTC)', 'wptransformed' ),
+                'colMetaKey'     => __( 'Meta Key', 'wptransformed' ),
+                'colRows'        => __( 'Rows', 'wptransformed' ),
+                'colObjects'     => __( 'Missing Objects', 'wptransformed' ),
             ],
         ] );
     }
@@ -503,9 +503,6 @@ class Image_Upload_Control extends Module_Base {
                 <button type="button" class="button button-secondary" id="wpt-bulk-optimize-start">
                     <?php esc_html_e( 'Start Bulk Optimization', 'wptransformed' ); ?>
                 </button>
-                <button type="button" class="button button-link-delete" id="wpt-bulk-optimize-stop" style="display: none;">
-                    <?php esc_html_e( 'Stop', 'wptransformed' ); ?>
-                </button>
                 <span class="spinner" id="wpt-bulk-spinner" style="float: none;"></span>
             </div>
             <div id="wpt-bulk-progress" style="display: none; margin-top: 12px;">
@@ -575,7 +572,7 @@ class Image_Upload_Control extends Module_Base {
         wp_enqueue_script(
             'wpt-image-upload-control',
             WPT_URL . 'modules/performance/js/image-upload-control.js',
-            [],
+            [ 'wpt-api', 'wpt-jobs' ],
             WPT_VERSION,
             true
         );
@@ -587,7 +584,7 @@ class Image_Upload_Control extends Module_Base {
                 'starting'     => __( 'Starting optimization...', 'wptransformed' ),
                 'processing'   => __( 'Processing...', 'wptransformed' ),
                 'complete'     => __( 'Bulk optimization complete!', 'wptransformed' ),
-                'stopped'      => __( 'Optimization stopped.', 'wptransformed' ),
+                'stopped'      => __( 'Optimization cancelled.', 'wptransformed' ),
                 'error'        => __( 'An error occurred during optimization.', 'wptransformed' ),
                 'networkError' => __( 'Network error. Please try again.', 'wptransformed' ),
                 'start'        => __( 'Start Bulk Optimization', 'wptransformed' ),
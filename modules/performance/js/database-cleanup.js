@@ -2,7 +2,7 @@
  * Database Cleanup — Vanilla JS (no jQuery).
  *
  * Handles scan, per-category cleanup, bulk cleanup with batch polling,
- * and optional table optimization.
+ * an item inspector with selective deletion, and optional table optimization.
  *
  * @package WPTransformed
  */
@@ -34,39 +34,13 @@
     // Store scan data for cleanup operations.
     var scanData = {};
 
-    // ── Utility: AJAX Request ─────────────────────────────────
+    // ── AJAX Client ───────────────────────────────────────────
 
-    function ajaxPost( action, data, callback ) {
-        var formData = new FormData();
-        formData.append( 'action', action );
-        formData.append( 'nonce', config.nonce );
-
-        if ( data ) {
-            for ( var key in data ) {
-                if ( data.hasOwnProperty( key ) ) {
-                    formData.append( key, data[key] );
-                }
-            }
-        }
-
-        var xhr = new XMLHttpRequest();
-        xhr.open( 'POST', config.ajaxUrl, true );
-        xhr.onreadystatechange = function() {
-            if ( xhr.readyState === 4 ) {
-                if ( xhr.status === 200 ) {
-                    try {
-                        var response = JSON.parse( xhr.responseText );
-                        callback( null, response );
-                    } catch( e ) {
-                        callback( new Error( 'Invalid JSON response' ) );
-                    }
-                } else {
-                    callback( new Error( 'HTTP ' + xhr.status ) );
-                }
-            }
-        };
-        xhr.send( formData );
-    }
+    var api = wpt.api.client( {
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_db_cleanup_nonce'
+    } );
 
     // ── Utility: Format Bytes ─────────────────────────────────
 
@@ -106,18 +80,15 @@
         hideCleanupResults();
         showProgress( i18n.scanning || 'Scanning database...', 50 );
 
-        ajaxPost( 'wpt_db_cleanup_scan', {}, function( err, response ) {
+        api.post( 'wpt_db_cleanup_scan', {}, { retries: 2 } ).then( function( data ) {
+            scanData = data.categories;
+            renderResults( scanData, data.total_size );
+        }).catch( function( err ) {
+            alert( err.message || i18n.error || 'An error occurred.' );
+        }).finally( function() {
             scanBtn.disabled = false;
             scanBtn.textContent = i18n.scanBtn || 'Scan Database';
             hideProgress();
-
-            if ( err || ! response.success ) {
-                alert( i18n.error || 'An error occurred.' );
-                return;
-            }
-
-            scanData = response.data.categories;
-            renderResults( scanData, response.data.total_size );
         });
     }
 
@@ -126,6 +97,7 @@
     function renderResults( categories, totalSizeBytes ) {
         if ( ! resultsBody || ! resultsTable ) return;
 
+        closeAllInspectors();
         resultsBody.innerHTML = '';
         var grandCount = 0;
 
@@ -149,7 +121,11 @@
                 '<td class="wpt-db-status">' + ( count > 0 ? '<span style="color:#b32d2e;">&#9679;</span>' : '<span style="color:#00a32a;">&#9679;</span>' ) + '</td>' +
                 '<td class="wpt-db-action">' +
                     ( count > 0
-                        ? '<button type="button" class="button button-small wpt-db-clean-btn" data-category="' + escAttr( cat ) + '">' + escHtml( i18n.clean || 'Clean' ) + '</button>'
+                        ? '<button type="button" class="button button-small wpt-db-clean-btn" data-category="' + escAttr( cat ) + '">' + escHtml( i18n.clean || 'Clean' ) + '</button>' +
+                          ( ( config.inspectKinds || {} )[ cat ]
+                              ? ' <button type="button" class="button button-small wpt-db-inspect-btn" data-category="' + escAttr( cat ) + '" aria-expanded="false">' + escHtml( i18n.inspect || 'Inspect' ) + '</button>'
+                              : ''
+                          )
                         : '<span style="color:#999;">&mdash;</span>'
                     ) +
                 '</td>';
@@ -213,19 +189,7 @@
     // ── Single Category Cleanup (with batch polling) ──────────
 
     function doCleanup( category, btn ) {
-        ajaxPost( 'wpt_db_cleanup_run', { category: category }, function( err, response ) {
-            if ( err || ! response.success ) {
-                alert( i18n.error || 'An error occurred.' );
-                if ( btn ) {
-                    btn.disabled = false;
-                    btn.textContent = i18n.clean || 'Clean';
-                }
-                hideProgress();
-                return;
-            }
-
-            var data = response.data;
-
+        api.post( 'wpt_db_cleanup_run', { category: category } ).then( function( data ) {
             if ( category === 'optimize_tables' ) {
                 hideProgress();
                 if ( btn ) {
@@ -254,45 +218,79 @@
                 btn.textContent = i18n.cleaned || 'Cleaned';
                 btn.disabled = true;
             }
+        }).catch( function( err ) {
+            alert( err.message || i18n.error || 'An error occurred.' );
+            if ( btn ) {
+                btn.disabled = false;
+                btn.textContent = i18n.clean || 'Clean';
+            }
+            hideProgress();
         });
     }
 
     // ── Clean All ─────────────────────────────────────────────
 
+    var cleanAllJob = null;
+
     function doCleanAll() {
         if ( ! confirm( i18n.confirmCleanAll || 'Clean all selected categories?' ) ) {
             return;
         }
 
-        cleanAllBtn.disabled = true;
-        showProgress( i18n.cleaning || 'Cleaning up...', 10 );
-        disableAllCleanButtons();
-
-        runCleanAllBatch( 0 );
+        cleanAllJob.start( {}, { deleted: 0 } );
     }
 
-    function runCleanAllBatch( totalDeleted ) {
-        ajaxPost( 'wpt_db_cleanup_run', { category: 'all' }, function( err, response ) {
-            if ( err || ! response.success ) {
-                alert( i18n.error || 'An error occurred.' );
-                hideProgress();
-                enableAllCleanButtons();
-                return;
+    /**
+     * Clean All runs as a resumable job: the server deletes one batch per
+     * enabled category per request until nothing is left.
+     */
+    function createCleanAllJob() {
+        cleanAllJob = wpt.jobs.create( {
+            id:      'db-cleanup-all',
+            client:  api,
+            action:  'wpt_db_cleanup_run',
+            request: function() {
+                return { category: 'all' };
+            },
+            advance: function( data, cursor ) {
+                var deleted = cursor.deleted + ( data.deleted || 0 );
+
+                return {
+                    cursor:    { deleted: deleted },
+                    processed: data.deleted || 0,
+                    total:     deleted + ( data.remaining || 0 ),
+                    done:      ! data.continue
+                };
             }
+        } );
+
+        wpt.jobs.panel( cleanAllJob, {
+            wrap:     progressWrap,
+            fill:     progressFill,
+            text:     progressText,
+            describe: function( job ) {
+                var deleted = job.cursor ? job.cursor.deleted : 0;
+                return ( i18n.cleaning || 'Cleaning up...' ) + ' ' +
+                    ( i18n.cleanedSoFar || '%s items cleaned' ).replace( '%s', formatNumber( deleted ) );
+            }
+        } );
 
-            var data    = response.data;
-            var deleted = ( data.deleted || 0 ) + totalDeleted;
+        cleanAllJob.on( 'state', function( status ) {
+            var busy = cleanAllJob.isActive() || status === 'paused' || status === 'failed';
 
-            if ( data.continue ) {
-                showProgress(
-                    ( i18n.cleaningBatch || 'Processing...' ) + ' ' + formatNumber( deleted ) + ' items cleaned',
-                    50
-                );
-                runCleanAllBatch( deleted );
-                return;
+            // A scan would hide the progress panel mid-job.
+            if ( scanBtn ) scanBtn.disabled = busy;
+
+            if ( busy ) {
+                if ( cleanAllBtn ) cleanAllBtn.disabled = true;
+                closeAllInspectors();
+                disableAllCleanButtons();
             }
+        } );
+
+        cleanAllJob.on( 'complete', function() {
+            var deleted = cleanAllJob.cursor ? cleanAllJob.cursor.deleted : 0;
 
-            // All done.
             hideProgress();
             showCleanupResults(
                 ( i18n.complete || 'Cleanup complete!' ) + ' ' +
@@ -301,9 +299,326 @@
 
             // Re-scan to update counts.
             doScan();
+        } );
+
+        cleanAllJob.on( 'cancel', function() {
+            hideProgress();
+            doScan();
+        } );
+    }
+
+    // ── Item Inspector ────────────────────────────────────────
+
+    // Open inspectors by category: { row, btn, kind, search, after, busy }.
+    var inspectors = {};
+
+    function toggleInspector( btn ) {
+        var category = btn.getAttribute( 'data-category' );
+
+        if ( inspectors[ category ] ) {
+            closeInspector( category );
+            return;
+        }
+
+        var row  = resultsBody.querySelector( 'tr[data-category="' + category + '"]' );
+        var kind = ( config.inspectKinds || {} )[ category ];
+        if ( ! row || ! kind ) return;
+
+        var detail = document.createElement( 'tr' );
+        detail.className = 'wpt-db-inspect-row';
+        detail.setAttribute( 'data-inspect', category );
+        detail.innerHTML =
+            '<td colspan="5">' +
+                '<div class="wpt-db-inspect-toolbar">' +
+                    '<input type="search" class="wpt-db-inspect-search" placeholder="' + escAttr( i18n.searchItems || 'Search items...' ) + '" aria-label="' + escAttr( i18n.searchItems || 'Search items...' ) + '">' +
+                    '<button type="button" class="button button-small wpt-db-inspect-search-btn">' + escHtml( i18n.search || 'Search' ) + '</button>' +
+                    '<button type="button" class="button button-small wpt-db-inspect-delete" disabled></button>' +
+                '</div>' +
+                ( kind === 'meta' ? '<p class="description">' + escHtml( i18n.metaHint || '' ) + '</p>' : '' ) +
+                '<table class="widefat striped wpt-db-inspect-table">' +
+                    '<thead><tr>' +
+                        '<td class="check-column"><input type="checkbox" class="wpt-db-item-all" aria-label="' + escAttr( i18n.selectShown || 'Select all shown' ) + '"></td>' +
+                        itemColumns( category, kind ).map( function( label ) {
+                            return '<th>' + escHtml( label ) + '</th>';
+                        } ).join( '' ) +
+                    '</tr></thead>' +
+                    '<tbody></tbody>' +
+                '</table>' +
+                '<p class="wpt-db-inspect-more"></p>' +
+            '</td>';
+
+        row.parentNode.insertBefore( detail, row.nextSibling );
+
+        btn.setAttribute( 'aria-expanded', 'true' );
+        btn.textContent = i18n.hideInspect || 'Hide';
+
+        inspectors[ category ] = { row: detail, btn: btn, kind: kind, search: '', after: '', busy: false };
+        syncSelection( category );
+        loadItems( category, true );
+    }
+
+    function closeInspector( category ) {
+        var state = inspectors[ category ];
+        if ( ! state ) return;
+
+        api.abort( 'db-items-' + category );
+        delete inspectors[ category ];
+
+        if ( state.row.parentNode ) state.row.parentNode.removeChild( state.row );
+        state.btn.setAttribute( 'aria-expanded', 'false' );
+        state.btn.textContent = i18n.inspect || 'Inspect';
+    }
+
+    function closeAllInspectors() {
+        Object.keys( inspectors ).forEach( closeInspector );
+    }
+
+    /**
+     * Load the next page of items, or the first page when `reset` is set
+     * (a new search). Pages are keyset-based, so deleting shown items
+     * never shifts the next page.
+     */
+    function loadItems( category, reset ) {
+        var state = inspectors[ category ];
+        if ( ! state ) return;
+
+        var tbody = state.row.querySelector( 'tbody' );
+        var more  = state.row.querySelector( '.wpt-db-inspect-more' );
+
+        if ( reset ) {
+            state.after = '';
+            tbody.innerHTML = '';
+            syncSelection( category );
+        }
+
+        more.innerHTML = '<span class="spinner is-active"></span> ' + escHtml( i18n.loadingItems || 'Loading items...' );
+
+        api.post( 'wpt_db_cleanup_items', {
+            category: category,
+            search:   state.search,
+            after:    state.after
+        }, { retries: 2, key: 'db-items-' + category } ).then( function( data ) {
+            if ( inspectors[ category ] !== state ) return;
+
+            ( data.items || [] ).forEach( function( item ) {
+                tbody.appendChild( itemRow( category, state.kind, item ) );
+            } );
+
+            state.after = data.after || state.after;
+
+            if ( ! tbody.rows.length ) {
+                more.textContent = i18n.noMatches || 'No items match.';
+            } else {
+                more.innerHTML = data.has_more
+                    ? '<button type="button" class="button button-small wpt-db-inspect-more-btn">' + escHtml( i18n.loadMore || 'Load more' ) + '</button>'
+                    : '';
+            }
+
+            syncSelection( category );
+        }).catch( function( err ) {
+            if ( wpt.api.isAbort( err ) || inspectors[ category ] !== state ) return;
+            more.textContent = err.message || i18n.error || 'An error occurred.';
         });
     }
 
+    function itemColumns( category, kind ) {
+        switch ( kind ) {
+            case 'posts':
+                return [
+                    i18n.colTitle || 'Title',
+                    category === 'revisions' ? ( i18n.colParent || 'Parent Post' ) : ( i18n.colType || 'Type' ),
+                    i18n.colDate || 'Date'
+                ];
+            case 'comments':
+                return [ i18n.colAuthor || 'Author', i18n.colComment || 'Comment', i18n.colDate || 'Date' ];
+            case 'transients':
+                return [ i18n.colTransient || 'Transient', i18n.colExpired || 'Expired' ];
+            case 'meta':
+                return [ i18n.colMetaKey || 'Meta Key', i18n.colRows || 'Rows', i18n.colObjects || 'Missing Objects' ];
+        }
+        return [];
+    }
+
+    function itemCells( category, kind, item ) {
+        switch ( kind ) {
+            case 'posts':
+                return [
+                    escHtml( item.title || i18n.noTitle || '(no title)' ) + ' <span class="wpt-db-item-id">#' + escHtml( item.key ) + '</span>',
+                    category === 'revisions' ? parentHtml( item ) : escHtml( item.type ),
+                    escHtml( item.date )
+                ];
+            case 'comments':
+                return [
+                    '<strong>' + escHtml( item.author || '' ) + '</strong>' +
+                        ( item.email ? '<br><span class="wpt-db-item-id">' + escHtml( item.email ) + '</span>' : '' ),
+                    escHtml( item.excerpt || '' ),
+                    escHtml( item.date )
+                ];
+            case 'transients':
+                return [
+                    '<code>' + escHtml( item.name ) + '</code>' +
+                        ( item.site ? ' <span class="wpt-db-item-tag">' + escHtml( i18n.siteTransient || 'site' ) + '</span>' : '' ),
+                    escHtml( item.expired )
+                ];
+            case 'meta':
+                return [
+                    '<code>' + escHtml( item.key ) + '</code>',
+                    formatNumber( item.rows || 0 ),
+                    formatNumber( item.parents || 0 )
+                ];
+        }
+        return [];
+    }
+
+    function parentHtml( item ) {
+        if ( item.parent_title !== null && item.parent_title !== undefined ) {
+            return escHtml( item.parent_title || i18n.noTitle || '(no title)' ) + ' <span class="wpt-db-item-id">#' + item.parent_id + '</span>';
+        }
+        if ( item.parent_id ) {
+            return '<em>' + escHtml( ( i18n.missingParent || 'Deleted post #%s' ).replace( '%s', item.parent_id ) ) + '</em>';
+        }
+        return '&mdash;';
+    }
+
+    function itemRow( category, kind, item ) {
+        var tr = document.createElement( 'tr' );
+        tr.setAttribute( 'data-key', item.key );
+
+        var check = item.kept
+            ? '<span class="wpt-db-item-kept" title="' + escAttr( i18n.keptTitle || '' ) + '">' + escHtml( i18n.kept || 'Kept' ) + '</span>'
+            : '<input type="checkbox" class="wpt-db-item-cb" value="' + escAttr( item.key ) + '" aria-label="' + escAttr( i18n.selectItem || 'Select' ) + '">';
+
+        tr.innerHTML = '<th scope="row" class="check-column">' + check + '</th>' +
+            itemCells( category, kind, item ).map( function( cell ) {
+                return '<td>' + cell + '</td>';
+            } ).join( '' );
+
+        return tr;
+    }
+
+    function selectedKeys( category ) {
+        var state = inspectors[ category ];
+        if ( ! state ) return [];
+
+        var boxes = state.row.querySelectorAll( '.wpt-db-item-cb' );
+        var keys  = [];
+        for ( var i = 0; i < boxes.length; i++ ) {
+            if ( boxes[i].checked ) keys.push( boxes[i].value );
+        }
+        return keys;
+    }
+
+    function syncSelection( category ) {
+        var state = inspectors[ category ];
+        if ( ! state ) return;
+
+        var boxes   = state.row.querySelectorAll( '.wpt-db-item-cb' );
+        var count   = selectedKeys( category ).length;
+        var all     = state.row.querySelector( '.wpt-db-item-all' );
+        var button  = state.row.querySelector( '.wpt-db-inspect-delete' );
+
+        if ( all ) {
+            all.checked  = boxes.length > 0 && count === boxes.length;
+            all.disabled = boxes.length === 0 || state.busy;
+        }
+
+        button.textContent = ( i18n.deleteSelected || 'Delete Selected (%s)' ).replace( '%s', formatNumber( count ) );
+        button.disabled    = count === 0 || state.busy;
+    }
+
+    function deleteSelected( category ) {
+        var state = inspectors[ category ];
+        var keys  = selectedKeys( category );
+        if ( ! state || ! keys.length ) return;
+
+        if ( ! confirm( ( i18n.confirmDelete || 'Delete %s selected items? This cannot be undone.' ).replace( '%s', formatNumber( keys.length ) ) ) ) {
+            return;
+        }
+
+        state.busy = true;
+        syncSelection( category );
+
+        deleteItems( category, keys, 0 ).then( function( data ) {
+            var tbody = state.row.querySelector( 'tbody' );
+            for ( var i = tbody.rows.length - 1; i >= 0; i-- ) {
+                if ( keys.indexOf( tbody.rows[i].getAttribute( 'data-key' ) ) !== -1 ) {
+                    tbody.removeChild( tbody.rows[i] );
+                }
+            }
+
+            showCleanupResults( ( i18n.deletedItems || '%s items deleted.' ).replace( '%s', formatNumber( data.deleted ) ) );
+            updateRowCount( category, data.remaining || 0, data.size || 0 );
+
+            // Refill an emptied list; updateRowCount closes it when nothing is left.
+            if ( inspectors[ category ] === state && ! tbody.rows.length ) {
+                loadItems( category, true );
+            }
+        }).catch( function( err ) {
+            alert( err.message || i18n.error || 'An error occurred.' );
+        }).finally( function() {
+            state.busy = false;
+            syncSelection( category );
+        });
+    }
+
+    /**
+     * Orphaned meta keys delete one batch per request, so repeat until
+     * the server reports nothing left for the chosen keys.
+     */
+    function deleteItems( category, keys, deleted ) {
+        return api.post( 'wpt_db_cleanup_delete', { category: category, items: keys } ).then( function( data ) {
+            data.deleted = deleted + ( data.deleted || 0 );
+            return data.continue ? deleteItems( category, keys, data.deleted ) : data;
+        });
+    }
+
+    function onInspectorClick( e ) {
+        var inspectBtn = e.target.closest( '.wpt-db-inspect-btn' );
+        if ( inspectBtn ) {
+            toggleInspector( inspectBtn );
+            return;
+        }
+
+        var detail = e.target.closest( '.wpt-db-inspect-row' );
+        if ( ! detail ) return;
+
+        var category = detail.getAttribute( 'data-inspect' );
+
+        if ( e.target.closest( '.wpt-db-inspect-search-btn' ) ) {
+            inspectors[ category ].search = detail.querySelector( '.wpt-db-inspect-search' ).value.trim();
+            loadItems( category, true );
+        } else if ( e.target.closest( '.wpt-db-inspect-more-btn' ) ) {
+            loadItems( category, false );
+        } else if ( e.target.closest( '.wpt-db-inspect-delete' ) ) {
+            deleteSelected( category );
+        }
+    }
+
+    function onInspectorChange( e ) {
+        var detail = e.target.closest( '.wpt-db-inspect-row' );
+        if ( ! detail ) return;
+
+        var category = detail.getAttribute( 'data-inspect' );
+
+        if ( e.target.classList.contains( 'wpt-db-item-all' ) ) {
+            var boxes = detail.querySelectorAll( '.wpt-db-item-cb' );
+            for ( var i = 0; i < boxes.length; i++ ) {
+                boxes[i].checked = e.target.checked;
+            }
+        }
+
+        if ( e.target.classList.contains( 'wpt-db-item-all' ) || e.target.classList.contains( 'wpt-db-item-cb' ) ) {
+            syncSelection( category );
+        }
+    }
+
+    function onInspectorKeydown( e ) {
+        if ( e.key !== 'Enter' || ! e.target.classList.contains( 'wpt-db-inspect-search' ) ) return;
+
+        e.preventDefault();
+        e.target.closest( '.wpt-db-inspect-row' ).querySelector( '.wpt-db-inspect-search-btn' ).click();
+    }
+
     // ── UI Helpers ────────────────────────────────────────────
 
     function updateRowAfterClean( category ) {
@@ -318,6 +633,11 @@
         if ( sizeCell )   sizeCell.textContent   = '0 B';
         if ( statusCell ) statusCell.innerHTML   = '<span style="color:#00a32a;">&#9679;</span>';
 
+        // Nothing left to inspect.
+        closeInspector( category );
+        var inspectBtn = row.querySelector( '.wpt-db-inspect-btn' );
+        if ( inspectBtn ) inspectBtn.disabled = true;
+
         // Update scanData.
         if ( scanData[ category ] ) {
             scanData[ category ].count = 0;
@@ -328,6 +648,35 @@
         recalcTotals();
     }
 
+    function updateRowCount( category, count, size ) {
+        if ( count === 0 ) {
+            updateRowAfterClean( category );
+
+            var btn = resultsBody.querySelector( '.wpt-db-clean-btn[data-category="' + category + '"]' );
+            if ( btn ) {
+                btn.textContent = i18n.cleaned || 'Cleaned';
+                btn.disabled = true;
+            }
+            return;
+        }
+
+        var row = resultsBody ? resultsBody.querySelector( 'tr[data-category="' + category + '"]' ) : null;
+        if ( ! row ) return;
+
+        var countCell = row.querySelector( '.wpt-db-count' );
+        var sizeCell  = row.querySelector( '.wpt-db-size' );
+
+        if ( countCell ) countCell.textContent = formatNumber( count );
+        if ( sizeCell )  sizeCell.textContent  = formatBytes( size );
+
+        if ( scanData[ category ] ) {
+            scanData[ category ].count = count;
+            scanData[ category ].size  = size;
+        }
+
+        recalcTotals();
+    }
+
     function recalcTotals() {
         var grandCount = 0;
         var grandSize  = 0;
@@ -347,14 +696,14 @@
     }
 
     function disableAllCleanButtons() {
-        var buttons = document.querySelectorAll( '.wpt-db-clean-btn' );
+        var buttons = document.querySelectorAll( '.wpt-db-clean-btn, .wpt-db-inspect-btn' );
         for ( var i = 0; i < buttons.length; i++ ) {
             buttons[i].disabled = true;
         }
     }
 
     function enableAllCleanButtons() {
-        var buttons = document.querySelectorAll( '.wpt-db-clean-btn' );
+        var buttons = document.querySelectorAll( '.wpt-db-clean-btn, .wpt-db-inspect-btn' );
         for ( var i = 0; i < buttons.length; i++ ) {
             buttons[i].disabled = false;
         }
@@ -391,7 +740,14 @@
         scanBtn.addEventListener( 'click', doScan );
     }
 
-    if ( cleanAllBtn ) {
+    if ( resultsBody ) {
+        resultsBody.addEventListener( 'click', onInspectorClick );
+        resultsBody.addEventListener( 'change', onInspectorChange );
+        resultsBody.addEventListener( 'keydown', onInspectorKeydown );
+    }
+
+    if ( cleanAllBtn && progressWrap ) {
+        createCleanAllJob();
         cleanAllBtn.addEventListener( 'click', doCleanAll );
     }
 
@@ -1,30 +1,32 @@
 /**
  * WPTransformed -- Image Upload Control Settings
  *
- * Bulk optimization AJAX handler with progress bar.
+ * Bulk optimization runs as a resumable wpt.jobs batch job with progress bar.
  * No jQuery dependency.
  */
 (function () {
     'use strict';
 
     var config = window.wptImageUploadControl || {};
-    var ajaxUrl = config.ajaxUrl || '';
-    var nonce = config.nonce || '';
     var i18n = config.i18n || {};
 
-    var running = false;
-    var totalOptimized = 0;
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_bulk_optimize_nonce'
+    });
 
     // ── DOM Elements ─────────────────────────────────────────
 
     var startBtn = document.getElementById('wpt-bulk-optimize-start');
-    var stopBtn = document.getElementById('wpt-bulk-optimize-stop');
     var spinner = document.getElementById('wpt-bulk-spinner');
     var progressWrap = document.getElementById('wpt-bulk-progress');
     var progressBar = document.getElementById('wpt-progress-bar');
     var statusText = document.getElementById('wpt-bulk-status');
     var resultDiv = document.getElementById('wpt-bulk-result');
 
+    if (!startBtn || !progressWrap) return;
+
     // ── Helpers ───────────────────────────────────────────────
 
     /**
@@ -54,123 +56,70 @@
         resultDiv.innerHTML = '<p>' + escapeHtml(message) + '</p>';
     }
 
-    /**
-     * Update progress bar width.
-     *
-     * @param {number} percent 0-100
-     */
-    function setProgress(percent) {
-        if (progressBar) {
-            progressBar.style.width = Math.min(100, Math.max(0, percent)) + '%';
-        }
-    }
-
-    /**
-     * Set UI to running state.
-     */
-    function setRunning() {
-        running = true;
-        if (startBtn) startBtn.disabled = true;
-        if (stopBtn) stopBtn.style.display = '';
-        if (spinner) spinner.classList.add('is-active');
-        if (progressWrap) progressWrap.style.display = '';
-        if (resultDiv) resultDiv.style.display = 'none';
-    }
+    // ── Batch Job ────────────────────────────────────────────
 
     /**
-     * Set UI to stopped state.
+     * Bulk optimization walks the Media Library by offset. The job runner
+     * saves the offset after every batch so a reload or a dropped request
+     * picks up where it stopped.
      */
-    function setStopped() {
-        running = false;
-        if (startBtn) {
-            startBtn.disabled = false;
-            startBtn.textContent = i18n.start || 'Start Bulk Optimization';
+    var job = wpt.jobs.create({
+        id:      'bulk-optimize',
+        client:  api,
+        action:  'wpt_bulk_optimize_images',
+        request: function (cursor) {
+            return { offset: String(cursor.offset) };
+        },
+        advance: function (data, cursor) {
+            return {
+                cursor: {
+                    offset:    data.done && data.offset === undefined ? cursor.offset : data.offset,
+                    optimized: cursor.optimized + (data.optimized || 0),
+                    message:   data.message || ''
+                },
+                processed: data.processed || 0,
+                total:     data.total,
+                done:      data.done
+            };
         }
-        if (stopBtn) stopBtn.style.display = 'none';
-        if (spinner) spinner.classList.remove('is-active');
-    }
+    });
+
+    wpt.jobs.panel(job, {
+        wrap:     progressWrap,
+        fill:     progressBar,
+        text:     statusText,
+        describe: function (j) {
+            return (j.cursor && j.cursor.message) || i18n.processing || 'Processing...';
+        },
+        onResume: function () {
+            if (resultDiv) resultDiv.style.display = 'none';
+        }
+    });
 
-    // ── Batch Processing ─────────────────────────────────────
+    job.on('state', function (status) {
+        var busy = job.isActive();
+        startBtn.disabled = busy || status === 'paused' || status === 'failed';
+        if (spinner) spinner.classList.toggle('is-active', busy);
+    });
 
-    /**
-     * Process a single batch at the given offset.
-     *
-     * @param {number} offset
-     */
-    function processBatch(offset) {
-        if (!running) {
-            showResult(i18n.stopped || 'Optimization stopped.', 'success');
-            setStopped();
-            return;
-        }
+    job.on('complete', function () {
+        var optimized = job.cursor ? job.cursor.optimized : 0;
+        if (progressBar) progressBar.style.width = '100%';
+        showResult((i18n.complete || 'Bulk optimization complete!') + ' (' + optimized + ' optimized)', 'success');
+    });
 
-        var data = new FormData();
-        data.append('action', 'wpt_bulk_optimize_images');
-        data.append('nonce', nonce);
-        data.append('offset', String(offset));
-
-        fetch(ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: data
-        })
-        .then(function (response) {
-            return response.json();
-        })
-        .then(function (result) {
-            if (!result.success) {
-                showResult(result.data.message || i18n.error || 'An error occurred.', 'error');
-                setStopped();
-                return;
-            }
-
-            var d = result.data;
-            totalOptimized += d.optimized || 0;
-
-            // Update progress.
-            if (d.total > 0) {
-                var percent = Math.round((Math.min(d.offset, d.total) / d.total) * 100);
-                setProgress(percent);
-            }
-
-            if (statusText) {
-                statusText.textContent = d.message || '';
-            }
-
-            if (d.done) {
-                setProgress(100);
-                var completeMsg = (i18n.complete || 'Bulk optimization complete!') +
-                    ' (' + totalOptimized + ' optimized)';
-                showResult(completeMsg, 'success');
-                setStopped();
-            } else {
-                // Process next batch.
-                processBatch(d.offset);
-            }
-        })
-        .catch(function () {
-            showResult(i18n.networkError || 'Network error. Please try again.', 'error');
-            setStopped();
-        });
-    }
+    job.on('cancel', function () {
+        showResult(i18n.stopped || 'Optimization stopped.', 'success');
+    });
 
     // ── Event Listeners ──────────────────────────────────────
 
-    if (startBtn) {
-        startBtn.addEventListener('click', function () {
-            totalOptimized = 0;
-            setProgress(0);
-            if (statusText) {
-                statusText.textContent = i18n.starting || 'Starting optimization...';
-            }
-            setRunning();
-            processBatch(0);
-        });
-    }
-
-    if (stopBtn) {
-        stopBtn.addEventListener('click', function () {
-            running = false;
-        });
-    }
+    startBtn.addEventListener('click', function () {
+        if (progressBar) progressBar.style.width = '0%';
+        if (resultDiv) resultDiv.style.display = 'none';
+        if (statusText) {
+            statusText.textContent = i18n.starting || 'Starting optimization...';
+        }
+        job.start({}, { offset: 0, optimized: 0, message: i18n.starting || '' });
+    });
 })();
@@ -714,7 +714,7 @@ class Session_Manager extends Module_Base {
             wp_enqueue_script(
                 'wpt-session-manager',
                 WPT_URL . 'modules/security/js/session-manager.js',
-                [],
+                [ 'wpt-api' ],
                 WPT_VERSION,
                 true
             );
@@ -130,6 +130,11 @@ class User_Role_Editor extends Module_Base {
         return __( 'Edit user roles and capabilities, add custom roles, and temporarily view the site as any role.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'capabilities, permissions, roles, access', 'wptransformed' ) ) );
+    }
+
     // -- Settings ---------------------------------------------------------
 
     public function get_default_settings(): array {
@@ -157,6 +162,43 @@ class User_Role_Editor extends Module_Base {
         if ( ! empty( $settings['show_admin_bar_switch'] ) ) {
             add_action( 'admin_bar_menu', [ $this, 'admin_bar_view_as' ], 999 );
         }
+
+        // Command palette -- jump straight to a role's capabilities.
+        add_filter( 'wpt_command_palette_providers', [ $this, 'register_palette_provider' ] );
+    }
+
+    // -- Command Palette --------------------------------------------------
+
+    /**
+     * Contribute a "Roles" group to the command palette: one command per
+     * role, opening the editor with that role selected.
+     *
+     * @param array $providers Providers keyed by ID.
+     * @return array
+     */
+    public function register_palette_provider( array $providers ): array {
+        $commands = [];
+
+        foreach ( wp_roles()->roles as $slug => $role ) {
+            $commands[] = [
+                'title'       => sprintf(
+                    /* translators: %s: role name */
+                    __( 'Edit Role: %s', 'wptransformed' ),
+                    translate_user_role( $role['name'] )
+                ),
+                'description' => $slug,
+                'url'         => admin_url( 'admin.php?page=wptransformed&module=user-role-editor&role=' . rawurlencode( $slug ) ),
+                'role'        => $slug,
+            ];
+        }
+
+        $providers['roles'] = [
+            'label'    => __( 'Roles', 'wptransformed' ),
+            'icon'     => 'dashicons-groups',
+            'commands' => $commands,
+        ];
+
+        return $providers;
     }
 
     // -- AJAX: Save Role Capabilities -------------------------------------
@@ -524,6 +566,9 @@ class User_Role_Editor extends Module_Base {
         $all_caps = $this->get_all_capabilities();
         $grouped  = $this->group_capabilities( $all_caps );
 
+        // Preselected role, e.g. when opened from the command palette.
+        $current_role = isset( $_GET['role'] ) ? sanitize_key( wp_unslash( $_GET['role'] ) ) : '';
+
         // Current "View as" state.
         $user_id  = get_current_user_id();
         $view_as  = get_transient( 'wpt_view_as_role_' . $user_id );
@@ -602,7 +647,7 @@ class User_Role_Editor extends Module_Base {
             <label for="wpt-role-select"><?php esc_html_e( 'Select Role:', 'wptransformed' ); ?></label>
             <select id="wpt-role-select">
                 <?php foreach ( $roles as $slug => $role ) : ?>
-                <option value="<?php echo esc_attr( $slug ); ?>"
+                <option value="<?php echo esc_attr( $slug ); ?>" <?php selected( $slug, $current_role ); ?>
                         data-is-default="<?php echo in_array( $slug, self::DEFAULT_ROLES, true ) ? '1' : '0'; ?>"
                         data-caps="<?php echo esc_attr( wp_json_encode( $role['capabilities'] ) ); ?>">
                     <?php echo esc_html( translate_user_role( $role['name'] ) ); ?>
@@ -680,7 +725,7 @@ class User_Role_Editor extends Module_Base {
         wp_enqueue_script(
             'wpt-user-role-editor',
             WPT_URL . 'modules/security/js/user-role-editor.js',
-            [],
+            [ 'wpt-api' ],
             WPT_VERSION,
             true
         );
@@ -44,26 +44,13 @@
     }
 
     /**
-     * Make an AJAX POST request.
+     * AJAX client. The login screen has no nonce, so it is only sent when localized.
      */
-    function ajaxPost(action, data) {
-        var formData = new FormData();
-        formData.append('action', action);
-        if (config.nonce) {
-            formData.append('nonce', config.nonce);
-        }
-        for (var key in data) {
-            if (data.hasOwnProperty(key)) {
-                formData.append(key, data[key]);
-            }
-        }
-
-        return fetch(config.ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: formData
-        }).then(function (r) { return r.json(); });
-    }
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: config.nonceAction
+    });
 
     document.addEventListener('DOMContentLoaded', function () {
         // Check browser support.
@@ -101,13 +88,8 @@
                 if (spinner) spinner.classList.add('is-active');
                 if (statusEl) statusEl.textContent = config.i18n.registering;
 
-                ajaxPost('wpt_passkey_get_register_options', {})
-                    .then(function (response) {
-                        if (!response.success) {
-                            throw new Error(response.data && response.data.message ? response.data.message : config.i18n.error);
-                        }
-
-                        var options = response.data;
+                api.post('wpt_passkey_get_register_options')
+                    .then(function (options) {
 
                         // Build create options for WebAuthn API.
                         var createOptions = {
@@ -145,7 +127,7 @@
                             ? bufferToBase64url(publicKeyBytes)
                             : bufferToBase64url(response.attestationObject);
 
-                        return ajaxPost('wpt_passkey_register', {
+                        return api.post('wpt_passkey_register', {
                             credential_id: bufferToBase64url(credential.rawId),
                             public_key:    publicKeyB64,
                             client_data:   bufferToBase64url(response.clientDataJSON),
@@ -155,16 +137,12 @@
                                 : -7
                         });
                     })
-                    .then(function (result) {
-                        if (result.success) {
-                            if (statusEl) {
-                                statusEl.innerHTML = '<div class="notice notice-success inline"><p>' +
-                                    escapeHtml(config.i18n.registered) + '</p></div>';
-                            }
-                            setTimeout(function () { window.location.reload(); }, 1500);
-                        } else {
-                            throw new Error(result.data && result.data.message ? result.data.message : config.i18n.error);
+                    .then(function () {
+                        if (statusEl) {
+                            statusEl.innerHTML = '<div class="notice notice-success inline"><p>' +
+                                escapeHtml(config.i18n.registered) + '</p></div>';
                         }
+                        setTimeout(function () { window.location.reload(); }, 1500);
                     })
                     .catch(function (err) {
                         if (statusEl) {
@@ -189,18 +167,13 @@
                 var credId = btn.getAttribute('data-credential-id');
                 btn.disabled = true;
 
-                ajaxPost('wpt_passkey_revoke', { credential_id: credId })
-                    .then(function (result) {
-                        if (result.success) {
-                            alert(config.i18n.revoked);
-                            window.location.reload();
-                        } else {
-                            alert(result.data && result.data.message ? result.data.message : config.i18n.error);
-                            btn.disabled = false;
-                        }
+                api.post('wpt_passkey_revoke', { credential_id: credId })
+                    .then(function () {
+                        alert(config.i18n.revoked);
+                        window.location.reload();
                     })
-                    .catch(function () {
-                        alert(config.i18n.error);
+                    .catch(function (err) {
+                        alert(err.message || config.i18n.error);
                         btn.disabled = false;
                     });
             });
@@ -229,13 +202,8 @@
             var usernameInput = document.getElementById('user_login');
             var username = usernameInput ? usernameInput.value : '';
 
-            ajaxPost('wpt_passkey_get_auth_options', { username: username })
-                .then(function (response) {
-                    if (!response.success) {
-                        throw new Error(response.data && response.data.message ? response.data.message : config.i18n.error);
-                    }
-
-                    var options = response.data;
+            api.post('wpt_passkey_get_auth_options', { username: username })
+                .then(function (options) {
 
                     var getOptions = {
                         publicKey: {
@@ -258,7 +226,7 @@
 
                     var resp = assertion.response;
 
-                    return ajaxPost('wpt_passkey_authenticate', {
+                    return api.post('wpt_passkey_authenticate', {
                         credential_id:      bufferToBase64url(assertion.rawId),
                         client_data:        bufferToBase64url(resp.clientDataJSON),
                         authenticator_data: bufferToBase64url(resp.authenticatorData),
@@ -266,13 +234,9 @@
                         user_handle:        resp.userHandle ? bufferToBase64url(resp.userHandle) : ''
                     });
                 })
-                .then(function (result) {
-                    if (result.success) {
-                        if (statusEl) statusEl.textContent = '';
-                        window.location.href = result.data.redirect_to || '/wp-admin/';
-                    } else {
-                        throw new Error(result.data && result.data.message ? result.data.message : config.i18n.error);
-                    }
+                .then(function (data) {
+                    if (statusEl) statusEl.textContent = '';
+                    window.location.href = (data && data.redirect_to) || '/wp-admin/';
                 })
                 .catch(function (err) {
                     if (statusEl) statusEl.textContent = err.message || config.i18n.error;
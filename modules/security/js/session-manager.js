@@ -8,35 +8,13 @@
 
     var config = window.wptSessionManager || {};
 
-    // -- Helpers ----------------------------------------------------------
-
-    function post(action, data, callback) {
-        var body = new FormData();
-        body.append('action', action);
-        body.append('nonce', config.nonce || '');
-
-        Object.keys(data).forEach(function (key) {
-            body.append(key, data[key]);
-        });
-
-        var xhr = new XMLHttpRequest();
-        xhr.open('POST', config.ajaxUrl || '', true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState !== 4) return;
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_session_nonce'
+    });
 
-            var response;
-            try {
-                response = JSON.parse(xhr.responseText);
-            } catch (e) {
-                response = { success: false, data: { message: config.i18n.networkError } };
-            }
-            callback(response);
-        };
-        xhr.onerror = function () {
-            callback({ success: false, data: { message: config.i18n.networkError } });
-        };
-        xhr.send(body);
-    }
+    // -- Helpers ----------------------------------------------------------
 
     function showNotice(message, type) {
         var existing = document.querySelector('.wpt-session-notice');
@@ -86,23 +64,21 @@
         var row = button.closest('tr');
         setButtonLoading(button, true, config.i18n.destroying);
 
-        post('wpt_destroy_session', {
+        api.post('wpt_destroy_session', {
             user_id:  button.dataset.userId,
             verifier: button.dataset.verifier
-        }, function (response) {
-            if (response.success) {
-                if (row) {
-                    row.style.transition = 'opacity 0.3s';
-                    row.style.opacity = '0';
-                    setTimeout(function () {
-                        row.remove();
-                    }, 300);
-                }
-                showNotice(response.data.message, 'success');
-            } else {
-                setButtonLoading(button, false, originalText);
-                showNotice(response.data.message || config.i18n.networkError, 'error');
+        }).then(function (data) {
+            if (row) {
+                row.style.transition = 'opacity 0.3s';
+                row.style.opacity = '0';
+                setTimeout(function () {
+                    row.remove();
+                }, 300);
             }
+            showNotice(data.message, 'success');
+        }).catch(function (err) {
+            setButtonLoading(button, false, originalText);
+            showNotice(err.message || config.i18n.networkError, 'error');
         });
     }
 
@@ -117,19 +93,17 @@
         var originalText = button.textContent;
         setButtonLoading(button, true, config.i18n.destroying);
 
-        post('wpt_destroy_other_sessions', {
+        api.post('wpt_destroy_other_sessions', {
             user_id: button.dataset.userId
-        }, function (response) {
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                // Reload after short delay to refresh the table.
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                setButtonLoading(button, false, originalText);
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            // Reload after short delay to refresh the table.
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            setButtonLoading(button, false, originalText);
+            showNotice(err.message || config.i18n.networkError, 'error');
         });
     }
 
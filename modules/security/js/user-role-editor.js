@@ -8,35 +8,13 @@
 
     var config = window.wptRoleEditor || {};
 
-    // -- Helpers ----------------------------------------------------------
-
-    function post(action, data, callback) {
-        var body = new FormData();
-        body.append('action', action);
-        body.append('nonce', config.nonce || '');
-
-        Object.keys(data).forEach(function (key) {
-            body.append(key, data[key]);
-        });
-
-        var xhr = new XMLHttpRequest();
-        xhr.open('POST', config.ajaxUrl || '', true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState !== 4) return;
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_role_editor_nonce'
+    });
 
-            var response;
-            try {
-                response = JSON.parse(xhr.responseText);
-            } catch (e) {
-                response = { success: false, data: { message: config.i18n.networkError } };
-            }
-            callback(response);
-        };
-        xhr.onerror = function () {
-            callback({ success: false, data: { message: config.i18n.networkError } });
-        };
-        xhr.send(body);
-    }
+    // -- Helpers ----------------------------------------------------------
 
     function showNotice(message, type) {
         var existing = document.querySelector('.wpt-role-ajax-notice');
@@ -130,24 +108,22 @@
         saveBtn.textContent = config.i18n.saving;
         setSpinner(spinner, true);
 
-        post('wpt_save_role_caps', {
+        api.post('wpt_save_role_caps', {
             role: role,
             caps: JSON.stringify(caps)
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            // Update the data-caps on the option so local state is fresh.
+            var option = select.options[select.selectedIndex];
+            if (option) {
+                option.dataset.caps = JSON.stringify(caps);
+            }
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             saveBtn.disabled = false;
             saveBtn.textContent = saveBtn.getAttribute('data-original-text') || 'Save Capabilities';
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                // Update the data-caps on the option so local state is fresh.
-                var option = select.options[select.selectedIndex];
-                if (option) {
-                    option.dataset.caps = JSON.stringify(caps);
-                }
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -179,25 +155,23 @@
         addBtn.disabled = true;
         setSpinner(spinner, true);
 
-        post('wpt_add_role', {
+        api.post('wpt_add_role', {
             role_slug:  slug,
             role_name:  name,
             clone_from: cloneFrom ? cloneFrom.value : ''
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            slugInput.value = '';
+            nameInput.value = '';
+            // Reload to show the new role in the dropdown.
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             addBtn.disabled = false;
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                slugInput.value = '';
-                nameInput.value = '';
-                // Reload to show the new role in the dropdown.
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -215,19 +189,17 @@
 
         setSpinner(spinner, true);
 
-        post('wpt_delete_role', {
+        api.post('wpt_delete_role', {
             role: role
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -245,19 +217,17 @@
 
         setSpinner(spinner, true);
 
-        post('wpt_reset_role', {
+        api.post('wpt_reset_role', {
             role: role
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -275,19 +245,17 @@
 
         setSpinner(spinner, true);
 
-        post('wpt_view_as_role', {
+        api.post('wpt_view_as_role', {
             role: role
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -300,18 +268,16 @@
         if (button) button.disabled = true;
         setSpinner(spinner, true);
 
-        post('wpt_stop_view_as', {}, function (response) {
+        api.post('wpt_stop_view_as', {}).then(function (data) {
+            showNotice(data.message, 'success');
+            setTimeout(function () {
+                window.location.reload();
+            }, 500);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             if (button) button.disabled = false;
             setSpinner(spinner, false);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                setTimeout(function () {
-                    window.location.reload();
-                }, 500);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -321,10 +287,10 @@
         e.preventDefault();
         e.stopPropagation();
 
-        post('wpt_stop_view_as', {}, function (response) {
-            if (response.success) {
-                window.location.reload();
-            }
+        api.post('wpt_stop_view_as', {}).then(function () {
+            window.location.reload();
+        }).catch(function () {
+            // Admin bar has no notice area; the link stays in place to retry.
         });
     }
 
@@ -19,6 +19,8 @@ use WPTransformed\Modules\Module_Base;
  *  - Show notice when DISABLE_WP_CRON is defined
  *  - Optional: hide system/core cron events
  *  - Optional: register custom cron schedules
+ *  - Name events other modules book (e.g. scheduled workflow rules)
+ *    through the `wpt_cron_event_details` filter
  *
  * @package WPTransformed
  */
@@ -59,6 +61,11 @@ class Cron_Manager extends Module_Base {
         return __( 'View, run, delete, and add WordPress scheduled cron events from the admin.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'wp-cron, scheduled, schedule, events, tasks, jobs', 'wptransformed' ) ) );
+    }
+
     // -- Settings ---------------------------------------------------------
 
     public function get_default_settings(): array {
@@ -82,6 +89,9 @@ class Cron_Manager extends Module_Base {
         add_action( 'wp_ajax_wpt_cron_run_now', [ $this, 'ajax_run_now' ] );
         add_action( 'wp_ajax_wpt_cron_delete',  [ $this, 'ajax_delete' ] );
         add_action( 'wp_ajax_wpt_cron_add',     [ $this, 'ajax_add' ] );
+
+        // Command palette -- search scheduled events by hook.
+        add_filter( 'wpt_command_palette_providers', [ $this, 'register_palette_provider' ] );
     }
 
     // -- Custom Schedules -------------------------------------------------
@@ -126,6 +136,96 @@ class Cron_Manager extends Module_Base {
         return $schedules;
     }
 
+    // -- Command Palette --------------------------------------------------
+
+    /**
+     * Contribute a "Cron Events" group to the command palette.
+     *
+     * @param array $providers Providers keyed by ID.
+     * @return array
+     */
+    public function register_palette_provider( array $providers ): array {
+        $providers['cron'] = [
+            'label'    => __( 'Cron Events', 'wptransformed' ),
+            'icon'     => 'dashicons-clock',
+            'commands' => [
+                [
+                    'title'       => __( 'Schedule Cron Event', 'wptransformed' ),
+                    'description' => __( 'Cron Manager', 'wptransformed' ),
+                    'url'         => admin_url( 'admin.php?page=wptransformed&module=cron-manager' ),
+                ],
+                [
+                    'title'       => __( 'Run Cron Event…', 'wptransformed' ),
+                    'description' => __( 'Cron Manager', 'wptransformed' ),
+                    'icon'        => 'dashicons-controls-play',
+                    'run'         => [
+                        'ajax'        => 'wpt_cron_run_now',
+                        'nonce'       => wp_create_nonce( 'wpt_cron_nonce' ),
+                        'nonceAction' => 'wpt_cron_nonce',
+                        'args'        => [
+                            [
+                                'name'        => 'hook',
+                                'label'       => __( 'Hook', 'wptransformed' ),
+                                'placeholder' => __( 'Search scheduled hooks…', 'wptransformed' ),
+                                'source'      => 'cron',
+                                'valueKey'    => 'hook',
+                            ],
+                        ],
+                        /* translators: {hook}: cron hook name — keep the braces. */
+                        'confirm'     => __( 'Run "{hook}" now?', 'wptransformed' ),
+                    ],
+                ],
+            ],
+            'search'   => [ $this, 'palette_search' ],
+        ];
+
+        return $providers;
+    }
+
+    /**
+     * Find scheduled events whose hook contains the query.
+     *
+     * @param string $query Search query.
+     * @return array
+     */
+    public function palette_search( string $query ): array {
+        $crons = _get_cron_array();
+        if ( ! is_array( $crons ) ) {
+            return [];
+        }
+
+        $page  = admin_url( 'admin.php?page=wptransformed&module=cron-manager' );
+        $items = [];
+        $seen  = [];
+
+        foreach ( $this->flatten_cron_array( $crons, $this->get_settings() ) as $event ) {
+            if ( stripos( $event['hook'], $query ) === false || isset( $seen[ $event['hook'] ] ) ) {
+                continue;
+            }
+            $seen[ $event['hook'] ] = true;
+
+            $items[] = [
+                'title'       => $event['hook'],
+                'description' => sprintf(
+                    /* translators: 1: schedule name, 2: relative time of next run */
+                    __( '%1$s · next run %2$s', 'wptransformed' ),
+                    $event['schedule_display'],
+                    human_time_diff( time(), $event['timestamp'] )
+                ),
+                'url'         => $page,
+                'hook'        => $event['hook'],
+                // Extra fields "Run Cron Event…" posts along with the hook.
+                'data'        => [ 'args' => wp_json_encode( $event['args'] ) ],
+            ];
+
+            if ( count( $items ) >= 8 ) {
+                break;
+            }
+        }
+
+        return $items;
+    }
+
     // -- AJAX: Run Now ----------------------------------------------------
 
     /**
@@ -372,6 +472,18 @@ class Cron_Manager extends Module_Base {
                         <?php if ( $event['is_system'] ) : ?>
                             <span class="wpt-cron-badge wpt-cron-badge-system"><?php esc_html_e( 'core', 'wptransformed' ); ?></span>
                         <?php endif; ?>
+                        <?php if ( $event['source'] !== '' ) : ?>
+                            <span class="wpt-cron-badge wpt-cron-badge-source"><?php echo esc_html( $event['source'] ); ?></span>
+                        <?php endif; ?>
+                        <?php if ( $event['label'] !== '' ) : ?>
+                            <br><span class="wpt-cron-label">
+                                <?php if ( $event['url'] !== '' ) : ?>
+                                    <a href="<?php echo esc_url( $event['url'] ); ?>"><?php echo esc_html( $event['label'] ); ?></a>
+                                <?php else : ?>
+                                    <?php echo esc_html( $event['label'] ); ?>
+                                <?php endif; ?>
+                            </span>
+                        <?php endif; ?>
                     </td>
                     <td><?php echo esc_html( $event['schedule_display'] ); ?></td>
                     <td>
@@ -485,7 +597,7 @@ class Cron_Manager extends Module_Base {
         wp_enqueue_script(
             'wpt-cron-manager',
             WPT_URL . 'modules/utilities/js/cron-manager.js',
-            [],
+            [ 'wpt-api' ],
             WPT_VERSION,
             true
         );
@@ -552,14 +664,33 @@ class Cron_Manager extends Module_Base {
                         $schedule_display = __( 'One-time', 'wptransformed' );
                     }
 
+                    $args = $entry['args'] ?? [];
+
+                    /**
+                     * Filter how the event list describes an event a module booked.
+                     *
+                     * Keys, all optional: `source` (badge text), `label` (shown
+                     * under the hook), `url` (where the label links) and
+                     * `schedule` (replaces the recurrence name, since events
+                     * rebooked from a cron expression are otherwise "One-time").
+                     *
+                     * @param array  $details Empty by default.
+                     * @param string $hook    Event hook.
+                     * @param array  $args    Event arguments.
+                     */
+                    $details = (array) apply_filters( 'wpt_cron_event_details', [], $hook, $args );
+
                     $events[] = [
                         'timestamp'        => (int) $timestamp,
                         'hook'             => $hook,
-                        'args'             => $entry['args'] ?? [],
+                        'args'             => $args,
                         'schedule'         => $schedule_key ?: '',
-                        'schedule_display' => $schedule_display,
+                        'schedule_display' => (string) ( $details['schedule'] ?? $schedule_display ),
                         'interval'         => $entry['interval'] ?? 0,
                         'is_system'        => $is_system,
+                        'source'           => (string) ( $details['source'] ?? '' ),
+                        'label'            => (string) ( $details['label'] ?? '' ),
+                        'url'              => (string) ( $details['url'] ?? '' ),
                     ];
                 }
             }
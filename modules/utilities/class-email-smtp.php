@@ -41,6 +41,11 @@ class Email_SMTP extends Module_Base {
         return __( 'Configure WordPress to send emails via SMTP instead of PHP mail(), with test email feature.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'mail, smtp, deliverability, outgoing email, wp_mail', 'wptransformed' ) ) );
+    }
+
     // ── Settings ──────────────────────────────────────────────
 
     public function get_default_settings(): array {
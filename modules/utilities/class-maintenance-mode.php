@@ -41,6 +41,11 @@ class Maintenance_Mode extends Module_Base {
         return __( 'Show a maintenance page to visitors while you work on the site.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'coming soon, under construction, offline, downtime', 'wptransformed' ) ) );
+    }
+
     // ── Settings ──────────────────────────────────────────────
 
     public function get_default_settings(): array {
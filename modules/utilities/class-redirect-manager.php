@@ -12,12 +12,21 @@ use WPTransformed\Modules\Module_Base;
  *
  * Features:
  *  - Custom redirect rules with 301, 302, 307 types
- *  - 404 error logging with referrer and user agent tracking
+ *  - Exact, wildcard (*) and regex sources with $1 capture substitution
+ *  - Per-rule case sensitivity and query-string match / pass-through
+ *  - Built-in URL tester showing which rule matches and where it goes
+ *  - 404 error logging with referrer and user agent tracking, grouped by
+ *    normalized path, with ignore rules for bots and probe URLs
+ *  - Target suggestions for 404s by slug similarity, bulk redirect creation
+ *  - Per-rule hit statistics: daily hits, last hit and referrer breakdown,
+ *    with "never hit" / "not hit in N days" filters and bulk disable/delete
  *  - Transient-based redirect cache for performance
- *  - CSV import/export of redirect rules
+ *  - CSV export; CSV / JSON / .htaccess / nginx import with column mapping,
+ *    dry-run preview and a per-row report
  *  - AJAX-powered CRUD for redirects and 404 log management
- *  - Redirect loop detection
- *  - Daily cron for 404 log pruning
+ *  - Redirect loop and chain detection, with one-click chain collapsing
+ *  - Health tab listing chained, looping and broken-target rules
+ *  - Daily cron for 404 log and hit statistics pruning
  *
  * @package WPTransformed
  */
@@ -28,6 +37,11 @@ class Redirect_Manager extends Module_Base {
      */
     private const REDIRECT_TYPES = [ 301, 302, 307 ];
 
+    /**
+     * Allowed source match types.
+     */
+    private const MATCH_TYPES = [ 'exact', 'wildcard', 'regex' ];
+
     /**
      * Cache key for active redirects.
      */
@@ -41,7 +55,58 @@ class Redirect_Manager extends Module_Base {
     /**
      * Current DB schema version.
      */
-    private const DB_VERSION = '1.0';
+    private const DB_VERSION = '1.3';
+
+    /**
+     * Days of per-rule hit history kept for the sparkline.
+     */
+    private const STATS_DAYS = 30;
+
+    /**
+     * Days a referrer is kept after it last sent a hit.
+     */
+    private const REFERRER_DAYS = 90;
+
+    /**
+     * 404 ignore rules seeded on install: login/XML-RPC probes, PHP and
+     * dotfile scans.
+     */
+    private const DEFAULT_404_IGNORE = "/wp-login.php\n/xmlrpc.php\n*.php\n/.env*\n/.git/*\n/cgi-bin/*";
+
+    /**
+     * User agents treated as bots when "ignore bots" is on.
+     */
+    private const BOT_PATTERN = '/bot\b|crawl|spider|slurp|facebookexternalhit|curl\/|wget\/|python-requests|go-http-client|scrapy|headlesschrome/i';
+
+    /**
+     * 404 groups shown in the log tab, busiest first.
+     */
+    private const LOG_GROUP_LIMIT = 200;
+
+    /**
+     * Seconds one target-check request may spend before it returns with
+     * the rules it got through; the client asks again from there.
+     */
+    private const HEALTH_TIME_BUDGET = 8;
+
+    /**
+     * Seconds each HTTP request of a target check may take.
+     */
+    private const HEALTH_REQUEST_TIMEOUT = 2;
+
+    /**
+     * Active rules indexed for matching, built on first use.
+     *
+     * @var array|null
+     */
+    private ?array $active_set = null;
+
+    /**
+     * Compiled 404 ignore rules, built on first use.
+     *
+     * @var string[]|null
+     */
+    private ?array $ignore_patterns = null;
 
     // ── Identity ──────────────────────────────────────────────
 
@@ -61,6 +126,11 @@ class Redirect_Manager extends Module_Base {
         return __( 'Manage 301/302/307 redirects and log 404 errors with referrer tracking.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( '301, 302, forwarding, forward, redirection, moved, 404, broken links', 'wptransformed' ) ) );
+    }
+
     // ── Settings ──────────────────────────────────────────────
 
     public function get_default_settings(): array {
@@ -68,6 +138,8 @@ class Redirect_Manager extends Module_Base {
             'log_404s'            => true,
             'max_404_log'         => 1000,
             'auto_redirect_slugs' => false,
+            'ignore_404_bots'     => true,
+            'ignore_404_patterns' => self::DEFAULT_404_IGNORE,
         ];
     }
 
@@ -89,6 +161,13 @@ class Redirect_Manager extends Module_Base {
             wp_schedule_event( time(), 'daily', 'wpt_prune_404_log' );
         }
 
+        // Daily cron for hit statistics pruning.
+        add_action( 'wpt_prune_redirect_stats', [ $this, 'prune_redirect_stats' ] );
+
+        if ( ! wp_next_scheduled( 'wpt_prune_redirect_stats' ) ) {
+            wp_schedule_event( time(), 'daily', 'wpt_prune_redirect_stats' );
+        }
+
         // AJAX handlers.
         add_action( 'wp_ajax_wpt_add_redirect',    [ $this, 'ajax_add_redirect' ] );
         add_action( 'wp_ajax_wpt_edit_redirect',   [ $this, 'ajax_edit_redirect' ] );
@@ -97,12 +176,25 @@ class Redirect_Manager extends Module_Base {
         add_action( 'wp_ajax_wpt_clear_404_log',   [ $this, 'ajax_clear_404_log' ] );
         add_action( 'wp_ajax_wpt_export_redirects', [ $this, 'ajax_export_redirects' ] );
         add_action( 'wp_ajax_wpt_import_redirects', [ $this, 'ajax_import_redirects' ] );
+        add_action( 'wp_ajax_wpt_test_redirect_url', [ $this, 'ajax_test_redirect_url' ] );
+        add_action( 'wp_ajax_wpt_collapse_redirect_chain', [ $this, 'ajax_collapse_redirect_chain' ] );
+        add_action( 'wp_ajax_wpt_check_redirect_targets', [ $this, 'ajax_check_redirect_targets' ] );
+        add_action( 'wp_ajax_wpt_redirect_stats', [ $this, 'ajax_redirect_stats' ] );
+        add_action( 'wp_ajax_wpt_bulk_redirects', [ $this, 'ajax_bulk_redirects' ] );
+        add_action( 'wp_ajax_wpt_suggest_404_targets', [ $this, 'ajax_suggest_404_targets' ] );
+        add_action( 'wp_ajax_wpt_create_404_redirects', [ $this, 'ajax_create_404_redirects' ] );
+        add_action( 'wp_ajax_wpt_ignore_404', [ $this, 'ajax_ignore_404' ] );
+
+        // Command palette: redirect commands + search by URL.
+        add_filter( 'wpt_command_palette_providers', [ $this, 'register_palette_provider' ] );
     }
 
     public function deactivate(): void {
-        $timestamp = wp_next_scheduled( 'wpt_prune_404_log' );
-        if ( $timestamp ) {
-            wp_unschedule_event( $timestamp, 'wpt_prune_404_log' );
+        foreach ( [ 'wpt_prune_404_log', 'wpt_prune_redirect_stats' ] as $hook ) {
+            $timestamp = wp_next_scheduled( $hook );
+            if ( $timestamp ) {
+                wp_unschedule_event( $timestamp, $hook );
+            }
         }
 
         delete_transient( self::CACHE_KEY );
@@ -126,12 +218,19 @@ class Redirect_Manager extends Module_Base {
 
         $redirects_table = $wpdb->prefix . 'wpt_redirects';
         $log_table       = $wpdb->prefix . 'wpt_404_log';
+        $hits_table      = $wpdb->prefix . 'wpt_redirect_hits';
+        $referrers_table = $wpdb->prefix . 'wpt_redirect_referrers';
 
         $sql_redirects = "CREATE TABLE {$redirects_table} (
             id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
             source_url VARCHAR(2048) NOT NULL,
             target_url VARCHAR(2048) NOT NULL,
             redirect_type SMALLINT DEFAULT 301,
+            match_type VARCHAR(10) DEFAULT 'exact',
+            ignore_case TINYINT(1) DEFAULT 1,
+            query_match TINYINT(1) DEFAULT 0,
+            query_pass TINYINT(1) DEFAULT 0,
+            notes VARCHAR(255) DEFAULT '',
             hit_count BIGINT DEFAULT 0,
             last_hit DATETIME NULL,
             is_active TINYINT(1) DEFAULT 1,
@@ -150,10 +249,34 @@ class Redirect_Manager extends Module_Base {
             INDEX idx_url (url(191))
         ) {$charset_collate};";
 
+        // One row per rule per day.
+        $sql_hits = "CREATE TABLE {$hits_table} (
+            redirect_id BIGINT UNSIGNED NOT NULL,
+            hit_date DATE NOT NULL,
+            hits INT UNSIGNED DEFAULT 0,
+            PRIMARY KEY  (redirect_id, hit_date),
+            INDEX idx_date (hit_date)
+        ) {$charset_collate};";
+
+        // One row per rule per referring host + path; '' is a direct hit.
+        $sql_referrers = "CREATE TABLE {$referrers_table} (
+            redirect_id BIGINT UNSIGNED NOT NULL,
+            referrer VARCHAR(191) NOT NULL DEFAULT '',
+            hits INT UNSIGNED DEFAULT 0,
+            last_hit DATETIME NULL,
+            PRIMARY KEY  (redirect_id, referrer),
+            INDEX idx_last_hit (last_hit)
+        ) {$charset_collate};";
+
         require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 
         dbDelta( $sql_redirects );
         dbDelta( $sql_404_log );
+        dbDelta( $sql_hits );
+        dbDelta( $sql_referrers );
+
+        // Cached rows predate the new columns.
+        delete_transient( self::CACHE_KEY );
 
         set_transient( self::DB_VERSION_KEY, self::DB_VERSION, YEAR_IN_SECONDS );
     }
@@ -174,24 +297,283 @@ class Redirect_Manager extends Module_Base {
             return;
         }
 
-        $redirects = $this->get_cached_redirects();
+        $match = $this->find_redirect( $request_uri, $this->get_request_query() );
 
-        if ( empty( $redirects ) ) {
+        if ( $match === null ) {
+            return;
+        }
+
+        $this->record_hit( (int) $match['redirect']['id'] );
+
+        wp_redirect( esc_url_raw( $match['target'] ), $match['status'] );
+        exit;
+    }
+
+    /**
+     * Find the active redirect that handles a path.
+     *
+     * Exact rules win over patterns; patterns are tried in the order they
+     * were created, so the first wildcard or regex that matches is used.
+     *
+     * @param string     $path  Request path without query string.
+     * @param string     $query Raw query string (no leading "?").
+     * @param array|null $set   Rule set from rule_set(); defaults to the active rules.
+     * @return array{redirect: array, target: string, status: int}|null
+     */
+    private function find_redirect( string $path, string $query, ?array $set = null ): ?array {
+        if ( $set === null ) {
+            $set = $this->active_rule_set();
+        }
+
+        $ids = array_merge( $set['exact'][ $this->rule_key( $path ) ] ?? [], $set['patterns'] );
+
+        foreach ( $ids as $id ) {
+            $redirect = $set['rules'][ $id ];
+            $target   = $this->match_redirect( $redirect, $path, $query );
+
+            if ( $target === null ) {
+                continue;
+            }
+
+            $type = in_array( (int) $redirect['redirect_type'], self::REDIRECT_TYPES, true )
+                ? (int) $redirect['redirect_type']
+                : 301;
+
+            return [
+                'redirect' => $redirect,
+                'target'   => $target,
+                'status'   => $type,
+            ];
+        }
+
+        return null;
+    }
+
+    // ── Rule Sets ─────────────────────────────────────────────
+
+    /**
+     * Index rules for matching.
+     *
+     * Exact rules are bucketed by lowercased path so a lookup only compares
+     * the rules that could match; patterns are kept in ID order. Rules whose
+     * target points at this site are also indexed by target path, which is
+     * how chain checks find the rules leading into a path.
+     *
+     * @param array $rules Redirect rows.
+     * @return array{rules: array, exact: array, patterns: int[], targets: array}
+     */
+    private function rule_set( array $rules ): array {
+        $set = [
+            'rules'    => [],
+            'exact'    => [],
+            'patterns' => [],
+            'targets'  => [],
+        ];
+
+        foreach ( $rules as $rule ) {
+            $this->rule_set_add( $set, $rule );
+        }
+
+        return $set;
+    }
+
+    /**
+     * Add (or replace) a rule in a rule set.
+     *
+     * @param array $set  Rule set, updated in place.
+     * @param array $rule Redirect row.
+     */
+    private function rule_set_add( array &$set, array $rule ): void {
+        $id = (int) $rule['id'];
+
+        if ( isset( $set['rules'][ $id ] ) ) {
+            $this->rule_set_remove( $set, $id );
+        }
+
+        $set['rules'][ $id ] = $rule;
+
+        if ( ( $rule['match_type'] ?? 'exact' ) === 'exact' ) {
+            $key = $this->rule_key( (string) $rule['source_url'] );
+            $set['exact'][ $key ][] = $id;
+            sort( $set['exact'][ $key ] );
+        } else {
+            $set['patterns'][] = $id;
+            sort( $set['patterns'] );
+        }
+
+        $target = $this->target_key( (string) $rule['target_url'] );
+        if ( $target !== null ) {
+            $set['targets'][ $target ][] = $id;
+        }
+    }
+
+    /**
+     * Remove a rule from a rule set.
+     *
+     * @param array $set Rule set, updated in place.
+     * @param int   $id  Rule ID.
+     */
+    private function rule_set_remove( array &$set, int $id ): void {
+        if ( ! isset( $set['rules'][ $id ] ) ) {
             return;
         }
 
-        foreach ( $redirects as $redirect ) {
-            if ( $this->normalize_url( $redirect['source_url'] ) === $this->normalize_url( $request_uri ) ) {
-                $this->increment_hit_count( (int) $redirect['id'] );
+        $rule    = $set['rules'][ $id ];
+        $without = static function ( array $ids ) use ( $id ): array {
+            return array_values( array_diff( $ids, [ $id ] ) );
+        };
+
+        if ( ( $rule['match_type'] ?? 'exact' ) === 'exact' ) {
+            $key = $this->rule_key( (string) $rule['source_url'] );
+            $set['exact'][ $key ] = $without( $set['exact'][ $key ] ?? [] );
+        } else {
+            $set['patterns'] = $without( $set['patterns'] );
+        }
+
+        $target = $this->target_key( (string) $rule['target_url'] );
+        if ( $target !== null ) {
+            $set['targets'][ $target ] = $without( $set['targets'][ $target ] ?? [] );
+        }
+
+        unset( $set['rules'][ $id ] );
+    }
+
+    /**
+     * Rule set of the active redirects, built once per request.
+     *
+     * @return array
+     */
+    private function active_rule_set(): array {
+        if ( $this->active_set === null ) {
+            $this->active_set = $this->rule_set( $this->get_cached_redirects() );
+        }
+
+        return $this->active_set;
+    }
+
+    /**
+     * Bucket key for a source path: lowercased, no query, no trailing slash.
+     *
+     * @param string $path Source or request path.
+     * @return string
+     */
+    private function rule_key( string $path ): string {
+        return $this->normalize_url( explode( '?', $path, 2 )[0] );
+    }
+
+    /**
+     * Bucket key for a target that points at this site, or null when the
+     * target is external or depends on captures.
+     *
+     * @param string $target Target URL or path.
+     * @return string|null
+     */
+    private function target_key( string $target ): ?string {
+        if ( strpos( $target, '$' ) !== false ) {
+            return null;
+        }
+
+        $local = $this->local_target( $target );
+
+        return $local !== null ? $this->rule_key( $local[0] ) : null;
+    }
+
+    /**
+     * Match one rule against a request and build its target URL.
+     *
+     * Wildcard and regex captures are substituted into the target as $1, $2…
+     * When the rule passes the query string through, the request's query is
+     * appended to the target.
+     *
+     * @param array  $redirect Redirect row.
+     * @param string $path     Request path without query string.
+     * @param string $query    Raw query string (no leading "?").
+     * @return string|null Resolved target URL, or null when the rule does not match.
+     */
+    private function match_redirect( array $redirect, string $path, string $query ): ?string {
+        $match_type  = $redirect['match_type'] ?? 'exact';
+        $ignore_case = ! isset( $redirect['ignore_case'] ) || (int) $redirect['ignore_case'] === 1;
+        $query_match = ! empty( $redirect['query_match'] );
+        $source      = (string) $redirect['source_url'];
+        $captures    = [];
+
+        if ( $match_type === 'exact' ) {
+            $source_parts = explode( '?', $source, 2 );
+
+            if ( $this->normalize_url( $source_parts[0], $ignore_case ) !== $this->normalize_url( $path, $ignore_case ) ) {
+                return null;
+            }
 
-                $type = in_array( (int) $redirect['redirect_type'], self::REDIRECT_TYPES, true )
-                    ? (int) $redirect['redirect_type']
-                    : 301;
+            if ( $query_match && ! $this->query_equals( $source_parts[1] ?? '', $query ) ) {
+                return null;
+            }
+        } else {
+            $subject = ( $query_match && $query !== '' ) ? $path . '?' . $query : $path;
+            $pattern = $this->source_pattern( $source, $match_type, $ignore_case );
 
-                wp_redirect( esc_url_raw( $redirect['target_url'] ), $type );
-                exit;
+            if ( $pattern === null || ! preg_match( $pattern, $subject, $captures ) ) {
+                return null;
             }
         }
+
+        $target = (string) preg_replace_callback(
+            '/\$(\d{1,2})|\$\{(\d{1,2})\}/',
+            static function ( array $m ) use ( $captures ): string {
+                $index = (int) ( $m[1] !== '' ? $m[1] : $m[2] );
+                return $captures[ $index ] ?? '';
+            },
+            (string) $redirect['target_url']
+        );
+
+        if ( ! empty( $redirect['query_pass'] ) && $query !== '' ) {
+            $target .= ( strpos( $target, '?' ) === false ? '?' : '&' ) . $query;
+        }
+
+        return $target;
+    }
+
+    /**
+     * Compile a wildcard or regex source into a PCRE pattern.
+     *
+     * Wildcards are anchored and tolerate a trailing slash; each "*" becomes a
+     * capture group. Regex sources are used as written, so anchor them with ^
+     * and $ when a partial match is not wanted.
+     *
+     * @param string $source      Source as stored.
+     * @param string $match_type  wildcard|regex.
+     * @param bool   $ignore_case Whether to match case-insensitively.
+     * @return string|null Pattern, or null when the regex does not compile.
+     */
+    private function source_pattern( string $source, string $match_type, bool $ignore_case ): ?string {
+        $flags = $ignore_case ? 'i' : '';
+
+        if ( $match_type === 'wildcard' ) {
+            $body = str_replace( '\\*', '(.*?)', preg_quote( rtrim( $source, '/' ), '#' ) );
+            return '#^' . $body . '/?$#' . $flags;
+        }
+
+        // Escape the delimiter unless the author already did.
+        $pattern = '#' . preg_replace( '/(?<!\\\\)((?:\\\\\\\\)*)#/', '$1\\\\#', $source ) . '#' . $flags;
+
+        // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- invalid user patterns are reported, not raised.
+        return @preg_match( $pattern, '' ) === false ? null : $pattern;
+    }
+
+    /**
+     * Compare two query strings regardless of parameter order.
+     *
+     * @param string $expected Query from the rule.
+     * @param string $actual   Query from the request.
+     * @return bool
+     */
+    private function query_equals( string $expected, string $actual ): bool {
+        wp_parse_str( $expected, $expected_args );
+        wp_parse_str( $actual, $actual_args );
+
+        ksort( $expected_args );
+        ksort( $actual_args );
+
+        return $expected_args === $actual_args;
     }
 
     /**
@@ -200,7 +582,8 @@ class Redirect_Manager extends Module_Base {
      * @return string
      */
     private function get_request_uri(): string {
-        $uri = isset( $_SERVER['REQUEST_URI'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REQUEST_URI'] ) ) : '';
+        // Cleaned like sources, so %xx octets survive to match them.
+        $uri = isset( $_SERVER['REQUEST_URI'] ) ? $this->clean_source( wp_unslash( $_SERVER['REQUEST_URI'] ) ) : '';
 
         // Remove query string for matching.
         $uri = strtok( $uri, '?' );
@@ -209,32 +592,141 @@ class Redirect_Manager extends Module_Base {
     }
 
     /**
-     * Normalize a URL for comparison (trim trailing slash, lowercase).
+     * Get the raw request query string.
+     *
+     * @return string
+     */
+    private function get_request_query(): string {
+        return isset( $_SERVER['QUERY_STRING'] ) ? $this->clean_source( wp_unslash( $_SERVER['QUERY_STRING'] ) ) : '';
+    }
+
+    /**
+     * Normalize a URL for comparison (trim trailing slash, optionally lowercase).
      *
-     * @param string $url URL to normalize.
+     * @param string $url         URL to normalize.
+     * @param bool   $ignore_case Lowercase before comparing.
      * @return string
      */
-    private function normalize_url( string $url ): string {
-        return rtrim( strtolower( $url ), '/' );
+    private function normalize_url( string $url, bool $ignore_case = true ): string {
+        return rtrim( $ignore_case ? strtolower( $url ) : $url, '/' );
     }
 
+    // ── Hit Statistics ────────────────────────────────────────
+
     /**
-     * Increment the hit count for a redirect.
+     * Count a hit on a redirect: the running total and last hit on the rule,
+     * today's bucket for the sparkline and the referrer breakdown.
      *
      * @param int $redirect_id Redirect ID.
      */
-    private function increment_hit_count( int $redirect_id ): void {
+    private function record_hit( int $redirect_id ): void {
         global $wpdb;
 
         $table = $wpdb->prefix . 'wpt_redirects';
+        $now   = current_time( 'mysql' );
 
         $wpdb->query(
             $wpdb->prepare(
                 "UPDATE {$table} SET hit_count = hit_count + 1, last_hit = %s WHERE id = %d",
-                current_time( 'mysql' ),
+                $now,
                 $redirect_id
             )
         );
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "INSERT INTO {$wpdb->prefix}wpt_redirect_hits (redirect_id, hit_date, hits) VALUES (%d, %s, 1)
+                 ON DUPLICATE KEY UPDATE hits = hits + 1",
+                $redirect_id,
+                current_time( 'Y-m-d' )
+            )
+        );
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "INSERT INTO {$wpdb->prefix}wpt_redirect_referrers (redirect_id, referrer, hits, last_hit) VALUES (%d, %s, 1, %s)
+                 ON DUPLICATE KEY UPDATE hits = hits + 1, last_hit = VALUES(last_hit)",
+                $redirect_id,
+                $this->referrer_label(),
+                $now
+            )
+        );
+    }
+
+    /**
+     * The request's referrer as host + path, without scheme or query so
+     * tracking parameters don't split one source into many rows.
+     */
+    private function referrer_label(): string {
+        $referrer = wp_get_raw_referer();
+
+        if ( ! $referrer ) {
+            return '';
+        }
+
+        $parts = wp_parse_url( $referrer );
+
+        if ( empty( $parts['host'] ) ) {
+            return '';
+        }
+
+        $label = strtolower( $parts['host'] ) . rtrim( $parts['path'] ?? '', '/' );
+
+        return substr( sanitize_text_field( $label ), 0, 191 );
+    }
+
+    /**
+     * Drop statistics for deleted rules.
+     *
+     * @param int[] $ids Redirect IDs.
+     */
+    private function delete_stats( array $ids ): void {
+        global $wpdb;
+
+        if ( empty( $ids ) ) {
+            return;
+        }
+
+        $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
+
+        foreach ( [ 'wpt_redirect_hits', 'wpt_redirect_referrers' ] as $table ) {
+            // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+            $wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->prefix}{$table} WHERE redirect_id IN ({$placeholders})", $ids ) );
+        }
+    }
+
+    /**
+     * Prune daily hits older than the sparkline window and referrers that
+     * have gone quiet (cron handler).
+     */
+    public function prune_redirect_stats(): void {
+        global $wpdb;
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM {$wpdb->prefix}wpt_redirect_hits WHERE hit_date < %s",
+                wp_date( 'Y-m-d', time() - self::STATS_DAYS * DAY_IN_SECONDS )
+            )
+        );
+
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM {$wpdb->prefix}wpt_redirect_referrers WHERE last_hit < %s",
+                wp_date( 'Y-m-d H:i:s', time() - self::REFERRER_DAYS * DAY_IN_SECONDS )
+            )
+        );
+    }
+
+    /**
+     * "3 days ago" for a stored local datetime, or '' when never hit.
+     */
+    private function hit_ago( ?string $datetime ): string {
+        if ( empty( $datetime ) ) {
+            return '';
+        }
+
+        /* translators: %s: human-readable time difference */
+        return sprintf( __( '%s ago', 'wptransformed' ), human_time_diff( (int) mysql2date( 'U', $datetime, false ) ) );
     }
 
     // ── Redirect Cache ────────────────────────────────────────
@@ -257,7 +749,7 @@ class Redirect_Manager extends Module_Base {
 
         // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
         $redirects = $wpdb->get_results(
-            "SELECT id, source_url, target_url, redirect_type FROM {$table} WHERE is_active = 1 ORDER BY id ASC",
+            "SELECT id, source_url, target_url, redirect_type, match_type, ignore_case, query_match, query_pass FROM {$table} WHERE is_active = 1 ORDER BY id ASC",
             ARRAY_A
         );
 
@@ -275,51 +767,233 @@ class Redirect_Manager extends Module_Base {
      */
     private function invalidate_cache(): void {
         delete_transient( self::CACHE_KEY );
+        $this->active_set = null;
     }
 
-    // ── 404 Logging ───────────────────────────────────────────
+    // ── Chains & Loops ────────────────────────────────────────
 
     /**
-     * Log 404 errors if enabled.
+     * Split a target into a path and query when it points at this site.
+     *
+     * @param string $target Target URL or path.
+     * @return array{0: string, 1: string}|null Path and query, or null for external targets.
      */
-    public function log_404(): void {
-        if ( ! is_404() ) {
-            return;
-        }
+    private function local_target( string $target ): ?array {
+        $parts = wp_parse_url( $target );
 
-        $settings = $this->get_settings();
+        if ( $parts === false ) {
+            return null;
+        }
 
-        if ( empty( $settings['log_404s'] ) ) {
-            return;
+        if ( ! empty( $parts['host'] ) && strtolower( $parts['host'] ) !== strtolower( (string) wp_parse_url( home_url(), PHP_URL_HOST ) ) ) {
+            return null;
         }
 
-        $url = $this->get_request_uri();
+        return [ $parts['path'] ?? '/', $parts['query'] ?? '' ];
+    }
 
-        if ( empty( $url ) ) {
-            return;
-        }
+    /**
+     * Follow a rule's target through the other rules.
+     *
+     * Targets that still contain $n placeholders cannot be followed, and
+     * external targets end the trace.
+     *
+     * @param array $rule Rule to start from.
+     * @param array $set  Rule set containing $rule.
+     * @return array{hops: array, loop: bool, final: string} Rules reached after $rule,
+     *               whether the trace came back to a rule it had passed, and the last target.
+     */
+    private function trace_redirect( array $rule, array $set ): array {
+        $visited = [ (int) $rule['id'] ];
+        $hops    = [];
+        $target  = (string) $rule['target_url'];
+        $loop    = false;
 
-        // Skip common bot/asset requests.
-        if ( $this->should_skip_404( $url ) ) {
-            return;
-        }
+        for ( $i = 0; $i < 10; $i++ ) {
+            $local = strpos( $target, '$' ) === false ? $this->local_target( $target ) : null;
 
-        global $wpdb;
+            if ( $local === null ) {
+                break;
+            }
 
-        $table    = $wpdb->prefix . 'wpt_404_log';
-        $referrer = isset( $_SERVER['HTTP_REFERER'] )
-            ? esc_url_raw( wp_unslash( $_SERVER['HTTP_REFERER'] ) )
-            : '';
-        $ua       = isset( $_SERVER['HTTP_USER_AGENT'] )
-            ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ) )
-            : '';
+            $next = $this->find_redirect( $local[0], $local[1], $set );
 
-        // Truncate fields to fit DB columns.
-        $url      = substr( $url, 0, 2048 );
-        $referrer = substr( $referrer, 0, 2048 );
-        $ua       = substr( $ua, 0, 512 );
+            if ( $next === null ) {
+                break;
+            }
 
-        // Upsert -- increment hit_count if URL already logged.
+            if ( in_array( (int) $next['redirect']['id'], $visited, true ) ) {
+                $loop = true;
+                break;
+            }
+
+            $visited[] = (int) $next['redirect']['id'];
+            $hops[]    = $next['redirect'];
+            $target    = $next['target'];
+        }
+
+        return [
+            'hops'  => $hops,
+            'loop'  => $loop,
+            'final' => $target,
+        ];
+    }
+
+    /**
+     * Check how a new or edited rule links up with the existing rules.
+     *
+     * @param array $candidate Rule being saved; id is 0 for a new rule.
+     * @param array $set       Rule set of the other active rules (without the candidate).
+     * @return array{loop: bool, hops: array, final: string, incoming: array, set: array}
+     *               incoming lists rules whose target the candidate would redirect again;
+     *               set is the rule set with the candidate added.
+     */
+    private function check_chain( array $candidate, array $set ): array {
+        if ( empty( $candidate['id'] ) ) {
+            $candidate['id'] = PHP_INT_MAX;
+        }
+
+        $this->rule_set_add( $set, $candidate );
+
+        $trace = $this->trace_redirect( $candidate, $set );
+
+        // Exact sources can only be reached from targets with the same path.
+        $ids = ( $candidate['match_type'] ?? 'exact' ) === 'exact'
+            ? ( $set['targets'][ $this->rule_key( (string) $candidate['source_url'] ) ] ?? [] )
+            : array_merge( [], ...array_values( $set['targets'] ) );
+
+        $incoming = [];
+
+        foreach ( $ids as $id ) {
+            if ( $id === (int) $candidate['id'] ) {
+                continue;
+            }
+
+            $local = $this->local_target( (string) $set['rules'][ $id ]['target_url'] );
+            $next  = $local !== null ? $this->find_redirect( $local[0], $local[1], $set ) : null;
+
+            if ( $next !== null && (int) $next['redirect']['id'] === (int) $candidate['id'] ) {
+                $incoming[] = $set['rules'][ $id ];
+            }
+        }
+
+        return [
+            'loop'     => $trace['loop'],
+            'hops'     => $trace['hops'],
+            'final'    => $trace['final'],
+            'incoming' => $incoming,
+            'set'      => $set,
+        ];
+    }
+
+    /**
+     * Describe a chain check as "A → B → C" for notices.
+     *
+     * @param array $candidate Rule being saved.
+     * @param array $chain     Result of check_chain().
+     * @return string
+     */
+    private function describe_chain( array $candidate, array $chain ): string {
+        $steps = [];
+
+        if ( ! empty( $chain['incoming'] ) ) {
+            $steps[] = $chain['incoming'][0]['source_url'];
+        }
+
+        $steps[] = $candidate['source_url'];
+        $steps[] = $candidate['target_url'];
+
+        foreach ( $chain['hops'] as $hop ) {
+            $steps[] = $hop['target_url'];
+        }
+
+        return implode( ' → ', $steps );
+    }
+
+    /**
+     * Find every active rule that chains into another or loops.
+     *
+     * @return array{chains: array, loops: array} Each entry: rule, hops, final.
+     */
+    private function analyze_rules(): array {
+        $set    = $this->active_rule_set();
+        $result = [
+            'chains' => [],
+            'loops'  => [],
+        ];
+
+        foreach ( $set['rules'] as $rule ) {
+            $trace = $this->trace_redirect( $rule, $set );
+
+            if ( $trace['loop'] ) {
+                $result['loops'][] = array_merge( [ 'rule' => $rule ], $trace );
+            } elseif ( ! empty( $trace['hops'] ) ) {
+                $result['chains'][] = array_merge( [ 'rule' => $rule ], $trace );
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Point a rule straight at the end of its chain.
+     *
+     * @param int    $redirect_id Rule ID.
+     * @param string $target      Final target.
+     * @return bool
+     */
+    private function set_target( int $redirect_id, string $target ): bool {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        return $wpdb->update( $table, [ 'target_url' => $target ], [ 'id' => $redirect_id ], [ '%s' ], [ '%d' ] ) !== false;
+    }
+
+    // ── 404 Logging ───────────────────────────────────────────
+
+    /**
+     * Log 404 errors if enabled.
+     */
+    public function log_404(): void {
+        if ( ! is_404() ) {
+            return;
+        }
+
+        $settings = $this->get_settings();
+
+        if ( empty( $settings['log_404s'] ) ) {
+            return;
+        }
+
+        $url = $this->get_request_uri();
+
+        if ( empty( $url ) ) {
+            return;
+        }
+
+        $ua = isset( $_SERVER['HTTP_USER_AGENT'] )
+            ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_USER_AGENT'] ) )
+            : '';
+
+        // Skip assets, bots and anything matching an ignore rule.
+        if ( $this->should_skip_404( $url ) || ( ! empty( $settings['ignore_404_bots'] ) && $this->is_bot( $ua ) ) ) {
+            return;
+        }
+
+        global $wpdb;
+
+        $table    = $wpdb->prefix . 'wpt_404_log';
+        $referrer = isset( $_SERVER['HTTP_REFERER'] )
+            ? esc_url_raw( wp_unslash( $_SERVER['HTTP_REFERER'] ) )
+            : '';
+
+        // Truncate fields to fit DB columns.
+        $url      = substr( $url, 0, 2048 );
+        $referrer = substr( $referrer, 0, 2048 );
+        $ua       = substr( $ua, 0, 512 );
+
+        // Upsert -- increment hit_count if URL already logged.
         $existing = $wpdb->get_var(
             $wpdb->prepare(
                 "SELECT id FROM {$table} WHERE url = %s LIMIT 1",
@@ -353,183 +1027,1248 @@ class Redirect_Manager extends Module_Base {
     }
 
     /**
-     * Check if a 404 URL should be skipped from logging.
+     * Check if a 404 URL should be skipped from logging: static assets and
+     * paths matching one of the ignore rules.
+     *
+     * @param string $url Request URL.
+     * @return bool
+     */
+    private function should_skip_404( string $url ): bool {
+        $skip_extensions = [ '.css', '.js', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.woff', '.woff2', '.ttf', '.map' ];
+
+        $path = strtolower( $url );
+
+        foreach ( $skip_extensions as $ext ) {
+            if ( substr( $path, -strlen( $ext ) ) === $ext ) {
+                return true;
+            }
+        }
+
+        foreach ( $this->ignore_patterns() as $pattern ) {
+            if ( preg_match( $pattern, $path ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a user agent looks like a crawler, scanner or script. An empty
+     * user agent counts: browsers always send one.
+     */
+    private function is_bot( string $ua ): bool {
+        return $ua === '' || (bool) preg_match( self::BOT_PATTERN, $ua );
+    }
+
+    /**
+     * Compile the ignore rules setting, one rule per line. Rules match the
+     * whole path, case-insensitively; * matches anything.
+     *
+     * @return string[] PCRE patterns.
+     */
+    private function ignore_patterns(): array {
+        if ( $this->ignore_patterns === null ) {
+            $settings = $this->get_settings();
+
+            $this->ignore_patterns = [];
+
+            foreach ( $this->ignore_rules( (string) $settings['ignore_404_patterns'] ) as $rule ) {
+                $this->ignore_patterns[] = '#^' . str_replace( '\\*', '.*', preg_quote( strtolower( $rule ), '#' ) ) . '$#';
+            }
+        }
+
+        return $this->ignore_patterns;
+    }
+
+    /**
+     * Split the ignore rules textarea into trimmed, unique, non-empty lines.
+     *
+     * @return string[]
+     */
+    private function ignore_rules( string $text ): array {
+        $rules = array_map( 'trim', preg_split( '/\R/', $text ) ?: [] );
+
+        return array_values( array_unique( array_filter( $rules, 'strlen' ) ) );
+    }
+
+    /**
+     * Group key for a logged URL: lowercased and decoded, with repeated and
+     * trailing slashes removed, so /Old-Page/ and /old-page count as one.
+     */
+    private function log_404_key( string $url ): string {
+        $path = strtolower( rawurldecode( (string) strtok( $url, '?' ) ) );
+        $path = (string) preg_replace( '#/{2,}#', '/', $path );
+
+        return '/' . trim( $path, '/' );
+    }
+
+    /**
+     * The 404 log grouped by log_404_key(), busiest first. Entries that
+     * match the current ignore rules are left out and only counted, so a
+     * new rule cleans up the view straight away.
+     *
+     * @return array{groups: array, ignored: int}
+     */
+    private function group_404_log(): array {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_404_log';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $entries = $wpdb->get_results( "SELECT id, url, referrer, hit_count, last_hit FROM {$table} ORDER BY hit_count DESC", ARRAY_A );
+        $groups  = [];
+        $ignored = 0;
+
+        foreach ( (array) $entries as $entry ) {
+            if ( $this->should_skip_404( $entry['url'] ) ) {
+                $ignored++;
+                continue;
+            }
+
+            $key = $this->log_404_key( $entry['url'] );
+
+            if ( ! isset( $groups[ $key ] ) ) {
+                // Rows arrive busiest first, so the first variant is the one shown.
+                $groups[ $key ] = [
+                    'key'      => $key,
+                    'url'      => $entry['url'],
+                    'variants' => 0,
+                    'hits'     => 0,
+                    'last_hit' => $entry['last_hit'],
+                    'referrer' => '',
+                ];
+            }
+
+            $group = &$groups[ $key ];
+            $group['variants']++;
+            $group['hits'] += (int) $entry['hit_count'];
+
+            if ( $entry['last_hit'] > $group['last_hit'] ) {
+                $group['last_hit'] = $entry['last_hit'];
+            }
+            if ( $group['referrer'] === '' && ! empty( $entry['referrer'] ) ) {
+                $group['referrer'] = $entry['referrer'];
+            }
+            unset( $group );
+        }
+
+        usort(
+            $groups,
+            static function ( array $a, array $b ): int {
+                return $b['hits'] <=> $a['hits'] ?: strcmp( (string) $b['last_hit'], (string) $a['last_hit'] );
+            }
+        );
+
+        return [
+            'groups'  => array_slice( $groups, 0, self::LOG_GROUP_LIMIT ),
+            'ignored' => $ignored,
+        ];
+    }
+
+    /**
+     * Delete every log entry in the given groups.
+     *
+     * @param string[] $keys Keys from log_404_key().
+     * @return int Entries deleted.
+     */
+    private function delete_404_groups( array $keys ): int {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_404_log';
+        $keys  = array_flip( $keys );
+        $ids   = [];
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        foreach ( (array) $wpdb->get_results( "SELECT id, url FROM {$table}", ARRAY_A ) as $entry ) {
+            if ( isset( $keys[ $this->log_404_key( $entry['url'] ) ] ) ) {
+                $ids[] = (int) $entry['id'];
+            }
+        }
+
+        return $this->delete_404_entries( $ids );
+    }
+
+    /**
+     * @param int[] $ids Log entry IDs.
+     * @return int Entries deleted.
+     */
+    private function delete_404_entries( array $ids ): int {
+        global $wpdb;
+
+        if ( empty( $ids ) ) {
+            return 0;
+        }
+
+        $table        = $wpdb->prefix . 'wpt_404_log';
+        $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
+
+        // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+        return (int) $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE id IN ({$placeholders})", $ids ) );
+    }
+
+    /**
+     * Suggest a published post whose slug resembles the last segment of a
+     * 404 path, e.g. /blog/2019/hello-wrld → "Hello World".
+     *
+     * Candidates share at least one word with the slug; the closest by
+     * similar_text() wins if it scores 50% or more.
+     *
+     * @return array{post_id: int, title: string, url: string, score: int}|null
+     */
+    private function suggest_target( string $path ): ?array {
+        $segments = array_values( array_filter( explode( '/', strtolower( $path ) ), 'strlen' ) );
+        $slug     = sanitize_title( (string) preg_replace( '/\.(html?|php|aspx?)$/', '', (string) end( $segments ) ) );
+
+        if ( $slug === '' ) {
+            return null;
+        }
+
+        $words = array_filter(
+            explode( '-', $slug ),
+            static function ( string $word ): bool {
+                return strlen( $word ) > 2 && ! is_numeric( $word );
+            }
+        );
+
+        usort(
+            $words,
+            static function ( string $a, string $b ): int {
+                return strlen( $b ) - strlen( $a );
+            }
+        );
+
+        $types = array_values( array_diff( get_post_types( [ 'public' => true ] ), [ 'attachment' ] ) );
+
+        if ( empty( $types ) ) {
+            return null;
+        }
+
+        global $wpdb;
+
+        $where = [ 'post_name = %s' ];
+        $args  = [ $slug ];
+
+        foreach ( array_slice( $words, 0, 5 ) as $word ) {
+            $where[] = 'post_name LIKE %s';
+            $args[]  = '%' . $wpdb->esc_like( $word ) . '%';
+        }
+
+        $type_placeholders = implode( ',', array_fill( 0, count( $types ), '%s' ) );
+
+        // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+        $posts = $wpdb->get_results( $wpdb->prepare(
+            "SELECT ID, post_name FROM {$wpdb->posts}
+             WHERE post_status = 'publish' AND post_type IN ({$type_placeholders})
+             AND (" . implode( ' OR ', $where ) . ')
+             LIMIT 100',
+            array_merge( $types, $args )
+        ) );
+
+        $best  = null;
+        $score = 0.0;
+
+        foreach ( (array) $posts as $post ) {
+            similar_text( $slug, urldecode( $post->post_name ), $percent );
+
+            if ( $percent > $score ) {
+                $best  = $post;
+                $score = $percent;
+            }
+        }
+
+        if ( ! $best || $score < 50 ) {
+            return null;
+        }
+
+        $url = (string) get_permalink( (int) $best->ID );
+
+        // Never suggest the URL that is 404ing.
+        if ( $this->log_404_key( (string) wp_parse_url( $url, PHP_URL_PATH ) ) === $this->log_404_key( $path ) ) {
+            return null;
+        }
+
+        return [
+            'post_id' => (int) $best->ID,
+            'title'   => get_the_title( (int) $best->ID ),
+            'url'     => $url,
+            'score'   => (int) round( $score ),
+        ];
+    }
+
+    /**
+     * Prune 404 log to max entries (cron handler).
+     */
+    public function prune_404_log(): void {
+        $settings  = $this->get_settings();
+        $max_log   = max( 1, (int) $settings['max_404_log'] );
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_404_log';
+
+        $count = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table}" );
+
+        if ( $count <= $max_log ) {
+            return;
+        }
+
+        $to_delete = $count - $max_log;
+
+        // Use subquery instead of DELETE...ORDER BY...LIMIT for MySQL compat (WP Engine).
+        $wpdb->query(
+            $wpdb->prepare(
+                "DELETE FROM {$table} WHERE id IN (SELECT id FROM (SELECT id FROM {$table} ORDER BY last_hit ASC LIMIT %d) AS tmp_del)",
+                $to_delete
+            )
+        );
+    }
+
+    // ── Command Palette ───────────────────────────────────────
+
+    /**
+     * Contribute a "Redirects" group to the command palette.
+     *
+     * @param array $providers Providers keyed by ID.
+     * @return array
+     */
+    public function register_palette_provider( array $providers ): array {
+        $page  = admin_url( 'admin.php?page=wptransformed&module=redirect-manager' );
+        $nonce = wp_create_nonce( 'wpt_redirect_manager_nonce' );
+
+        // Picks a redirect from this provider's own search results.
+        $pick_redirect = [
+            'name'        => 'redirect_id',
+            'label'       => __( 'Redirect', 'wptransformed' ),
+            'placeholder' => __( 'Search redirects by URL or #ID…', 'wptransformed' ),
+            'source'      => 'redirects',
+            'valueKey'    => 'id',
+        ];
+
+        $providers['redirects'] = [
+            'label'    => __( 'Redirects', 'wptransformed' ),
+            'icon'     => 'dashicons-randomize',
+            'commands' => [
+                [
+                    'title'       => __( 'Add Redirect…', 'wptransformed' ),
+                    'description' => __( 'Redirect Manager', 'wptransformed' ),
+                    'run'         => [
+                        'ajax'        => 'wpt_add_redirect',
+                        'nonce'       => $nonce,
+                        'nonceAction' => 'wpt_redirect_manager_nonce',
+                        'data'        => [ 'redirect_type' => 301 ],
+                        'args'        => [
+                            [
+                                'name'        => 'source_url',
+                                'label'       => __( 'From', 'wptransformed' ),
+                                'placeholder' => __( 'Source path, e.g. /old-page', 'wptransformed' ),
+                            ],
+                            [
+                                'name'        => 'target_url',
+                                'label'       => __( 'To', 'wptransformed' ),
+                                'placeholder' => __( 'Target URL or /path', 'wptransformed' ),
+                                'type'        => 'url',
+                            ],
+                        ],
+                    ],
+                ],
+                [
+                    'title'       => __( 'Toggle Redirect…', 'wptransformed' ),
+                    'description' => __( 'Redirect Manager', 'wptransformed' ),
+                    'icon'        => 'dashicons-controls-pause',
+                    'run'         => [
+                        'ajax'        => 'wpt_toggle_redirect',
+                        'nonce'       => $nonce,
+                        'nonceAction' => 'wpt_redirect_manager_nonce',
+                        'args'        => [ $pick_redirect ],
+                    ],
+                ],
+                [
+                    'title'       => __( 'Delete Redirect…', 'wptransformed' ),
+                    'description' => __( 'Redirect Manager', 'wptransformed' ),
+                    'icon'        => 'dashicons-trash',
+                    'run'         => [
+                        'ajax'         => 'wpt_delete_redirect',
+                        'nonce'        => $nonce,
+                        'nonceAction'  => 'wpt_redirect_manager_nonce',
+                        'args'         => [ $pick_redirect ],
+                        /* translators: {redirect_id}: the chosen redirect — keep the braces. */
+                        'confirm'      => __( 'Delete the redirect {redirect_id}? This cannot be undone.', 'wptransformed' ),
+                        'confirmLabel' => __( 'Delete', 'wptransformed' ),
+                    ],
+                ],
+                [
+                    'title'       => __( 'View 404 Log', 'wptransformed' ),
+                    'description' => __( 'Redirect Manager', 'wptransformed' ),
+                    'url'         => $page,
+                ],
+            ],
+            'search'   => [ $this, 'palette_search' ],
+        ];
+
+        return $providers;
+    }
+
+    /**
+     * Find redirects whose source or target URL contains the query, or
+     * whose ID matches a numeric query ("12" or "#12").
+     *
+     * @param string $query Search query.
+     * @return array
+     */
+    public function palette_search( string $query ): array {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+        $like  = '%' . $wpdb->esc_like( $query ) . '%';
+        $id    = ctype_digit( ltrim( $query, '#' ) ) ? (int) ltrim( $query, '#' ) : 0;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, source_url, target_url, redirect_type, is_active FROM {$table}
+                 WHERE id = %d OR source_url LIKE %s OR target_url LIKE %s
+                 ORDER BY id = %d DESC, hit_count DESC LIMIT 8",
+                $id,
+                $like,
+                $like,
+                $id
+            ),
+            ARRAY_A
+        );
+
+        $page  = admin_url( 'admin.php?page=wptransformed&module=redirect-manager' );
+        $items = [];
+
+        foreach ( (array) $rows as $row ) {
+            $items[] = [
+                'title'       => $row['source_url'] . ' → ' . $row['target_url'],
+                'description' => '#' . $row['id'] . ' · ' . $row['redirect_type'] . ' · ' . ( (int) $row['is_active'] ? __( 'Active', 'wptransformed' ) : __( 'Inactive', 'wptransformed' ) ),
+                'url'         => $page,
+                'id'          => (int) $row['id'],
+            ];
+        }
+
+        return $items;
+    }
+
+    // ── Automation ────────────────────────────────────────────
+
+    /**
+     * Add an exact-match rule for Workflow Automation's "Add Redirect"
+     * action. Runs the same checks as the Add Redirect form, except that
+     * a chain is saved as is: a rule running from cron has nobody to ask.
+     *
+     * @param string $source Source path.
+     * @param string $target Target URL.
+     * @param int    $type   Redirect type.
+     * @return string|null Error message, or null once saved.
+     */
+    public function add_automated_redirect( string $source, string $target, int $type ): ?string {
+        $source = $this->clean_source( $source );
+        $target = $this->clean_target( $target );
+        $match  = [ 'match_type' => 'exact', 'ignore_case' => 1, 'query_match' => 0, 'query_pass' => 0 ];
+
+        $error = $this->validate_redirect( $source, $target, $type );
+        if ( $error ) {
+            return $error;
+        }
+
+        if ( $this->source_exists( $source ) ) {
+            return __( 'A redirect for this source URL already exists.', 'wptransformed' );
+        }
+
+        $candidate = array_merge( [ 'id' => 0, 'source_url' => $source, 'target_url' => $target, 'redirect_type' => $type ], $match );
+
+        if ( $this->check_chain( $candidate, $this->active_rule_set() )['loop'] ) {
+            return __( 'Redirect loop detected. Visitors would never reach a page.', 'wptransformed' );
+        }
+
+        global $wpdb;
+
+        $inserted = $wpdb->insert(
+            $wpdb->prefix . 'wpt_redirects',
+            array_merge(
+                [
+                    'source_url'    => $source,
+                    'target_url'    => $target,
+                    'redirect_type' => $type,
+                    'is_active'     => 1,
+                    'created_at'    => current_time( 'mysql' ),
+                ],
+                $match
+            ),
+            [ '%s', '%s', '%d', '%d', '%s', '%s', '%d', '%d', '%d' ]
+        );
+
+        if ( $inserted === false ) {
+            return __( 'Failed to save redirect.', 'wptransformed' );
+        }
+
+        $this->invalidate_cache();
+
+        return null;
+    }
+
+    // ── AJAX: Add Redirect ────────────────────────────────────
+
+    /**
+     * Add a new redirect rule.
+     */
+    public function ajax_add_redirect(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $source = isset( $_POST['source_url'] ) ? $this->clean_source( wp_unslash( $_POST['source_url'] ) ) : '';
+        $target = isset( $_POST['target_url'] ) ? $this->clean_target( wp_unslash( $_POST['target_url'] ) ) : '';
+        $type   = isset( $_POST['redirect_type'] ) ? (int) $_POST['redirect_type'] : 301;
+        $match  = $this->read_match_options();
+
+        // Validation.
+        $error = $this->validate_redirect( $source, $target, $type, $match['match_type'] );
+        if ( $error ) {
+            wp_send_json_error( [ 'message' => $error ] );
+        }
+
+        // Check for duplicate source URL.
+        if ( $this->source_exists( $source ) ) {
+            wp_send_json_error( [ 'message' => __( 'A redirect for this source URL already exists.', 'wptransformed' ) ] );
+        }
+
+        $guard  = $this->guard_chain( array_merge( [ 'id' => 0, 'source_url' => $source, 'target_url' => $target, 'redirect_type' => $type ], $match ) );
+        $target = $guard['target'];
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        $inserted = $wpdb->insert(
+            $table,
+            array_merge(
+                [
+                    'source_url'    => $source,
+                    'target_url'    => $target,
+                    'redirect_type' => $type,
+                    'is_active'     => 1,
+                    'created_at'    => current_time( 'mysql' ),
+                ],
+                $match
+            ),
+            [ '%s', '%s', '%d', '%d', '%s', '%s', '%d', '%d', '%d' ]
+        );
+
+        if ( $inserted === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to save redirect.', 'wptransformed' ) ] );
+        }
+
+        $new_id = (int) $wpdb->insert_id;
+
+        $this->apply_repoints( $guard['repoint'] );
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message' => __( 'Redirect added successfully.', 'wptransformed' ),
+            'updated' => $guard['repoint'],
+            'redirect' => array_merge(
+                [
+                    'id'            => $new_id,
+                    'source_url'    => $source,
+                    'target_url'    => $target,
+                    'redirect_type' => $type,
+                    'hit_count'     => 0,
+                    'is_active'     => 1,
+                    'created_at'    => current_time( 'mysql' ),
+                ],
+                $match
+            ),
+        ] );
+    }
+
+    // ── AJAX: Edit Redirect ───────────────────────────────────
+
+    /**
+     * Edit an existing redirect rule.
+     */
+    public function ajax_edit_redirect(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $id     = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
+        $source = isset( $_POST['source_url'] ) ? $this->clean_source( wp_unslash( $_POST['source_url'] ) ) : '';
+        $target = isset( $_POST['target_url'] ) ? $this->clean_target( wp_unslash( $_POST['target_url'] ) ) : '';
+        $type   = isset( $_POST['redirect_type'] ) ? (int) $_POST['redirect_type'] : 301;
+        $match  = $this->read_match_options();
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        }
+
+        // Validation.
+        $error = $this->validate_redirect( $source, $target, $type, $match['match_type'] );
+        if ( $error ) {
+            wp_send_json_error( [ 'message' => $error ] );
+        }
+
+        // Check for duplicate source URL (excluding this redirect).
+        if ( $this->source_exists( $source, $id ) ) {
+            wp_send_json_error( [ 'message' => __( 'A redirect for this source URL already exists.', 'wptransformed' ) ] );
+        }
+
+        $guard  = $this->guard_chain( array_merge( [ 'id' => $id, 'source_url' => $source, 'target_url' => $target, 'redirect_type' => $type ], $match ) );
+        $target = $guard['target'];
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        $updated = $wpdb->update(
+            $table,
+            array_merge(
+                [
+                    'source_url'    => $source,
+                    'target_url'    => $target,
+                    'redirect_type' => $type,
+                ],
+                $match
+            ),
+            [ 'id' => $id ],
+            [ '%s', '%s', '%d', '%s', '%d', '%d', '%d' ],
+            [ '%d' ]
+        );
+
+        if ( $updated === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to update redirect.', 'wptransformed' ) ] );
+        }
+
+        $this->apply_repoints( $guard['repoint'] );
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message'    => __( 'Redirect updated successfully.', 'wptransformed' ),
+            'target_url' => $target,
+            'updated'    => $guard['repoint'],
+        ] );
+    }
+
+    // ── AJAX: Delete Redirect ─────────────────────────────────
+
+    /**
+     * Delete a redirect rule.
+     */
+    public function ajax_delete_redirect(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $id = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        $deleted = $wpdb->delete( $table, [ 'id' => $id ], [ '%d' ] );
+
+        if ( $deleted === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to delete redirect.', 'wptransformed' ) ] );
+        }
+
+        $this->delete_stats( [ $id ] );
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message' => __( 'Redirect deleted.', 'wptransformed' ),
+        ] );
+    }
+
+    // ── AJAX: Toggle Active ───────────────────────────────────
+
+    /**
+     * Toggle a redirect's active state.
+     */
+    public function ajax_toggle_redirect(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $id = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        $current = $wpdb->get_var(
+            $wpdb->prepare(
+                "SELECT is_active FROM {$table} WHERE id = %d",
+                $id
+            )
+        );
+
+        if ( $current === null ) {
+            wp_send_json_error( [ 'message' => __( 'Redirect not found.', 'wptransformed' ) ] );
+        }
+
+        $new_state = ( (int) $current === 1 ) ? 0 : 1;
+
+        $wpdb->update(
+            $table,
+            [ 'is_active' => $new_state ],
+            [ 'id' => $id ],
+            [ '%d' ],
+            [ '%d' ]
+        );
+
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message'   => $new_state ? __( 'Redirect enabled.', 'wptransformed' ) : __( 'Redirect disabled.', 'wptransformed' ),
+            'is_active' => $new_state,
+        ] );
+    }
+
+    // ── AJAX: Clear 404 Log ───────────────────────────────────
+
+    /**
+     * Clear all 404 log entries.
+     */
+    public function ajax_clear_404_log(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_404_log';
+
+        // DELETE instead of TRUNCATE — TRUNCATE requires SUPER privilege on WP Engine.
+        $wpdb->query( "DELETE FROM `{$table}`" );
+
+        wp_send_json_success( [
+            'message' => __( '404 log cleared.', 'wptransformed' ),
+        ] );
+    }
+
+    // ── AJAX: Export Redirects ────────────────────────────────
+
+    /**
+     * Export all redirects as CSV.
+     */
+    public function ajax_export_redirects(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $redirects = $wpdb->get_results(
+            "SELECT source_url, target_url, redirect_type, is_active, match_type, ignore_case, query_match, query_pass, notes FROM {$table} ORDER BY id ASC",
+            ARRAY_A
+        );
+
+        if ( empty( $redirects ) ) {
+            wp_send_json_error( [ 'message' => __( 'No redirects to export.', 'wptransformed' ) ] );
+        }
+
+        $csv_lines = [ 'source_url,target_url,redirect_type,is_active,match_type,ignore_case,query_match,query_pass,notes' ];
+
+        foreach ( $redirects as $row ) {
+            $csv_lines[] = sprintf(
+                '"%s","%s",%d,%d,%s,%d,%d,%d,"%s"',
+                str_replace( '"', '""', $row['source_url'] ),
+                str_replace( '"', '""', $row['target_url'] ),
+                (int) $row['redirect_type'],
+                (int) $row['is_active'],
+                $row['match_type'],
+                (int) $row['ignore_case'],
+                (int) $row['query_match'],
+                (int) $row['query_pass'],
+                str_replace( '"', '""', (string) $row['notes'] )
+            );
+        }
+
+        wp_send_json_success( [
+            'csv' => implode( "\n", $csv_lines ),
+        ] );
+    }
+
+    // ── AJAX: Import Redirects ────────────────────────────────
+
+    /**
+     * Import redirect rows parsed and mapped by the browser.
+     *
+     * Expects `rows` as a JSON list of {line, source, target, type, enabled,
+     * notes, match_type, ignore_case, query_match, query_pass}. With dry_run
+     * nothing is written and the report says what an import would do.
+     * on_conflict decides what happens to rows whose source already has a
+     * rule: skip (default) or overwrite.
+     */
+    public function ajax_import_redirects(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $rows = isset( $_POST['rows'] ) ? json_decode( (string) wp_unslash( $_POST['rows'] ), true ) : null;
+
+        if ( ! is_array( $rows ) || empty( $rows ) ) {
+            wp_send_json_error( [ 'message' => __( 'No redirects to import.', 'wptransformed' ) ] );
+        }
+
+        $dry_run   = ! empty( $_POST['dry_run'] );
+        $overwrite = isset( $_POST['on_conflict'] ) && sanitize_key( wp_unslash( $_POST['on_conflict'] ) ) === 'overwrite';
+        $result    = $this->import_rows( $rows, $dry_run, $overwrite, ! empty( $_POST['collapse_chains'] ) );
+        $counts    = $result['counts'];
+
+        wp_send_json_success( [
+            'dry_run' => $dry_run,
+            'counts'  => $counts,
+            'report'  => $result['report'],
+            'message' => sprintf(
+                $dry_run
+                    /* translators: 1: new count, 2: overwritten count, 3: skipped count, 4: invalid count */
+                    ? __( 'Preview: %1$d new, %2$d overwritten, %3$d skipped, %4$d invalid.', 'wptransformed' )
+                    /* translators: 1: imported count, 2: overwritten count, 3: skipped count, 4: invalid count */
+                    : __( 'Import complete: %1$d imported, %2$d overwritten, %3$d skipped, %4$d invalid.', 'wptransformed' ),
+                $counts['imported'],
+                $counts['updated'],
+                $counts['skipped'],
+                $counts['invalid']
+            ),
+        ] );
+    }
+
+    /**
+     * Validate and save a batch of rules, one report entry per row.
      *
-     * @param string $url Request URL.
-     * @return bool
+     * Rows are checked in order against the live rules plus the rows before
+     * them, so duplicates, loops and chains within the batch are caught too.
+     * Saved rows carry their rule `id` in the report.
+     *
+     * @param array $rows      Rows in the shape sanitize_import_row() accepts.
+     * @param bool  $dry_run   Report only; write nothing.
+     * @param bool  $overwrite Replace rules with the same source instead of skipping.
+     * @param bool  $collapse  Point new rules and their incoming rules at the end of any chain.
+     * @return array{counts: array<string, int>, report: array}
      */
-    private function should_skip_404( string $url ): bool {
-        $skip_extensions = [ '.css', '.js', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.woff', '.woff2', '.ttf', '.map' ];
+    private function import_rows( array $rows, bool $dry_run, bool $overwrite, bool $collapse ): array {
+        $set      = $this->active_rule_set();
+        $existing = $this->existing_sources();
+        $seen     = [];
+        $report   = [];
+        $counts   = array_fill_keys( [ 'imported', 'updated', 'skipped', 'invalid' ], 0 );
 
-        $path = strtolower( $url );
+        global $wpdb;
 
-        foreach ( $skip_extensions as $ext ) {
-            if ( substr( $path, -strlen( $ext ) ) === $ext ) {
-                return true;
+        $table = $wpdb->prefix . 'wpt_redirects';
+
+        foreach ( array_values( $rows ) as $index => $raw ) {
+            $row  = $this->sanitize_import_row( is_array( $raw ) ? $raw : [] );
+            $line = isset( $raw['line'] ) ? absint( $raw['line'] ) : $index + 1;
+            $item = [
+                'line'   => $line,
+                'source' => $row['source_url'],
+                'target' => $row['target_url'],
+            ];
+
+            $error = $this->validate_redirect( $row['source_url'], $row['target_url'], $row['redirect_type'], $row['match_type'] );
+
+            if ( $error ) {
+                $report[] = $item + [ 'status' => 'invalid', 'message' => $error ];
+                $counts['invalid']++;
+                continue;
+            }
+
+            $key = strtolower( $row['source_url'] );
+
+            if ( isset( $seen[ $key ] ) ) {
+                $report[] = $item + [
+                    'status'  => 'duplicate',
+                    /* translators: %d: line number of the first occurrence */
+                    'message' => sprintf( __( 'Same source as line %d.', 'wptransformed' ), $seen[ $key ] ),
+                ];
+                $counts['skipped']++;
+                continue;
+            }
+
+            $seen[ $key ] = $line;
+            $existing_id  = $existing[ $key ] ?? 0;
+
+            if ( $existing_id && ! $overwrite ) {
+                $report[] = $item + [
+                    'status'  => 'conflict',
+                    /* translators: %d: existing redirect ID */
+                    'message' => sprintf( __( 'Rule #%d already redirects this source.', 'wptransformed' ), $existing_id ),
+                ];
+                $counts['skipped']++;
+                continue;
+            }
+
+            $candidate = array_merge( $row, [ 'id' => $existing_id ] );
+            $others    = $set;
+            $this->rule_set_remove( $others, $existing_id );
+
+            $chain = $row['is_active'] ? $this->check_chain( $candidate, $others ) : null;
+
+            if ( $chain && $chain['loop'] ) {
+                $report[] = $item + [
+                    'status'  => 'loop',
+                    /* translators: %s: the redirects in the loop */
+                    'message' => sprintf( __( 'Would create a redirect loop: %s.', 'wptransformed' ), $this->describe_chain( $candidate, $chain ) ),
+                ];
+                $counts['skipped']++;
+                continue;
+            }
+
+            $notes   = [];
+            $repoint = [];
+
+            if ( $chain && ( $chain['hops'] || $chain['incoming'] ) ) {
+                if ( $collapse ) {
+                    if ( $chain['hops'] ) {
+                        $row['target_url'] = $chain['final'];
+                    }
+
+                    foreach ( $chain['incoming'] as $rule ) {
+                        $repoint[] = [
+                            'id'         => (int) $rule['id'],
+                            'target_url' => $this->trace_redirect( $rule, $chain['set'] )['final'],
+                        ];
+                    }
+
+                    /* translators: %s: the redirects in the chain */
+                    $notes[] = sprintf( __( 'Chain collapsed: %s.', 'wptransformed' ), $this->describe_chain( $candidate, $chain ) );
+                } else {
+                    /* translators: %s: the redirects in the chain */
+                    $notes[] = sprintf( __( 'Creates a chain: %s.', 'wptransformed' ), $this->describe_chain( $candidate, $chain ) );
+                }
+            }
+
+            if ( $existing_id ) {
+                /* translators: %d: existing redirect ID */
+                array_unshift( $notes, sprintf( __( 'Replaces rule #%d.', 'wptransformed' ), $existing_id ) );
+            }
+
+            $status = $existing_id ? 'updated' : 'imported';
+
+            if ( ! $dry_run ) {
+                $format = [ '%s', '%s', '%d', '%d', '%s', '%d', '%d', '%d', '%s' ];
+
+                if ( $existing_id ) {
+                    $saved = $wpdb->update( $table, $row, [ 'id' => $existing_id ], $format, [ '%d' ] ) !== false;
+                } else {
+                    $saved = $wpdb->insert( $table, $row + [ 'created_at' => current_time( 'mysql' ) ], array_merge( $format, [ '%s' ] ) ) !== false;
+                    $existing_id = $saved ? (int) $wpdb->insert_id : 0;
+                }
+
+                if ( ! $saved ) {
+                    $report[] = $item + [ 'status' => 'failed', 'message' => __( 'Database error while saving this row.', 'wptransformed' ) ];
+                    $counts['invalid']++;
+                    continue;
+                }
+
+                $this->apply_repoints( $repoint );
+            }
+
+            // Later rows are checked against the rules as they will be after this one.
+            $set = $others;
+
+            if ( $row['is_active'] ) {
+                // Dry runs have no IDs yet; placeholders keep file order.
+                $this->rule_set_add( $set, array_merge( $row, [ 'id' => $existing_id ?: PHP_INT_MAX - count( $rows ) + $index ] ) );
+            }
+
+            foreach ( $repoint as $update ) {
+                if ( isset( $set['rules'][ $update['id'] ] ) ) {
+                    $this->rule_set_add( $set, array_merge( $set['rules'][ $update['id'] ], [ 'target_url' => $update['target_url'] ] ) );
+                }
             }
+
+            $counts[ $status ]++;
+            $report[] = $item + [
+                'status'  => $status,
+                'target'  => $row['target_url'],
+                'message' => implode( ' ', $notes ),
+            ] + ( $dry_run ? [] : [ 'id' => $existing_id ] );
         }
 
-        return false;
+        if ( ! $dry_run ) {
+            $this->invalidate_cache();
+        }
+
+        return [
+            'counts' => $counts,
+            'report' => $report,
+        ];
     }
 
     /**
-     * Prune 404 log to max entries (cron handler).
+     * Sanitize one import row into column => value form.
+     *
+     * @param array $raw Row as sent by the browser.
+     * @return array
      */
-    public function prune_404_log(): void {
-        $settings  = $this->get_settings();
-        $max_log   = max( 1, (int) $settings['max_404_log'] );
+    private function sanitize_import_row( array $raw ): array {
+        $match_type = isset( $raw['match_type'] ) ? sanitize_key( (string) $raw['match_type'] ) : 'exact';
+
+        return [
+            'source_url'    => isset( $raw['source'] ) ? $this->clean_source( (string) $raw['source'] ) : '',
+            'target_url'    => isset( $raw['target'] ) ? $this->clean_target( (string) $raw['target'] ) : '',
+            'redirect_type' => isset( $raw['type'] ) ? (int) $raw['type'] : 301,
+            'is_active'     => ! isset( $raw['enabled'] ) || ! empty( $raw['enabled'] ) ? 1 : 0,
+            'match_type'    => in_array( $match_type, self::MATCH_TYPES, true ) ? $match_type : 'exact',
+            'ignore_case'   => ! isset( $raw['ignore_case'] ) || ! empty( $raw['ignore_case'] ) ? 1 : 0,
+            'query_match'   => ! empty( $raw['query_match'] ) ? 1 : 0,
+            'query_pass'    => ! empty( $raw['query_pass'] ) ? 1 : 0,
+            'notes'         => isset( $raw['notes'] ) ? substr( sanitize_text_field( (string) $raw['notes'] ), 0, 255 ) : '',
+        ];
+    }
 
+    /**
+     * Map of every rule's lowercased source to its ID.
+     *
+     * @return array<string, int>
+     */
+    private function existing_sources(): array {
         global $wpdb;
 
-        $table = $wpdb->prefix . 'wpt_404_log';
+        $table = $wpdb->prefix . 'wpt_redirects';
 
-        $count = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table}" );
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $rows    = $wpdb->get_results( "SELECT id, source_url FROM {$table} ORDER BY id ASC", ARRAY_A );
+        $sources = [];
 
-        if ( $count <= $max_log ) {
-            return;
-        }
+        foreach ( (array) $rows as $row ) {
+            $key = strtolower( $row['source_url'] );
 
-        $to_delete = $count - $max_log;
+            if ( ! isset( $sources[ $key ] ) ) {
+                $sources[ $key ] = (int) $row['id'];
+            }
+        }
 
-        // Use subquery instead of DELETE...ORDER BY...LIMIT for MySQL compat (WP Engine).
-        $wpdb->query(
-            $wpdb->prepare(
-                "DELETE FROM {$table} WHERE id IN (SELECT id FROM (SELECT id FROM {$table} ORDER BY last_hit ASC LIMIT %d) AS tmp_del)",
-                $to_delete
-            )
-        );
+        return $sources;
     }
 
-    // ── AJAX: Add Redirect ────────────────────────────────────
+    // ── AJAX: Test URL ────────────────────────────────────────
 
     /**
-     * Add a new redirect rule.
+     * Report which active redirect would handle a URL, and where it goes.
      */
-    public function ajax_add_redirect(): void {
+    public function ajax_test_redirect_url(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $source = isset( $_POST['source_url'] ) ? sanitize_text_field( wp_unslash( $_POST['source_url'] ) ) : '';
-        $target = isset( $_POST['target_url'] ) ? esc_url_raw( wp_unslash( $_POST['target_url'] ) ) : '';
-        $type   = isset( $_POST['redirect_type'] ) ? (int) $_POST['redirect_type'] : 301;
-
-        // Validation.
-        $error = $this->validate_redirect( $source, $target, $type );
-        if ( $error ) {
-            wp_send_json_error( [ 'message' => $error ] );
-        }
+        $url = isset( $_POST['url'] ) ? $this->clean_source( wp_unslash( $_POST['url'] ) ) : '';
 
-        // Check for duplicate source URL.
-        if ( $this->source_exists( $source ) ) {
-            wp_send_json_error( [ 'message' => __( 'A redirect for this source URL already exists.', 'wptransformed' ) ] );
+        if ( $url === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Enter a URL or path to test.', 'wptransformed' ) ] );
         }
 
-        global $wpdb;
-
-        $table = $wpdb->prefix . 'wpt_redirects';
-
-        $inserted = $wpdb->insert(
-            $table,
-            [
-                'source_url'    => $source,
-                'target_url'    => $target,
-                'redirect_type' => $type,
-                'is_active'     => 1,
-                'created_at'    => current_time( 'mysql' ),
-            ],
-            [ '%s', '%s', '%d', '%d', '%s' ]
-        );
+        $path  = (string) ( wp_parse_url( $url, PHP_URL_PATH ) ?? '' );
+        $query = (string) ( wp_parse_url( $url, PHP_URL_QUERY ) ?? '' );
 
-        if ( $inserted === false ) {
-            wp_send_json_error( [ 'message' => __( 'Failed to save redirect.', 'wptransformed' ) ] );
+        if ( $path === '' ) {
+            $path = '/';
         }
 
-        $this->invalidate_cache();
+        $match = $this->find_redirect( $path, $query );
 
-        $new_id = (int) $wpdb->insert_id;
+        if ( $match === null ) {
+            wp_send_json_success( [
+                'matched' => false,
+                'path'    => $path,
+                'message' => __( 'No active redirect matches this URL.', 'wptransformed' ),
+            ] );
+        }
 
         wp_send_json_success( [
-            'message' => __( 'Redirect added successfully.', 'wptransformed' ),
+            'matched'  => true,
+            'path'     => $path,
+            'target'   => $match['target'],
+            'status'   => $match['status'],
             'redirect' => [
-                'id'            => $new_id,
-                'source_url'    => $source,
-                'target_url'    => $target,
-                'redirect_type' => $type,
-                'hit_count'     => 0,
-                'is_active'     => 1,
-                'created_at'    => current_time( 'mysql' ),
+                'id'         => (int) $match['redirect']['id'],
+                'source_url' => $match['redirect']['source_url'],
+                'target_url' => $match['redirect']['target_url'],
+                'match_type' => $match['redirect']['match_type'],
             ],
         ] );
     }
 
-    // ── AJAX: Edit Redirect ───────────────────────────────────
+    // ── AJAX: Health ──────────────────────────────────────────
 
     /**
-     * Edit an existing redirect rule.
+     * Point one chained rule, or every chained rule, at the end of its chain.
      */
-    public function ajax_edit_redirect(): void {
+    public function ajax_collapse_redirect_chain(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $id     = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
-        $source = isset( $_POST['source_url'] ) ? sanitize_text_field( wp_unslash( $_POST['source_url'] ) ) : '';
-        $target = isset( $_POST['target_url'] ) ? esc_url_raw( wp_unslash( $_POST['target_url'] ) ) : '';
-        $type   = isset( $_POST['redirect_type'] ) ? (int) $_POST['redirect_type'] : 301;
+        $id      = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
+        $updated = [];
 
-        if ( $id < 1 ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        foreach ( $this->analyze_rules()['chains'] as $chain ) {
+            if ( $id > 0 && (int) $chain['rule']['id'] !== $id ) {
+                continue;
+            }
+
+            if ( $this->set_target( (int) $chain['rule']['id'], $chain['final'] ) ) {
+                $updated[] = [
+                    'id'         => (int) $chain['rule']['id'],
+                    'target_url' => $chain['final'],
+                ];
+            }
         }
 
-        // Validation.
-        $error = $this->validate_redirect( $source, $target, $type );
-        if ( $error ) {
-            wp_send_json_error( [ 'message' => $error ] );
+        $this->invalidate_cache();
+
+        if ( empty( $updated ) ) {
+            wp_send_json_error( [ 'message' => __( 'No chained redirects to collapse.', 'wptransformed' ) ] );
         }
 
-        // Check for duplicate source URL (excluding this redirect).
-        if ( $this->source_exists( $source, $id ) ) {
-            wp_send_json_error( [ 'message' => __( 'A redirect for this source URL already exists.', 'wptransformed' ) ] );
+        wp_send_json_success( [
+            'message' => sprintf(
+                /* translators: %d: number of redirects collapsed */
+                _n( '%d redirect now points straight at its final target.', '%d redirects now point straight at their final targets.', count( $updated ), 'wptransformed' ),
+                count( $updated )
+            ),
+            'updated' => $updated,
+        ] );
+    }
+
+    /**
+     * Request the targets of a batch of active rules and report those that
+     * answer 404 or 410, or do not answer at all. Driven by wpt.jobs.
+     *
+     * Slow targets cannot hold a request past HEALTH_TIME_BUDGET: the
+     * batch stops early and the returned offset resumes after the last
+     * rule checked.
+     */
+    public function ajax_check_redirect_targets(): void {
+        check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
+        $offset = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
+        $batch  = 10;
+
         global $wpdb;
 
         $table = $wpdb->prefix . 'wpt_redirects';
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table} WHERE is_active = 1" );
 
-        $updated = $wpdb->update(
-            $table,
-            [
-                'source_url'    => $source,
-                'target_url'    => $target,
-                'redirect_type' => $type,
-            ],
-            [ 'id' => $id ],
-            [ '%s', '%s', '%d' ],
-            [ '%d' ]
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, source_url, target_url FROM {$table} WHERE is_active = 1 ORDER BY id ASC LIMIT %d, %d",
+                $offset,
+                $batch
+            ),
+            ARRAY_A
         );
 
-        if ( $updated === false ) {
-            wp_send_json_error( [ 'message' => __( 'Failed to update redirect.', 'wptransformed' ) ] );
-        }
+        $rows      = (array) $rows;
+        $broken    = [];
+        $processed = 0;
+        $started   = microtime( true );
 
-        $this->invalidate_cache();
+        foreach ( $rows as $row ) {
+            if ( $processed > 0 && microtime( true ) - $started >= self::HEALTH_TIME_BUDGET ) {
+                break;
+            }
+
+            $processed++;
+
+            // Targets built from captures depend on the request.
+            if ( strpos( $row['target_url'], '$' ) !== false ) {
+                continue;
+            }
+
+            $status = $this->target_status( $row['target_url'] );
+
+            if ( $status === 0 || $status === 404 || $status === 410 ) {
+                $broken[] = [
+                    'id'         => (int) $row['id'],
+                    'source_url' => $row['source_url'],
+                    'target_url' => $row['target_url'],
+                    'status'     => $status,
+                ];
+            }
+        }
 
         wp_send_json_success( [
-            'message' => __( 'Redirect updated successfully.', 'wptransformed' ),
+            'offset'    => $offset + $processed,
+            'processed' => $processed,
+            'total'     => $total,
+            'broken'    => $broken,
+            'done'      => ( $processed === count( $rows ) && count( $rows ) < $batch ) || $offset + $processed >= $total,
         ] );
     }
 
-    // ── AJAX: Delete Redirect ─────────────────────────────────
+    /**
+     * HTTP status a redirect target answers with, after following redirects.
+     *
+     * @param string $target Target URL or site-relative path.
+     * @return int Status code, or 0 when the request failed.
+     */
+    private function target_status( string $target ): int {
+        $url  = $this->local_target( $target ) !== null && ! wp_parse_url( $target, PHP_URL_HOST ) ? home_url( $target ) : $target;
+        $args = [
+            'timeout'     => self::HEALTH_REQUEST_TIMEOUT,
+            'redirection' => 5,
+        ];
+
+        $response = wp_remote_head( $url, $args );
+        $status   = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+
+        // Some servers refuse HEAD; ask again with a GET.
+        if ( $status === 405 || $status === 501 ) {
+            $response = wp_remote_get( $url, $args + [ 'limit_response_size' => 1024 ] );
+            $status   = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+        }
+
+        return $status;
+    }
+
+    // ── AJAX: Statistics ──────────────────────────────────────
 
     /**
-     * Delete a redirect rule.
+     * Per-rule analytics: hits per day over the last STATS_DAYS days
+     * (oldest first, zero-filled) and the top referrers.
      */
-    public function ajax_delete_redirect(): void {
+    public function ajax_redirect_stats(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
@@ -538,263 +2277,362 @@ class Redirect_Manager extends Module_Base {
 
         $id = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
 
-        if ( $id < 1 ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        global $wpdb;
+
+        $table    = $wpdb->prefix . 'wpt_redirects';
+        $redirect = $id > 0 ? $wpdb->get_row(
+            $wpdb->prepare( "SELECT id, hit_count, last_hit FROM {$table} WHERE id = %d", $id ),
+            ARRAY_A
+        ) : null;
+
+        if ( ! $redirect ) {
+            wp_send_json_error( [ 'message' => __( 'Redirect not found.', 'wptransformed' ) ] );
         }
 
-        global $wpdb;
+        // Site-local timestamp, matching the local dates record_hit() stores.
+        $today = current_time( 'timestamp' );
+        $first = gmdate( 'Y-m-d', $today - ( self::STATS_DAYS - 1 ) * DAY_IN_SECONDS );
 
-        $table = $wpdb->prefix . 'wpt_redirects';
+        $counts = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT hit_date, hits FROM {$wpdb->prefix}wpt_redirect_hits WHERE redirect_id = %d AND hit_date >= %s",
+                $id,
+                $first
+            ),
+            OBJECT_K
+        );
 
-        $deleted = $wpdb->delete( $table, [ 'id' => $id ], [ '%d' ] );
+        $days  = [];
+        $total = 0;
 
-        if ( $deleted === false ) {
-            wp_send_json_error( [ 'message' => __( 'Failed to delete redirect.', 'wptransformed' ) ] );
+        for ( $i = self::STATS_DAYS - 1; $i >= 0; $i-- ) {
+            $stamp = $today - $i * DAY_IN_SECONDS;
+            $date  = gmdate( 'Y-m-d', $stamp );
+            $hits  = isset( $counts[ $date ] ) ? (int) $counts[ $date ]->hits : 0;
+
+            $days[] = [
+                'date'  => $date,
+                'label' => date_i18n( get_option( 'date_format' ), $stamp ),
+                'hits'  => $hits,
+            ];
+            $total += $hits;
         }
 
-        $this->invalidate_cache();
+        $referrers = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT referrer, hits, last_hit FROM {$wpdb->prefix}wpt_redirect_referrers
+                 WHERE redirect_id = %d ORDER BY hits DESC, last_hit DESC LIMIT 10",
+                $id
+            ),
+            ARRAY_A
+        );
 
         wp_send_json_success( [
-            'message' => __( 'Redirect deleted.', 'wptransformed' ),
+            'id'        => $id,
+            'hit_count' => (int) $redirect['hit_count'],
+            'last_hit'  => $redirect['last_hit'] ? date_i18n( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) mysql2date( 'U', $redirect['last_hit'], false ) ) : '',
+            'last_ago'  => $this->hit_ago( $redirect['last_hit'] ),
+            'days'      => $days,
+            'total'     => $total,
+            'referrers' => array_map(
+                function ( array $row ): array {
+                    return [
+                        'referrer' => $row['referrer'],
+                        'hits'     => (int) $row['hits'],
+                        'last_ago' => $this->hit_ago( $row['last_hit'] ),
+                    ];
+                },
+                (array) $referrers
+            ),
         ] );
     }
 
-    // ── AJAX: Toggle Active ───────────────────────────────────
+    // ── AJAX: Bulk Actions ────────────────────────────────────
 
     /**
-     * Toggle a redirect's active state.
+     * Disable or delete several rules at once.
      */
-    public function ajax_toggle_redirect(): void {
+    public function ajax_bulk_redirects(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $id = isset( $_POST['redirect_id'] ) ? (int) $_POST['redirect_id'] : 0;
+        $action = isset( $_POST['bulk_action'] ) ? sanitize_key( wp_unslash( $_POST['bulk_action'] ) ) : '';
+        $ids    = isset( $_POST['ids'] ) ? array_values( array_filter( array_map( 'absint', (array) wp_unslash( $_POST['ids'] ) ) ) ) : [];
 
-        if ( $id < 1 ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid redirect ID.', 'wptransformed' ) ] );
+        if ( ! in_array( $action, [ 'disable', 'delete' ], true ) ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid bulk action.', 'wptransformed' ) ] );
         }
 
-        global $wpdb;
+        if ( empty( $ids ) ) {
+            wp_send_json_error( [ 'message' => __( 'No redirects selected.', 'wptransformed' ) ] );
+        }
 
-        $table = $wpdb->prefix . 'wpt_redirects';
+        global $wpdb;
 
-        $current = $wpdb->get_var(
-            $wpdb->prepare(
-                "SELECT is_active FROM {$table} WHERE id = %d",
-                $id
-            )
-        );
+        $table        = $wpdb->prefix . 'wpt_redirects';
+        $placeholders = implode( ',', array_fill( 0, count( $ids ), '%d' ) );
 
-        if ( $current === null ) {
-            wp_send_json_error( [ 'message' => __( 'Redirect not found.', 'wptransformed' ) ] );
+        if ( $action === 'delete' ) {
+            // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+            $result = $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE id IN ({$placeholders})", $ids ) );
+        } else {
+            // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+            $result = $wpdb->query( $wpdb->prepare( "UPDATE {$table} SET is_active = 0 WHERE id IN ({$placeholders})", $ids ) );
         }
 
-        $new_state = ( (int) $current === 1 ) ? 0 : 1;
+        if ( $result === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to update redirects.', 'wptransformed' ) ] );
+        }
 
-        $wpdb->update(
-            $table,
-            [ 'is_active' => $new_state ],
-            [ 'id' => $id ],
-            [ '%d' ],
-            [ '%d' ]
-        );
+        if ( $action === 'delete' ) {
+            $this->delete_stats( $ids );
+        }
 
         $this->invalidate_cache();
 
+        $count = count( $ids );
+
         wp_send_json_success( [
-            'message'   => $new_state ? __( 'Redirect enabled.', 'wptransformed' ) : __( 'Redirect disabled.', 'wptransformed' ),
-            'is_active' => $new_state,
+            'action'  => $action,
+            'ids'     => $ids,
+            'message' => $action === 'delete'
+                /* translators: %s: number of redirects */
+                ? sprintf( _n( '%s redirect deleted.', '%s redirects deleted.', $count, 'wptransformed' ), number_format_i18n( $count ) )
+                /* translators: %s: number of redirects */
+                : sprintf( _n( '%s redirect disabled.', '%s redirects disabled.', $count, 'wptransformed' ), number_format_i18n( $count ) ),
         ] );
     }
 
-    // ── AJAX: Clear 404 Log ───────────────────────────────────
+    // ── AJAX: 404 Log ─────────────────────────────────────────
 
     /**
-     * Clear all 404 log entries.
+     * Suggest targets for up to 50 logged 404 paths at a time.
      */
-    public function ajax_clear_404_log(): void {
+    public function ajax_suggest_404_targets(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        global $wpdb;
-
-        $table = $wpdb->prefix . 'wpt_404_log';
+        // Paths come back as the response keys, so they are matched as sent;
+        // suggest_target() only ever uses them through prepared queries.
+        $paths       = isset( $_POST['paths'] ) ? array_map( 'strval', (array) wp_unslash( $_POST['paths'] ) ) : [];
+        $suggestions = [];
 
-        // DELETE instead of TRUNCATE — TRUNCATE requires SUPER privilege on WP Engine.
-        $wpdb->query( "DELETE FROM `{$table}`" );
+        foreach ( array_slice( $paths, 0, 50 ) as $path ) {
+            $suggestions[ $path ] = $this->suggest_target( $path );
+        }
 
-        wp_send_json_success( [
-            'message' => __( '404 log cleared.', 'wptransformed' ),
-        ] );
+        wp_send_json_success( [ 'suggestions' => (object) $suggestions ] );
     }
 
-    // ── AJAX: Export Redirects ────────────────────────────────
-
     /**
-     * Export all redirects as CSV.
+     * Create redirects for several 404 groups at once and clear the
+     * redirected groups from the log.
+     *
+     * Expects `items` as a JSON list of {source, target}. Rows go through
+     * import_rows(), so existing sources are skipped, loops refused and
+     * chains collapsed to their final target.
      */
-    public function ajax_export_redirects(): void {
+    public function ajax_create_404_redirects(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        global $wpdb;
+        $items = isset( $_POST['items'] ) ? json_decode( (string) wp_unslash( $_POST['items'] ), true ) : null;
+        $type  = isset( $_POST['redirect_type'] ) ? (int) $_POST['redirect_type'] : 301;
 
-        $table = $wpdb->prefix . 'wpt_redirects';
+        if ( ! is_array( $items ) || empty( $items ) ) {
+            wp_send_json_error( [ 'message' => __( 'No redirects selected.', 'wptransformed' ) ] );
+        }
 
-        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
-        $redirects = $wpdb->get_results(
-            "SELECT source_url, target_url, redirect_type, is_active FROM {$table} ORDER BY id ASC",
-            ARRAY_A
-        );
+        $items = array_values( array_filter( $items, 'is_array' ) );
+        $rows  = [];
 
-        if ( empty( $redirects ) ) {
-            wp_send_json_error( [ 'message' => __( 'No redirects to export.', 'wptransformed' ) ] );
+        foreach ( $items as $index => $item ) {
+            $rows[] = [
+                'line'   => $index + 1,
+                'source' => (string) ( $item['source'] ?? '' ),
+                'target' => (string) ( $item['target'] ?? '' ),
+                'type'   => $type,
+            ];
         }
 
-        $csv_lines = [ 'source_url,target_url,redirect_type,is_active' ];
+        $result  = $this->import_rows( $rows, false, false, true );
+        $report  = [];
+        $created = [];
+        $keys    = [];
 
-        foreach ( $redirects as $row ) {
-            $csv_lines[] = sprintf(
-                '"%s","%s",%d,%d',
-                str_replace( '"', '""', $row['source_url'] ),
-                str_replace( '"', '""', $row['target_url'] ),
-                (int) $row['redirect_type'],
-                (int) $row['is_active']
-            );
+        foreach ( $result['report'] as $entry ) {
+            $key      = $this->log_404_key( $rows[ $entry['line'] - 1 ]['source'] );
+            $report[] = [
+                'key'     => $key,
+                'status'  => $entry['status'],
+                'message' => $entry['message'],
+            ];
+
+            if ( $entry['status'] !== 'imported' ) {
+                continue;
+            }
+
+            $keys[]    = $key;
+            $created[] = [
+                'id'            => (int) $entry['id'],
+                'source_url'    => $entry['source'],
+                'target_url'    => $entry['target'],
+                'redirect_type' => $type,
+                'match_type'    => 'exact',
+                'ignore_case'   => 1,
+                'query_match'   => 0,
+                'query_pass'    => 0,
+            ];
         }
 
+        $removed = $this->delete_404_groups( $keys );
+        $skipped = count( $report ) - count( $created );
+
         wp_send_json_success( [
-            'csv' => implode( "\n", $csv_lines ),
+            'created' => $created,
+            'report'  => $report,
+            'removed' => $removed,
+            'message' => sprintf(
+                /* translators: 1: redirects created, 2: rows skipped */
+                __( '%1$d redirects created, %2$d skipped.', 'wptransformed' ),
+                count( $created ),
+                $skipped
+            ),
         ] );
     }
 
-    // ── AJAX: Import Redirects ────────────────────────────────
-
     /**
-     * Import redirects from CSV data.
+     * Add a 404 ignore rule and purge every logged entry the rules now match.
      */
-    public function ajax_import_redirects(): void {
+    public function ajax_ignore_404(): void {
         check_ajax_referer( 'wpt_redirect_manager_nonce', 'nonce' );
 
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $csv_data = isset( $_POST['csv_data'] ) ? (string) wp_unslash( $_POST['csv_data'] ) : '';
+        $rule = isset( $_POST['rule'] ) ? trim( sanitize_text_field( wp_unslash( $_POST['rule'] ) ) ) : '';
 
-        if ( empty( $csv_data ) ) {
-            wp_send_json_error( [ 'message' => __( 'No CSV data provided.', 'wptransformed' ) ] );
+        if ( $rule === '' || ! in_array( $rule[0], [ '/', '*' ], true ) ) {
+            wp_send_json_error( [ 'message' => __( 'Ignore rules must start with / or *.', 'wptransformed' ) ] );
         }
 
-        $lines = preg_split( '/\r\n|\r|\n/', $csv_data );
+        $settings = $this->get_settings();
+        $rules    = $this->ignore_rules( (string) $settings['ignore_404_patterns'] );
 
-        if ( empty( $lines ) ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid CSV data.', 'wptransformed' ) ] );
-        }
+        if ( ! in_array( $rule, $rules, true ) ) {
+            $rules[]                         = $rule;
+            $settings['ignore_404_patterns'] = implode( "\n", $rules );
 
-        // Skip header if present.
-        $first_line = strtolower( trim( $lines[0] ) );
-        if ( strpos( $first_line, 'source_url' ) !== false ) {
-            array_shift( $lines );
+            \WPTransformed\Core\Settings::save( $this->get_id(), $settings );
+            $this->ignore_patterns = null;
         }
 
         global $wpdb;
 
-        $table    = $wpdb->prefix . 'wpt_redirects';
-        $imported = 0;
-        $skipped  = 0;
-        $errors   = [];
-
-        foreach ( $lines as $line_num => $line ) {
-            $line = trim( $line );
-
-            if ( empty( $line ) ) {
-                continue;
-            }
-
-            $fields = str_getcsv( $line );
-
-            if ( count( $fields ) < 2 ) {
-                $skipped++;
-                continue;
-            }
-
-            $source = sanitize_text_field( trim( $fields[0] ) );
-            $target = esc_url_raw( trim( $fields[1] ) );
-            $type   = isset( $fields[2] ) ? (int) $fields[2] : 301;
-            $active = isset( $fields[3] ) ? (int) $fields[3] : 1;
-
-            // Validate.
-            $error = $this->validate_redirect( $source, $target, $type );
-            if ( $error ) {
-                $skipped++;
-                continue;
-            }
-
-            // Skip duplicate source URLs.
-            if ( $this->source_exists( $source ) ) {
-                $skipped++;
-                continue;
-            }
-
-            $inserted = $wpdb->insert(
-                $table,
-                [
-                    'source_url'    => $source,
-                    'target_url'    => $target,
-                    'redirect_type' => $type,
-                    'is_active'     => $active ? 1 : 0,
-                    'created_at'    => current_time( 'mysql' ),
-                ],
-                [ '%s', '%s', '%d', '%d', '%s' ]
-            );
+        $table = $wpdb->prefix . 'wpt_404_log';
+        $ids   = [];
 
-            if ( $inserted !== false ) {
-                $imported++;
-            } else {
-                $skipped++;
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        foreach ( (array) $wpdb->get_results( "SELECT id, url FROM {$table}", ARRAY_A ) as $entry ) {
+            if ( $this->should_skip_404( $entry['url'] ) ) {
+                $ids[] = (int) $entry['id'];
             }
         }
 
-        $this->invalidate_cache();
+        $removed = $this->delete_404_entries( $ids );
 
         wp_send_json_success( [
+            'rule'    => $rule,
+            'removed' => $removed,
             'message' => sprintf(
-                /* translators: 1: imported count, 2: skipped count */
-                __( 'Import complete: %1$d imported, %2$d skipped.', 'wptransformed' ),
-                $imported,
-                $skipped
+                /* translators: 1: ignore rule, 2: number of log entries removed */
+                __( 'Now ignoring %1$s. %2$d logged entries removed.', 'wptransformed' ),
+                $rule,
+                $removed
             ),
-            'imported' => $imported,
-            'skipped'  => $skipped,
         ] );
     }
 
     // ── Validation ────────────────────────────────────────────
 
+    /**
+     * Read the match options of a rule from the current request.
+     *
+     * @return array{match_type: string, ignore_case: int, query_match: int, query_pass: int}
+     */
+    private function read_match_options(): array {
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- callers verify the nonce.
+        $match_type = isset( $_POST['match_type'] ) ? sanitize_key( wp_unslash( $_POST['match_type'] ) ) : 'exact';
+
+        $options = [
+            'match_type'  => in_array( $match_type, self::MATCH_TYPES, true ) ? $match_type : 'exact',
+            'ignore_case' => isset( $_POST['ignore_case'] ) ? ( (int) $_POST['ignore_case'] ? 1 : 0 ) : 1,
+            'query_match' => ! empty( $_POST['query_match'] ) ? 1 : 0,
+            'query_pass'  => ! empty( $_POST['query_pass'] ) ? 1 : 0,
+        ];
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        return $options;
+    }
+
+    /**
+     * Clean a source path or pattern without changing what it matches.
+     *
+     * sanitize_text_field() strips %xx octets and anything that looks
+     * like a tag, which breaks encoded paths, (?<name>…) groups and
+     * lookbehinds. Regex sources are checked by compiling them instead.
+     *
+     * @param string $source Source as entered.
+     * @return string
+     */
+    private function clean_source( string $source ): string {
+        return trim( (string) preg_replace( '/[\x00-\x1F\x7F]/', '', wp_check_invalid_utf8( $source ) ) );
+    }
+
+    /**
+     * Clean a target URL, keeping ${1}-style capture references that
+     * esc_url_raw() would strip the braces from. Only relative, http and
+     * https targets are kept; handle_redirects() escapes the final URL
+     * once the captures are in.
+     *
+     * @param string $target Target as entered.
+     * @return string
+     */
+    private function clean_target( string $target ): string {
+        $target = (string) preg_replace( '/[\x00-\x20\x7F]/', '', wp_check_invalid_utf8( $target ) );
+
+        return wp_kses_bad_protocol( $target, [ 'http', 'https' ] );
+    }
+
     /**
      * Validate a redirect rule.
      *
      * @param string $source Source URL.
      * @param string $target Target URL.
-     * @param int    $type   Redirect type.
+     * @param int    $type       Redirect type.
+     * @param string $match_type exact|wildcard|regex.
      * @return string|null Error message or null if valid.
      */
-    private function validate_redirect( string $source, string $target, int $type ): ?string {
+    private function validate_redirect( string $source, string $target, int $type, string $match_type = 'exact' ): ?string {
         if ( empty( $source ) ) {
             return __( 'Source URL is required.', 'wptransformed' );
         }
 
-        if ( strpos( $source, '/' ) !== 0 ) {
+        if ( $match_type === 'regex' ) {
+            if ( $this->source_pattern( $source, 'regex', false ) === null ) {
+                return __( 'The source is not a valid regular expression.', 'wptransformed' );
+            }
+        } elseif ( strpos( $source, '/' ) !== 0 ) {
             return __( 'Source URL must start with /.', 'wptransformed' );
         }
 
@@ -810,66 +2648,90 @@ class Redirect_Manager extends Module_Base {
             );
         }
 
-        // Redirect loop detection.
-        if ( $this->detect_loop( $source, $target ) ) {
-            return __( 'Redirect loop detected. The target URL would create a circular redirect.', 'wptransformed' );
-        }
-
         return null;
     }
 
     /**
-     * Detect redirect loops.
+     * Stop a save that would create a loop, or a chain the user has not
+     * decided about.
      *
-     * @param string $source Source URL.
-     * @param string $target Target URL.
-     * @return bool True if a loop would be created.
+     * The client resends with chain=keep to save the chain as is, or
+     * chain=collapse to point the rule (and any rules that led into it)
+     * straight at the end of the chain. Sends a JSON error and exits when
+     * the save must not go ahead.
+     *
+     * @param array $candidate Rule being saved; id is 0 for a new rule.
+     * @return array{target: string, repoint: array} Target to save, and
+     *               [{id, target_url}] updates for rules to repoint afterwards.
      */
-    private function detect_loop( string $source, string $target ): bool {
-        // Direct loop: source == target.
-        $normalized_source = $this->normalize_url( $source );
-        $normalized_target = $this->normalize_url( wp_parse_url( $target, PHP_URL_PATH ) ?? '' );
+    private function guard_chain( array $candidate ): array {
+        $others = $this->active_rule_set();
+        $this->rule_set_remove( $others, (int) $candidate['id'] );
+
+        $chain = $this->check_chain( $candidate, $others );
+        $keep  = [
+            'target'  => $candidate['target_url'],
+            'repoint' => [],
+        ];
 
-        if ( $normalized_source === $normalized_target ) {
-            return true;
+        if ( $chain['loop'] ) {
+            wp_send_json_error( [
+                'code'    => 'redirect_loop',
+                'message' => sprintf(
+                    /* translators: %s: the redirects in the loop, e.g. "/a → /b → /a" */
+                    __( 'Redirect loop detected: %s. Visitors would never reach a page.', 'wptransformed' ),
+                    $this->describe_chain( $candidate, $chain )
+                ),
+            ] );
         }
 
-        // Check if target is a source of an existing redirect that points back.
-        global $wpdb;
-
-        $table = $wpdb->prefix . 'wpt_redirects';
+        if ( empty( $chain['hops'] ) && empty( $chain['incoming'] ) ) {
+            return $keep;
+        }
 
-        // Walk the chain up to 10 hops to detect cycles.
-        $visited = [ $normalized_source ];
-        $current = $normalized_target;
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- callers verify the nonce.
+        $mode = isset( $_POST['chain'] ) ? sanitize_key( wp_unslash( $_POST['chain'] ) ) : '';
 
-        for ( $i = 0; $i < 10; $i++ ) {
-            if ( empty( $current ) ) {
-                break;
-            }
+        if ( $mode === 'keep' ) {
+            return $keep;
+        }
 
-            $next_target = $wpdb->get_var(
-                $wpdb->prepare(
-                    "SELECT target_url FROM {$table} WHERE source_url = %s AND is_active = 1 LIMIT 1",
-                    $current
-                )
-            );
+        if ( $mode !== 'collapse' ) {
+            wp_send_json_error( [
+                'code'    => 'redirect_chain',
+                'message' => sprintf(
+                    /* translators: %s: the redirects in the chain, e.g. "/a → /b → /c" */
+                    __( 'This redirect creates a chain: %s. Visitors would be redirected more than once.', 'wptransformed' ),
+                    $this->describe_chain( $candidate, $chain )
+                ),
+                'final'   => $chain['final'],
+            ] );
+        }
 
-            if ( $next_target === null ) {
-                break;
-            }
+        $repoint = [];
 
-            $next_normalized = $this->normalize_url( wp_parse_url( $next_target, PHP_URL_PATH ) ?? '' );
+        foreach ( $chain['incoming'] as $rule ) {
+            $repoint[] = [
+                'id'         => (int) $rule['id'],
+                'target_url' => $this->trace_redirect( $rule, $chain['set'] )['final'],
+            ];
+        }
 
-            if ( in_array( $next_normalized, $visited, true ) ) {
-                return true;
-            }
+        return [
+            'target'  => empty( $chain['hops'] ) ? $candidate['target_url'] : $chain['final'],
+            'repoint' => $repoint,
+        ];
+    }
 
-            $visited[] = $next_normalized;
-            $current   = $next_normalized;
+    /**
+     * Save the target updates produced by guard_chain().
+     *
+     * @param array $repoint [{id, target_url}] updates.
+     */
+    private function apply_repoints( array $repoint ): void {
+        foreach ( $repoint as $update ) {
+            $this->set_target( (int) $update['id'], (string) $update['target_url'] );
         }
-
-        return false;
     }
 
     /**
@@ -925,18 +2787,13 @@ class Redirect_Manager extends Module_Base {
             $redirects = [];
         }
 
-        // Fetch 404 log.
-        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
-        $log_entries = $wpdb->get_results(
-            "SELECT * FROM {$log_table} ORDER BY hit_count DESC, last_hit DESC LIMIT 100",
-            ARRAY_A
-        );
-
-        if ( ! is_array( $log_entries ) ) {
-            $log_entries = [];
-        }
+        // Fetch 404 log, grouped by path.
+        $log_groups = $this->group_404_log();
 
         $log_count = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$log_table}" );
+
+        $health       = $this->analyze_rules();
+        $health_count = count( $health['chains'] ) + count( $health['loops'] );
         ?>
 
         <!-- Settings -->
@@ -965,6 +2822,27 @@ class Redirect_Manager extends Module_Base {
                     </p>
                 </td>
             </tr>
+            <tr>
+                <th scope="row"><?php esc_html_e( 'Ignore Bots', 'wptransformed' ); ?></th>
+                <td>
+                    <label>
+                        <input type="checkbox" name="wpt_ignore_404_bots" value="1"
+                               <?php checked( ! empty( $settings['ignore_404_bots'] ) ); ?>>
+                        <?php esc_html_e( "Don't log 404s from crawlers, scanners and scripts", 'wptransformed' ); ?>
+                    </label>
+                </td>
+            </tr>
+            <tr>
+                <th scope="row">
+                    <label for="wpt-ignore-404-patterns"><?php esc_html_e( '404 Ignore Rules', 'wptransformed' ); ?></label>
+                </th>
+                <td>
+                    <textarea id="wpt-ignore-404-patterns" name="wpt_ignore_404_patterns" rows="5" class="large-text code"><?php echo esc_textarea( (string) $settings['ignore_404_patterns'] ); ?></textarea>
+                    <p class="description">
+                        <?php esc_html_e( 'One path per line; * matches anything, e.g. *.php or /wp-content/uploads/*. Matching 404s are not logged.', 'wptransformed' ); ?>
+                    </p>
+                </td>
+            </tr>
             <tr>
                 <th scope="row"><?php esc_html_e( 'Auto Redirect Slugs', 'wptransformed' ); ?></th>
                 <td>
@@ -990,6 +2868,10 @@ class Redirect_Manager extends Module_Base {
             <button type="button" class="wpt-tab-button" data-tab="import-export">
                 <?php esc_html_e( 'Import / Export', 'wptransformed' ); ?>
             </button>
+            <button type="button" class="wpt-tab-button" data-tab="health">
+                <?php esc_html_e( 'Health', 'wptransformed' ); ?>
+                <span class="wpt-tab-count<?php echo $health_count > 0 ? ' wpt-tab-count-warning' : ''; ?>"><?php echo esc_html( (string) $health_count ); ?></span>
+            </button>
         </div>
 
         <!-- Redirects Tab -->
@@ -999,6 +2881,14 @@ class Redirect_Manager extends Module_Base {
             <div class="wpt-redirect-add-form">
                 <h3><?php esc_html_e( 'Add Redirect', 'wptransformed' ); ?></h3>
                 <div class="wpt-redirect-form-row">
+                    <div class="wpt-redirect-field wpt-redirect-field-match">
+                        <label for="wpt-add-match"><?php esc_html_e( 'Match', 'wptransformed' ); ?></label>
+                        <select id="wpt-add-match">
+                            <option value="exact"><?php esc_html_e( 'Exact path', 'wptransformed' ); ?></option>
+                            <option value="wildcard"><?php esc_html_e( 'Wildcard (*)', 'wptransformed' ); ?></option>
+                            <option value="regex"><?php esc_html_e( 'Regular expression', 'wptransformed' ); ?></option>
+                        </select>
+                    </div>
                     <div class="wpt-redirect-field">
                         <label for="wpt-add-source"><?php esc_html_e( 'Source URL', 'wptransformed' ); ?></label>
                         <input type="text" id="wpt-add-source" placeholder="/old-page" class="regular-text">
@@ -1023,16 +2913,81 @@ class Redirect_Manager extends Module_Base {
                         <span class="spinner" id="wpt-add-spinner"></span>
                     </div>
                 </div>
+                <div class="wpt-redirect-options">
+                    <label>
+                        <input type="checkbox" id="wpt-add-ignore-case" checked>
+                        <?php esc_html_e( 'Ignore case', 'wptransformed' ); ?>
+                    </label>
+                    <label>
+                        <input type="checkbox" id="wpt-add-query-match">
+                        <?php esc_html_e( 'Match query string', 'wptransformed' ); ?>
+                    </label>
+                    <label>
+                        <input type="checkbox" id="wpt-add-query-pass">
+                        <?php esc_html_e( 'Pass query string to target', 'wptransformed' ); ?>
+                    </label>
+                </div>
+                <p class="description wpt-redirect-match-help" id="wpt-add-match-help">
+                    <?php esc_html_e( 'Matches one path exactly. A trailing slash is ignored.', 'wptransformed' ); ?>
+                </p>
+            </div>
+
+            <!-- URL Tester -->
+            <div class="wpt-redirect-tester">
+                <label for="wpt-test-url"><?php esc_html_e( 'Test a URL', 'wptransformed' ); ?></label>
+                <input type="text" id="wpt-test-url" class="regular-text"
+                       placeholder="<?php esc_attr_e( '/blog/2019/05/old-post?ref=feed', 'wptransformed' ); ?>">
+                <div class="wpt-redirect-test-result" id="wpt-test-url-result" aria-live="polite"></div>
+            </div>
+
+            <!-- Bulk actions, filters and sorting -->
+            <div class="wpt-redirect-tablenav">
+                <div class="wpt-redirect-bulk">
+                    <label for="wpt-redirect-bulk-action" class="screen-reader-text"><?php esc_html_e( 'Bulk action', 'wptransformed' ); ?></label>
+                    <select id="wpt-redirect-bulk-action">
+                        <option value=""><?php esc_html_e( 'Bulk actions', 'wptransformed' ); ?></option>
+                        <option value="disable"><?php esc_html_e( 'Disable', 'wptransformed' ); ?></option>
+                        <option value="delete"><?php esc_html_e( 'Delete', 'wptransformed' ); ?></option>
+                    </select>
+                    <button type="button" class="button" id="wpt-redirect-bulk-apply"><?php esc_html_e( 'Apply', 'wptransformed' ); ?></button>
+                </div>
+                <div class="wpt-redirect-filters">
+                    <label for="wpt-redirect-filter" class="screen-reader-text"><?php esc_html_e( 'Filter by usage', 'wptransformed' ); ?></label>
+                    <select id="wpt-redirect-filter">
+                        <option value="all"><?php esc_html_e( 'All redirects', 'wptransformed' ); ?></option>
+                        <option value="never"><?php esc_html_e( 'Never hit', 'wptransformed' ); ?></option>
+                        <option value="stale"><?php esc_html_e( 'Not hit in…', 'wptransformed' ); ?></option>
+                    </select>
+                    <span class="wpt-redirect-filter-days" id="wpt-redirect-filter-days-wrap" style="display: none;">
+                        <input type="number" id="wpt-redirect-filter-days" class="small-text" value="90" min="1" step="1"
+                               aria-label="<?php esc_attr_e( 'Days without a hit', 'wptransformed' ); ?>">
+                        <?php esc_html_e( 'days', 'wptransformed' ); ?>
+                    </span>
+                    <label for="wpt-redirect-sort" class="screen-reader-text"><?php esc_html_e( 'Sort by', 'wptransformed' ); ?></label>
+                    <select id="wpt-redirect-sort">
+                        <option value="newest"><?php esc_html_e( 'Newest first', 'wptransformed' ); ?></option>
+                        <option value="hits-desc"><?php esc_html_e( 'Most hits', 'wptransformed' ); ?></option>
+                        <option value="hits-asc"><?php esc_html_e( 'Fewest hits', 'wptransformed' ); ?></option>
+                        <option value="last-hit-asc"><?php esc_html_e( 'Least recently hit', 'wptransformed' ); ?></option>
+                        <option value="last-hit-desc"><?php esc_html_e( 'Most recently hit', 'wptransformed' ); ?></option>
+                    </select>
+                    <span class="wpt-redirect-filter-count" id="wpt-redirect-filter-count" aria-live="polite"></span>
+                </div>
             </div>
 
             <!-- Redirects Table -->
             <table class="widefat fixed striped wpt-redirects-table" id="wpt-redirects-table">
                 <thead>
                     <tr>
+                        <td class="wpt-col-cb check-column">
+                            <label for="wpt-redirects-select-all" class="screen-reader-text"><?php esc_html_e( 'Select all', 'wptransformed' ); ?></label>
+                            <input type="checkbox" id="wpt-redirects-select-all">
+                        </td>
                         <th class="wpt-col-source"><?php esc_html_e( 'Source URL', 'wptransformed' ); ?></th>
                         <th class="wpt-col-target"><?php esc_html_e( 'Target URL', 'wptransformed' ); ?></th>
                         <th class="wpt-col-type"><?php esc_html_e( 'Type', 'wptransformed' ); ?></th>
                         <th class="wpt-col-hits"><?php esc_html_e( 'Hits', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-last-hit"><?php esc_html_e( 'Last Hit', 'wptransformed' ); ?></th>
                         <th class="wpt-col-status"><?php esc_html_e( 'Status', 'wptransformed' ); ?></th>
                         <th class="wpt-col-actions"><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
                     </tr>
@@ -1040,13 +2995,26 @@ class Redirect_Manager extends Module_Base {
                 <tbody id="wpt-redirects-tbody">
                     <?php if ( empty( $redirects ) ) : ?>
                     <tr class="wpt-no-redirects">
-                        <td colspan="6"><?php esc_html_e( 'No redirects configured yet.', 'wptransformed' ); ?></td>
+                        <td colspan="8"><?php esc_html_e( 'No redirects configured yet.', 'wptransformed' ); ?></td>
                     </tr>
                     <?php else : ?>
                         <?php foreach ( $redirects as $redirect ) : ?>
-                        <tr data-id="<?php echo esc_attr( (string) $redirect['id'] ); ?>">
+                        <?php $last_hit = $redirect['last_hit'] ? (int) mysql2date( 'U', $redirect['last_hit'], false ) : 0; ?>
+                        <tr data-id="<?php echo esc_attr( (string) $redirect['id'] ); ?>"
+                            data-hits="<?php echo esc_attr( (string) (int) $redirect['hit_count'] ); ?>"
+                            data-last-hit="<?php echo esc_attr( (string) $last_hit ); ?>">
+                            <th scope="row" class="wpt-col-cb check-column">
+                                <input type="checkbox" class="wpt-redirect-cb" value="<?php echo esc_attr( (string) $redirect['id'] ); ?>"
+                                       aria-label="<?php echo esc_attr( $redirect['source_url'] ); ?>">
+                            </th>
                             <td class="wpt-col-source">
                                 <code><?php echo esc_html( $redirect['source_url'] ); ?></code>
+                                <?php if ( $redirect['match_type'] !== 'exact' ) : ?>
+                                <span class="wpt-match-badge"><?php echo esc_html( $redirect['match_type'] ); ?></span>
+                                <?php endif; ?>
+                                <?php if ( ! empty( $redirect['notes'] ) ) : ?>
+                                <span class="wpt-redirect-notes"><?php echo esc_html( $redirect['notes'] ); ?></span>
+                                <?php endif; ?>
                             </td>
                             <td class="wpt-col-target">
                                 <span class="wpt-target-url"><?php echo esc_html( $redirect['target_url'] ); ?></span>
@@ -1054,7 +3022,20 @@ class Redirect_Manager extends Module_Base {
                             <td class="wpt-col-type">
                                 <span class="wpt-redirect-type-badge"><?php echo esc_html( (string) $redirect['redirect_type'] ); ?></span>
                             </td>
-                            <td class="wpt-col-hits"><?php echo esc_html( number_format_i18n( (int) $redirect['hit_count'] ) ); ?></td>
+                            <td class="wpt-col-hits">
+                                <button type="button" class="button-link wpt-redirect-stats-toggle" aria-expanded="false"
+                                        data-id="<?php echo esc_attr( (string) $redirect['id'] ); ?>"
+                                        title="<?php esc_attr_e( 'Show hit statistics', 'wptransformed' ); ?>">
+                                    <?php echo esc_html( number_format_i18n( (int) $redirect['hit_count'] ) ); ?>
+                                </button>
+                            </td>
+                            <td class="wpt-col-last-hit">
+                                <?php if ( $last_hit ) : ?>
+                                <span title="<?php echo esc_attr( $redirect['last_hit'] ); ?>"><?php echo esc_html( $this->hit_ago( $redirect['last_hit'] ) ); ?></span>
+                                <?php else : ?>
+                                <span class="wpt-muted"><?php esc_html_e( 'Never', 'wptransformed' ); ?></span>
+                                <?php endif; ?>
+                            </td>
                             <td class="wpt-col-status">
                                 <button type="button" class="button button-small wpt-toggle-redirect <?php echo ( (int) $redirect['is_active'] === 1 ) ? 'wpt-active' : 'wpt-inactive'; ?>"
                                         data-id="<?php echo esc_attr( (string) $redirect['id'] ); ?>">
@@ -1066,7 +3047,11 @@ class Redirect_Manager extends Module_Base {
                                         data-id="<?php echo esc_attr( (string) $redirect['id'] ); ?>"
                                         data-source="<?php echo esc_attr( $redirect['source_url'] ); ?>"
                                         data-target="<?php echo esc_attr( $redirect['target_url'] ); ?>"
-                                        data-type="<?php echo esc_attr( (string) $redirect['redirect_type'] ); ?>">
+                                        data-type="<?php echo esc_attr( (string) $redirect['redirect_type'] ); ?>"
+                                        data-match="<?php echo esc_attr( $redirect['match_type'] ); ?>"
+                                        data-ignore-case="<?php echo esc_attr( (string) $redirect['ignore_case'] ); ?>"
+                                        data-query-match="<?php echo esc_attr( (string) $redirect['query_match'] ); ?>"
+                                        data-query-pass="<?php echo esc_attr( (string) $redirect['query_pass'] ); ?>">
                                     <?php esc_html_e( 'Edit', 'wptransformed' ); ?>
                                 </button>
                                 <button type="button" class="button button-small button-link-delete wpt-delete-redirect"
@@ -1092,6 +3077,17 @@ class Redirect_Manager extends Module_Base {
                         '<strong>' . esc_html( number_format_i18n( $log_count ) ) . '</strong>'
                     );
                     ?>
+                    <?php if ( $log_groups['ignored'] > 0 ) : ?>
+                    <span class="wpt-muted">
+                        <?php
+                        printf(
+                            /* translators: %s: number of hidden entries */
+                            esc_html( _n( '(%s matches an ignore rule and is hidden)', '(%s match ignore rules and are hidden)', $log_groups['ignored'], 'wptransformed' ) ),
+                            esc_html( number_format_i18n( $log_groups['ignored'] ) )
+                        );
+                        ?>
+                    </span>
+                    <?php endif; ?>
                 </p>
                 <?php if ( $log_count > 0 ) : ?>
                 <button type="button" class="button button-secondary" id="wpt-clear-404-log">
@@ -1100,43 +3096,83 @@ class Redirect_Manager extends Module_Base {
                 <?php endif; ?>
             </div>
 
+            <div class="wpt-404-bulk" id="wpt-404-bulk">
+                <label for="wpt-404-bulk-type"><?php esc_html_e( 'Redirect selected as', 'wptransformed' ); ?></label>
+                <select id="wpt-404-bulk-type">
+                    <option value="301"><?php esc_html_e( '301 Permanent', 'wptransformed' ); ?></option>
+                    <option value="302"><?php esc_html_e( '302 Temporary', 'wptransformed' ); ?></option>
+                    <option value="307"><?php esc_html_e( '307 Temporary (strict)', 'wptransformed' ); ?></option>
+                </select>
+                <button type="button" class="button button-primary" id="wpt-404-bulk-create">
+                    <?php esc_html_e( 'Create Redirects', 'wptransformed' ); ?>
+                </button>
+                <span class="spinner" id="wpt-404-bulk-spinner"></span>
+            </div>
+
             <table class="widefat fixed striped wpt-404-table" id="wpt-404-table">
                 <thead>
                     <tr>
+                        <td class="wpt-col-cb check-column">
+                            <label for="wpt-404-select-all" class="screen-reader-text"><?php esc_html_e( 'Select all', 'wptransformed' ); ?></label>
+                            <input type="checkbox" id="wpt-404-select-all">
+                        </td>
                         <th class="wpt-col-url"><?php esc_html_e( 'URL', 'wptransformed' ); ?></th>
                         <th class="wpt-col-referrer"><?php esc_html_e( 'Referrer', 'wptransformed' ); ?></th>
                         <th class="wpt-col-hits"><?php esc_html_e( 'Hits', 'wptransformed' ); ?></th>
                         <th class="wpt-col-last-hit"><?php esc_html_e( 'Last Hit', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-target"><?php esc_html_e( 'Redirect To', 'wptransformed' ); ?></th>
                         <th class="wpt-col-actions"><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
                     </tr>
                 </thead>
                 <tbody>
-                    <?php if ( empty( $log_entries ) ) : ?>
-                    <tr>
-                        <td colspan="5"><?php esc_html_e( 'No 404 errors logged yet.', 'wptransformed' ); ?></td>
+                    <?php if ( empty( $log_groups['groups'] ) ) : ?>
+                    <tr class="wpt-no-404s">
+                        <td colspan="7"><?php esc_html_e( 'No 404 errors logged yet.', 'wptransformed' ); ?></td>
                     </tr>
                     <?php else : ?>
-                        <?php foreach ( $log_entries as $entry ) : ?>
-                        <tr>
+                        <?php foreach ( $log_groups['groups'] as $group ) : ?>
+                        <tr data-key="<?php echo esc_attr( $group['key'] ); ?>"
+                            data-url="<?php echo esc_attr( $group['url'] ); ?>"
+                            data-variants="<?php echo esc_attr( (string) $group['variants'] ); ?>">
+                            <th scope="row" class="wpt-col-cb check-column">
+                                <input type="checkbox" class="wpt-404-cb" aria-label="<?php echo esc_attr( $group['url'] ); ?>">
+                            </th>
                             <td class="wpt-col-url">
-                                <code><?php echo esc_html( $entry['url'] ); ?></code>
+                                <code><?php echo esc_html( $group['url'] ); ?></code>
+                                <?php if ( $group['variants'] > 1 ) : ?>
+                                <span class="wpt-404-variants">
+                                    <?php
+                                    /* translators: %s: number of logged URL variants */
+                                    echo esc_html( sprintf( _n( '%s variant', '%s variants', $group['variants'], 'wptransformed' ), number_format_i18n( $group['variants'] ) ) );
+                                    ?>
+                                </span>
+                                <?php endif; ?>
                             </td>
                             <td class="wpt-col-referrer">
-                                <?php if ( ! empty( $entry['referrer'] ) ) : ?>
-                                    <a href="<?php echo esc_url( $entry['referrer'] ); ?>" target="_blank" rel="noopener noreferrer">
-                                        <?php echo esc_html( wp_parse_url( $entry['referrer'], PHP_URL_HOST ) ?? $entry['referrer'] ); ?>
+                                <?php if ( ! empty( $group['referrer'] ) ) : ?>
+                                    <a href="<?php echo esc_url( $group['referrer'] ); ?>" target="_blank" rel="noopener noreferrer">
+                                        <?php echo esc_html( wp_parse_url( $group['referrer'], PHP_URL_HOST ) ?? $group['referrer'] ); ?>
                                     </a>
                                 <?php else : ?>
                                     <span class="wpt-muted"><?php esc_html_e( 'Direct', 'wptransformed' ); ?></span>
                                 <?php endif; ?>
                             </td>
-                            <td class="wpt-col-hits"><?php echo esc_html( number_format_i18n( (int) $entry['hit_count'] ) ); ?></td>
-                            <td class="wpt-col-last-hit"><?php echo esc_html( $entry['last_hit'] ); ?></td>
+                            <td class="wpt-col-hits"><?php echo esc_html( number_format_i18n( $group['hits'] ) ); ?></td>
+                            <td class="wpt-col-last-hit"><?php echo esc_html( (string) $group['last_hit'] ); ?></td>
+                            <td class="wpt-col-target">
+                                <input type="text" class="wpt-404-target" placeholder="<?php esc_attr_e( '/new-page', 'wptransformed' ); ?>"
+                                       aria-label="<?php esc_attr_e( 'Redirect to', 'wptransformed' ); ?>">
+                                <span class="wpt-404-suggestion"></span>
+                            </td>
                             <td class="wpt-col-actions">
                                 <button type="button" class="button button-small wpt-create-redirect-from-404"
-                                        data-url="<?php echo esc_attr( $entry['url'] ); ?>">
+                                        data-url="<?php echo esc_attr( $group['url'] ); ?>">
                                     <?php esc_html_e( 'Create Redirect', 'wptransformed' ); ?>
                                 </button>
+                                <button type="button" class="button button-small wpt-ignore-404"
+                                        data-rule="<?php echo esc_attr( $group['key'] ); ?>">
+                                    <?php esc_html_e( 'Ignore', 'wptransformed' ); ?>
+                                </button>
                             </td>
                         </tr>
                         <?php endforeach; ?>
@@ -1157,25 +3193,220 @@ class Redirect_Manager extends Module_Base {
                 </button>
             </div>
 
-            <div class="wpt-import-export-section" style="margin-top: 24px;">
+            <div class="wpt-import-export-section" id="wpt-import" style="margin-top: 24px;">
                 <h3><?php esc_html_e( 'Import Redirects', 'wptransformed' ); ?></h3>
-                <p class="description">
-                    <?php esc_html_e( 'Paste CSV data below. Format: source_url,target_url,redirect_type,is_active', 'wptransformed' ); ?>
-                </p>
-                <textarea id="wpt-import-csv" rows="8" class="large-text code"
-                          placeholder="<?php esc_attr_e( '/old-page,https://example.com/new-page,301,1', 'wptransformed' ); ?>"></textarea>
-                <p style="margin-top: 8px;">
-                    <button type="button" class="button button-primary" id="wpt-import-redirects">
-                        <?php esc_html_e( 'Import CSV', 'wptransformed' ); ?>
-                    </button>
-                    <span class="spinner" id="wpt-import-spinner"></span>
-                </p>
+
+                <!-- Step 1: file or pasted text -->
+                <div class="wpt-import-step" id="wpt-import-step-source">
+                    <p class="description">
+                        <?php esc_html_e( 'Import a CSV or JSON file — including exports from the Redirection plugin — or paste CSV, .htaccess (Redirect, RedirectMatch, RewriteRule) or nginx (rewrite, return) lines.', 'wptransformed' ); ?>
+                    </p>
+                    <div class="wpt-import-drop" id="wpt-import-drop">
+                        <span class="dashicons dashicons-upload" aria-hidden="true"></span>
+                        <?php esc_html_e( 'Drop a file here or', 'wptransformed' ); ?>
+                        <label for="wpt-import-file" class="wpt-import-browse"><?php esc_html_e( 'choose a file', 'wptransformed' ); ?></label>
+                        <input type="file" id="wpt-import-file" class="screen-reader-text"
+                               accept=".csv,.json,.txt,.conf,.htaccess,text/csv,application/json,text/plain">
+                    </div>
+                    <textarea id="wpt-import-text" rows="8" class="large-text code"
+                              placeholder="<?php esc_attr_e( "/old-page,https://example.com/new-page,301,1\nRedirect 301 /old-page /new-page\nrewrite ^/blog/(.*)$ /articles/$1 permanent;", 'wptransformed' ); ?>"></textarea>
+                    <p>
+                        <button type="button" class="button button-secondary" id="wpt-import-read">
+                            <?php esc_html_e( 'Continue', 'wptransformed' ); ?>
+                        </button>
+                    </p>
+                </div>
+
+                <!-- Step 2: column mapping (CSV and JSON tables only) -->
+                <div class="wpt-import-step" id="wpt-import-step-mapping" style="display: none;">
+                    <h4><?php esc_html_e( 'Match Columns', 'wptransformed' ); ?></h4>
+                    <p class="description" id="wpt-import-format"></p>
+                    <label>
+                        <input type="checkbox" id="wpt-import-header">
+                        <?php esc_html_e( 'First row contains column names', 'wptransformed' ); ?>
+                    </label>
+                    <table class="form-table wpt-import-mapping" role="presentation">
+                        <tbody id="wpt-import-mapping"></tbody>
+                    </table>
+                    <p>
+                        <button type="button" class="button wpt-import-restart"><?php esc_html_e( 'Back', 'wptransformed' ); ?></button>
+                        <button type="button" class="button button-primary" id="wpt-import-preview-btn">
+                            <?php esc_html_e( 'Preview Import', 'wptransformed' ); ?>
+                        </button>
+                    </p>
+                </div>
+
+                <!-- Step 3: dry-run preview, then the import report -->
+                <div class="wpt-import-step" id="wpt-import-step-preview" style="display: none;">
+                    <fieldset class="wpt-import-options" id="wpt-import-options">
+                        <legend><?php esc_html_e( 'When a source already has a rule', 'wptransformed' ); ?></legend>
+                        <label>
+                            <input type="radio" name="wpt_import_conflict" value="skip" checked>
+                            <?php esc_html_e( 'Skip the row', 'wptransformed' ); ?>
+                        </label>
+                        <label>
+                            <input type="radio" name="wpt_import_conflict" value="overwrite">
+                            <?php esc_html_e( 'Overwrite the existing rule', 'wptransformed' ); ?>
+                        </label>
+                        <label>
+                            <input type="checkbox" id="wpt-import-collapse" checked>
+                            <?php esc_html_e( 'Collapse chains into direct redirects', 'wptransformed' ); ?>
+                        </label>
+                    </fieldset>
+                    <p class="wpt-import-summary" id="wpt-import-summary"></p>
+                    <table class="widefat fixed striped wpt-import-preview" id="wpt-import-preview">
+                        <thead>
+                            <tr>
+                                <th class="wpt-col-line"><?php esc_html_e( 'Line', 'wptransformed' ); ?></th>
+                                <th class="wpt-col-source"><?php esc_html_e( 'Source URL', 'wptransformed' ); ?></th>
+                                <th class="wpt-col-target"><?php esc_html_e( 'Target URL', 'wptransformed' ); ?></th>
+                                <th class="wpt-col-result"><?php esc_html_e( 'Result', 'wptransformed' ); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <p>
+                        <button type="button" class="button wpt-import-restart"><?php esc_html_e( 'Start Over', 'wptransformed' ); ?></button>
+                        <button type="button" class="button button-primary" id="wpt-import-redirects">
+                            <?php esc_html_e( 'Import', 'wptransformed' ); ?>
+                        </button>
+                        <button type="button" class="button" id="wpt-import-reload" style="display: none;">
+                            <?php esc_html_e( 'Reload Redirects', 'wptransformed' ); ?>
+                        </button>
+                        <span class="spinner" id="wpt-import-spinner"></span>
+                    </p>
+                </div>
             </div>
         </div>
 
+        <!-- Health Tab -->
+        <div class="wpt-tab-content" id="wpt-tab-health" style="display: none;">
+            <h3><?php esc_html_e( 'Redirect Loops', 'wptransformed' ); ?></h3>
+            <p class="description">
+                <?php esc_html_e( 'These rules send visitors round in a circle. Disable or edit one rule in each loop.', 'wptransformed' ); ?>
+            </p>
+            <table class="widefat fixed striped wpt-health-table" id="wpt-health-loops">
+                <thead>
+                    <tr>
+                        <th class="wpt-col-source"><?php esc_html_e( 'Rule', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-chain"><?php esc_html_e( 'Loop', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-actions"><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if ( empty( $health['loops'] ) ) : ?>
+                    <tr class="wpt-health-empty">
+                        <td colspan="3"><?php esc_html_e( 'No redirect loops found.', 'wptransformed' ); ?></td>
+                    </tr>
+                    <?php else : ?>
+                        <?php foreach ( $health['loops'] as $item ) : ?>
+                        <tr data-id="<?php echo esc_attr( (string) $item['rule']['id'] ); ?>">
+                            <td class="wpt-col-source"><code><?php echo esc_html( $item['rule']['source_url'] ); ?></code></td>
+                            <td class="wpt-col-chain"><?php $this->render_chain_path( $item ); ?></td>
+                            <td class="wpt-col-actions">
+                                <button type="button" class="button button-small wpt-health-disable"
+                                        data-id="<?php echo esc_attr( (string) $item['rule']['id'] ); ?>">
+                                    <?php esc_html_e( 'Disable', 'wptransformed' ); ?>
+                                </button>
+                            </td>
+                        </tr>
+                        <?php endforeach; ?>
+                    <?php endif; ?>
+                </tbody>
+            </table>
+
+            <div class="wpt-health-heading">
+                <h3><?php esc_html_e( 'Redirect Chains', 'wptransformed' ); ?></h3>
+                <?php if ( ! empty( $health['chains'] ) ) : ?>
+                <button type="button" class="button button-secondary" id="wpt-collapse-all-chains">
+                    <?php esc_html_e( 'Collapse All', 'wptransformed' ); ?>
+                </button>
+                <?php endif; ?>
+            </div>
+            <p class="description">
+                <?php esc_html_e( 'These rules redirect to a URL that is redirected again. Collapsing points them straight at the final target.', 'wptransformed' ); ?>
+            </p>
+            <table class="widefat fixed striped wpt-health-table" id="wpt-health-chains">
+                <thead>
+                    <tr>
+                        <th class="wpt-col-source"><?php esc_html_e( 'Rule', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-chain"><?php esc_html_e( 'Chain', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-actions"><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php if ( empty( $health['chains'] ) ) : ?>
+                    <tr class="wpt-health-empty">
+                        <td colspan="3"><?php esc_html_e( 'No redirect chains found.', 'wptransformed' ); ?></td>
+                    </tr>
+                    <?php else : ?>
+                        <?php foreach ( $health['chains'] as $item ) : ?>
+                        <tr data-id="<?php echo esc_attr( (string) $item['rule']['id'] ); ?>">
+                            <td class="wpt-col-source"><code><?php echo esc_html( $item['rule']['source_url'] ); ?></code></td>
+                            <td class="wpt-col-chain"><?php $this->render_chain_path( $item ); ?></td>
+                            <td class="wpt-col-actions">
+                                <button type="button" class="button button-small wpt-collapse-chain"
+                                        data-id="<?php echo esc_attr( (string) $item['rule']['id'] ); ?>">
+                                    <?php esc_html_e( 'Collapse', 'wptransformed' ); ?>
+                                </button>
+                            </td>
+                        </tr>
+                        <?php endforeach; ?>
+                    <?php endif; ?>
+                </tbody>
+            </table>
+
+            <div class="wpt-health-heading">
+                <h3><?php esc_html_e( 'Broken Targets', 'wptransformed' ); ?></h3>
+                <button type="button" class="button button-secondary" id="wpt-check-targets">
+                    <?php esc_html_e( 'Check Targets', 'wptransformed' ); ?>
+                </button>
+            </div>
+            <p class="description">
+                <?php esc_html_e( 'Requests the target of every active rule and lists those that return 404 or 410, or do not respond.', 'wptransformed' ); ?>
+            </p>
+            <div class="wpt-health-progress" id="wpt-check-targets-progress" style="display: none;">
+                <div class="wpt-health-progress-bar"><div class="wpt-health-progress-fill" id="wpt-check-targets-fill"></div></div>
+                <p id="wpt-check-targets-text"></p>
+            </div>
+            <table class="widefat fixed striped wpt-health-table" id="wpt-health-broken" style="display: none;">
+                <thead>
+                    <tr>
+                        <th class="wpt-col-source"><?php esc_html_e( 'Rule', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-target"><?php esc_html_e( 'Target', 'wptransformed' ); ?></th>
+                        <th class="wpt-col-status"><?php esc_html_e( 'Response', 'wptransformed' ); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+
         <?php
     }
 
+    /**
+     * Print a traced chain as "/a → /b → /c".
+     *
+     * @param array $item Entry from analyze_rules().
+     */
+    private function render_chain_path( array $item ): void {
+        $steps = [ $item['rule']['target_url'] ];
+
+        foreach ( $item['hops'] as $hop ) {
+            $steps[] = $hop['target_url'];
+        }
+
+        echo '<code>' . esc_html( $item['rule']['source_url'] ) . '</code>';
+
+        foreach ( $steps as $step ) {
+            echo ' → <code>' . esc_html( $step ) . '</code>';
+        }
+
+        if ( $item['loop'] ) {
+            echo ' <span class="wpt-health-loop-mark">↺</span>';
+        }
+    }
+
     // ── Sanitize Settings ─────────────────────────────────────
 
     public function sanitize_settings( array $raw ): array {
@@ -1191,10 +3422,16 @@ class Redirect_Manager extends Module_Base {
 
         $auto_redirect_slugs = ! empty( $raw['wpt_auto_redirect_slugs'] );
 
+        $ignore_rules = isset( $raw['wpt_ignore_404_patterns'] )
+            ? $this->ignore_rules( sanitize_textarea_field( wp_unslash( (string) $raw['wpt_ignore_404_patterns'] ) ) )
+            : [];
+
         return [
             'log_404s'            => $log_404s,
             'max_404_log'         => $max_404_log,
             'auto_redirect_slugs' => $auto_redirect_slugs,
+            'ignore_404_bots'     => ! empty( $raw['wpt_ignore_404_bots'] ),
+            'ignore_404_patterns' => implode( "\n", array_slice( $ignore_rules, 0, 200 ) ),
         ];
     }
 
@@ -1215,7 +3452,7 @@ class Redirect_Manager extends Module_Base {
         wp_enqueue_script(
             'wpt-redirect-manager',
             WPT_URL . 'modules/utilities/js/redirect-manager.js',
-            [],
+            [ 'wpt-api', 'wpt-jobs' ],
             WPT_VERSION,
             true
         );
@@ -1226,18 +3463,105 @@ class Redirect_Manager extends Module_Base {
             'i18n'    => [
                 'confirmDelete'    => __( 'Are you sure you want to delete this redirect?', 'wptransformed' ),
                 'confirmClear404'  => __( 'Are you sure you want to clear the entire 404 log?', 'wptransformed' ),
-                'confirmImport'    => __( 'Import redirects from CSV? Duplicate source URLs will be skipped.', 'wptransformed' ),
                 'networkError'     => __( 'Network error. Please try again.', 'wptransformed' ),
                 'sourceRequired'   => __( 'Source URL is required and must start with /.', 'wptransformed' ),
                 'targetRequired'   => __( 'Target URL is required.', 'wptransformed' ),
                 'noExportData'     => __( 'No redirects to export.', 'wptransformed' ),
-                'emptyCsv'         => __( 'Please paste CSV data to import.', 'wptransformed' ),
                 'active'           => __( 'Active', 'wptransformed' ),
                 'inactive'         => __( 'Inactive', 'wptransformed' ),
                 'editPromptSource' => __( 'Edit source URL:', 'wptransformed' ),
                 'editPromptTarget' => __( 'Edit target URL:', 'wptransformed' ),
                 'saving'           => __( 'Saving...', 'wptransformed' ),
                 'importing'        => __( 'Importing...', 'wptransformed' ),
+                'regexRequired'    => __( 'Enter a regular expression to match against the path.', 'wptransformed' ),
+                'helpExact'        => __( 'Matches one path exactly. A trailing slash is ignored.', 'wptransformed' ),
+                'helpWildcard'     => __( 'Use * in the source to match anything, e.g. /blog/* → /articles/$1. Each * is available in the target as $1, $2…', 'wptransformed' ),
+                'helpRegex'        => __( 'PCRE pattern matched against the path, e.g. ^/blog/(\d{4})/(.+)$ → /archive/$1/$2. Anchor with ^ and $ to avoid partial matches.', 'wptransformed' ),
+                'testing'          => __( 'Testing…', 'wptransformed' ),
+                /* translators: 1: rule ID, 2: rule source */
+                'testMatched'      => __( 'Matched rule #%1$s (%2$s)', 'wptransformed' ),
+                'testNoMatch'      => __( 'No active redirect matches this URL.', 'wptransformed' ),
+                'chainCollapse'    => __( 'Collapse to a direct redirect', 'wptransformed' ),
+                'chainKeep'        => __( 'Save as a chain', 'wptransformed' ),
+                'noLoops'          => __( 'No redirect loops found.', 'wptransformed' ),
+                'noChains'         => __( 'No redirect chains found.', 'wptransformed' ),
+                'noBroken'         => __( 'Every checked target responded.', 'wptransformed' ),
+                'checkingTargets'  => __( 'Checking targets…', 'wptransformed' ),
+                /* translators: 1: checked count, 2: total */
+                'checkedTargets'   => __( 'Checked %1$s of %2$s targets.', 'wptransformed' ),
+                'noResponse'       => __( 'No response', 'wptransformed' ),
+                'never'            => __( 'Never', 'wptransformed' ),
+                'loadingStats'     => __( 'Loading statistics…', 'wptransformed' ),
+                /* translators: 1: hits, 2: number of days */
+                'statsTotal'       => __( '%1$s hits in the last %2$s days', 'wptransformed' ),
+                /* translators: 1: date and time, 2: relative time */
+                'statsLastHit'     => __( 'Last hit %1$s (%2$s)', 'wptransformed' ),
+                /* translators: 1: date, 2: hits */
+                'statsDay'         => __( '%1$s: %2$s hits', 'wptransformed' ),
+                'statsReferrers'   => __( 'Top referrers', 'wptransformed' ),
+                'statsDirect'      => __( 'Direct / unknown', 'wptransformed' ),
+                'statsNoHits'      => __( 'This redirect has never been used.', 'wptransformed' ),
+                /* translators: 1: visible rows, 2: all rows */
+                'filterCount'      => __( 'Showing %1$s of %2$s', 'wptransformed' ),
+                'bulkChoose'       => __( 'Choose a bulk action.', 'wptransformed' ),
+                'bulkNone'         => __( 'Select at least one redirect.', 'wptransformed' ),
+                /* translators: %s: number of redirects */
+                'confirmBulk'      => __( 'Delete %s redirects? This cannot be undone.', 'wptransformed' ),
+                /* translators: 1: post title, 2: similarity, e.g. "85%" */
+                'suggested'        => __( 'Suggested: %1$s (%2$s match)', 'wptransformed' ),
+                'use'              => __( 'Use', 'wptransformed' ),
+                'selectRows'       => __( 'Select the 404s to redirect.', 'wptransformed' ),
+                'targetsMissing'   => __( 'Enter a target for every selected 404.', 'wptransformed' ),
+                /* translators: %s: ignore rule */
+                'confirmIgnore'    => __( 'Stop logging %s and remove it from the log?', 'wptransformed' ),
+                'no404s'           => __( 'No 404 errors logged yet.', 'wptransformed' ),
+                'importEmpty'      => __( 'Choose a file or paste redirects to import.', 'wptransformed' ),
+                'importUnreadable' => __( 'The file could not be read. Use CSV, JSON, .htaccess or nginx rules.', 'wptransformed' ),
+                'importNothing'    => __( 'No redirects were found in this input.', 'wptransformed' ),
+                /* translators: %s: row count */
+                'importRows'       => __( '%s rows found. Choose the column that holds each field.', 'wptransformed' ),
+                /* translators: %s: column number */
+                'importColumn'     => __( 'Column %s', 'wptransformed' ),
+                'importIgnore'     => __( '— Ignore —', 'wptransformed' ),
+                'mapRequired'      => __( 'Choose the source and target columns.', 'wptransformed' ),
+                'importFields'     => [
+                    'source'  => __( 'Source URL', 'wptransformed' ),
+                    'target'  => __( 'Target URL', 'wptransformed' ),
+                    'type'    => __( 'Redirect type', 'wptransformed' ),
+                    'enabled' => __( 'Enabled', 'wptransformed' ),
+                    'notes'   => __( 'Notes', 'wptransformed' ),
+                    'match'   => __( 'Match type', 'wptransformed' ),
+                ],
+                'importIncomplete' => __( 'Missing a source or target.', 'wptransformed' ),
+                'notRedirect'      => __( 'Internal rewrite, not a redirect.', 'wptransformed' ),
+                'importConditions' => __( 'Rules with RewriteCond conditions cannot be imported.', 'wptransformed' ),
+                'conditionalRule'  => __( 'Only rules that match on the URL can be imported.', 'wptransformed' ),
+                'importVariables'  => __( 'The target uses server variables that cannot be imported.', 'wptransformed' ),
+                'importNoSource'   => __( 'A server-wide return has no source path.', 'wptransformed' ),
+                'importChecking'   => __( 'Checking rows…', 'wptransformed' ),
+                /* translators: 1: new rules, 2: overwritten rules, 3: skipped rows */
+                'importPreview'    => __( 'Dry run: %1$s new, %2$s overwritten, %3$s skipped. Nothing has been saved yet.', 'wptransformed' ),
+                /* translators: 1: new rules, 2: overwritten rules, 3: skipped rows */
+                'importDone'       => __( 'Imported %1$s new and overwrote %2$s redirects; %3$s rows were skipped.', 'wptransformed' ),
+                /* translators: %s: number of rows */
+                'importButton'     => __( 'Import %s Redirects', 'wptransformed' ),
+                'importWill'       => [
+                    'imported'  => __( 'New', 'wptransformed' ),
+                    'updated'   => __( 'Overwrite', 'wptransformed' ),
+                    'conflict'  => __( 'Conflict', 'wptransformed' ),
+                    'duplicate' => __( 'Duplicate', 'wptransformed' ),
+                    'loop'      => __( 'Loop', 'wptransformed' ),
+                    'invalid'   => __( 'Invalid', 'wptransformed' ),
+                ],
+                'importDid'        => [
+                    'imported'  => __( 'Imported', 'wptransformed' ),
+                    'updated'   => __( 'Overwritten', 'wptransformed' ),
+                    'conflict'  => __( 'Conflict', 'wptransformed' ),
+                    'duplicate' => __( 'Duplicate', 'wptransformed' ),
+                    'loop'      => __( 'Loop', 'wptransformed' ),
+                    'invalid'   => __( 'Invalid', 'wptransformed' ),
+                    'failed'    => __( 'Failed', 'wptransformed' ),
+                ],
             ],
         ] );
     }
@@ -1250,6 +3574,8 @@ class Redirect_Manager extends Module_Base {
         return [
             'drop_table:' . $wpdb->prefix . 'wpt_redirects',
             'drop_table:' . $wpdb->prefix . 'wpt_404_log',
+            'drop_table:' . $wpdb->prefix . 'wpt_redirect_hits',
+            'drop_table:' . $wpdb->prefix . 'wpt_redirect_referrers',
             'delete_transient:' . self::CACHE_KEY,
             'delete_transient:' . self::DB_VERSION_KEY,
         ];
@@ -12,13 +12,23 @@ use WPTransformed\Modules\Module_Base;
  *
  * Features:
  *  - Dry run mode (preview matches without changing data)
+ *  - Row-level diff preview with per-row and per-column exclusions
+ *  - Ordered search/replace pairs applied in one pass
+ *  - Named profiles (pairs, tables, scope, options) runnable from the palette,
+ *    with a prompt to re-run them when the site address changes
  *  - Safe serialized PHP data handling with UTF-8 length recalculation
  *  - JSON data handling (Elementor, Gutenberg, DIVI, Bricks)
  *  - Batch processing by primary key range (NOT OFFSET)
  *  - Undo via wpt_replace_log table
+ *  - Run history (who, when, pairs, tables, duration) with a per-run
+ *    change browser, selective undo and a warning when later runs
+ *    changed the same rows
  *  - Case sensitivity toggle
  *  - Regex mode (advanced)
  *  - Multisite support
+ *  - Per-table column include/exclude lists and row filters
+ *  - Guards that skip GUIDs, reset keys, session tokens and transients
+ *    unless a run allows them
  *  - Always excludes wp_users.user_pass
  *  - Cache clearing after replace
  *
@@ -34,7 +44,7 @@ class Search_Replace extends Module_Base {
     /**
      * Current DB schema version.
      */
-    private const DB_VERSION = '1.0';
+    private const DB_VERSION = '1.1';
 
     /**
      * Columns that must NEVER be modified.
@@ -45,6 +55,56 @@ class Search_Replace extends Module_Base {
         'users' => [ 'user_pass' ],
     ];
 
+    /**
+     * Comparisons a row filter may use.
+     */
+    private const FILTER_OPERATORS = [ '=', '!=', 'LIKE', 'NOT LIKE', '<', '>' ];
+
+    /**
+     * Most row filters per table.
+     */
+    private const MAX_FILTERS = 10;
+
+    /**
+     * Option holding saved profiles.
+     */
+    private const PROFILES_OPTION = 'wpt_search_replace_profiles';
+
+    /**
+     * Option holding the home URL last seen, to spot a changed site address.
+     */
+    private const KNOWN_HOME_OPTION = 'wpt_search_replace_known_home';
+
+    /**
+     * Most search/replace pairs accepted per run.
+     */
+    private const MAX_PAIRS = 20;
+
+    /**
+     * Most saved profiles.
+     */
+    private const MAX_PROFILES = 50;
+
+    /**
+     * Matching rows per page of the diff preview.
+     */
+    private const PREVIEW_PAGE_SIZE = 20;
+
+    /**
+     * Runs per page of the history, and logged changes per page of a run.
+     */
+    private const HISTORY_PAGE_SIZE = 20;
+
+    /**
+     * Unchanged characters kept on each side of a match in the preview.
+     */
+    private const DIFF_CONTEXT = 40;
+
+    /**
+     * Changed values listed per cell before the rest are only counted.
+     */
+    private const DIFF_MAX_CHANGES = 20;
+
     // ── Identity ──────────────────────────────────────────────
 
     public function get_id(): string {
@@ -63,6 +123,11 @@ class Search_Replace extends Module_Base {
         return __( 'Database-wide search and replace with safe serialized data handling and undo support.', 'wptransformed' );
     }
 
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'find, replace, migrate, migration, domain change, url change', 'wptransformed' ) ) );
+    }
+
     // ── Settings ──────────────────────────────────────────────
 
     public function get_default_settings(): array {
@@ -82,15 +147,29 @@ class Search_Replace extends Module_Base {
 
         // AJAX handlers -- admin only.
         add_action( 'wp_ajax_wpt_search_replace_tables',  [ $this, 'ajax_list_tables' ] );
+        add_action( 'wp_ajax_wpt_search_replace_columns', [ $this, 'ajax_table_columns' ] );
         add_action( 'wp_ajax_wpt_search_replace_dry_run', [ $this, 'ajax_dry_run' ] );
+        add_action( 'wp_ajax_wpt_search_replace_preview', [ $this, 'ajax_preview' ] );
         add_action( 'wp_ajax_wpt_search_replace_run',     [ $this, 'ajax_run' ] );
         add_action( 'wp_ajax_wpt_search_replace_undo',    [ $this, 'ajax_undo' ] );
+        add_action( 'wp_ajax_wpt_search_replace_history', [ $this, 'ajax_history' ] );
+        add_action( 'wp_ajax_wpt_search_replace_entries', [ $this, 'ajax_run_entries' ] );
+
+        // Profiles.
+        add_action( 'wp_ajax_wpt_search_replace_profile_save',   [ $this, 'ajax_save_profile' ] );
+        add_action( 'wp_ajax_wpt_search_replace_profile_delete', [ $this, 'ajax_delete_profile' ] );
+        add_action( 'admin_notices', [ $this, 'maybe_show_home_notice' ] );
+        add_action( 'admin_action_wpt_sr_dismiss_home', [ $this, 'handle_dismiss_home' ] );
+
+        // Command palette: run a saved profile.
+        add_filter( 'wpt_command_palette_providers', [ $this, 'register_palette_provider' ] );
     }
 
     // ── Table Creation ────────────────────────────────────────
 
     /**
-     * Create the replace log table if it doesn't exist.
+     * Create the replace log and run history tables, or bring them up to
+     * the current schema.
      */
     private function maybe_create_tables(): void {
         $installed_version = get_option( self::DB_VERSION_KEY, '' );
@@ -103,6 +182,7 @@ class Search_Replace extends Module_Base {
 
         $charset_collate = $wpdb->get_charset_collate();
         $table           = $wpdb->prefix . 'wpt_replace_log';
+        $runs_table      = $wpdb->prefix . 'wpt_replace_runs';
 
         $sql = "CREATE TABLE {$table} (
             id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
@@ -114,12 +194,38 @@ class Search_Replace extends Module_Base {
             new_value LONGTEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             INDEX idx_run (run_id),
-            INDEX idx_created (created_at)
+            INDEX idx_created (created_at),
+            INDEX idx_row (table_name, row_id)
+        ) {$charset_collate};";
+
+        $runs_sql = "CREATE TABLE {$runs_table} (
+            run_id VARCHAR(36) NOT NULL,
+            user_id BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            pairs LONGTEXT,
+            tables TEXT,
+            changes INT UNSIGNED NOT NULL DEFAULT 0,
+            rows_changed INT UNSIGNED NOT NULL DEFAULT 0,
+            undone INT UNSIGNED NOT NULL DEFAULT 0,
+            started_at DATETIME NOT NULL,
+            finished_at DATETIME NOT NULL,
+            PRIMARY KEY  (run_id),
+            KEY idx_started (started_at)
         ) {$charset_collate};";
 
         require_once ABSPATH . 'wp-admin/includes/upgrade.php';
 
         dbDelta( $sql );
+        dbDelta( $runs_sql );
+
+        // Runs logged before the history existed: who ran them and with
+        // which pairs is unknown, the rest comes from the log.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query(
+            "INSERT IGNORE INTO `{$runs_table}` (run_id, user_id, pairs, tables, changes, rows_changed, undone, started_at, finished_at)
+             SELECT run_id, 0, '', GROUP_CONCAT(DISTINCT table_name), COUNT(*), COUNT(DISTINCT table_name, row_id), 0, MIN(created_at), MAX(created_at)
+             FROM `{$table}`
+             GROUP BY run_id"
+        );
 
         update_option( self::DB_VERSION_KEY, self::DB_VERSION, false );
     }
@@ -322,6 +428,519 @@ class Search_Replace extends Module_Base {
         return [];
     }
 
+    // ── Pairs ─────────────────────────────────────────────────
+
+    /**
+     * Search/replace pairs from the request, in the order they apply.
+     * Reads the `pairs` JSON list, or the single `search`/`replace`
+     * fields older clients send. Pairs without a search string are dropped.
+     *
+     * @return array<array{search: string, replace: string}>
+     */
+    private function read_pairs(): array {
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- callers check the nonce.
+        if ( isset( $_POST['pairs'] ) ) {
+            $raw = json_decode( wp_unslash( $_POST['pairs'] ), true );
+        } else {
+            $raw = [ [
+                'search'  => isset( $_POST['search'] ) ? wp_unslash( $_POST['search'] ) : '',
+                'replace' => isset( $_POST['replace'] ) ? wp_unslash( $_POST['replace'] ) : '',
+            ] ];
+        }
+        // phpcs:enable
+
+        return $this->clean_pairs( is_array( $raw ) ? $raw : [] );
+    }
+
+    /**
+     * Keep well-formed pairs with a search string, up to MAX_PAIRS.
+     *
+     * @param array $raw Pairs as decoded from JSON.
+     * @return array<array{search: string, replace: string}>
+     */
+    private function clean_pairs( array $raw ): array {
+        $pairs = [];
+
+        foreach ( $raw as $pair ) {
+            if ( ! is_array( $pair ) || ! isset( $pair['search'] ) || ! is_scalar( $pair['search'] ) || (string) $pair['search'] === '' ) {
+                continue;
+            }
+
+            $pairs[] = [
+                'search'  => (string) $pair['search'],
+                'replace' => isset( $pair['replace'] ) && is_scalar( $pair['replace'] ) ? (string) $pair['replace'] : '',
+            ];
+
+            if ( count( $pairs ) >= self::MAX_PAIRS ) {
+                break;
+            }
+        }
+
+        return $pairs;
+    }
+
+    /**
+     * Why a list of pairs cannot be searched, or an empty string.
+     *
+     * @param array<array{search: string, replace: string}> $pairs Pairs.
+     * @param bool                                          $regex Regex mode.
+     * @return string
+     */
+    private function pairs_error( array $pairs, bool $regex ): string {
+        if ( empty( $pairs ) ) {
+            return __( 'Search string cannot be empty.', 'wptransformed' );
+        }
+
+        if ( $regex ) {
+            foreach ( $pairs as $i => $pair ) {
+                if ( @preg_match( $pair['search'], '' ) === false ) {
+                    return count( $pairs ) > 1
+                        /* translators: %d: pair number */
+                        ? sprintf( __( 'Invalid regular expression pattern in pair %d.', 'wptransformed' ), $i + 1 )
+                        : __( 'Invalid regular expression pattern.', 'wptransformed' );
+                }
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Apply each pair in turn, so later pairs see what earlier ones wrote.
+     *
+     * @param string                                        $data           Raw DB value.
+     * @param array<array{search: string, replace: string}> $pairs          Pairs in order.
+     * @param bool                                          $case_sensitive Case-sensitive matching.
+     * @param bool                                          $regex          Regex mode.
+     * @return string
+     */
+    private function replace_pairs( string $data, array $pairs, bool $case_sensitive, bool $regex ): string {
+        foreach ( $pairs as $pair ) {
+            $data = $this->safe_replace( $data, $pair['search'], $pair['replace'], $case_sensitive, $regex );
+        }
+
+        return $data;
+    }
+
+    /**
+     * WHERE clause matching rows where any pair's search string appears.
+     *
+     * @param string[]                                      $columns Text column names.
+     * @param array<array{search: string, replace: string}> $pairs   Pairs.
+     * @param bool                                          $regex   Regex mode.
+     * @return string
+     */
+    private function build_pairs_where( array $columns, array $pairs, bool $regex ): string {
+        $conditions = [];
+        foreach ( $pairs as $pair ) {
+            $conditions[] = '(' . $this->build_match_where( $columns, $pair['search'], $regex ) . ')';
+        }
+
+        // Regex pairs all produce the same "not empty" clause.
+        return implode( ' OR ', array_unique( $conditions ) );
+    }
+
+    // ── Scope ─────────────────────────────────────────────────
+
+    /**
+     * Data a run skips unless it explicitly allows it. A column guard
+     * drops the column; a row guard skips rows whose `key` column equals
+     * one of `values` or starts with one of `prefixes`.
+     *
+     * @return array<string, array{label: string, table: string, column?: string, key?: string, values?: string[], prefixes?: string[]}>
+     */
+    private function get_guards(): array {
+        return [
+            'guid'            => [
+                'label'  => __( 'Post GUIDs (posts.guid)', 'wptransformed' ),
+                'table'  => 'posts',
+                'column' => 'guid',
+            ],
+            'activation_keys' => [
+                'label'  => __( 'Password reset keys (users.user_activation_key)', 'wptransformed' ),
+                'table'  => 'users',
+                'column' => 'user_activation_key',
+            ],
+            'session_tokens'  => [
+                'label'  => __( 'Login session tokens (usermeta session_tokens)', 'wptransformed' ),
+                'table'  => 'usermeta',
+                'key'    => 'meta_key',
+                'values' => [ 'session_tokens' ],
+            ],
+            'transients'      => [
+                'label'    => __( 'Transients (options _transient_*, _site_transient_*)', 'wptransformed' ),
+                'table'    => 'options',
+                'key'      => 'option_name',
+                'prefixes' => [ '_transient_', '_site_transient_' ],
+            ],
+        ];
+    }
+
+    /**
+     * A table's name without the site prefix, as guards and excluded
+     * columns name it. On multisite a subsite's tables carry the blog ID
+     * (wp_2_options) while users and usermeta keep the network prefix, so
+     * the base prefix and any blog segment are stripped from the start.
+     *
+     * @param string $table Full table name.
+     * @return string
+     */
+    private function table_suffix( string $table ): string {
+        global $wpdb;
+
+        if ( strpos( $table, $wpdb->base_prefix ) !== 0 ) {
+            return $table;
+        }
+
+        return (string) preg_replace( '/^\d+_/', '', substr( $table, strlen( $wpdb->base_prefix ) ) );
+    }
+
+    /**
+     * Scope from the request: the `scope` JSON map of table => {mode,
+     * columns, rows} and the guard IDs sent as `allow_guards[]`.
+     *
+     * @return array{tables: array<string, array{mode: string, columns: string[], rows: array}>, allow: string[]}
+     */
+    private function read_scope(): array {
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- callers check the nonce.
+        $raw   = isset( $_POST['scope'] ) ? json_decode( wp_unslash( $_POST['scope'] ), true ) : [];
+        $allow = isset( $_POST['allow_guards'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['allow_guards'] ) ) : [];
+        // phpcs:enable
+
+        return [
+            'tables' => $this->clean_scope( is_array( $raw ) ? $raw : [] ),
+            'allow'  => array_values( array_intersect( $allow, array_keys( $this->get_guards() ) ) ),
+        ];
+    }
+
+    /**
+     * Keep well-formed table scopes. Tables left at "all columns" with
+     * no row filters are dropped, since they narrow nothing. Filter
+     * columns and operators are checked by scope_table(), which can
+     * report them.
+     *
+     * @param array $raw Scope as decoded from JSON.
+     * @return array<string, array{mode: string, columns: string[], rows: array<array{column: string, op: string, value: string}>}>
+     */
+    private function clean_scope( array $raw ): array {
+        $scope = [];
+
+        foreach ( $raw as $table => $entry ) {
+            if ( ! is_string( $table ) || ! is_array( $entry ) ) {
+                continue;
+            }
+
+            $mode    = isset( $entry['mode'] ) && in_array( $entry['mode'], [ 'include', 'exclude' ], true ) ? $entry['mode'] : 'all';
+            $columns = $mode !== 'all' && isset( $entry['columns'] ) && is_array( $entry['columns'] )
+                ? array_values( array_filter( $entry['columns'], 'is_string' ) )
+                : [];
+
+            $rows = [];
+            foreach ( isset( $entry['rows'] ) && is_array( $entry['rows'] ) ? $entry['rows'] : [] as $filter ) {
+                if ( ! is_array( $filter ) || ! isset( $filter['column'], $filter['op'] ) || ! is_string( $filter['column'] ) || ! is_string( $filter['op'] ) ) {
+                    continue;
+                }
+
+                $rows[] = [
+                    'column' => $filter['column'],
+                    'op'     => $filter['op'],
+                    'value'  => isset( $filter['value'] ) && is_scalar( $filter['value'] ) ? (string) $filter['value'] : '',
+                ];
+
+                if ( count( $rows ) >= self::MAX_FILTERS ) {
+                    break;
+                }
+            }
+
+            if ( $mode === 'all' && empty( $rows ) ) {
+                continue;
+            }
+
+            $scope[ sanitize_text_field( $table ) ] = [
+                'mode'    => $mode,
+                'columns' => $columns,
+                'rows'    => $rows,
+            ];
+        }
+
+        return $scope;
+    }
+
+    /**
+     * Columns a run may touch in a table, and a WHERE fragment for the
+     * rows it may touch, after the user's scope and the guards.
+     *
+     * @param string $table Full table name.
+     * @param array  $meta  Metadata from get_table_meta().
+     * @param array  $scope Scope from read_scope().
+     * @return array{columns: string[], where: string, error: string}
+     */
+    private function scope_table( string $table, array $meta, array $scope ): array {
+        global $wpdb;
+
+        $columns    = $meta['text_columns'];
+        $conditions = [];
+        $entry      = $scope['tables'][ $table ] ?? null;
+
+        if ( $entry !== null ) {
+            if ( $entry['mode'] === 'include' ) {
+                $columns = array_values( array_intersect( $columns, $entry['columns'] ) );
+            } elseif ( $entry['mode'] === 'exclude' ) {
+                $columns = array_values( array_diff( $columns, $entry['columns'] ) );
+            }
+
+            foreach ( $entry['rows'] as $filter ) {
+                // Checked against SHOW COLUMNS, so safe to quote as an identifier.
+                if ( ! in_array( $filter['column'], $meta['columns'], true ) ) {
+                    return [
+                        'columns' => [],
+                        'where'   => '',
+                        /* translators: 1: column name, 2: table name */
+                        'error'   => sprintf( __( 'Unknown column "%1$s" in the row filter for %2$s.', 'wptransformed' ), $filter['column'], $table ),
+                    ];
+                }
+
+                if ( ! in_array( $filter['op'], self::FILTER_OPERATORS, true ) ) {
+                    return [
+                        'columns' => [],
+                        'where'   => '',
+                        /* translators: 1: comparison operator, 2: table name */
+                        'error'   => sprintf( __( 'Unknown comparison "%1$s" in the row filter for %2$s.', 'wptransformed' ), $filter['op'], $table ),
+                    ];
+                }
+
+                // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- column and operator are whitelisted.
+                $conditions[] = $wpdb->prepare( "`{$filter['column']}` {$filter['op']} %s", $filter['value'] );
+            }
+        }
+
+        $table_suffix = $this->table_suffix( $table );
+
+        foreach ( $this->get_guards() as $id => $guard ) {
+            if ( $guard['table'] !== $table_suffix || in_array( $id, $scope['allow'], true ) ) {
+                continue;
+            }
+
+            if ( isset( $guard['column'] ) ) {
+                $columns = array_values( array_diff( $columns, [ $guard['column'] ] ) );
+                continue;
+            }
+
+            $skip = [];
+            foreach ( $guard['values'] ?? [] as $value ) {
+                $skip[] = $wpdb->prepare( "`{$guard['key']}` = %s", $value );
+            }
+            foreach ( $guard['prefixes'] ?? [] as $prefix ) {
+                $skip[] = $wpdb->prepare( "`{$guard['key']}` LIKE %s", $wpdb->esc_like( $prefix ) . '%' );
+            }
+            $conditions[] = 'NOT (' . implode( ' OR ', $skip ) . ')';
+        }
+
+        return [
+            'columns' => $columns,
+            'where'   => implode( ' AND ', $conditions ),
+            'error'   => '',
+        ];
+    }
+
+    /**
+     * Narrow a match clause by a table's scope.
+     *
+     * @param string $match       Clause from build_pairs_where().
+     * @param string $scope_where Fragment from scope_table().
+     * @return string
+     */
+    private function scoped_where( string $match, string $scope_where ): string {
+        return $scope_where === '' ? $match : "({$match}) AND {$scope_where}";
+    }
+
+    // ── Diff Preview ──────────────────────────────────────────
+
+    /**
+     * Decode a serialized or JSON value the way safe_replace() would.
+     *
+     * @param string $data Raw value.
+     * @return array{0: string, 1: mixed}|null Format and decoded value, or null for plain text.
+     */
+    private function decode_structured( string $data ): ?array {
+        if ( is_serialized( $data ) ) {
+            $unserialized = @unserialize( $data );
+            if ( $unserialized !== false || $data === 'b:0;' ) {
+                return [ 'serialized', $unserialized ];
+            }
+        }
+
+        $decoded = json_decode( $data, true );
+        if ( json_last_error() === JSON_ERROR_NONE && is_array( $decoded ) ) {
+            return [ 'json', $decoded ];
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe what replace_pairs() would change in a value, one entry
+     * per changed string inside it, tagged with the pair that changes it.
+     *
+     * @param string                                        $data           Raw DB value.
+     * @param array<array{search: string, replace: string}> $pairs          Pairs in order.
+     * @param bool                                          $case_sensitive Case-sensitive matching.
+     * @param bool                                          $regex          Regex mode.
+     * @return array{format: string, changes: array, more: int}
+     */
+    private function diff_value( string $data, array $pairs, bool $case_sensitive, bool $regex ): array {
+        $decoded = $this->decode_structured( $data );
+        $changes = [];
+
+        foreach ( $pairs as $index => $pair ) {
+            $found = [];
+            $this->diff_leaves( $data, '', $pair['search'], $pair['replace'], $case_sensitive, $regex, $found );
+
+            foreach ( $found as $change ) {
+                $changes[] = $change + [ 'pair' => $index ];
+            }
+
+            // The next pair diffs against what this one wrote, as in the run.
+            if ( ! empty( $found ) ) {
+                $data = $this->safe_replace( $data, $pair['search'], $pair['replace'], $case_sensitive, $regex );
+            }
+        }
+
+        return [
+            'format'  => $decoded !== null ? $decoded[0] : 'plain',
+            'changes' => array_slice( $changes, 0, self::DIFF_MAX_CHANGES ),
+            'more'    => max( 0, count( $changes ) - self::DIFF_MAX_CHANGES ),
+        ];
+    }
+
+    /**
+     * Walk a value like recursive_replace() does, collecting a change for
+     * every string (or array key) the replacement would alter.
+     *
+     * @param mixed  $data           Data to walk.
+     * @param string $path           Location inside the top-level value, e.g. "[0][url]".
+     * @param string $search         Search string.
+     * @param string $replace        Replacement string.
+     * @param bool   $case_sensitive Case-sensitive matching.
+     * @param bool   $regex          Regex mode.
+     * @param array  $changes        Collected changes.
+     */
+    private function diff_leaves( $data, string $path, string $search, string $replace, bool $case_sensitive, bool $regex, array &$changes ): void {
+        if ( is_string( $data ) ) {
+            $decoded = $this->decode_structured( $data );
+            if ( $decoded !== null ) {
+                $this->diff_leaves( $decoded[1], $path, $search, $replace, $case_sensitive, $regex, $changes );
+                return;
+            }
+
+            $segments = $this->diff_segments( $data, $search, $replace, $case_sensitive, $regex );
+            if ( ! empty( $segments ) ) {
+                $changes[] = [ 'path' => $path, 'key' => false, 'segments' => $segments ];
+            }
+            return;
+        }
+
+        if ( ! is_array( $data ) && ! is_object( $data ) ) {
+            return;
+        }
+
+        $values = is_object( $data ) ? get_object_vars( $data ) : $data;
+        foreach ( $values as $key => $value ) {
+            $child = $path . '[' . $key . ']';
+
+            // recursive_replace() renames array keys, but not object properties.
+            if ( is_array( $data ) && is_string( $key ) ) {
+                $segments = $this->diff_segments( $key, $search, $replace, $case_sensitive, $regex );
+                if ( ! empty( $segments ) ) {
+                    $changes[] = [ 'path' => $child, 'key' => true, 'segments' => $segments ];
+                }
+            }
+
+            $this->diff_leaves( $value, $child, $search, $replace, $case_sensitive, $regex, $changes );
+        }
+    }
+
+    /**
+     * Split a string into unchanged ("="), removed ("-") and inserted
+     * ("+") segments, with long unchanged runs cut down to context.
+     *
+     * @param string $text           Plain string.
+     * @param string $search         Search string.
+     * @param string $replace        Replacement string.
+     * @param bool   $case_sensitive Case-sensitive matching.
+     * @param bool   $regex          Regex mode.
+     * @return array<array{0: string, 1: string}> Empty when nothing changes.
+     */
+    private function diff_segments( string $text, string $search, string $replace, bool $case_sensitive, bool $regex ): array {
+        // string_replace() is the source of truth, e.g. it refuses /e patterns.
+        if ( $this->string_replace( $text, $search, $replace, $case_sensitive, $regex ) === $text ) {
+            return [];
+        }
+
+        $matches = [];
+        if ( $regex ) {
+            if ( @preg_match_all( $search, $text, $found, PREG_OFFSET_CAPTURE | PREG_SET_ORDER ) ) {
+                foreach ( $found as $match ) {
+                    // Per-match replacement; exact except for anchors and lookarounds.
+                    $matches[] = [ $match[0][1], strlen( $match[0][0] ), (string) @preg_replace( $search, $replace, $match[0][0] ) ];
+                }
+            }
+        } else {
+            $offset = 0;
+            while ( ( $pos = $case_sensitive ? strpos( $text, $search, $offset ) : stripos( $text, $search, $offset ) ) !== false ) {
+                $matches[] = [ $pos, strlen( $search ), $replace ];
+                $offset    = $pos + strlen( $search );
+            }
+        }
+
+        $segments = [];
+        $pos      = 0;
+        foreach ( $matches as $match ) {
+            $segments[] = [ '=', (string) substr( $text, $pos, $match[0] - $pos ) ];
+            $segments[] = [ '-', (string) substr( $text, $match[0], $match[1] ) ];
+            $segments[] = [ '+', $match[2] ];
+            $pos        = $match[0] + $match[1];
+        }
+        $segments[] = [ '=', (string) substr( $text, $pos ) ];
+
+        return $this->trim_context( $segments );
+    }
+
+    /**
+     * Shorten unchanged segments to DIFF_CONTEXT characters around each
+     * change and drop empty ones.
+     *
+     * @param array<array{0: string, 1: string}> $segments Diff segments.
+     * @return array<array{0: string, 1: string}>
+     */
+    private function trim_context( array $segments ): array {
+        $last = count( $segments ) - 1;
+        $out  = [];
+
+        foreach ( $segments as $i => $segment ) {
+            list( $type, $text ) = $segment;
+
+            if ( $type === '=' && mb_strlen( $text, 'UTF-8' ) > self::DIFF_CONTEXT * 2 ) {
+                $head = mb_substr( $text, 0, self::DIFF_CONTEXT, 'UTF-8' );
+                $tail = mb_substr( $text, -self::DIFF_CONTEXT, null, 'UTF-8' );
+
+                if ( $i === 0 ) {
+                    $text = '…' . $tail;
+                } elseif ( $i === $last ) {
+                    $text = $head . '…';
+                } else {
+                    $text = $head . ' … ' . $tail;
+                }
+            }
+
+            if ( $text !== '' || $type !== '=' ) {
+                $out[] = [ $type, $text ];
+            }
+        }
+
+        return $out;
+    }
+
     // ── Table Discovery ───────────────────────────────────────
 
     /**
@@ -373,7 +992,7 @@ class Search_Replace extends Module_Base {
      * Get column metadata for a table (cached per request to avoid duplicate SHOW COLUMNS queries).
      *
      * @param string $table Full table name.
-     * @return array{text_columns: string[], primary_key: string}
+     * @return array{text_columns: string[], columns: string[], primary_key: string}
      */
     private function get_table_meta( string $table ): array {
         static $cache = [];
@@ -382,7 +1001,7 @@ class Search_Replace extends Module_Base {
             return $cache[ $table ];
         }
 
-        $meta = [ 'text_columns' => [], 'primary_key' => '' ];
+        $meta = [ 'text_columns' => [], 'columns' => [], 'primary_key' => '' ];
 
         global $wpdb;
 
@@ -411,7 +1030,7 @@ class Search_Replace extends Module_Base {
         }
 
         $text_types   = [ 'char', 'varchar', 'text', 'tinytext', 'mediumtext', 'longtext' ];
-        $table_suffix = str_replace( $wpdb->prefix, '', $table );
+        $table_suffix = $this->table_suffix( $table );
 
         foreach ( $columns as $col ) {
             $field = $col['Field'] ?? '';
@@ -431,6 +1050,8 @@ class Search_Replace extends Module_Base {
                 continue;
             }
 
+            $meta['columns'][] = $field;
+
             // Only text-type columns.
             foreach ( $text_types as $text_type ) {
                 if ( strpos( $type, $text_type ) !== false ) {
@@ -485,6 +1106,40 @@ class Search_Replace extends Module_Base {
         wp_send_json_success( [ 'tables' => $tables ] );
     }
 
+    /**
+     * Columns of one table for the scope editor, and the guards that
+     * apply to it.
+     */
+    public function ajax_table_columns(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $table = isset( $_POST['table'] ) ? sanitize_text_field( wp_unslash( $_POST['table'] ) ) : '';
+        $meta  = $this->get_table_meta( $table );
+
+        if ( empty( $meta['columns'] ) ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid table.', 'wptransformed' ) ] );
+        }
+
+        $table_suffix = $this->table_suffix( $table );
+        $guards       = [];
+        foreach ( $this->get_guards() as $id => $guard ) {
+            if ( $guard['table'] === $table_suffix ) {
+                $guards[] = $id;
+            }
+        }
+
+        wp_send_json_success( [
+            'table'        => $table,
+            'text_columns' => $meta['text_columns'],
+            'columns'      => $meta['columns'],
+            'guards'       => $guards,
+        ] );
+    }
+
     // ── AJAX: Dry Run ─────────────────────────────────────────
 
     /**
@@ -497,24 +1152,23 @@ class Search_Replace extends Module_Base {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $search         = isset( $_POST['search'] ) ? wp_unslash( $_POST['search'] ) : '';
+        $pairs          = $this->read_pairs();
+        $scope          = $this->read_scope();
         $tables         = isset( $_POST['tables'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['tables'] ) ) : [];
         $case_sensitive = ! isset( $_POST['case_sensitive'] ) || $_POST['case_sensitive'] === '1';
         $regex          = isset( $_POST['regex'] ) && $_POST['regex'] === '1';
 
-        if ( $search === '' ) {
-            wp_send_json_error( [ 'message' => __( 'Search string cannot be empty.', 'wptransformed' ) ] );
-        }
-
-        // Validate regex if enabled.
-        if ( $regex && @preg_match( $search, '' ) === false ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid regular expression pattern.', 'wptransformed' ) ] );
+        $error = $this->pairs_error( $pairs, $regex );
+        if ( $error !== '' ) {
+            wp_send_json_error( [ 'message' => $error ] );
         }
 
         global $wpdb;
 
         $results     = [];
         $total_count = 0;
+        $pair_counts = array_fill( 0, count( $pairs ), 0 );
+        $last_pair   = count( $pairs ) - 1;
 
         $settings   = $this->get_settings();
         $batch_size = max( 1, min( 500, (int) $settings['max_batch_size'] ) );
@@ -525,15 +1179,20 @@ class Search_Replace extends Module_Base {
                 continue;
             }
 
-            $meta    = $this->get_table_meta( $table );
-            $columns = $meta['text_columns'];
+            $meta   = $this->get_table_meta( $table );
+            $scoped = $this->scope_table( $table, $meta, $scope );
+            if ( $scoped['error'] !== '' ) {
+                wp_send_json_error( [ 'message' => $scoped['error'] ] );
+            }
+
+            $columns = $scoped['columns'];
             $pk      = $meta['primary_key'];
 
             if ( empty( $columns ) || empty( $pk ) ) {
                 continue;
             }
 
-            $where = $this->build_match_where( $columns, $search, $regex );
+            $where = $this->scoped_where( $this->build_pairs_where( $columns, $pairs, $regex ), $scoped['where'] );
 
             // Count matching rows.
             // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
@@ -566,8 +1225,21 @@ class Search_Replace extends Module_Base {
                 foreach ( $rows as $row ) {
                     $last_pk = (int) ( $row[ $pk ] ?? 0 );
                     foreach ( $columns as $col ) {
-                        if ( isset( $row[ $col ] ) && $row[ $col ] !== '' ) {
-                            $table_count += $this->count_matches( $row[ $col ], $search, $case_sensitive, $regex );
+                        if ( ! isset( $row[ $col ] ) || $row[ $col ] === '' ) {
+                            continue;
+                        }
+
+                        // Count each pair against what the pairs before it left.
+                        $value = $row[ $col ];
+                        foreach ( $pairs as $i => $pair ) {
+                            $found = $this->count_matches( $value, $pair['search'], $case_sensitive, $regex );
+
+                            $pair_counts[ $i ] += $found;
+                            $table_count       += $found;
+
+                            if ( $found > 0 && $i < $last_pair ) {
+                                $value = $this->safe_replace( $value, $pair['search'], $pair['replace'], $case_sensitive, $regex );
+                            }
                         }
                     }
                 }
@@ -584,8 +1256,111 @@ class Search_Replace extends Module_Base {
         }
 
         wp_send_json_success( [
-            'results' => $results,
-            'total'   => $total_count,
+            'results' => $results,
+            'total'   => $total_count,
+            'pairs'   => $pair_counts,
+        ] );
+    }
+
+    // ── AJAX: Preview ─────────────────────────────────────────
+
+    /**
+     * One page of a table's matching rows with a before/after diff of
+     * every cell the run would change. Pages by primary key: the client
+     * passes the last key of the previous page as `after`.
+     */
+    public function ajax_preview(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $pairs          = $this->read_pairs();
+        $scope          = $this->read_scope();
+        $table          = isset( $_POST['table'] ) ? sanitize_text_field( wp_unslash( $_POST['table'] ) ) : '';
+        $after          = isset( $_POST['after'] ) ? (int) $_POST['after'] : 0;
+        $case_sensitive = ! isset( $_POST['case_sensitive'] ) || $_POST['case_sensitive'] === '1';
+        $regex          = isset( $_POST['regex'] ) && $_POST['regex'] === '1';
+
+        $error = $this->pairs_error( $pairs, $regex );
+        if ( $error !== '' ) {
+            wp_send_json_error( [ 'message' => $error ] );
+        }
+
+        global $wpdb;
+
+        if ( strpos( $table, $wpdb->prefix ) !== 0 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid table.', 'wptransformed' ) ] );
+        }
+
+        $meta   = $this->get_table_meta( $table );
+        $scoped = $this->scope_table( $table, $meta, $scope );
+        if ( $scoped['error'] !== '' ) {
+            wp_send_json_error( [ 'message' => $scoped['error'] ] );
+        }
+
+        $columns = $scoped['columns'];
+        $pk      = $meta['primary_key'];
+
+        if ( empty( $columns ) || empty( $pk ) ) {
+            wp_send_json_error( [ 'message' => __( 'This table has no primary key or text columns to preview.', 'wptransformed' ) ] );
+        }
+
+        $where    = $this->scoped_where( $this->build_pairs_where( $columns, $pairs, $regex ), $scoped['where'] );
+        $col_list = '`' . $pk . '`, `' . implode( '`, `', $columns ) . '`';
+
+        // One extra row tells whether another page follows.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT {$col_list} FROM `{$table}` WHERE `{$pk}` > %d AND ({$where}) ORDER BY `{$pk}` ASC LIMIT %d",
+                $after,
+                self::PREVIEW_PAGE_SIZE + 1
+            ),
+            ARRAY_A
+        );
+
+        if ( ! is_array( $rows ) ) {
+            $rows = [];
+        }
+
+        $has_more = count( $rows ) > self::PREVIEW_PAGE_SIZE;
+        $rows     = array_slice( $rows, 0, self::PREVIEW_PAGE_SIZE );
+        $last_id  = $after;
+        $preview  = [];
+
+        foreach ( $rows as $row ) {
+            $row_pk  = (int) ( $row[ $pk ] ?? 0 );
+            $last_id = $row_pk;
+            $cells   = [];
+
+            foreach ( $columns as $col ) {
+                $value = $row[ $col ] ?? '';
+                if ( $value === '' ) {
+                    continue;
+                }
+
+                $diff = $this->diff_value( $value, $pairs, $case_sensitive, $regex );
+                if ( ! empty( $diff['changes'] ) ) {
+                    $cells[] = array_merge( [ 'column' => $col ], $diff );
+                }
+            }
+
+            // LIKE matches case-insensitively; the run may still leave the row alone.
+            if ( ! empty( $cells ) ) {
+                $preview[] = [ 'id' => $row_pk, 'cells' => $cells ];
+            }
+        }
+
+        wp_send_json_success( [
+            'table'       => $table,
+            'primary_key' => $pk,
+            'columns'     => $columns,
+            'rows'        => $preview,
+            'per_page'    => self::PREVIEW_PAGE_SIZE,
+            'last_id'     => $last_id,
+            'has_more'    => $has_more,
         ] );
     }
 
@@ -602,24 +1377,31 @@ class Search_Replace extends Module_Base {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $search         = isset( $_POST['search'] ) ? wp_unslash( $_POST['search'] ) : '';
-        $replace        = isset( $_POST['replace'] ) ? wp_unslash( $_POST['replace'] ) : '';
+        $pairs          = $this->read_pairs();
+        $scope          = $this->read_scope();
         $table          = isset( $_POST['table'] ) ? sanitize_text_field( wp_unslash( $_POST['table'] ) ) : '';
         $run_id         = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
         $last_id        = isset( $_POST['last_id'] ) ? (int) $_POST['last_id'] : 0;
         $case_sensitive = ! isset( $_POST['case_sensitive'] ) || $_POST['case_sensitive'] === '1';
         $regex          = isset( $_POST['regex'] ) && $_POST['regex'] === '1';
+        $started_at     = current_time( 'mysql', true );
 
-        if ( $search === '' ) {
-            wp_send_json_error( [ 'message' => __( 'Search string cannot be empty.', 'wptransformed' ) ] );
-        }
+        // Rows and columns the user left out after reviewing the preview.
+        $exclude_rows    = isset( $_POST['exclude_rows'] ) ? array_filter( array_map( 'absint', explode( ',', sanitize_text_field( wp_unslash( $_POST['exclude_rows'] ) ) ) ) ) : [];
+        $exclude_columns = isset( $_POST['exclude_columns'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['exclude_columns'] ) ) : [];
 
-        if ( $search === $replace ) {
-            wp_send_json_error( [ 'message' => __( 'Search and replace strings are identical.', 'wptransformed' ) ] );
+        $error = $this->pairs_error( $pairs, $regex );
+        if ( $error !== '' ) {
+            wp_send_json_error( [ 'message' => $error ] );
         }
 
-        if ( $regex && @preg_match( $search, '' ) === false ) {
-            wp_send_json_error( [ 'message' => __( 'Invalid regular expression pattern.', 'wptransformed' ) ] );
+        // A pair that replaces a string with itself does nothing.
+        $pairs = array_values( array_filter( $pairs, function ( array $pair ): bool {
+            return $pair['search'] !== $pair['replace'];
+        } ) );
+
+        if ( empty( $pairs ) ) {
+            wp_send_json_error( [ 'message' => __( 'Search and replace strings are identical.', 'wptransformed' ) ] );
         }
 
         global $wpdb;
@@ -629,21 +1411,37 @@ class Search_Replace extends Module_Base {
             wp_send_json_error( [ 'message' => __( 'Invalid table.', 'wptransformed' ) ] );
         }
 
-        $meta    = $this->get_table_meta( $table );
-        $columns = $meta['text_columns'];
+        $meta   = $this->get_table_meta( $table );
+        $scoped = $this->scope_table( $table, $meta, $scope );
+        if ( $scoped['error'] !== '' ) {
+            wp_send_json_error( [ 'message' => $scoped['error'] ] );
+        }
+
+        $columns = array_values( array_diff( $scoped['columns'], $exclude_columns ) );
         $pk      = $meta['primary_key'];
 
         if ( empty( $columns ) || empty( $pk ) ) {
-            wp_send_json_success( [ 'done' => true, 'replaced' => 0 ] );
+            wp_send_json_success( [ 'done' => true, 'replaced' => 0, 'processed' => 0, 'last_id' => $last_id ] );
             return;
         }
 
+        // A batch retried after its response was lost must not be applied
+        // twice (e.g. "foo" → "foobar"), so skip ahead to the last cursor
+        // this run recorded for the table.
+        $cursor_key = $run_id !== '' ? 'wpt_sr_cursor_' . md5( $run_id . '|' . $table ) : '';
+        if ( $cursor_key !== '' ) {
+            $recorded = get_transient( $cursor_key );
+            if ( $recorded !== false && (int) $recorded > $last_id ) {
+                $last_id = (int) $recorded;
+            }
+        }
+
         $settings    = $this->get_settings();
         $batch_size  = max( 1, min( 500, (int) $settings['max_batch_size'] ) );
         $log_enabled = ! empty( $settings['log_replacements'] );
         $log_table   = $wpdb->prefix . 'wpt_replace_log';
 
-        $where = $this->build_match_where( $columns, $search, $regex );
+        $where = $this->scoped_where( $this->build_pairs_where( $columns, $pairs, $regex ), $scoped['where'] );
 
         $col_list = '`' . $pk . '`, `' . implode( '`, `', $columns ) . '`';
 
@@ -659,16 +1457,22 @@ class Search_Replace extends Module_Base {
         );
 
         if ( ! is_array( $rows ) || empty( $rows ) ) {
-            wp_send_json_success( [ 'done' => true, 'replaced' => 0, 'last_id' => $last_id ] );
+            wp_send_json_success( [ 'done' => true, 'replaced' => 0, 'processed' => 0, 'last_id' => $last_id ] );
             return;
         }
 
         $replaced_count = 0;
+        $rows_changed   = 0;
         $new_last_id    = $last_id;
 
         foreach ( $rows as $row ) {
             $row_pk      = (int) ( $row[ $pk ] ?? 0 );
             $new_last_id = $row_pk;
+            $row_changed = false;
+
+            if ( in_array( $row_pk, $exclude_rows, true ) ) {
+                continue;
+            }
 
             foreach ( $columns as $col ) {
                 $old_value = $row[ $col ] ?? '';
@@ -676,7 +1480,7 @@ class Search_Replace extends Module_Base {
                     continue;
                 }
 
-                $new_value = $this->safe_replace( $old_value, $search, $replace, $case_sensitive, $regex );
+                $new_value = $this->replace_pairs( $old_value, $pairs, $case_sensitive, $regex );
 
                 if ( $new_value === $old_value ) {
                     continue;
@@ -710,9 +1514,18 @@ class Search_Replace extends Module_Base {
                 );
 
                 $replaced_count++;
+                $row_changed = true;
+            }
+
+            if ( $row_changed ) {
+                $rows_changed++;
             }
         }
 
+        if ( $run_id !== '' ) {
+            $this->record_run( $run_id, $pairs, $table, $replaced_count, $rows_changed, $started_at );
+        }
+
         // Check if more rows remain.
         // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
         $remaining = (int) $wpdb->get_var(
@@ -724,22 +1537,31 @@ class Search_Replace extends Module_Base {
 
         $done = $remaining === 0;
 
+        // Kept after the last batch too, which a client may retry as well;
+        // the run ID is never reused, so the cursor just expires.
+        if ( $cursor_key !== '' ) {
+            set_transient( $cursor_key, $new_last_id, DAY_IN_SECONDS );
+        }
+
         // Flush cache when done with this table.
         if ( $done ) {
             wp_cache_flush();
         }
 
         wp_send_json_success( [
-            'done'     => $done,
-            'replaced' => $replaced_count,
-            'last_id'  => $new_last_id,
+            'done'      => $done,
+            'replaced'  => $replaced_count,
+            'processed' => count( $rows ),
+            'remaining' => $remaining,
+            'last_id'   => $new_last_id,
         ] );
     }
 
     // ── AJAX: Undo ────────────────────────────────────────────
 
     /**
-     * Rollback a previous search/replace run by run_id.
+     * Rollback a previous search/replace run by run_id, or only the
+     * logged changes listed in `entries` (comma-separated log IDs).
      */
     public function ajax_undo(): void {
         check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
@@ -748,7 +1570,8 @@ class Search_Replace extends Module_Base {
             wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
         }
 
-        $run_id = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
+        $run_id    = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
+        $entry_ids = isset( $_POST['entries'] ) ? array_filter( array_map( 'absint', explode( ',', sanitize_text_field( wp_unslash( $_POST['entries'] ) ) ) ) ) : [];
 
         if ( $run_id === '' ) {
             wp_send_json_error( [ 'message' => __( 'Run ID is required.', 'wptransformed' ) ] );
@@ -757,12 +1580,13 @@ class Search_Replace extends Module_Base {
         global $wpdb;
 
         $log_table = $wpdb->prefix . 'wpt_replace_log';
+        $only      = empty( $entry_ids ) ? '' : ' AND id IN (' . implode( ',', $entry_ids ) . ')';
 
-        // Get all log entries for this run, ordered newest first.
-        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+        // Get the run's log entries, ordered newest first.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
         $entries = $wpdb->get_results(
             $wpdb->prepare(
-                "SELECT * FROM `{$log_table}` WHERE run_id = %s ORDER BY id DESC",
+                "SELECT * FROM `{$log_table}` WHERE run_id = %s{$only} ORDER BY id DESC",
                 $run_id
             ),
             ARRAY_A
@@ -811,16 +1635,27 @@ class Search_Replace extends Module_Base {
             }
         }
 
-        // Delete log entries for this run.
+        // Delete the log entries just undone.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query( $wpdb->prepare( "DELETE FROM `{$log_table}` WHERE run_id = %s{$only}", $run_id ) );
+
         // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
-        $wpdb->delete( $log_table, [ 'run_id' => $run_id ], [ '%s' ] );
+        $wpdb->query( $wpdb->prepare(
+            "UPDATE `{$wpdb->prefix}wpt_replace_runs` SET undone = undone + %d WHERE run_id = %s",
+            count( $entries ),
+            $run_id
+        ) );
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $remaining = (int) $wpdb->get_var( $wpdb->prepare( "SELECT COUNT(*) FROM `{$log_table}` WHERE run_id = %s", $run_id ) );
 
         wp_cache_flush();
 
         wp_send_json_success( [
-            'restored' => $restored,
-            'errors'   => $errors,
-            'message'  => sprintf(
+            'restored'  => $restored,
+            'errors'    => $errors,
+            'remaining' => $remaining,
+            'message'   => sprintf(
                 /* translators: 1: restored count, 2: error count */
                 __( 'Undo complete: %1$d values restored, %2$d errors.', 'wptransformed' ),
                 $restored,
@@ -829,29 +1664,478 @@ class Search_Replace extends Module_Base {
         ] );
     }
 
-    // ── Settings UI ───────────────────────────────────────────
+    // ── Run History ───────────────────────────────────────────
 
-    public function render_settings(): void {
-        $settings = $this->get_settings();
+    /**
+     * Add a batch to its run's history record, creating the record on
+     * the run's first batch.
+     *
+     * @param string                                        $run_id       Run ID.
+     * @param array<array{search: string, replace: string}> $pairs        Pairs the run applies.
+     * @param string                                        $table        Table of this batch.
+     * @param int                                           $changes      Values changed by the batch.
+     * @param int                                           $rows_changed Rows changed by the batch.
+     * @param string                                        $started_at   When the batch started (UTC).
+     */
+    private function record_run( string $run_id, array $pairs, string $table, int $changes, int $rows_changed, string $started_at ): void {
+        global $wpdb;
 
+        $runs_table = $wpdb->prefix . 'wpt_replace_runs';
+
+        // On later batches only the counts, table list and finish time move.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query( $wpdb->prepare(
+            "INSERT INTO `{$runs_table}` (run_id, user_id, pairs, tables, changes, rows_changed, undone, started_at, finished_at)
+             VALUES (%s, %d, %s, %s, %d, %d, 0, %s, %s)
+             ON DUPLICATE KEY UPDATE
+                changes = changes + VALUES(changes),
+                rows_changed = rows_changed + VALUES(rows_changed),
+                tables = IF(FIND_IN_SET(VALUES(tables), tables), tables, CONCAT_WS(',', NULLIF(tables, ''), VALUES(tables))),
+                finished_at = VALUES(finished_at)",
+            $run_id,
+            get_current_user_id(),
+            wp_json_encode( $pairs ),
+            $table,
+            $changes,
+            $rows_changed,
+            $started_at,
+            current_time( 'mysql', true )
+        ) );
+    }
+
+    /**
+     * Logged changes of a run whose row a later run changed again.
+     * Undoing them would overwrite that later run's work.
+     *
+     * @param string $run_id Run ID.
+     * @return int
+     */
+    private function count_conflicts( string $run_id ): int {
         global $wpdb;
 
         $log_table = $wpdb->prefix . 'wpt_replace_log';
 
-        // Get recent runs for undo list.
-        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
-        $recent_runs = $wpdb->get_results(
-            "SELECT run_id, MIN(created_at) AS started_at, COUNT(*) AS changes
-             FROM `{$log_table}`
-             GROUP BY run_id
-             ORDER BY started_at DESC
-             LIMIT 20",
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        return (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(DISTINCT l.id) FROM `{$log_table}` l
+             INNER JOIN `{$log_table}` later
+                ON later.table_name = l.table_name AND later.row_id = l.row_id AND later.id > l.id AND later.run_id <> l.run_id
+             WHERE l.run_id = %s",
+            $run_id
+        ) );
+    }
+
+    /**
+     * Diff segments for a logged change: the common start and end of the
+     * old and new value, with what lies between them as the change.
+     *
+     * @param string $old Value before the run.
+     * @param string $new Value after the run.
+     * @return array<array{0: string, 1: string}>
+     */
+    private function log_segments( string $old, string $new ): array {
+        $old_len = strlen( $old );
+        $new_len = strlen( $new );
+        $max     = min( $old_len, $new_len );
+
+        $start = 0;
+        while ( $start < $max && $old[ $start ] === $new[ $start ] ) {
+            $start++;
+        }
+        // Back off to a character boundary so UTF-8 is not split.
+        while ( $start > 0 && $start < $old_len && ( ord( $old[ $start ] ) & 0xC0 ) === 0x80 ) {
+            $start--;
+        }
+
+        $end = 0;
+        while ( $end < $max - $start && $old[ $old_len - 1 - $end ] === $new[ $new_len - 1 - $end ] ) {
+            $end++;
+        }
+        while ( $end > 0 && ( ord( $old[ $old_len - $end ] ) & 0xC0 ) === 0x80 ) {
+            $end--;
+        }
+
+        $segments = [ [ '=', (string) substr( $old, 0, $start ) ] ];
+        foreach ( [ '-' => $old, '+' => $new ] as $type => $value ) {
+            $changed = (string) substr( $value, $start, strlen( $value ) - $start - $end );
+
+            // Scattered replacements make one long middle; keep its ends.
+            if ( mb_strlen( $changed, 'UTF-8' ) > self::DIFF_CONTEXT * 6 ) {
+                $changed = mb_substr( $changed, 0, self::DIFF_CONTEXT * 3, 'UTF-8' ) . ' … ' . mb_substr( $changed, -self::DIFF_CONTEXT * 3, null, 'UTF-8' );
+            }
+
+            if ( $changed !== '' ) {
+                $segments[] = [ $type, $changed ];
+            }
+        }
+        $segments[] = [ '=', (string) substr( $old, $old_len - $end ) ];
+
+        return $this->trim_context( $segments );
+    }
+
+    // ── AJAX: History ─────────────────────────────────────────
+
+    /**
+     * One page of past runs, newest first.
+     */
+    public function ajax_history(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $page = isset( $_POST['page'] ) ? max( 0, (int) $_POST['page'] ) : 0;
+
+        global $wpdb;
+
+        $runs_table = $wpdb->prefix . 'wpt_replace_runs';
+        $log_table  = $wpdb->prefix . 'wpt_replace_log';
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM `{$runs_table}`" );
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $runs = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT r.*, (SELECT COUNT(*) FROM `{$log_table}` l WHERE l.run_id = r.run_id) AS logged
+                 FROM `{$runs_table}` r
+                 ORDER BY r.started_at DESC
+                 LIMIT %d OFFSET %d",
+                self::HISTORY_PAGE_SIZE,
+                $page * self::HISTORY_PAGE_SIZE
+            ),
+            ARRAY_A
+        );
+
+        $format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+        $items  = [];
+
+        foreach ( is_array( $runs ) ? $runs : [] as $run ) {
+            $user   = (int) $run['user_id'] > 0 ? get_userdata( (int) $run['user_id'] ) : false;
+            $pairs  = json_decode( (string) $run['pairs'], true );
+            $logged = (int) $run['logged'];
+
+            $items[] = [
+                'run_id'    => $run['run_id'],
+                'date'      => get_date_from_gmt( $run['started_at'], $format ),
+                'duration'  => human_time_diff( strtotime( $run['started_at'] . ' UTC' ), strtotime( $run['finished_at'] . ' UTC' ) ),
+                'user'      => $user ? $user->display_name : __( 'Unknown', 'wptransformed' ),
+                'pairs'     => is_array( $pairs ) ? $pairs : [],
+                'tables'    => array_values( array_filter( explode( ',', (string) $run['tables'] ) ) ),
+                'changes'   => (int) $run['changes'],
+                'rows'      => (int) $run['rows_changed'],
+                'undone'    => (int) $run['undone'],
+                'logged'    => $logged,
+                'conflicts' => $logged > 0 ? $this->count_conflicts( $run['run_id'] ) : 0,
+            ];
+        }
+
+        wp_send_json_success( [
+            'runs'     => $items,
+            'page'     => $page,
+            'pages'    => (int) ceil( $total / self::HISTORY_PAGE_SIZE ),
+            'per_page' => self::HISTORY_PAGE_SIZE,
+        ] );
+    }
+
+    /**
+     * One page of a run's logged changes, oldest first. Pages by log ID:
+     * the client passes the last ID of the previous page as `after`.
+     */
+    public function ajax_run_entries(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $run_id = isset( $_POST['run_id'] ) ? sanitize_text_field( wp_unslash( $_POST['run_id'] ) ) : '';
+        $after  = isset( $_POST['after'] ) ? (int) $_POST['after'] : 0;
+
+        global $wpdb;
+
+        $log_table = $wpdb->prefix . 'wpt_replace_log';
+
+        // One extra row tells whether another page follows.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rows = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT id, table_name, column_name, row_id, old_value, new_value FROM `{$log_table}`
+                 WHERE run_id = %s AND id > %d
+                 ORDER BY id ASC
+                 LIMIT %d",
+                $run_id,
+                $after,
+                self::HISTORY_PAGE_SIZE + 1
+            ),
             ARRAY_A
         );
 
-        if ( ! is_array( $recent_runs ) ) {
-            $recent_runs = [];
+        if ( ! is_array( $rows ) ) {
+            $rows = [];
+        }
+
+        $has_more = count( $rows ) > self::HISTORY_PAGE_SIZE;
+        $rows     = array_slice( $rows, 0, self::HISTORY_PAGE_SIZE );
+
+        // Later runs that changed the same row again.
+        $later = [];
+        if ( ! empty( $rows ) ) {
+            $ids = implode( ',', array_map( 'intval', wp_list_pluck( $rows, 'id' ) ) );
+
+            // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+            $found = $wpdb->get_results(
+                "SELECT l.id, GROUP_CONCAT(DISTINCT later.run_id) AS runs FROM `{$log_table}` l
+                 INNER JOIN `{$log_table}` later
+                    ON later.table_name = l.table_name AND later.row_id = l.row_id AND later.id > l.id AND later.run_id <> l.run_id
+                 WHERE l.id IN ({$ids})
+                 GROUP BY l.id",
+                ARRAY_A
+            );
+
+            foreach ( is_array( $found ) ? $found : [] as $hit ) {
+                $later[ (int) $hit['id'] ] = explode( ',', $hit['runs'] );
+            }
+        }
+
+        $entries = [];
+        foreach ( $rows as $row ) {
+            $entries[] = [
+                'id'       => (int) $row['id'],
+                'table'    => $row['table_name'],
+                'column'   => $row['column_name'],
+                'row_id'   => (int) $row['row_id'],
+                'segments' => $this->log_segments( (string) $row['old_value'], (string) $row['new_value'] ),
+                'later'    => $later[ (int) $row['id'] ] ?? [],
+            ];
+        }
+
+        wp_send_json_success( [
+            'run_id'   => $run_id,
+            'entries'  => $entries,
+            'per_page' => self::HISTORY_PAGE_SIZE,
+            'last_id'  => empty( $rows ) ? $after : (int) end( $rows )['id'],
+            'has_more' => $has_more,
+        ] );
+    }
+
+    // ── Profiles ──────────────────────────────────────────────
+
+    /**
+     * Saved profiles, sorted by name.
+     *
+     * @return array<array{id: string, name: string, pairs: array, tables: string[], scope: array, allow_guards: string[], case_sensitive: bool, regex: bool, updated_at: string}>
+     */
+    private function get_profiles(): array {
+        $profiles = get_option( self::PROFILES_OPTION, [] );
+
+        return is_array( $profiles ) ? array_values( array_filter( $profiles, 'is_array' ) ) : [];
+    }
+
+    /**
+     * Tool URL that loads a profile and starts its dry run.
+     *
+     * @param string $id Profile ID.
+     * @return string
+     */
+    private function profile_url( string $id ): string {
+        return add_query_arg( [
+            'page'           => 'wptransformed',
+            'module'         => 'search-replace',
+            'wpt_sr_profile' => $id,
+        ], admin_url( 'admin.php' ) );
+    }
+
+    /**
+     * Create or update a profile. A profile saved under an existing
+     * name replaces it.
+     */
+    public function ajax_save_profile(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $id     = isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '';
+        $name   = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $pairs  = $this->read_pairs();
+        $scope  = $this->read_scope();
+        $tables = isset( $_POST['tables'] ) ? array_values( array_filter( array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['tables'] ) ) ) ) : [];
+
+        if ( $name === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Profile name is required.', 'wptransformed' ) ] );
+        }
+
+        if ( empty( $pairs ) ) {
+            wp_send_json_error( [ 'message' => __( 'Search string cannot be empty.', 'wptransformed' ) ] );
+        }
+
+        $profiles = $this->get_profiles();
+        $index    = null;
+        foreach ( $profiles as $i => $existing ) {
+            if ( ( $id !== '' && $existing['id'] === $id ) || strcasecmp( $existing['name'], $name ) === 0 ) {
+                $index = $i;
+                break;
+            }
+        }
+
+        if ( $index === null && count( $profiles ) >= self::MAX_PROFILES ) {
+            wp_send_json_error( [ 'message' => __( 'Too many profiles. Delete one first.', 'wptransformed' ) ] );
+        }
+
+        $profile = [
+            'id'             => $index !== null ? $profiles[ $index ]['id'] : wp_generate_uuid4(),
+            'name'           => $name,
+            'pairs'          => $pairs,
+            'tables'         => $tables,
+            'scope'          => $scope['tables'],
+            'allow_guards'   => $scope['allow'],
+            'case_sensitive' => ! isset( $_POST['case_sensitive'] ) || $_POST['case_sensitive'] === '1',
+            'regex'          => isset( $_POST['regex'] ) && $_POST['regex'] === '1',
+            'updated_at'     => current_time( 'mysql', true ),
+        ];
+
+        if ( $index !== null ) {
+            $profiles[ $index ] = $profile;
+        } else {
+            $profiles[] = $profile;
+        }
+
+        usort( $profiles, function ( array $a, array $b ): int {
+            return strcasecmp( $a['name'], $b['name'] );
+        } );
+
+        update_option( self::PROFILES_OPTION, $profiles, false );
+
+        wp_send_json_success( [ 'profile' => $profile, 'profiles' => $profiles ] );
+    }
+
+    /**
+     * Delete a profile.
+     */
+    public function ajax_delete_profile(): void {
+        check_ajax_referer( 'wpt_search_replace_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ] );
+        }
+
+        $id       = isset( $_POST['id'] ) ? sanitize_key( wp_unslash( $_POST['id'] ) ) : '';
+        $profiles = array_values( array_filter( $this->get_profiles(), function ( array $profile ) use ( $id ): bool {
+            return $profile['id'] !== $id;
+        } ) );
+
+        update_option( self::PROFILES_OPTION, $profiles, false );
+
+        wp_send_json_success( [ 'profiles' => $profiles ] );
+    }
+
+    /**
+     * After the site address changes -- typically a database pushed from
+     * staging -- offer to run a saved profile until someone dismisses it.
+     */
+    public function maybe_show_home_notice(): void {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            return;
+        }
+
+        $home     = untrailingslashit( home_url() );
+        $known    = (string) get_option( self::KNOWN_HOME_OPTION, '' );
+        $profiles = $this->get_profiles();
+
+        if ( $known === $home ) {
+            return;
+        }
+
+        // First visit, or nothing to offer: just remember the address.
+        if ( $known === '' || empty( $profiles ) ) {
+            update_option( self::KNOWN_HOME_OPTION, $home, false );
+            return;
+        }
+
+        $links = [];
+        foreach ( $profiles as $profile ) {
+            $links[] = sprintf( '<a href="%s">%s</a>', esc_url( $this->profile_url( $profile['id'] ) ), esc_html( $profile['name'] ) );
+        }
+
+        printf(
+            '<div class="notice notice-info"><p><strong>%s</strong> %s</p><p>%s %s</p><p><a href="%s">%s</a></p></div>',
+            esc_html__( 'WPTransformed Search & Replace:', 'wptransformed' ),
+            esc_html( sprintf(
+                /* translators: 1: previous home URL, 2: current home URL */
+                __( 'The site address changed from %1$s to %2$s, for example after a push from staging.', 'wptransformed' ),
+                $known,
+                $home
+            ) ),
+            esc_html__( 'Run a saved profile:', 'wptransformed' ),
+            implode( ' &middot; ', $links ), // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped above.
+            esc_url( wp_nonce_url( admin_url( 'admin.php?action=wpt_sr_dismiss_home' ), 'wpt_sr_dismiss_home' ) ),
+            esc_html__( 'Dismiss, the database is up to date', 'wptransformed' )
+        );
+    }
+
+    /**
+     * Record the current site address so the notice goes away.
+     */
+    public function handle_dismiss_home(): void {
+        check_admin_referer( 'wpt_sr_dismiss_home' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_die( esc_html__( 'Permission denied.', 'wptransformed' ) );
+        }
+
+        update_option( self::KNOWN_HOME_OPTION, untrailingslashit( home_url() ), false );
+
+        wp_safe_redirect( wp_get_referer() ?: admin_url() );
+        exit;
+    }
+
+    // ── Command Palette ───────────────────────────────────────
+
+    /**
+     * Contribute a "Search & Replace" group with a command per profile.
+     *
+     * @param array $providers Providers keyed by ID.
+     * @return array
+     */
+    public function register_palette_provider( array $providers ): array {
+        $commands = [
+            [
+                'title'       => __( 'Search & Replace', 'wptransformed' ),
+                'description' => __( 'Open the database search & replace tool', 'wptransformed' ),
+                'url'         => admin_url( 'admin.php?page=wptransformed&module=search-replace' ),
+            ],
+        ];
+
+        foreach ( $this->get_profiles() as $profile ) {
+            $commands[] = [
+                /* translators: %s: profile name */
+                'title'       => sprintf( __( 'Run Search & Replace Profile: %s', 'wptransformed' ), $profile['name'] ),
+                'description' => sprintf(
+                    /* translators: %d: number of search/replace pairs */
+                    _n( '%d pair · loads the profile and starts a dry run', '%d pairs · loads the profile and starts a dry run', count( $profile['pairs'] ), 'wptransformed' ),
+                    count( $profile['pairs'] )
+                ),
+                'icon'        => 'dashicons-controls-play',
+                'url'         => $this->profile_url( $profile['id'] ),
+            ];
         }
+
+        $providers['search-replace'] = [
+            'label'    => __( 'Search & Replace', 'wptransformed' ),
+            'icon'     => 'dashicons-search',
+            'commands' => $commands,
+        ];
+
+        return $providers;
+    }
+
+    // ── Settings UI ───────────────────────────────────────────
+
+    public function render_settings(): void {
+        $settings = $this->get_settings();
         ?>
 
         <!-- Settings -->
@@ -909,20 +2193,50 @@ class Search_Replace extends Module_Base {
             <table class="form-table" role="presentation">
                 <tr>
                     <th scope="row">
-                        <label for="wpt-sr-search"><?php esc_html_e( 'Search For', 'wptransformed' ); ?></label>
+                        <label for="wpt-sr-profile"><?php esc_html_e( 'Profile', 'wptransformed' ); ?></label>
                     </th>
                     <td>
-                        <input type="text" id="wpt-sr-search" class="large-text"
-                               placeholder="<?php esc_attr_e( 'e.g., http://old-domain.com', 'wptransformed' ); ?>">
+                        <select id="wpt-sr-profile">
+                            <option value=""><?php esc_html_e( '— None —', 'wptransformed' ); ?></option>
+                        </select>
+                        <button type="button" class="button" id="wpt-sr-profile-save">
+                            <?php esc_html_e( 'Save as Profile…', 'wptransformed' ); ?>
+                        </button>
+                        <button type="button" class="button button-link-delete" id="wpt-sr-profile-delete" disabled>
+                            <?php esc_html_e( 'Delete', 'wptransformed' ); ?>
+                        </button>
+                        <p class="description">
+                            <?php esc_html_e( 'A profile keeps the pairs, tables, scope and options below so a migration can be repeated, also from the command palette.', 'wptransformed' ); ?>
+                        </p>
                     </td>
                 </tr>
                 <tr>
                     <th scope="row">
-                        <label for="wpt-sr-replace"><?php esc_html_e( 'Replace With', 'wptransformed' ); ?></label>
+                        <label for="wpt-sr-search"><?php esc_html_e( 'Search For → Replace With', 'wptransformed' ); ?></label>
                     </th>
                     <td>
-                        <input type="text" id="wpt-sr-replace" class="large-text"
-                               placeholder="<?php esc_attr_e( 'e.g., https://new-domain.com', 'wptransformed' ); ?>">
+                        <div id="wpt-sr-pairs">
+                            <div class="wpt-sr-pair">
+                                <input type="text" id="wpt-sr-search" class="wpt-sr-pair-search"
+                                       aria-label="<?php esc_attr_e( 'Search For', 'wptransformed' ); ?>"
+                                       placeholder="<?php esc_attr_e( 'e.g., http://old-domain.com', 'wptransformed' ); ?>">
+                                <span class="wpt-sr-pair-arrow" aria-hidden="true">&rarr;</span>
+                                <input type="text" id="wpt-sr-replace" class="wpt-sr-pair-replace"
+                                       aria-label="<?php esc_attr_e( 'Replace With', 'wptransformed' ); ?>"
+                                       placeholder="<?php esc_attr_e( 'e.g., https://new-domain.com', 'wptransformed' ); ?>">
+                                <button type="button" class="button button-small wpt-sr-pair-up" aria-label="<?php esc_attr_e( 'Move up', 'wptransformed' ); ?>">&uarr;</button>
+                                <button type="button" class="button button-small wpt-sr-pair-down" aria-label="<?php esc_attr_e( 'Move down', 'wptransformed' ); ?>">&darr;</button>
+                                <button type="button" class="button button-small wpt-sr-pair-remove" aria-label="<?php esc_attr_e( 'Remove pair', 'wptransformed' ); ?>">&times;</button>
+                            </div>
+                        </div>
+                        <p>
+                            <button type="button" class="button button-small" id="wpt-sr-add-pair">
+                                <?php esc_html_e( 'Add Pair', 'wptransformed' ); ?>
+                            </button>
+                        </p>
+                        <p class="description">
+                            <?php esc_html_e( 'Pairs run top to bottom on every value, each on the result of the pair before it.', 'wptransformed' ); ?>
+                        </p>
                     </td>
                 </tr>
                 <tr>
@@ -939,6 +2253,27 @@ class Search_Replace extends Module_Base {
                                 <?php esc_html_e( 'Deselect All', 'wptransformed' ); ?>
                             </button>
                         </p>
+                        <p class="description">
+                            <?php esc_html_e( 'Use Scope on a table to limit which of its columns and rows are changed.', 'wptransformed' ); ?>
+                        </p>
+                        <div id="wpt-sr-scope" hidden></div>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Protected Data', 'wptransformed' ); ?></th>
+                    <td>
+                        <?php foreach ( $this->get_guards() as $guard_id => $guard ) : ?>
+                        <label style="display: block; margin-bottom: 6px;">
+                            <input type="checkbox" class="wpt-sr-guard-cb" value="<?php echo esc_attr( $guard_id ); ?>">
+                            <?php
+                            /* translators: %s: description of the protected data */
+                            echo esc_html( sprintf( __( 'Also change %s', 'wptransformed' ), $guard['label'] ) );
+                            ?>
+                        </label>
+                        <?php endforeach; ?>
+                        <p class="description">
+                            <?php esc_html_e( 'Skipped unless ticked: rewriting these breaks feed readers, logins or cached data. Password hashes are never changed.', 'wptransformed' ); ?>
+                        </p>
                     </td>
                 </tr>
                 <tr>
@@ -978,36 +2313,15 @@ class Search_Replace extends Module_Base {
             <div id="wpt-sr-results" style="display: none;"></div>
         </div>
 
-        <!-- Undo History -->
-        <?php if ( ! empty( $recent_runs ) ) : ?>
+        <!-- Run History -->
         <hr>
-        <h3><?php esc_html_e( 'Undo History', 'wptransformed' ); ?></h3>
-        <table class="widefat striped" id="wpt-sr-undo-table">
-            <thead>
-                <tr>
-                    <th><?php esc_html_e( 'Run ID', 'wptransformed' ); ?></th>
-                    <th><?php esc_html_e( 'Date', 'wptransformed' ); ?></th>
-                    <th><?php esc_html_e( 'Changes', 'wptransformed' ); ?></th>
-                    <th><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
-                </tr>
-            </thead>
-            <tbody>
-                <?php foreach ( $recent_runs as $run ) : ?>
-                <tr data-run-id="<?php echo esc_attr( $run['run_id'] ); ?>">
-                    <td><code><?php echo esc_html( substr( $run['run_id'], 0, 8 ) ); ?></code></td>
-                    <td><?php echo esc_html( $run['started_at'] ); ?></td>
-                    <td><?php echo esc_html( (string) $run['changes'] ); ?></td>
-                    <td>
-                        <button type="button" class="button button-small wpt-sr-undo-btn"
-                                data-run-id="<?php echo esc_attr( $run['run_id'] ); ?>">
-                            <?php esc_html_e( 'Undo', 'wptransformed' ); ?>
-                        </button>
-                    </td>
-                </tr>
-                <?php endforeach; ?>
-            </tbody>
-        </table>
-        <?php endif; ?>
+        <h3><?php esc_html_e( 'Run History', 'wptransformed' ); ?></h3>
+        <p class="description">
+            <?php esc_html_e( 'Inspect the changes of any past run and undo all of them or only the ones you pick. Runs made with logging turned off are listed but cannot be undone.', 'wptransformed' ); ?>
+        </p>
+        <div id="wpt-sr-history">
+            <p class="description"><?php esc_html_e( 'Loading history...', 'wptransformed' ); ?></p>
+        </div>
 
         <?php
     }
@@ -1049,7 +2363,7 @@ class Search_Replace extends Module_Base {
         wp_enqueue_script(
             'wpt-search-replace',
             WPT_URL . 'modules/utilities/js/search-replace.js',
-            [],
+            [ 'wpt-api', 'wpt-jobs' ],
             WPT_VERSION,
             true
         );
@@ -1058,6 +2372,10 @@ class Search_Replace extends Module_Base {
             'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
             'nonce'          => wp_create_nonce( 'wpt_search_replace_nonce' ),
             'backupReminder' => ! empty( $this->get_settings()['backup_reminder'] ),
+            'profiles'       => $this->get_profiles(),
+            'guards'         => wp_list_pluck( $this->get_guards(), 'label' ),
+            // Set when opened from the palette or the site address notice.
+            'autoProfile'    => isset( $_GET['wpt_sr_profile'] ) ? sanitize_key( wp_unslash( $_GET['wpt_sr_profile'] ) ) : '', // phpcs:ignore WordPress.Security.NonceVerification.Recommended
             'i18n'           => [
                 'networkError'        => __( 'Network error. Please try again.', 'wptransformed' ),
                 'searchRequired'      => __( 'Please enter a search string.', 'wptransformed' ),
@@ -1073,9 +2391,84 @@ class Search_Replace extends Module_Base {
                 'matchesFound'        => __( '%d match(es) found across %d table(s).', 'wptransformed' ),
                 'replaced'            => __( '%d replacement(s) made.', 'wptransformed' ),
                 'processingTable'     => __( 'Processing table: %s', 'wptransformed' ),
+                /* translators: 1: table name, 2: table number, 3: table count, 4: replacements so far */
+                'processingProgress'  => __( 'Processing %s (table %d of %d) — %d replacement(s) so far', 'wptransformed' ),
+                'cancelled'           => __( 'Search & replace cancelled. Changes already made are kept and can be undone from the history below.', 'wptransformed' ),
                 'loadingTables'       => __( 'Loading tables...', 'wptransformed' ),
                 'selectAll'           => __( 'Select All', 'wptransformed' ),
                 'deselectAll'         => __( 'Deselect All', 'wptransformed' ),
+                'reviewChanges'       => __( 'Review changes', 'wptransformed' ),
+                'hideChanges'         => __( 'Hide changes', 'wptransformed' ),
+                'loadingPreview'      => __( 'Loading matching rows...', 'wptransformed' ),
+                'noPreviewRows'       => __( 'No values on this page would change.', 'wptransformed' ),
+                'columnsLabel'        => __( 'Columns:', 'wptransformed' ),
+                'includeRow'          => __( 'Include', 'wptransformed' ),
+                'keyChange'           => __( 'array key', 'wptransformed' ),
+                /* translators: %d: number of further changes in the same cell */
+                'moreChanges'         => __( '…and %d more change(s) in this value.', 'wptransformed' ),
+                'previousPage'        => __( 'Previous', 'wptransformed' ),
+                'nextPage'            => __( 'Next', 'wptransformed' ),
+                /* translators: 1: current page, 2: page count */
+                'pageOf'              => __( 'Page %d of %d', 'wptransformed' ),
+                /* translators: 1: excluded row count, 2: excluded column count */
+                'excludedSummary'     => __( 'Left out of the run: %d row(s), %d column(s).', 'wptransformed' ),
+                /* translators: %d: pair number */
+                'pairLabel'           => __( 'Pair %d', 'wptransformed' ),
+                /* translators: 1: search string, 2: replacement, 3: match count */
+                'pairTotal'           => __( '%s → %s: %d match(es)', 'wptransformed' ),
+                'profileName'         => __( 'Profile name:', 'wptransformed' ),
+                /* translators: %s: profile name */
+                'profileSaved'        => __( 'Profile "%s" saved.', 'wptransformed' ),
+                /* translators: %s: profile name */
+                'confirmDelete'       => __( 'Delete the profile "%s"?', 'wptransformed' ),
+                'profileNotFound'     => __( 'That search & replace profile no longer exists.', 'wptransformed' ),
+                /* translators: %s: comma-separated table names */
+                'missingTables'       => __( 'Tables in the profile that this site does not have: %s', 'wptransformed' ),
+                'scopeButton'         => __( 'Scope', 'wptransformed' ),
+                /* translators: %s: table name */
+                'scopeTitle'          => __( 'Scope for %s', 'wptransformed' ),
+                'loadingColumns'      => __( 'Loading columns...', 'wptransformed' ),
+                'allColumns'          => __( 'All text columns', 'wptransformed' ),
+                'onlyColumns'         => __( 'Only the ticked columns', 'wptransformed' ),
+                'exceptColumns'       => __( 'All text columns except the ticked ones', 'wptransformed' ),
+                'rowFilters'          => __( 'Only rows where all of these hold:', 'wptransformed' ),
+                'noRowFilters'        => __( 'No row conditions: every matching row is included.', 'wptransformed' ),
+                'addFilter'           => __( 'Add Condition', 'wptransformed' ),
+                'removeFilter'        => __( 'Remove condition', 'wptransformed' ),
+                'filterValue'         => __( 'Value (LIKE wildcards allowed)', 'wptransformed' ),
+                'clearScope'          => __( 'Clear Scope', 'wptransformed' ),
+                'closeScope'          => __( 'Done', 'wptransformed' ),
+                /* translators: %s: comma-separated protected data labels */
+                'guardedHere'         => __( 'Skipped here unless allowed under Protected Data: %s', 'wptransformed' ),
+                'noHistory'           => __( 'No search & replace runs yet.', 'wptransformed' ),
+                'colDate'             => __( 'Date', 'wptransformed' ),
+                'colUser'             => __( 'User', 'wptransformed' ),
+                'colPairs'            => __( 'Pairs', 'wptransformed' ),
+                'colTables'           => __( 'Tables', 'wptransformed' ),
+                'colChanged'          => __( 'Changed', 'wptransformed' ),
+                /* translators: %s: run duration, e.g. "2 mins" */
+                'tookDuration'        => __( 'took %s', 'wptransformed' ),
+                /* translators: 1: changed values, 2: changed rows */
+                'changedSummary'      => __( '%d value(s) in %d row(s)', 'wptransformed' ),
+                'unknownPairs'        => __( 'Not recorded', 'wptransformed' ),
+                'notLogged'           => __( 'Not logged, cannot be undone.', 'wptransformed' ),
+                'statusUndone'        => __( 'Undone', 'wptransformed' ),
+                /* translators: %d: undone change count */
+                'statusPartial'       => __( '%d change(s) undone', 'wptransformed' ),
+                /* translators: %d: change count */
+                'conflictWarning'     => __( '%d change(s) are in rows a later run changed again.', 'wptransformed' ),
+                'inspect'             => __( 'Inspect', 'wptransformed' ),
+                'hideInspect'         => __( 'Hide', 'wptransformed' ),
+                'undoRun'             => __( 'Undo Run', 'wptransformed' ),
+                /* translators: %d: selected change count */
+                'undoSelected'        => __( 'Undo Selected (%d)', 'wptransformed' ),
+                'selectPage'          => __( 'Select all on this page', 'wptransformed' ),
+                'loadingEntries'      => __( 'Loading changes...', 'wptransformed' ),
+                /* translators: %s: comma-separated short run IDs */
+                'laterRun'            => __( 'Changed again by run %s', 'wptransformed' ),
+                /* translators: %d: selected change count */
+                'confirmUndoSelected' => __( 'Undo %d selected change(s)? The values from before the run are restored.', 'wptransformed' ),
+                'confirmUndoConflict' => __( 'A later run changed some of the same rows. Undoing restores the values from before this run and overwrites those later changes. Continue?', 'wptransformed' ),
             ],
         ] );
     }
@@ -1087,7 +2480,10 @@ class Search_Replace extends Module_Base {
 
         return [
             'drop_table:' . $wpdb->prefix . 'wpt_replace_log',
+            'drop_table:' . $wpdb->prefix . 'wpt_replace_runs',
             'delete_option:' . self::DB_VERSION_KEY,
+            'delete_option:' . self::PROFILES_OPTION,
+            'delete_option:' . self::KNOWN_HOME_OPTION,
         ];
     }
 }
@@ -0,0 +1,1703 @@
+<?php
+declare(strict_types=1);
+
+namespace WPTransformed\Modules\Utilities;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+use WPTransformed\Core\Event_Context;
+use WPTransformed\Core\Merge_Tags;
+use WPTransformed\Modules\Module_Base;
+
+/**
+ * Webhook Manager -- POST event data to external URLs when something
+ * happens on the site.
+ *
+ * Features:
+ *  - Webhooks stored in a custom table: name, URL, events, headers
+ *  - A webhook subscribes to several events, each optionally narrowed
+ *    by post type, user role or taxonomy terms; `event` keeps the first
+ *  - Grouped event catalog with a description and a sample payload built
+ *    from recent content by the same code as live payloads
+ *  - Bodies in one of FORMATS: the event's merge-tag context (site,
+ *    trigger and the post, user or comment as Event_Context describes
+ *    it) as JSON or form fields, a Slack/Discord/Teams message, or a
+ *    custom template; messages, templates and headers take {{merge.tags}},
+ *    rendered as the form's preview renders them
+ *  - Bearer or basic auth, and HMAC-SHA256 signing of
+ *    "<timestamp>.<body>" in X-WPT-Signature with X-WPT-Timestamp
+ *  - Tokens, passwords and signing secrets are stored encrypted and
+ *    never sent back to the browser
+ *  - Every send -- real event, test or replay -- is recorded as a
+ *    delivery with its request, response code, response excerpt and
+ *    latency, keeping the newest DELIVERY_LIMIT per webhook
+ *  - Events queue their deliveries and send them from cron, so a slow
+ *    receiver never holds up the save, login or comment that fired them
+ *  - Non-2xx answers are retried from cron with exponential backoff,
+ *    up to MAX_ATTEMPTS; each attempt is its own delivery
+ *  - Retries and replays rebuild the request from the recorded context
+ *    with the webhook's current settings
+ *  - Admin UI with delivery log (js/webhook-manager.js)
+ *
+ * @package WPTransformed
+ */
+class Webhook_Manager extends Module_Base {
+
+    /**
+     * Webhooks table, without the site prefix.
+     */
+    private const WEBHOOKS_TABLE = 'wpt_webhooks';
+
+    /**
+     * Deliveries table, without the site prefix.
+     */
+    private const DELIVERIES_TABLE = 'wpt_webhook_deliveries';
+
+    /**
+     * Option holding the installed schema version.
+     */
+    private const DB_VERSION_KEY = 'wpt_webhook_manager_db_version';
+
+    /**
+     * Current schema version.
+     */
+    private const DB_VERSION = '1.2';
+
+    /**
+     * Transient caching the active webhooks.
+     */
+    private const CACHE_KEY = 'wpt_webhooks_active_cache';
+
+    /**
+     * Cron hook that sends a queued delivery or a retry; its single
+     * argument is the queued or failed delivery's ID.
+     */
+    private const RETRY_HOOK = 'wpt_webhook_retry';
+
+    /**
+     * Sends per event, counting the first.
+     */
+    private const MAX_ATTEMPTS = 5;
+
+    /**
+     * Seconds before the first retry; each later one waits twice as long.
+     */
+    private const RETRY_BASE = MINUTE_IN_SECONDS;
+
+    /**
+     * Seconds to wait for the receiver.
+     */
+    private const DELIVERY_TIMEOUT = 5;
+
+    /**
+     * Deliveries kept per webhook.
+     */
+    private const DELIVERY_LIMIT = 200;
+
+    /**
+     * Deliveries per page of the log.
+     */
+    private const DELIVERIES_PER_PAGE = 20;
+
+    /**
+     * Bytes of the response body kept with a delivery.
+     */
+    private const RESPONSE_EXCERPT = 2000;
+
+    /**
+     * Body formats. Chat formats wrap the rendered message; json and form
+     * send the event context as is.
+     */
+    private const FORMATS = [ 'json', 'form', 'slack', 'discord', 'teams', 'custom' ];
+
+    /**
+     * Content types a custom template can be sent as; the first is the default.
+     */
+    private const CONTENT_TYPES = [ 'application/json', 'application/x-www-form-urlencoded', 'text/plain', 'application/xml' ];
+
+    /**
+     * Authentication schemes.
+     */
+    private const AUTH_TYPES = [ 'none', 'bearer', 'basic' ];
+
+    /**
+     * Message sent by chat formats when none is saved.
+     */
+    private const DEFAULT_MESSAGE = '{{trigger.hook}} on {{site.name}}';
+
+    /**
+     * Shortest signing secret accepted.
+     */
+    private const MIN_SECRET_LENGTH = 16;
+
+    /**
+     * Events a webhook can listen to and how many arguments each passes.
+     */
+    private const EVENTS = [
+        'publish_post'       => 2,
+        'save_post'          => 3,
+        'wp_trash_post'      => 1,
+        'comment_post'       => 2,
+        'user_register'      => 1,
+        'profile_update'     => 1,
+        'wp_login'           => 2,
+        'set_user_role'      => 3,
+        'delete_user'        => 1,
+        'activated_plugin'   => 1,
+        'deactivated_plugin' => 1,
+        'switch_theme'       => 1,
+    ];
+
+    // ── Identity ──────────────────────────────────────────────
+
+    public function get_id(): string {
+        return 'webhook-manager';
+    }
+
+    public function get_title(): string {
+        return __( 'Webhook Manager', 'wptransformed' );
+    }
+
+    public function get_category(): string {
+        return 'utilities';
+    }
+
+    public function get_description(): string {
+        return __( 'Send webhook notifications to external services on WordPress events, with a delivery log, retries and replay.', 'wptransformed' );
+    }
+
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'webhook, zapier, http, post, callback, integration, notify', 'wptransformed' ) ) );
+    }
+
+    // ── Lifecycle ─────────────────────────────────────────────
+
+    public function init(): void {
+        $this->maybe_create_tables();
+
+        // Only events some active webhook listens to.
+        $hooks = array_unique( array_merge( [], ...array_map( [ $this, 'webhook_events' ], $this->get_active_webhooks() ) ) );
+
+        foreach ( $hooks as $hook ) {
+            if ( isset( self::EVENTS[ $hook ] ) ) {
+                add_action(
+                    $hook,
+                    function ( ...$args ) use ( $hook ) {
+                        $this->handle_event( $hook, $args );
+                    },
+                    20,
+                    self::EVENTS[ $hook ]
+                );
+            }
+        }
+
+        add_action( self::RETRY_HOOK, [ $this, 'retry_delivery' ] );
+
+        // AJAX handlers.
+        add_action( 'wp_ajax_wpt_webhook_list',       [ $this, 'ajax_list' ] );
+        add_action( 'wp_ajax_wpt_webhook_save',       [ $this, 'ajax_save' ] );
+        add_action( 'wp_ajax_wpt_webhook_toggle',     [ $this, 'ajax_toggle' ] );
+        add_action( 'wp_ajax_wpt_webhook_delete',     [ $this, 'ajax_delete' ] );
+        add_action( 'wp_ajax_wpt_webhook_test',       [ $this, 'ajax_test' ] );
+        add_action( 'wp_ajax_wpt_webhook_deliveries', [ $this, 'ajax_deliveries' ] );
+        add_action( 'wp_ajax_wpt_webhook_delivery',   [ $this, 'ajax_delivery' ] );
+        add_action( 'wp_ajax_wpt_webhook_replay',     [ $this, 'ajax_replay' ] );
+    }
+
+    /**
+     * Queued retries do not survive deactivation.
+     */
+    public function deactivate(): void {
+        wp_unschedule_hook( self::RETRY_HOOK );
+
+        delete_transient( self::CACHE_KEY );
+    }
+
+    // ── Table Creation ────────────────────────────────────────
+
+    /**
+     * Create the webhooks and deliveries tables if they don't exist.
+     */
+    private function maybe_create_tables(): void {
+        if ( get_option( self::DB_VERSION_KEY, '' ) === self::DB_VERSION ) {
+            return;
+        }
+
+        global $wpdb;
+
+        $charset_collate  = $wpdb->get_charset_collate();
+        $webhooks_table   = $wpdb->prefix . self::WEBHOOKS_TABLE;
+        $deliveries_table = $wpdb->prefix . self::DELIVERIES_TABLE;
+
+        $sql_webhooks = "CREATE TABLE {$webhooks_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(191) NOT NULL,
+            url TEXT NOT NULL,
+            event VARCHAR(191) NOT NULL,
+            events LONGTEXT NULL,
+            filters LONGTEXT NULL,
+            headers LONGTEXT NOT NULL,
+            format VARCHAR(20) DEFAULT 'json',
+            message TEXT NULL,
+            template LONGTEXT NULL,
+            content_type VARCHAR(100) NULL,
+            auth_type VARCHAR(10) DEFAULT 'none',
+            auth_user VARCHAR(191) NULL,
+            auth_secret TEXT NULL,
+            sign TINYINT(1) DEFAULT 0,
+            secret TEXT NULL,
+            is_active TINYINT(1) DEFAULT 1,
+            last_triggered DATETIME NULL,
+            last_status SMALLINT UNSIGNED NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_active (is_active)
+        ) {$charset_collate};";
+
+        // One row per attempt. `context` is what the request was built
+        // from, so retries and replays can build it again.
+        $sql_deliveries = "CREATE TABLE {$deliveries_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            webhook_id BIGINT UNSIGNED NOT NULL,
+            event VARCHAR(191) NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            attempt SMALLINT UNSIGNED DEFAULT 1,
+            max_attempts SMALLINT UNSIGNED DEFAULT 1,
+            replay_of BIGINT UNSIGNED NULL,
+            context LONGTEXT NOT NULL,
+            request_url TEXT NOT NULL,
+            request_headers LONGTEXT NOT NULL,
+            request_body LONGTEXT NOT NULL,
+            response_code SMALLINT UNSIGNED NULL,
+            response_body TEXT NULL,
+            error TEXT NULL,
+            duration_ms INT UNSIGNED NULL,
+            next_retry DATETIME NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_webhook (webhook_id, id),
+            INDEX idx_status (webhook_id, status)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        dbDelta( $sql_webhooks );
+        dbDelta( $sql_deliveries );
+
+        update_option( self::DB_VERSION_KEY, self::DB_VERSION, true );
+    }
+
+    // ── Events ────────────────────────────────────────────────
+
+    /**
+     * Events offered in the webhook form, with the group the picker
+     * lists them under and a line on when they fire.
+     *
+     * @return array<string, array{label: string, group: string, description: string}>
+     */
+    private function get_event_catalog(): array {
+        return [
+            'publish_post'       => [ 'label' => __( 'Post published', 'wptransformed' ), 'group' => 'posts', 'description' => __( 'A post of any type goes live, including scheduled posts.', 'wptransformed' ) ],
+            'save_post'          => [ 'label' => __( 'Post saved', 'wptransformed' ), 'group' => 'posts', 'description' => __( 'A post is created or updated; `update` is false for new posts.', 'wptransformed' ) ],
+            'wp_trash_post'      => [ 'label' => __( 'Post moved to trash', 'wptransformed' ), 'group' => 'posts', 'description' => __( 'A post is moved to the trash.', 'wptransformed' ) ],
+            'comment_post'       => [ 'label' => __( 'Comment posted', 'wptransformed' ), 'group' => 'comments', 'description' => __( 'A comment is submitted, with the post it is on.', 'wptransformed' ) ],
+            'user_register'      => [ 'label' => __( 'User registered', 'wptransformed' ), 'group' => 'users', 'description' => __( 'An account is created.', 'wptransformed' ) ],
+            'profile_update'     => [ 'label' => __( 'User profile updated', 'wptransformed' ), 'group' => 'users', 'description' => __( 'An account is saved from the profile screen or by a plugin.', 'wptransformed' ) ],
+            'wp_login'           => [ 'label' => __( 'User logged in', 'wptransformed' ), 'group' => 'users', 'description' => __( 'A user signs in.', 'wptransformed' ) ],
+            'set_user_role'      => [ 'label' => __( 'User role changed', 'wptransformed' ), 'group' => 'users', 'description' => __( 'A user is given a role; `role` and `old_roles` say which.', 'wptransformed' ) ],
+            'delete_user'        => [ 'label' => __( 'User deleted', 'wptransformed' ), 'group' => 'users', 'description' => __( 'An account is about to be deleted.', 'wptransformed' ) ],
+            'activated_plugin'   => [ 'label' => __( 'Plugin activated', 'wptransformed' ), 'group' => 'plugins', 'description' => __( 'A plugin is activated.', 'wptransformed' ) ],
+            'deactivated_plugin' => [ 'label' => __( 'Plugin deactivated', 'wptransformed' ), 'group' => 'plugins', 'description' => __( 'A plugin is deactivated.', 'wptransformed' ) ],
+            'switch_theme'       => [ 'label' => __( 'Theme switched', 'wptransformed' ), 'group' => 'plugins', 'description' => __( 'A different theme is activated.', 'wptransformed' ) ],
+        ];
+    }
+
+    /**
+     * The catalog as localized for the picker, with what each event
+     * would send for recent content as its sample.
+     *
+     * @return array<string, array>
+     */
+    private function get_catalog_with_samples(): array {
+        $catalog = $this->get_event_catalog();
+
+        foreach ( $catalog as $hook => $entry ) {
+            $catalog[ $hook ]['sample'] = Merge_Tags::context( $this->sample_payload( $hook ), $hook );
+        }
+
+        return $catalog;
+    }
+
+    /**
+     * Events a webhook subscribes to; rows saved before multi-event
+     * subscriptions only have `event`.
+     *
+     * @param array $webhook Webhook row.
+     * @return string[]
+     */
+    private function webhook_events( array $webhook ): array {
+        $events = json_decode( (string) ( $webhook['events'] ?? '' ), true );
+
+        return is_array( $events ) && $events ? array_values( $events ) : [ (string) $webhook['event'] ];
+    }
+
+    /**
+     * Filters of a webhook, keyed by event.
+     *
+     * @param array $webhook Webhook row.
+     * @return array<string, array>
+     */
+    private function webhook_filters( array $webhook ): array {
+        $filters = json_decode( (string) ( $webhook['filters'] ?? '' ), true );
+
+        return is_array( $filters ) ? $filters : [];
+    }
+
+    /**
+     * Whether a payload passes an event's filters. A filter on a subject
+     * the payload lacks fails, so a post-type filter never lets a post-less
+     * payload through.
+     *
+     * @param array $filters post_types, roles, taxonomy and terms.
+     * @param array $payload Event payload.
+     * @return bool
+     */
+    private function matches_filters( array $filters, array $payload ): bool {
+        $post = isset( $payload['post'] ) && is_array( $payload['post'] ) ? $payload['post'] : [];
+        $user = isset( $payload['user'] ) && is_array( $payload['user'] ) ? $payload['user'] : [];
+
+        if ( ! empty( $filters['post_types'] ) && ! in_array( $post['type'] ?? null, $filters['post_types'], true ) ) {
+            return false;
+        }
+
+        if ( ! empty( $filters['roles'] ) && ! array_intersect( (array) ( $user['roles'] ?? [] ), $filters['roles'] ) ) {
+            return false;
+        }
+
+        if ( ! empty( $filters['taxonomy'] ) && ! empty( $filters['terms'] ) ) {
+            return ! empty( $post['id'] ) && $this->has_any_term( (int) $post['id'], (string) $filters['taxonomy'], (string) $filters['terms'] );
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether a post has one of a comma-separated list of terms, given
+     * by name, slug or ID.
+     *
+     * @param int    $post_id  Post ID.
+     * @param string $taxonomy Taxonomy.
+     * @param string $list     Comma-separated terms.
+     * @return bool
+     */
+    private function has_any_term( int $post_id, string $taxonomy, string $list ): bool {
+        $terms = get_the_terms( $post_id, $taxonomy );
+        if ( ! is_array( $terms ) ) {
+            return false;
+        }
+
+        foreach ( array_filter( array_map( 'trim', explode( ',', $list ) ), 'strlen' ) as $wanted ) {
+            foreach ( $terms as $term ) {
+                if ( ( ctype_digit( $wanted ) && (int) $wanted === $term->term_id )
+                    || strcasecmp( $wanted, $term->name ) === 0
+                    || strcasecmp( $wanted, $term->slug ) === 0 ) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Queue an event for every active webhook listening to it.
+     *
+     * @param string $hook Event hook.
+     * @param array  $args Hook arguments.
+     * @return int Deliveries queued.
+     */
+    private function handle_event( string $hook, array $args ): int {
+        $payload = $this->build_payload( $hook, $args );
+        if ( $payload === null ) {
+            return 0;
+        }
+
+        $context = Merge_Tags::context( $payload, $hook );
+        $sent    = 0;
+
+        foreach ( $this->get_active_webhooks() as $webhook ) {
+            if ( in_array( $hook, $this->webhook_events( $webhook ), true )
+                && $this->matches_filters( $this->webhook_filters( $webhook )[ $hook ] ?? [], $payload ) ) {
+                $sent += (int) $this->queue_delivery( $webhook, $hook, $context );
+            }
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Payload of an event, or null when it is not worth a delivery
+     * (revisions, autosaves, missing objects).
+     *
+     * @param string $hook Event hook.
+     * @param array  $args Hook arguments.
+     * @return array|null
+     */
+    private function build_payload( string $hook, array $args ): ?array {
+        switch ( $hook ) {
+            case 'save_post':
+                $post = $this->event_post( $args[1] ?? null );
+                return $post === null || $post->post_status === 'auto-draft' ? null : [
+                    'post'   => Event_Context::post( $post ),
+                    'update' => ! empty( $args[2] ),
+                ];
+
+            case 'publish_post':
+            case 'wp_trash_post':
+                $post = $this->event_post( get_post( (int) $args[0] ) );
+                return $post === null ? null : [ 'post' => Event_Context::post( $post ) ];
+
+            case 'comment_post':
+                $comment = get_comment( (int) $args[0] );
+                if ( ! $comment instanceof \WP_Comment ) {
+                    return null;
+                }
+                $post = get_post( (int) $comment->comment_post_ID );
+                return [
+                    'comment' => Event_Context::comment( $comment ),
+                    'post'    => $post instanceof \WP_Post ? Event_Context::post( $post ) : [],
+                ];
+
+            case 'user_register':
+            case 'profile_update':
+            case 'delete_user':
+            case 'set_user_role':
+                $user = get_userdata( (int) $args[0] );
+                if ( ! $user instanceof \WP_User ) {
+                    return null;
+                }
+                $payload = [ 'user' => Event_Context::user( $user ) ];
+                if ( $hook === 'set_user_role' ) {
+                    $payload['role']      = (string) $args[1];
+                    $payload['old_roles'] = array_values( (array) ( $args[2] ?? [] ) );
+                }
+                return $payload;
+
+            case 'wp_login':
+                $user = $args[1] ?? null;
+                return $user instanceof \WP_User ? [ 'user' => Event_Context::user( $user ) ] : null;
+
+            case 'activated_plugin':
+            case 'deactivated_plugin':
+                if ( ! function_exists( 'get_plugin_data' ) ) {
+                    require_once ABSPATH . 'wp-admin/includes/plugin.php';
+                }
+                $file = (string) $args[0];
+                $data = is_file( WP_PLUGIN_DIR . '/' . $file ) ? get_plugin_data( WP_PLUGIN_DIR . '/' . $file, false, false ) : [];
+                return [
+                    'plugin' => [
+                        'file'    => $file,
+                        'name'    => (string) ( $data['Name'] ?? $file ),
+                        'version' => (string) ( $data['Version'] ?? '' ),
+                    ],
+                ];
+
+            case 'switch_theme':
+                $theme = wp_get_theme();
+                return [
+                    'theme' => [
+                        'name'       => (string) $args[0],
+                        'stylesheet' => $theme->get_stylesheet(),
+                        'version'    => (string) $theme->get( 'Version' ),
+                    ],
+                ];
+        }
+
+        return null;
+    }
+
+    /**
+     * The post behind a post event, or null for revisions and autosaves.
+     *
+     * @param mixed $post Hook argument.
+     * @return \WP_Post|null
+     */
+    private function event_post( $post ): ?\WP_Post {
+        if ( ! $post instanceof \WP_Post || wp_is_post_revision( $post ) || wp_is_post_autosave( $post ) ) {
+            return null;
+        }
+        return $post;
+    }
+
+    /**
+     * Payload of an event for the most recent item it is about, for
+     * catalog samples and test sends.
+     *
+     * @param string $hook Event hook.
+     * @return array
+     */
+    private function sample_payload( string $hook ): array {
+        $args = [];
+
+        if ( in_array( $hook, [ 'publish_post', 'save_post', 'wp_trash_post' ], true ) ) {
+            $posts = get_posts( [ 'post_type' => 'any', 'numberposts' => 1, 'orderby' => 'modified' ] );
+            if ( $posts ) {
+                $args = $hook === 'save_post' ? [ $posts[0]->ID, $posts[0], true ] : [ $posts[0]->ID ];
+            }
+        } elseif ( $hook === 'comment_post' ) {
+            $comments = get_comments( [ 'number' => 1, 'type' => 'comment' ] );
+            if ( $comments ) {
+                $args = [ (int) $comments[0]->comment_ID, $comments[0]->comment_approved ];
+            }
+        } elseif ( in_array( $hook, [ 'activated_plugin', 'deactivated_plugin' ], true ) ) {
+            $args = [ plugin_basename( WPT_PATH . 'wptransformed.php' ) ];
+        } elseif ( $hook === 'switch_theme' ) {
+            $args = [ wp_get_theme()->get( 'Name' ) ];
+        } else {
+            $user = wp_get_current_user();
+            $args = [
+                'wp_login'      => [ $user->user_login, $user ],
+                'set_user_role' => [ $user->ID, (string) reset( $user->roles ), [] ],
+            ][ $hook ] ?? [ $user->ID ];
+        }
+
+        $payload = $args ? $this->build_payload( $hook, $args ) : null;
+
+        return $payload ?? [];
+    }
+
+    // ── Sending ───────────────────────────────────────────────
+
+    /**
+     * Build the request for a webhook from a render context: the body in
+     * the webhook's format, its custom headers, then authentication and
+     * the signature, which custom headers cannot override.
+     *
+     * @param array $webhook Webhook row.
+     * @param array $context Merge-tag context of the event.
+     * @return array{body: string, headers: array<string, string>}
+     */
+    private function build_request( array $webhook, array $context ): array {
+        $format = (string) ( $webhook['format'] ?? 'json' );
+        $type   = 'application/json';
+
+        switch ( $format ) {
+            case 'form':
+                $body = http_build_query( $this->form_fields( $context ), '', '&', PHP_QUERY_RFC3986 );
+                $type = 'application/x-www-form-urlencoded';
+                break;
+
+            case 'slack':
+            case 'discord':
+            case 'teams':
+                $text = Merge_Tags::render( (string) ( $webhook['message'] ?: self::DEFAULT_MESSAGE ), $context );
+                $body = (string) wp_json_encode( [
+                    'slack'   => [ 'text' => $text ],
+                    'discord' => [ 'content' => $text ],
+                    'teams'   => [ '@type' => 'MessageCard', '@context' => 'https://schema.org/extensions', 'text' => $text ],
+                ][ $format ] );
+                break;
+
+            case 'custom':
+                $body = Merge_Tags::render( (string) $webhook['template'], $context );
+                $type = in_array( $webhook['content_type'], self::CONTENT_TYPES, true ) ? (string) $webhook['content_type'] : self::CONTENT_TYPES[0];
+                break;
+
+            default:
+                $body = (string) wp_json_encode( $context );
+        }
+
+        $headers = [ 'Content-Type' => $type ];
+
+        foreach ( $this->decode_headers( (string) $webhook['headers'] ) as $name => $value ) {
+            $headers[ $name ] = Merge_Tags::render( $value, $context );
+        }
+
+        $credential = $this->decrypt_secret( (string) $webhook['auth_secret'] );
+
+        if ( $webhook['auth_type'] === 'bearer' && $credential !== '' ) {
+            $headers['Authorization'] = 'Bearer ' . $credential;
+        } elseif ( $webhook['auth_type'] === 'basic' && $credential !== '' ) {
+            // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- HTTP basic auth.
+            $headers['Authorization'] = 'Basic ' . base64_encode( $webhook['auth_user'] . ':' . $credential );
+        }
+
+        $secret = (int) $webhook['sign'] ? $this->decrypt_secret( (string) $webhook['secret'] ) : '';
+
+        if ( $secret !== '' ) {
+            $timestamp = (string) time();
+
+            $headers['X-WPT-Timestamp'] = $timestamp;
+            $headers['X-WPT-Signature'] = 'sha256=' . hash_hmac( 'sha256', $timestamp . '.' . $body, $secret );
+        }
+
+        return [ 'body' => $body, 'headers' => $headers ];
+    }
+
+    /**
+     * Context values as the browser's formEncode() sends them: booleans
+     * as "true"/"false" and null as an empty string.
+     *
+     * @param array $values Context or a branch of it.
+     * @return array
+     */
+    private function form_fields( array $values ): array {
+        foreach ( $values as $key => $value ) {
+            if ( is_array( $value ) ) {
+                $values[ $key ] = $this->form_fields( $value );
+            } elseif ( is_bool( $value ) ) {
+                $values[ $key ] = $value ? 'true' : 'false';
+            } elseif ( $value === null ) {
+                $values[ $key ] = '';
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Record an event's first attempt as a queued delivery and leave the
+     * sending to cron, as retries are sent.
+     *
+     * @param array  $webhook Webhook row.
+     * @param string $event   Event hook.
+     * @param array  $context Merge-tag context of the event.
+     * @return bool Whether the delivery was queued.
+     */
+    private function queue_delivery( array $webhook, string $event, array $context ): bool {
+        global $wpdb;
+
+        $now = time();
+
+        $wpdb->insert(
+            $wpdb->prefix . self::DELIVERIES_TABLE,
+            [
+                'webhook_id'      => (int) $webhook['id'],
+                'event'           => $event,
+                'status'          => 'queued',
+                'attempt'         => 1,
+                'max_attempts'    => self::MAX_ATTEMPTS,
+                'context'         => (string) wp_json_encode( $context ),
+                'request_url'     => (string) $webhook['url'],
+                'request_headers' => '{}',
+                'request_body'    => '',
+                'next_retry'      => gmdate( 'Y-m-d H:i:s', $now ),
+                'created_at'      => gmdate( 'Y-m-d H:i:s', $now ),
+            ],
+            [ '%d', '%s', '%s', '%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s' ]
+        );
+        $delivery_id = (int) $wpdb->insert_id;
+
+        if ( $delivery_id <= 0 ) {
+            return false;
+        }
+
+        wp_schedule_single_event( $now, self::RETRY_HOOK, [ $delivery_id ] );
+
+        return true;
+    }
+
+    /**
+     * Send a webhook, record the delivery and queue a retry when the
+     * receiver did not answer 2xx and attempts are left.
+     *
+     * @param array  $webhook Webhook row.
+     * @param string $event   Event hook.
+     * @param array  $context Merge-tag context of the event.
+     * @param array  $meta    attempt, max_attempts, replay_of, and
+     *                        delivery_id to fill a queued delivery in.
+     * @return array|null The delivery as the log lists it.
+     */
+    private function dispatch( array $webhook, string $event, array $context, array $meta ): ?array {
+        global $wpdb;
+
+        $attempt      = (int) ( $meta['attempt'] ?? 1 );
+        $max_attempts = (int) ( $meta['max_attempts'] ?? 1 );
+        $request      = $this->build_request( $webhook, $context );
+
+        $started  = microtime( true );
+        $response = wp_safe_remote_post( (string) $webhook['url'], [
+            'timeout' => self::DELIVERY_TIMEOUT,
+            'headers' => $request['headers'],
+            'body'    => $request['body'],
+        ] );
+        $duration = (int) round( ( microtime( true ) - $started ) * 1000 );
+
+        $code  = is_wp_error( $response ) ? 0 : (int) wp_remote_retrieve_response_code( $response );
+        $error = is_wp_error( $response ) ? $response->get_error_message() : '';
+
+        if ( $code >= 200 && $code < 300 ) {
+            $status = 'success';
+        } else {
+            $status = $attempt < $max_attempts ? 'retrying' : 'failed';
+        }
+
+        $delay = self::RETRY_BASE * 2 ** ( $attempt - 1 );
+        $now   = time();
+
+        $row = [
+            'webhook_id'      => (int) $webhook['id'],
+            'event'           => $event,
+            'status'          => $status,
+            'attempt'         => $attempt,
+            'max_attempts'    => $max_attempts,
+            'replay_of'       => isset( $meta['replay_of'] ) ? (int) $meta['replay_of'] : null,
+            'context'         => (string) wp_json_encode( $context ),
+            'request_url'     => (string) $webhook['url'],
+            'request_headers' => (string) wp_json_encode( $this->redact_headers( $request['headers'] ) ),
+            'request_body'    => $request['body'],
+            'response_code'   => $code ?: null,
+            'response_body'   => is_wp_error( $response ) ? null : substr( (string) wp_remote_retrieve_body( $response ), 0, self::RESPONSE_EXCERPT ),
+            'error'           => $error !== '' ? $error : null,
+            'duration_ms'     => $duration,
+            'next_retry'      => $status === 'retrying' ? gmdate( 'Y-m-d H:i:s', $now + $delay ) : null,
+            'created_at'      => gmdate( 'Y-m-d H:i:s', $now ),
+        ];
+        $formats = [ '%d', '%s', '%s', '%d', '%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%d', '%s', '%s' ];
+
+        if ( ! empty( $meta['delivery_id'] ) ) {
+            $delivery_id = (int) $meta['delivery_id'];
+            $wpdb->update( $wpdb->prefix . self::DELIVERIES_TABLE, $row, [ 'id' => $delivery_id ], $formats, [ '%d' ] );
+        } else {
+            $wpdb->insert( $wpdb->prefix . self::DELIVERIES_TABLE, $row, $formats );
+            $delivery_id = (int) $wpdb->insert_id;
+        }
+
+        if ( $status === 'retrying' && $delivery_id > 0 ) {
+            wp_schedule_single_event( $now + $delay, self::RETRY_HOOK, [ $delivery_id ] );
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . self::WEBHOOKS_TABLE,
+            [ 'last_triggered' => current_time( 'mysql' ), 'last_status' => $code ],
+            [ 'id' => (int) $webhook['id'] ],
+            [ '%s', '%d' ],
+            [ '%d' ]
+        );
+        $this->invalidate_cache();
+
+        $this->prune_deliveries( (int) $webhook['id'] );
+
+        $delivery = $this->get_delivery( $delivery_id );
+
+        return $delivery ? $this->format_delivery( $delivery ) : null;
+    }
+
+    /**
+     * Send a queued delivery, or the next attempt of one that is waiting
+     * for a retry.
+     *
+     * @param int|string $delivery_id Queued or failed delivery.
+     */
+    public function retry_delivery( $delivery_id ): void {
+        global $wpdb;
+
+        $delivery = $this->get_delivery( (int) $delivery_id );
+
+        // Gone with its webhook, or already sent or retried.
+        if ( ! $delivery || ! in_array( $delivery['status'], [ 'queued', 'retrying' ], true ) ) {
+            return;
+        }
+
+        $webhook = $this->get_webhook( (int) $delivery['webhook_id'] );
+
+        if ( $delivery['status'] === 'queued' ) {
+            if ( ! $webhook || ! (int) $webhook['is_active'] ) {
+                $wpdb->delete( $wpdb->prefix . self::DELIVERIES_TABLE, [ 'id' => (int) $delivery['id'] ], [ '%d' ] );
+                return;
+            }
+
+            $this->dispatch( $webhook, (string) $delivery['event'], $this->delivery_context( $delivery ), [
+                'attempt'      => (int) $delivery['attempt'],
+                'max_attempts' => (int) $delivery['max_attempts'],
+                'delivery_id'  => (int) $delivery['id'],
+            ] );
+            return;
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . self::DELIVERIES_TABLE,
+            [ 'status' => 'failed', 'next_retry' => null ],
+            [ 'id' => (int) $delivery['id'] ],
+            [ '%s', '%s' ],
+            [ '%d' ]
+        );
+
+        if ( ! $webhook || ! (int) $webhook['is_active'] ) {
+            return;
+        }
+
+        $this->dispatch( $webhook, (string) $delivery['event'], $this->delivery_context( $delivery ), [
+            'attempt'      => (int) $delivery['attempt'] + 1,
+            'max_attempts' => (int) $delivery['max_attempts'],
+            'replay_of'    => $delivery['replay_of'] !== null ? (int) $delivery['replay_of'] : null,
+        ] );
+    }
+
+    /**
+     * Custom headers saved with a webhook, as name => value.
+     *
+     * @param string $json Headers JSON.
+     * @return array<string, string>
+     */
+    private function decode_headers( string $json ): array {
+        $decoded = json_decode( $json, true );
+        $headers = [];
+
+        if ( ! is_array( $decoded ) ) {
+            return $headers;
+        }
+
+        foreach ( $decoded as $name => $value ) {
+            $name = trim( (string) $name );
+            if ( $name !== '' && is_scalar( $value ) ) {
+                $headers[ $name ] = (string) $value;
+            }
+        }
+
+        return $headers;
+    }
+
+    /**
+     * Request headers as recorded in the log: credentials keep only
+     * their scheme.
+     *
+     * @param array<string, string> $headers Request headers.
+     * @return array<string, string>
+     */
+    private function redact_headers( array $headers ): array {
+        foreach ( $headers as $name => $value ) {
+            if ( strcasecmp( $name, 'Authorization' ) === 0 ) {
+                $headers[ $name ] = trim( strtok( $value, ' ' ) . ' ••••••' );
+            }
+        }
+
+        return $headers;
+    }
+
+    // ── Secrets ───────────────────────────────────────────────
+
+    /**
+     * Encrypt a token, password or signing secret for storage, as
+     * Email_SMTP stores its password. Empty when it cannot be encrypted.
+     *
+     * @param string $plain Plain text.
+     * @return string
+     */
+    private function encrypt_secret( string $plain ): string {
+        if ( $plain === '' || ! defined( 'AUTH_KEY' ) || ! function_exists( 'openssl_encrypt' ) ) {
+            return '';
+        }
+
+        $key       = hash( 'sha256', AUTH_KEY, true );
+        $iv        = openssl_random_pseudo_bytes( 16 );
+        $encrypted = openssl_encrypt( $plain, 'AES-256-CBC', $key, OPENSSL_RAW_DATA, $iv );
+
+        return $encrypted === false ? '' : 'enc1:' . base64_encode( $iv . $encrypted );
+    }
+
+    /**
+     * Decrypt a stored secret; empty when it cannot be read, e.g. after
+     * AUTH_KEY changed.
+     *
+     * @param string $encrypted Stored value.
+     * @return string
+     */
+    private function decrypt_secret( string $encrypted ): string {
+        if ( strpos( $encrypted, 'enc1:' ) !== 0 || ! defined( 'AUTH_KEY' ) || ! function_exists( 'openssl_decrypt' ) ) {
+            return '';
+        }
+
+        $raw = base64_decode( substr( $encrypted, 5 ), true );
+        if ( $raw === false || strlen( $raw ) < 17 ) {
+            return '';
+        }
+
+        $decrypted = openssl_decrypt( substr( $raw, 16 ), 'AES-256-CBC', hash( 'sha256', AUTH_KEY, true ), OPENSSL_RAW_DATA, substr( $raw, 0, 16 ) );
+
+        return $decrypted === false ? '' : $decrypted;
+    }
+
+    /**
+     * The stored value for a secret field: the new one encrypted, or the
+     * saved one when the field was left blank.
+     *
+     * @param string $plain New value from the form.
+     * @param string $saved Stored value.
+     * @return string|null Null when a new value could not be encrypted.
+     */
+    private function keep_or_encrypt( string $plain, string $saved ): ?string {
+        if ( $plain === '' ) {
+            return $saved;
+        }
+
+        $encrypted = $this->encrypt_secret( $plain );
+
+        return $encrypted !== '' ? $encrypted : null;
+    }
+
+    // ── Storage ───────────────────────────────────────────────
+
+    /**
+     * Active webhooks, cached until a webhook changes.
+     *
+     * @return array[]
+     */
+    private function get_active_webhooks(): array {
+        $cached = get_transient( self::CACHE_KEY );
+        if ( is_array( $cached ) ) {
+            return $cached;
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::WEBHOOKS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $webhooks = $wpdb->get_results( "SELECT * FROM {$table} WHERE is_active = 1 ORDER BY id ASC", ARRAY_A );
+        $webhooks = is_array( $webhooks ) ? $webhooks : [];
+
+        set_transient( self::CACHE_KEY, $webhooks, DAY_IN_SECONDS );
+
+        return $webhooks;
+    }
+
+    /**
+     * Forget the active-webhook cache.
+     */
+    private function invalidate_cache(): void {
+        delete_transient( self::CACHE_KEY );
+    }
+
+    /**
+     * One webhook row, or null.
+     *
+     * @param int $id Webhook ID.
+     * @return array|null
+     */
+    private function get_webhook( int $id ): ?array {
+        global $wpdb;
+        $table = $wpdb->prefix . self::WEBHOOKS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $webhook = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ), ARRAY_A );
+
+        return is_array( $webhook ) ? $webhook : null;
+    }
+
+    /**
+     * One delivery row, or null.
+     *
+     * @param int $id Delivery ID.
+     * @return array|null
+     */
+    private function get_delivery( int $id ): ?array {
+        global $wpdb;
+        $table = $wpdb->prefix . self::DELIVERIES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $delivery = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ), ARRAY_A );
+
+        return is_array( $delivery ) ? $delivery : null;
+    }
+
+    /**
+     * The render context a delivery was built from.
+     *
+     * @param array $delivery Delivery row.
+     * @return array
+     */
+    private function delivery_context( array $delivery ): array {
+        $context = json_decode( (string) $delivery['context'], true );
+
+        return is_array( $context ) ? $context : [];
+    }
+
+    /**
+     * Deliveries that failed since the webhook last succeeded.
+     *
+     * @param int $webhook_id Webhook ID.
+     * @return int
+     */
+    private function count_failing( int $webhook_id ): int {
+        global $wpdb;
+        $table = $wpdb->prefix . self::DELIVERIES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        return (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$table} WHERE webhook_id = %d AND status IN ('failed', 'retrying')
+             AND id > COALESCE( ( SELECT MAX(id) FROM {$table} WHERE webhook_id = %d AND status = 'success' ), 0 )",
+            $webhook_id,
+            $webhook_id
+        ) );
+    }
+
+    /**
+     * Drop a webhook's deliveries beyond the newest DELIVERY_LIMIT, but
+     * never one cron still has to send.
+     *
+     * @param int $webhook_id Webhook ID.
+     */
+    private function prune_deliveries( int $webhook_id ): void {
+        global $wpdb;
+        $table = $wpdb->prefix . self::DELIVERIES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $oldest_kept = (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT id FROM {$table} WHERE webhook_id = %d ORDER BY id DESC LIMIT 1 OFFSET %d",
+            $webhook_id,
+            self::DELIVERY_LIMIT - 1
+        ) );
+
+        if ( $oldest_kept > 0 ) {
+            // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+            $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE webhook_id = %d AND id < %d AND status NOT IN ('queued', 'retrying')", $webhook_id, $oldest_kept ) );
+        }
+    }
+
+    /**
+     * A delivery as the log lists it.
+     *
+     * @param array $delivery Delivery row.
+     * @return array
+     */
+    private function format_delivery( array $delivery ): array {
+        $now     = time();
+        $created = (int) strtotime( $delivery['created_at'] . ' UTC' );
+        $retry   = $delivery['next_retry'] ? (int) strtotime( $delivery['next_retry'] . ' UTC' ) : 0;
+
+        return [
+            'id'            => (int) $delivery['id'],
+            'event'         => (string) $delivery['event'],
+            'status'        => (string) $delivery['status'],
+            'response_code' => $delivery['response_code'] !== null ? (int) $delivery['response_code'] : null,
+            'duration_ms'   => $delivery['duration_ms'] !== null ? (int) $delivery['duration_ms'] : null,
+            'attempt'       => (int) $delivery['attempt'],
+            'max_attempts'  => (int) $delivery['max_attempts'],
+            'created_at'    => get_date_from_gmt( $delivery['created_at'] ),
+            /* translators: %s: human-readable time difference */
+            'created_ago'   => sprintf( __( '%s ago', 'wptransformed' ), human_time_diff( $created, $now ) ),
+            'next_retry'    => $retry
+                /* translators: %s: human-readable time difference */
+                ? ( $retry > $now ? sprintf( __( 'in %s', 'wptransformed' ), human_time_diff( $now, $retry ) ) : __( 'now', 'wptransformed' ) )
+                : null,
+            'replay_of'     => $delivery['replay_of'] !== null ? (int) $delivery['replay_of'] : null,
+        ];
+    }
+
+    /**
+     * A webhook as the list reports it.
+     *
+     * @param array $webhook Webhook row.
+     * @return array
+     */
+    private function format_webhook( array $webhook ): array {
+        return [
+            'id'             => (int) $webhook['id'],
+            'name'           => (string) $webhook['name'],
+            'url'            => (string) $webhook['url'],
+            'event'          => (string) $webhook['event'],
+            'events'         => $this->webhook_events( $webhook ),
+            'filters'        => (object) $this->webhook_filters( $webhook ),
+            'headers'        => (string) $webhook['headers'],
+            'format'         => (string) $webhook['format'],
+            'message'        => (string) $webhook['message'],
+            'template'       => (string) $webhook['template'],
+            'content_type'   => (string) $webhook['content_type'],
+            'auth_type'      => (string) $webhook['auth_type'],
+            'auth_user'      => (string) $webhook['auth_user'],
+            'sign'           => (int) $webhook['sign'],
+            // Secrets are write-only.
+            'has_secret'     => (string) $webhook['secret'] !== '',
+            'has_auth'       => (string) $webhook['auth_secret'] !== '',
+            'is_active'      => (int) $webhook['is_active'],
+            'last_triggered' => $webhook['last_triggered'],
+            'last_status'    => $webhook['last_status'] !== null ? (int) $webhook['last_status'] : null,
+            'failing'        => $this->count_failing( (int) $webhook['id'] ),
+        ];
+    }
+
+    // ── AJAX: Webhooks ────────────────────────────────────────
+
+    /**
+     * Nonce and capability check shared by the AJAX handlers.
+     */
+    private function verify_request(): void {
+        check_ajax_referer( 'wpt_webhook_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ], 403 );
+        }
+    }
+
+    /**
+     * Every webhook, newest first.
+     */
+    public function ajax_list(): void {
+        $this->verify_request();
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::WEBHOOKS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $webhooks = $wpdb->get_results( "SELECT * FROM {$table} ORDER BY created_at DESC, id DESC", ARRAY_A );
+
+        wp_send_json_success( [
+            'webhooks' => array_map( [ $this, 'format_webhook' ], is_array( $webhooks ) ? $webhooks : [] ),
+        ] );
+    }
+
+    /**
+     * Create or update a webhook.
+     */
+    public function ajax_save(): void {
+        $this->verify_request();
+
+        $id    = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+        $name  = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $url   = isset( $_POST['url'] ) ? esc_url_raw( wp_unslash( $_POST['url'] ), [ 'http', 'https' ] ) : '';
+        $event = isset( $_POST['event'] ) ? sanitize_text_field( wp_unslash( $_POST['event'] ) ) : '';
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, validated below.
+        $headers = isset( $_POST['headers'] ) ? trim( (string) wp_unslash( $_POST['headers'] ) ) : '';
+        $events  = isset( $_POST['events'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['events'] ) ) : [];
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, sanitized field by field below.
+        $filters = json_decode( isset( $_POST['filters'] ) ? (string) wp_unslash( $_POST['filters'] ) : '{}', true );
+
+        // Older forms send the one `event`.
+        $events = array_values( array_unique( array_intersect( $events ?: [ $event ], array_keys( self::EVENTS ) ) ) );
+
+        if ( $name === '' || $url === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Name and URL are required.', 'wptransformed' ) ] );
+        }
+
+        // Whether the host is public is checked when sending, when DNS is current.
+        if ( ! wp_parse_url( $url, PHP_URL_HOST ) ) {
+            wp_send_json_error( [ 'message' => __( 'Enter an http or https URL.', 'wptransformed' ) ] );
+        }
+
+        if ( ! $events ) {
+            wp_send_json_error( [ 'message' => __( 'Choose at least one event.', 'wptransformed' ) ] );
+        }
+
+        if ( $headers !== '' && ! is_array( json_decode( $headers, true ) ) ) {
+            wp_send_json_error( [ 'message' => __( 'Headers must be a JSON object.', 'wptransformed' ) ] );
+        }
+
+        $existing = $id > 0 ? $this->get_webhook( $id ) : null;
+
+        if ( $id > 0 && ! $existing ) {
+            wp_send_json_error( [ 'message' => __( 'Webhook not found.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::WEBHOOKS_TABLE;
+
+        $data = array_merge( [
+            'name'    => $name,
+            'url'     => $url,
+            'event'   => $events[0],
+            'events'  => (string) wp_json_encode( $events ),
+            'filters' => (string) wp_json_encode( (object) $this->sanitize_filters( $filters, $events ) ),
+            'headers' => $headers !== '' ? (string) wp_json_encode( $this->decode_headers( $headers ), JSON_FORCE_OBJECT ) : '',
+        ], $this->read_sending_fields( $existing ) );
+
+        $formats = [ '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s' ];
+
+        if ( $id > 0 ) {
+            $saved = $wpdb->update( $table, $data, [ 'id' => $id ], $formats, [ '%d' ] );
+        } else {
+            $data['created_at'] = current_time( 'mysql' );
+            $formats[]          = '%s';
+            $saved = $wpdb->insert( $table, $data, $formats );
+            $id    = (int) $wpdb->insert_id;
+        }
+
+        if ( $saved === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to save webhook.', 'wptransformed' ) ] );
+        }
+
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message' => __( 'Webhook saved.', 'wptransformed' ),
+            'id'      => $id,
+        ] );
+    }
+
+    /**
+     * Keep the filters of subscribed events, dropping unknown keys and
+     * empty values; terms and taxonomy only count together.
+     *
+     * @param mixed    $raw    Decoded filters JSON.
+     * @param string[] $events Subscribed events.
+     * @return array<string, array>
+     */
+    private function sanitize_filters( $raw, array $events ): array {
+        $clean = [];
+
+        foreach ( $events as $hook ) {
+            $set = is_array( $raw ) && isset( $raw[ $hook ] ) && is_array( $raw[ $hook ] ) ? $raw[ $hook ] : [];
+            $out = [];
+
+            foreach ( [ 'post_types', 'roles' ] as $key ) {
+                $values = array_values( array_filter( array_map( 'sanitize_key', array_filter( (array) ( $set[ $key ] ?? [] ), 'is_string' ) ) ) );
+                if ( $values ) {
+                    $out[ $key ] = $values;
+                }
+            }
+
+            $taxonomy = is_string( $set['taxonomy'] ?? null ) ? sanitize_key( $set['taxonomy'] ) : '';
+            $terms    = is_string( $set['terms'] ?? null ) ? sanitize_text_field( $set['terms'] ) : '';
+
+            if ( $taxonomy !== '' && $terms !== '' && taxonomy_exists( $taxonomy ) ) {
+                $out['taxonomy'] = $taxonomy;
+                $out['terms']    = $terms;
+            }
+
+            if ( $out ) {
+                $clean[ $hook ] = $out;
+            }
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Format, authentication and signing fields of a save request.
+     * Blank tokens, passwords and secrets keep the saved ones.
+     *
+     * @param array|null $existing Webhook being edited, if any.
+     * @return array Column values.
+     */
+    private function read_sending_fields( ?array $existing ): array {
+        $format = isset( $_POST['format'] ) ? sanitize_key( wp_unslash( $_POST['format'] ) ) : 'json';
+        $format = in_array( $format, self::FORMATS, true ) ? $format : 'json';
+        $auth   = isset( $_POST['auth_type'] ) ? sanitize_key( wp_unslash( $_POST['auth_type'] ) ) : 'none';
+        $auth   = in_array( $auth, self::AUTH_TYPES, true ) ? $auth : 'none';
+        $type   = isset( $_POST['content_type'] ) ? sanitize_text_field( wp_unslash( $_POST['content_type'] ) ) : '';
+        $sign   = ! empty( $_POST['sign'] );
+
+        $message = isset( $_POST['message'] ) ? sanitize_textarea_field( wp_unslash( $_POST['message'] ) ) : '';
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Body template, sent verbatim.
+        $template = isset( $_POST['template'] ) ? (string) wp_unslash( $_POST['template'] ) : '';
+        $user     = isset( $_POST['auth_user'] ) ? sanitize_text_field( wp_unslash( $_POST['auth_user'] ) ) : '';
+
+        // phpcs:disable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Credentials, stored encrypted as entered.
+        $token  = isset( $_POST['auth_token'] ) ? trim( (string) wp_unslash( $_POST['auth_token'] ) ) : '';
+        $pass   = isset( $_POST['auth_pass'] ) ? (string) wp_unslash( $_POST['auth_pass'] ) : '';
+        $secret = isset( $_POST['secret'] ) ? trim( (string) wp_unslash( $_POST['secret'] ) ) : '';
+        // phpcs:enable
+
+        $is_chat = in_array( $format, [ 'slack', 'discord', 'teams' ], true );
+
+        if ( $is_chat && trim( $message ) === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Enter the message to send.', 'wptransformed' ) ] );
+        }
+
+        if ( $format === 'custom' && trim( $template ) === '' ) {
+            wp_send_json_error( [ 'message' => __( 'The body template is empty.', 'wptransformed' ) ] );
+        }
+
+        // A credential is only kept while the scheme it was saved for stays.
+        $saved_credential = $existing && $existing['auth_type'] === $auth ? (string) $existing['auth_secret'] : '';
+        $saved_secret     = $existing ? (string) $existing['secret'] : '';
+
+        if ( $auth === 'bearer' && $token === '' && $saved_credential === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Enter the bearer token.', 'wptransformed' ) ] );
+        }
+
+        if ( $auth === 'basic' && ( $user === '' || ( $pass === '' && $saved_credential === '' ) ) ) {
+            wp_send_json_error( [ 'message' => __( 'Enter the username and password.', 'wptransformed' ) ] );
+        }
+
+        if ( $sign && $secret === '' && $saved_secret === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Enter or generate a signing secret.', 'wptransformed' ) ] );
+        }
+
+        if ( $sign && $secret !== '' && strlen( $secret ) < self::MIN_SECRET_LENGTH ) {
+            /* translators: %d: minimum number of characters */
+            wp_send_json_error( [ 'message' => sprintf( __( 'Use a signing secret of at least %d characters.', 'wptransformed' ), self::MIN_SECRET_LENGTH ) ] );
+        }
+
+        $credential = $auth === 'none' ? '' : $this->keep_or_encrypt( $auth === 'bearer' ? $token : $pass, $saved_credential );
+        $secret     = $sign ? $this->keep_or_encrypt( $secret, $saved_secret ) : $saved_secret;
+
+        if ( $credential === null || $secret === null ) {
+            wp_send_json_error( [ 'message' => __( 'Credentials cannot be stored: this server lacks OpenSSL or the AUTH_KEY constant.', 'wptransformed' ) ] );
+        }
+
+        return [
+            'format'       => $format,
+            'message'      => $is_chat ? $message : '',
+            'template'     => $format === 'custom' ? $template : '',
+            'content_type' => $format === 'custom' && in_array( $type, self::CONTENT_TYPES, true ) ? $type : '',
+            'auth_type'    => $auth,
+            'auth_user'    => $auth === 'basic' ? $user : '',
+            'auth_secret'  => $credential,
+            'sign'         => $sign ? 1 : 0,
+            'secret'       => $secret,
+        ];
+    }
+
+    /**
+     * Switch a webhook on or off.
+     */
+    public function ajax_toggle(): void {
+        $this->verify_request();
+
+        $webhook = $this->get_webhook( isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0 );
+
+        if ( ! $webhook ) {
+            wp_send_json_error( [ 'message' => __( 'Webhook not found.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $new_state = (int) $webhook['is_active'] === 1 ? 0 : 1;
+
+        $wpdb->update(
+            $wpdb->prefix . self::WEBHOOKS_TABLE,
+            [ 'is_active' => $new_state ],
+            [ 'id' => (int) $webhook['id'] ],
+            [ '%d' ],
+            [ '%d' ]
+        );
+
+        $this->invalidate_cache();
+
+        wp_send_json_success( [
+            'message'   => $new_state ? __( 'Webhook enabled.', 'wptransformed' ) : __( 'Webhook disabled.', 'wptransformed' ),
+            'is_active' => $new_state,
+        ] );
+    }
+
+    /**
+     * Delete a webhook and its delivery log.
+     */
+    public function ajax_delete(): void {
+        $this->verify_request();
+
+        $id = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid webhook ID.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $deleted = $wpdb->delete( $wpdb->prefix . self::WEBHOOKS_TABLE, [ 'id' => $id ], [ '%d' ] );
+
+        if ( $deleted === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to delete webhook.', 'wptransformed' ) ] );
+        }
+
+        // Queued retries find no delivery and do nothing.
+        $wpdb->delete( $wpdb->prefix . self::DELIVERIES_TABLE, [ 'webhook_id' => $id ], [ '%d' ] );
+
+        $this->invalidate_cache();
+
+        wp_send_json_success( [ 'message' => __( 'Webhook deleted.', 'wptransformed' ) ] );
+    }
+
+    /**
+     * Send a sample of the webhook's event once, without retries.
+     */
+    public function ajax_test(): void {
+        $this->verify_request();
+
+        $webhook = $this->get_webhook( isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0 );
+
+        if ( ! $webhook ) {
+            wp_send_json_error( [ 'message' => __( 'Webhook not found.', 'wptransformed' ) ] );
+        }
+
+        // Marked with `test` so receivers can tell it apart.
+        $event    = (string) $webhook['event'];
+        $context  = Merge_Tags::context( $this->sample_payload( $event ) + [ 'test' => true ], $event );
+        $delivery = $this->dispatch( $webhook, $event, $context, [] );
+
+        $this->send_delivery_result( $delivery );
+    }
+
+    // ── AJAX: Deliveries ──────────────────────────────────────
+
+    /**
+     * One page of a webhook's deliveries, newest first.
+     */
+    public function ajax_deliveries(): void {
+        $this->verify_request();
+
+        $id     = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+        $page   = isset( $_POST['page'] ) ? max( 1, absint( $_POST['page'] ) ) : 1;
+        $status = isset( $_POST['status'] ) ? sanitize_key( wp_unslash( $_POST['status'] ) ) : '';
+
+        if ( ! $this->get_webhook( $id ) ) {
+            wp_send_json_error( [ 'message' => __( 'Webhook not found.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::DELIVERIES_TABLE;
+        $where = $status === 'failed'
+            ? $wpdb->prepare( "webhook_id = %d AND status IN ('failed', 'retrying')", $id )
+            : $wpdb->prepare( 'webhook_id = %d', $id );
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- $where is prepared above.
+        $total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table} WHERE {$where}" );
+        $rows  = $wpdb->get_results( $wpdb->prepare(
+            "SELECT id, webhook_id, event, status, attempt, max_attempts, replay_of, response_code, duration_ms, next_retry, created_at
+             FROM {$table} WHERE {$where} ORDER BY id DESC LIMIT %d OFFSET %d",
+            self::DELIVERIES_PER_PAGE,
+            ( $page - 1 ) * self::DELIVERIES_PER_PAGE
+        ), ARRAY_A );
+        // phpcs:enable
+
+        wp_send_json_success( [
+            'deliveries' => array_map( [ $this, 'format_delivery' ], is_array( $rows ) ? $rows : [] ),
+            'page'       => $page,
+            'pages'      => (int) ceil( $total / self::DELIVERIES_PER_PAGE ),
+            'total'      => $total,
+        ] );
+    }
+
+    /**
+     * A delivery with its request and response, for the detail row.
+     */
+    public function ajax_delivery(): void {
+        $this->verify_request();
+
+        $delivery = $this->get_delivery( isset( $_POST['delivery_id'] ) ? absint( $_POST['delivery_id'] ) : 0 );
+
+        if ( ! $delivery ) {
+            wp_send_json_error( [ 'message' => __( 'Delivery not found.', 'wptransformed' ) ] );
+        }
+
+        wp_send_json_success( [
+            'delivery' => array_merge( $this->format_delivery( $delivery ), [
+                'request_url'     => (string) $delivery['request_url'],
+                'request_headers' => (string) $delivery['request_headers'],
+                'request_body'    => (string) $delivery['request_body'],
+                'response_body'   => (string) $delivery['response_body'],
+                'error'           => (string) $delivery['error'],
+            ] ),
+        ] );
+    }
+
+    /**
+     * Send a past delivery's event again, once, with the webhook's
+     * current URL and settings.
+     */
+    public function ajax_replay(): void {
+        $this->verify_request();
+
+        $original = $this->get_delivery( isset( $_POST['delivery_id'] ) ? absint( $_POST['delivery_id'] ) : 0 );
+        $webhook  = $original ? $this->get_webhook( (int) $original['webhook_id'] ) : null;
+
+        if ( ! $original || ! $webhook ) {
+            wp_send_json_error( [ 'message' => __( 'Delivery not found.', 'wptransformed' ) ] );
+        }
+
+        $delivery = $this->dispatch( $webhook, (string) $original['event'], $this->delivery_context( $original ), [
+            'replay_of' => (int) $original['id'],
+        ] );
+
+        $this->send_delivery_result( $delivery );
+    }
+
+    /**
+     * Answer a test or replay with the delivery it made.
+     *
+     * @param array|null $delivery Delivery as the log lists it.
+     */
+    private function send_delivery_result( ?array $delivery ): void {
+        if ( ! $delivery ) {
+            wp_send_json_error( [ 'message' => __( 'The delivery could not be recorded.', 'wptransformed' ) ] );
+        }
+
+        $message = $delivery['response_code']
+            /* translators: %d: HTTP status code */
+            ? sprintf( __( 'Webhook answered HTTP %d.', 'wptransformed' ), $delivery['response_code'] )
+            : __( 'The webhook did not answer.', 'wptransformed' );
+
+        wp_send_json_success( [ 'delivery' => $delivery, 'message' => $message ] );
+    }
+
+    // ── Settings UI ───────────────────────────────────────────
+
+    public function render_settings(): void {
+        ?>
+        <div class="wpt-webhook-manager">
+            <div id="wpt-webhook-form">
+                <h3><?php esc_html_e( 'Add Webhook', 'wptransformed' ); ?></h3>
+                <input type="hidden" id="wpt-webhook-edit-id" value="0">
+
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="wpt-webhook-name"><?php esc_html_e( 'Name', 'wptransformed' ); ?></label></th>
+                        <td><input type="text" id="wpt-webhook-name" class="regular-text"></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="wpt-webhook-url"><?php esc_html_e( 'URL', 'wptransformed' ); ?></label></th>
+                        <td><input type="url" id="wpt-webhook-url" class="large-text code" placeholder="https://"></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="wpt-webhook-event"><?php esc_html_e( 'Event', 'wptransformed' ); ?></label></th>
+                        <td>
+                            <select id="wpt-webhook-event">
+                                <?php foreach ( $this->get_event_catalog() as $hook => $entry ) : ?>
+                                    <option value="<?php echo esc_attr( $hook ); ?>"><?php echo esc_html( $entry['label'] ); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="wpt-webhook-headers"><?php esc_html_e( 'Headers', 'wptransformed' ); ?></label></th>
+                        <td>
+                            <textarea id="wpt-webhook-headers" rows="3" class="large-text code" placeholder='{"X-Api-Key": "..."}'></textarea>
+                            <p class="description"><?php esc_html_e( 'Optional JSON object of extra request headers; values may use {{merge.tags}}.', 'wptransformed' ); ?></p>
+                        </td>
+                    </tr>
+                </table>
+
+                <p>
+                    <button type="button" class="button button-primary" id="wpt-webhook-save"><?php esc_html_e( 'Save Webhook', 'wptransformed' ); ?></button>
+                    <button type="button" class="button" id="wpt-webhook-cancel" style="display:none;"><?php esc_html_e( 'Cancel', 'wptransformed' ); ?></button>
+                    <span class="spinner" id="wpt-webhook-spinner"></span>
+                </p>
+            </div>
+
+            <h3><?php esc_html_e( 'Webhooks', 'wptransformed' ); ?></h3>
+            <div id="wpt-webhook-list"><span class="spinner is-active"></span></div>
+        </div>
+        <?php
+    }
+
+    // ── Assets ────────────────────────────────────────────────
+
+    public function enqueue_admin_assets( string $hook ): void {
+        if ( strpos( $hook, 'wptransformed' ) === false ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'wpt-webhook-manager',
+            WPT_URL . 'modules/utilities/css/webhook-manager.css',
+            [ 'wpt-merge-tags' ],
+            WPT_VERSION
+        );
+
+        wp_enqueue_script(
+            'wpt-webhook-manager',
+            WPT_URL . 'modules/utilities/js/webhook-manager.js',
+            [ 'wpt-api', 'wpt-merge-tags' ],
+            WPT_VERSION,
+            true
+        );
+
+        wp_localize_script( 'wpt-webhook-manager', 'wptWebhooks', [
+            'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+            'nonce'        => wp_create_nonce( 'wpt_webhook_nonce' ),
+            'nonceAction'  => 'wpt_webhook_nonce',
+            'events'       => wp_list_pluck( $this->get_event_catalog(), 'label' ),
+            'eventCatalog' => $this->get_catalog_with_samples(),
+            'postTypes'    => wp_list_pluck( get_post_types( [ 'show_ui' => true ], 'objects' ), 'label' ),
+            'roles'        => array_map( 'translate_user_role', wp_roles()->get_names() ),
+            'taxonomies'   => wp_list_pluck( get_taxonomies( [ 'show_ui' => true ], 'objects' ), 'label' ),
+            'i18n'         => [
+                'networkError'     => __( 'Network error. Please try again.', 'wptransformed' ),
+                'noWebhooks'       => __( 'No webhooks yet. Add one above to notify another service when something happens.', 'wptransformed' ),
+                'active'           => __( 'Active', 'wptransformed' ),
+                'inactive'         => __( 'Inactive', 'wptransformed' ),
+                'confirmTest'      => __( 'Send a test delivery with a recent item now?', 'wptransformed' ),
+                'testing'          => __( 'Sending…', 'wptransformed' ),
+                'confirmDelete'    => __( 'Delete this webhook and its delivery log? This cannot be undone.', 'wptransformed' ),
+                /* translators: %s: number of deliveries */
+                'failing'          => __( '%s failed in a row', 'wptransformed' ),
+                'deliveries'       => __( 'Deliveries', 'wptransformed' ),
+                'deliveryLog'      => __( 'Delivery log', 'wptransformed' ),
+                'filterStatus'     => __( 'Filter by status', 'wptransformed' ),
+                'allDeliveries'    => __( 'All deliveries', 'wptransformed' ),
+                'failedOnly'       => __( 'Failed and retrying', 'wptransformed' ),
+                'when'             => __( 'When', 'wptransformed' ),
+                'event'            => __( 'Event', 'wptransformed' ),
+                'response'         => __( 'Response', 'wptransformed' ),
+                'latency'          => __( 'Latency', 'wptransformed' ),
+                'attempt'          => __( 'Attempt', 'wptransformed' ),
+                'noDeliveries'     => __( 'No deliveries recorded yet.', 'wptransformed' ),
+                'loadMore'         => __( 'Load older deliveries', 'wptransformed' ),
+                'noResponse'       => __( 'No response', 'wptransformed' ),
+                'queued'           => __( 'Queued', 'wptransformed' ),
+                /* translators: %s: delivery ID */
+                'replayOf'         => __( 'replay of #%s', 'wptransformed' ),
+                /* translators: %s: time until the retry, e.g. "in 2 mins" */
+                'nextRetry'        => __( 'retrying %s', 'wptransformed' ),
+                'details'          => __( 'Details', 'wptransformed' ),
+                'replay'           => __( 'Replay', 'wptransformed' ),
+                'confirmReplay'    => __( 'Send this delivery again with the same payload?', 'wptransformed' ),
+                'request'          => __( 'Request', 'wptransformed' ),
+                'responseBody'     => __( 'Response', 'wptransformed' ),
+                'emptyBody'        => __( '(empty)', 'wptransformed' ),
+                'formatJson'       => __( 'JSON (event payload)', 'wptransformed' ),
+                'formatForm'       => __( 'Form-encoded (event payload)', 'wptransformed' ),
+                'formatCustom'     => __( 'Custom template', 'wptransformed' ),
+                'payloadFormat'    => __( 'Payload format', 'wptransformed' ),
+                'chatMessage'      => __( 'Message', 'wptransformed' ),
+                'chatMessageHelp'  => __( 'Sent as the message text; supports {{merge.tags}}.', 'wptransformed' ),
+                'bodyTemplate'     => __( 'Body template', 'wptransformed' ),
+                'contentType'      => __( 'Content-Type', 'wptransformed' ),
+                'bodyPreview'      => __( 'Body preview', 'wptransformed' ),
+                'templateEmpty'    => __( 'The body template is empty.', 'wptransformed' ),
+                'templateJson'     => __( 'The rendered template is not valid JSON:', 'wptransformed' ),
+                'messageRequired'  => __( 'Enter the message to send.', 'wptransformed' ),
+                'authentication'   => __( 'Authentication', 'wptransformed' ),
+                'authNone'         => __( 'None', 'wptransformed' ),
+                'authBearer'       => __( 'Bearer token', 'wptransformed' ),
+                'authBasic'        => __( 'Basic auth', 'wptransformed' ),
+                'authToken'        => __( 'Token', 'wptransformed' ),
+                'authUser'         => __( 'Username', 'wptransformed' ),
+                'authPass'         => __( 'Password', 'wptransformed' ),
+                'tokenRequired'    => __( 'Enter the bearer token.', 'wptransformed' ),
+                'basicRequired'    => __( 'Enter the username and password.', 'wptransformed' ),
+                'signing'          => __( 'Signing', 'wptransformed' ),
+                'signRequests'     => __( 'Sign requests with HMAC-SHA256', 'wptransformed' ),
+                'signHelp'         => __( 'Adds X-WPT-Timestamp and X-WPT-Signature: sha256=HMAC(secret, "timestamp.body") so the receiver can verify the call and reject replays.', 'wptransformed' ),
+                'secret'           => __( 'Secret', 'wptransformed' ),
+                'generate'         => __( 'Generate', 'wptransformed' ),
+                'show'             => __( 'Show', 'wptransformed' ),
+                'keepSecret'       => __( 'Saved — leave blank to keep', 'wptransformed' ),
+                'confirmNewSecret' => __( 'Replace the saved secret? The receiver must be given the new one.', 'wptransformed' ),
+                'secretRequired'   => __( 'Enter or generate a signing secret.', 'wptransformed' ),
+                /* translators: %d: minimum number of characters */
+                'secretShort'      => sprintf( __( 'Use a signing secret of at least %d characters.', 'wptransformed' ), self::MIN_SECRET_LENGTH ),
+                'badgeBearer'      => __( 'Bearer', 'wptransformed' ),
+                'badgeBasic'       => __( 'Basic auth', 'wptransformed' ),
+                'badgeSigned'      => __( 'Signed', 'wptransformed' ),
+                'badgeFiltered'    => __( 'Filtered', 'wptransformed' ),
+                'eventRequired'    => __( 'Choose at least one event.', 'wptransformed' ),
+                'searchEvents'     => __( 'Filter events…', 'wptransformed' ),
+                'samplePayload'    => __( 'Sample payload', 'wptransformed' ),
+                'onlyWhen'         => __( 'Only when:', 'wptransformed' ),
+                'filterPostTypes'  => __( 'Post types', 'wptransformed' ),
+                'filterTaxonomy'   => __( 'In taxonomy', 'wptransformed' ),
+                'anyTaxonomy'      => __( '— any —', 'wptransformed' ),
+                'termsHint'        => __( 'Comma-separated names, slugs or IDs', 'wptransformed' ),
+                'filterRoles'      => __( 'User roles', 'wptransformed' ),
+                'groupPosts'       => __( 'Posts & pages', 'wptransformed' ),
+                'groupComments'    => __( 'Comments', 'wptransformed' ),
+                'groupUsers'       => __( 'Users', 'wptransformed' ),
+                'groupPlugins'     => __( 'Plugins & themes', 'wptransformed' ),
+                'groupForms'       => __( 'Forms', 'wptransformed' ),
+                'groupOther'       => __( 'Other', 'wptransformed' ),
+            ],
+        ] );
+    }
+
+    // ── Cleanup ───────────────────────────────────────────────
+
+    public function get_cleanup_tasks(): array {
+        return [
+            [ 'type' => 'table', 'name' => self::WEBHOOKS_TABLE ],
+            [ 'type' => 'table', 'name' => self::DELIVERIES_TABLE ],
+            [ 'type' => 'option', 'key' => self::DB_VERSION_KEY ],
+            [ 'type' => 'transient', 'key' => self::CACHE_KEY ],
+            [ 'type' => 'cron', 'hook' => self::RETRY_HOOK ],
+        ];
+    }
+}
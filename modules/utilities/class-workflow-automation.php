@@ -0,0 +1,3363 @@
+<?php
+declare(strict_types=1);
+
+namespace WPTransformed\Modules\Utilities;
+
+if ( ! defined( 'ABSPATH' ) ) exit;
+
+use WPTransformed\Core\Core;
+use WPTransformed\Core\Event_Context;
+use WPTransformed\Core\Merge_Tags;
+use WPTransformed\Core\Settings;
+use WPTransformed\Modules\CustomCode\Code_Snippets;
+use WPTransformed\Modules\Module_Base;
+
+/**
+ * Workflow Automation -- "When this happens, and these conditions hold,
+ * do that" rules for WordPress events.
+ *
+ * Features:
+ *  - Rules stored in a custom table: trigger hook, condition tree, steps
+ *  - Condition trees of nested all/any groups over dotted payload fields
+ *  - Steps: actions, delays and if/else branches, nested up to MAX_DEPTH
+ *  - Delays park the remaining steps in a queue table and resume them
+ *    from a single cron event
+ *  - Actions: send email, POST a webhook, set a meta value, clear caches,
+ *    change a user's role, update a post, toggle a module, run a Code
+ *    Snippet, queue an admin notice, add a redirect, schedule a cron event
+ *  - Rules remember who last saved them; privileged actions only run
+ *    while that user still holds the capability in ACTION_CAPS
+ *  - Action fields take {{merge.tags}}, rendered by Merge_Tags with the
+ *    same filters as the builder's preview
+ *  - Payloads describe posts, users and comments as Event_Context does,
+ *    so conditions read `post.type` or `user.roles`
+ *  - Log of the last LOG_LIMIT runs with a result per action
+ *  - Dry run against a recent post, comment or user, evaluated by the
+ *    same code as live runs; nothing is sent or saved
+ *  - Inbound webhook endpoints: a signed POST to an endpoint's REST URL
+ *    runs the rules triggered by `wpt_inbound_<slug>` with its JSON body
+ *    as `payload`; every request is logged, accepted or not
+ *  - Schedule trigger: rules run every N minutes or hours, daily, weekly
+ *    or on a cron expression in a timezone; each rule's next run is one
+ *    cron event, named in the Cron Manager
+ *  - Rule builder with flow view (js/workflow-automation.js)
+ *
+ * @package WPTransformed
+ */
+class Workflow_Automation extends Module_Base {
+
+    /**
+     * Rules table, without the site prefix.
+     */
+    private const RULES_TABLE = 'wpt_automation_rules';
+
+    /**
+     * Delayed runs waiting to resume, without the site prefix.
+     */
+    private const QUEUE_TABLE = 'wpt_automation_queue';
+
+    /**
+     * Option holding the schema version.
+     */
+    private const DB_VERSION_KEY = 'wpt_workflow_automation_db_version';
+
+    /**
+     * Current schema version.
+     */
+    private const DB_VERSION = '1.3';
+
+    /**
+     * Transient caching active rules for trigger registration.
+     */
+    private const CACHE_KEY = 'wpt_automation_rules_cache';
+
+    /**
+     * Option holding the run log, newest first.
+     */
+    private const LOG_OPTION = 'wpt_automation_log';
+
+    /**
+     * Runs kept in the log.
+     */
+    private const LOG_LIMIT = 50;
+
+    /**
+     * Cron hook that resumes a delayed run; args [queue_id].
+     */
+    private const RESUME_HOOK = 'wpt_automation_resume';
+
+    /**
+     * Maximum nesting of condition groups and if/else branches,
+     * matching the builder's maxDepth.
+     */
+    private const MAX_DEPTH = 3;
+
+    /**
+     * Maximum actions per rule, counted across all branches.
+     */
+    private const MAX_ACTIONS = 10;
+
+    /**
+     * Seconds per delay unit.
+     */
+    private const DELAY_UNITS = [
+        'minutes' => MINUTE_IN_SECONDS,
+        'hours'   => HOUR_IN_SECONDS,
+        'days'    => DAY_IN_SECONDS,
+    ];
+
+    /**
+     * Condition operators the evaluator understands.
+     */
+    private const OPERATORS = [ '==', '!=', 'contains', 'not_contains', 'starts_with', 'ends_with', 'empty', 'not_empty', '>', '<', '>=', '<=' ];
+
+    /**
+     * Trigger hooks and how many arguments each passes.
+     */
+    private const TRIGGERS = [
+        'transition_post_status' => 3,
+        'publish_post'           => 2,
+        'save_post'              => 3,
+        'wp_trash_post'          => 1,
+        'comment_post'           => 2,
+        'user_register'          => 1,
+        'profile_update'         => 1,
+        'wp_login'               => 2,
+        'set_user_role'          => 3,
+        'delete_user'            => 1,
+    ];
+
+    /**
+     * Fields of each action type and how they are sanitized: 'text'
+     * (single line), 'textarea' (multi-line), 'raw' (kept verbatim,
+     * e.g. a JSON body), 'key', 'int', 'bool', or a list of allowed
+     * values whose first entry is the default.
+     */
+    private const ACTION_FIELDS = [
+        'send_email'       => [ 'to' => 'text', 'subject' => 'text', 'body' => 'textarea' ],
+        'send_webhook'     => [ 'url' => 'text', 'payload' => 'raw' ],
+        'set_meta'         => [ 'meta_key' => 'text', 'meta_value' => 'textarea' ],
+        'clear_caches'     => [],
+        'change_user_role' => [ 'user' => 'text', 'mode' => [ 'set', 'add', 'remove' ], 'role' => 'key' ],
+        'update_post'      => [ 'post' => 'text', 'status' => 'key', 'author' => 'text', 'taxonomy' => 'key', 'terms' => 'text', 'terms_mode' => [ 'append', 'replace', 'remove' ] ],
+        'toggle_module'    => [ 'module' => 'key', 'state' => [ 'on', 'off' ] ],
+        'run_snippet'      => [ 'snippet' => 'int' ],
+        'admin_notice'     => [ 'level' => [ 'info', 'success', 'warning', 'error' ], 'audience' => 'text', 'message' => 'textarea', 'dismissible' => 'bool' ],
+        'add_redirect'     => [ 'source_url' => 'text', 'target_url' => 'text', 'redirect_type' => [ '301', '302', '307' ] ],
+        'schedule_event'   => [ 'hook' => 'text', 'args' => 'raw', 'delay' => 'int', 'delay_unit' => [ 'hours', 'minutes', 'days' ] ],
+    ];
+
+    /**
+     * Fields an action cannot run without.
+     */
+    private const ACTION_REQUIRED = [
+        'send_email'       => [ 'to' ],
+        'send_webhook'     => [ 'url' ],
+        'set_meta'         => [ 'meta_key' ],
+        'change_user_role' => [ 'user', 'role' ],
+        'update_post'      => [ 'post' ],
+        'toggle_module'    => [ 'module' ],
+        'run_snippet'      => [ 'snippet' ],
+        'admin_notice'     => [ 'message' ],
+        'add_redirect'     => [ 'source_url', 'target_url' ],
+        'schedule_event'   => [ 'hook' ],
+    ];
+
+    /**
+     * Capability the rule's author must still hold when an action runs.
+     * Checked at run time, not save time, so a demoted author's rules
+     * stop doing what they no longer may. Object-level checks (editing
+     * this post, promoting this user) happen in the action itself.
+     */
+    private const ACTION_CAPS = [
+        'change_user_role' => 'promote_users',
+        'update_post'      => 'edit_posts',
+        'set_meta'         => 'manage_options',
+        'toggle_module'    => 'manage_options',
+        'run_snippet'      => 'manage_options',
+        'admin_notice'     => 'manage_options',
+        'add_redirect'     => 'manage_options',
+        'schedule_event'   => 'manage_options',
+    ];
+
+    /**
+     * Action fields rendered with Merge_Tags before the action runs,
+     * the fields the builder attaches the merge-tag picker to.
+     */
+    private const MERGE_TAG_FIELDS = [ 'to', 'subject', 'body', 'url', 'payload', 'meta_value', 'user', 'post', 'author', 'terms', 'message', 'source_url', 'target_url', 'args' ];
+
+    /**
+     * User meta holding admin notices waiting for the user's next admin
+     * page, where the Notification Center picks them up.
+     */
+    private const NOTICES_META = 'wpt_automation_notices';
+
+    /**
+     * Most notices kept waiting per user.
+     */
+    private const NOTICE_LIMIT = 20;
+
+    /**
+     * Inbound webhook endpoints, without the site prefix.
+     */
+    private const ENDPOINTS_TABLE = 'wpt_automation_endpoints';
+
+    /**
+     * Requests received by inbound endpoints, without the site prefix.
+     */
+    private const INBOUND_LOG_TABLE = 'wpt_automation_inbound_log';
+
+    /**
+     * Trigger hook prefix of inbound endpoints; the slug follows.
+     */
+    private const INBOUND_PREFIX = 'wpt_inbound_';
+
+    /**
+     * REST namespace of the inbound receiver route.
+     */
+    private const REST_NAMESPACE = 'wptransformed/v1';
+
+    /**
+     * Largest inbound body accepted, in bytes.
+     */
+    private const INBOUND_MAX_BYTES = 65536;
+
+    /**
+     * How far X-WPT-Timestamp may be from now, so a captured request
+     * cannot be replayed later.
+     */
+    private const SIGNATURE_TOLERANCE = 5 * MINUTE_IN_SECONDS;
+
+    /**
+     * Transient prefix marking a signature as received, so a captured
+     * request cannot be sent again within SIGNATURE_TOLERANCE either.
+     */
+    private const SEEN_SIGNATURE_PREFIX = 'wpt_inbound_seen_';
+
+    /**
+     * Requests kept in the log per endpoint.
+     */
+    private const INBOUND_LOG_LIMIT = 200;
+
+    /**
+     * Logged requests per page.
+     */
+    private const INBOUND_PER_PAGE = 20;
+
+    /**
+     * Characters of a request body kept in the log.
+     */
+    private const INBOUND_BODY_EXCERPT = 10000;
+
+    /**
+     * Trigger hook of rules that run on a schedule instead of an event.
+     */
+    private const SCHEDULE_HOOK = 'wpt_schedule';
+
+    /**
+     * Cron hook booked for a scheduled rule's next run; args [rule_id].
+     */
+    private const SCHEDULED_HOOK = 'wpt_automation_scheduled';
+
+    /**
+     * Cron expression fields in order, with their ranges. 7 is Sunday too.
+     */
+    private const CRON_FIELDS = [
+        'minute'  => [ 0, 59 ],
+        'hour'    => [ 0, 23 ],
+        'day'     => [ 1, 31 ],
+        'month'   => [ 1, 12 ],
+        'weekday' => [ 0, 7 ],
+    ];
+
+    /**
+     * Names cron fields accept, in order from the field's first value.
+     */
+    private const CRON_NAMES = [
+        'month'   => [ 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec' ],
+        'weekday' => [ 'sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat' ],
+    ];
+
+    /**
+     * Set while a rule's steps run, so actions that fire trigger hooks
+     * themselves (saving a post, changing a role) do not start new runs.
+     *
+     * @var bool
+     */
+    private bool $running = false;
+
+    // ── Identity ──────────────────────────────────────────────
+
+    public function get_id(): string {
+        return 'workflow-automation';
+    }
+
+    public function get_title(): string {
+        return __( 'Workflow Automation', 'wptransformed' );
+    }
+
+    public function get_category(): string {
+        return 'utilities';
+    }
+
+    public function get_description(): string {
+        return __( 'If-this-then-that rules: run emails, webhooks and other actions when posts, comments or users change.', 'wptransformed' );
+    }
+
+    public function get_keywords(): array {
+        /* translators: comma-separated search synonyms for this module */
+        return array_map( 'trim', explode( ',', __( 'automation, rules, trigger, ifttt, zapier, workflow, when then', 'wptransformed' ) ) );
+    }
+
+    // ── Lifecycle ─────────────────────────────────────────────
+
+    public function init(): void {
+        $this->maybe_create_tables();
+
+        // Only hooks some active rule listens to.
+        $hooks = array_unique( wp_list_pluck( $this->get_active_rules(), 'trigger_hook' ) );
+
+        foreach ( $hooks as $hook ) {
+            if ( isset( self::TRIGGERS[ $hook ] ) ) {
+                add_action(
+                    $hook,
+                    function ( ...$args ) use ( $hook ) {
+                        $this->handle_trigger( $hook, $args );
+                    },
+                    20,
+                    self::TRIGGERS[ $hook ]
+                );
+            }
+        }
+
+        // Rebook scheduled rules whose event went missing, e.g. after
+        // the module was switched off and on again.
+        foreach ( $this->get_active_rules() as $rule ) {
+            if ( $rule['trigger_hook'] === self::SCHEDULE_HOOK && ! wp_next_scheduled( self::SCHEDULED_HOOK, [ (int) $rule['id'] ] ) ) {
+                $this->book_schedule( (int) $rule['id'] );
+            }
+        }
+
+        add_action( self::RESUME_HOOK, [ $this, 'resume_run' ] );
+        add_action( self::SCHEDULED_HOOK, [ $this, 'run_scheduled' ] );
+        add_filter( 'wpt_cron_event_details', [ $this, 'describe_cron_event' ], 10, 3 );
+        add_action( 'admin_notices', [ $this, 'render_notices' ] );
+        add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+
+        // AJAX handlers.
+        add_action( 'wp_ajax_wpt_automation_save_rule',   [ $this, 'ajax_save_rule' ] );
+        add_action( 'wp_ajax_wpt_automation_get_rule',    [ $this, 'ajax_get_rule' ] );
+        add_action( 'wp_ajax_wpt_automation_delete_rule', [ $this, 'ajax_delete_rule' ] );
+        add_action( 'wp_ajax_wpt_automation_toggle_rule', [ $this, 'ajax_toggle_rule' ] );
+        add_action( 'wp_ajax_wpt_automation_get_log',     [ $this, 'ajax_get_log' ] );
+        add_action( 'wp_ajax_wpt_automation_get_samples', [ $this, 'ajax_get_samples' ] );
+        add_action( 'wp_ajax_wpt_automation_test_rule',   [ $this, 'ajax_test_rule' ] );
+
+        add_action( 'wp_ajax_wpt_automation_inbound_list',   [ $this, 'ajax_inbound_list' ] );
+        add_action( 'wp_ajax_wpt_automation_inbound_save',   [ $this, 'ajax_inbound_save' ] );
+        add_action( 'wp_ajax_wpt_automation_inbound_rotate', [ $this, 'ajax_inbound_rotate' ] );
+        add_action( 'wp_ajax_wpt_automation_inbound_delete', [ $this, 'ajax_inbound_delete' ] );
+        add_action( 'wp_ajax_wpt_automation_inbound_log',    [ $this, 'ajax_inbound_log' ] );
+    }
+
+    /**
+     * Delayed steps do not survive deactivation; scheduled rules are
+     * booked again when the module starts.
+     */
+    public function deactivate(): void {
+        global $wpdb;
+
+        wp_unschedule_hook( self::RESUME_HOOK );
+        wp_unschedule_hook( self::SCHEDULED_HOOK );
+
+        $table = $wpdb->prefix . self::QUEUE_TABLE;
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $wpdb->query( "DELETE FROM {$table}" );
+
+        delete_transient( self::CACHE_KEY );
+    }
+
+    // ── Table Creation ────────────────────────────────────────
+
+    /**
+     * Create the rules, queue and inbound tables if they don't exist.
+     */
+    private function maybe_create_tables(): void {
+        if ( get_option( self::DB_VERSION_KEY, '' ) === self::DB_VERSION ) {
+            return;
+        }
+
+        global $wpdb;
+
+        $charset_collate = $wpdb->get_charset_collate();
+        $rules_table     = $wpdb->prefix . self::RULES_TABLE;
+        $queue_table     = $wpdb->prefix . self::QUEUE_TABLE;
+        $endpoints_table = $wpdb->prefix . self::ENDPOINTS_TABLE;
+        $inbound_table   = $wpdb->prefix . self::INBOUND_LOG_TABLE;
+
+        $sql_rules = "CREATE TABLE {$rules_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(191) NOT NULL,
+            trigger_hook VARCHAR(191) NOT NULL,
+            conditions LONGTEXT NOT NULL,
+            actions LONGTEXT NOT NULL,
+            schedule LONGTEXT NULL,
+            author_id BIGINT UNSIGNED DEFAULT 0,
+            is_active TINYINT(1) DEFAULT 1,
+            run_count BIGINT UNSIGNED DEFAULT 0,
+            last_run DATETIME NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_active (is_active)
+        ) {$charset_collate};";
+
+        // Steps left after a delay, with the payload they run against.
+        $sql_queue = "CREATE TABLE {$queue_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            rule_id BIGINT UNSIGNED NOT NULL,
+            trigger_hook VARCHAR(191) NOT NULL,
+            steps LONGTEXT NOT NULL,
+            payload LONGTEXT NOT NULL,
+            run_at DATETIME NOT NULL,
+            INDEX idx_rule (rule_id)
+        ) {$charset_collate};";
+
+        // The secret is encrypted; the sample is the last accepted body.
+        $sql_endpoints = "CREATE TABLE {$endpoints_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            slug VARCHAR(64) NOT NULL,
+            name VARCHAR(191) NOT NULL,
+            secret TEXT NOT NULL,
+            received BIGINT UNSIGNED DEFAULT 0,
+            last_received DATETIME NULL,
+            sample LONGTEXT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY idx_slug (slug)
+        ) {$charset_collate};";
+
+        // received_at is GMT.
+        $sql_inbound = "CREATE TABLE {$inbound_table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            endpoint_id BIGINT UNSIGNED NOT NULL,
+            received_at DATETIME NOT NULL,
+            ip VARCHAR(45) NOT NULL DEFAULT '',
+            status VARCHAR(20) NOT NULL,
+            error VARCHAR(255) NOT NULL DEFAULT '',
+            rules_run INT UNSIGNED DEFAULT 0,
+            body LONGTEXT NULL,
+            INDEX idx_endpoint (endpoint_id, id)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        dbDelta( $sql_rules );
+        dbDelta( $sql_queue );
+        dbDelta( $sql_endpoints );
+        dbDelta( $sql_inbound );
+
+        update_option( self::DB_VERSION_KEY, self::DB_VERSION, true );
+    }
+
+    // ── Triggers ──────────────────────────────────────────────
+
+    /**
+     * Trigger hooks offered in the builder.
+     *
+     * @return array<string, array{label: string, group: string, subjects: string[]}>
+     */
+    private function get_triggers(): array {
+        $posts    = __( 'Posts', 'wptransformed' );
+        $comments = __( 'Comments', 'wptransformed' );
+        $users    = __( 'Users', 'wptransformed' );
+
+        return [
+            'publish_post'           => [ 'label' => __( 'Post published', 'wptransformed' ), 'group' => $posts, 'subjects' => [ 'post' ] ],
+            'transition_post_status' => [ 'label' => __( 'Post status changed', 'wptransformed' ), 'group' => $posts, 'subjects' => [ 'post' ] ],
+            'save_post'              => [ 'label' => __( 'Post saved', 'wptransformed' ), 'group' => $posts, 'subjects' => [ 'post' ] ],
+            'wp_trash_post'          => [ 'label' => __( 'Post moved to trash', 'wptransformed' ), 'group' => $posts, 'subjects' => [ 'post' ] ],
+            'comment_post'           => [ 'label' => __( 'Comment posted', 'wptransformed' ), 'group' => $comments, 'subjects' => [ 'comment', 'post' ] ],
+            'user_register'          => [ 'label' => __( 'User registered', 'wptransformed' ), 'group' => $users, 'subjects' => [ 'user' ] ],
+            'profile_update'         => [ 'label' => __( 'User profile updated', 'wptransformed' ), 'group' => $users, 'subjects' => [ 'user' ] ],
+            'wp_login'               => [ 'label' => __( 'User logged in', 'wptransformed' ), 'group' => $users, 'subjects' => [ 'user' ] ],
+            'set_user_role'          => [ 'label' => __( 'User role changed', 'wptransformed' ), 'group' => $users, 'subjects' => [ 'user' ] ],
+            'delete_user'            => [ 'label' => __( 'User deleted', 'wptransformed' ), 'group' => $users, 'subjects' => [ 'user' ] ],
+        ];
+    }
+
+    /**
+     * Whether rules may use a hook as their trigger: a known WordPress
+     * hook, the schedule or an existing inbound endpoint.
+     *
+     * @param string $hook Trigger hook.
+     * @return bool
+     */
+    private function is_trigger( string $hook ): bool {
+        return isset( self::TRIGGERS[ $hook ] ) || $hook === self::SCHEDULE_HOOK || $this->get_endpoint_by_hook( $hook ) !== null;
+    }
+
+    /**
+     * Run every active rule listening to a hook that just fired.
+     *
+     * @param string $hook Trigger hook.
+     * @param array  $args Hook arguments.
+     * @return int Rules whose conditions matched.
+     */
+    private function handle_trigger( string $hook, array $args ): int {
+        if ( $this->running ) {
+            return 0;
+        }
+
+        $payload = $this->build_payload( $hook, $args );
+        if ( $payload === null ) {
+            return 0;
+        }
+
+        $ran = 0;
+        foreach ( $this->get_active_rules() as $rule ) {
+            if ( $rule['trigger_hook'] === $hook && $this->run_rule( $rule, $payload ) ) {
+                $ran++;
+            }
+        }
+
+        return $ran;
+    }
+
+    /**
+     * Payload a trigger's conditions and actions read, or null when
+     * the event is not worth a run (revisions, autosaves, missing objects).
+     *
+     * @param string $hook Trigger hook.
+     * @param array  $args Hook arguments.
+     * @return array|null
+     */
+    private function build_payload( string $hook, array $args ): ?array {
+        // Inbound endpoints pass the payload the receiver built.
+        if ( strpos( $hook, self::INBOUND_PREFIX ) === 0 ) {
+            return isset( $args[0] ) && is_array( $args[0] ) ? $args[0] : null;
+        }
+
+        switch ( $hook ) {
+            case 'transition_post_status':
+                $post = $this->event_post( $args[2] ?? null );
+                return $post === null || $args[0] === 'auto-draft' ? null : [
+                    'post'       => Event_Context::post( $post ),
+                    'old_status' => (string) $args[1],
+                    'new_status' => (string) $args[0],
+                ];
+
+            case 'save_post':
+                $post = $this->event_post( $args[1] ?? null );
+                return $post === null || $post->post_status === 'auto-draft' ? null : [
+                    'post'   => Event_Context::post( $post ),
+                    'update' => ! empty( $args[2] ),
+                ];
+
+            case 'publish_post':
+            case 'wp_trash_post':
+                $post = $this->event_post( get_post( (int) $args[0] ) );
+                return $post === null ? null : [ 'post' => Event_Context::post( $post ) ];
+
+            case 'comment_post':
+                $comment = get_comment( (int) $args[0] );
+                if ( ! $comment instanceof \WP_Comment ) {
+                    return null;
+                }
+                $post = get_post( (int) $comment->comment_post_ID );
+                return [
+                    'comment' => Event_Context::comment( $comment ),
+                    'post'    => $post instanceof \WP_Post ? Event_Context::post( $post ) : [],
+                ];
+
+            case 'user_register':
+            case 'profile_update':
+            case 'delete_user':
+            case 'set_user_role':
+                $user = get_userdata( (int) $args[0] );
+                if ( ! $user instanceof \WP_User ) {
+                    return null;
+                }
+                $payload = [ 'user' => Event_Context::user( $user ) ];
+                if ( $hook === 'set_user_role' ) {
+                    $payload['role']      = (string) $args[1];
+                    $payload['old_roles'] = array_values( (array) ( $args[2] ?? [] ) );
+                }
+                return $payload;
+
+            case 'wp_login':
+                $user = $args[1] ?? null;
+                return $user instanceof \WP_User ? [ 'user' => Event_Context::user( $user ) ] : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * The post behind a post event, or null for revisions and autosaves.
+     *
+     * @param mixed $post Hook argument.
+     * @return \WP_Post|null
+     */
+    private function event_post( $post ): ?\WP_Post {
+        if ( ! $post instanceof \WP_Post || wp_is_post_revision( $post ) || wp_is_post_autosave( $post ) ) {
+            return null;
+        }
+        return $post;
+    }
+
+    // ── Schedules ─────────────────────────────────────────────
+
+    /**
+     * Book a rule's next run, replacing any booked before. Rules that are
+     * off, deleted or not scheduled are left unbooked.
+     *
+     * @param int $rule_id Rule ID.
+     */
+    private function book_schedule( int $rule_id ): void {
+        wp_clear_scheduled_hook( self::SCHEDULED_HOOK, [ $rule_id ] );
+
+        $rule = $this->get_rule( $rule_id );
+        if ( ! $rule || ! (int) $rule['is_active'] || $rule['trigger_hook'] !== self::SCHEDULE_HOOK ) {
+            return;
+        }
+
+        $schedule = json_decode( (string) $rule['schedule'], true );
+        $next     = is_array( $schedule ) ? $this->next_run( $schedule, time() ) : null;
+
+        if ( $next !== null ) {
+            wp_schedule_single_event( $next, self::SCHEDULED_HOOK, [ $rule_id ] );
+        }
+    }
+
+    /**
+     * Cron callback: run a scheduled rule and book its next run.
+     *
+     * @param int $rule_id Rule ID.
+     */
+    public function run_scheduled( $rule_id ): void {
+        $rule = $this->get_rule( (int) $rule_id );
+        if ( ! $rule || ! (int) $rule['is_active'] || $rule['trigger_hook'] !== self::SCHEDULE_HOOK ) {
+            return;
+        }
+
+        $schedule = json_decode( (string) $rule['schedule'], true );
+        if ( ! is_array( $schedule ) ) {
+            return;
+        }
+
+        // Booked first, so a failing action does not end the schedule.
+        $this->book_schedule( (int) $rule['id'] );
+
+        $this->run_rule( $rule, $this->schedule_payload( $schedule, time() ) );
+    }
+
+    /**
+     * The payload a scheduled run's conditions and actions read.
+     *
+     * @param array $schedule Schedule.
+     * @param int   $time     Run time.
+     * @return array{schedule: array{run_at: string, timezone: string, description: string}}
+     */
+    private function schedule_payload( array $schedule, int $time ): array {
+        $zone = $this->schedule_timezone( (string) $schedule['timezone'] ) ?? new \DateTimeZone( 'UTC' );
+
+        return [
+            'schedule' => [
+                'run_at'      => ( new \DateTimeImmutable( '@' . $time ) )->setTimezone( $zone )->format( 'Y-m-d H:i:s' ),
+                'timezone'    => (string) $schedule['timezone'],
+                'description' => $this->describe_schedule( $schedule ),
+            ],
+        ];
+    }
+
+    /**
+     * Name a scheduled rule's cron event in the Cron Manager.
+     *
+     * @param array  $details Details so far.
+     * @param string $hook    Event hook.
+     * @param array  $args    Event arguments.
+     * @return array
+     */
+    public function describe_cron_event( $details, string $hook, $args ): array {
+        $details = (array) $details;
+
+        if ( $hook !== self::SCHEDULED_HOOK ) {
+            return $details;
+        }
+
+        $rule     = $this->get_rule( (int) ( ( (array) $args )[0] ?? 0 ) );
+        $schedule = $rule ? json_decode( (string) $rule['schedule'], true ) : null;
+
+        return array_merge( $details, [
+            'source'   => __( 'Workflow Automation', 'wptransformed' ),
+            /* translators: %s: rule name */
+            'label'    => $rule ? sprintf( __( 'Rule: %s', 'wptransformed' ), $rule['name'] ) : __( 'Deleted rule', 'wptransformed' ),
+            'url'      => admin_url( 'admin.php?page=wptransformed&module=' . $this->get_id() ),
+        ], is_array( $schedule ) ? [ 'schedule' => $this->describe_schedule( $schedule ) ] : [] );
+    }
+
+    /**
+     * The first run of a schedule after a time, or null when it never
+     * comes round. Intervals count from that time; other modes walk the
+     * wall clock of the schedule's timezone as the builder's preview does.
+     *
+     * @param array $schedule Sanitized schedule.
+     * @param int   $after    Timestamp.
+     * @return int|null
+     */
+    private function next_run( array $schedule, int $after ): ?int {
+        $zone = $this->schedule_timezone( (string) ( $schedule['timezone'] ?? '' ) );
+        if ( $zone === null ) {
+            return null;
+        }
+
+        if ( ( $schedule['mode'] ?? '' ) === 'interval' ) {
+            return $after + max( 1, (int) ( $schedule['every'] ?? 0 ) ) * ( ( $schedule['unit'] ?? '' ) === 'hours' ? HOUR_IN_SECONDS : MINUTE_IN_SECONDS );
+        }
+
+        $cron = $this->parse_cron( $this->schedule_cron( $schedule ) );
+        if ( $cron === null ) {
+            return null;
+        }
+
+        // Local time held in a UTC date, so DST changes do not move its fields.
+        $local = ( new \DateTimeImmutable( '@' . $after ) )->setTimezone( $zone );
+        $wall  = new \DateTimeImmutable( $local->format( 'Y-m-d H:i:00' ), new \DateTimeZone( 'UTC' ) );
+        $wall  = $wall->modify( '+1 minute' );
+
+        // "0 0 29 2 *" only comes round every four years; skipping whole
+        // months and days keeps even a long search cheap.
+        $limit = $wall->getTimestamp() + 25 * 366 * DAY_IN_SECONDS;
+
+        while ( $wall->getTimestamp() < $limit ) {
+            if ( empty( $cron['month'][ (int) $wall->format( 'n' ) ] ) ) {
+                $wall = $wall->modify( 'first day of next month midnight' );
+            } elseif ( ! $this->cron_day_matches( $cron, $wall ) ) {
+                $wall = $wall->modify( 'tomorrow' );
+            } elseif ( empty( $cron['hour'][ (int) $wall->format( 'G' ) ] ) ) {
+                $wall = $wall->setTime( (int) $wall->format( 'G' ) + 1, 0 );
+            } else {
+                if ( ! empty( $cron['minute'][ (int) $wall->format( 'i' ) ] ) ) {
+                    $run = ( new \DateTimeImmutable( $wall->format( 'Y-m-d H:i:s' ), $zone ) )->getTimestamp();
+
+                    // The hour repeated when clocks go back can map to the past.
+                    if ( $run > $after ) {
+                        return $run;
+                    }
+                }
+                $wall = $wall->modify( '+1 minute' );
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * A schedule's timezone: an IANA name or WordPress's manual "UTC+5.5"
+     * offsets. Null when it is not one.
+     *
+     * @param string $timezone Timezone.
+     * @return \DateTimeZone|null
+     */
+    private function schedule_timezone( string $timezone ): ?\DateTimeZone {
+        if ( preg_match( '/^UTC([+-]\d+(?:\.\d+)?)?$/', $timezone, $m ) ) {
+            $minutes = (int) round( (float) ( $m[1] ?? 0 ) * 60 );
+
+            return new \DateTimeZone( sprintf( '%s%02d:%02d', $minutes < 0 ? '-' : '+', intdiv( abs( $minutes ), 60 ), abs( $minutes ) % 60 ) );
+        }
+
+        try {
+            return $timezone !== '' ? new \DateTimeZone( $timezone ) : null;
+        } catch ( \Exception $e ) {
+            return null;
+        }
+    }
+
+    /**
+     * The site's timezone as the builder names it: the IANA name, or a
+     * manual offset as "UTC+5.5" the way Settings > General stores it.
+     *
+     * @return string
+     */
+    private function site_timezone(): string {
+        $name = (string) get_option( 'timezone_string' );
+        if ( $name !== '' ) {
+            return $name;
+        }
+
+        $offset = (float) get_option( 'gmt_offset' );
+
+        return $offset ? 'UTC' . ( $offset > 0 ? '+' : '' ) . $offset : 'UTC';
+    }
+
+    /**
+     * Daily and weekly schedules are cron expressions underneath.
+     *
+     * @param array $schedule Schedule.
+     * @return string
+     */
+    private function schedule_cron( array $schedule ): string {
+        if ( ( $schedule['mode'] ?? '' ) === 'cron' ) {
+            return (string) ( $schedule['cron'] ?? '' );
+        }
+
+        [ $hour, $minute ] = array_map( 'intval', explode( ':', (string) ( $schedule['time'] ?? '0:00' ) ) + [ 0, 0 ] );
+        $days = ( $schedule['mode'] ?? '' ) === 'weekly' ? implode( ',', (array) ( $schedule['days'] ?? [] ) ) : '*';
+
+        return $minute . ' ' . $hour . ' * * ' . $days;
+    }
+
+    /**
+     * A five-field cron expression as allowed values per field, or null
+     * when it does not parse. Takes *, lists, ranges, steps and jan/sun
+     * style names, as the builder does.
+     *
+     * @param string $expr Cron expression.
+     * @return array|null
+     */
+    private function parse_cron( string $expr ): ?array {
+        $parts = preg_split( '/\s+/', trim( $expr ) );
+        if ( ! is_array( $parts ) || count( $parts ) !== 5 ) {
+            return null;
+        }
+
+        $cron = [];
+        foreach ( array_keys( self::CRON_FIELDS ) as $i => $field ) {
+            $allowed = $this->parse_cron_field( $parts[ $i ], $field );
+            if ( $allowed === null ) {
+                return null;
+            }
+            $cron[ $field ] = $allowed;
+        }
+
+        $cron['weekday'][0] = ! empty( $cron['weekday'][0] ) || ! empty( $cron['weekday'][7] );
+
+        // As in Vixie cron, a restricted day and weekday match either one.
+        $cron['any_day']     = $parts[2][0] === '*';
+        $cron['any_weekday'] = $parts[4][0] === '*';
+
+        return $cron;
+    }
+
+    /**
+     * Values one cron field allows, keyed by value, or null.
+     *
+     * @param string $text  Field text.
+     * @param string $field Field name.
+     * @return array<int, bool>|null
+     */
+    private function parse_cron_field( string $text, string $field ): ?array {
+        [ $min, $max ] = self::CRON_FIELDS[ $field ];
+        $allowed       = [];
+
+        foreach ( explode( ',', $text ) as $part ) {
+            if ( ! preg_match( '/^(?:(\*)|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i', $part, $m ) ) {
+                return null;
+            }
+
+            $step = ( $m[4] ?? '' ) !== '' ? (int) $m[4] : 1;
+            $lo   = $m[1] !== '' ? $min : $this->cron_value( $m[2], $field );
+
+            if ( $m[1] !== '' ) {
+                $hi = $max;
+            } elseif ( ( $m[3] ?? '' ) !== '' ) {
+                $hi = $this->cron_value( $m[3], $field );
+            } else {
+                $hi = ( $m[4] ?? '' ) !== '' ? $max : $lo;
+            }
+
+            if ( $lo === null || $hi === null || $lo > $hi || $step < 1 ) {
+                return null;
+            }
+
+            for ( $value = $lo; $value <= $hi; $value += $step ) {
+                $allowed[ $value ] = true;
+            }
+        }
+
+        return $allowed;
+    }
+
+    /**
+     * A cron token as a number in the field's range, or null.
+     *
+     * @param string $token Number or name.
+     * @param string $field Field name.
+     * @return int|null
+     */
+    private function cron_value( string $token, string $field ): ?int {
+        $index = array_search( strtolower( $token ), self::CRON_NAMES[ $field ] ?? [], true );
+        if ( $index !== false ) {
+            return $index + ( $field === 'month' ? 1 : 0 );
+        }
+
+        [ $min, $max ] = self::CRON_FIELDS[ $field ];
+
+        return ctype_digit( $token ) && (int) $token >= $min && (int) $token <= $max ? (int) $token : null;
+    }
+
+    /**
+     * Whether a wall-clock date passes the day and weekday fields.
+     *
+     * @param array              $cron Parsed expression.
+     * @param \DateTimeImmutable $wall Wall-clock date.
+     * @return bool
+     */
+    private function cron_day_matches( array $cron, \DateTimeImmutable $wall ): bool {
+        $day     = ! empty( $cron['day'][ (int) $wall->format( 'j' ) ] );
+        $weekday = ! empty( $cron['weekday'][ (int) $wall->format( 'w' ) ] );
+
+        return $cron['any_day'] || $cron['any_weekday'] ? $day && $weekday : $day || $weekday;
+    }
+
+    /**
+     * One-line summary of a schedule, as the builder's flow view shows it.
+     *
+     * @param array $schedule Schedule.
+     * @return string
+     */
+    private function describe_schedule( array $schedule ): string {
+        global $wp_locale;
+
+        switch ( $schedule['mode'] ?? '' ) {
+            case 'interval':
+                $text = sprintf(
+                    /* translators: 1: number, 2: "minutes" or "hours" */
+                    __( 'Every %1$d %2$s', 'wptransformed' ),
+                    (int) $schedule['every'],
+                    $schedule['unit'] === 'hours' ? __( 'hours', 'wptransformed' ) : __( 'minutes', 'wptransformed' )
+                );
+                break;
+
+            case 'daily':
+                /* translators: %s: time of day, e.g. 09:00 */
+                $text = sprintf( __( 'Daily at %s', 'wptransformed' ), $schedule['time'] );
+                break;
+
+            case 'weekly':
+                $days = array_map( static function ( $day ) use ( $wp_locale ): string {
+                    return $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( (int) $day ) );
+                }, (array) $schedule['days'] );
+
+                /* translators: 1: comma-separated weekdays, 2: time of day */
+                $text = sprintf( __( 'Every %1$s at %2$s', 'wptransformed' ), implode( ', ', $days ), $schedule['time'] );
+                break;
+
+            default:
+                /* translators: %s: cron expression */
+                $text = sprintf( __( 'Cron %s', 'wptransformed' ), (string) ( $schedule['cron'] ?? '' ) );
+        }
+
+        return $text . ' (' . $schedule['timezone'] . ')';
+    }
+
+    /**
+     * Coerce a decoded schedule into the fields its mode uses, or null
+     * when it is incomplete, invalid or never comes round.
+     *
+     * @param mixed $raw Decoded schedule.
+     * @return array|null
+     */
+    private function sanitize_schedule( $raw ): ?array {
+        if ( ! is_array( $raw ) ) {
+            return null;
+        }
+
+        $mode     = is_string( $raw['mode'] ?? null ) ? $raw['mode'] : '';
+        $timezone = is_string( $raw['timezone'] ?? null ) && $raw['timezone'] !== '' ? $raw['timezone'] : $this->site_timezone();
+        $clean    = [ 'mode' => $mode ];
+
+        switch ( $mode ) {
+            case 'interval':
+                $clean['every'] = absint( $raw['every'] ?? 0 );
+                $clean['unit']  = ( $raw['unit'] ?? '' ) === 'hours' ? 'hours' : 'minutes';
+                if ( $clean['every'] < 1 ) {
+                    return null;
+                }
+                break;
+
+            case 'daily':
+            case 'weekly':
+                if ( ! preg_match( '/^(\d{1,2}):(\d{2})$/', (string) ( $raw['time'] ?? '' ), $m ) || (int) $m[1] > 23 || (int) $m[2] > 59 ) {
+                    return null;
+                }
+                $clean['time'] = sprintf( '%02d:%02d', (int) $m[1], (int) $m[2] );
+
+                if ( $mode === 'weekly' ) {
+                    $days = array_unique( array_map( 'intval', array_filter( (array) ( $raw['days'] ?? [] ), 'is_numeric' ) ) );
+                    $days = array_values( array_filter( $days, static function ( int $day ): bool {
+                        return $day >= 0 && $day <= 6;
+                    } ) );
+                    sort( $days );
+                    if ( ! $days ) {
+                        return null;
+                    }
+                    $clean['days'] = $days;
+                }
+                break;
+
+            case 'cron':
+                $clean['cron'] = trim( (string) preg_replace( '/\s+/', ' ', is_string( $raw['cron'] ?? null ) ? $raw['cron'] : '' ) );
+                break;
+
+            default:
+                return null;
+        }
+
+        $clean['timezone'] = $timezone;
+
+        return $this->next_run( $clean, time() ) !== null ? $clean : null;
+    }
+
+    // ── Rule Execution ────────────────────────────────────────
+
+    /**
+     * Check a rule's conditions against a payload and run its steps.
+     *
+     * @param array $rule    Rule row.
+     * @param array $payload Trigger payload.
+     * @return bool Whether the conditions matched.
+     */
+    private function run_rule( array $rule, array $payload ): bool {
+        $conditions = $this->normalize_conditions( json_decode( (string) $rule['conditions'], true ) );
+
+        if ( ! $this->evaluate_group( $conditions, $payload )['passed'] ) {
+            return false;
+        }
+
+        $steps   = json_decode( (string) $rule['actions'], true );
+        $results = $this->run_steps( $rule, is_array( $steps ) ? $steps : [], $payload, (string) $rule['trigger_hook'] );
+
+        $this->log_run( $rule, (string) $rule['trigger_hook'], $results );
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::RULES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $wpdb->query( $wpdb->prepare(
+            "UPDATE {$table} SET run_count = run_count + 1, last_run = %s WHERE id = %d",
+            current_time( 'mysql' ),
+            (int) $rule['id']
+        ) );
+
+        return true;
+    }
+
+    /**
+     * Run steps in order. A branch splices the arm its conditions pick
+     * in front of the remaining steps; a delay queues what is left and
+     * stops.
+     *
+     * @param array  $rule    Rule row.
+     * @param array  $steps   Steps to run.
+     * @param array  $payload Trigger payload.
+     * @param string $hook    Trigger hook, kept with queued steps.
+     * @return array Results as {type, success, message}.
+     */
+    private function run_steps( array $rule, array $steps, array $payload, string $hook ): array {
+        $results = [];
+        $was     = $this->running;
+
+        $this->running = true;
+
+        try {
+            while ( $steps ) {
+                $step = array_shift( $steps );
+                $type = (string) ( $step['type'] ?? '' );
+
+                if ( $type === 'branch' ) {
+                    $passed = $this->evaluate_group( $this->normalize_conditions( $step['conditions'] ?? [] ), $payload )['passed'];
+                    $arm    = $passed ? ( $step['then'] ?? [] ) : ( $step['else'] ?? [] );
+                    $steps  = array_merge( is_array( $arm ) ? $arm : [], $steps );
+
+                    $results[] = [
+                        'type'    => 'branch',
+                        'success' => true,
+                        'message' => $passed ? __( 'Conditions matched; took the "then" steps.', 'wptransformed' ) : __( 'Conditions did not match; took the "otherwise" steps.', 'wptransformed' ),
+                    ];
+                    continue;
+                }
+
+                if ( $type === 'delay' ) {
+                    if ( $steps ) {
+                        $results[] = $this->queue_steps( $rule, $step, $steps, $payload, $hook );
+                    }
+                    break;
+                }
+
+                $results[] = $this->execute_action( $this->render_action( $step, $payload, $hook ), $payload, (int) ( $rule['author_id'] ?? 0 ) );
+            }
+        } finally {
+            $this->running = $was;
+        }
+
+        return $results;
+    }
+
+    /**
+     * Park the steps after a delay until it has passed.
+     *
+     * @param array  $rule    Rule row.
+     * @param array  $delay   Delay step.
+     * @param array  $steps   Remaining steps.
+     * @param array  $payload Trigger payload.
+     * @param string $hook    Trigger hook.
+     * @return array Result entry for the log.
+     */
+    private function queue_steps( array $rule, array $delay, array $steps, array $payload, string $hook ): array {
+        global $wpdb;
+
+        $seconds = $this->delay_seconds( $delay );
+        $run_at  = time() + $seconds;
+
+        $inserted = $wpdb->insert(
+            $wpdb->prefix . self::QUEUE_TABLE,
+            [
+                'rule_id'      => (int) $rule['id'],
+                'trigger_hook' => $hook,
+                'steps'        => wp_json_encode( $steps ),
+                'payload'      => wp_json_encode( $payload ),
+                'run_at'       => gmdate( 'Y-m-d H:i:s', $run_at ),
+            ],
+            [ '%d', '%s', '%s', '%s', '%s' ]
+        );
+
+        if ( $inserted === false ) {
+            return [ 'type' => 'delay', 'success' => false, 'message' => __( 'The remaining steps could not be queued.', 'wptransformed' ) ];
+        }
+
+        wp_schedule_single_event( $run_at, self::RESUME_HOOK, [ (int) $wpdb->insert_id ] );
+
+        return [
+            'type'    => 'delay',
+            'success' => true,
+            /* translators: %s: human-readable duration, e.g. "2 hours" */
+            'message' => sprintf( __( 'Waiting %s before the remaining steps.', 'wptransformed' ), human_time_diff( 0, $seconds ) ),
+        ];
+    }
+
+    /**
+     * Seconds a delay step waits.
+     *
+     * @param array $delay Delay step.
+     * @return int
+     */
+    private function delay_seconds( array $delay ): int {
+        $unit = self::DELAY_UNITS[ $delay['unit'] ?? '' ] ?? HOUR_IN_SECONDS;
+
+        return max( 1, (int) ( $delay['amount'] ?? 1 ) ) * $unit;
+    }
+
+    /**
+     * Cron callback: run the steps a delay held back.
+     *
+     * @param int $queue_id Queue row ID.
+     */
+    public function resume_run( $queue_id ): void {
+        global $wpdb;
+
+        $queue_table = $wpdb->prefix . self::QUEUE_TABLE;
+        $rules_table = $wpdb->prefix . self::RULES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $queued = $wpdb->get_row(
+            $wpdb->prepare( "SELECT * FROM {$queue_table} WHERE id = %d", (int) $queue_id ),
+            ARRAY_A
+        );
+
+        if ( ! $queued ) {
+            return;
+        }
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $wpdb->delete( $queue_table, [ 'id' => (int) $queue_id ], [ '%d' ] );
+
+        // A rule switched off or deleted in the meantime stops here.
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $rule = $wpdb->get_row(
+            $wpdb->prepare( "SELECT * FROM {$rules_table} WHERE id = %d AND is_active = 1", (int) $queued['rule_id'] ),
+            ARRAY_A
+        );
+
+        if ( ! $rule ) {
+            return;
+        }
+
+        $steps   = json_decode( (string) $queued['steps'], true );
+        $payload = json_decode( (string) $queued['payload'], true );
+
+        $results = $this->run_steps( $rule, is_array( $steps ) ? $steps : [], is_array( $payload ) ? $payload : [], (string) $queued['trigger_hook'] );
+
+        array_unshift( $results, [
+            'type'    => 'delay',
+            'success' => true,
+            'message' => __( 'Resumed after the delay.', 'wptransformed' ),
+        ] );
+
+        $this->log_run( $rule, (string) $queued['trigger_hook'], $results );
+    }
+
+    // ── Conditions ────────────────────────────────────────────
+
+    /**
+     * Coerce stored conditions (legacy flat array or group) into a group.
+     * Other keys of a group, such as the dry run's `ref`, are kept.
+     *
+     * @param mixed $conditions Decoded conditions.
+     * @return array{match: string, items: array}
+     */
+    private function normalize_conditions( $conditions ): array {
+        if ( ! is_array( $conditions ) ) {
+            return [ 'match' => 'all', 'items' => [] ];
+        }
+
+        if ( isset( $conditions['items'] ) && is_array( $conditions['items'] ) ) {
+            return array_merge( $conditions, [
+                'match' => ( $conditions['match'] ?? '' ) === 'any' ? 'any' : 'all',
+                'items' => $conditions['items'],
+            ] );
+        }
+
+        return [ 'match' => 'all', 'items' => array_values( $conditions ) ];
+    }
+
+    /**
+     * Evaluate a condition group against a payload, keeping the outcome
+     * of every row. An empty group passes.
+     *
+     * @param array $group   Condition group.
+     * @param array $payload Trigger payload.
+     * @return array{group: array, items: array, passed: bool}
+     */
+    private function evaluate_group( array $group, array $payload ): array {
+        $items = [];
+
+        foreach ( $group['items'] as $item ) {
+            if ( ! is_array( $item ) ) {
+                continue;
+            }
+
+            if ( isset( $item['items'] ) && is_array( $item['items'] ) ) {
+                $items[] = $this->evaluate_group( $this->normalize_conditions( $item ), $payload );
+                continue;
+            }
+
+            $actual  = $this->resolve_path( $payload, (string) ( $item['field'] ?? '' ) );
+            $items[] = [
+                'condition' => $item,
+                'actual'    => $actual,
+                'passed'    => $this->compare_value( $actual, (string) ( $item['op'] ?? '==' ), (string) ( $item['value'] ?? '' ) ),
+            ];
+        }
+
+        $passed = ! $items;
+        if ( $items ) {
+            $matches = count( array_filter( $items, static function ( array $result ): bool {
+                return $result['passed'] === true;
+            } ) );
+            $passed  = $group['match'] === 'any' ? $matches > 0 : $matches === count( $items );
+        }
+
+        return [ 'group' => $group, 'items' => $items, 'passed' => $passed ];
+    }
+
+    /**
+     * Value at a dotted path ("post.author.email") in a payload, or
+     * null when any part is missing.
+     *
+     * @param array  $payload Payload.
+     * @param string $path    Dotted path.
+     * @return mixed
+     */
+    private function resolve_path( array $payload, string $path ) {
+        $value = $payload;
+
+        foreach ( explode( '.', $path ) as $key ) {
+            if ( ! is_array( $value ) || ! array_key_exists( $key, $value ) ) {
+                return null;
+            }
+            $value = $value[ $key ];
+        }
+
+        return $value;
+    }
+
+    /**
+     * Compare a payload value against a condition. Lists (terms, roles)
+     * match when any element does. Null for an unknown operator.
+     *
+     * @param mixed  $actual   Payload value.
+     * @param string $op       Operator.
+     * @param string $expected Condition value.
+     * @return bool|null
+     */
+    private function compare_value( $actual, string $op, string $expected ): ?bool {
+        if ( is_array( $actual ) && wp_is_numeric_array( $actual ) && in_array( $op, [ '==', '!=', 'contains', 'not_contains' ], true ) ) {
+            $found = false;
+            foreach ( $actual as $element ) {
+                if ( $this->value_text( $element ) === $expected ) {
+                    $found = true;
+                    break;
+                }
+            }
+            return $op === '!=' || $op === 'not_contains' ? ! $found : $found;
+        }
+
+        $text = $this->value_text( $actual );
+        $a    = $this->leading_number( $text );
+        $b    = $this->leading_number( $expected );
+
+        switch ( $op ) {
+            case '==':           return $text === $expected;
+            case '!=':           return $text !== $expected;
+            case 'contains':     return strpos( $text, $expected ) !== false;
+            case 'not_contains': return strpos( $text, $expected ) === false;
+            case 'starts_with':  return strpos( $text, $expected ) === 0;
+            case 'ends_with':    return $expected === '' || substr( $text, -strlen( $expected ) ) === $expected;
+            case 'empty':        return $this->is_empty_value( $actual );
+            case 'not_empty':    return ! $this->is_empty_value( $actual );
+            case '>':            return $a !== null && $b !== null && $a > $b;
+            case '<':            return $a !== null && $b !== null && $a < $b;
+            case '>=':           return $a !== null && $b !== null && $a >= $b;
+            case '<=':           return $a !== null && $b !== null && $a <= $b;
+        }
+
+        return null;
+    }
+
+    /**
+     * Text form of a payload value for comparisons: JSON for arrays,
+     * "true"/"false" for booleans, as the builder shows them.
+     *
+     * @param mixed $value Payload value.
+     * @return string
+     */
+    private function value_text( $value ): string {
+        if ( $value === null ) {
+            return '';
+        }
+        if ( is_bool( $value ) ) {
+            return $value ? 'true' : 'false';
+        }
+        if ( is_array( $value ) ) {
+            return (string) wp_json_encode( $value, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
+        }
+        return (string) $value;
+    }
+
+    /**
+     * The number a string starts with ("12 items" is 12), or null.
+     *
+     * @param string $text Text.
+     * @return float|null
+     */
+    private function leading_number( string $text ): ?float {
+        return preg_match( '/^\s*[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i', $text, $m ) ? (float) $m[0] : null;
+    }
+
+    /**
+     * Missing, null, '', false and empty lists count as empty.
+     *
+     * @param mixed $value Payload value.
+     * @return bool
+     */
+    private function is_empty_value( $value ): bool {
+        return $value === null || $value === '' || $value === false || $value === [];
+    }
+
+    // ── Actions ───────────────────────────────────────────────
+
+    /**
+     * Copy of an action with merge tags in its text fields rendered
+     * against the event.
+     *
+     * @param array  $action  Action step.
+     * @param array  $payload Trigger payload.
+     * @param string $hook    Trigger hook.
+     * @return array
+     */
+    private function render_action( array $action, array $payload, string $hook ): array {
+        $context = Merge_Tags::context( $payload, $hook );
+
+        foreach ( self::MERGE_TAG_FIELDS as $key ) {
+            if ( isset( $action[ $key ] ) && is_string( $action[ $key ] ) ) {
+                $action[ $key ] = Merge_Tags::render( $action[ $key ], $context );
+            }
+        }
+
+        return $action;
+    }
+
+    /**
+     * Run one action against a payload.
+     *
+     * @param array $action  Action step.
+     * @param array $payload Trigger payload.
+     * @param int   $author  User who last saved the rule.
+     * @return array{type: string, success: bool, message: string}
+     */
+    private function execute_action( array $action, array $payload, int $author ): array {
+        $type = (string) ( $action['type'] ?? '' );
+
+        if ( isset( self::ACTION_CAPS[ $type ] ) && ! user_can( $author, self::ACTION_CAPS[ $type ] ) ) {
+            return [
+                'type'    => $type,
+                'success' => false,
+                'message' => __( 'The user who last saved this rule is not allowed to run this action.', 'wptransformed' ),
+            ];
+        }
+
+        try {
+            switch ( $type ) {
+                case 'send_email':
+                    $outcome = $this->action_send_email( $action );
+                    break;
+                case 'send_webhook':
+                    $outcome = $this->action_send_webhook( $action, $payload );
+                    break;
+                case 'set_meta':
+                    $outcome = $this->action_set_meta( $action, $payload );
+                    break;
+                case 'clear_caches':
+                    $outcome = $this->action_clear_caches();
+                    break;
+                case 'change_user_role':
+                    $outcome = $this->action_change_user_role( $action, $author );
+                    break;
+                case 'update_post':
+                    $outcome = $this->action_update_post( $action, $author );
+                    break;
+                case 'toggle_module':
+                    $outcome = $this->action_toggle_module( $action );
+                    break;
+                case 'run_snippet':
+                    $outcome = $this->action_run_snippet( $action );
+                    break;
+                case 'admin_notice':
+                    $outcome = $this->action_admin_notice( $action, $payload );
+                    break;
+                case 'add_redirect':
+                    $outcome = $this->action_add_redirect( $action );
+                    break;
+                case 'schedule_event':
+                    $outcome = $this->action_schedule_event( $action );
+                    break;
+                default:
+                    /* translators: %s: action type */
+                    $outcome = [ false, sprintf( __( 'Unknown action "%s".', 'wptransformed' ), $type ) ];
+            }
+        } catch ( \Throwable $e ) {
+            $outcome = [ false, $e->getMessage() ];
+        }
+
+        return [ 'type' => $type, 'success' => $outcome[0], 'message' => $outcome[1] ];
+    }
+
+    /**
+     * @param array $action Action step.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_send_email( array $action ): array {
+        $to = array_values( array_filter( array_map( 'trim', explode( ',', (string) ( $action['to'] ?? '' ) ) ), 'is_email' ) );
+
+        if ( ! $to ) {
+            return [ false, __( 'No valid recipient.', 'wptransformed' ) ];
+        }
+
+        $sent = wp_mail( $to, (string) ( $action['subject'] ?? '' ), (string) ( $action['body'] ?? '' ) );
+
+        return $sent
+            /* translators: %s: comma-separated email addresses */
+            ? [ true, sprintf( __( 'Email sent to %s.', 'wptransformed' ), implode( ', ', $to ) ) ]
+            : [ false, __( 'wp_mail() could not send the email.', 'wptransformed' ) ];
+    }
+
+    /**
+     * POST the action's body, or the whole payload as JSON when it has none.
+     *
+     * @param array $action  Action step.
+     * @param array $payload Trigger payload.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_send_webhook( array $action, array $payload ): array {
+        $url = esc_url_raw( (string) ( $action['url'] ?? '' ), [ 'http', 'https' ] );
+
+        if ( ! $url || ! wp_http_validate_url( $url ) ) {
+            return [ false, __( 'Invalid webhook URL.', 'wptransformed' ) ];
+        }
+
+        $body    = (string) ( $action['payload'] ?? '' );
+        $body    = $body !== '' ? $body : (string) wp_json_encode( $payload );
+        $is_json = json_decode( $body ) !== null || trim( $body ) === 'null';
+
+        $response = wp_safe_remote_post( $url, [
+            'timeout' => 10,
+            'headers' => [ 'Content-Type' => $is_json ? 'application/json' : 'text/plain' ],
+            'body'    => $body,
+        ] );
+
+        if ( is_wp_error( $response ) ) {
+            return [ false, $response->get_error_message() ];
+        }
+
+        $code = (int) wp_remote_retrieve_response_code( $response );
+
+        /* translators: %d: HTTP status code */
+        return [ $code >= 200 && $code < 300, sprintf( __( 'Webhook answered HTTP %d.', 'wptransformed' ), $code ) ];
+    }
+
+    /**
+     * Set a meta value on the event's post, else its user, else its comment.
+     * Protected keys and the user meta WordPress keeps roles in are refused.
+     *
+     * @param array $action  Action step.
+     * @param array $payload Trigger payload.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_set_meta( array $action, array $payload ): array {
+        $key   = (string) ( $action['meta_key'] ?? '' );
+        $value = (string) ( $action['meta_value'] ?? '' );
+
+        foreach ( [ 'post', 'user', 'comment' ] as $subject ) {
+            $id = (int) ( $payload[ $subject ]['id'] ?? 0 );
+            if ( $id > 0 ) {
+                if ( $key === '' || $this->is_guarded_meta_key( $key, $subject ) ) {
+                    /* translators: %s: meta key */
+                    return [ false, sprintf( __( 'Rules cannot set the meta key "%s".', 'wptransformed' ), $key ) ];
+                }
+
+                update_metadata( $subject, $id, $key, $value );
+                /* translators: 1: meta key, 2: object type, 3: object ID */
+                return [ true, sprintf( __( 'Set %1$s on %2$s #%3$d.', 'wptransformed' ), $key, $subject, $id ) ];
+            }
+        }
+
+        return [ false, __( 'This event has no post, user or comment to set meta on.', 'wptransformed' ) ];
+    }
+
+    /**
+     * Whether a meta key is off limits to set_meta: protected keys, and
+     * the capabilities and user level of any site in the network.
+     *
+     * @param string $key     Meta key.
+     * @param string $subject 'post', 'user' or 'comment'.
+     * @return bool
+     */
+    private function is_guarded_meta_key( string $key, string $subject ): bool {
+        global $wpdb;
+
+        if ( is_protected_meta( $key, $subject ) ) {
+            return true;
+        }
+
+        return $subject === 'user'
+            && (bool) preg_match( '/^' . preg_quote( $wpdb->base_prefix, '/' ) . '(\d+_)?(capabilities|user_level)$/i', $key );
+    }
+
+    /**
+     * Flush the object cache and any page cache plugin that exposes a purge.
+     *
+     * @return array{0: bool, 1: string}
+     */
+    private function action_clear_caches(): array {
+        wp_cache_flush();
+
+        $purges = [
+            'wp_cache_clear_cache',        // WP Super Cache
+            'w3tc_flush_all',              // W3 Total Cache
+            'rocket_clean_domain',         // WP Rocket
+            'autoptimize_flush_pagecache', // Autoptimize
+        ];
+
+        foreach ( $purges as $function ) {
+            if ( function_exists( $function ) ) {
+                $function();
+            }
+        }
+
+        if ( has_action( 'litespeed_purge_all' ) ) {
+            do_action( 'litespeed_purge_all' );
+        }
+
+        return [ true, __( 'Caches cleared.', 'wptransformed' ) ];
+    }
+
+    /**
+     * Set, add or remove one of a user's roles.
+     *
+     * @param array $action Action step.
+     * @param int   $author User who last saved the rule.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_change_user_role( array $action, int $author ): array {
+        $user = get_userdata( absint( $action['user'] ?? 0 ) );
+        $role = (string) ( $action['role'] ?? '' );
+
+        if ( ! $user ) {
+            return [ false, __( 'User not found.', 'wptransformed' ) ];
+        }
+
+        if ( ! wp_roles()->is_role( $role ) ) {
+            /* translators: %s: role name */
+            return [ false, sprintf( __( 'Unknown role "%s".', 'wptransformed' ), $role ) ];
+        }
+
+        if ( ! user_can( $author, 'promote_user', $user->ID ) || ! user_can( $author, 'edit_user', $user->ID ) ) {
+            return [ false, __( "The rule's author cannot change this user's role.", 'wptransformed' ) ];
+        }
+
+        switch ( $action['mode'] ?? 'set' ) {
+            case 'add':
+                $user->add_role( $role );
+                break;
+            case 'remove':
+                $user->remove_role( $role );
+                break;
+            default:
+                $user->set_role( $role );
+        }
+
+        /* translators: 1: user login, 2: comma-separated roles */
+        return [ true, sprintf( __( '%1$s now has the roles: %2$s.', 'wptransformed' ), $user->user_login, implode( ', ', $user->roles ) ?: '—' ) ];
+    }
+
+    /**
+     * Change a post's status or author and its terms in one taxonomy.
+     * Everything is checked before anything is written.
+     *
+     * @param array $action Action step.
+     * @param int   $author User who last saved the rule.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_update_post( array $action, int $author ): array {
+        $post = get_post( absint( $action['post'] ?? 0 ) );
+
+        if ( ! $post ) {
+            return [ false, __( 'Post not found.', 'wptransformed' ) ];
+        }
+
+        if ( ! user_can( $author, 'edit_post', $post->ID ) ) {
+            return [ false, __( "The rule's author cannot edit this post.", 'wptransformed' ) ];
+        }
+
+        $caps     = get_post_type_object( $post->post_type )->cap;
+        $data     = [ 'ID' => $post->ID ];
+        $status   = (string) ( $action['status'] ?? '' );
+        $owner    = trim( (string) ( $action['author'] ?? '' ) );
+        $taxonomy = (string) ( $action['taxonomy'] ?? '' );
+        $terms    = [];
+
+        if ( $status === 'trash' ) {
+            if ( ! user_can( $author, 'delete_post', $post->ID ) ) {
+                return [ false, __( "The rule's author cannot trash this post.", 'wptransformed' ) ];
+            }
+        } elseif ( $status !== '' ) {
+            if ( ! get_post_status_object( $status ) ) {
+                /* translators: %s: post status */
+                return [ false, sprintf( __( 'Unknown status "%s".', 'wptransformed' ), $status ) ];
+            }
+            if ( in_array( $status, [ 'publish', 'future', 'private' ], true ) && ! user_can( $author, $caps->publish_posts ) ) {
+                return [ false, __( "The rule's author cannot publish this post.", 'wptransformed' ) ];
+            }
+            $data['post_status'] = $status;
+        }
+
+        if ( $owner !== '' ) {
+            $data['post_author'] = absint( $owner );
+            if ( ! get_userdata( $data['post_author'] ) ) {
+                return [ false, __( 'New author not found.', 'wptransformed' ) ];
+            }
+            if ( ! user_can( $author, $caps->edit_others_posts ) ) {
+                return [ false, __( "The rule's author cannot reassign this post.", 'wptransformed' ) ];
+            }
+        }
+
+        if ( $taxonomy !== '' ) {
+            $tax = get_taxonomy( $taxonomy );
+
+            if ( ! $tax || ! is_object_in_taxonomy( $post->post_type, $taxonomy ) ) {
+                /* translators: %s: taxonomy name */
+                return [ false, sprintf( __( 'This post type has no taxonomy "%s".', 'wptransformed' ), $taxonomy ) ];
+            }
+            if ( ! user_can( $author, $tax->cap->assign_terms ) ) {
+                return [ false, __( "The rule's author cannot assign these terms.", 'wptransformed' ) ];
+            }
+
+            $unknown = [];
+            $terms   = $this->find_terms( (string) ( $action['terms'] ?? '' ), $taxonomy, $unknown );
+
+            if ( $unknown ) {
+                /* translators: %s: comma-separated term names */
+                return [ false, sprintf( __( 'Unknown terms: %s.', 'wptransformed' ), implode( ', ', $unknown ) ) ];
+            }
+        }
+
+        if ( count( $data ) > 1 ) {
+            $updated = wp_update_post( $data, true );
+            if ( is_wp_error( $updated ) ) {
+                return [ false, $updated->get_error_message() ];
+            }
+        }
+
+        if ( $taxonomy !== '' ) {
+            $result = ( $action['terms_mode'] ?? 'append' ) === 'remove'
+                ? wp_remove_object_terms( $post->ID, $terms, $taxonomy )
+                : wp_set_object_terms( $post->ID, $terms, $taxonomy, ( $action['terms_mode'] ?? 'append' ) === 'append' );
+            if ( is_wp_error( $result ) ) {
+                return [ false, $result->get_error_message() ];
+            }
+        }
+
+        if ( $status === 'trash' && ! wp_trash_post( $post->ID ) ) {
+            return [ false, __( 'Could not move the post to the trash.', 'wptransformed' ) ];
+        }
+
+        /* translators: %d: post ID */
+        return [ true, sprintf( __( 'Updated post #%d.', 'wptransformed' ), $post->ID ) ];
+    }
+
+    /**
+     * Term IDs for a comma-separated list of IDs, slugs or names.
+     *
+     * @param string   $list     Terms as typed.
+     * @param string   $taxonomy Taxonomy.
+     * @param string[] $unknown  Set to the entries that match no term.
+     * @return int[]
+     */
+    private function find_terms( string $list, string $taxonomy, array &$unknown ): array {
+        $ids = [];
+
+        foreach ( array_filter( array_map( 'trim', explode( ',', $list ) ), 'strlen' ) as $entry ) {
+            $term = ctype_digit( $entry )
+                ? get_term( (int) $entry, $taxonomy )
+                : ( get_term_by( 'slug', sanitize_title( $entry ), $taxonomy ) ?: get_term_by( 'name', $entry, $taxonomy ) );
+
+            if ( $term instanceof \WP_Term ) {
+                $ids[] = $term->term_id;
+            } else {
+                $unknown[] = $entry;
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Switch a module on or off, as the toggle on the modules page does.
+     *
+     * @param array $action Action step.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_toggle_module( array $action ): array {
+        $id     = (string) ( $action['module'] ?? '' );
+        $on     = ( $action['state'] ?? 'on' ) !== 'off';
+        $module = Core::instance()->get_module( $id );
+
+        if ( ! $module ) {
+            /* translators: %s: module ID */
+            return [ false, sprintf( __( 'Unknown module "%s".', 'wptransformed' ), $id ) ];
+        }
+
+        if ( $id === $this->get_id() ) {
+            return [ false, __( 'A rule cannot switch Workflow Automation itself.', 'wptransformed' ) ];
+        }
+
+        if ( $module->get_tier() === 'pro' && ! Core::is_pro_licensed() ) {
+            return [ false, __( 'This module needs a Pro license.', 'wptransformed' ) ];
+        }
+
+        if ( ! Settings::toggle_module( $id, $on ) ) {
+            return [ false, __( 'Could not save the module state.', 'wptransformed' ) ];
+        }
+
+        if ( ! $on ) {
+            $module->deactivate();
+        }
+
+        return [
+            true,
+            $on
+                /* translators: %s: module name */
+                ? sprintf( __( '%s activated.', 'wptransformed' ), $module->get_title() )
+                /* translators: %s: module name */
+                : sprintf( __( '%s deactivated.', 'wptransformed' ), $module->get_title() ),
+        ];
+    }
+
+    /**
+     * Run a PHP snippet through Code Snippets.
+     *
+     * @param array $action Action step.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_run_snippet( array $action ): array {
+        $snippets = Core::instance()->get_module( 'code-snippets' );
+
+        if ( ! $snippets instanceof Code_Snippets || ! Core::instance()->is_active( 'code-snippets' ) ) {
+            return [ false, __( 'Code Snippets is not active.', 'wptransformed' ) ];
+        }
+
+        $id    = (int) ( $action['snippet'] ?? 0 );
+        $error = $snippets->run_php_snippet( $id );
+
+        /* translators: %d: snippet ID */
+        return $error === null ? [ true, sprintf( __( 'Ran snippet #%d.', 'wptransformed' ), $id ) ] : [ false, $error ];
+    }
+
+    /**
+     * Queue a notice for the event's user, or every user with a role,
+     * shown on their next admin page.
+     *
+     * @param array $action  Action step.
+     * @param array $payload Trigger payload.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_admin_notice( array $action, array $payload ): array {
+        $audience = (string) ( $action['audience'] ?? '' );
+
+        $users = strpos( $audience, 'role:' ) === 0
+            ? get_users( [ 'role' => substr( $audience, 5 ), 'fields' => 'ID', 'number' => 100 ] )
+            : [ (int) ( $payload['user']['id'] ?? get_current_user_id() ) ];
+        $users = array_filter( array_map( 'intval', $users ) );
+
+        if ( ! $users ) {
+            return [ false, __( 'Nobody to show the notice to.', 'wptransformed' ) ];
+        }
+
+        $notice = [
+            'level'       => (string) ( $action['level'] ?? 'info' ),
+            'message'     => (string) ( $action['message'] ?? '' ),
+            'dismissible' => ! empty( $action['dismissible'] ),
+        ];
+
+        foreach ( $users as $user_id ) {
+            $queued   = get_user_meta( $user_id, self::NOTICES_META, true );
+            $queued   = is_array( $queued ) ? $queued : [];
+            $queued[] = $notice;
+
+            update_user_meta( $user_id, self::NOTICES_META, array_slice( $queued, -self::NOTICE_LIMIT ) );
+        }
+
+        /* translators: %d: number of users */
+        return [ true, sprintf( _n( 'Notice queued for %d user.', 'Notice queued for %d users.', count( $users ), 'wptransformed' ), count( $users ) ) ];
+    }
+
+    /**
+     * Add an exact-match rule through Redirect Manager.
+     *
+     * @param array $action Action step.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_add_redirect( array $action ): array {
+        $redirects = Core::instance()->get_module( 'redirect-manager' );
+
+        if ( ! $redirects instanceof Redirect_Manager || ! Core::instance()->is_active( 'redirect-manager' ) ) {
+            return [ false, __( 'Redirect Manager is not active.', 'wptransformed' ) ];
+        }
+
+        // {{post.url}} renders a full URL; rules match on the path.
+        $source = wp_make_link_relative( (string) ( $action['source_url'] ?? '' ) );
+        $target = (string) ( $action['target_url'] ?? '' );
+        $error  = $redirects->add_automated_redirect( $source, $target, (int) ( $action['redirect_type'] ?? 301 ) );
+
+        /* translators: 1: source path, 2: target URL */
+        return $error === null ? [ true, sprintf( __( 'Redirect added: %1$s → %2$s.', 'wptransformed' ), $source, $target ) ] : [ false, $error ];
+    }
+
+    /**
+     * Schedule a one-off cron event with JSON array arguments.
+     *
+     * @param array $action Action step.
+     * @return array{0: bool, 1: string}
+     */
+    private function action_schedule_event( array $action ): array {
+        $hook = (string) ( $action['hook'] ?? '' );
+        $args = trim( (string) ( $action['args'] ?? '' ) );
+        $args = $args === '' ? [] : json_decode( $args, true );
+
+        if ( ! is_array( $args ) || array_values( $args ) !== $args ) {
+            return [ false, __( 'Arguments must be a JSON array.', 'wptransformed' ) ];
+        }
+
+        $run_at    = time() + $this->delay_seconds( [ 'amount' => $action['delay'] ?? 1, 'unit' => $action['delay_unit'] ?? 'hours' ] );
+        $scheduled = wp_schedule_single_event( $run_at, $hook, $args, true );
+
+        if ( is_wp_error( $scheduled ) ) {
+            return [ false, $scheduled->get_error_message() ];
+        }
+
+        /* translators: 1: hook name, 2: date and time */
+        return [ true, sprintf( __( 'Scheduled %1$s for %2$s.', 'wptransformed' ), $hook, wp_date( 'Y-m-d H:i', $run_at ) ) ];
+    }
+
+    /**
+     * Print the current user's queued notices once, inside admin_notices
+     * so the Notification Center collects them with the rest.
+     */
+    public function render_notices(): void {
+        $user_id = get_current_user_id();
+        $queued  = $user_id ? get_user_meta( $user_id, self::NOTICES_META, true ) : [];
+
+        if ( ! is_array( $queued ) || ! $queued ) {
+            return;
+        }
+
+        delete_user_meta( $user_id, self::NOTICES_META );
+
+        foreach ( $queued as $notice ) {
+            printf(
+                '<div class="notice notice-%1$s%2$s"><p>%3$s</p></div>',
+                esc_attr( (string) ( $notice['level'] ?? 'info' ) ),
+                ! empty( $notice['dismissible'] ) ? ' is-dismissible' : '',
+                nl2br( esc_html( (string) ( $notice['message'] ?? '' ) ) )
+            );
+        }
+    }
+
+    // ── Dry Run ───────────────────────────────────────────────
+
+    /**
+     * What running steps against a payload would do, without doing it:
+     * branches carry their condition outcome and the steps of the arm
+     * taken, actions are returned with their merge tags rendered.
+     *
+     * @param mixed  $steps   Decoded steps.
+     * @param array  $payload Sample payload.
+     * @param string $hook    Trigger hook.
+     * @return array
+     */
+    private function trace_steps( $steps, array $payload, string $hook ): array {
+        $trace = [];
+
+        foreach ( is_array( $steps ) ? $steps : [] as $step ) {
+            if ( ! is_array( $step ) ) {
+                continue;
+            }
+
+            if ( ( $step['type'] ?? '' ) === 'branch' ) {
+                $outcome = $this->evaluate_group( $this->normalize_conditions( $step['conditions'] ?? [] ), $payload );
+                $arm     = $outcome['passed'] ? ( $step['then'] ?? [] ) : ( $step['else'] ?? [] );
+
+                $step['outcome'] = $outcome;
+                $step['steps']   = $this->trace_steps( $arm, $payload, $hook );
+            } elseif ( ( $step['type'] ?? '' ) !== 'delay' ) {
+                $step = $this->render_action( $step, $payload, $hook );
+            }
+
+            $trace[] = $step;
+        }
+
+        return $trace;
+    }
+
+    /**
+     * Recent items a trigger could fire for, as {label, payload}, built
+     * by the same code that builds live payloads.
+     *
+     * @param string $hook Trigger hook.
+     * @return array[]
+     */
+    private function get_samples( string $hook ): array {
+        $endpoint = $this->get_endpoint_by_hook( $hook );
+        if ( $endpoint !== null ) {
+            $sample = json_decode( (string) $endpoint['sample'], true );
+
+            return is_array( $sample ) ? [ [
+                'label'   => __( 'Last request received', 'wptransformed' ),
+                'payload' => $this->inbound_payload( $endpoint, $sample, '', (string) $endpoint['last_received'] ),
+            ] ] : [];
+        }
+
+        $samples = [];
+
+        foreach ( $this->sample_args( $hook ) as $label => $args ) {
+            $payload = $this->build_payload( $hook, $args );
+            if ( $payload !== null ) {
+                $samples[] = [ 'label' => $label, 'payload' => $payload ];
+            }
+        }
+
+        return $samples;
+    }
+
+    /**
+     * Hook arguments for recent items, keyed by a label for the picker.
+     *
+     * @param string $hook Trigger hook.
+     * @return array<string, array>
+     */
+    private function sample_args( string $hook ): array {
+        $subjects = $this->get_triggers()[ $hook ]['subjects'] ?? [];
+        $args     = [];
+
+        if ( $subjects === [ 'post' ] ) {
+            $posts = get_posts( [
+                'post_type'   => 'any',
+                'post_status' => [ 'publish', 'draft', 'pending', 'future', 'private' ],
+                'numberposts' => 5,
+                'orderby'     => 'modified',
+            ] );
+
+            foreach ( $posts as $post ) {
+                /* translators: 1: post title, 2: post type */
+                $label = sprintf( __( '%1$s (%2$s)', 'wptransformed' ), $post->post_title !== '' ? $post->post_title : __( '(no title)', 'wptransformed' ), $post->post_type );
+
+                $args[ $label ] = [
+                    'transition_post_status' => [ $post->post_status, 'draft', $post ],
+                    'save_post'              => [ $post->ID, $post, true ],
+                ][ $hook ] ?? [ $post->ID, $post ];
+            }
+        } elseif ( in_array( 'comment', $subjects, true ) ) {
+            foreach ( get_comments( [ 'number' => 5, 'type' => 'comment' ] ) as $comment ) {
+                /* translators: 1: comment author, 2: post title */
+                $label = sprintf( __( '%1$s on "%2$s"', 'wptransformed' ), $comment->comment_author, get_the_title( (int) $comment->comment_post_ID ) );
+
+                $args[ $label ] = [ (int) $comment->comment_ID, $comment->comment_approved ];
+            }
+        } elseif ( $subjects === [ 'user' ] ) {
+            foreach ( get_users( [ 'number' => 5, 'orderby' => 'registered', 'order' => 'DESC' ] ) as $user ) {
+                $label = $user->display_name . ' (' . $user->user_login . ')';
+
+                $args[ $label ] = [
+                    'wp_login'      => [ $user->user_login, $user ],
+                    'set_user_role' => [ $user->ID, (string) reset( $user->roles ), [] ],
+                ][ $hook ] ?? [ $user->ID ];
+            }
+        }
+
+        return $args;
+    }
+
+    // ── Inbound Webhooks ──────────────────────────────────────
+
+    /**
+     * Public route inbound endpoints receive on. Requests prove they come
+     * from the sender by their signature, not by a login.
+     */
+    public function register_routes(): void {
+        register_rest_route( self::REST_NAMESPACE, '/inbound/(?P<slug>[a-z0-9]+)', [
+            'methods'             => 'POST',
+            'callback'            => [ $this, 'receive_inbound' ],
+            'permission_callback' => '__return_true',
+        ] );
+    }
+
+    /**
+     * Check, log and run an inbound request: the signature must match the
+     * endpoint secret within SIGNATURE_TOLERANCE and not have been seen
+     * before, and the body must be JSON.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function receive_inbound( \WP_REST_Request $request ) {
+        $endpoint = $this->get_endpoint_by_hook( self::INBOUND_PREFIX . (string) $request['slug'] );
+        if ( $endpoint === null ) {
+            return new \WP_Error( 'wpt_inbound_not_found', __( 'Unknown endpoint.', 'wptransformed' ), [ 'status' => 404 ] );
+        }
+
+        $body = $request->get_body();
+        $ip   = isset( $_SERVER['REMOTE_ADDR'] ) ? (string) filter_var( wp_unslash( $_SERVER['REMOTE_ADDR'] ), FILTER_VALIDATE_IP ) : '';
+
+        if ( strlen( $body ) > self::INBOUND_MAX_BYTES ) {
+            return $this->reject_inbound( $endpoint, $ip, '', 413, __( 'Body too large.', 'wptransformed' ) );
+        }
+
+        $error = $this->check_signature(
+            $endpoint,
+            $body,
+            (string) $request->get_header( 'X-WPT-Timestamp' ),
+            (string) $request->get_header( 'X-WPT-Signature' )
+        );
+        if ( $error !== null ) {
+            return $this->reject_inbound( $endpoint, $ip, $body, 401, $error );
+        }
+
+        $data = trim( $body ) === '' ? [] : json_decode( $body, true );
+        if ( ! is_array( $data ) ) {
+            return $this->reject_inbound( $endpoint, $ip, $body, 400, __( 'Body is not a JSON object or array.', 'wptransformed' ) );
+        }
+
+        $hook     = self::INBOUND_PREFIX . $endpoint['slug'];
+        $received = current_time( 'mysql', true );
+        $payload  = $this->inbound_payload( $endpoint, $data, $ip, $received );
+        $ran      = $this->handle_trigger( $hook, [ $payload ] );
+
+        /**
+         * Fires after an inbound endpoint accepted a request and its rules ran.
+         *
+         * @param array $payload { payload, inbound: { endpoint, ip, received_at } }.
+         */
+        do_action( $hook, $payload );
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::ENDPOINTS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $wpdb->query( $wpdb->prepare(
+            "UPDATE {$table} SET received = received + 1, last_received = %s, sample = %s WHERE id = %d",
+            $received,
+            (string) wp_json_encode( $data ),
+            (int) $endpoint['id']
+        ) );
+
+        $this->log_inbound( $endpoint, $ip, $body, 'accepted', '', $ran );
+
+        return new \WP_REST_Response( [ 'received' => true, 'rules_run' => $ran ], 200 );
+    }
+
+    /**
+     * Why a request's signature does not hold, or null when it does. A
+     * signature holds once: it is remembered until its timestamp expires.
+     *
+     * @param array  $endpoint  Endpoint row.
+     * @param string $body      Raw body.
+     * @param string $timestamp X-WPT-Timestamp.
+     * @param string $signature X-WPT-Signature.
+     * @return string|null
+     */
+    private function check_signature( array $endpoint, string $body, string $timestamp, string $signature ): ?string {
+        if ( $timestamp === '' || $signature === '' ) {
+            return __( 'Missing X-WPT-Timestamp or X-WPT-Signature.', 'wptransformed' );
+        }
+
+        if ( ! ctype_digit( $timestamp ) || abs( time() - (int) $timestamp ) > self::SIGNATURE_TOLERANCE ) {
+            return __( 'Timestamp is missing or too far from the current time.', 'wptransformed' );
+        }
+
+        $secret = $this->decrypt_secret( (string) $endpoint['secret'] );
+        if ( $secret === '' ) {
+            return __( 'The endpoint secret cannot be read; generate a new one.', 'wptransformed' );
+        }
+
+        $expected = 'sha256=' . hash_hmac( 'sha256', $timestamp . '.' . $body, $secret );
+
+        if ( ! hash_equals( $expected, strtolower( trim( $signature ) ) ) ) {
+            return __( 'Signature does not match.', 'wptransformed' );
+        }
+
+        $seen = self::SEEN_SIGNATURE_PREFIX . md5( $endpoint['id'] . ':' . $expected );
+        if ( get_transient( $seen ) !== false ) {
+            return __( 'This request was already received.', 'wptransformed' );
+        }
+
+        // Remembered for as long as the timestamp passes the check above.
+        set_transient( $seen, 1, max( 1, (int) $timestamp + self::SIGNATURE_TOLERANCE - time() + 1 ) );
+
+        return null;
+    }
+
+    /**
+     * Log a rejected request and answer it with an error.
+     *
+     * @param array  $endpoint Endpoint row.
+     * @param string $ip       Sender IP.
+     * @param string $body     Raw body.
+     * @param int    $status   HTTP status.
+     * @param string $error    Reason.
+     * @return \WP_Error
+     */
+    private function reject_inbound( array $endpoint, string $ip, string $body, int $status, string $error ): \WP_Error {
+        $this->log_inbound( $endpoint, $ip, $body, 'rejected', $error, 0 );
+
+        return new \WP_Error( 'wpt_inbound_rejected', $error, [ 'status' => $status ] );
+    }
+
+    /**
+     * The payload an inbound request's rules see.
+     *
+     * @param array  $endpoint    Endpoint row.
+     * @param array  $data        Decoded body.
+     * @param string $ip          Sender IP.
+     * @param string $received_at GMT time received.
+     * @return array{payload: array, inbound: array}
+     */
+    private function inbound_payload( array $endpoint, array $data, string $ip, string $received_at ): array {
+        return [
+            'payload' => $data,
+            'inbound' => [
+                'endpoint'    => (string) $endpoint['name'],
+                'ip'          => $ip,
+                'received_at' => $received_at !== '' ? get_date_from_gmt( $received_at ) : '',
+            ],
+        ];
+    }
+
+    /**
+     * Record a request, keeping the newest INBOUND_LOG_LIMIT per endpoint.
+     *
+     * @param array  $endpoint  Endpoint row.
+     * @param string $ip        Sender IP.
+     * @param string $body      Raw body.
+     * @param string $status    accepted|rejected.
+     * @param string $error     Why it was rejected.
+     * @param int    $rules_run Rules whose conditions matched.
+     */
+    private function log_inbound( array $endpoint, string $ip, string $body, string $status, string $error, int $rules_run ): void {
+        global $wpdb;
+        $table = $wpdb->prefix . self::INBOUND_LOG_TABLE;
+
+        $wpdb->insert(
+            $table,
+            [
+                'endpoint_id' => (int) $endpoint['id'],
+                'received_at' => current_time( 'mysql', true ),
+                'ip'          => $ip,
+                'status'      => $status,
+                'error'       => $error,
+                'rules_run'   => $rules_run,
+                'body'        => substr( $body, 0, self::INBOUND_BODY_EXCERPT ),
+            ],
+            [ '%d', '%s', '%s', '%s', '%s', '%d', '%s' ]
+        );
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $oldest_kept = (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT id FROM {$table} WHERE endpoint_id = %d ORDER BY id DESC LIMIT 1 OFFSET %d",
+            (int) $endpoint['id'],
+            self::INBOUND_LOG_LIMIT - 1
+        ) );
+
+        if ( $oldest_kept > 0 ) {
+            // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+            $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE endpoint_id = %d AND id < %d", (int) $endpoint['id'], $oldest_kept ) );
+        }
+    }
+
+    /**
+     * All endpoints, oldest first.
+     *
+     * @return array[]
+     */
+    private function get_endpoints(): array {
+        global $wpdb;
+        $table = $wpdb->prefix . self::ENDPOINTS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $endpoints = $wpdb->get_results( "SELECT * FROM {$table} ORDER BY id ASC", ARRAY_A );
+
+        return is_array( $endpoints ) ? $endpoints : [];
+    }
+
+    /**
+     * One endpoint row, or null.
+     *
+     * @param int $id Endpoint ID.
+     * @return array|null
+     */
+    private function get_endpoint( int $id ): ?array {
+        global $wpdb;
+        $table = $wpdb->prefix . self::ENDPOINTS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $endpoint = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ), ARRAY_A );
+
+        return is_array( $endpoint ) ? $endpoint : null;
+    }
+
+    /**
+     * The endpoint behind a `wpt_inbound_<slug>` hook, or null.
+     *
+     * @param string $hook Trigger hook.
+     * @return array|null
+     */
+    private function get_endpoint_by_hook( string $hook ): ?array {
+        if ( strpos( $hook, self::INBOUND_PREFIX ) !== 0 ) {
+            return null;
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::ENDPOINTS_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $endpoint = $wpdb->get_row( $wpdb->prepare(
+            "SELECT * FROM {$table} WHERE slug = %s",
+            substr( $hook, strlen( self::INBOUND_PREFIX ) )
+        ), ARRAY_A );
+
+        return is_array( $endpoint ) ? $endpoint : null;
+    }
+
+    /**
+     * An endpoint as the panel lists it. The secret never leaves here.
+     *
+     * @param array $endpoint Endpoint row.
+     * @return array
+     */
+    private function format_endpoint( array $endpoint ): array {
+        $sample = json_decode( (string) $endpoint['sample'], true );
+
+        return [
+            'id'            => (int) $endpoint['id'],
+            'slug'          => (string) $endpoint['slug'],
+            'name'          => (string) $endpoint['name'],
+            'url'           => rest_url( self::REST_NAMESPACE . '/inbound/' . $endpoint['slug'] ),
+            'received'      => (int) $endpoint['received'],
+            'last_received' => $endpoint['last_received']
+                /* translators: %s: human-readable time difference */
+                ? sprintf( __( '%s ago', 'wptransformed' ), human_time_diff( (int) strtotime( $endpoint['last_received'] . ' UTC' ), time() ) )
+                : null,
+            'sample'        => is_array( $sample ) ? $sample : null,
+        ];
+    }
+
+    /**
+     * A logged request as the panel lists it.
+     *
+     * @param array $request Log row.
+     * @return array
+     */
+    private function format_inbound_request( array $request ): array {
+        return [
+            'id'           => (int) $request['id'],
+            'received_at'  => get_date_from_gmt( $request['received_at'] ),
+            /* translators: %s: human-readable time difference */
+            'received_ago' => sprintf( __( '%s ago', 'wptransformed' ), human_time_diff( (int) strtotime( $request['received_at'] . ' UTC' ), time() ) ),
+            'ip'           => (string) $request['ip'],
+            'status'       => (string) $request['status'],
+            'error'        => (string) $request['error'],
+            'rules_run'    => (int) $request['rules_run'],
+            'body'         => (string) $request['body'],
+        ];
+    }
+
+    /**
+     * A new signing secret, encrypted for storage as Email_SMTP stores
+     * its password. Both are empty when it cannot be encrypted.
+     *
+     * @return array{0: string, 1: string} Plain and encrypted secret.
+     */
+    private function new_secret(): array {
+        $plain = wp_generate_password( 40, false );
+
+        if ( ! defined( 'AUTH_KEY' ) || ! function_exists( 'openssl_encrypt' ) ) {
+            return [ '', '' ];
+        }
+
+        $iv        = openssl_random_pseudo_bytes( 16 );
+        $encrypted = openssl_encrypt( $plain, 'AES-256-CBC', hash( 'sha256', AUTH_KEY, true ), OPENSSL_RAW_DATA, $iv );
+
+        return $encrypted === false ? [ '', '' ] : [ $plain, 'enc1:' . base64_encode( $iv . $encrypted ) ];
+    }
+
+    /**
+     * Decrypt a stored secret; empty when it cannot be read, e.g. after
+     * AUTH_KEY changed.
+     *
+     * @param string $encrypted Stored value.
+     * @return string
+     */
+    private function decrypt_secret( string $encrypted ): string {
+        if ( strpos( $encrypted, 'enc1:' ) !== 0 || ! defined( 'AUTH_KEY' ) || ! function_exists( 'openssl_decrypt' ) ) {
+            return '';
+        }
+
+        $raw = base64_decode( substr( $encrypted, 5 ), true );
+        if ( $raw === false || strlen( $raw ) < 17 ) {
+            return '';
+        }
+
+        $decrypted = openssl_decrypt( substr( $raw, 16 ), 'AES-256-CBC', hash( 'sha256', AUTH_KEY, true ), OPENSSL_RAW_DATA, substr( $raw, 0, 16 ) );
+
+        return $decrypted === false ? '' : $decrypted;
+    }
+
+    // ── Rule Storage ──────────────────────────────────────────
+
+    /**
+     * Active rules, cached until a rule changes.
+     *
+     * @return array[]
+     */
+    private function get_active_rules(): array {
+        $cached = get_transient( self::CACHE_KEY );
+        if ( is_array( $cached ) ) {
+            return $cached;
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::RULES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rules = $wpdb->get_results( "SELECT * FROM {$table} WHERE is_active = 1 ORDER BY id ASC", ARRAY_A );
+        $rules = is_array( $rules ) ? $rules : [];
+
+        set_transient( self::CACHE_KEY, $rules, DAY_IN_SECONDS );
+
+        return $rules;
+    }
+
+    /**
+     * Forget the active-rule cache.
+     */
+    private function invalidate_cache(): void {
+        delete_transient( self::CACHE_KEY );
+    }
+
+    /**
+     * One rule row, or null.
+     *
+     * @param int $id Rule ID.
+     * @return array|null
+     */
+    private function get_rule( int $id ): ?array {
+        global $wpdb;
+        $table = $wpdb->prefix . self::RULES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery
+        $rule = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table} WHERE id = %d", $id ), ARRAY_A );
+
+        return is_array( $rule ) ? $rule : null;
+    }
+
+    /**
+     * Add a run to the log, keeping the newest LOG_LIMIT.
+     *
+     * @param array  $rule    Rule row.
+     * @param string $hook    Trigger hook.
+     * @param array  $results Step results.
+     */
+    private function log_run( array $rule, string $hook, array $results ): void {
+        $log = get_option( self::LOG_OPTION, [] );
+        $log = is_array( $log ) ? $log : [];
+
+        array_unshift( $log, [
+            'timestamp' => current_time( 'mysql' ),
+            'rule_id'   => (int) $rule['id'],
+            'rule_name' => (string) $rule['name'],
+            'trigger'   => $hook,
+            'results'   => $results,
+        ] );
+
+        update_option( self::LOG_OPTION, array_slice( $log, 0, self::LOG_LIMIT ), false );
+    }
+
+    // ── Rule Validation ───────────────────────────────────────
+
+    /**
+     * Coerce a decoded condition tree into groups of {field, op, value}
+     * rows, dropping rows without a field and groups left empty.
+     *
+     * @param mixed $raw Decoded conditions.
+     * @return array{match: string, items: array}
+     */
+    private function sanitize_group( $raw ): array {
+        $group = $this->normalize_conditions( $raw );
+        $items = [];
+
+        foreach ( $group['items'] as $item ) {
+            if ( ! is_array( $item ) ) {
+                continue;
+            }
+
+            if ( isset( $item['items'] ) ) {
+                $child = $this->sanitize_group( $item );
+                if ( $child['items'] ) {
+                    $items[] = $child;
+                }
+                continue;
+            }
+
+            $field = sanitize_text_field( (string) ( $item['field'] ?? '' ) );
+            $op    = (string) ( $item['op'] ?? '' );
+
+            if ( $field !== '' ) {
+                $items[] = [
+                    'field' => $field,
+                    'op'    => in_array( $op, self::OPERATORS, true ) ? $op : '==',
+                    'value' => trim( wp_check_invalid_utf8( (string) ( $item['value'] ?? '' ) ) ),
+                ];
+            }
+        }
+
+        return [ 'match' => $group['match'], 'items' => $items ];
+    }
+
+    /**
+     * Coerce decoded steps into actions, delays and branches, keeping
+     * only each action type's own fields.
+     *
+     * @param mixed $raw Decoded steps.
+     * @return array
+     */
+    private function sanitize_steps( $raw ): array {
+        $steps = [];
+
+        foreach ( is_array( $raw ) ? $raw : [] as $step ) {
+            if ( ! is_array( $step ) ) {
+                continue;
+            }
+
+            $type = sanitize_key( (string) ( $step['type'] ?? '' ) );
+
+            if ( $type === 'delay' ) {
+                $steps[] = [
+                    'type'   => 'delay',
+                    'amount' => max( 1, (int) ( $step['amount'] ?? 1 ) ),
+                    'unit'   => isset( self::DELAY_UNITS[ $step['unit'] ?? '' ] ) ? $step['unit'] : 'hours',
+                ];
+            } elseif ( $type === 'branch' ) {
+                $steps[] = [
+                    'type'       => 'branch',
+                    'conditions' => $this->sanitize_group( $step['conditions'] ?? [] ),
+                    'then'       => $this->sanitize_steps( $step['then'] ?? [] ),
+                    'else'       => $this->sanitize_steps( $step['else'] ?? [] ),
+                ];
+            } else {
+                $action = [ 'type' => $type ];
+                foreach ( self::ACTION_FIELDS[ $type ] ?? [] as $key => $kind ) {
+                    $action[ $key ] = $this->sanitize_field( $step[ $key ] ?? '', $kind );
+                }
+                $steps[] = $action;
+            }
+        }
+
+        return $steps;
+    }
+
+    /**
+     * Sanitize one action field by its kind.
+     *
+     * @param mixed           $value Raw value.
+     * @param string|string[] $kind  A kind from ACTION_FIELDS.
+     * @return string|int|bool
+     */
+    private function sanitize_field( $value, $kind ) {
+        if ( is_array( $kind ) ) {
+            return in_array( (string) $value, $kind, true ) ? (string) $value : $kind[0];
+        }
+
+        if ( $kind === 'bool' ) {
+            return (bool) $value;
+        }
+
+        $value = is_scalar( $value ) ? (string) $value : '';
+
+        switch ( $kind ) {
+            case 'key':
+                return sanitize_key( $value );
+            case 'int':
+                return absint( $value );
+            case 'textarea':
+                return sanitize_textarea_field( $value );
+            case 'raw':
+                return trim( wp_check_invalid_utf8( $value ) );
+            default:
+                return sanitize_text_field( $value );
+        }
+    }
+
+    /**
+     * Why a sanitized rule cannot be saved, or null.
+     *
+     * @param array $conditions Sanitized root group.
+     * @param array $steps      Sanitized steps.
+     * @return string|null
+     */
+    private function validate_rule( array $conditions, array $steps ): ?string {
+        $count = $this->count_actions( $steps );
+
+        if ( $count === 0 ) {
+            return __( 'Add at least one action.', 'wptransformed' );
+        }
+
+        if ( $count > self::MAX_ACTIONS ) {
+            /* translators: %d: maximum number of actions */
+            return sprintf( __( 'A rule can have at most %d actions.', 'wptransformed' ), self::MAX_ACTIONS );
+        }
+
+        return $this->validate_group( $conditions, 0 ) ?? $this->validate_steps( $steps, 0 );
+    }
+
+    /**
+     * @param array $group Sanitized group.
+     * @param int   $depth Groups and branches around it.
+     * @return string|null
+     */
+    private function validate_group( array $group, int $depth ): ?string {
+        if ( $depth >= self::MAX_DEPTH ) {
+            return $this->depth_error();
+        }
+
+        foreach ( $group['items'] as $item ) {
+            $error = isset( $item['items'] ) ? $this->validate_group( $item, $depth + 1 ) : null;
+            if ( $error ) {
+                return $error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param array $steps Sanitized steps.
+     * @param int   $depth Branches around them.
+     * @return string|null
+     */
+    private function validate_steps( array $steps, int $depth ): ?string {
+        foreach ( $steps as $step ) {
+            if ( $step['type'] === 'delay' ) {
+                continue;
+            }
+
+            if ( $step['type'] === 'branch' ) {
+                if ( $depth >= self::MAX_DEPTH ) {
+                    return $this->depth_error();
+                }
+                if ( ! $step['conditions']['items'] ) {
+                    return __( 'Every if/else step needs at least one condition.', 'wptransformed' );
+                }
+
+                $error = $this->validate_group( $step['conditions'], $depth + 1 )
+                    ?? $this->validate_steps( $step['then'], $depth + 1 )
+                    ?? $this->validate_steps( $step['else'], $depth + 1 );
+                if ( $error ) {
+                    return $error;
+                }
+                continue;
+            }
+
+            if ( ! isset( self::ACTION_FIELDS[ $step['type'] ] ) ) {
+                /* translators: %s: action type */
+                return sprintf( __( 'Unknown action "%s".', 'wptransformed' ), $step['type'] );
+            }
+
+            foreach ( self::ACTION_REQUIRED[ $step['type'] ] ?? [] as $key ) {
+                if ( $step[ $key ] === '' || $step[ $key ] === 0 ) {
+                    return __( 'Fill in the required fields of every action.', 'wptransformed' );
+                }
+            }
+        }
+
+        return null;
+    }
+
+    private function depth_error(): string {
+        /* translators: %d: maximum nesting depth */
+        return sprintf( __( 'Groups can only be nested %d levels deep.', 'wptransformed' ), self::MAX_DEPTH );
+    }
+
+    /**
+     * Number of real actions (not delays or branches) in a step list.
+     *
+     * @param array $steps Steps.
+     * @return int
+     */
+    private function count_actions( array $steps ): int {
+        $count = 0;
+
+        foreach ( $steps as $step ) {
+            if ( $step['type'] === 'branch' ) {
+                $count += $this->count_actions( $step['then'] ) + $this->count_actions( $step['else'] );
+            } elseif ( $step['type'] !== 'delay' ) {
+                $count++;
+            }
+        }
+
+        return $count;
+    }
+
+    // ── AJAX: Rules ───────────────────────────────────────────
+
+    /**
+     * Nonce and capability check shared by the AJAX handlers.
+     */
+    private function verify_request(): void {
+        check_ajax_referer( 'wpt_automation_nonce', 'nonce' );
+
+        if ( ! current_user_can( 'manage_options' ) ) {
+            wp_send_json_error( [ 'message' => __( 'Permission denied.', 'wptransformed' ) ], 403 );
+        }
+    }
+
+    /**
+     * Create or update a rule.
+     */
+    public function ajax_save_rule(): void {
+        $this->verify_request();
+
+        $id      = isset( $_POST['rule_id'] ) ? absint( $_POST['rule_id'] ) : 0;
+        $name    = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $hook    = isset( $_POST['trigger_hook'] ) ? sanitize_text_field( wp_unslash( $_POST['trigger_hook'] ) ) : '';
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, sanitized field by field below.
+        $conditions = $this->sanitize_group( json_decode( isset( $_POST['conditions'] ) ? wp_unslash( $_POST['conditions'] ) : '[]', true ) );
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, sanitized field by field below.
+        $steps = $this->sanitize_steps( json_decode( isset( $_POST['actions'] ) ? wp_unslash( $_POST['actions'] ) : '[]', true ) );
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, sanitized field by field below.
+        $schedule = $this->sanitize_schedule( json_decode( isset( $_POST['schedule'] ) ? wp_unslash( $_POST['schedule'] ) : '', true ) );
+
+        if ( $name === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Rule name is required.', 'wptransformed' ) ] );
+        }
+
+        if ( ! $this->is_trigger( $hook ) ) {
+            wp_send_json_error( [ 'message' => __( 'Choose a trigger.', 'wptransformed' ) ] );
+        }
+
+        if ( $hook === self::SCHEDULE_HOOK && $schedule === null ) {
+            wp_send_json_error( [ 'message' => __( 'The schedule is incomplete or never comes round.', 'wptransformed' ) ] );
+        }
+
+        $error = $this->validate_rule( $conditions, $steps );
+        if ( $error ) {
+            wp_send_json_error( [ 'message' => $error ] );
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::RULES_TABLE;
+
+        // A plain AND of rows keeps the legacy flat-array shape.
+        $is_flat = $conditions['match'] === 'all' && ! array_filter( $conditions['items'], static function ( array $item ): bool {
+            return isset( $item['items'] );
+        } );
+
+        $data = [
+            'name'         => $name,
+            'trigger_hook' => $hook,
+            'conditions'   => wp_json_encode( $is_flat ? $conditions['items'] : $conditions ),
+            'actions'      => wp_json_encode( $steps ),
+            'schedule'     => $hook === self::SCHEDULE_HOOK ? wp_json_encode( $schedule ) : '',
+            // Privileged actions run with this user's capabilities.
+            'author_id'    => get_current_user_id(),
+        ];
+
+        if ( $id > 0 ) {
+            if ( ! $this->get_rule( $id ) ) {
+                wp_send_json_error( [ 'message' => __( 'Rule not found.', 'wptransformed' ) ] );
+            }
+            $saved = $wpdb->update( $table, $data, [ 'id' => $id ], [ '%s', '%s', '%s', '%s', '%s', '%d' ], [ '%d' ] );
+        } else {
+            $data['created_at'] = current_time( 'mysql' );
+            $saved = $wpdb->insert( $table, $data, [ '%s', '%s', '%s', '%s', '%s', '%d', '%s' ] );
+            $id    = (int) $wpdb->insert_id;
+        }
+
+        if ( $saved === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to save rule.', 'wptransformed' ) ] );
+        }
+
+        $this->invalidate_cache();
+        $this->book_schedule( $id );
+
+        wp_send_json_success( [
+            'message' => __( 'Rule saved.', 'wptransformed' ),
+            'rule_id' => $id,
+        ] );
+    }
+
+    /**
+     * Load a rule into the builder.
+     */
+    public function ajax_get_rule(): void {
+        $this->verify_request();
+
+        $rule = $this->get_rule( isset( $_POST['rule_id'] ) ? absint( $_POST['rule_id'] ) : 0 );
+
+        if ( ! $rule ) {
+            wp_send_json_error( [ 'message' => __( 'Rule not found.', 'wptransformed' ) ] );
+        }
+
+        $actions  = json_decode( (string) $rule['actions'], true );
+        $schedule = json_decode( (string) $rule['schedule'], true );
+
+        wp_send_json_success( [
+            'id'           => (int) $rule['id'],
+            'name'         => $rule['name'],
+            'trigger_hook' => $rule['trigger_hook'],
+            'conditions'   => json_decode( (string) $rule['conditions'], true ) ?: [],
+            'actions'      => is_array( $actions ) ? $actions : [],
+            'schedule'     => is_array( $schedule ) ? $schedule : null,
+            'is_active'    => (int) $rule['is_active'],
+        ] );
+    }
+
+    /**
+     * Delete a rule and any of its runs waiting out a delay.
+     */
+    public function ajax_delete_rule(): void {
+        $this->verify_request();
+
+        $id = isset( $_POST['rule_id'] ) ? absint( $_POST['rule_id'] ) : 0;
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid rule ID.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $deleted = $wpdb->delete( $wpdb->prefix . self::RULES_TABLE, [ 'id' => $id ], [ '%d' ] );
+
+        if ( $deleted === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to delete rule.', 'wptransformed' ) ] );
+        }
+
+        // Their resume events find no row and do nothing.
+        $wpdb->delete( $wpdb->prefix . self::QUEUE_TABLE, [ 'rule_id' => $id ], [ '%d' ] );
+
+        $this->invalidate_cache();
+        wp_clear_scheduled_hook( self::SCHEDULED_HOOK, [ $id ] );
+
+        wp_send_json_success( [ 'message' => __( 'Rule deleted.', 'wptransformed' ) ] );
+    }
+
+    /**
+     * Switch a rule on or off.
+     */
+    public function ajax_toggle_rule(): void {
+        $this->verify_request();
+
+        $rule = $this->get_rule( isset( $_POST['rule_id'] ) ? absint( $_POST['rule_id'] ) : 0 );
+
+        if ( ! $rule ) {
+            wp_send_json_error( [ 'message' => __( 'Rule not found.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $new_state = (int) $rule['is_active'] === 1 ? 0 : 1;
+
+        $wpdb->update(
+            $wpdb->prefix . self::RULES_TABLE,
+            [ 'is_active' => $new_state ],
+            [ 'id' => (int) $rule['id'] ],
+            [ '%d' ],
+            [ '%d' ]
+        );
+
+        $this->invalidate_cache();
+        $this->book_schedule( (int) $rule['id'] );
+
+        wp_send_json_success( [
+            'message'   => $new_state ? __( 'Rule enabled.', 'wptransformed' ) : __( 'Rule disabled.', 'wptransformed' ),
+            'is_active' => $new_state,
+        ] );
+    }
+
+    /**
+     * The run log, newest first.
+     */
+    public function ajax_get_log(): void {
+        $this->verify_request();
+
+        $log = get_option( self::LOG_OPTION, [] );
+
+        wp_send_json_success( is_array( $log ) ? $log : [] );
+    }
+
+    // ── AJAX: Dry Run ─────────────────────────────────────────
+
+    /**
+     * Sample payloads for the dry-run panel.
+     */
+    public function ajax_get_samples(): void {
+        $this->verify_request();
+
+        $hook = isset( $_POST['trigger_hook'] ) ? sanitize_text_field( wp_unslash( $_POST['trigger_hook'] ) ) : '';
+
+        wp_send_json_success( $this->is_trigger( $hook ) ? $this->get_samples( $hook ) : [] );
+    }
+
+    /**
+     * Evaluate the builder's unsaved rule against a sample payload with
+     * the live evaluator. Condition rows and groups keep the `ref` the
+     * builder sent so it can mark them.
+     */
+    public function ajax_test_rule(): void {
+        $this->verify_request();
+
+        $hook = isset( $_POST['trigger_hook'] ) ? sanitize_text_field( wp_unslash( $_POST['trigger_hook'] ) ) : '';
+
+        // phpcs:disable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- JSON, only compared and echoed back.
+        $conditions = json_decode( isset( $_POST['conditions'] ) ? wp_unslash( $_POST['conditions'] ) : '[]', true );
+        $steps      = json_decode( isset( $_POST['actions'] ) ? wp_unslash( $_POST['actions'] ) : '[]', true );
+        $payload    = json_decode( isset( $_POST['payload'] ) ? wp_unslash( $_POST['payload'] ) : '{}', true );
+        // phpcs:enable
+
+        if ( ! is_array( $payload ) ) {
+            wp_send_json_error( [ 'message' => __( 'The sample payload is not valid JSON.', 'wptransformed' ) ] );
+        }
+
+        $outcome = $this->evaluate_group( $this->normalize_conditions( $conditions ), $payload );
+
+        wp_send_json_success( [
+            'outcome' => $outcome,
+            'steps'   => $outcome['passed'] ? $this->trace_steps( $steps, $payload, $hook ) : [],
+        ] );
+    }
+
+    // ── AJAX: Inbound Webhooks ────────────────────────────────
+
+    /**
+     * Endpoints for the panel and the trigger select.
+     */
+    public function ajax_inbound_list(): void {
+        $this->verify_request();
+
+        wp_send_json_success( [
+            'endpoints' => array_map( [ $this, 'format_endpoint' ], $this->get_endpoints() ),
+        ] );
+    }
+
+    /**
+     * Create an endpoint. Its secret is returned this once.
+     */
+    public function ajax_inbound_save(): void {
+        $this->verify_request();
+
+        $name = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+
+        if ( $name === '' ) {
+            wp_send_json_error( [ 'message' => __( 'Endpoint name is required.', 'wptransformed' ) ] );
+        }
+
+        [ $secret, $encrypted ] = $this->new_secret();
+        if ( $encrypted === '' ) {
+            wp_send_json_error( [ 'message' => __( 'The secret could not be encrypted on this server.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $inserted = $wpdb->insert(
+            $wpdb->prefix . self::ENDPOINTS_TABLE,
+            [
+                // The slug is part of the URL, so it is not guessable either.
+                'slug'       => strtolower( wp_generate_password( 20, false ) ),
+                'name'       => $name,
+                'secret'     => $encrypted,
+                'created_at' => current_time( 'mysql' ),
+            ],
+            [ '%s', '%s', '%s', '%s' ]
+        );
+
+        $endpoint = $inserted ? $this->get_endpoint( (int) $wpdb->insert_id ) : null;
+        if ( $endpoint === null ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to create endpoint.', 'wptransformed' ) ] );
+        }
+
+        wp_send_json_success( [
+            'message'  => __( 'Endpoint created.', 'wptransformed' ),
+            'endpoint' => $this->format_endpoint( $endpoint ),
+            'secret'   => $secret,
+        ] );
+    }
+
+    /**
+     * Replace an endpoint's secret. Requests signed with the old one
+     * are rejected from now on.
+     */
+    public function ajax_inbound_rotate(): void {
+        $this->verify_request();
+
+        $endpoint = $this->get_endpoint( isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0 );
+
+        if ( $endpoint === null ) {
+            wp_send_json_error( [ 'message' => __( 'Endpoint not found.', 'wptransformed' ) ] );
+        }
+
+        [ $secret, $encrypted ] = $this->new_secret();
+        if ( $encrypted === '' ) {
+            wp_send_json_error( [ 'message' => __( 'The secret could not be encrypted on this server.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $wpdb->update(
+            $wpdb->prefix . self::ENDPOINTS_TABLE,
+            [ 'secret' => $encrypted ],
+            [ 'id' => (int) $endpoint['id'] ],
+            [ '%s' ],
+            [ '%d' ]
+        );
+
+        wp_send_json_success( [
+            'message' => __( 'New secret generated.', 'wptransformed' ),
+            'secret'  => $secret,
+        ] );
+    }
+
+    /**
+     * Delete an endpoint and its request log. Rules using it keep their
+     * trigger but no longer run.
+     */
+    public function ajax_inbound_delete(): void {
+        $this->verify_request();
+
+        $id = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+
+        if ( $id < 1 ) {
+            wp_send_json_error( [ 'message' => __( 'Invalid endpoint ID.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+
+        $deleted = $wpdb->delete( $wpdb->prefix . self::ENDPOINTS_TABLE, [ 'id' => $id ], [ '%d' ] );
+
+        if ( $deleted === false ) {
+            wp_send_json_error( [ 'message' => __( 'Failed to delete endpoint.', 'wptransformed' ) ] );
+        }
+
+        $wpdb->delete( $wpdb->prefix . self::INBOUND_LOG_TABLE, [ 'endpoint_id' => $id ], [ '%d' ] );
+
+        wp_send_json_success( [ 'message' => __( 'Endpoint deleted.', 'wptransformed' ) ] );
+    }
+
+    /**
+     * Requests an endpoint received, newest first.
+     */
+    public function ajax_inbound_log(): void {
+        $this->verify_request();
+
+        $id   = isset( $_POST['id'] ) ? absint( $_POST['id'] ) : 0;
+        $page = isset( $_POST['page'] ) ? max( 1, absint( $_POST['page'] ) ) : 1;
+
+        if ( $this->get_endpoint( $id ) === null ) {
+            wp_send_json_error( [ 'message' => __( 'Endpoint not found.', 'wptransformed' ) ] );
+        }
+
+        global $wpdb;
+        $table = $wpdb->prefix . self::INBOUND_LOG_TABLE;
+
+        // phpcs:disable WordPress.DB.DirectDatabaseQuery
+        $total = (int) $wpdb->get_var( $wpdb->prepare( "SELECT COUNT(*) FROM {$table} WHERE endpoint_id = %d", $id ) );
+        $rows  = $wpdb->get_results( $wpdb->prepare(
+            "SELECT * FROM {$table} WHERE endpoint_id = %d ORDER BY id DESC LIMIT %d OFFSET %d",
+            $id,
+            self::INBOUND_PER_PAGE,
+            ( $page - 1 ) * self::INBOUND_PER_PAGE
+        ), ARRAY_A );
+        // phpcs:enable
+
+        wp_send_json_success( [
+            'requests' => array_map( [ $this, 'format_inbound_request' ], is_array( $rows ) ? $rows : [] ),
+            'page'     => $page,
+            'pages'    => (int) ceil( $total / self::INBOUND_PER_PAGE ),
+            'total'    => $total,
+        ] );
+    }
+
+    // ── Settings UI ───────────────────────────────────────────
+
+    public function render_settings(): void {
+        global $wpdb;
+        $table = $wpdb->prefix . self::RULES_TABLE;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rules    = $wpdb->get_results( "SELECT * FROM {$table} ORDER BY created_at DESC", ARRAY_A );
+        $rules    = is_array( $rules ) ? $rules : [];
+        $triggers = $this->get_triggers();
+
+        $groups = [];
+        foreach ( $triggers as $hook => $trigger ) {
+            $groups[ $trigger['group'] ][ $hook ] = $trigger['label'];
+        }
+
+        // The builder adds these options itself, but the list names them too.
+        $triggers[ self::SCHEDULE_HOOK ] = [ 'label' => __( 'On a schedule', 'wptransformed' ) ];
+        foreach ( $this->get_endpoints() as $endpoint ) {
+            $triggers[ self::INBOUND_PREFIX . $endpoint['slug'] ] = [ 'label' => $endpoint['name'] ];
+        }
+        ?>
+
+        <p>
+            <button type="button" class="button button-primary" id="wpt-automation-add-rule"><?php esc_html_e( 'Add Rule', 'wptransformed' ); ?></button>
+            <button type="button" class="button" id="wpt-automation-view-log"><?php esc_html_e( 'View Log', 'wptransformed' ); ?></button>
+        </p>
+
+        <?php if ( empty( $rules ) ) : ?>
+            <p class="description"><?php esc_html_e( 'No rules yet. Add one to run actions when something happens on the site.', 'wptransformed' ); ?></p>
+        <?php else : ?>
+            <table class="widefat striped wpt-automation-rules">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e( 'Rule', 'wptransformed' ); ?></th>
+                        <th><?php esc_html_e( 'When', 'wptransformed' ); ?></th>
+                        <th><?php esc_html_e( 'Actions', 'wptransformed' ); ?></th>
+                        <th><?php esc_html_e( 'Last Run', 'wptransformed' ); ?></th>
+                        <th><?php esc_html_e( 'Status', 'wptransformed' ); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ( $rules as $rule ) :
+                        $steps = json_decode( (string) $rule['actions'], true );
+                        ?>
+                        <tr>
+                            <td><strong><?php echo esc_html( $rule['name'] ); ?></strong></td>
+                            <td><?php echo esc_html( $triggers[ $rule['trigger_hook'] ]['label'] ?? $rule['trigger_hook'] ); ?></td>
+                            <td><?php echo esc_html( (string) $this->count_actions( $this->sanitize_steps( $steps ) ) ); ?></td>
+                            <td>
+                                <?php
+                                echo $rule['last_run']
+                                    /* translators: %s: human-readable time difference */
+                                    ? esc_html( sprintf( __( '%s ago', 'wptransformed' ), human_time_diff( (int) strtotime( $rule['last_run'] ), (int) current_time( 'timestamp' ) ) ) )
+                                    : esc_html__( 'Never', 'wptransformed' );
+                                ?>
+                            </td>
+                            <td>
+                                <button type="button" class="button button-small wpt-automation-toggle" data-rule-id="<?php echo esc_attr( $rule['id'] ); ?>">
+                                    <?php echo (int) $rule['is_active'] ? esc_html__( 'Active', 'wptransformed' ) : esc_html__( 'Inactive', 'wptransformed' ); ?>
+                                </button>
+                            </td>
+                            <td>
+                                <button type="button" class="button button-small wpt-automation-edit" data-rule-id="<?php echo esc_attr( $rule['id'] ); ?>"><?php esc_html_e( 'Edit', 'wptransformed' ); ?></button>
+                                <button type="button" class="button button-small button-link-delete wpt-automation-delete" data-rule-id="<?php echo esc_attr( $rule['id'] ); ?>"><?php esc_html_e( 'Delete', 'wptransformed' ); ?></button>
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+        <?php endif; ?>
+
+        <!-- Rule editor -->
+        <div id="wpt-automation-editor" class="wpt-automation-editor" style="display:none;">
+            <h3 id="wpt-automation-editor-title"><?php esc_html_e( 'New Rule', 'wptransformed' ); ?></h3>
+            <input type="hidden" id="wpt-automation-rule-id" value="0">
+
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="wpt-automation-name"><?php esc_html_e( 'Name', 'wptransformed' ); ?></label></th>
+                    <td><input type="text" id="wpt-automation-name" class="regular-text"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wpt-automation-trigger"><?php esc_html_e( 'When', 'wptransformed' ); ?></label></th>
+                    <td>
+                        <select id="wpt-automation-trigger">
+                            <?php foreach ( $groups as $label => $options ) : ?>
+                                <optgroup label="<?php echo esc_attr( $label ); ?>">
+                                    <?php foreach ( $options as $hook => $option ) : ?>
+                                        <option value="<?php echo esc_attr( $hook ); ?>"><?php echo esc_html( $option ); ?></option>
+                                    <?php endforeach; ?>
+                                </optgroup>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Only if', 'wptransformed' ); ?></th>
+                    <td>
+                        <div id="wpt-automation-conditions"></div>
+                        <p><button type="button" class="button" id="wpt-automation-add-condition"><?php esc_html_e( 'Add Condition', 'wptransformed' ); ?></button></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e( 'Then', 'wptransformed' ); ?></th>
+                    <td>
+                        <div id="wpt-automation-actions"></div>
+                        <p><button type="button" class="button" id="wpt-automation-add-action"><?php esc_html_e( 'Add Action', 'wptransformed' ); ?></button></p>
+                    </td>
+                </tr>
+            </table>
+
+            <p>
+                <button type="button" class="button button-primary" id="wpt-automation-save-rule"><?php esc_html_e( 'Save Rule', 'wptransformed' ); ?></button>
+                <button type="button" class="button" id="wpt-automation-cancel"><?php esc_html_e( 'Cancel', 'wptransformed' ); ?></button>
+                <span class="spinner" id="wpt-automation-spinner"></span>
+            </p>
+        </div>
+
+        <!-- Run log -->
+        <div id="wpt-automation-log-view" class="wpt-automation-log" style="display:none;">
+            <h3><?php esc_html_e( 'Execution Log', 'wptransformed' ); ?></h3>
+            <div id="wpt-automation-log-entries"></div>
+            <p><button type="button" class="button" id="wpt-automation-close-log"><?php esc_html_e( 'Close', 'wptransformed' ); ?></button></p>
+        </div>
+
+        <script type="text/template" id="wpt-tmpl-condition-row">
+            <div class="wpt-automation-condition-row">
+                <input type="text" class="wpt-cond-field" placeholder="<?php esc_attr_e( 'Field, e.g. post.type', 'wptransformed' ); ?>" aria-label="<?php esc_attr_e( 'Field', 'wptransformed' ); ?>">
+                <select class="wpt-cond-op" aria-label="<?php esc_attr_e( 'Operator', 'wptransformed' ); ?>">
+                    <?php foreach ( $this->get_operator_labels() as $op => $label ) : ?>
+                        <option value="<?php echo esc_attr( $op ); ?>"><?php echo esc_html( $label ); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                <input type="text" class="wpt-cond-value" placeholder="<?php esc_attr_e( 'Value', 'wptransformed' ); ?>" aria-label="<?php esc_attr_e( 'Value', 'wptransformed' ); ?>">
+                <button type="button" class="button-link wpt-remove-row" aria-label="<?php esc_attr_e( 'Remove condition', 'wptransformed' ); ?>">&times;</button>
+            </div>
+        </script>
+
+        <script type="text/template" id="wpt-tmpl-action-row">
+            <div class="wpt-automation-action-row">
+                <div class="wpt-action-head">
+                    <select class="wpt-action-type" aria-label="<?php esc_attr_e( 'Action', 'wptransformed' ); ?>">
+                        <option value="send_email"><?php esc_html_e( 'Send Email', 'wptransformed' ); ?></option>
+                        <option value="send_webhook"><?php esc_html_e( 'Send Webhook', 'wptransformed' ); ?></option>
+                        <option value="set_meta"><?php esc_html_e( 'Set Meta Value', 'wptransformed' ); ?></option>
+                        <option value="clear_caches"><?php esc_html_e( 'Clear Caches', 'wptransformed' ); ?></option>
+                    </select>
+                    <button type="button" class="button-link wpt-remove-row" aria-label="<?php esc_attr_e( 'Remove step', 'wptransformed' ); ?>">&times;</button>
+                </div>
+                <div class="wpt-action-fields"></div>
+            </div>
+        </script>
+        <?php
+    }
+
+    /**
+     * Operator labels for the condition row template.
+     *
+     * @return array<string, string>
+     */
+    private function get_operator_labels(): array {
+        return [
+            '=='           => __( 'equals', 'wptransformed' ),
+            '!='           => __( 'does not equal', 'wptransformed' ),
+            'contains'     => __( 'contains', 'wptransformed' ),
+            'not_contains' => __( 'does not contain', 'wptransformed' ),
+            'starts_with'  => __( 'starts with', 'wptransformed' ),
+            'ends_with'    => __( 'ends with', 'wptransformed' ),
+            'empty'        => __( 'is empty', 'wptransformed' ),
+            'not_empty'    => __( 'is not empty', 'wptransformed' ),
+            '>'            => __( 'greater than', 'wptransformed' ),
+            '<'            => __( 'less than', 'wptransformed' ),
+            '>='           => __( 'at least', 'wptransformed' ),
+            '<='           => __( 'at most', 'wptransformed' ),
+        ];
+    }
+
+    /**
+     * Statuses the "Update Post" action can set.
+     *
+     * @return array<string, string>
+     */
+    private function get_status_labels(): array {
+        $labels = wp_list_pluck( get_post_stati( [ 'internal' => false ], 'objects' ), 'label' );
+
+        $labels['trash'] = get_post_status_object( 'trash' )->label;
+
+        return $labels;
+    }
+
+    /**
+     * Modules the "Toggle WPT Module" action can switch.
+     *
+     * @return array<string, string>
+     */
+    private function get_module_labels(): array {
+        $labels = [];
+
+        foreach ( Core::instance()->get_all_modules() as $id => $module ) {
+            if ( $id === $this->get_id() || ( $module->get_tier() === 'pro' && ! Core::is_pro_licensed() ) ) {
+                continue;
+            }
+            $labels[ $id ] = $module->get_title();
+        }
+
+        asort( $labels );
+
+        return $labels;
+    }
+
+    /**
+     * PHP snippets the "Run Code Snippet" action can run.
+     *
+     * @return array<string, string>
+     */
+    private function get_snippet_labels(): array {
+        $snippets = Core::instance()->get_module( 'code-snippets' );
+
+        return $snippets instanceof Code_Snippets && Core::instance()->is_active( 'code-snippets' )
+            ? $snippets->get_php_snippet_titles()
+            : [];
+    }
+
+    // ── Assets ────────────────────────────────────────────────
+
+    public function enqueue_admin_assets( string $hook ): void {
+        if ( strpos( $hook, 'wptransformed' ) === false ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'wpt-workflow-automation',
+            WPT_URL . 'modules/utilities/css/workflow-automation.css',
+            [ 'wpt-merge-tags' ],
+            WPT_VERSION
+        );
+
+        wp_enqueue_script(
+            'wpt-workflow-automation',
+            WPT_URL . 'modules/utilities/js/workflow-automation.js',
+            [ 'wpt-api', 'wpt-merge-tags' ],
+            WPT_VERSION,
+            true
+        );
+
+        wp_localize_script( 'wpt-workflow-automation', 'wptWorkflowAutomation', [
+            'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+            'nonce'           => wp_create_nonce( 'wpt_automation_nonce' ),
+            'nonceAction'     => 'wpt_automation_nonce',
+            'maxDepth'        => self::MAX_DEPTH,
+            'maxActions'      => self::MAX_ACTIONS,
+            'triggerSubjects' => wp_list_pluck( $this->get_triggers(), 'subjects' ),
+            'roles'           => array_map( 'translate_user_role', wp_roles()->get_names() ),
+            'postStatuses'    => $this->get_status_labels(),
+            'taxonomies'      => wp_list_pluck( get_taxonomies( [ 'show_ui' => true ], 'objects' ), 'label' ),
+            'modules'         => $this->get_module_labels(),
+            'snippets'        => $this->get_snippet_labels(),
+            'timezone'        => $this->site_timezone(),
+            'cronManagerUrl'  => Core::instance()->is_active( 'cron-manager' ) ? admin_url( 'admin.php?page=wptransformed&module=cron-manager' ) : '',
+            'i18n'            => [
+                'newRule'              => __( 'New Rule', 'wptransformed' ),
+                'editRule'             => __( 'Edit Rule', 'wptransformed' ),
+                'nameRequired'         => __( 'Please enter a rule name.', 'wptransformed' ),
+                'noActions'            => __( 'Add at least one action.', 'wptransformed' ),
+                'saved'                => __( 'Rule saved.', 'wptransformed' ),
+                'confirmDelete'        => __( 'Delete this rule? This cannot be undone.', 'wptransformed' ),
+                'networkError'         => __( 'Network error. Please try again.', 'wptransformed' ),
+                'noLogEntries'         => __( 'No rules have run yet.', 'wptransformed' ),
+                'emailTo'              => __( 'To (comma-separated)', 'wptransformed' ),
+                'emailSubject'         => __( 'Subject', 'wptransformed' ),
+                'emailBody'            => __( 'Body', 'wptransformed' ),
+                'webhookUrl'           => __( 'Webhook URL', 'wptransformed' ),
+                'webhookPayload'       => __( 'Body (JSON; blank sends the event payload)', 'wptransformed' ),
+                'metaKey'              => __( 'Meta key', 'wptransformed' ),
+                'metaValue'            => __( 'Meta value', 'wptransformed' ),
+                'matchAll'             => __( 'All of', 'wptransformed' ),
+                'matchAny'             => __( 'Any of', 'wptransformed' ),
+                'theseConditions'      => __( 'these conditions', 'wptransformed' ),
+                'condition'            => __( 'Condition', 'wptransformed' ),
+                'group'                => __( 'Group', 'wptransformed' ),
+                'removeGroup'          => __( 'Remove group', 'wptransformed' ),
+                /* translators: %d: maximum nesting depth */
+                'maxDepth'             => sprintf( __( 'Groups can only be nested %d levels deep.', 'wptransformed' ), self::MAX_DEPTH ),
+                'addBranch'            => __( 'Add If/Else', 'wptransformed' ),
+                'addDelay'             => __( 'Add Delay', 'wptransformed' ),
+                'flowView'             => __( 'Flow view', 'wptransformed' ),
+                'wait'                 => __( 'Wait', 'wptransformed' ),
+                'removeStep'           => __( 'Remove step', 'wptransformed' ),
+                'if'                   => __( 'If', 'wptransformed' ),
+                'then'                 => __( 'Then', 'wptransformed' ),
+                'else'                 => __( 'Otherwise', 'wptransformed' ),
+                'action'               => __( 'Action', 'wptransformed' ),
+                'branch'               => __( 'If/Else', 'wptransformed' ),
+                'delay'                => __( 'Delay', 'wptransformed' ),
+                'unit_minutes'         => __( 'minutes', 'wptransformed' ),
+                'unit_hours'           => __( 'hours', 'wptransformed' ),
+                'unit_days'            => __( 'days', 'wptransformed' ),
+                'actionIncomplete'     => __( 'Fill in the required fields of every action.', 'wptransformed' ),
+                'branchNeedsCondition' => __( 'Every if/else step needs at least one condition.', 'wptransformed' ),
+                'and'                  => __( 'and', 'wptransformed' ),
+                'or'                   => __( 'or', 'wptransformed' ),
+                'always'               => __( 'Always', 'wptransformed' ),
+                'trigger'              => __( 'When', 'wptransformed' ),
+                'onlyIf'               => __( 'Only if', 'wptransformed' ),
+                'noSteps'              => __( 'No steps', 'wptransformed' ),
+            ],
+        ] );
+    }
+
+    // ── Cleanup ───────────────────────────────────────────────
+
+    public function get_cleanup_tasks(): array {
+        return [
+            [ 'type' => 'table', 'name' => self::RULES_TABLE ],
+            [ 'type' => 'table', 'name' => self::QUEUE_TABLE ],
+            [ 'type' => 'table', 'name' => self::ENDPOINTS_TABLE ],
+            [ 'type' => 'table', 'name' => self::INBOUND_LOG_TABLE ],
+            [ 'type' => 'option', 'key' => self::DB_VERSION_KEY ],
+            [ 'type' => 'option', 'key' => self::LOG_OPTION ],
+            [ 'type' => 'user_meta', 'key' => self::NOTICES_META ],
+            [ 'type' => 'transient', 'key' => self::CACHE_KEY ],
+            [ 'type' => 'cron', 'hook' => self::RESUME_HOOK ],
+            [ 'type' => 'cron', 'hook' => self::SCHEDULED_HOOK ],
+        ];
+    }
+}
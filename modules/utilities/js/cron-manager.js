@@ -8,35 +8,13 @@
 
     var config = window.wptCronManager || {};
 
-    // -- Helpers ----------------------------------------------------------
-
-    function post(action, data, callback) {
-        var body = new FormData();
-        body.append('action', action);
-        body.append('nonce', config.nonce || '');
-
-        Object.keys(data).forEach(function (key) {
-            body.append(key, data[key]);
-        });
-
-        var xhr = new XMLHttpRequest();
-        xhr.open('POST', config.ajaxUrl || '', true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState !== 4) return;
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_cron_nonce'
+    });
 
-            var response;
-            try {
-                response = JSON.parse(xhr.responseText);
-            } catch (e) {
-                response = { success: false, data: { message: config.i18n.networkError } };
-            }
-            callback(response);
-        };
-        xhr.onerror = function () {
-            callback({ success: false, data: { message: config.i18n.networkError } });
-        };
-        xhr.send(body);
-    }
+    // -- Helpers ----------------------------------------------------------
 
     function showNotice(message, type) {
         var existing = document.querySelector('.wpt-cron-notice');
@@ -90,18 +68,16 @@
         var originalText = button.textContent;
         setButtonLoading(button, true, config.i18n.running);
 
-        post('wpt_cron_run_now', {
+        api.post('wpt_cron_run_now', {
             hook:      button.dataset.hook,
             args:      button.dataset.args,
             timestamp: button.dataset.timestamp
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             setButtonLoading(button, false, originalText);
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -117,25 +93,23 @@
         var row = button.closest('tr');
         setButtonLoading(button, true, config.i18n.deleting);
 
-        post('wpt_cron_delete', {
+        api.post('wpt_cron_delete', {
             hook:      button.dataset.hook,
             args:      button.dataset.args,
             timestamp: button.dataset.timestamp
-        }, function (response) {
-            if (response.success) {
-                if (row) {
-                    row.style.transition = 'opacity 0.3s';
-                    row.style.opacity = '0';
-                    setTimeout(function () {
-                        row.remove();
-                        updateCount();
-                    }, 300);
-                }
-                showNotice(response.data.message, 'success');
-            } else {
-                setButtonLoading(button, false, originalText);
-                showNotice(response.data.message || config.i18n.networkError, 'error');
+        }).then(function (data) {
+            if (row) {
+                row.style.transition = 'opacity 0.3s';
+                row.style.opacity = '0';
+                setTimeout(function () {
+                    row.remove();
+                    updateCount();
+                }, 300);
             }
+            showNotice(data.message, 'success');
+        }).catch(function (err) {
+            setButtonLoading(button, false, originalText);
+            showNotice(err.message || config.i18n.networkError, 'error');
         });
     }
 
@@ -159,23 +133,21 @@
         addButton.disabled = true;
         if (addSpinner) addSpinner.classList.add('is-active');
 
-        post('wpt_cron_add', {
+        api.post('wpt_cron_add', {
             hook:       hook,
             recurrence: schedSelect.value
-        }, function (response) {
+        }).then(function (data) {
+            showNotice(data.message, 'success');
+            hookInput.value = '';
+            // Reload page after a short delay so the new event appears.
+            setTimeout(function () {
+                window.location.reload();
+            }, 1000);
+        }).catch(function (err) {
+            showNotice(err.message || config.i18n.networkError, 'error');
+        }).finally(function () {
             addButton.disabled = false;
             if (addSpinner) addSpinner.classList.remove('is-active');
-
-            if (response.success) {
-                showNotice(response.data.message, 'success');
-                hookInput.value = '';
-                // Reload page after a short delay so the new event appears.
-                setTimeout(function () {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                showNotice(response.data.message || config.i18n.networkError, 'error');
-            }
         });
     }
 
@@ -1,5 +1,7 @@
 /**
- * Redirect Manager -- Vanilla JS for AJAX CRUD + CSV import/export.
+ * Redirect Manager -- Vanilla JS for AJAX CRUD, URL tester, hit statistics,
+ * bulk actions, grouped 404 log with suggestions, health checks, CSV export
+ * + CSV/JSON/.htaccess/nginx import.
  *
  * @package WPTransformed
  */
@@ -8,35 +10,13 @@
 
     var config = window.wptRedirectManager || {};
 
-    // -- Helpers ----------------------------------------------------------
-
-    function post(action, data, callback) {
-        var body = new FormData();
-        body.append('action', action);
-        body.append('nonce', config.nonce || '');
-
-        Object.keys(data).forEach(function (key) {
-            body.append(key, data[key]);
-        });
-
-        var xhr = new XMLHttpRequest();
-        xhr.open('POST', config.ajaxUrl || '', true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState !== 4) return;
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_redirect_manager_nonce'
+    });
 
-            var response;
-            try {
-                response = JSON.parse(xhr.responseText);
-            } catch (e) {
-                response = { success: false, data: { message: config.i18n.networkError } };
-            }
-            callback(response);
-        };
-        xhr.onerror = function () {
-            callback({ success: false, data: { message: config.i18n.networkError } });
-        };
-        xhr.send(body);
-    }
+    // -- Helpers ----------------------------------------------------------
 
     function showNotice(container, message, type) {
         var existing = container.querySelector('.wpt-redirect-notice');
@@ -67,6 +47,54 @@
         }
     }
 
+    /**
+     * Ask what to do with a save the server refused because it chains.
+     * `resend` is called with 'collapse' or 'keep' and retries the save.
+     */
+    function showChainChoice(container, message, resend) {
+        showNotice(container, message, 'warning');
+
+        var p = container.querySelector('.wpt-redirect-notice p');
+        var collapse = document.createElement('button');
+        collapse.type = 'button';
+        collapse.className = 'button button-small button-primary wpt-chain-collapse';
+        collapse.textContent = config.i18n.chainCollapse;
+
+        var keep = document.createElement('button');
+        keep.type = 'button';
+        keep.className = 'button button-small wpt-chain-keep';
+        keep.textContent = config.i18n.chainKeep;
+
+        [collapse, keep].forEach(function (btn) {
+            btn.addEventListener('click', function () {
+                var notice = btn.closest('.wpt-redirect-notice');
+                if (notice) notice.remove();
+                resend(btn === collapse ? 'collapse' : 'keep');
+            });
+            p.appendChild(document.createTextNode(' '));
+            p.appendChild(btn);
+        });
+    }
+
+    /**
+     * Reflect server-side target rewrites (collapsed chains) in the
+     * redirects table and drop the rules from the Health tab's chain list.
+     */
+    function applyTargetUpdates(updated) {
+        (updated || []).forEach(function (update) {
+            var row = document.querySelector('#wpt-redirects-tbody tr[data-id="' + update.id + '"]');
+            if (row) {
+                var targetCell = row.querySelector('.wpt-target-url');
+                if (targetCell) targetCell.textContent = update.target_url;
+
+                var editBtn = row.querySelector('.wpt-edit-redirect');
+                if (editBtn) editBtn.setAttribute('data-target', update.target_url);
+            }
+
+            removeHealthRow('wpt-health-chains', update.id);
+        });
+    }
+
     // -- Tab Switching ----------------------------------------------------
 
     function initTabs() {
@@ -91,21 +119,50 @@
         });
     }
 
+    /**
+     * Client-side check of a source for its match type. Regex sources only
+     * need to be non-empty; the server compiles them with PCRE.
+     */
+    function sourceError(source, matchType) {
+        if (matchType === 'regex') {
+            return source ? '' : config.i18n.regexRequired;
+        }
+        return source && source.charAt(0) === '/' ? '' : config.i18n.sourceRequired;
+    }
+
     // -- Add Redirect -----------------------------------------------------
 
     function initAddRedirect() {
         var addBtn = document.getElementById('wpt-add-redirect-btn');
         if (!addBtn) return;
 
+        var matchSelect = document.getElementById('wpt-add-match');
+        var matchHelp   = document.getElementById('wpt-add-match-help');
+        var placeholders = { exact: '/old-page', wildcard: '/blog/*', regex: '^/blog/(\\d{4})/(.+)$' };
+        var help = { exact: config.i18n.helpExact, wildcard: config.i18n.helpWildcard, regex: config.i18n.helpRegex };
+
+        if (matchSelect) {
+            matchSelect.addEventListener('change', function () {
+                var source = document.getElementById('wpt-add-source');
+                if (source) source.placeholder = placeholders[matchSelect.value] || '';
+                if (matchHelp) matchHelp.textContent = help[matchSelect.value] || '';
+            });
+        }
+
         addBtn.addEventListener('click', function () {
             var source = document.getElementById('wpt-add-source');
             var target = document.getElementById('wpt-add-target');
             var type   = document.getElementById('wpt-add-type');
+            var ignoreCase = document.getElementById('wpt-add-ignore-case');
+            var queryMatch = document.getElementById('wpt-add-query-match');
+            var queryPass  = document.getElementById('wpt-add-query-pass');
             var spinner = document.getElementById('wpt-add-spinner');
             var container = document.getElementById('wpt-tab-redirects');
+            var matchType = matchSelect ? matchSelect.value : 'exact';
 
-            if (!source.value || source.value.charAt(0) !== '/') {
-                showNotice(container, config.i18n.sourceRequired, 'error');
+            var error = sourceError(source.value, matchType);
+            if (error) {
+                showNotice(container, error, 'error');
                 source.focus();
                 return;
             }
@@ -116,31 +173,44 @@
                 return;
             }
 
-            addBtn.disabled = true;
-            setSpinner(spinner, true);
-
-            post('wpt_add_redirect', {
-                source_url: source.value,
-                target_url: target.value,
-                redirect_type: type.value
-            }, function (response) {
-                addBtn.disabled = false;
-                setSpinner(spinner, false);
-
-                if (response.success) {
-                    showNotice(container, response.data.message, 'success');
+            function submit(chain) {
+                addBtn.disabled = true;
+                setSpinner(spinner, true);
+
+                api.post('wpt_add_redirect', {
+                    source_url: source.value,
+                    target_url: target.value,
+                    redirect_type: type.value,
+                    match_type: matchType,
+                    ignore_case: ignoreCase ? ignoreCase.checked : true,
+                    query_match: queryMatch ? queryMatch.checked : false,
+                    query_pass: queryPass ? queryPass.checked : false,
+                    chain: chain
+                }).then(function (data) {
+                    showNotice(container, data.message, 'success');
 
                     // Add row to table.
-                    addRedirectRow(response.data.redirect);
+                    addRedirectRow(data.redirect);
+                    applyTargetUpdates(data.updated);
 
                     // Clear form.
                     source.value = '';
                     target.value = '';
                     type.value = '301';
-                } else {
-                    showNotice(container, response.data.message, 'error');
-                }
-            });
+                    retest();
+                }).catch(function (err) {
+                    if (err.code === 'redirect_chain') {
+                        showChainChoice(container, err.message, submit);
+                        return;
+                    }
+                    showNotice(container, err.message, 'error');
+                }).finally(function () {
+                    addBtn.disabled = false;
+                    setSpinner(spinner, false);
+                });
+            }
+
+            submit();
         });
     }
 
@@ -154,12 +224,24 @@
 
         var tr = document.createElement('tr');
         tr.setAttribute('data-id', redirect.id);
+        tr.setAttribute('data-hits', '0');
+        tr.setAttribute('data-last-hit', '0');
 
         tr.innerHTML =
-            '<td class="wpt-col-source"><code>' + escapeHtml(redirect.source_url) + '</code></td>' +
+            '<th scope="row" class="wpt-col-cb check-column">' +
+                '<input type="checkbox" class="wpt-redirect-cb" value="' + redirect.id + '" aria-label="' + escapeAttr(redirect.source_url) + '">' +
+            '</th>' +
+            '<td class="wpt-col-source"><code>' + escapeHtml(redirect.source_url) + '</code>' +
+                (redirect.match_type && redirect.match_type !== 'exact'
+                    ? ' <span class="wpt-match-badge">' + escapeHtml(redirect.match_type) + '</span>'
+                    : '') +
+            '</td>' +
             '<td class="wpt-col-target"><span class="wpt-target-url">' + escapeHtml(redirect.target_url) + '</span></td>' +
             '<td class="wpt-col-type"><span class="wpt-redirect-type-badge">' + escapeHtml(String(redirect.redirect_type)) + '</span></td>' +
-            '<td class="wpt-col-hits">0</td>' +
+            '<td class="wpt-col-hits">' +
+                '<button type="button" class="button-link wpt-redirect-stats-toggle" aria-expanded="false" data-id="' + redirect.id + '">0</button>' +
+            '</td>' +
+            '<td class="wpt-col-last-hit"><span class="wpt-muted">' + escapeHtml(config.i18n.never) + '</span></td>' +
             '<td class="wpt-col-status">' +
                 '<button type="button" class="button button-small wpt-toggle-redirect wpt-active" data-id="' + redirect.id + '">' +
                     escapeHtml(config.i18n.active) +
@@ -170,7 +252,11 @@
                     ' data-id="' + redirect.id + '"' +
                     ' data-source="' + escapeAttr(redirect.source_url) + '"' +
                     ' data-target="' + escapeAttr(redirect.target_url) + '"' +
-                    ' data-type="' + redirect.redirect_type + '">Edit</button> ' +
+                    ' data-type="' + redirect.redirect_type + '"' +
+                    ' data-match="' + escapeAttr(redirect.match_type || 'exact') + '"' +
+                    ' data-ignore-case="' + (redirect.ignore_case === undefined ? 1 : Number(redirect.ignore_case)) + '"' +
+                    ' data-query-match="' + Number(redirect.query_match || 0) + '"' +
+                    ' data-query-pass="' + Number(redirect.query_pass || 0) + '">Edit</button> ' +
                 '<button type="button" class="button button-small button-link-delete wpt-delete-redirect"' +
                     ' data-id="' + redirect.id + '">Delete</button>' +
             '</td>';
@@ -179,6 +265,18 @@
 
         // Update count.
         updateRedirectCount(1);
+        applyFilters();
+    }
+
+    /**
+     * Drop a rule's row, and its statistics row if open, from the table.
+     */
+    function removeRedirectRow(id) {
+        var row = document.querySelector('#wpt-redirects-tbody tr[data-id="' + id + '"]');
+        if (row) row.remove();
+
+        var stats = statsRow(id);
+        if (stats) stats.remove();
     }
 
     // -- Edit Redirect ----------------------------------------------------
@@ -192,6 +290,7 @@
             var source = btn.getAttribute('data-source');
             var target = btn.getAttribute('data-target');
             var type   = btn.getAttribute('data-type');
+            var matchType = btn.getAttribute('data-match') || 'exact';
 
             var newSource = prompt(config.i18n.editPromptSource, source);
             if (newSource === null) return;
@@ -201,8 +300,9 @@
 
             var container = document.getElementById('wpt-tab-redirects');
 
-            if (!newSource || newSource.charAt(0) !== '/') {
-                showNotice(container, config.i18n.sourceRequired, 'error');
+            var error = sourceError(newSource, matchType);
+            if (error) {
+                showNotice(container, error, 'error');
                 return;
             }
 
@@ -211,35 +311,121 @@
                 return;
             }
 
-            btn.disabled = true;
+            function submit(chain) {
+                btn.disabled = true;
 
-            post('wpt_edit_redirect', {
-                redirect_id: id,
-                source_url: newSource,
-                target_url: newTarget,
-                redirect_type: type
-            }, function (response) {
-                btn.disabled = false;
+                api.post('wpt_edit_redirect', {
+                    redirect_id: id,
+                    source_url: newSource,
+                    target_url: newTarget,
+                    redirect_type: type,
+                    match_type: matchType,
+                    ignore_case: btn.getAttribute('data-ignore-case') !== '0',
+                    query_match: btn.getAttribute('data-query-match') === '1',
+                    query_pass: btn.getAttribute('data-query-pass') === '1',
+                    chain: chain
+                }).then(function (data) {
+                    var savedTarget = data.target_url || newTarget;
 
-                if (response.success) {
-                    showNotice(container, response.data.message, 'success');
+                    showNotice(container, data.message, 'success');
 
                     // Update row data.
-                    var row = document.querySelector('tr[data-id="' + id + '"]');
+                    var row = document.querySelector('#wpt-redirects-tbody tr[data-id="' + id + '"]');
                     if (row) {
                         var sourceCell = row.querySelector('.wpt-col-source code');
                         if (sourceCell) sourceCell.textContent = newSource;
 
                         var targetCell = row.querySelector('.wpt-target-url');
-                        if (targetCell) targetCell.textContent = newTarget;
+                        if (targetCell) targetCell.textContent = savedTarget;
 
                         btn.setAttribute('data-source', newSource);
-                        btn.setAttribute('data-target', newTarget);
+                        btn.setAttribute('data-target', savedTarget);
                     }
-                } else {
-                    showNotice(container, response.data.message, 'error');
-                }
-            });
+
+                    applyTargetUpdates(data.updated);
+                    retest();
+                }).catch(function (err) {
+                    if (err.code === 'redirect_chain') {
+                        showChainChoice(container, err.message, submit);
+                        return;
+                    }
+                    showNotice(container, err.message, 'error');
+                }).finally(function () {
+                    btn.disabled = false;
+                });
+            }
+
+            submit();
+        });
+    }
+
+    // -- URL Tester -------------------------------------------------------
+
+    var testTimer = null;
+
+    function initUrlTester() {
+        var input = document.getElementById('wpt-test-url');
+        if (!input) return;
+
+        input.addEventListener('input', function () {
+            clearTimeout(testTimer);
+            testTimer = setTimeout(retest, 300);
+        });
+    }
+
+    /**
+     * Run the tester against the URL in its box. Called as the user types and
+     * after every change to the rules, so the result never goes stale.
+     */
+    function retest() {
+        var input  = document.getElementById('wpt-test-url');
+        var result = document.getElementById('wpt-test-url-result');
+        if (!input || !result) return;
+
+        var url = input.value.trim();
+
+        if (!url) {
+            api.abort('test-url');
+            result.className = 'wpt-redirect-test-result';
+            result.textContent = '';
+            highlightRule(null);
+            return;
+        }
+
+        result.className = 'wpt-redirect-test-result is-loading';
+        result.textContent = config.i18n.testing;
+
+        api.post('wpt_test_redirect_url', { url: url }, { key: 'test-url' }).then(function (data) {
+            if (!data.matched) {
+                result.className = 'wpt-redirect-test-result is-miss';
+                result.textContent = data.message || config.i18n.testNoMatch;
+                highlightRule(null);
+                return;
+            }
+
+            result.className = 'wpt-redirect-test-result is-match';
+            result.innerHTML =
+                '<span class="wpt-redirect-type-badge">' + escapeHtml(String(data.status)) + '</span> ' +
+                '<code>' + escapeHtml(data.path) + '</code> → ' +
+                '<code class="wpt-test-target">' + escapeHtml(data.target) + '</code>' +
+                '<span class="wpt-test-rule">' +
+                    escapeHtml(config.i18n.testMatched
+                        .replace('%1$s', data.redirect.id)
+                        .replace('%2$s', data.redirect.source_url)) +
+                '</span>';
+
+            highlightRule(data.redirect.id);
+        }).catch(function (err) {
+            if (wpt.api.isAbort(err)) return;
+            result.className = 'wpt-redirect-test-result is-miss';
+            result.textContent = err.message;
+        });
+    }
+
+    function highlightRule(id) {
+        var rows = document.querySelectorAll('#wpt-redirects-tbody tr');
+        rows.forEach(function (row) {
+            row.classList.toggle('wpt-test-hit', row.getAttribute('data-id') === String(id));
         });
     }
 
@@ -257,19 +443,18 @@
 
             btn.disabled = true;
 
-            post('wpt_delete_redirect', { redirect_id: id }, function (response) {
+            api.post('wpt_delete_redirect', { redirect_id: id }).then(function (data) {
+                showNotice(container, data.message, 'success');
+
+                removeRedirectRow(id);
+                removeHealthRow('wpt-health-chains', id);
+                removeHealthRow('wpt-health-loops', id);
+                updateRedirectCount(-1);
+                retest();
+            }).catch(function (err) {
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
                 btn.disabled = false;
-
-                if (response.success) {
-                    showNotice(container, response.data.message, 'success');
-
-                    var row = document.querySelector('tr[data-id="' + id + '"]');
-                    if (row) row.remove();
-
-                    updateRedirectCount(-1);
-                } else {
-                    showNotice(container, response.data.message, 'error');
-                }
             });
         });
     }
@@ -285,20 +470,462 @@
 
             btn.disabled = true;
 
-            post('wpt_toggle_redirect', { redirect_id: id }, function (response) {
+            api.post('wpt_toggle_redirect', { redirect_id: id }).then(function (data) {
+                var isActive = data.is_active;
+
+                btn.textContent = isActive ? config.i18n.active : config.i18n.inactive;
+                btn.classList.toggle('wpt-active', !!isActive);
+                btn.classList.toggle('wpt-inactive', !isActive);
+                retest();
+            }).catch(function (err) {
+                showNotice(document.getElementById('wpt-tab-redirects'), err.message, 'error');
+            }).finally(function () {
                 btn.disabled = false;
+            });
+        });
+    }
 
-                if (response.success) {
-                    var isActive = response.data.is_active;
+    // -- Hit Statistics ---------------------------------------------------
 
-                    btn.textContent = isActive ? config.i18n.active : config.i18n.inactive;
-                    btn.classList.toggle('wpt-active', !!isActive);
-                    btn.classList.toggle('wpt-inactive', !isActive);
-                }
+    function statsRow(id) {
+        return document.querySelector('#wpt-redirects-tbody tr[data-stats-for="' + id + '"]');
+    }
+
+    /**
+     * Clicking a rule's hit count opens a row under it with the last 30 days
+     * of hits and its top referrers; clicking again closes it.
+     */
+    function initStats() {
+        document.addEventListener('click', function (e) {
+            var btn = e.target.closest('.wpt-redirect-stats-toggle');
+            if (!btn) return;
+
+            var id = btn.getAttribute('data-id');
+            var open = statsRow(id);
+
+            if (open) {
+                api.abort('stats-' + id);
+                open.remove();
+                btn.setAttribute('aria-expanded', 'false');
+                return;
+            }
+
+            var row = btn.closest('tr');
+            var tr = document.createElement('tr');
+            tr.className = 'wpt-redirect-stats-row';
+            tr.setAttribute('data-stats-for', id);
+            tr.innerHTML = '<td colspan="' + row.children.length + '">' +
+                '<div class="wpt-redirect-stats">' + escapeHtml(config.i18n.loadingStats) + '</div></td>';
+            row.parentNode.insertBefore(tr, row.nextSibling);
+            btn.setAttribute('aria-expanded', 'true');
+
+            var panel = tr.querySelector('.wpt-redirect-stats');
+
+            api.post('wpt_redirect_stats', { redirect_id: id }, { key: 'stats-' + id }).then(function (data) {
+                panel.innerHTML = renderStats(data);
+            }).catch(function (err) {
+                if (wpt.api.isAbort(err)) return;
+                panel.textContent = err.message;
             });
         });
     }
 
+    function renderStats(data) {
+        if (!data.hit_count) {
+            return '<p class="wpt-muted">' + escapeHtml(config.i18n.statsNoHits) + '</p>';
+        }
+
+        var total = config.i18n.statsTotal
+            .replace('%1$s', data.total)
+            .replace('%2$s', data.days.length);
+
+        var html =
+            '<div class="wpt-redirect-stats-chart">' +
+                sparkline(data.days, total) +
+                '<p>' + escapeHtml(total) +
+                (data.last_hit
+                    ? '<br>' + escapeHtml(config.i18n.statsLastHit.replace('%1$s', data.last_hit).replace('%2$s', data.last_ago))
+                    : '') +
+                '</p>' +
+            '</div>';
+
+        if (data.referrers.length) {
+            html += '<div class="wpt-redirect-stats-referrers"><h4>' + escapeHtml(config.i18n.statsReferrers) + '</h4><ol>' +
+                data.referrers.map(function (ref) {
+                    return '<li><span class="wpt-referrer">' +
+                        (ref.referrer ? '<code>' + escapeHtml(ref.referrer) + '</code>' : escapeHtml(config.i18n.statsDirect)) +
+                        '</span> <strong>' + escapeHtml(String(ref.hits)) + '</strong> ' +
+                        '<span class="wpt-muted">' + escapeHtml(ref.last_ago) + '</span></li>';
+                }).join('') +
+                '</ol></div>';
+        }
+
+        return html;
+    }
+
+    /**
+     * Inline SVG bar chart with one bar per day, scaled to the busiest day.
+     * Each bar carries a <title> so hovering shows the day and its hits.
+     */
+    function sparkline(days, label) {
+        var bar = 5;
+        var gap = 1;
+        var height = 32;
+        var width = days.length * (bar + gap) - gap;
+        var max = Math.max.apply(null, days.map(function (day) { return day.hits; }).concat([1]));
+
+        var bars = days.map(function (day, index) {
+            var h = day.hits ? Math.max(2, Math.round(day.hits / max * height)) : 1;
+
+            return '<rect x="' + index * (bar + gap) + '" y="' + (height - h) + '" width="' + bar + '" height="' + h + '"' +
+                (day.hits ? '' : ' class="is-empty"') + '><title>' +
+                escapeHtml(config.i18n.statsDay.replace('%1$s', day.label).replace('%2$s', day.hits)) +
+                '</title></rect>';
+        }).join('');
+
+        return '<svg class="wpt-sparkline" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '"' +
+            ' role="img" aria-label="' + escapeAttr(label) + '">' + bars + '</svg>';
+    }
+
+    // -- Filter, Sort & Bulk Actions --------------------------------------
+
+    function redirectRows() {
+        return Array.prototype.slice.call(document.querySelectorAll('#wpt-redirects-tbody tr[data-id]'));
+    }
+
+    function rowNumber(row, attr) {
+        return Number(row.getAttribute(attr)) || 0;
+    }
+
+    var ROW_ORDER = {
+        'newest':        function (a, b) { return rowNumber(b, 'data-id') - rowNumber(a, 'data-id'); },
+        'hits-desc':     function (a, b) { return rowNumber(b, 'data-hits') - rowNumber(a, 'data-hits'); },
+        'hits-asc':      function (a, b) { return rowNumber(a, 'data-hits') - rowNumber(b, 'data-hits'); },
+        'last-hit-asc':  function (a, b) { return rowNumber(a, 'data-last-hit') - rowNumber(b, 'data-last-hit'); },
+        'last-hit-desc': function (a, b) { return rowNumber(b, 'data-last-hit') - rowNumber(a, 'data-last-hit'); }
+    };
+
+    /**
+     * Show only the rules matching the usage filter, in the chosen order.
+     * "Not hit in N days" includes rules that were never hit. Hidden rows
+     * are unticked so a bulk action never touches a rule you can't see.
+     */
+    function applyFilters() {
+        var tbody  = document.getElementById('wpt-redirects-tbody');
+        var filter = document.getElementById('wpt-redirect-filter');
+        var sort   = document.getElementById('wpt-redirect-sort');
+        if (!tbody || !filter || !sort) return;
+
+        var days   = parseInt(document.getElementById('wpt-redirect-filter-days').value, 10) || 0;
+        var cutoff = Date.now() / 1000 - days * 86400;
+        var order  = ROW_ORDER[sort.value] || ROW_ORDER.newest;
+        var rows   = redirectRows();
+        var shown  = 0;
+
+        rows.sort(function (a, b) {
+            return order(a, b) || ROW_ORDER.newest(a, b);
+        }).forEach(function (row) {
+            var visible = true;
+
+            if (filter.value === 'never') {
+                visible = rowNumber(row, 'data-hits') === 0;
+            } else if (filter.value === 'stale') {
+                visible = rowNumber(row, 'data-last-hit') < cutoff;
+            }
+
+            row.style.display = visible ? '' : 'none';
+            tbody.appendChild(row);
+
+            var stats = statsRow(row.getAttribute('data-id'));
+            if (stats) {
+                stats.style.display = row.style.display;
+                tbody.appendChild(stats);
+            }
+
+            if (visible) {
+                shown++;
+            } else {
+                var cb = row.querySelector('.wpt-redirect-cb');
+                if (cb) cb.checked = false;
+            }
+        });
+
+        var countEl = document.getElementById('wpt-redirect-filter-count');
+        if (countEl) {
+            countEl.textContent = filter.value === 'all' ? '' : config.i18n.filterCount
+                .replace('%1$s', shown)
+                .replace('%2$s', rows.length);
+        }
+
+        syncSelectAll();
+    }
+
+    function selectedIds() {
+        return redirectRows().filter(function (row) {
+            var cb = row.querySelector('.wpt-redirect-cb');
+            return cb && cb.checked && row.style.display !== 'none';
+        }).map(function (row) {
+            return row.getAttribute('data-id');
+        });
+    }
+
+    function syncSelectAll() {
+        var selectAll = document.getElementById('wpt-redirects-select-all');
+        if (!selectAll) return;
+
+        var visible = redirectRows().filter(function (row) { return row.style.display !== 'none'; });
+        selectAll.checked = visible.length > 0 && selectedIds().length === visible.length;
+    }
+
+    function initFilters() {
+        var filter = document.getElementById('wpt-redirect-filter');
+        var sort   = document.getElementById('wpt-redirect-sort');
+        var days   = document.getElementById('wpt-redirect-filter-days');
+        if (!filter || !sort || !days) return;
+
+        var daysWrap = document.getElementById('wpt-redirect-filter-days-wrap');
+
+        filter.addEventListener('change', function () {
+            if (daysWrap) daysWrap.style.display = filter.value === 'stale' ? '' : 'none';
+            applyFilters();
+        });
+        sort.addEventListener('change', applyFilters);
+        days.addEventListener('input', applyFilters);
+    }
+
+    function initBulkActions() {
+        var apply = document.getElementById('wpt-redirect-bulk-apply');
+        if (!apply) return;
+
+        var selectAll = document.getElementById('wpt-redirects-select-all');
+
+        if (selectAll) {
+            selectAll.addEventListener('change', function () {
+                redirectRows().forEach(function (row) {
+                    var cb = row.querySelector('.wpt-redirect-cb');
+                    if (cb) cb.checked = selectAll.checked && row.style.display !== 'none';
+                });
+            });
+        }
+
+        document.addEventListener('change', function (e) {
+            if (e.target.classList && e.target.classList.contains('wpt-redirect-cb')) syncSelectAll();
+        });
+
+        apply.addEventListener('click', function () {
+            var action = document.getElementById('wpt-redirect-bulk-action').value;
+            var container = document.getElementById('wpt-tab-redirects');
+            var ids = selectedIds();
+
+            if (!action) {
+                showNotice(container, config.i18n.bulkChoose, 'error');
+                return;
+            }
+
+            if (!ids.length) {
+                showNotice(container, config.i18n.bulkNone, 'error');
+                return;
+            }
+
+            if (action === 'delete' && !confirm(config.i18n.confirmBulk.replace('%s', ids.length))) return;
+
+            apply.disabled = true;
+
+            api.post('wpt_bulk_redirects', { bulk_action: action, ids: ids }).then(function (data) {
+                data.ids.forEach(function (id) {
+                    if (data.action === 'delete') {
+                        removeRedirectRow(id);
+                    } else {
+                        var row = document.querySelector('#wpt-redirects-tbody tr[data-id="' + id + '"]');
+                        var toggle = row && row.querySelector('.wpt-toggle-redirect');
+                        var cb = row && row.querySelector('.wpt-redirect-cb');
+
+                        if (toggle) {
+                            toggle.textContent = config.i18n.inactive;
+                            toggle.classList.remove('wpt-active');
+                            toggle.classList.add('wpt-inactive');
+                        }
+                        if (cb) cb.checked = false;
+                    }
+
+                    removeHealthRow('wpt-health-chains', id);
+                    removeHealthRow('wpt-health-loops', id);
+                });
+
+                if (data.action === 'delete') updateRedirectCount(-data.ids.length);
+
+                showNotice(container, data.message, 'success');
+                applyFilters();
+                retest();
+            }).catch(function (err) {
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
+                apply.disabled = false;
+            });
+        });
+    }
+
+    // -- Health -----------------------------------------------------------
+
+    function removeHealthRow(tableId, id) {
+        var tbody = document.querySelector('#' + tableId + ' tbody');
+        if (!tbody) return;
+
+        var row = tbody.querySelector('tr[data-id="' + id + '"]');
+        if (!row) return;
+
+        row.remove();
+
+        if (!tbody.querySelector('tr')) {
+            var empty = tableId === 'wpt-health-loops' ? config.i18n.noLoops : config.i18n.noChains;
+            tbody.innerHTML = '<tr class="wpt-health-empty"><td colspan="3">' + escapeHtml(empty) + '</td></tr>';
+
+            var collapseAll = document.getElementById('wpt-collapse-all-chains');
+            if (collapseAll && tableId === 'wpt-health-chains') collapseAll.remove();
+        }
+
+        updateHealthCount();
+    }
+
+    function updateHealthCount() {
+        var badge = document.querySelector('.wpt-tab-button[data-tab="health"] .wpt-tab-count');
+        if (!badge) return;
+
+        var count = document.querySelectorAll('#wpt-health-loops tbody tr[data-id], #wpt-health-chains tbody tr[data-id]').length;
+        badge.textContent = String(count);
+        badge.classList.toggle('wpt-tab-count-warning', count > 0);
+    }
+
+    function initHealth() {
+        var container = document.getElementById('wpt-tab-health');
+        if (!container) return;
+
+        document.addEventListener('click', function (e) {
+            var collapse = e.target.closest('.wpt-collapse-chain, #wpt-collapse-all-chains');
+            if (collapse) {
+                collapse.disabled = true;
+
+                api.post('wpt_collapse_redirect_chain', {
+                    redirect_id: collapse.getAttribute('data-id') || 0
+                }).then(function (data) {
+                    showNotice(container, data.message, 'success');
+                    applyTargetUpdates(data.updated);
+                    retest();
+                }).catch(function (err) {
+                    showNotice(container, err.message, 'error');
+                }).finally(function () {
+                    collapse.disabled = false;
+                });
+                return;
+            }
+
+            var disable = e.target.closest('.wpt-health-disable');
+            if (disable) {
+                var id = disable.getAttribute('data-id');
+                disable.disabled = true;
+
+                api.post('wpt_toggle_redirect', { redirect_id: id }).then(function (data) {
+                    var toggle = document.querySelector('#wpt-redirects-tbody .wpt-toggle-redirect[data-id="' + id + '"]');
+                    if (toggle) {
+                        toggle.textContent = data.is_active ? config.i18n.active : config.i18n.inactive;
+                        toggle.classList.toggle('wpt-active', !!data.is_active);
+                        toggle.classList.toggle('wpt-inactive', !data.is_active);
+                    }
+
+                    showNotice(container, data.message, 'success');
+                    removeHealthRow('wpt-health-loops', id);
+                    retest();
+                }).catch(function (err) {
+                    showNotice(container, err.message, 'error');
+                    disable.disabled = false;
+                });
+            }
+        });
+
+        initTargetCheck();
+    }
+
+    /**
+     * Target checks request every active rule's target, a batch at a time,
+     * through wpt.jobs so a long list survives a reload.
+     */
+    function initTargetCheck() {
+        var checkBtn = document.getElementById('wpt-check-targets');
+        var table    = document.getElementById('wpt-health-broken');
+        if (!checkBtn || !table || !window.wpt || !wpt.jobs) return;
+
+        var job = wpt.jobs.create({
+            id:      'redirect-targets',
+            client:  api,
+            action:  'wpt_check_redirect_targets',
+            request: function (cursor) {
+                return { offset: cursor.offset };
+            },
+            advance: function (data, cursor) {
+                return {
+                    cursor: {
+                        offset: data.offset,
+                        broken: cursor.broken.concat(data.broken || [])
+                    },
+                    processed: data.processed || 0,
+                    total:     data.total,
+                    done:      data.done
+                };
+            }
+        });
+
+        wpt.jobs.panel(job, {
+            wrap:     document.getElementById('wpt-check-targets-progress'),
+            fill:     document.getElementById('wpt-check-targets-fill'),
+            text:     document.getElementById('wpt-check-targets-text'),
+            describe: function (j) {
+                var stats = j.stats();
+                return stats.total > 0
+                    ? config.i18n.checkedTargets.replace('%1$s', stats.processed).replace('%2$s', stats.total)
+                    : config.i18n.checkingTargets;
+            }
+        });
+
+        job.on('state', function () {
+            checkBtn.disabled = job.isActive();
+        });
+
+        job.on('progress', function () {
+            renderBroken(job.cursor.broken);
+        });
+
+        job.on('complete', function () {
+            renderBroken(job.cursor.broken, true);
+        });
+
+        checkBtn.addEventListener('click', function () {
+            renderBroken([]);
+            job.start({}, { offset: 0, broken: [] });
+        });
+
+        function renderBroken(broken, complete) {
+            var tbody = table.querySelector('tbody');
+            table.style.display = '';
+
+            if (!broken.length) {
+                tbody.innerHTML = complete
+                    ? '<tr><td colspan="3">' + escapeHtml(config.i18n.noBroken) + '</td></tr>'
+                    : '';
+                return;
+            }
+
+            tbody.innerHTML = broken.map(function (item) {
+                return '<tr data-id="' + item.id + '">' +
+                    '<td class="wpt-col-source"><code>' + escapeHtml(item.source_url) + '</code></td>' +
+                    '<td class="wpt-col-target"><span class="wpt-target-url">' + escapeHtml(item.target_url) + '</span></td>' +
+                    '<td class="wpt-col-status">' +
+                        (item.status ? '<span class="wpt-redirect-type-badge wpt-status-broken">' + item.status + '</span>' : escapeHtml(config.i18n.noResponse)) +
+                    '</td>' +
+                '</tr>';
+            }).join('');
+        }
+    }
+
     // -- Clear 404 Log ----------------------------------------------------
 
     function initClear404Log() {
@@ -312,25 +939,231 @@
 
             clearBtn.disabled = true;
 
-            post('wpt_clear_404_log', {}, function (response) {
+            api.post('wpt_clear_404_log', {}).then(function (data) {
+                showNotice(container, data.message, 'success');
+
+                var tbody = document.querySelector('#wpt-404-table tbody');
+                if (tbody) {
+                    tbody.innerHTML = '';
+                    ensure404Placeholder();
+                }
+
+                // Update count.
+                var countBadge = document.querySelector('.wpt-tab-button[data-tab="404-log"] .wpt-tab-count');
+                if (countBadge) countBadge.textContent = '0';
+
+                clearBtn.style.display = 'none';
+            }).catch(function (err) {
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
                 clearBtn.disabled = false;
+            });
+        });
+    }
+
+    // -- 404 Log ---------------------------------------------------------
+
+    function logRows() {
+        return Array.prototype.slice.call(document.querySelectorAll('#wpt-404-table tbody tr[data-key]'));
+    }
+
+    function ensure404Placeholder() {
+        var tbody = document.querySelector('#wpt-404-table tbody');
+        if (!tbody || tbody.querySelector('tr')) return;
+
+        tbody.innerHTML = '<tr class="wpt-no-404s"><td colspan="7">' + escapeHtml(config.i18n.no404s) + '</td></tr>';
+    }
+
+    /**
+     * Remove grouped 404 rows and take the log entries they stood for off
+     * the tab count.
+     */
+    function remove404Rows(rows, removedEntries) {
+        rows.forEach(function (row) { row.remove(); });
+        ensure404Placeholder();
+
+        var badge = document.querySelector('.wpt-tab-button[data-tab="404-log"] .wpt-tab-count');
+        if (badge) {
+            badge.textContent = String(Math.max(0, (parseInt(badge.textContent, 10) || 0) - removedEntries));
+        }
+
+        var selectAll = document.getElementById('wpt-404-select-all');
+        if (selectAll) selectAll.checked = false;
+    }
+
+    function init404Log() {
+        var table = document.getElementById('wpt-404-table');
+        if (!table) return;
+
+        var selectAll = document.getElementById('wpt-404-select-all');
+        var tabBtn = document.querySelector('.wpt-tab-button[data-tab="404-log"]');
+        var suggested = false;
+
+        // Suggestions cost a query per path, so fetch them on first view.
+        if (tabBtn) {
+            tabBtn.addEventListener('click', function () {
+                if (suggested) return;
+                suggested = true;
+                loadSuggestions(logRows());
+            });
+        }
+
+        if (selectAll) {
+            selectAll.addEventListener('change', function () {
+                logRows().forEach(function (row) {
+                    row.querySelector('.wpt-404-cb').checked = selectAll.checked;
+                });
+            });
+        }
+
+        table.addEventListener('input', function (e) {
+            if (!e.target.classList.contains('wpt-404-target')) return;
+            e.target.classList.remove('is-suggested', 'wpt-404-missing');
+        });
+
+        initBulkCreate();
+        initIgnore404();
+    }
+
+    /**
+     * Fetch target suggestions 50 paths at a time, filling each empty
+     * target box with the best match as it arrives.
+     */
+    function loadSuggestions(rows) {
+        var batch = rows.slice(0, 50);
+        if (!batch.length) return Promise.resolve();
+
+        var byPath = {};
+        batch.forEach(function (row) { byPath[row.getAttribute('data-url')] = row; });
+
+        return api.post('wpt_suggest_404_targets', { paths: Object.keys(byPath) }).then(function (data) {
+            Object.keys(data.suggestions || {}).forEach(function (path) {
+                var suggestion = data.suggestions[path];
+                var row = byPath[path];
+                if (!suggestion || !row || !row.parentNode) return;
+
+                var input = row.querySelector('.wpt-404-target');
+                var note = row.querySelector('.wpt-404-suggestion');
+
+                if (!input.value) {
+                    input.value = suggestion.url;
+                    input.classList.add('is-suggested');
+                }
+
+                note.textContent = config.i18n.suggested
+                    .replace('%1$s', suggestion.title)
+                    .replace('%2$s', suggestion.score + '%');
+                note.title = suggestion.url;
+            });
+
+            return loadSuggestions(rows.slice(50));
+        }).catch(function (err) {
+            showNotice(document.getElementById('wpt-tab-404-log'), err.message, 'error');
+        });
+    }
+
+    function initBulkCreate() {
+        var createBtn = document.getElementById('wpt-404-bulk-create');
+        if (!createBtn) return;
+
+        createBtn.addEventListener('click', function () {
+            var container = document.getElementById('wpt-tab-404-log');
+            var spinner = document.getElementById('wpt-404-bulk-spinner');
+            var rows = logRows().filter(function (row) { return row.querySelector('.wpt-404-cb').checked; });
+
+            if (!rows.length) {
+                showNotice(container, config.i18n.selectRows, 'error');
+                return;
+            }
+
+            var missing = rows.filter(function (row) {
+                var input = row.querySelector('.wpt-404-target');
+                input.classList.toggle('wpt-404-missing', !input.value.trim());
+                return !input.value.trim();
+            });
+
+            if (missing.length) {
+                showNotice(container, config.i18n.targetsMissing, 'error');
+                missing[0].querySelector('.wpt-404-target').focus();
+                return;
+            }
+
+            var items = rows.map(function (row) {
+                return {
+                    source: row.getAttribute('data-url'),
+                    target: row.querySelector('.wpt-404-target').value.trim()
+                };
+            });
+
+            createBtn.disabled = true;
+            setSpinner(spinner, true);
+
+            api.post('wpt_create_404_redirects', {
+                items: JSON.stringify(items),
+                redirect_type: document.getElementById('wpt-404-bulk-type').value
+            }).then(function (data) {
+                var done = [];
 
-                if (response.success) {
-                    showNotice(container, response.data.message, 'success');
+                data.report.forEach(function (entry) {
+                    var row = table404Row(entry.key);
+                    if (!row) return;
 
-                    var tbody = document.querySelector('#wpt-404-table tbody');
-                    if (tbody) {
-                        tbody.innerHTML = '<tr><td colspan="5">No 404 errors logged yet.</td></tr>';
+                    if (entry.status === 'imported') {
+                        done.push(row);
+                        return;
                     }
 
-                    // Update count.
-                    var countBadge = document.querySelector('.wpt-tab-button[data-tab="404-log"] .wpt-tab-count');
-                    if (countBadge) countBadge.textContent = '0';
+                    var message = row.querySelector('.wpt-404-row-message');
+                    if (!message) {
+                        message = document.createElement('span');
+                        message.className = 'wpt-404-row-message';
+                        row.querySelector('.wpt-col-target').appendChild(message);
+                    }
+                    message.textContent = entry.message;
+                });
+
+                data.created.forEach(addRedirectRow);
+                remove404Rows(done, data.removed);
+                showNotice(container, data.message, data.created.length ? 'success' : 'warning');
+                retest();
+            }).catch(function (err) {
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
+                createBtn.disabled = false;
+                setSpinner(spinner, false);
+            });
+        });
+    }
+
+    function table404Row(key) {
+        return logRows().filter(function (row) { return row.getAttribute('data-key') === key; })[0] || null;
+    }
 
-                    clearBtn.style.display = 'none';
-                } else {
-                    showNotice(container, response.data.message, 'error');
+    function initIgnore404() {
+        document.addEventListener('click', function (e) {
+            var btn = e.target.closest('.wpt-ignore-404');
+            if (!btn) return;
+
+            var rule = btn.getAttribute('data-rule');
+            if (!confirm(config.i18n.confirmIgnore.replace('%s', rule))) return;
+
+            var container = document.getElementById('wpt-tab-404-log');
+            btn.disabled = true;
+
+            api.post('wpt_ignore_404', { rule: rule }).then(function (data) {
+                var row = btn.closest('tr');
+                remove404Rows(row ? [row] : [], data.removed);
+
+                // Keep the settings field in step so saving it doesn't drop the rule.
+                var field = document.getElementById('wpt-ignore-404-patterns');
+                if (field && field.value.split(/\r?\n/).map(function (l) { return l.trim(); }).indexOf(data.rule) === -1) {
+                    field.value = field.value.replace(/\s*$/, '') + (field.value.trim() ? '\n' : '') + data.rule;
                 }
+
+                showNotice(container, data.message, 'success');
+            }).catch(function (err) {
+                btn.disabled = false;
+                showNotice(container, err.message, 'error');
             });
         });
     }
@@ -346,68 +1179,837 @@
 
             exportBtn.disabled = true;
 
-            post('wpt_export_redirects', {}, function (response) {
+            api.post('wpt_export_redirects', {}, { retries: 2 }).then(function (data) {
+                // Create and download CSV file.
+                var blob = new Blob([data.csv], { type: 'text/csv;charset=utf-8;' });
+                var link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = 'wpt-redirects-' + new Date().toISOString().slice(0, 10) + '.csv';
+                link.style.display = 'none';
+                document.body.appendChild(link);
+                link.click();
+                document.body.removeChild(link);
+                URL.revokeObjectURL(link.href);
+            }).catch(function (err) {
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
                 exportBtn.disabled = false;
+            });
+        });
+    }
+
+    // -- Import Parsing ----------------------------------------------------
+
+    /*
+     * Every parser returns either a table ({headers, rows}) that still needs
+     * column mapping, or a ready list of rules ({rules}). A rule carries the
+     * fields wpt_import_redirects accepts plus `line`, and `error` when the
+     * line cannot be expressed as a redirect here.
+     */
+
+    var IMPORT_FIELDS = ['source', 'target', 'type', 'enabled', 'notes', 'match'];
+
+    // Header names tried in order of preference for each field.
+    var HEADER_GUESSES = {
+        source:  [/^source(_url)?$/, /^(from|old(_url)?|match_url)$/, /^url$/],
+        target:  [/^target(_url)?$/, /^(to|new(_url)?|destination|redirect_to)$/, /^action_data$/],
+        type:    [/^redirect_type$/, /^(action_|status_|http_)?code$/, /^type$/],
+        enabled: [/^(enabled|is_active|active)$/, /^status$/],
+        notes:   [/^notes?$/, /^(title|comment|description)$/],
+        match:   [/^match_type$/, /^regex$/]
+    };
+
+    // Column order of wpt_export_redirects, assumed when there is no header.
+    var EXPORT_COLUMNS = ['source', 'target', 'type', 'enabled', 'match', 'ignore_case', 'query_match', 'query_pass', 'notes'];
+
+    var FALSE_WORDS = ['0', 'false', 'no', 'n', 'off', 'disabled', 'inactive'];
 
-                if (response.success) {
-                    // Create and download CSV file.
-                    var blob = new Blob([response.data.csv], { type: 'text/csv;charset=utf-8;' });
-                    var link = document.createElement('a');
-                    link.href = URL.createObjectURL(blob);
-                    link.download = 'wpt-redirects-' + new Date().toISOString().slice(0, 10) + '.csv';
-                    link.style.display = 'none';
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    URL.revokeObjectURL(link.href);
+    function detectFormat(text, filename) {
+        var name = (filename || '').toLowerCase();
+        var trimmed = text.trim();
+
+        if (/\.json$/.test(name) || /^[\[{]/.test(trimmed)) return 'json';
+        if (/\.htaccess$/.test(name) || /^\s*(Redirect(Match|Permanent|Temp)?|RewriteRule|RewriteEngine)\s/im.test(trimmed)) return 'apache';
+        if (/\.conf$/.test(name) || /^\s*(rewrite|location|return)\s[^\n]*[;{]\s*$/im.test(trimmed)) return 'nginx';
+
+        return 'csv';
+    }
+
+    function parseImport(text, format) {
+        text = text.replace(/^﻿/, '');
+
+        if (format === 'json') return parseJson(text);
+        if (format === 'apache') return { rules: parseApache(text) };
+        if (format === 'nginx') return { rules: parseNginx(text) };
+
+        return { headers: null, rows: parseCsv(text) };
+    }
+
+    function parseCsv(text) {
+        var firstLine = text.split(/\r?\n/)[0] || '';
+        var delimiter = ',';
+        var most = 0;
+
+        [',', ';', '\t', '|'].forEach(function (d) {
+            var count = firstLine.split(d).length - 1;
+            if (count > most) {
+                delimiter = d;
+                most = count;
+            }
+        });
+
+        var rows = [];
+        var row = [];
+        var field = '';
+        var quoted = false;
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text.charAt(i);
+
+            if (quoted) {
+                if (c !== '"') {
+                    field += c;
+                } else if (text.charAt(i + 1) === '"') {
+                    field += '"';
+                    i++;
                 } else {
-                    showNotice(container, response.data.message, 'error');
+                    quoted = false;
                 }
+            } else if (c === '"' && field.trim() === '') {
+                field = '';
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(field.trim());
+                field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += c;
+            }
+        }
+
+        if (field !== '' || row.length) {
+            row.push(field.trim());
+            rows.push(row);
+        }
+
+        return rows.filter(function (cells) {
+            return cells.some(function (cell) { return cell !== ''; });
+        });
+    }
+
+    function parseJson(text) {
+        var data = JSON.parse(text);
+
+        // Redirection plugin export.
+        if (data && Array.isArray(data.redirects)) {
+            return {
+                rules: data.redirects.map(function (item, index) {
+                    var action = item.action_data;
+                    var rule = {
+                        line:        index + 1,
+                        source:      String(item.url || item.match_url || ''),
+                        target:      String(action && typeof action === 'object' ? action.url || '' : action || ''),
+                        type:        parseInt(item.action_code, 10) || 301,
+                        enabled:     item.enabled === false || item.status === 'disabled' ? 0 : 1,
+                        notes:       String(item.title || ''),
+                        match_type:  item.regex ? 'regex' : 'exact',
+                        ignore_case: 1,
+                        query_match: 0,
+                        query_pass:  0
+                    };
+
+                    if (item.match_type && item.match_type !== 'url') {
+                        rule.error = config.i18n.conditionalRule;
+                    } else if (item.action_type && item.action_type !== 'url') {
+                        rule.error = config.i18n.notRedirect;
+                    }
+
+                    return rule;
+                })
+            };
+        }
+
+        var list = Array.isArray(data) ? data : (data && Array.isArray(data.rows) ? data.rows : null);
+        if (!list) throw new Error(config.i18n.importUnreadable);
+
+        // Array of arrays: a table without a header.
+        if (list.every(Array.isArray)) {
+            return {
+                headers: null,
+                rows: list.map(function (cells) { return cells.map(cellText); })
+            };
+        }
+
+        var headers = [];
+        list.forEach(function (item) {
+            Object.keys(item || {}).forEach(function (key) {
+                if (headers.indexOf(key) === -1) headers.push(key);
             });
         });
+
+        return {
+            headers: headers,
+            rows: list.map(function (item) {
+                return headers.map(function (key) { return cellText((item || {})[key]); });
+            })
+        };
+    }
+
+    function cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return value.url ? String(value.url) : JSON.stringify(value);
+        return String(value).trim();
+    }
+
+    /**
+     * mod_alias Redirect / RedirectMatch and mod_rewrite RewriteRule lines.
+     * Rewrites without an R flag are internal and are reported, not imported.
+     * Cases: tests/fixtures/redirect-import.json.
+     */
+    function parseApache(text) {
+        var rules = [];
+        var conditions = false;
+
+        text.split(/\r?\n/).forEach(function (raw, index) {
+            var line = raw.trim();
+            if (!line || line.charAt(0) === '#') return;
+
+            var tokens = splitTokens(line);
+            var directive = tokens[0].toLowerCase();
+            var args = tokens.slice(1);
+            var rule;
+
+            if (directive === 'rewritecond') {
+                conditions = true;
+                return;
+            }
+
+            if (directive === 'redirect' || directive === 'redirectmatch' || directive === 'redirectpermanent' || directive === 'redirecttemp') {
+                var type = directive === 'redirectpermanent' ? 301 : 302;
+                if (args.length > 2 || /^(\d{3}|permanent|temp|seeother|gone)$/i.test(args[0] || '')) {
+                    type = statusCode(args.shift());
+                }
+
+                rule = importRule(index + 1, args[0], args[1], type);
+                rule.match_type = 'regex';
+                rule.ignore_case = 0;
+                if (directive !== 'redirectmatch' && rule.source && rule.target) aliasPrefix(rule);
+                // Redirect keeps the query string; RedirectMatch drops it.
+                rule.query_pass = directive === 'redirectmatch' ? 0 : 1;
+            } else if (directive === 'rewriterule') {
+                var flags = (args[2] || '').replace(/^\[|\]$/g, '');
+                var status = /(?:^|,)R(?:=(\d{3}))?(?:,|$)/i.exec(flags);
+                var target = args[1] || '';
+
+                if (target && target !== '-' && !/^(\/|https?:\/\/)/i.test(target)) {
+                    target = '/' + target;
+                }
+
+                rule = importRule(index + 1, rewriteSource(args[0] || ''), target, status && status[1] ? parseInt(status[1], 10) : 302);
+                rule.match_type = 'regex';
+                rule.ignore_case = /(?:^|,)NC(?:,|$)/i.test(flags) ? 1 : 0;
+                rule.query_pass = /(?:^|,)QSA(?:,|$)/i.test(flags) || (target.indexOf('?') === -1 && !/(?:^|,)QSD(?:,|$)/i.test(flags)) ? 1 : 0;
+
+                if (conditions) {
+                    rule.error = config.i18n.importConditions;
+                } else if (!status) {
+                    rule.error = config.i18n.notRedirect;
+                } else if (/%\{|%\d/.test(target)) {
+                    rule.error = config.i18n.importVariables;
+                }
+                conditions = false;
+            } else {
+                return;
+            }
+
+            if (!rule.error && (!rule.source || !rule.target)) {
+                rule.error = config.i18n.importIncomplete;
+            }
+
+            rules.push(rule);
+        });
+
+        return rules;
+    }
+
+    /**
+     * nginx `rewrite` directives and `location` blocks that `return` a
+     * redirect. A server-wide `return` is reported since it has no source.
+     * Cases: tests/fixtures/redirect-import.json.
+     */
+    function parseNginx(text) {
+        var rules = [];
+        var stack = [];
+        var statement = [];
+        var statementLine = 1;
+        var line = 1;
+        var pattern = /#[^\n]*|\n|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[{};]|[^\s{};"']+/g;
+        var match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            var token = match[0];
+
+            if (token === '\n') {
+                line++;
+            } else if (token.charAt(0) === '#') {
+                continue;
+            } else if (token === '{') {
+                stack.push(statement);
+                statement = [];
+            } else if (token === '}') {
+                stack.pop();
+                statement = [];
+            } else if (token === ';') {
+                var rule = nginxRule(statement, stack[stack.length - 1] || [], statementLine);
+                if (rule) rules.push(rule);
+                statement = [];
+            } else {
+                if (!statement.length) statementLine = line;
+                statement.push(unquote(token));
+            }
+        }
+
+        return rules;
+    }
+
+    function nginxRule(statement, block, line) {
+        var directive = (statement[0] || '').toLowerCase();
+        var rule;
+
+        if (directive === 'rewrite') {
+            var flag = (statement[3] || '').toLowerCase();
+            var target = statement[2] || '';
+            var external = /^(https?:\/\/|\$scheme)/i.test(target);
+
+            rule = importRule(line, statement[1], target.replace(/\?$/, ''), flag === 'permanent' ? 301 : 302);
+            rule.match_type = 'regex';
+            rule.ignore_case = 0;
+            // A trailing "?" on the replacement drops the original arguments.
+            rule.query_pass = /\?$/.test(target) ? 0 : 1;
+
+            if (flag !== 'permanent' && flag !== 'redirect' && !external) {
+                rule.error = config.i18n.notRedirect;
+            }
+        } else if (directive === 'return' && statement.length >= 3 && /^30[1278]$/.test(statement[1])) {
+            if ((block[0] || '').toLowerCase() !== 'location') {
+                return importRule(line, '', statement[2], parseInt(statement[1], 10), config.i18n.importNoSource);
+            }
+
+            var modifier = block.length > 2 ? block[1] : '';
+            var path = block[block.length - 1];
+
+            rule = importRule(line, path, statement[2], parseInt(statement[1], 10));
+            rule.query_pass = 0;
+
+            if (modifier === '=') {
+                rule.match_type = 'exact';
+            } else if (modifier === '~' || modifier === '~*') {
+                rule.match_type = 'regex';
+                rule.ignore_case = modifier === '~*' ? 1 : 0;
+            } else {
+                // Prefix location.
+                rule.match_type = 'regex';
+                rule.source = '^' + quoteRegex(path);
+                rule.ignore_case = 0;
+            }
+        } else {
+            return null;
+        }
+
+        if (!rule.error && /\$(?!\d|\{\d)/.test(rule.target)) {
+            rule.error = config.i18n.importVariables;
+        }
+        if (!rule.error && (!rule.source || !rule.target)) {
+            rule.error = config.i18n.importIncomplete;
+        }
+
+        return rule;
+    }
+
+    function importRule(line, source, target, type, error) {
+        var rule = {
+            line:        line,
+            source:      source || '',
+            target:      target || '',
+            type:        type,
+            enabled:     1,
+            notes:       '',
+            match_type:  'exact',
+            ignore_case: 1,
+            query_match: 0,
+            query_pass:  0
+        };
+
+        if (error) rule.error = error;
+
+        return rule;
+    }
+
+    /**
+     * mod_alias Redirect matches whole path segments from the start of
+     * the path and appends what follows to the target, so `/old` also
+     * sends /old/page to /new/page (but leaves /older alone).
+     */
+    function aliasPrefix(rule) {
+        rule.source = '^' + quoteRegex(rule.source) + (/\/$/.test(rule.source) ? '(.*)' : '(/.*)?') + '$';
+        rule.target += '$1';
+    }
+
+    function quoteRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // mod_rewrite patterns in .htaccess see the path without its leading slash.
+    function rewriteSource(pattern) {
+        if (pattern.charAt(0) === '^') {
+            return '^/' + pattern.slice(1).replace(/^\//, '');
+        }
+        return pattern;
+    }
+
+    function splitTokens(line) {
+        return (line.match(/"[^"]*"|\S+/g) || []).map(unquote);
+    }
+
+    function unquote(token) {
+        return /^(["']).*\1$/.test(token) ? token.slice(1, -1) : token;
+    }
+
+    function statusCode(value) {
+        var words = { permanent: 301, temp: 302, temporary: 302, seeother: 303, redirect: 302 };
+        var key = String(value || '').trim().toLowerCase();
+
+        if (!key) return 301;
+        return words[key] || parseInt(key, 10) || 0;
+    }
+
+    function toFlag(value, fallback) {
+        var key = String(value === undefined ? '' : value).trim().toLowerCase();
+
+        if (!key) return fallback;
+        return FALSE_WORDS.indexOf(key) === -1 ? 1 : 0;
+    }
+
+    function toMatchType(value) {
+        var key = String(value || '').trim().toLowerCase();
+
+        if (key === 'regex' || key === '1' || key === 'true' || key === 'yes') return 'regex';
+        if (key === 'wildcard') return 'wildcard';
+        return 'exact';
+    }
+
+    function looksLikeHeader(cells) {
+        return cells.some(function (cell) { return guessField(cell) !== null; }) &&
+            !cells.some(function (cell) { return /^(\/|https?:\/\/)/i.test(cell); });
+    }
+
+    function guessField(header) {
+        var name = String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+        for (var i = 0; i < IMPORT_FIELDS.length; i++) {
+            var patterns = HEADER_GUESSES[IMPORT_FIELDS[i]];
+            for (var j = 0; j < patterns.length; j++) {
+                if (patterns[j].test(name)) return IMPORT_FIELDS[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pick a column for each field. Headers are matched by name, strongest
+     * pattern first; without headers the export's column order is assumed.
+     */
+    function guessMapping(headers, width) {
+        var mapping = {};
+
+        if (!headers) {
+            EXPORT_COLUMNS.forEach(function (field, index) {
+                mapping[field] = index < width ? index : -1;
+            });
+            return mapping;
+        }
+
+        var names = headers.map(function (h) { return String(h).trim().toLowerCase().replace(/[\s-]+/g, '_'); });
+
+        IMPORT_FIELDS.forEach(function (field) {
+            mapping[field] = -1;
+            HEADER_GUESSES[field].some(function (pattern) {
+                var index = names.findIndex(function (name, i) {
+                    return pattern.test(name) && !isMapped(mapping, i);
+                });
+                if (index !== -1) mapping[field] = index;
+                return index !== -1;
+            });
+        });
+
+        ['ignore_case', 'query_match', 'query_pass'].forEach(function (field) {
+            mapping[field] = names.indexOf(field);
+        });
+
+        return mapping;
+    }
+
+    function isMapped(mapping, index) {
+        return Object.keys(mapping).some(function (field) { return mapping[field] === index; });
+    }
+
+    function mapRows(rows, mapping, firstLine) {
+        function cell(cells, field) {
+            var index = mapping[field];
+            return index !== undefined && index >= 0 && index < cells.length ? cells[index] : '';
+        }
+
+        return rows.map(function (cells, index) {
+            var rule = importRule(firstLine + index, cell(cells, 'source'), cell(cells, 'target'), statusCode(cell(cells, 'type')));
+
+            rule.enabled = toFlag(cell(cells, 'enabled'), 1);
+            rule.notes = cell(cells, 'notes');
+            rule.match_type = toMatchType(cell(cells, 'match'));
+            rule.ignore_case = toFlag(cell(cells, 'ignore_case'), 1);
+            rule.query_match = toFlag(cell(cells, 'query_match'), 0);
+            rule.query_pass = toFlag(cell(cells, 'query_pass'), 0);
+
+            if (!rule.source || !rule.target) rule.error = config.i18n.importIncomplete;
+
+            return rule;
+        });
     }
 
     // -- Import Redirects --------------------------------------------------
 
+    var IMPORT_STATUS = {
+        imported:  'wpt-import-ok',
+        updated:   'wpt-import-ok',
+        conflict:  'wpt-import-skip',
+        duplicate: 'wpt-import-skip',
+        loop:      'wpt-import-bad',
+        invalid:   'wpt-import-bad',
+        failed:    'wpt-import-bad'
+    };
+
     function initImport() {
+        var wrap = document.getElementById('wpt-import');
+        if (!wrap) return;
+
+        var container = document.getElementById('wpt-tab-import-export');
+        var steps = {
+            source:  document.getElementById('wpt-import-step-source'),
+            mapping: document.getElementById('wpt-import-step-mapping'),
+            preview: document.getElementById('wpt-import-step-preview')
+        };
+        var fileInput = document.getElementById('wpt-import-file');
+        var drop      = document.getElementById('wpt-import-drop');
+        var textarea  = document.getElementById('wpt-import-text');
+        var headerBox = document.getElementById('wpt-import-header');
+        var mappingEl = document.getElementById('wpt-import-mapping');
         var importBtn = document.getElementById('wpt-import-redirects');
-        if (!importBtn) return;
+        var reloadBtn = document.getElementById('wpt-import-reload');
+        var options   = document.getElementById('wpt-import-options');
+        var spinner   = document.getElementById('wpt-import-spinner');
+        var summary   = document.getElementById('wpt-import-summary');
+        var tbody     = document.querySelector('#wpt-import-preview tbody');
+
+        var filename = '';
+        var table = null;   // {headers, rows} awaiting mapping
+        var rules = [];     // parsed rules, including client-side errors
+        var ready = 0;      // rows the last dry run would write
+        var guessed = {};   // last guessed mapping, incl. fields without a select
+
+        function show(step) {
+            Object.keys(steps).forEach(function (key) {
+                steps[key].style.display = key === step ? '' : 'none';
+            });
+        }
 
-        importBtn.addEventListener('click', function () {
-            var textarea = document.getElementById('wpt-import-csv');
-            var spinner  = document.getElementById('wpt-import-spinner');
-            var container = document.getElementById('wpt-tab-import-export');
+        function restart() {
+            api.abort('import');
+            table = null;
+            rules = [];
+            filename = '';
+            fileInput.value = '';
+            options.disabled = false;
+            importBtn.style.display = '';
+            reloadBtn.style.display = 'none';
+            show('source');
+        }
 
-            if (!textarea.value.trim()) {
-                showNotice(container, config.i18n.emptyCsv, 'error');
+        function read(text) {
+            if (!text.trim()) {
+                showNotice(container, config.i18n.importEmpty, 'error');
                 textarea.focus();
                 return;
             }
 
-            if (!confirm(config.i18n.confirmImport)) return;
+            var format = detectFormat(text, filename);
+            var parsed;
+
+            try {
+                parsed = parseImport(text, format);
+            } catch (e) {
+                showNotice(container, config.i18n.importUnreadable, 'error');
+                return;
+            }
+
+            if (parsed.rules) {
+                if (!parsed.rules.length) {
+                    showNotice(container, config.i18n.importNothing, 'error');
+                    return;
+                }
+                rules = parsed.rules;
+                preview();
+                return;
+            }
 
+            if (!parsed.rows.length) {
+                showNotice(container, config.i18n.importNothing, 'error');
+                return;
+            }
+
+            table = parsed;
+            headerBox.checked = parsed.headers ? true : looksLikeHeader(parsed.rows[0]);
+            headerBox.disabled = !!parsed.headers;
+            document.getElementById('wpt-import-format').textContent =
+                config.i18n.importRows.replace('%s', parsed.rows.length);
+            renderMapping();
+            show('mapping');
+        }
+
+        function headerCells() {
+            if (table.headers) return table.headers;
+            return headerBox.checked ? table.rows[0] : null;
+        }
+
+        function dataRows() {
+            return !table.headers && headerBox.checked ? table.rows.slice(1) : table.rows;
+        }
+
+        function renderMapping() {
+            var headers = headerCells();
+            var sample = dataRows()[0] || [];
+            var width = Math.max(sample.length, headers ? headers.length : 0);
+            var mapping = guessMapping(headers, width);
+
+            mappingEl.innerHTML = '';
+            guessed = mapping;
+
+            IMPORT_FIELDS.forEach(function (field) {
+                var tr = document.createElement('tr');
+                var th = document.createElement('th');
+                var td = document.createElement('td');
+                var select = document.createElement('select');
+
+                select.id = 'wpt-import-map-' + field;
+                select.setAttribute('data-field', field);
+                th.innerHTML = '<label for="' + select.id + '">' + escapeHtml(config.i18n.importFields[field]) + '</label>';
+
+                var none = document.createElement('option');
+                none.value = '-1';
+                none.textContent = config.i18n.importIgnore;
+                select.appendChild(none);
+
+                for (var i = 0; i < width; i++) {
+                    var option = document.createElement('option');
+                    var label = headers && headers[i] ? headers[i] : config.i18n.importColumn.replace('%s', i + 1);
+                    option.value = String(i);
+                    option.textContent = sample[i] ? label + ' — ' + sample[i].slice(0, 40) : label;
+                    select.appendChild(option);
+                }
+
+                select.value = String(mapping[field]);
+                td.appendChild(select);
+                tr.appendChild(th);
+                tr.appendChild(td);
+                mappingEl.appendChild(tr);
+            });
+        }
+
+        function readMapping() {
+            var mapping = {};
+
+            Object.keys(guessed).forEach(function (field) {
+                mapping[field] = guessed[field];
+            });
+            mappingEl.querySelectorAll('select').forEach(function (select) {
+                mapping[select.getAttribute('data-field')] = parseInt(select.value, 10);
+            });
+
+            return mapping;
+        }
+
+        function request(dryRun) {
+            var conflict = wrap.querySelector('input[name="wpt_import_conflict"]:checked');
+            var valid = rules.filter(function (rule) { return !rule.error; });
+
+            return api.post('wpt_import_redirects', {
+                rows:            JSON.stringify(valid),
+                dry_run:         dryRun,
+                on_conflict:     conflict ? conflict.value : 'skip',
+                collapse_chains: document.getElementById('wpt-import-collapse').checked
+            }, { key: 'import' });
+        }
+
+        function preview() {
+            show('preview');
+            tbody.innerHTML = '';
+            summary.textContent = config.i18n.importChecking;
             importBtn.disabled = true;
             setSpinner(spinner, true);
 
-            post('wpt_import_redirects', { csv_data: textarea.value }, function (response) {
-                importBtn.disabled = false;
+            var local = clientErrors();
+
+            if (local.length === rules.length) {
+                render({ report: [], counts: { imported: 0, updated: 0 } }, true);
                 setSpinner(spinner, false);
+                return;
+            }
 
-                if (response.success) {
-                    showNotice(container, response.data.message, 'success');
-                    textarea.value = '';
+            request(true).then(function (data) {
+                render(data, true);
+            }).catch(function (err) {
+                if (wpt.api.isAbort(err)) return;
+                summary.textContent = '';
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
+                setSpinner(spinner, false);
+            });
+        }
 
-                    // Reload page to show imported redirects.
-                    if (response.data.imported > 0) {
-                        setTimeout(function () {
-                            window.location.reload();
-                        }, 1500);
-                    }
-                } else {
-                    showNotice(container, response.data.message, 'error');
-                }
+        function clientErrors() {
+            return rules.filter(function (rule) { return rule.error; }).map(function (rule) {
+                return { line: rule.line, source: rule.source, target: rule.target, status: 'invalid', message: rule.error };
+            });
+        }
+
+        function render(data, dryRun) {
+            var report = (data.report || []).concat(clientErrors()).sort(function (a, b) {
+                return a.line - b.line;
+            });
+            var counts = data.counts || {};
+            var skipped = report.length - (counts.imported || 0) - (counts.updated || 0);
+
+            ready = (counts.imported || 0) + (counts.updated || 0);
+
+            tbody.innerHTML = '';
+            report.forEach(function (item) {
+                var tr = document.createElement('tr');
+                var label = (dryRun ? config.i18n.importWill : config.i18n.importDid)[item.status] || item.status;
+
+                tr.className = 'wpt-import-row ' + (IMPORT_STATUS[item.status] || '');
+                tr.innerHTML =
+                    '<td class="wpt-col-line">' + escapeHtml(String(item.line)) + '</td>' +
+                    '<td class="wpt-col-source"><code>' + escapeHtml(item.source || '') + '</code></td>' +
+                    '<td class="wpt-col-target"><span class="wpt-target-url">' + escapeHtml(item.target || '') + '</span></td>' +
+                    '<td class="wpt-col-result"><span class="wpt-import-status">' + escapeHtml(label) + '</span>' +
+                    (item.message ? '<span class="wpt-import-message">' + escapeHtml(item.message) + '</span>' : '') + '</td>';
+                tbody.appendChild(tr);
+            });
+
+            summary.textContent = (dryRun ? config.i18n.importPreview : config.i18n.importDone)
+                .replace('%1$s', counts.imported || 0)
+                .replace('%2$s', counts.updated || 0)
+                .replace('%3$s', skipped);
+
+            importBtn.textContent = config.i18n.importButton.replace('%s', ready);
+            importBtn.disabled = !dryRun || ready === 0;
+        }
+
+        // Step 1: file or paste.
+        fileInput.addEventListener('change', function () {
+            if (fileInput.files && fileInput.files[0]) loadFile(fileInput.files[0]);
+        });
+
+        ['dragenter', 'dragover'].forEach(function (type) {
+            drop.addEventListener(type, function (e) {
+                e.preventDefault();
+                drop.classList.add('is-dragover');
+            });
+        });
+
+        ['dragleave', 'drop'].forEach(function (type) {
+            drop.addEventListener(type, function () {
+                drop.classList.remove('is-dragover');
             });
         });
+
+        drop.addEventListener('drop', function (e) {
+            e.preventDefault();
+            if (e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0]) {
+                loadFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        function loadFile(file) {
+            var reader = new FileReader();
+
+            reader.onload = function () {
+                filename = file.name;
+                textarea.value = String(reader.result || '');
+                read(textarea.value);
+            };
+            reader.onerror = function () {
+                showNotice(container, config.i18n.importUnreadable, 'error');
+            };
+            reader.readAsText(file);
+        }
+
+        document.getElementById('wpt-import-read').addEventListener('click', function () {
+            filename = '';
+            read(textarea.value);
+        });
+
+        // Step 2: mapping.
+        headerBox.addEventListener('change', renderMapping);
+
+        document.getElementById('wpt-import-preview-btn').addEventListener('click', function () {
+            var mapping = readMapping();
+
+            if (mapping.source < 0 || mapping.target < 0) {
+                showNotice(container, config.i18n.mapRequired, 'error');
+                return;
+            }
+
+            rules = mapRows(dataRows(), mapping, !table.headers && headerBox.checked ? 2 : 1);
+            preview();
+        });
+
+        wrap.querySelectorAll('.wpt-import-restart').forEach(function (btn) {
+            btn.addEventListener('click', restart);
+        });
+
+        // Step 3: preview and import. Changing an option re-runs the dry run.
+        options.addEventListener('change', preview);
+
+        importBtn.addEventListener('click', function () {
+            if (!ready) return;
+
+            importBtn.disabled = true;
+            options.disabled = true;
+            summary.textContent = config.i18n.importing;
+            setSpinner(spinner, true);
+
+            request(false).then(function (data) {
+                render(data, false);
+                importBtn.style.display = 'none';
+                reloadBtn.style.display = '';
+                showNotice(container, data.message, 'success');
+            }).catch(function (err) {
+                if (wpt.api.isAbort(err)) return;
+                options.disabled = false;
+                importBtn.disabled = false;
+                showNotice(container, err.message, 'error');
+            }).finally(function () {
+                setSpinner(spinner, false);
+            });
+        });
+
+        reloadBtn.addEventListener('click', function () {
+            window.location.reload();
+        });
     }
 
     // -- Create Redirect from 404 -----------------------------------------
@@ -418,6 +2020,8 @@
             if (!btn) return;
 
             var url = btn.getAttribute('data-url');
+            var row = btn.closest('tr');
+            var suggested = row ? row.querySelector('.wpt-404-target') : null;
 
             // Switch to redirects tab and populate source.
             var redirectsTabBtn = document.querySelector('.wpt-tab-button[data-tab="redirects"]');
@@ -430,7 +2034,10 @@
             }
 
             var targetInput = document.getElementById('wpt-add-target');
-            if (targetInput) targetInput.focus();
+            if (targetInput) {
+                if (suggested && suggested.value.trim()) targetInput.value = suggested.value.trim();
+                targetInput.focus();
+            }
         });
     }
 
@@ -466,12 +2073,18 @@
 
         initTabs();
         initAddRedirect();
+        initUrlTester();
         initEditRedirect();
         initDeleteRedirect();
         initToggleRedirect();
+        initStats();
+        initFilters();
+        initBulkActions();
         initClear404Log();
+        init404Log();
         initExport();
         initImport();
         initCreateFromLog();
+        initHealth();
     });
 })();
@@ -1,5 +1,6 @@
 /**
- * Search & Replace -- Vanilla JS for AJAX-powered search/replace with dry run, batch processing, and undo.
+ * Search & Replace -- Vanilla JS for AJAX-powered search/replace with dry run, batch processing,
+ * ordered search/replace pairs, per-table scoping, saved profiles and a run history with undo.
  *
  * @package WPTransformed
  */
@@ -8,41 +9,41 @@
 
     var config = window.wptSearchReplace || {};
 
-    // ── Helpers ──────────────────────────────────────────────
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: 'wpt_search_replace_nonce'
+    });
 
-    function post(action, data, callback) {
-        var body = new FormData();
-        body.append('action', action);
-        body.append('nonce', config.nonce || '');
+    /* Matching row counts per table from the last dry run, used as the job total. */
+    var dryRunRows = {};
 
-        Object.keys(data).forEach(function (key) {
-            if (Array.isArray(data[key])) {
-                data[key].forEach(function (val) {
-                    body.append(key + '[]', val);
-                });
-            } else {
-                body.append(key, data[key]);
-            }
-        });
+    /* Pairs and options of the last dry run; the diff preview pages through its matches. */
+    var dryRunQuery = null;
 
-        var xhr = new XMLHttpRequest();
-        xhr.open('POST', config.ajaxUrl || '', true);
-        xhr.onreadystatechange = function () {
-            if (xhr.readyState !== 4) return;
+    /* Saved profiles, sorted by name. */
+    var profiles = config.profiles || [];
 
-            var response;
-            try {
-                response = JSON.parse(xhr.responseText);
-            } catch (e) {
-                response = { success: false, data: { message: i18n('networkError') } };
-            }
-            callback(response);
-        };
-        xhr.onerror = function () {
-            callback({ success: false, data: { message: i18n('networkError') } });
-        };
-        xhr.send(body);
-    }
+    /* Tables a profile asked for before the table list had loaded. */
+    var pendingTables = null;
+
+    /* Per-table scope: { mode: 'all'|'include'|'exclude', columns: [], rows: [{column, op, value}] }. */
+    var scope = {};
+
+    /* Columns per table, fetched the first time its scope is edited. */
+    var tableColumns = {};
+
+    var FILTER_OPERATORS = ['=', '!=', 'LIKE', 'NOT LIKE', '<', '>'];
+
+    /* Rows and columns left out of the run, per table: { rows: {id: true}, columns: {name: true} }. */
+    var exclusions = {};
+
+    /* Page of the run history on screen. */
+    var historyPage = 0;
+
+    var job = null;
+
+    // ── Helpers ──────────────────────────────────────────────
 
     function i18n(key) {
         return (config.i18n && config.i18n[key]) || key;
@@ -101,20 +102,43 @@
         if (execute) execute.disabled = disabled;
     }
 
+    /**
+     * Pairs (in order, without empty searches) and options as the form stands.
+     */
+    function readQuery() {
+        var pairs = [];
+        document.querySelectorAll('#wpt-sr-pairs .wpt-sr-pair').forEach(function (row) {
+            var search = row.querySelector('.wpt-sr-pair-search').value;
+            if (search) {
+                pairs.push({ search: search, replace: row.querySelector('.wpt-sr-pair-replace').value });
+            }
+        });
+
+        var caseSensitive = document.getElementById('wpt-sr-case-sensitive');
+        var regex = document.getElementById('wpt-sr-regex');
+
+        var allowGuards = [];
+        document.querySelectorAll('.wpt-sr-guard-cb:checked').forEach(function (cb) {
+            allowGuards.push(cb.value);
+        });
+
+        return {
+            pairs:         pairs,
+            scope:         activeScope(),
+            allowGuards:   allowGuards,
+            caseSensitive: caseSensitive && caseSensitive.checked ? '1' : '0',
+            regex:         regex && regex.checked ? '1' : '0'
+        };
+    }
+
     // ── Table Loading ────────────────────────────────────────
 
     function loadTables() {
         var container = document.getElementById('wpt-sr-tables-list');
-        if (!container) return;
+        if (!container) return Promise.resolve();
 
-        post('wpt_search_replace_tables', {}, function (response) {
-            if (!response.success || !response.data || !response.data.tables) {
-                container.innerHTML = '<p class="description" style="color: #d63638;">' +
-                    i18n('networkError') + '</p>';
-                return;
-            }
-
-            var tables = response.data.tables;
+        return api.post('wpt_search_replace_tables', {}, { retries: 2 }).then(function (data) {
+            var tables = (data && data.tables) || [];
             if (tables.length === 0) {
                 container.innerHTML = '<p class="description">No tables found.</p>';
                 return;
@@ -122,15 +146,26 @@
 
             var html = '<div class="wpt-sr-table-grid">';
             tables.forEach(function (table) {
-                html += '<label class="wpt-sr-table-label">' +
+                html += '<div class="wpt-sr-table-item' + (isScoped(scope[table.name]) ? ' wpt-sr-scoped' : '') + '" data-table="' + escAttr(table.name) + '">' +
+                    '<label class="wpt-sr-table-label">' +
                     '<input type="checkbox" class="wpt-sr-table-cb" value="' + escAttr(table.name) + '" checked> ' +
                     '<span class="wpt-sr-table-name">' + escHtml(table.name) + '</span>' +
                     ' <span class="wpt-sr-table-rows">(' + escHtml(String(table.rows)) + ' rows)</span>' +
-                    '</label>';
+                    '</label>' +
+                    '<button type="button" class="button-link wpt-sr-scope-btn">' + escHtml(i18n('scopeButton')) + '</button>' +
+                    '</div>';
             });
             html += '</div>';
 
             container.innerHTML = html;
+
+            if (pendingTables) {
+                selectTables(pendingTables);
+                pendingTables = null;
+            }
+        }).catch(function (err) {
+            container.innerHTML = '<p class="description" style="color: #d63638;">' +
+                escHtml(err.message || i18n('networkError')) + '</p>';
         });
     }
 
@@ -143,6 +178,207 @@
         return tables;
     }
 
+    /**
+     * Check exactly the given tables, warning about any this site lacks.
+     */
+    function selectTables(tables) {
+        var boxes = document.querySelectorAll('.wpt-sr-table-cb');
+        if (boxes.length === 0) {
+            pendingTables = tables;
+            return;
+        }
+
+        var found = {};
+        boxes.forEach(function (cb) {
+            cb.checked = tables.indexOf(cb.value) !== -1;
+            if (cb.checked) found[cb.value] = true;
+        });
+
+        var missing = tables.filter(function (table) {
+            return !found[table];
+        });
+        if (missing.length) {
+            showNotice(document.getElementById('wpt-sr-tool'), sprintf(i18n('missingTables'), missing.join(', ')), 'warning');
+        }
+    }
+
+    // ── Scope ────────────────────────────────────────────────
+
+    function isScoped(entry) {
+        return !!entry && (entry.mode !== 'all' || entry.rows.length > 0);
+    }
+
+    function scopeEntry(table) {
+        if (!scope[table]) {
+            scope[table] = { mode: 'all', columns: [], rows: [] };
+        }
+        return scope[table];
+    }
+
+    /**
+     * Scope of the tables that narrow anything, as sent to the server.
+     */
+    function activeScope() {
+        var active = {};
+        Object.keys(scope).forEach(function (table) {
+            if (isScoped(scope[table])) active[table] = scope[table];
+        });
+        return active;
+    }
+
+    /**
+     * Replace the scope and protected-data choices, e.g. from a profile.
+     * PHP sends an empty map as a list, hence the Array check.
+     */
+    function setScope(saved, allowGuards) {
+        scope = saved && !Array.isArray(saved) ? JSON.parse(JSON.stringify(saved)) : {};
+
+        document.querySelectorAll('.wpt-sr-guard-cb').forEach(function (cb) {
+            cb.checked = allowGuards.indexOf(cb.value) !== -1;
+        });
+        document.querySelectorAll('.wpt-sr-table-item').forEach(function (item) {
+            item.classList.toggle('wpt-sr-scoped', isScoped(scope[item.getAttribute('data-table')]));
+        });
+
+        closeScope();
+    }
+
+    function openScope(table) {
+        var editor = document.getElementById('wpt-sr-scope');
+        if (!editor) return;
+
+        editor.hidden = false;
+        editor.wptTable = table;
+
+        if (tableColumns[table]) {
+            renderScope();
+            return;
+        }
+
+        editor.innerHTML = '<p class="description"><span class="spinner is-active"></span> ' + escHtml(i18n('loadingColumns')) + '</p>';
+
+        api.post('wpt_search_replace_columns', { table: table }, { retries: 2, key: 'scope-columns' }).then(function (data) {
+            tableColumns[table] = data;
+            if (editor.wptTable === table) renderScope();
+        }).catch(function (err) {
+            if (wpt.api.isAbort(err)) return;
+            editor.innerHTML = '<p class="description" style="color: #d63638;">' +
+                escHtml(err.message || i18n('networkError')) + '</p>';
+        });
+    }
+
+    function closeScope() {
+        var editor = document.getElementById('wpt-sr-scope');
+        if (!editor) return;
+
+        api.abort('scope-columns');
+        editor.hidden = true;
+        editor.innerHTML = '';
+        editor.wptTable = null;
+    }
+
+    function renderScope() {
+        var editor = document.getElementById('wpt-sr-scope');
+        var table = editor.wptTable;
+        var info = tableColumns[table];
+        var entry = scopeEntry(table);
+
+        var html = '<h4>' + escHtml(sprintf(i18n('scopeTitle'), table)) + '</h4>';
+
+        if (info.guards.length) {
+            html += '<p class="description">' + escHtml(sprintf(i18n('guardedHere'), info.guards.map(function (id) {
+                return (config.guards && config.guards[id]) || id;
+            }).join(', '))) + '</p>';
+        }
+
+        html += '<p class="wpt-sr-scope-mode">';
+        [['all', 'allColumns'], ['include', 'onlyColumns'], ['exclude', 'exceptColumns']].forEach(function (mode) {
+            html += '<label><input type="radio" name="wpt-sr-scope-mode" value="' + mode[0] + '"' +
+                (entry.mode === mode[0] ? ' checked' : '') + '> ' + escHtml(i18n(mode[1])) + '</label> ';
+        });
+        html += '</p><p class="wpt-sr-scope-columns">';
+        info.text_columns.forEach(function (col) {
+            html += '<label><input type="checkbox" class="wpt-sr-scope-col" value="' + escAttr(col) + '"' +
+                (entry.columns.indexOf(col) !== -1 ? ' checked' : '') + (entry.mode === 'all' ? ' disabled' : '') +
+                '> <code>' + escHtml(col) + '</code></label> ';
+        });
+        html += '</p>';
+
+        html += '<p><strong>' + escHtml(i18n('rowFilters')) + '</strong></p><div class="wpt-sr-scope-rows">';
+        if (!entry.rows.length) {
+            html += '<p class="description">' + escHtml(i18n('noRowFilters')) + '</p>';
+        }
+        entry.rows.forEach(function (filter) {
+            html += '<div class="wpt-sr-filter"><select class="wpt-sr-filter-column">';
+            info.columns.forEach(function (col) {
+                html += '<option value="' + escAttr(col) + '"' + (col === filter.column ? ' selected' : '') + '>' + escHtml(col) + '</option>';
+            });
+            html += '</select> <select class="wpt-sr-filter-op">';
+            FILTER_OPERATORS.forEach(function (op) {
+                html += '<option value="' + escAttr(op) + '"' + (op === filter.op ? ' selected' : '') + '>' + escHtml(op) + '</option>';
+            });
+            html += '</select> <input type="text" class="wpt-sr-filter-value" value="' + escAttr(filter.value) + '"' +
+                ' placeholder="' + escAttr(i18n('filterValue')) + '"> ' +
+                '<button type="button" class="button button-small wpt-sr-filter-remove" aria-label="' + escAttr(i18n('removeFilter')) + '">&times;</button></div>';
+        });
+        html += '</div>';
+
+        html += '<p><button type="button" class="button button-small wpt-sr-filter-add">' + escHtml(i18n('addFilter')) + '</button> ' +
+            '<button type="button" class="button button-small wpt-sr-scope-clear">' + escHtml(i18n('clearScope')) + '</button> ' +
+            '<button type="button" class="button button-small button-primary wpt-sr-scope-close">' + escHtml(i18n('closeScope')) + '</button></p>';
+
+        editor.innerHTML = html;
+    }
+
+    /**
+     * Copy the editor's fields back into the table's scope entry.
+     */
+    function readScopeForm() {
+        var editor = document.getElementById('wpt-sr-scope');
+        var entry = scopeEntry(editor.wptTable);
+        var mode = editor.querySelector('input[name="wpt-sr-scope-mode"]:checked');
+
+        entry.mode = mode ? mode.value : 'all';
+        entry.columns = [];
+        editor.querySelectorAll('.wpt-sr-scope-col:checked').forEach(function (cb) {
+            entry.columns.push(cb.value);
+        });
+        entry.rows = [];
+        editor.querySelectorAll('.wpt-sr-filter').forEach(function (row) {
+            entry.rows.push({
+                column: row.querySelector('.wpt-sr-filter-column').value,
+                op:     row.querySelector('.wpt-sr-filter-op').value,
+                value:  row.querySelector('.wpt-sr-filter-value').value
+            });
+        });
+
+        var item = document.querySelector('.wpt-sr-table-item[data-table="' + editor.wptTable + '"]');
+        if (item) item.classList.toggle('wpt-sr-scoped', isScoped(entry));
+    }
+
+    function onScopeClick(e) {
+        var editor = document.getElementById('wpt-sr-scope');
+        var entry = scopeEntry(editor.wptTable);
+
+        if (e.target.closest('.wpt-sr-filter-add')) {
+            readScopeForm();
+            entry.rows.push({ column: tableColumns[editor.wptTable].columns[0], op: '=', value: '' });
+            renderScope();
+        } else if (e.target.closest('.wpt-sr-filter-remove')) {
+            e.target.closest('.wpt-sr-filter').remove();
+            readScopeForm();
+            renderScope();
+        } else if (e.target.closest('.wpt-sr-scope-clear')) {
+            entry.mode = 'all';
+            entry.columns = [];
+            entry.rows = [];
+            renderScope();
+            readScopeForm();
+        } else if (e.target.closest('.wpt-sr-scope-close')) {
+            closeScope();
+        }
+    }
+
     // ── Escaping ─────────────────────────────────────────────
 
     function escHtml(str) {
@@ -159,12 +395,10 @@
     // ── Dry Run ──────────────────────────────────────────────
 
     function doDryRun() {
-        var search = (document.getElementById('wpt-sr-search') || {}).value || '';
+        var query = readQuery();
         var tables = getSelectedTables();
-        var caseSensitive = document.getElementById('wpt-sr-case-sensitive');
-        var regex = document.getElementById('wpt-sr-regex');
 
-        if (!search) {
+        if (query.pairs.length === 0) {
             showNotice(document.getElementById('wpt-sr-tool'), i18n('searchRequired'), 'error');
             return;
         }
@@ -178,27 +412,24 @@
         setSpinner(true);
         hideResults();
         hideProgress();
-
-        post('wpt_search_replace_dry_run', {
-            search: search,
+        dryRunRows = {};
+        exclusions = {};
+        dryRunQuery = query;
+
+        api.post('wpt_search_replace_dry_run', {
+            pairs: JSON.stringify(query.pairs),
+            scope: JSON.stringify(query.scope),
+            allow_guards: query.allowGuards,
             tables: tables,
-            case_sensitive: caseSensitive && caseSensitive.checked ? '1' : '0',
-            regex: regex && regex.checked ? '1' : '0'
-        }, function (response) {
+            case_sensitive: query.caseSensitive,
+            regex: query.regex
+        }, { retries: 2 }).then(function (data) {
             setSpinner(false);
             setButtonsDisabled(false);
 
             var resultsDiv = document.getElementById('wpt-sr-results');
             if (!resultsDiv) return;
 
-            if (!response.success) {
-                showNotice(document.getElementById('wpt-sr-tool'),
-                    (response.data && response.data.message) || i18n('networkError'), 'error');
-                return;
-            }
-
-            var data = response.data;
-
             if (!data.results || data.results.length === 0 || data.total === 0) {
                 resultsDiv.innerHTML = '<div class="notice notice-info inline"><p>' +
                     escHtml(i18n('noMatches')) + '</p></div>';
@@ -211,16 +442,30 @@
                 escHtml(sprintf(i18n('matchesFound'), data.total, data.results.length)) +
                 '</p></div>';
 
+            // Per-pair totals; later pairs are counted on what earlier ones wrote.
+            if (query.pairs.length > 1 && data.pairs) {
+                html += '<ul class="wpt-sr-pair-totals">';
+                query.pairs.forEach(function (pair, i) {
+                    html += '<li><span class="wpt-sr-pair-tag">#' + (i + 1) + '</span> ' +
+                        escHtml(sprintf(i18n('pairTotal'), pair.search, pair.replace, data.pairs[i] || 0)) + '</li>';
+                });
+                html += '</ul>';
+            }
+
             html += '<table class="widefat striped wpt-sr-results-table">';
-            html += '<thead><tr><th>Table</th><th>Rows</th><th>Matches</th></tr></thead><tbody>';
+            html += '<thead><tr><th>Table</th><th>Rows</th><th>Matches</th><th></th></tr></thead><tbody>';
 
             data.results.forEach(function (r) {
-                html += '<tr><td>' + escHtml(r.table) + '</td>' +
+                dryRunRows[r.table] = r.rows;
+                html += '<tr data-table="' + escAttr(r.table) + '"><td>' + escHtml(r.table) + '</td>' +
                     '<td>' + escHtml(String(r.rows)) + '</td>' +
-                    '<td>' + escHtml(String(r.matches)) + '</td></tr>';
+                    '<td>' + escHtml(String(r.matches)) + '</td>' +
+                    '<td><button type="button" class="button button-small wpt-sr-review" aria-expanded="false">' +
+                    escHtml(i18n('reviewChanges')) + '</button></td></tr>';
             });
 
             html += '</tbody></table>';
+            html += '<p class="description wpt-sr-exclusions"></p>';
 
             resultsDiv.innerHTML = html;
             resultsDiv.style.display = '';
@@ -228,19 +473,187 @@
             // Enable execute button.
             var execute = document.getElementById('wpt-sr-execute');
             if (execute) execute.disabled = false;
+        }).catch(function (err) {
+            setSpinner(false);
+            setButtonsDisabled(false);
+            showNotice(document.getElementById('wpt-sr-tool'), err.message || i18n('networkError'), 'error');
+        });
+    }
+
+    // ── Diff Preview ─────────────────────────────────────────
+
+    function tableExclusions(table) {
+        if (!exclusions[table]) {
+            exclusions[table] = { rows: {}, columns: {} };
+        }
+        return exclusions[table];
+    }
+
+    /**
+     * Open or close the diff preview under a dry-run result row.
+     */
+    function toggleReview(btn) {
+        var row = btn.closest('tr');
+        var next = row.nextElementSibling;
+
+        if (next && next.classList.contains('wpt-sr-preview-row')) {
+            api.abort('preview-' + row.getAttribute('data-table'));
+            next.remove();
+            btn.setAttribute('aria-expanded', 'false');
+            btn.textContent = i18n('reviewChanges');
+            return;
+        }
+
+        var detail = document.createElement('tr');
+        detail.className = 'wpt-sr-preview-row';
+        detail.innerHTML = '<td colspan="4"><div class="wpt-sr-preview"></div></td>';
+        detail.wptTable = row.getAttribute('data-table');
+        // Primary key each page starts after; pages are keyed, not offset.
+        detail.wptCursors = [0];
+        row.parentNode.insertBefore(detail, row.nextSibling);
+
+        btn.setAttribute('aria-expanded', 'true');
+        btn.textContent = i18n('hideChanges');
+        loadPreview(detail, 0);
+    }
+
+    function loadPreview(detail, page) {
+        var box = detail.querySelector('.wpt-sr-preview');
+        var table = detail.wptTable;
+
+        box.innerHTML = '<p class="description"><span class="spinner is-active"></span> ' + escHtml(i18n('loadingPreview')) + '</p>';
+
+        api.post('wpt_search_replace_preview', {
+            pairs:          JSON.stringify(dryRunQuery.pairs),
+            scope:          JSON.stringify(dryRunQuery.scope),
+            allow_guards:   dryRunQuery.allowGuards,
+            table:          table,
+            after:          String(detail.wptCursors[page]),
+            case_sensitive: dryRunQuery.caseSensitive,
+            regex:          dryRunQuery.regex
+        }, { retries: 2, key: 'preview-' + table }).then(function (data) {
+            detail.wptCursors[page + 1] = data.last_id;
+            detail.wptCursors.length = data.has_more ? page + 2 : page + 1;
+            renderPreview(box, data, page);
+        }).catch(function (err) {
+            if (wpt.api.isAbort(err)) return;
+            box.innerHTML = '<p class="description" style="color: #d63638;">' +
+                escHtml(err.message || i18n('networkError')) + '</p>';
+        });
+    }
+
+    function renderPreview(box, data, page) {
+        var skip = tableExclusions(data.table);
+        var pages = Math.max(page + (data.has_more ? 2 : 1), Math.ceil((dryRunRows[data.table] || 0) / data.per_page));
+
+        var html = '<p class="wpt-sr-preview-columns"><strong>' + escHtml(i18n('columnsLabel')) + '</strong> ';
+        data.columns.forEach(function (col) {
+            html += '<label><input type="checkbox" class="wpt-sr-include-col" value="' + escAttr(col) + '"' +
+                (skip.columns[col] ? '' : ' checked') + '> <code>' + escHtml(col) + '</code></label> ';
+        });
+        html += '</p>';
+
+        if (!data.rows.length) {
+            html += '<p class="description">' + escHtml(i18n('noPreviewRows')) + '</p>';
+        }
+
+        data.rows.forEach(function (row) {
+            html += '<div class="wpt-sr-preview-item' + (skip.rows[row.id] ? ' wpt-sr-excluded' : '') + '" data-row-id="' + escAttr(String(row.id)) + '">' +
+                '<label class="wpt-sr-preview-head"><input type="checkbox" class="wpt-sr-include-row"' + (skip.rows[row.id] ? '' : ' checked') + '> ' +
+                escHtml(i18n('includeRow')) + ' <code>' + escHtml(data.primary_key) + ' = ' + escHtml(String(row.id)) + '</code></label>';
+
+            row.cells.forEach(function (cell) {
+                html += '<div class="wpt-sr-cell' + (skip.columns[cell.column] ? ' wpt-sr-excluded' : '') + '" data-column="' + escAttr(cell.column) + '">' +
+                    '<code>' + escHtml(cell.column) + '</code>' +
+                    (cell.format !== 'plain' ? ' <span class="wpt-sr-format">' + escHtml(cell.format) + '</span>' : '');
+
+                cell.changes.forEach(function (change) {
+                    html += '<div class="wpt-sr-change">' +
+                        (dryRunQuery.pairs.length > 1 ? '<span class="wpt-sr-pair-tag" title="' + escAttr(sprintf(i18n('pairLabel'), change.pair + 1)) + '">#' + (change.pair + 1) + '</span> ' : '') +
+                        (change.path ? '<span class="wpt-sr-path">' + escHtml(change.path) +
+                            (change.key ? ' (' + escHtml(i18n('keyChange')) + ')' : '') + '</span>' : '') +
+                        '<div class="wpt-sr-diff">' + diffHtml(change.segments) + '</div></div>';
+                });
+
+                if (cell.more) {
+                    html += '<p class="description">' + escHtml(sprintf(i18n('moreChanges'), cell.more)) + '</p>';
+                }
+                html += '</div>';
+            });
+
+            html += '</div>';
         });
+
+        if (pages > 1) {
+            html += '<p class="wpt-sr-pager">' +
+                '<button type="button" class="button button-small wpt-sr-page" data-page="' + (page - 1) + '"' + (page === 0 ? ' disabled' : '') + '>' + escHtml(i18n('previousPage')) + '</button> ' +
+                '<span>' + escHtml(sprintf(i18n('pageOf'), page + 1, pages)) + '</span> ' +
+                '<button type="button" class="button button-small wpt-sr-page" data-page="' + (page + 1) + '"' + (data.has_more ? '' : ' disabled') + '>' + escHtml(i18n('nextPage')) + '</button>' +
+                '</p>';
+        }
+
+        box.innerHTML = html;
+    }
+
+    function diffHtml(segments) {
+        return segments.map(function (seg) {
+            if (seg[0] === '-') return '<del>' + escHtml(seg[1]) + '</del>';
+            if (seg[0] === '+') return '<ins>' + escHtml(seg[1]) + '</ins>';
+            return escHtml(seg[1]);
+        }).join('');
+    }
+
+    function onExclusionChange(cb) {
+        var detail = cb.closest('.wpt-sr-preview-row');
+        var skip = tableExclusions(detail.wptTable);
+
+        if (cb.classList.contains('wpt-sr-include-row')) {
+            var item = cb.closest('.wpt-sr-preview-item');
+            var id = item.getAttribute('data-row-id');
+            if (cb.checked) {
+                delete skip.rows[id];
+            } else {
+                skip.rows[id] = true;
+            }
+            item.classList.toggle('wpt-sr-excluded', !cb.checked);
+        } else {
+            if (cb.checked) {
+                delete skip.columns[cb.value];
+            } else {
+                skip.columns[cb.value] = true;
+            }
+            detail.querySelectorAll('.wpt-sr-cell').forEach(function (cell) {
+                if (cell.getAttribute('data-column') === cb.value) {
+                    cell.classList.toggle('wpt-sr-excluded', !cb.checked);
+                }
+            });
+        }
+
+        updateExclusionSummary();
+    }
+
+    function updateExclusionSummary() {
+        var summary = document.querySelector('#wpt-sr-results .wpt-sr-exclusions');
+        var rows = 0;
+        var columns = 0;
+
+        Object.keys(exclusions).forEach(function (table) {
+            rows += Object.keys(exclusions[table].rows).length;
+            columns += Object.keys(exclusions[table].columns).length;
+        });
+
+        if (summary) {
+            summary.textContent = rows || columns ? sprintf(i18n('excludedSummary'), rows, columns) : '';
+        }
     }
 
     // ── Execute ──────────────────────────────────────────────
 
     function doExecute() {
-        var search = (document.getElementById('wpt-sr-search') || {}).value || '';
-        var replace = (document.getElementById('wpt-sr-replace') || {}).value || '';
+        var query = readQuery();
         var tables = getSelectedTables();
-        var caseSensitive = document.getElementById('wpt-sr-case-sensitive');
-        var regex = document.getElementById('wpt-sr-regex');
 
-        if (!search) {
+        if (query.pairs.length === 0) {
             showNotice(document.getElementById('wpt-sr-tool'), i18n('searchRequired'), 'error');
             return;
         }
@@ -261,101 +674,569 @@
             return;
         }
 
-        var runId = generateUUID();
-        var tableIndex = 0;
-        var totalReplaced = 0;
+        var total = 0;
+        tables.forEach(function (table) {
+            total += dryRunRows[table] || 0;
+        });
+
+        // Plain arrays so the job can persist them with its params.
+        var exclude = {};
+        tables.forEach(function (table) {
+            if (!exclusions[table]) return;
+            exclude[table] = {
+                rows:    Object.keys(exclusions[table].rows),
+                columns: Object.keys(exclusions[table].columns)
+            };
+        });
 
-        setButtonsDisabled(true);
-        setSpinner(true);
         hideResults();
         showProgress();
 
-        function processNextTable() {
-            if (tableIndex >= tables.length) {
-                // All done.
-                setSpinner(false);
-                setButtonsDisabled(false);
-                updateProgress(100, sprintf(i18n('complete') + ' ' + i18n('replaced'), totalReplaced));
-                showNotice(document.getElementById('wpt-sr-tool'),
-                    sprintf(i18n('replaced'), totalReplaced), 'success');
-                return;
+        job.start({
+            runId:         generateUUID(),
+            pairs:         query.pairs,
+            scope:         query.scope,
+            allowGuards:   query.allowGuards,
+            tables:        tables,
+            caseSensitive: query.caseSensitive,
+            regex:         query.regex,
+            total:         total,
+            exclude:       exclude
+        }, { table: 0, lastId: 0, replaced: 0 });
+    }
+
+    // ── Batch Job ────────────────────────────────────────────
+
+    /**
+     * One job walks every selected table in primary-key batches. The cursor
+     * (table index + last primary key) is saved after each batch, so a
+     * reload or a dropped request resumes instead of starting over.
+     */
+    function createJob() {
+        job = wpt.jobs.create({
+            id:      'search-replace',
+            client:  api,
+            action:  'wpt_search_replace_run',
+            storage: 'local',
+            request: function (cursor, params) {
+                var table = params.tables[cursor.table];
+                var skip  = (params.exclude && params.exclude[table]) || {};
+
+                // Jobs saved before pairs existed carry a single search/replace.
+                var pairs = params.pairs || [{ search: params.search, replace: params.replace }];
+
+                return {
+                    pairs:           JSON.stringify(pairs),
+                    scope:           JSON.stringify(params.scope || {}),
+                    allow_guards:    params.allowGuards || [],
+                    table:           table,
+                    run_id:          params.runId,
+                    last_id:         String(cursor.lastId),
+                    case_sensitive:  params.caseSensitive,
+                    regex:           params.regex,
+                    exclude_rows:    (skip.rows || []).join(','),
+                    exclude_columns: skip.columns || []
+                };
+            },
+            advance: function (data, cursor, params) {
+                var next = {
+                    table:    data.done ? cursor.table + 1 : cursor.table,
+                    lastId:   data.done ? 0 : (data.last_id || 0),
+                    replaced: cursor.replaced + (data.replaced || 0)
+                };
+
+                return {
+                    cursor:    next,
+                    processed: data.processed || 0,
+                    total:     params.total,
+                    done:      next.table >= params.tables.length
+                };
             }
+        });
 
-            var currentTable = tables[tableIndex];
-            var pct = Math.round((tableIndex / tables.length) * 100);
-            updateProgress(pct, sprintf(i18n('processingTable'), currentTable));
-
-            processBatch(currentTable, 0);
-        }
-
-        function processBatch(table, lastId) {
-            post('wpt_search_replace_run', {
-                search: search,
-                replace: replace,
-                table: table,
-                run_id: runId,
-                last_id: String(lastId),
-                case_sensitive: caseSensitive && caseSensitive.checked ? '1' : '0',
-                regex: regex && regex.checked ? '1' : '0'
-            }, function (response) {
-                if (!response.success) {
-                    setSpinner(false);
-                    setButtonsDisabled(false);
-                    showNotice(document.getElementById('wpt-sr-tool'),
-                        (response.data && response.data.message) || i18n('networkError'), 'error');
-                    return;
-                }
+        wpt.jobs.panel(job, {
+            wrap:     document.getElementById('wpt-sr-progress'),
+            fill:     document.getElementById('wpt-sr-progress-fill'),
+            text:     document.getElementById('wpt-sr-progress-text'),
+            describe: function (j) {
+                var cursor = j.cursor || { table: 0, replaced: 0 };
+                var tables = j.params.tables || [];
+                var index  = Math.min(cursor.table, tables.length - 1);
+
+                return sprintf(i18n('processingProgress'), tables[index] || '', index + 1, tables.length, cursor.replaced);
+            },
+            onResume: function () {
+                hideResults();
+            }
+        });
+
+        job.on('state', function (status) {
+            var busy = job.isActive();
+            setSpinner(busy);
+            setButtonsDisabled(busy || status === 'paused' || status === 'failed');
+        });
 
-                var data = response.data;
-                totalReplaced += data.replaced || 0;
+        // Without dry-run totals the bar measures tables instead of rows.
+        job.on('progress', function () {
+            var fill = document.getElementById('wpt-sr-progress-fill');
+            if (fill && !job.params.total && job.cursor) {
+                fill.style.width = Math.round((job.cursor.table / Math.max(1, job.params.tables.length)) * 100) + '%';
+            }
+        });
 
-                if (data.done) {
-                    tableIndex++;
-                    processNextTable();
-                } else {
-                    // More rows in this table.
-                    processBatch(table, data.last_id || 0);
-                }
-            });
+        job.on('complete', function () {
+            var replaced = job.cursor ? job.cursor.replaced : 0;
+            updateProgress(100, sprintf(i18n('complete') + ' ' + i18n('replaced'), replaced));
+            showNotice(document.getElementById('wpt-sr-tool'),
+                sprintf(i18n('replaced'), replaced), 'success');
+            loadHistory(0);
+        });
+
+        job.on('cancel', function () {
+            hideProgress();
+            showNotice(document.getElementById('wpt-sr-tool'), i18n('cancelled'), 'warning');
+            loadHistory(0);
+        });
+    }
+
+    // ── Pairs ────────────────────────────────────────────────
+
+    function pairRows() {
+        return document.querySelectorAll('#wpt-sr-pairs .wpt-sr-pair');
+    }
+
+    /**
+     * Append a pair row, cloned from the first so it carries the same buttons.
+     */
+    function addPair(search, replace) {
+        var rows = pairRows();
+        var row = rows[0].cloneNode(true);
+
+        row.querySelector('.wpt-sr-pair-search').value = search || '';
+        row.querySelector('.wpt-sr-pair-replace').value = replace || '';
+        rows[0].parentNode.appendChild(row);
+        syncPairIds();
+
+        return row;
+    }
+
+    /**
+     * Replace every row with the given pairs, keeping at least one row.
+     */
+    function setPairs(pairs) {
+        var rows = pairRows();
+        for (var i = 1; i < rows.length; i++) {
+            rows[i].remove();
         }
 
-        processNextTable();
+        var first = pairs[0] || { search: '', replace: '' };
+        rows[0].querySelector('.wpt-sr-pair-search').value = first.search;
+        rows[0].querySelector('.wpt-sr-pair-replace').value = first.replace;
+
+        pairs.slice(1).forEach(function (pair) {
+            addPair(pair.search, pair.replace);
+        });
     }
 
-    // ── Undo ─────────────────────────────────────────────────
+    /* The field label points at the first row, whichever row that is now. */
+    function syncPairIds() {
+        pairRows().forEach(function (row, i) {
+            var search = row.querySelector('.wpt-sr-pair-search');
+            var replace = row.querySelector('.wpt-sr-pair-replace');
+
+            if (i === 0) {
+                search.id = 'wpt-sr-search';
+                replace.id = 'wpt-sr-replace';
+            } else {
+                search.removeAttribute('id');
+                replace.removeAttribute('id');
+            }
+        });
+    }
+
+    function onPairClick(e) {
+        var btn = e.target.closest('.wpt-sr-pair-up, .wpt-sr-pair-down, .wpt-sr-pair-remove');
+        if (!btn) return;
+
+        var row = btn.closest('.wpt-sr-pair');
+        var list = row.parentNode;
+
+        if (btn.classList.contains('wpt-sr-pair-up')) {
+            if (row.previousElementSibling) list.insertBefore(row, row.previousElementSibling);
+        } else if (btn.classList.contains('wpt-sr-pair-down')) {
+            if (row.nextElementSibling) list.insertBefore(row.nextElementSibling, row);
+        } else if (pairRows().length > 1) {
+            row.remove();
+        } else {
+            row.querySelector('.wpt-sr-pair-search').value = '';
+            row.querySelector('.wpt-sr-pair-replace').value = '';
+        }
+
+        syncPairIds();
+    }
+
+    // ── Profiles ─────────────────────────────────────────────
+
+    function findProfile(id) {
+        for (var i = 0; i < profiles.length; i++) {
+            if (profiles[i].id === id) return profiles[i];
+        }
+        return null;
+    }
+
+    function renderProfiles(selected) {
+        var select = document.getElementById('wpt-sr-profile');
+        if (!select) return;
+
+        while (select.options.length > 1) {
+            select.options[1].remove();
+        }
+
+        profiles.forEach(function (profile) {
+            var option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+
+        select.value = findProfile(selected) ? selected : '';
+        syncProfileButtons();
+    }
+
+    function syncProfileButtons() {
+        var select = document.getElementById('wpt-sr-profile');
+        var del = document.getElementById('wpt-sr-profile-delete');
+        if (del) del.disabled = !select || !select.value;
+    }
+
+    /**
+     * Load a profile into the form. Results of an earlier dry run no
+     * longer match, so they are cleared and Execute waits for a new one.
+     */
+    function applyProfile(profile) {
+        setPairs(profile.pairs || []);
+        selectTables(profile.tables || []);
+        setScope(profile.scope, profile.allow_guards || []);
+
+        var caseSensitive = document.getElementById('wpt-sr-case-sensitive');
+        var regex = document.getElementById('wpt-sr-regex');
+        if (caseSensitive) caseSensitive.checked = !!profile.case_sensitive;
+        if (regex) regex.checked = !!profile.regex;
+
+        hideResults();
+        dryRunRows = {};
+        exclusions = {};
+
+        var execute = document.getElementById('wpt-sr-execute');
+        if (execute) execute.disabled = true;
+    }
 
-    function doUndo(runId) {
-        if (!confirm(i18n('confirmUndo'))) {
+    /**
+     * Save the form as a profile. With a profile selected this updates
+     * it; a name that is already taken overwrites that profile.
+     */
+    function saveProfile() {
+        var tool = document.getElementById('wpt-sr-tool');
+        var query = readQuery();
+        var current = findProfile((document.getElementById('wpt-sr-profile') || {}).value);
+
+        if (query.pairs.length === 0) {
+            showNotice(tool, i18n('searchRequired'), 'error');
             return;
         }
 
+        var name = prompt(i18n('profileName'), current ? current.name : '');
+        if (name === null || !name.trim()) return;
+
         setSpinner(true);
 
-        post('wpt_search_replace_undo', {
-            run_id: runId
-        }, function (response) {
+        api.post('wpt_search_replace_profile_save', {
+            id:             current ? current.id : '',
+            name:           name.trim(),
+            pairs:          JSON.stringify(query.pairs),
+            scope:          JSON.stringify(query.scope),
+            allow_guards:   query.allowGuards,
+            tables:         getSelectedTables(),
+            case_sensitive: query.caseSensitive,
+            regex:          query.regex
+        }).then(function (data) {
+            setSpinner(false);
+            profiles = data.profiles || [];
+            renderProfiles(data.profile.id);
+            showNotice(tool, sprintf(i18n('profileSaved'), data.profile.name), 'success');
+        }).catch(function (err) {
             setSpinner(false);
+            showNotice(tool, err.message || i18n('networkError'), 'error');
+        });
+    }
 
-            if (!response.success) {
-                showNotice(document.getElementById('wpt-sr-tool'),
-                    (response.data && response.data.message) || i18n('networkError'), 'error');
-                return;
+    function deleteProfile() {
+        var tool = document.getElementById('wpt-sr-tool');
+        var profile = findProfile((document.getElementById('wpt-sr-profile') || {}).value);
+
+        if (!profile || !confirm(sprintf(i18n('confirmDelete'), profile.name))) {
+            return;
+        }
+
+        setSpinner(true);
+
+        api.post('wpt_search_replace_profile_delete', {
+            id: profile.id
+        }).then(function (data) {
+            setSpinner(false);
+            profiles = data.profiles || [];
+            renderProfiles('');
+        }).catch(function (err) {
+            setSpinner(false);
+            showNotice(tool, err.message || i18n('networkError'), 'error');
+        });
+    }
+
+    // ── Run History ──────────────────────────────────────────
+
+    function loadHistory(page) {
+        var box = document.getElementById('wpt-sr-history');
+        if (!box) return;
+
+        historyPage = page;
+
+        api.post('wpt_search_replace_history', { page: String(page) }, { retries: 2, key: 'history' }).then(function (data) {
+            renderHistory(box, data);
+        }).catch(function (err) {
+            if (wpt.api.isAbort(err)) return;
+            box.innerHTML = '<p class="description" style="color: #d63638;">' +
+                escHtml(err.message || i18n('networkError')) + '</p>';
+        });
+    }
+
+    function renderHistory(box, data) {
+        if (!data.runs.length) {
+            box.innerHTML = '<p class="description">' + escHtml(i18n('noHistory')) + '</p>';
+            return;
+        }
+
+        var html = '<table class="widefat striped wpt-sr-history-table"><thead><tr>' +
+            '<th>' + escHtml(i18n('colDate')) + '</th><th>' + escHtml(i18n('colUser')) + '</th>' +
+            '<th>' + escHtml(i18n('colPairs')) + '</th><th>' + escHtml(i18n('colTables')) + '</th>' +
+            '<th>' + escHtml(i18n('colChanged')) + '</th><th></th></tr></thead><tbody>';
+
+        data.runs.forEach(function (run) {
+            html += '<tr data-run-id="' + escAttr(run.run_id) + '" data-conflicts="' + run.conflicts + '" data-logged="' + run.logged + '">' +
+                '<td>' + escHtml(run.date) + '<br><span class="description">' + escHtml(sprintf(i18n('tookDuration'), run.duration)) + '</span></td>' +
+                '<td>' + escHtml(run.user) + '</td>' +
+                '<td>' + historyPairsHtml(run.pairs) + '</td>' +
+                '<td>' + run.tables.map(function (table) {
+                    return '<code>' + escHtml(table) + '</code>';
+                }).join(' ') + '</td>' +
+                '<td>' + escHtml(sprintf(i18n('changedSummary'), run.changes, run.rows)) + historyStatusHtml(run) + '</td>' +
+                '<td class="wpt-sr-history-actions">';
+
+            if (run.logged > 0) {
+                html += '<button type="button" class="button button-small wpt-sr-history-inspect" aria-expanded="false">' + escHtml(i18n('inspect')) + '</button> ' +
+                    '<button type="button" class="button button-small wpt-sr-undo-btn">' + escHtml(i18n('undoRun')) + '</button>';
             }
 
-            showNotice(document.getElementById('wpt-sr-tool'),
-                (response.data && response.data.message) || i18n('undoComplete'), 'success');
+            html += '</td></tr>';
+        });
+
+        html += '</tbody></table>';
+
+        if (data.pages > 1) {
+            html += '<p class="wpt-sr-pager">' +
+                '<button type="button" class="button button-small wpt-sr-history-page" data-page="' + (data.page - 1) + '"' + (data.page === 0 ? ' disabled' : '') + '>' + escHtml(i18n('previousPage')) + '</button> ' +
+                '<span>' + escHtml(sprintf(i18n('pageOf'), data.page + 1, data.pages)) + '</span> ' +
+                '<button type="button" class="button button-small wpt-sr-history-page" data-page="' + (data.page + 1) + '"' + (data.page + 1 >= data.pages ? ' disabled' : '') + '>' + escHtml(i18n('nextPage')) + '</button>' +
+                '</p>';
+        }
+
+        box.innerHTML = html;
+    }
+
+    function historyPairsHtml(pairs) {
+        if (!pairs.length) {
+            return '<span class="description">' + escHtml(i18n('unknownPairs')) + '</span>';
+        }
+
+        return pairs.map(function (pair) {
+            return '<code>' + escHtml(pair.search) + '</code> &rarr; <code>' + escHtml(pair.replace) + '</code>';
+        }).join('<br>');
+    }
+
+    function historyStatusHtml(run) {
+        var html = '';
+
+        if (run.logged === 0) {
+            html = run.undone > 0 ? i18n('statusUndone') : (run.changes > 0 ? i18n('notLogged') : '');
+            return html ? '<br><span class="description">' + escHtml(html) + '</span>' : '';
+        }
 
-            // Remove the row from the undo table.
-            var row = document.querySelector('tr[data-run-id="' + runId + '"]');
-            if (row) row.remove();
+        if (run.undone > 0) {
+            html += '<br><span class="description">' + escHtml(sprintf(i18n('statusPartial'), run.undone)) + '</span>';
+        }
+        if (run.conflicts > 0) {
+            html += '<br><span class="wpt-sr-conflict">' + escHtml(sprintf(i18n('conflictWarning'), run.conflicts)) + '</span>';
+        }
+
+        return html;
+    }
+
+    /**
+     * Open or close the list of a run's logged changes under its row.
+     */
+    function toggleInspect(btn) {
+        var row = btn.closest('tr');
+        var next = row.nextElementSibling;
+        var runId = row.getAttribute('data-run-id');
+
+        if (next && next.classList.contains('wpt-sr-history-detail')) {
+            api.abort('entries-' + runId);
+            next.remove();
+            btn.setAttribute('aria-expanded', 'false');
+            btn.textContent = i18n('inspect');
+            return;
+        }
+
+        var detail = document.createElement('tr');
+        detail.className = 'wpt-sr-history-detail';
+        detail.innerHTML = '<td colspan="6"><div class="wpt-sr-history-entries"></div></td>';
+        detail.wptRunId = runId;
+        detail.wptLogged = parseInt(row.getAttribute('data-logged'), 10) || 0;
+        // Log ID each page starts after; pages are keyed, not offset.
+        detail.wptCursors = [0];
+        // Picked log IDs across pages, each mapped to whether a later run changed its row.
+        detail.wptSelected = {};
+        row.parentNode.insertBefore(detail, row.nextSibling);
+
+        btn.setAttribute('aria-expanded', 'true');
+        btn.textContent = i18n('hideInspect');
+        loadEntries(detail, 0);
+    }
+
+    function loadEntries(detail, page) {
+        var box = detail.querySelector('.wpt-sr-history-entries');
+        var runId = detail.wptRunId;
+
+        box.innerHTML = '<p class="description"><span class="spinner is-active"></span> ' + escHtml(i18n('loadingEntries')) + '</p>';
+
+        api.post('wpt_search_replace_entries', {
+            run_id: runId,
+            after:  String(detail.wptCursors[page])
+        }, { retries: 2, key: 'entries-' + runId }).then(function (data) {
+            detail.wptCursors[page + 1] = data.last_id;
+            detail.wptCursors.length = data.has_more ? page + 2 : page + 1;
+            renderEntries(detail, data, page);
+        }).catch(function (err) {
+            if (wpt.api.isAbort(err)) return;
+            box.innerHTML = '<p class="description" style="color: #d63638;">' +
+                escHtml(err.message || i18n('networkError')) + '</p>';
+        });
+    }
+
+    function renderEntries(detail, data, page) {
+        var box = detail.querySelector('.wpt-sr-history-entries');
+        var pages = Math.max(page + (data.has_more ? 2 : 1), Math.ceil(detail.wptLogged / data.per_page));
+
+        var html = '<p class="wpt-sr-history-toolbar"><label><input type="checkbox" class="wpt-sr-entry-all"> ' + escHtml(i18n('selectPage')) + '</label> ' +
+            '<button type="button" class="button button-small wpt-sr-undo-selected"></button></p>';
+
+        data.entries.forEach(function (entry) {
+            var later = entry.later.map(function (id) {
+                return id.substring(0, 8);
+            }).join(', ');
+
+            html += '<div class="wpt-sr-preview-item" data-entry-id="' + entry.id + '" data-later="' + (entry.later.length ? '1' : '') + '">' +
+                '<label class="wpt-sr-preview-head"><input type="checkbox" class="wpt-sr-entry-cb"' + (detail.wptSelected[entry.id] !== undefined ? ' checked' : '') + '> ' +
+                '<code>' + escHtml(entry.table + '.' + entry.column) + '</code> <code>#' + escHtml(String(entry.row_id)) + '</code></label>' +
+                (later ? '<p class="wpt-sr-conflict">' + escHtml(sprintf(i18n('laterRun'), later)) + '</p>' : '') +
+                '<div class="wpt-sr-diff">' + diffHtml(entry.segments) + '</div></div>';
+        });
 
-            // Hide table if empty.
-            var tbody = document.querySelector('#wpt-sr-undo-table tbody');
-            if (tbody && tbody.children.length === 0) {
-                var undoTable = document.getElementById('wpt-sr-undo-table');
-                if (undoTable) undoTable.style.display = 'none';
+        if (pages > 1) {
+            html += '<p class="wpt-sr-pager">' +
+                '<button type="button" class="button button-small wpt-sr-entries-page" data-page="' + (page - 1) + '"' + (page === 0 ? ' disabled' : '') + '>' + escHtml(i18n('previousPage')) + '</button> ' +
+                '<span>' + escHtml(sprintf(i18n('pageOf'), page + 1, pages)) + '</span> ' +
+                '<button type="button" class="button button-small wpt-sr-entries-page" data-page="' + (page + 1) + '"' + (data.has_more ? '' : ' disabled') + '>' + escHtml(i18n('nextPage')) + '</button>' +
+                '</p>';
+        }
+
+        box.innerHTML = html;
+        syncEntrySelection(detail);
+    }
+
+    function onEntryChange(cb) {
+        var detail = cb.closest('.wpt-sr-history-detail');
+        var items = cb.classList.contains('wpt-sr-entry-all')
+            ? detail.querySelectorAll('.wpt-sr-preview-item')
+            : [cb.closest('.wpt-sr-preview-item')];
+
+        items.forEach(function (item) {
+            var id = item.getAttribute('data-entry-id');
+            item.querySelector('.wpt-sr-entry-cb').checked = cb.checked;
+            if (cb.checked) {
+                detail.wptSelected[id] = item.getAttribute('data-later') === '1';
+            } else {
+                delete detail.wptSelected[id];
             }
         });
+
+        syncEntrySelection(detail);
+    }
+
+    function syncEntrySelection(detail) {
+        var count = Object.keys(detail.wptSelected).length;
+        var btn = detail.querySelector('.wpt-sr-undo-selected');
+        var all = detail.querySelector('.wpt-sr-entry-all');
+        var boxes = detail.querySelectorAll('.wpt-sr-entry-cb');
+
+        if (btn) {
+            btn.textContent = sprintf(i18n('undoSelected'), count);
+            btn.disabled = count === 0;
+        }
+        if (all) {
+            all.checked = boxes.length > 0 && Array.prototype.every.call(boxes, function (box) {
+                return box.checked;
+            });
+        }
+    }
+
+    // ── Undo ─────────────────────────────────────────────────
+
+    /**
+     * Undo a whole run, or only the given log entries of it. Restoring
+     * old values over a later run's changes needs a second confirmation.
+     */
+    function doUndo(runId, entryIds, conflicted) {
+        var row = document.querySelector('#wpt-sr-history tr[data-run-id="' + runId + '"]');
+
+        if (entryIds) {
+            if (!confirm(sprintf(i18n('confirmUndoSelected'), entryIds.length))) return;
+        } else {
+            if (!confirm(i18n('confirmUndo'))) return;
+            conflicted = !!row && parseInt(row.getAttribute('data-conflicts'), 10) > 0;
+        }
+
+        if (conflicted && !confirm(i18n('confirmUndoConflict'))) {
+            return;
+        }
+
+        var data = { run_id: runId };
+        if (entryIds) {
+            data.entries = entryIds.join(',');
+        }
+
+        setSpinner(true);
+
+        api.post('wpt_search_replace_undo', data).then(function (result) {
+            setSpinner(false);
+
+            showNotice(document.getElementById('wpt-sr-tool'),
+                (result && result.message) || i18n('undoComplete'), 'success');
+
+            loadHistory(historyPage);
+        }).catch(function (err) {
+            setSpinner(false);
+            showNotice(document.getElementById('wpt-sr-tool'), err.message || i18n('networkError'), 'error');
+        });
     }
 
     // ── Progress Bar ─────────────────────────────────────────
@@ -389,8 +1270,63 @@
     // ── Init ─────────────────────────────────────────────────
 
     function init() {
+        // Batch job + resume notice for an interrupted run.
+        createJob();
+
         // Load table list.
-        loadTables();
+        var tablesLoaded = loadTables();
+
+        // Pair rows.
+        var pairs = document.getElementById('wpt-sr-pairs');
+        if (pairs) {
+            pairs.addEventListener('click', onPairClick);
+        }
+
+        var addPairBtn = document.getElementById('wpt-sr-add-pair');
+        if (addPairBtn) {
+            addPairBtn.addEventListener('click', function () {
+                addPair('', '').querySelector('.wpt-sr-pair-search').focus();
+            });
+        }
+
+        // Profiles.
+        renderProfiles('');
+
+        var profileSelect = document.getElementById('wpt-sr-profile');
+        if (profileSelect) {
+            profileSelect.addEventListener('change', function () {
+                var profile = findProfile(profileSelect.value);
+                if (profile) applyProfile(profile);
+                syncProfileButtons();
+            });
+        }
+
+        var profileSave = document.getElementById('wpt-sr-profile-save');
+        if (profileSave) {
+            profileSave.addEventListener('click', saveProfile);
+        }
+
+        var profileDelete = document.getElementById('wpt-sr-profile-delete');
+        if (profileDelete) {
+            profileDelete.addEventListener('click', deleteProfile);
+        }
+
+        // Opened from the palette or the site address notice: load the
+        // profile and dry-run it. Executing is always left to the user.
+        if (config.autoProfile) {
+            var autoProfile = findProfile(config.autoProfile);
+            if (!autoProfile) {
+                showNotice(document.getElementById('wpt-sr-tool'), i18n('profileNotFound'), 'error');
+            } else {
+                renderProfiles(autoProfile.id);
+                applyProfile(autoProfile);
+                tablesLoaded.then(function () {
+                    // Not while an interrupted run waits to be resumed.
+                    var dryRunBtn = document.getElementById('wpt-sr-dry-run');
+                    if (dryRunBtn && !dryRunBtn.disabled) doDryRun();
+                });
+            }
+        }
 
         // Dry run button.
         var dryRunBtn = document.getElementById('wpt-sr-dry-run');
@@ -423,14 +1359,82 @@
             });
         }
 
-        // Undo buttons (event delegation).
-        document.addEventListener('click', function (e) {
-            var btn = e.target.closest('.wpt-sr-undo-btn');
-            if (!btn) return;
+        // Scope: one editor, opened from a table's Scope link.
+        var tablesList = document.getElementById('wpt-sr-tables-list');
+        if (tablesList) {
+            tablesList.addEventListener('click', function (e) {
+                var btn = e.target.closest('.wpt-sr-scope-btn');
+                if (btn) openScope(btn.closest('.wpt-sr-table-item').getAttribute('data-table'));
+            });
+        }
 
-            var runId = btn.getAttribute('data-run-id');
-            if (runId) doUndo(runId);
-        });
+        var scopeEditor = document.getElementById('wpt-sr-scope');
+        if (scopeEditor) {
+            scopeEditor.addEventListener('click', onScopeClick);
+            scopeEditor.addEventListener('input', readScopeForm);
+            scopeEditor.addEventListener('change', function (e) {
+                readScopeForm();
+                // Column boxes only apply to the include/exclude modes.
+                if (e.target.name === 'wpt-sr-scope-mode') renderScope();
+            });
+        }
+
+        // Diff preview: review toggles, paging and exclusions (event delegation).
+        var results = document.getElementById('wpt-sr-results');
+        if (results) {
+            results.addEventListener('click', function (e) {
+                var review = e.target.closest('.wpt-sr-review');
+                var pageBtn = e.target.closest('.wpt-sr-page');
+
+                if (review) {
+                    toggleReview(review);
+                } else if (pageBtn && !pageBtn.disabled) {
+                    loadPreview(pageBtn.closest('.wpt-sr-preview-row'), parseInt(pageBtn.getAttribute('data-page'), 10));
+                }
+            });
+
+            results.addEventListener('change', function (e) {
+                if (e.target.classList.contains('wpt-sr-include-row') || e.target.classList.contains('wpt-sr-include-col')) {
+                    onExclusionChange(e.target);
+                }
+            });
+        }
+
+        // Run history: paging, inspecting and undo (event delegation).
+        var historyBox = document.getElementById('wpt-sr-history');
+        if (historyBox) {
+            loadHistory(0);
+
+            historyBox.addEventListener('click', function (e) {
+                var historyPageBtn = e.target.closest('.wpt-sr-history-page');
+                var entriesPageBtn = e.target.closest('.wpt-sr-entries-page');
+                var inspect = e.target.closest('.wpt-sr-history-inspect');
+                var undoRun = e.target.closest('.wpt-sr-undo-btn');
+                var undoSelected = e.target.closest('.wpt-sr-undo-selected');
+
+                if (historyPageBtn && !historyPageBtn.disabled) {
+                    loadHistory(parseInt(historyPageBtn.getAttribute('data-page'), 10));
+                } else if (entriesPageBtn && !entriesPageBtn.disabled) {
+                    loadEntries(entriesPageBtn.closest('.wpt-sr-history-detail'), parseInt(entriesPageBtn.getAttribute('data-page'), 10));
+                } else if (inspect) {
+                    toggleInspect(inspect);
+                } else if (undoRun) {
+                    doUndo(undoRun.closest('tr').getAttribute('data-run-id'));
+                } else if (undoSelected && !undoSelected.disabled) {
+                    var detail = undoSelected.closest('.wpt-sr-history-detail');
+                    var ids = Object.keys(detail.wptSelected);
+                    doUndo(detail.wptRunId, ids, ids.some(function (id) {
+                        return detail.wptSelected[id];
+                    }));
+                }
+            });
+
+            historyBox.addEventListener('change', function (e) {
+                if (e.target.classList.contains('wpt-sr-entry-cb') || e.target.classList.contains('wpt-sr-entry-all')) {
+                    onEntryChange(e.target);
+                }
+            });
+        }
     }
 
     // DOM ready.
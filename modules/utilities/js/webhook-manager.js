@@ -1,5 +1,41 @@
 /**
- * Webhook Manager -- AJAX CRUD and test-fire interactions.
+ * Webhook Manager -- AJAX CRUD, test-fire and delivery log interactions.
+ *
+ * Every send -- real event, test or replay -- is recorded as a delivery.
+ * Events are sent from cron, so their deliveries start out 'queued'.
+ * Non-2xx answers are retried with exponential backoff from cron;
+ * each attempt is its own delivery carrying `attempt` / `max_attempts`,
+ * and `next_retry` while another one is queued. The list reports
+ * `failing` (consecutive failed deliveries) per webhook.
+ *
+ *   wpt_webhook_deliveries { id, page, status }
+ *     -> { deliveries: [ {id, event,
+ *          status: 'success'|'failed'|'retrying'|'queued', response_code,
+ *          duration_ms, attempt, max_attempts, created_at, created_ago,
+ *          next_retry, replay_of} ], page, pages, total }
+ *   wpt_webhook_delivery { delivery_id }
+ *     -> { delivery: {..., request_url, request_headers, request_body,
+ *          response_body} }   (response_body is an excerpt)
+ *   wpt_webhook_replay { delivery_id }
+ *     -> { delivery: {...}, message }
+ *
+ * Besides name, URL, event and headers a webhook saves how it is sent:
+ * `format` (a FORMATS key), `message` for the chat formats, `template`
+ * and `content_type` for custom bodies, `auth_type` ('none'|'bearer'|
+ * 'basic') with `auth_token` or `auth_user` / `auth_pass`, and `sign`
+ * with `secret`. Secrets are write-only: the list reports `has_secret`
+ * and `has_auth` instead, and a blank secret on save keeps the old one.
+ *
+ * A webhook subscribes to `events` (list of hooks; `event` stays the
+ * first of them for older engines) and may narrow each with `filters`:
+ * { <hook>: {post_types: [], roles: [], taxonomy, terms} }, where terms
+ * are comma-separated names, slugs or IDs. The catalog comes from
+ * `eventCatalog` ({hook: {label, group, description, sample}}) when the
+ * module localizes it, else from `events` grouped by hook name.
+ *
+ * Signed requests carry `X-WPT-Timestamp` (unix seconds) and
+ * `X-WPT-Signature: sha256=<hex>`, the HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the secret.
  *
  * @package WPTransformed
  */
@@ -8,6 +44,147 @@
 
     var config = window.wptWebhooks;
     if (!config) return;
+    config.i18n = config.i18n || {};
+
+    // The module localizes its nonce action so expired nonces can be refreshed.
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: config.nonceAction
+    });
+
+    /**
+     * Localized string with an English fallback for keys older builds
+     * of the module do not localize.
+     */
+    function t(key, fallback) {
+        return config.i18n[key] || fallback;
+    }
+
+    /**
+     * Payload formats. `wrap` shapes a chat message into the body the
+     * service expects; json and form send the event payload as is.
+     */
+    var FORMATS = {
+        json:    { label: t('formatJson', 'JSON (event payload)') },
+        form:    { label: t('formatForm', 'Form-encoded (event payload)') },
+        slack:   { label: 'Slack', wrap: function (text) { return { text: text }; } },
+        discord: { label: 'Discord', wrap: function (text) { return { content: text }; } },
+        teams:   {
+            label: 'Microsoft Teams',
+            wrap: function (text) {
+                return { '@type': 'MessageCard', '@context': 'https://schema.org/extensions', text: text };
+            }
+        },
+        custom:  { label: t('formatCustom', 'Custom template') }
+    };
+
+    var CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded', 'text/plain', 'application/xml'];
+
+    var DEFAULT_MESSAGE = '{{trigger.hook}} on {{site.name}}';
+
+    /** Event groups in display order, with the hook names that fall in each. */
+    var EVENT_GROUPS = [
+        ['comments', t('groupComments', 'Comments'), /comment/],
+        ['posts', t('groupPosts', 'Posts & pages'), /post|publish|page|attachment|trash/],
+        ['users', t('groupUsers', 'Users'), /user|login|logout|register|role|profile|password/],
+        ['plugins', t('groupPlugins', 'Plugins & themes'), /plugin|theme|update|upgrade/],
+        ['forms', t('groupForms', 'Forms'), /form|submission/],
+        ['other', t('groupOther', 'Other'), /./]
+    ];
+
+    /**
+     * Catalog entries {hook, label, group, description, sample} grouped as
+     * [{key, label, events}], skipping empty groups.
+     */
+    function eventCatalog() {
+        var catalog = config.eventCatalog || {};
+        var events  = config.events || {};
+        var hooks   = Object.keys(catalog).concat(Object.keys(events).filter(function (hook) {
+            return !catalog[hook];
+        }));
+
+        var groups = EVENT_GROUPS.map(function (g) {
+            return { key: g[0], label: g[1], pattern: g[2], events: [] };
+        });
+
+        hooks.forEach(function (hook) {
+            var entry = catalog[hook] || {};
+            var group = groups.filter(function (g) {
+                return entry.group ? g.key === entry.group : g.pattern.test(hook);
+            })[0];
+
+            // A group the catalog names but we don't know gets its own heading.
+            if (!group) {
+                group = { key: entry.group, label: entry.group, events: [] };
+                groups.splice(groups.length - 1, 0, group);
+            }
+
+            group.events.push({
+                hook:        hook,
+                label:       entry.label || events[hook] || hook,
+                description: entry.description || '',
+                sample:      entry.sample || null
+            });
+        });
+
+        return groups.filter(function (g) { return g.events.length; });
+    }
+
+    /** Subjects ('post', 'user', 'comment') an event's payload carries. */
+    function eventSubjects(hook) {
+        if (!window.wpt.mergeTags) return [];
+
+        var subjects = [];
+        wpt.mergeTags.variables(hook).forEach(function (v) {
+            var subject = v.tag.split('.')[0];
+            if (['post', 'user', 'comment'].indexOf(subject) !== -1 && subjects.indexOf(subject) === -1) subjects.push(subject);
+        });
+        return subjects;
+    }
+
+    function eventLabel(hook) {
+        var entry = (config.eventCatalog || {})[hook];
+        return (entry && entry.label) || (config.events || {})[hook] || hook;
+    }
+
+    /** Hooks a listed webhook subscribes to, old single-event rows included. */
+    function webhookEvents(wh) {
+        if (Array.isArray(wh.events) && wh.events.length) return wh.events;
+        return wh.event ? [wh.event] : [];
+    }
+
+    /** Per-event filters of a listed webhook, decoded if sent as JSON. */
+    function webhookFilters(wh) {
+        var filters = wh.filters || {};
+        if (typeof filters === 'string') {
+            try {
+                filters = JSON.parse(filters) || {};
+            } catch (e) {
+                filters = {};
+            }
+        }
+        return filters;
+    }
+
+    /** Random hex string for a new signing secret. */
+    function generateSecret() {
+        var bytes = new Uint8Array(32);
+        window.crypto.getRandomValues(bytes);
+        return Array.prototype.map.call(bytes, function (b) {
+            return (b < 16 ? '0' : '') + b.toString(16);
+        }).join('');
+    }
+
+    /** PHP-style form encoding of a nested payload, as the server sends it. */
+    function formEncode(data, prefix) {
+        return Object.keys(data).map(function (key) {
+            var name  = prefix ? prefix + '[' + key + ']' : key;
+            var value = data[key];
+            if (value !== null && typeof value === 'object') return formEncode(value, name);
+            return encodeURIComponent(name) + '=' + encodeURIComponent(value === null || value === undefined ? '' : value);
+        }).filter(Boolean).join('&');
+    }
 
     document.addEventListener('DOMContentLoaded', function () {
         var saveBtn   = document.getElementById('wpt-webhook-save');
@@ -16,6 +193,19 @@
         var listDiv   = document.getElementById('wpt-webhook-list');
         var editIdEl  = document.getElementById('wpt-webhook-edit-id');
 
+        // Headers can carry {{merge.tags}} for the selected event.
+        var headersEl = document.getElementById('wpt-webhook-headers');
+        var eventEl   = document.getElementById('wpt-webhook-event');
+        if (headersEl && eventEl && window.wpt.mergeTags) {
+            wpt.mergeTags.attach(headersEl, {
+                trigger: function () { return eventEl.value; }
+            });
+            eventEl.addEventListener('change', function () { wpt.mergeTags.refresh(); });
+        }
+
+        var events  = buildEventPicker();
+        var sending = buildSendingFields();
+
         // Load webhooks on page load.
         loadWebhooks();
 
@@ -43,29 +233,33 @@
                     }
                 }
 
+                var sendError = (events ? events.validate() : '') || (sending ? sending.validate() : '');
+                if (sendError) {
+                    alert(sendError);
+                    return;
+                }
+
                 saveBtn.disabled = true;
                 if (spinner) spinner.classList.add('is-active');
 
-                var body = new FormData();
-                body.append('action', 'wpt_webhook_save');
-                body.append('nonce', config.nonce);
-                body.append('id', id);
-                body.append('name', name);
-                body.append('url', url);
-                body.append('event', event);
-                body.append('headers', headers);
-
-                fetch(config.ajaxUrl, { method: 'POST', body: body })
-                    .then(function (res) { return res.json(); })
-                    .then(function (data) {
-                        if (data.success) {
-                            clearForm();
-                            loadWebhooks();
-                        } else {
-                            alert((data.data && data.data.message) || 'Error saving webhook.');
-                        }
+                var data = {
+                    id:      id,
+                    name:    name,
+                    url:     url,
+                    event:   event,
+                    headers: headers
+                };
+                if (events) Object.assign(data, events.values());
+                if (sending) Object.assign(data, sending.values());
+
+                api.post('wpt_webhook_save', data)
+                    .then(function () {
+                        clearForm();
+                        loadWebhooks();
+                    })
+                    .catch(function (err) {
+                        alert(err.code === 'request_failed' ? (err.message || 'Error saving webhook.') : config.i18n.networkError);
                     })
-                    .catch(function () { alert(config.i18n.networkError); })
                     .finally(function () {
                         saveBtn.disabled = false;
                         if (spinner) spinner.classList.remove('is-active');
@@ -87,28 +281,31 @@
             document.getElementById('wpt-webhook-headers').value = '';
             if (editIdEl) editIdEl.value = '0';
             if (cancelBtn) cancelBtn.style.display = 'none';
+            if (events) events.fill(null);
+            if (sending) sending.fill(null);
+            if (window.wpt.mergeTags) wpt.mergeTags.refresh();
         }
 
         function loadWebhooks() {
-            var body = new FormData();
-            body.append('action', 'wpt_webhook_list');
-            body.append('nonce', config.nonce);
-
-            fetch(config.ajaxUrl, { method: 'POST', body: body })
-                .then(function (res) { return res.json(); })
+            api.post('wpt_webhook_list', {}, { retries: 2, key: 'list' })
                 .then(function (data) {
-                    if (data.success) {
-                        renderWebhooks(data.data.webhooks);
-                    }
+                    renderWebhooks(data.webhooks);
                 })
-                .catch(function () {
-                    if (listDiv) listDiv.innerHTML = '<p>' + config.i18n.networkError + '</p>';
+                .catch(function (err) {
+                    if (wpt.api.isAbort(err)) return;
+                    if (listDiv) listDiv.innerHTML = '<p>' + escHtml(err.message || config.i18n.networkError) + '</p>';
                 });
         }
 
+        /** Last listed webhooks by id, for filling the form on edit. */
+        var webhookIndex = {};
+
         function renderWebhooks(webhooks) {
             if (!listDiv) return;
 
+            webhookIndex = {};
+            (webhooks || []).forEach(function (wh) { webhookIndex[wh.id] = wh; });
+
             if (!webhooks || webhooks.length === 0) {
                 listDiv.innerHTML = '<p class="description">' + config.i18n.noWebhooks + '</p>';
                 return;
@@ -123,19 +320,28 @@
                 var isActive    = parseInt(wh.is_active, 10) === 1;
                 var statusClass = isActive ? 'wpt-webhook-status-active' : 'wpt-webhook-status-inactive';
                 var statusText  = isActive ? config.i18n.active : config.i18n.inactive;
-                var eventLabel  = config.events[wh.event] || wh.event;
+                var hooks       = webhookEvents(wh);
+                var filtered    = Object.keys(webhookFilters(wh)).length > 0;
                 var lastStatus  = wh.last_status ? ' (HTTP ' + wh.last_status + ')' : '';
+                var failing     = parseInt(wh.failing, 10) || 0;
 
-                html += '<tr>';
-                html += '<td><strong>' + escHtml(wh.name) + '</strong></td>';
+                html += '<tr data-webhook-id="' + wh.id + '">';
+                html += '<td><strong>' + escHtml(wh.name) + '</strong>' + sendingBadges(wh) + '</td>';
                 html += '<td><code style="font-size: 11px; word-break: break-all;">' + escHtml(wh.url) + '</code></td>';
-                html += '<td>' + escHtml(eventLabel) + '</td>';
-                html += '<td class="' + statusClass + '">' + statusText + '</td>';
+                html += '<td>' + hooks.map(function (hook) { return escHtml(eventLabel(hook)); }).join('<br>');
+                if (filtered) html += ' <span class="wpt-webhook-badge">' + escHtml(t('badgeFiltered', 'Filtered')) + '</span>';
+                html += '</td>';
+                html += '<td class="' + statusClass + '">' + statusText;
+                if (failing > 0) {
+                    html += '<span class="wpt-webhook-failing">' + escHtml(t('failing', '%s failed in a row').replace('%s', failing)) + '</span>';
+                }
+                html += '</td>';
                 html += '<td>' + (wh.last_triggered ? escHtml(wh.last_triggered) + escHtml(lastStatus) : '—') + '</td>';
                 html += '<td class="wpt-webhook-actions">';
                 html += '<button type="button" class="button button-small wpt-wh-edit" data-id="' + wh.id + '" data-name="' + escAttr(wh.name) + '" data-url="' + escAttr(wh.url) + '" data-event="' + escAttr(wh.event) + '" data-headers="' + escAttr(wh.headers || '') + '">Edit</button> ';
                 html += '<button type="button" class="button button-small wpt-wh-toggle" data-id="' + wh.id + '">' + (isActive ? 'Deactivate' : 'Activate') + '</button> ';
                 html += '<button type="button" class="button button-small wpt-wh-test" data-id="' + wh.id + '">Test</button> ';
+                html += '<button type="button" class="button button-small wpt-wh-deliveries" data-id="' + wh.id + '" aria-expanded="false">' + escHtml(t('deliveries', 'Deliveries')) + '</button> ';
                 html += '<button type="button" class="button button-small button-link-delete wpt-wh-delete" data-id="' + wh.id + '">Delete</button>';
                 html += '</td>';
                 html += '</tr>';
@@ -146,6 +352,13 @@
 
             // Bind action buttons.
             bindActions();
+
+            // Re-open the log that was showing before the list reloaded.
+            if (openLog && listDiv.querySelector('tr[data-webhook-id="' + openLog.id + '"]')) {
+                showDeliveries(openLog.id, openLog.status);
+            } else {
+                openLog = null;
+            }
         }
 
         function bindActions() {
@@ -157,7 +370,10 @@
                     document.getElementById('wpt-webhook-url').value     = this.dataset.url;
                     document.getElementById('wpt-webhook-event').value   = this.dataset.event;
                     document.getElementById('wpt-webhook-headers').value = this.dataset.headers;
+                    if (events) events.fill(webhookIndex[this.dataset.id] || null);
+                    if (sending) sending.fill(webhookIndex[this.dataset.id] || null);
                     if (cancelBtn) cancelBtn.style.display = '';
+                    if (window.wpt.mergeTags) wpt.mergeTags.refresh();
                     document.getElementById('wpt-webhook-form').scrollIntoView({ behavior: 'smooth' });
                 });
             });
@@ -168,17 +384,9 @@
                     var id = this.dataset.id;
                     btn.disabled = true;
 
-                    var body = new FormData();
-                    body.append('action', 'wpt_webhook_toggle');
-                    body.append('nonce', config.nonce);
-                    body.append('id', id);
-
-                    fetch(config.ajaxUrl, { method: 'POST', body: body })
-                        .then(function (res) { return res.json(); })
-                        .then(function (data) {
-                            if (data.success) loadWebhooks();
-                        })
-                        .catch(function () { alert(config.i18n.networkError); })
+                    api.post('wpt_webhook_toggle', { id: id })
+                        .then(function () { loadWebhooks(); })
+                        .catch(function (err) { alert(err.message || config.i18n.networkError); })
                         .finally(function () { btn.disabled = false; });
                 });
             });
@@ -192,19 +400,17 @@
                     btn.disabled = true;
                     btn.textContent = config.i18n.testing;
 
-                    var body = new FormData();
-                    body.append('action', 'wpt_webhook_test');
-                    body.append('nonce', config.nonce);
-                    body.append('id', id);
-
-                    fetch(config.ajaxUrl, { method: 'POST', body: body })
-                        .then(function (res) { return res.json(); })
+                    api.post('wpt_webhook_test', { id: id })
                         .then(function (data) {
-                            var msg = (data.data && data.data.message) || 'Done';
-                            alert(msg);
+                            alert((data && data.message) || 'Done');
+                            // The test is logged as a delivery; show it.
+                            if (!openLog || openLog.id !== id) openLog = { id: id, status: '' };
                             loadWebhooks();
                         })
-                        .catch(function () { alert(config.i18n.networkError); })
+                        .catch(function (err) {
+                            alert(err.message || config.i18n.networkError);
+                            if (err.code === 'request_failed') loadWebhooks();
+                        })
                         .finally(function () {
                             btn.disabled = false;
                             btn.textContent = 'Test';
@@ -212,6 +418,20 @@
                 });
             });
 
+            // Delivery log buttons.
+            document.querySelectorAll('.wpt-wh-deliveries').forEach(function (btn) {
+                btn.addEventListener('click', function () {
+                    var id = this.dataset.id;
+
+                    if (openLog && openLog.id === id) {
+                        hideDeliveries();
+                        return;
+                    }
+
+                    showDeliveries(id, '');
+                });
+            });
+
             // Delete buttons.
             document.querySelectorAll('.wpt-wh-delete').forEach(function (btn) {
                 btn.addEventListener('click', function () {
@@ -220,22 +440,736 @@
                     var id = this.dataset.id;
                     btn.disabled = true;
 
-                    var body = new FormData();
-                    body.append('action', 'wpt_webhook_delete');
-                    body.append('nonce', config.nonce);
-                    body.append('id', id);
-
-                    fetch(config.ajaxUrl, { method: 'POST', body: body })
-                        .then(function (res) { return res.json(); })
-                        .then(function (data) {
-                            if (data.success) loadWebhooks();
-                        })
-                        .catch(function () { alert(config.i18n.networkError); })
+                    api.post('wpt_webhook_delete', { id: id })
+                        .then(function () { loadWebhooks(); })
+                        .catch(function (err) { alert(err.message || config.i18n.networkError); })
                         .finally(function () { btn.disabled = false; });
                 });
             });
         }
 
+        // -- Events -------------------------------------------------------
+
+        /**
+         * Replace the single event select with a grouped checklist. The
+         * select stays in the form, hidden, holding the first checked event
+         * so the merge-tag pickers keep offering that event's variables.
+         * Returns values(), validate() and fill(webhook|null).
+         */
+        function buildEventPicker() {
+            if (!eventEl) return null;
+
+            var catalog = eventCatalog();
+            if (!catalog.length) return null;
+
+            var byHook = {};
+            var html   = '<div class="wpt-webhook-events" id="wpt-webhook-events">'
+                + '<input type="search" class="wpt-webhook-event-search" placeholder="' + escAttr(t('searchEvents', 'Filter events…')) + '" aria-label="' + escAttr(t('searchEvents', 'Filter events…')) + '">';
+
+            catalog.forEach(function (group) {
+                html += '<fieldset class="wpt-webhook-event-group"><legend>' + escHtml(group.label) + '</legend>';
+
+                group.events.forEach(function (ev) {
+                    byHook[ev.hook] = ev;
+                    html += '<div class="wpt-webhook-event" data-hook="' + escAttr(ev.hook) + '">'
+                        + '<label><input type="checkbox" class="wpt-webhook-event-cb" value="' + escAttr(ev.hook) + '"> '
+                        + escHtml(ev.label) + ' <code>' + escHtml(ev.hook) + '</code></label>'
+                        + ' <button type="button" class="button-link wpt-webhook-sample-toggle" aria-expanded="false">' + escHtml(t('samplePayload', 'Sample payload')) + '</button>'
+                        + (ev.description ? '<p class="description">' + escHtml(ev.description) + '</p>' : '')
+                        + '<div class="wpt-webhook-event-filters"></div>'
+                        + '<pre class="wpt-webhook-sample" style="display: none;"></pre>'
+                        + '</div>';
+                });
+
+                html += '</fieldset>';
+            });
+
+            html += '</div>';
+
+            eventEl.insertAdjacentHTML('afterend', html);
+            eventEl.style.display = 'none';
+
+            var picker = document.getElementById('wpt-webhook-events');
+            var search = picker.querySelector('.wpt-webhook-event-search');
+
+            function items() {
+                return Array.prototype.slice.call(picker.querySelectorAll('.wpt-webhook-event'));
+            }
+
+            function checked() {
+                return items().filter(function (item) {
+                    return item.querySelector('.wpt-webhook-event-cb').checked;
+                }).map(function (item) { return item.dataset.hook; });
+            }
+
+            /** Filter controls for the subjects an event carries. */
+            function filterFields(hook) {
+                var subjects = eventSubjects(hook);
+                var fields   = '';
+
+                if (subjects.indexOf('post') !== -1) {
+                    fields += selectField('post_types', t('filterPostTypes', 'Post types'), config.postTypes || { post: 'Posts', page: 'Pages' });
+                    fields += selectField('taxonomy', t('filterTaxonomy', 'In taxonomy'), config.taxonomies || { category: 'Categories', post_tag: 'Tags' }, true)
+                        + ' <input type="text" class="wpt-webhook-filter-terms" data-filter="terms" placeholder="' + escAttr(t('termsHint', 'Comma-separated names, slugs or IDs')) + '">';
+                }
+                if (subjects.indexOf('user') !== -1) {
+                    fields += selectField('roles', t('filterRoles', 'User roles'), config.roles || {});
+                }
+
+                return fields;
+            }
+
+            function selectField(key, label, options, single) {
+                var keys = Object.keys(options);
+                if (!keys.length) return '';
+
+                return '<label class="wpt-webhook-filter">' + escHtml(label) + ' '
+                    + '<select data-filter="' + key + '"' + (single ? '' : ' multiple size="' + Math.min(keys.length, 4) + '"') + '>'
+                    + (single ? '<option value="">' + escHtml(t('anyTaxonomy', '— any —')) + '</option>' : '')
+                    + keys.map(function (k) {
+                        return '<option value="' + escAttr(k) + '">' + escHtml(options[k]) + '</option>';
+                    }).join('')
+                    + '</select></label>';
+            }
+
+            /** Show filters under checked events only, keeping what was set. */
+            function syncItem(item, filters) {
+                var on   = item.querySelector('.wpt-webhook-event-cb').checked;
+                var wrap = item.querySelector('.wpt-webhook-event-filters');
+
+                item.classList.toggle('is-checked', on);
+
+                if (!on) {
+                    wrap.innerHTML = '';
+                    return;
+                }
+                if (!wrap.innerHTML) {
+                    var fields = filterFields(item.dataset.hook);
+                    wrap.innerHTML = fields ? '<span class="wpt-webhook-filter-label">' + escHtml(t('onlyWhen', 'Only when:')) + '</span> ' + fields : '';
+                }
+                if (filters) writeFilters(wrap, filters);
+            }
+
+            function readFilters(wrap) {
+                var out = {};
+
+                wrap.querySelectorAll('[data-filter]').forEach(function (el) {
+                    var key = el.dataset.filter;
+                    if (el.multiple) {
+                        var picked = Array.prototype.slice.call(el.options).filter(function (o) { return o.selected; }).map(function (o) { return o.value; });
+                        if (picked.length) out[key] = picked;
+                    } else if (el.value.trim()) {
+                        out[key] = el.value.trim();
+                    }
+                });
+
+                // Terms mean nothing without the taxonomy they belong to.
+                if (!out.taxonomy) delete out.terms;
+                if (!out.terms) delete out.taxonomy;
+
+                return out;
+            }
+
+            function writeFilters(wrap, filters) {
+                wrap.querySelectorAll('[data-filter]').forEach(function (el) {
+                    var value = filters[el.dataset.filter];
+                    if (el.multiple) {
+                        Array.prototype.slice.call(el.options).forEach(function (o) {
+                            o.selected = Array.isArray(value) && value.indexOf(o.value) !== -1;
+                        });
+                    } else {
+                        el.value = value || '';
+                    }
+                });
+            }
+
+            /** Keep the hidden select on the first checked event. */
+            function syncSelect() {
+                var first = checked()[0];
+                if (!first || eventEl.value === first) return;
+
+                var known = Array.prototype.some.call(eventEl.options, function (o) { return o.value === first; });
+                if (!known) {
+                    var option = document.createElement('option');
+                    option.value = first;
+                    option.textContent = eventLabel(first);
+                    eventEl.appendChild(option);
+                }
+                eventEl.value = first;
+                eventEl.dispatchEvent(new Event('change'));
+            }
+
+            picker.addEventListener('change', function (e) {
+                if (!e.target.classList.contains('wpt-webhook-event-cb')) return;
+                syncItem(e.target.closest('.wpt-webhook-event'));
+                syncSelect();
+            });
+
+            picker.addEventListener('click', function (e) {
+                var toggle = e.target.closest('.wpt-webhook-sample-toggle');
+                if (!toggle) return;
+
+                var item = toggle.closest('.wpt-webhook-event');
+                var pre  = item.querySelector('.wpt-webhook-sample');
+                var open = pre.style.display === 'none';
+
+                if (open && !pre.textContent) {
+                    var ev     = byHook[item.dataset.hook];
+                    var sample = ev.sample || (window.wpt.mergeTags ? wpt.mergeTags.exampleContext(ev.hook) : {});
+                    pre.textContent = JSON.stringify(sample, null, 2);
+                }
+
+                pre.style.display = open ? '' : 'none';
+                toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+            });
+
+            search.addEventListener('input', function () {
+                var query = search.value.trim().toLowerCase();
+
+                items().forEach(function (item) {
+                    var text = (item.dataset.hook + ' ' + item.textContent).toLowerCase();
+                    item.style.display = !query || text.indexOf(query) !== -1 ? '' : 'none';
+                });
+
+                picker.querySelectorAll('.wpt-webhook-event-group').forEach(function (group) {
+                    var visible = Array.prototype.some.call(group.querySelectorAll('.wpt-webhook-event'), function (item) {
+                        return item.style.display !== 'none';
+                    });
+                    group.style.display = visible ? '' : 'none';
+                });
+            });
+
+            function fill(wh) {
+                var hooks   = wh ? webhookEvents(wh) : [eventEl.value];
+                var filters = wh ? webhookFilters(wh) : {};
+
+                items().forEach(function (item) {
+                    item.querySelector('.wpt-webhook-event-cb').checked = hooks.indexOf(item.dataset.hook) !== -1;
+                    item.querySelector('.wpt-webhook-event-filters').innerHTML = '';
+                    syncItem(item, filters[item.dataset.hook] || {});
+                });
+
+                search.value = '';
+                search.dispatchEvent(new Event('input'));
+                syncSelect();
+            }
+
+            fill(null);
+
+            return {
+                fill: fill,
+
+                values: function () {
+                    var filters = {};
+
+                    items().forEach(function (item) {
+                        if (!item.querySelector('.wpt-webhook-event-cb').checked) return;
+                        var set = readFilters(item.querySelector('.wpt-webhook-event-filters'));
+                        if (Object.keys(set).length) filters[item.dataset.hook] = set;
+                    });
+
+                    return {
+                        event:   checked()[0],
+                        events:  checked(),
+                        filters: JSON.stringify(filters)
+                    };
+                },
+
+                validate: function () {
+                    return checked().length ? '' : t('eventRequired', 'Choose at least one event.');
+                }
+            };
+        }
+
+        // -- Sending options ----------------------------------------------
+
+        function sendingBadges(wh) {
+            var badges = [];
+            if (wh.format && wh.format !== 'json' && FORMATS[wh.format]) badges.push(FORMATS[wh.format].label);
+            if (wh.auth_type === 'bearer') badges.push(t('badgeBearer', 'Bearer'));
+            if (wh.auth_type === 'basic') badges.push(t('badgeBasic', 'Basic auth'));
+            if (parseInt(wh.sign, 10) === 1) badges.push(t('badgeSigned', 'Signed'));
+
+            return badges.map(function (label) {
+                return ' <span class="wpt-webhook-badge">' + escHtml(label) + '</span>';
+            }).join('');
+        }
+
+        /**
+         * Add the payload, authentication and signing fields under the
+         * headers row and return an API for the save and edit handlers:
+         * values(), validate() and fill(webhook|null).
+         */
+        function buildSendingFields() {
+            var form = document.getElementById('wpt-webhook-form');
+            if (!form || !headersEl) return null;
+
+            var formatOptions = Object.keys(FORMATS).map(function (key) {
+                return '<option value="' + key + '">' + escHtml(FORMATS[key].label) + '</option>';
+            }).join('');
+
+            var typeOptions = CONTENT_TYPES.map(function (type) {
+                return '<option value="' + type + '">' + type + '</option>';
+            }).join('');
+
+            var rows = [
+                ['format', t('payloadFormat', 'Payload format'),
+                    '<select id="wpt-webhook-format">' + formatOptions + '</select>'],
+                ['message', t('chatMessage', 'Message'),
+                    '<textarea id="wpt-webhook-message" rows="2" class="large-text"></textarea>'
+                    + '<p class="description">' + escHtml(t('chatMessageHelp', 'Sent as the message text; supports {{merge.tags}}.')) + '</p>'],
+                ['template', t('bodyTemplate', 'Body template'),
+                    '<textarea id="wpt-webhook-template" rows="6" class="large-text code"></textarea>'
+                    + '<p><label for="wpt-webhook-content-type">' + escHtml(t('contentType', 'Content-Type')) + '</label> '
+                    + '<select id="wpt-webhook-content-type">' + typeOptions + '</select></p>'],
+                ['preview', t('bodyPreview', 'Body preview'),
+                    '<pre class="wpt-webhook-body-preview" id="wpt-webhook-body-preview"></pre>'
+                    + '<p class="wpt-webhook-body-error" id="wpt-webhook-body-error" style="display: none;"></p>'],
+                ['auth', t('authentication', 'Authentication'),
+                    '<select id="wpt-webhook-auth">'
+                    + '<option value="none">' + escHtml(t('authNone', 'None')) + '</option>'
+                    + '<option value="bearer">' + escHtml(t('authBearer', 'Bearer token')) + '</option>'
+                    + '<option value="basic">' + escHtml(t('authBasic', 'Basic auth')) + '</option>'
+                    + '</select>'
+                    + '<span class="wpt-webhook-auth-bearer"> <input type="password" id="wpt-webhook-auth-token" class="regular-text" autocomplete="new-password" aria-label="' + escAttr(t('authToken', 'Token')) + '"></span>'
+                    + '<span class="wpt-webhook-auth-basic"> <input type="text" id="wpt-webhook-auth-user" autocomplete="off" placeholder="' + escAttr(t('authUser', 'Username')) + '">'
+                    + ' <input type="password" id="wpt-webhook-auth-pass" autocomplete="new-password" placeholder="' + escAttr(t('authPass', 'Password')) + '"></span>'],
+                ['sign', t('signing', 'Signing'),
+                    '<label><input type="checkbox" id="wpt-webhook-sign"> ' + escHtml(t('signRequests', 'Sign requests with HMAC-SHA256')) + '</label>'
+                    + '<span class="wpt-webhook-secret-wrap"><br><input type="password" id="wpt-webhook-secret" class="regular-text code" autocomplete="new-password" aria-label="' + escAttr(t('secret', 'Secret')) + '">'
+                    + ' <button type="button" class="button" id="wpt-webhook-secret-generate">' + escHtml(t('generate', 'Generate')) + '</button>'
+                    + ' <button type="button" class="button-link" id="wpt-webhook-secret-reveal">' + escHtml(t('show', 'Show')) + '</button>'
+                    + '<p class="description">' + escHtml(t('signHelp', 'Adds X-WPT-Timestamp and X-WPT-Signature: sha256=HMAC(secret, "timestamp.body") so the receiver can verify the call and reject replays.')) + '</p></span>']
+            ];
+
+            var anchor = headersEl.closest('tr');
+            var after  = anchor || headersEl.parentNode;
+
+            rows.forEach(function (row) {
+                var el;
+                if (anchor) {
+                    el = document.createElement('tr');
+                    el.innerHTML = '<th scope="row"><label for="wpt-webhook-' + row[0] + '">' + escHtml(row[1]) + '</label></th><td>' + row[2] + '</td>';
+                } else {
+                    el = document.createElement('div');
+                    el.className = 'wpt-webhook-field';
+                    el.innerHTML = '<label for="wpt-webhook-' + row[0] + '">' + escHtml(row[1]) + '</label>' + row[2];
+                }
+                el.classList.add('wpt-webhook-row-' + row[0]);
+                after.parentNode.insertBefore(el, after.nextSibling);
+                after = el;
+            });
+
+            var formatEl   = document.getElementById('wpt-webhook-format');
+            var messageEl  = document.getElementById('wpt-webhook-message');
+            var templateEl = document.getElementById('wpt-webhook-template');
+            var typeEl     = document.getElementById('wpt-webhook-content-type');
+            var previewEl  = document.getElementById('wpt-webhook-body-preview');
+            var errorEl    = document.getElementById('wpt-webhook-body-error');
+            var authEl     = document.getElementById('wpt-webhook-auth');
+            var tokenEl    = document.getElementById('wpt-webhook-auth-token');
+            var userEl     = document.getElementById('wpt-webhook-auth-user');
+            var passEl     = document.getElementById('wpt-webhook-auth-pass');
+            var signEl     = document.getElementById('wpt-webhook-sign');
+            var secretEl   = document.getElementById('wpt-webhook-secret');
+
+            /** The webhook being edited, for its write-only secrets. */
+            var current = null;
+
+            if (window.wpt.mergeTags) {
+                [messageEl, templateEl].forEach(function (field) {
+                    wpt.mergeTags.attach(field, {
+                        trigger: function () { return eventEl ? eventEl.value : ''; },
+                        preview: false
+                    });
+                });
+            }
+
+            function show(selector, visible) {
+                form.querySelectorAll(selector).forEach(function (el) {
+                    el.style.display = visible ? '' : 'none';
+                });
+            }
+
+            function sync() {
+                var format = formatEl.value;
+                var auth   = authEl.value;
+
+                show('.wpt-webhook-row-message', !!FORMATS[format].wrap);
+                show('.wpt-webhook-row-template', format === 'custom');
+                show('.wpt-webhook-auth-bearer', auth === 'bearer');
+                show('.wpt-webhook-auth-basic', auth === 'basic');
+                show('.wpt-webhook-secret-wrap', signEl.checked);
+
+                var keep = t('keepSecret', 'Saved — leave blank to keep');
+                tokenEl.placeholder  = current && current.has_auth && current.auth_type === 'bearer' ? keep : t('authToken', 'Token');
+                passEl.placeholder   = current && current.has_auth && current.auth_type === 'basic' ? keep : t('authPass', 'Password');
+                secretEl.placeholder = current && current.has_secret ? keep : '';
+
+                renderPreview();
+            }
+
+            /**
+             * Render the body for the selected event's example values, the
+             * way the server will build it.
+             */
+            function renderPreview() {
+                var trigger = eventEl ? eventEl.value : '';
+                var tags    = window.wpt.mergeTags;
+                var context = tags ? tags.exampleContext(trigger) : {};
+                var format  = FORMATS[formatEl.value];
+                var body;
+
+                errorEl.style.display = 'none';
+
+                if (format.wrap) {
+                    var text = tags ? tags.render(messageEl.value, context) : messageEl.value;
+                    body = JSON.stringify(format.wrap(text), null, 2);
+                } else if (formatEl.value === 'custom') {
+                    body = renderTemplate();
+                    var problem = templateProblem(body);
+                    if (problem) {
+                        errorEl.textContent = problem;
+                        errorEl.style.display = '';
+                    }
+                } else if (formatEl.value === 'form') {
+                    body = formEncode(context);
+                } else {
+                    body = JSON.stringify(context, null, 2);
+                }
+
+                previewEl.textContent = body;
+            }
+
+            function renderTemplate() {
+                var tags = window.wpt.mergeTags;
+                return tags ? tags.render(templateEl.value, tags.exampleContext(eventEl ? eventEl.value : '')) : templateEl.value;
+            }
+
+            /** Why a rendered custom body won't parse as its content type. */
+            function templateProblem(body) {
+                if (typeof body !== 'string' || !body.trim()) return t('templateEmpty', 'The body template is empty.');
+                if (typeEl.value !== 'application/json') return '';
+
+                try {
+                    JSON.parse(body);
+                    return '';
+                } catch (e) {
+                    return t('templateJson', 'The rendered template is not valid JSON:') + ' ' + e.message;
+                }
+            }
+
+            [formatEl, authEl, signEl, typeEl].forEach(function (el) {
+                el.addEventListener('change', sync);
+            });
+            [messageEl, templateEl].forEach(function (el) {
+                el.addEventListener('input', renderPreview);
+            });
+            if (eventEl) eventEl.addEventListener('change', renderPreview);
+
+            // Switching to a custom template starts from the body being sent now.
+            formatEl.addEventListener('change', function () {
+                if (formatEl.value !== 'custom' || templateEl.value.trim()) return;
+
+                templateEl.value = JSON.stringify({ event: '{{trigger.hook}}', site: '{{site.url}}', time: '{{trigger.time}}' }, null, 2);
+                typeEl.value = 'application/json';
+                renderPreview();
+            });
+
+            signEl.addEventListener('change', function () {
+                if (signEl.checked && !secretEl.value && !(current && current.has_secret)) {
+                    secretEl.value = generateSecret();
+                }
+            });
+
+            document.getElementById('wpt-webhook-secret-generate').addEventListener('click', function () {
+                if (current && current.has_secret && !confirm(t('confirmNewSecret', 'Replace the saved secret? The receiver must be given the new one.'))) return;
+                secretEl.value = generateSecret();
+                secretEl.type = 'text';
+                secretEl.select();
+            });
+
+            document.getElementById('wpt-webhook-secret-reveal').addEventListener('click', function () {
+                secretEl.type = secretEl.type === 'password' ? 'text' : 'password';
+            });
+
+            function fill(wh) {
+                current = wh;
+                formatEl.value   = wh && FORMATS[wh.format] ? wh.format : 'json';
+                messageEl.value  = wh && wh.message ? wh.message : DEFAULT_MESSAGE;
+                templateEl.value = wh && wh.template ? wh.template : '';
+                typeEl.value     = wh && wh.content_type ? wh.content_type : CONTENT_TYPES[0];
+                authEl.value     = wh && wh.auth_type ? wh.auth_type : 'none';
+                userEl.value     = wh && wh.auth_user ? wh.auth_user : '';
+                tokenEl.value    = '';
+                passEl.value     = '';
+                signEl.checked   = !!wh && parseInt(wh.sign, 10) === 1;
+                secretEl.value   = '';
+                secretEl.type    = 'password';
+                sync();
+                if (window.wpt.mergeTags) wpt.mergeTags.refresh();
+            }
+
+            fill(null);
+
+            return {
+                fill: fill,
+
+                values: function () {
+                    return {
+                        format:       formatEl.value,
+                        message:      FORMATS[formatEl.value].wrap ? messageEl.value.trim() : '',
+                        template:     formatEl.value === 'custom' ? templateEl.value : '',
+                        content_type: formatEl.value === 'custom' ? typeEl.value : '',
+                        auth_type:    authEl.value,
+                        auth_token:   authEl.value === 'bearer' ? tokenEl.value.trim() : '',
+                        auth_user:    authEl.value === 'basic' ? userEl.value.trim() : '',
+                        auth_pass:    authEl.value === 'basic' ? passEl.value : '',
+                        sign:         signEl.checked,
+                        secret:       signEl.checked ? secretEl.value.trim() : ''
+                    };
+                },
+
+                /** First problem that should stop a save, or ''. */
+                validate: function () {
+                    var format = formatEl.value;
+                    var keeps  = current && current.has_auth && current.auth_type === authEl.value;
+
+                    if (FORMATS[format].wrap && !messageEl.value.trim()) {
+                        return t('messageRequired', 'Enter the message to send.');
+                    }
+                    var problem = format === 'custom' ? templateProblem(renderTemplate()) : '';
+                    if (problem) return problem;
+                    if (authEl.value === 'bearer' && !tokenEl.value.trim() && !keeps) {
+                        return t('tokenRequired', 'Enter the bearer token.');
+                    }
+                    if (authEl.value === 'basic' && (!userEl.value.trim() || (!passEl.value && !keeps))) {
+                        return t('basicRequired', 'Enter the username and password.');
+                    }
+                    if (signEl.checked && !secretEl.value.trim() && !(current && current.has_secret)) {
+                        return t('secretRequired', 'Enter or generate a signing secret.');
+                    }
+                    if (signEl.checked && secretEl.value.trim() && secretEl.value.trim().length < 16) {
+                        return t('secretShort', 'Use a signing secret of at least 16 characters.');
+                    }
+                    return '';
+                }
+            };
+        }
+
+        // -- Delivery log -------------------------------------------------
+
+        /** The webhook whose log is open: { id, status filter }. */
+        var openLog = null;
+
+        if (listDiv) {
+            listDiv.addEventListener('click', onLogClick);
+            listDiv.addEventListener('change', function (e) {
+                if (!e.target.classList.contains('wpt-wh-log-filter') || !openLog) return;
+                showDeliveries(openLog.id, e.target.value);
+            });
+        }
+
+        function hideDeliveries() {
+            var panel = listDiv.querySelector('.wpt-webhook-log-row');
+            if (panel) panel.remove();
+
+            listDiv.querySelectorAll('.wpt-wh-deliveries').forEach(function (btn) {
+                btn.setAttribute('aria-expanded', 'false');
+            });
+
+            api.abort('deliveries');
+            openLog = null;
+        }
+
+        /**
+         * Open the delivery log under a webhook's row and load its first page.
+         */
+        function showDeliveries(id, status) {
+            var row = listDiv.querySelector('tr[data-webhook-id="' + id + '"]');
+            if (!row) return;
+
+            hideDeliveries();
+            openLog = { id: id, status: status || '' };
+
+            var btn = row.querySelector('.wpt-wh-deliveries');
+            if (btn) btn.setAttribute('aria-expanded', 'true');
+
+            var panel = document.createElement('tr');
+            panel.className = 'wpt-webhook-log-row';
+            panel.innerHTML = '<td colspan="6"><div class="wpt-webhook-log">'
+                + '<div class="wpt-webhook-log-head">'
+                + '<strong>' + escHtml(t('deliveryLog', 'Delivery log')) + '</strong>'
+                + '<select class="wpt-wh-log-filter" aria-label="' + escAttr(t('filterStatus', 'Filter by status')) + '">'
+                + '<option value="">' + escHtml(t('allDeliveries', 'All deliveries')) + '</option>'
+                + '<option value="failed">' + escHtml(t('failedOnly', 'Failed and retrying')) + '</option>'
+                + '</select></div>'
+                + '<table class="widefat wpt-webhook-log-table"><thead><tr>'
+                + '<th>' + escHtml(t('when', 'When')) + '</th>'
+                + '<th>' + escHtml(t('event', 'Event')) + '</th>'
+                + '<th>' + escHtml(t('response', 'Response')) + '</th>'
+                + '<th>' + escHtml(t('latency', 'Latency')) + '</th>'
+                + '<th>' + escHtml(t('attempt', 'Attempt')) + '</th>'
+                + '<th></th>'
+                + '</tr></thead><tbody></tbody></table>'
+                + '<p class="wpt-webhook-log-more"></p>'
+                + '</div></td>';
+
+            panel.querySelector('.wpt-wh-log-filter').value = openLog.status;
+            row.parentNode.insertBefore(panel, row.nextSibling);
+
+            loadDeliveries(panel, 1);
+        }
+
+        function loadDeliveries(panel, page) {
+            var tbody = panel.querySelector('tbody');
+            var more  = panel.querySelector('.wpt-webhook-log-more');
+
+            more.innerHTML = '<span class="spinner is-active"></span>';
+
+            api.post('wpt_webhook_deliveries', { id: openLog.id, page: page, status: openLog.status }, { retries: 2, key: 'deliveries' })
+                .then(function (data) {
+                    var deliveries = data.deliveries || [];
+
+                    if (page === 1 && deliveries.length === 0) {
+                        tbody.innerHTML = '<tr><td colspan="6" class="description">' + escHtml(t('noDeliveries', 'No deliveries recorded yet.')) + '</td></tr>';
+                    }
+
+                    deliveries.forEach(function (delivery) {
+                        tbody.insertAdjacentHTML('beforeend', deliveryRow(delivery));
+                    });
+
+                    more.innerHTML = data.page < data.pages
+                        ? '<button type="button" class="button button-small wpt-wh-log-more" data-page="' + (data.page + 1) + '">' + escHtml(t('loadMore', 'Load older deliveries')) + '</button>'
+                        : '';
+                })
+                .catch(function (err) {
+                    if (wpt.api.isAbort(err)) return;
+                    more.textContent = err.message || config.i18n.networkError;
+                });
+        }
+
+        function deliveryRow(d) {
+            var code   = parseInt(d.response_code, 10) || 0;
+            var status = d.status || (code >= 200 && code < 300 ? 'success' : 'failed');
+            var label  = code ? 'HTTP ' + code : (status === 'queued' ? t('queued', 'Queued') : t('noResponse', 'No response'));
+            var html   = '<tr class="wpt-webhook-delivery is-' + escAttr(status) + '" data-delivery-id="' + d.id + '">';
+
+            html += '<td title="' + escAttr(d.created_at) + '">' + escHtml(d.created_ago || d.created_at) + '</td>';
+            html += '<td>' + escHtml(eventLabel(d.event));
+            if (d.replay_of) html += ' <span class="wpt-webhook-replay-note">' + escHtml(t('replayOf', 'replay of #%s').replace('%s', d.replay_of)) + '</span>';
+            html += '</td>';
+            html += '<td><span class="wpt-webhook-code">' + escHtml(label) + '</span>';
+            if (status === 'retrying' && d.next_retry) {
+                html += ' <span class="wpt-webhook-retry-note">' + escHtml(t('nextRetry', 'retrying %s').replace('%s', d.next_retry)) + '</span>';
+            }
+            html += '</td>';
+            html += '<td>' + (d.duration_ms !== null && d.duration_ms !== undefined ? escHtml(formatLatency(d.duration_ms)) : '—') + '</td>';
+            html += '<td>' + escHtml(d.attempt + (d.max_attempts ? ' / ' + d.max_attempts : '')) + '</td>';
+            html += '<td class="wpt-webhook-actions">';
+            html += '<button type="button" class="button-link wpt-wh-log-detail" aria-expanded="false">' + escHtml(t('details', 'Details')) + '</button> ';
+            html += '<button type="button" class="button button-small wpt-wh-replay">' + escHtml(t('replay', 'Replay')) + '</button>';
+            html += '</td></tr>';
+
+            return html;
+        }
+
+        function formatLatency(ms) {
+            ms = parseInt(ms, 10) || 0;
+            return ms >= 1000 ? (ms / 1000).toFixed(2) + ' s' : ms + ' ms';
+        }
+
+        function onLogClick(e) {
+            var more = e.target.closest('.wpt-wh-log-more');
+            if (more) {
+                loadDeliveries(more.closest('.wpt-webhook-log-row'), parseInt(more.dataset.page, 10));
+                return;
+            }
+
+            var detail = e.target.closest('.wpt-wh-log-detail');
+            if (detail) {
+                toggleDetail(detail);
+                return;
+            }
+
+            var replay = e.target.closest('.wpt-wh-replay');
+            if (replay) replayDelivery(replay);
+        }
+
+        /**
+         * Show the request and response of a delivery in a row under it. The
+         * bodies are only fetched when asked for, so the log stays light.
+         */
+        function toggleDetail(btn) {
+            var row  = btn.closest('tr');
+            var next = row.nextElementSibling;
+
+            if (next && next.classList.contains('wpt-webhook-delivery-detail')) {
+                next.remove();
+                btn.setAttribute('aria-expanded', 'false');
+                return;
+            }
+
+            var detail = document.createElement('tr');
+            detail.className = 'wpt-webhook-delivery-detail';
+            detail.innerHTML = '<td colspan="6"><span class="spinner is-active"></span></td>';
+            row.parentNode.insertBefore(detail, row.nextSibling);
+            btn.setAttribute('aria-expanded', 'true');
+
+            api.post('wpt_webhook_delivery', { delivery_id: row.dataset.deliveryId }, { retries: 2 })
+                .then(function (data) {
+                    var d = data.delivery || {};
+                    detail.firstChild.innerHTML = '<div class="wpt-webhook-detail-grid">'
+                        + '<div><h4>' + escHtml(t('request', 'Request')) + '</h4>'
+                        + '<p><code>POST ' + escHtml(d.request_url) + '</code></p>'
+                        + (d.request_headers ? '<pre>' + escHtml(formatBody(d.request_headers)) + '</pre>' : '')
+                        + '<pre>' + escHtml(formatBody(d.request_body)) + '</pre></div>'
+                        + '<div><h4>' + escHtml(t('responseBody', 'Response')) + '</h4>'
+                        + (d.error ? '<p class="wpt-webhook-error">' + escHtml(d.error) + '</p>' : '')
+                        + '<pre>' + escHtml(formatBody(d.response_body) || t('emptyBody', '(empty)')) + '</pre></div>'
+                        + '</div>';
+                })
+                .catch(function (err) {
+                    detail.firstChild.textContent = err.message || config.i18n.networkError;
+                });
+        }
+
+        /** Pretty-print JSON bodies; anything else is shown as sent. */
+        function formatBody(body) {
+            if (body === null || body === undefined) return '';
+            if (typeof body !== 'string') return JSON.stringify(body, null, 2);
+
+            try {
+                return JSON.stringify(JSON.parse(body), null, 2);
+            } catch (e) {
+                return body;
+            }
+        }
+
+        function replayDelivery(btn) {
+            if (!confirm(t('confirmReplay', 'Send this delivery again with the same payload?'))) return;
+
+            var row = btn.closest('tr');
+            btn.disabled = true;
+
+            api.post('wpt_webhook_replay', { delivery_id: row.dataset.deliveryId })
+                .then(function (data) {
+                    var tbody = row.parentNode;
+                    var empty = tbody.querySelector('td.description');
+                    if (empty) empty.parentNode.remove();
+
+                    // Newest first, so the replay goes to the top of the log.
+                    if (data.delivery) tbody.insertAdjacentHTML('afterbegin', deliveryRow(data.delivery));
+                    if (data.message) alert(data.message);
+                })
+                .catch(function (err) {
+                    alert(err.message || config.i18n.networkError);
+                })
+                .finally(function () {
+                    btn.disabled = false;
+                });
+        }
+
         function escHtml(str) {
             if (!str) return '';
             var div = document.createElement('div');
@@ -1,30 +1,103 @@
 /**
  * Workflow Automation -- Rule builder UI with AJAX CRUD.
  *
+ * Rules are a trigger, a condition tree and a list of steps:
+ *
+ *   conditions: { match: 'all'|'any', items: [ {field, op, value} | <group> ] }
+ *   actions:    [ <action> | {type:'delay', amount, unit}
+ *                          | {type:'branch', conditions: <group>, then: [...], else: [...]} ]
+ *
+ * A root group that is a plain AND of leaf rows is still saved as the
+ * legacy flat array, so simple rules stay readable by older engines.
+ *
+ * "Test rule" is a dry run on the server, with the evaluator live runs
+ * use. Nothing is sent or saved:
+ *
+ *   wpt_automation_get_samples { trigger_hook } -> [ {label, payload} ]
+ *   wpt_automation_test_rule   { trigger_hook, conditions, actions,
+ *       payload } -> { outcome: {group, items, passed}, steps: [ actions
+ *       with merge tags rendered, delays, branches with outcome and
+ *       the steps of the arm taken ] }
+ *
+ * Email, webhook and meta value fields take {{merge.tags}} through
+ * wpt.mergeTags when the module enqueues 'wpt-merge-tags'.
+ *
+ * Action types beyond the template's four live in ACTION_LIBRARY. Their
+ * selects read `roles`, `postStatuses`, `taxonomies`, `modules` and
+ * `snippets` from the localized config. The server runs them only while
+ * the user who last saved the rule holds the capability each needs.
+ *
+ * Inbound webhook endpoints are triggers too: a POST to an endpoint's
+ * URL fires the hook `wpt_inbound_<slug>` with the parsed JSON body as
+ * `payload` (plus `inbound.endpoint`, `inbound.ip`, `inbound.received_at`),
+ * so conditions read `payload.customer.email` and templates use
+ * {{payload.customer.email}}. Requests must be signed the way outgoing
+ * webhooks are: `X-WPT-Timestamp` and `X-WPT-Signature: sha256=<hex>`,
+ * the HMAC-SHA256 of "<timestamp>.<raw body>" with the endpoint secret.
+ *
+ *   wpt_automation_inbound_list   {} -> { endpoints: [ {id, slug, name,
+ *       url, received, last_received, sample} ] }
+ *   wpt_automation_inbound_save   { name } -> { endpoint, secret }
+ *   wpt_automation_inbound_rotate { id } -> { secret }
+ *   wpt_automation_inbound_delete { id }
+ *   wpt_automation_inbound_log    { id, page } -> { requests: [ {id,
+ *       received_at, received_ago, ip, status: 'accepted'|'rejected',
+ *       error, rules_run, body} ], page, pages }
+ *
+ * Secrets are only ever returned by save and rotate.
+ *
+ * Rules with the trigger `wpt_schedule` run on a timer instead. They
+ * save a `schedule` (JSON) with wpt_automation_save_rule:
+ *
+ *   { mode: 'interval', every, unit: 'minutes'|'hours', timezone }
+ *   { mode: 'daily', time: 'HH:MM', timezone }
+ *   { mode: 'weekly', time, days: [0-6, 0 = Sunday], timezone }
+ *   { mode: 'cron', cron: 'min hour day month weekday', timezone }
+ *
+ * The engine books each rule's next run as a single cron event,
+ * `wpt_automation_scheduled` with args [rule_id], and names it in the
+ * Cron Manager through the `wpt_cron_event_details` filter. Scheduled
+ * runs see `schedule.run_at`, `schedule.timezone` and `schedule.description`.
+ *
  * @package WPTransformed
  */
 (function () {
     'use strict';
 
     var config = window.wptWorkflowAutomation || {};
+    config.i18n = config.i18n || {};
+
+    /** Maximum nesting of condition groups and if/else branches. */
+    var MAX_DEPTH = config.maxDepth || 3;
+
+    /** Units accepted by delay steps, in display order. */
+    var DELAY_UNITS = ['minutes', 'hours', 'days'];
+
+    /** Action fields that accept {{merge.tags}}. */
+    var MERGE_TAG_FIELDS = '.wpt-action-to, .wpt-action-subject, .wpt-action-body, .wpt-action-url, .wpt-action-payload, .wpt-action-meta-value, [data-merge-tags]';
 
     /**
-     * Make an AJAX POST request.
+     * Where the merge-tag picker gets the trigger and preview payload;
+     * filled in once the editor is on the page.
      */
-    function ajaxPost(action, data) {
-        var formData = new FormData();
-        formData.append('action', action);
-        formData.append('nonce', config.nonce);
-        for (var key in data) {
-            if (data.hasOwnProperty(key)) {
-                formData.append(key, data[key]);
-            }
-        }
-        return fetch(config.ajaxUrl, {
-            method: 'POST',
-            credentials: 'same-origin',
-            body: formData
-        }).then(function (r) { return r.json(); });
+    var mergeTagOptions = {};
+
+    /**
+     * Shared AJAX client. The module localizes its nonce action so
+     * expired nonces can be refreshed.
+     */
+    var api = wpt.api.client({
+        ajaxUrl:     config.ajaxUrl,
+        nonce:       config.nonce,
+        nonceAction: config.nonceAction
+    });
+
+    /**
+     * Localized string with an English fallback for keys older builds
+     * of the module do not localize.
+     */
+    function t(key, fallback) {
+        return config.i18n[key] || fallback;
     }
 
     /**
@@ -35,6 +108,327 @@
         return el ? el.innerHTML : '';
     }
 
+    /**
+     * Build a single element from an HTML string.
+     */
+    function createFromHtml(html) {
+        var wrapper = document.createElement('div');
+        wrapper.innerHTML = html;
+        return wrapper.firstElementChild;
+    }
+
+    /**
+     * Direct children of el carrying the given class.
+     */
+    function childrenWithClass(el, className) {
+        var out = [];
+        for (var i = 0; i < el.children.length; i++) {
+            if (el.children[i].classList.contains(className)) {
+                out.push(el.children[i]);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * First direct child of el carrying the given class.
+     */
+    function childWithClass(el, className) {
+        return childrenWithClass(el, className)[0] || null;
+    }
+
+    /**
+     * Whether a select has an option with this value. Compares values
+     * instead of building a selector, so quotes in the value are safe.
+     */
+    function hasOption(select, value) {
+        return Array.prototype.some.call(select.options, function (o) { return o.value === value; });
+    }
+
+    /**
+     * Copy text, falling back to execCommand where the async clipboard
+     * API is unavailable (plain-HTTP admin), as the command palette does.
+     *
+     * @return {Promise<boolean>}
+     */
+    function copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text).then(function () {
+                return true;
+            }, function () {
+                return false;
+            });
+        }
+
+        var area = document.createElement('textarea');
+        area.value = text;
+        area.setAttribute('readonly', '');
+        area.style.position = 'fixed';
+        area.style.opacity = '0';
+        document.body.appendChild(area);
+        area.select();
+
+        var ok = false;
+        try {
+            ok = document.execCommand('copy');
+        } catch (e) {
+            ok = false;
+        }
+        document.body.removeChild(area);
+
+        return Promise.resolve(ok);
+    }
+
+    // -- Action library --
+
+    /** WordPress's default roles, for sites that do not localize their own. */
+    var DEFAULT_ROLES = {
+        administrator: 'Administrator',
+        editor:        'Editor',
+        author:        'Author',
+        contributor:   'Contributor',
+        subscriber:    'Subscriber'
+    };
+
+    /** Core post statuses, for sites that do not localize their own. */
+    var DEFAULT_STATUSES = {
+        publish: 'Published',
+        draft:   'Draft',
+        pending: 'Pending Review',
+        'private': 'Private',
+        trash:   'Trash'
+    };
+
+    /**
+     * [value, label] pairs from a localized map, or the fallback map.
+     */
+    function optionsFrom(map, fallback) {
+        map = map || fallback || {};
+        return Object.keys(map).map(function (key) { return [key, map[key]]; });
+    }
+
+    /**
+     * Action types beyond the four the rule template ships with. Each
+     * describes its fields once; rendering, reading, the dry-run preview
+     * and the flow view all work from this.
+     *
+     * Field keys: key, label, type ('text', 'textarea', 'number',
+     * 'checkbox'), options (function returning [value, label] pairs; a
+     * select falls back to a text input when it returns none), empty
+     * (label of a leading "no change" option), default, placeholder,
+     * tags (accepts merge tags) and required.
+     */
+    var ACTION_LIBRARY = {
+        change_user_role: {
+            label:   t('actionChangeRole', 'Change User Role'),
+            preview: t('previewChangeRole', "Would change a user's role"),
+            summary: ['mode', 'role'],
+            fields: [
+                { key: 'user', label: t('fieldUser', 'User ID'), 'default': '{{user.id}}', tags: true, required: true },
+                { key: 'mode', label: t('fieldRoleMode', 'Change'), options: function () {
+                    return [
+                        ['set', t('roleSet', 'Replace roles with')],
+                        ['add', t('roleAdd', 'Add role')],
+                        ['remove', t('roleRemove', 'Remove role')]
+                    ];
+                } },
+                { key: 'role', label: t('fieldRole', 'Role'), required: true, options: function () {
+                    return optionsFrom(config.roles, DEFAULT_ROLES);
+                } }
+            ]
+        },
+        update_post: {
+            label:   t('actionUpdatePost', 'Update Post (status, author, terms)'),
+            preview: t('previewUpdatePost', 'Would update a post'),
+            summary: ['status', 'terms'],
+            fields: [
+                { key: 'post', label: t('fieldPost', 'Post ID'), 'default': '{{post.id}}', tags: true, required: true },
+                { key: 'status', label: t('fieldStatus', 'Status'), empty: t('unchanged', '— Unchanged —'), options: function () {
+                    return optionsFrom(config.postStatuses, DEFAULT_STATUSES);
+                } },
+                { key: 'author', label: t('fieldAuthor', 'Author (user ID)'), placeholder: t('blankKeeps', 'Blank keeps the current value'), tags: true },
+                { key: 'taxonomy', label: t('fieldTaxonomy', 'Taxonomy'), empty: t('noTerms', '— No term change —'), options: function () {
+                    return optionsFrom(config.taxonomies, { category: 'Categories', post_tag: 'Tags' });
+                } },
+                { key: 'terms', label: t('fieldTerms', 'Terms'), placeholder: t('termsHint', 'Comma-separated names, slugs or IDs'), tags: true },
+                { key: 'terms_mode', label: t('fieldTermsMode', 'Terms'), options: function () {
+                    return [
+                        ['append', t('termsAppend', 'Add to existing')],
+                        ['replace', t('termsReplace', 'Replace existing')],
+                        ['remove', t('termsRemove', 'Remove')]
+                    ];
+                } }
+            ]
+        },
+        toggle_module: {
+            label:   t('actionToggleModule', 'Toggle WPT Module'),
+            preview: t('previewToggleModule', 'Would switch a WPTransformed module'),
+            summary: ['state', 'module'],
+            fields: [
+                { key: 'module', label: t('fieldModule', 'Module'), required: true, options: function () {
+                    return optionsFrom(config.modules);
+                } },
+                { key: 'state', label: t('fieldState', 'Set to'), options: function () {
+                    return [['on', t('stateOn', 'Active')], ['off', t('stateOff', 'Inactive')]];
+                } }
+            ]
+        },
+        run_snippet: {
+            label:   t('actionRunSnippet', 'Run Code Snippet'),
+            preview: t('previewRunSnippet', 'Would run a Code Snippet'),
+            summary: ['snippet'],
+            fields: [
+                { key: 'snippet', label: t('fieldSnippet', 'Snippet'), required: true, options: function () {
+                    return optionsFrom(config.snippets);
+                } }
+            ]
+        },
+        admin_notice: {
+            label:   t('actionAdminNotice', 'Create Admin Notice'),
+            preview: t('previewAdminNotice', 'Would add a notice to the Notification Center'),
+            summary: ['level', 'message'],
+            fields: [
+                { key: 'level', label: t('fieldLevel', 'Type'), options: function () {
+                    return [
+                        ['info', t('levelInfo', 'Info')],
+                        ['success', t('levelSuccess', 'Success')],
+                        ['warning', t('levelWarning', 'Warning')],
+                        ['error', t('levelError', 'Error')]
+                    ];
+                } },
+                { key: 'audience', label: t('fieldAudience', 'Show to'), options: function () {
+                    return [['trigger_user', t('triggerUser', 'The user who triggered the event')]]
+                        .concat(optionsFrom(config.roles, DEFAULT_ROLES).map(function (role) {
+                            return ['role:' + role[0], role[1]];
+                        }));
+                } },
+                { key: 'message', label: t('fieldMessage', 'Message'), type: 'textarea', tags: true, required: true },
+                { key: 'dismissible', label: t('fieldDismissible', 'Dismissible'), type: 'checkbox', 'default': true }
+            ]
+        },
+        add_redirect: {
+            label:   t('actionAddRedirect', 'Add Redirect'),
+            preview: t('previewAddRedirect', 'Would add a Redirect Manager rule'),
+            summary: ['source_url', 'target_url'],
+            fields: [
+                { key: 'source_url', label: t('fieldSource', 'From'), placeholder: '/old-path', tags: true, required: true },
+                { key: 'target_url', label: t('fieldTarget', 'To'), placeholder: '{{post.url}}', tags: true, required: true },
+                { key: 'redirect_type', label: t('fieldRedirectType', 'Type'), options: function () {
+                    return [['301', '301'], ['302', '302'], ['307', '307']];
+                } }
+            ]
+        },
+        schedule_event: {
+            label:   t('actionScheduleEvent', 'Schedule Cron Event'),
+            preview: t('previewScheduleEvent', 'Would schedule a one-off cron event'),
+            summary: ['hook'],
+            fields: [
+                { key: 'hook', label: t('fieldHook', 'Hook'), placeholder: 'my_plugin_followup', required: true },
+                { key: 'args', label: t('fieldArgs', 'Arguments (JSON array)'), type: 'textarea', placeholder: '["{{post.id}}"]', tags: true },
+                { key: 'delay', label: t('fieldRunIn', 'Run in'), type: 'number', 'default': 1 },
+                { key: 'delay_unit', label: t('fieldUnit', 'Unit'), 'default': 'hours', options: function () {
+                    return DELAY_UNITS.map(function (u) { return [u, t('unit_' + u, u)]; });
+                } }
+            ]
+        }
+    };
+
+    var fieldUid = 0;
+
+    /**
+     * Markup for a library action's fields, filled from saved data.
+     */
+    function libraryFieldsHtml(type, data) {
+        return ACTION_LIBRARY[type].fields.map(function (field) {
+            var id = 'wpt-action-field-' + (++fieldUid);
+            var value = data[field.key] !== undefined
+                ? data[field.key]
+                : (field['default'] !== undefined ? field['default'] : '');
+            var attrs = ' id="' + id + '" class="wpt-action-input" data-key="' + field.key + '"'
+                + (field.tags ? ' data-merge-tags' : '')
+                + (field.placeholder ? ' placeholder="' + escapeAttr(field.placeholder) + '"' : '');
+            var options = field.options ? field.options() : [];
+            var control;
+
+            if (field.type === 'checkbox') {
+                return '<div class="wpt-action-field wpt-action-field-check"><label for="' + id + '">'
+                    + '<input type="checkbox"' + attrs + (value ? ' checked' : '') + '> '
+                    + escapeHtml(field.label) + '</label></div>';
+            }
+
+            if (options.length) {
+                if (field.empty) options = [['', field.empty]].concat(options);
+                control = '<select' + attrs + '>' + options.map(function (option) {
+                    return '<option value="' + escapeAttr(option[0]) + '"' + (String(value) === option[0] ? ' selected' : '') + '>'
+                        + escapeHtml(option[1]) + '</option>';
+                }).join('') + '</select>';
+            } else if (field.type === 'textarea') {
+                control = '<textarea' + attrs + ' rows="3">' + escapeHtml(String(value)) + '</textarea>';
+            } else {
+                control = '<input type="' + (field.type === 'number' ? 'number" min="1' : 'text') + '"' + attrs
+                    + ' value="' + escapeAttr(String(value)) + '">';
+            }
+
+            return '<div class="wpt-action-field' + (field.type === 'textarea' ? ' wpt-action-field-wide' : '') + '">'
+                + '<label for="' + id + '">' + escapeHtml(field.label) + '</label>' + control + '</div>';
+        }).join('');
+    }
+
+    /**
+     * Values of a library action's fields, keyed like the spec.
+     */
+    function readLibraryFields(row, type) {
+        var action = { type: type };
+        ACTION_LIBRARY[type].fields.forEach(function (field) {
+            var input = row.querySelector('.wpt-action-fields [data-key="' + field.key + '"]');
+            if (!input) return;
+            if (field.type === 'checkbox') {
+                action[field.key] = input.checked;
+            } else if (field.type === 'number') {
+                action[field.key] = Math.max(1, parseInt(input.value, 10) || 1);
+            } else {
+                action[field.key] = input.value.trim();
+            }
+        });
+        return action;
+    }
+
+    /**
+     * Labels of required fields a library action leaves empty.
+     */
+    function missingLibraryFields(action) {
+        var spec = ACTION_LIBRARY[action.type];
+        if (!spec) return [];
+        return spec.fields.filter(function (field) {
+            return field.required && String(action[field.key] === undefined ? '' : action[field.key]).trim() === '';
+        }).map(function (field) { return field.label; });
+    }
+
+    /**
+     * Display text for a field value: the option label for selects.
+     */
+    function libraryValueLabel(field, value) {
+        if (field.type === 'checkbox') return value ? t('yes', 'Yes') : t('no', 'No');
+        var options = field.options ? field.options() : [];
+        for (var i = 0; i < options.length; i++) {
+            if (options[i][0] === String(value)) return options[i][1];
+        }
+        return value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Add the library's types to an action row's type select.
+     */
+    function ensureActionTypes(select) {
+        Object.keys(ACTION_LIBRARY).forEach(function (type) {
+            if (select.querySelector('option[value="' + type + '"]')) return;
+            var option = document.createElement('option');
+            option.value = type;
+            option.textContent = ACTION_LIBRARY[type].label;
+            select.appendChild(option);
+        });
+    }
+
     /**
      * Render action-specific fields based on type.
      */
@@ -62,9 +456,19 @@
             case 'clear_caches':
                 html = '<p class="description" style="margin:0;">Clears WordPress object cache and known caching plugin caches.</p>';
                 break;
+            default:
+                if (ACTION_LIBRARY[type]) html = libraryFieldsHtml(type, data);
         }
 
         container.innerHTML = html;
+        container.classList.toggle('wpt-action-fields-grid', !!ACTION_LIBRARY[type]);
+
+        if (window.wpt.mergeTags) {
+            var fields = container.querySelectorAll(MERGE_TAG_FIELDS);
+            for (var i = 0; i < fields.length; i++) {
+                wpt.mergeTags.attach(fields[i], mergeTagOptions);
+            }
+        }
     }
 
     function escapeHtml(str) {
@@ -77,6 +481,387 @@
         return escapeHtml(str).replace(/"/g, '&quot;');
     }
 
+    // -- Rule model --
+
+    /**
+     * Coerce stored conditions (legacy flat array or group) into a group.
+     */
+    function normalizeConditions(conditions) {
+        if (Array.isArray(conditions)) {
+            return { match: 'all', items: conditions };
+        }
+        if (conditions && Array.isArray(conditions.items)) {
+            return {
+                match: conditions.match === 'any' ? 'any' : 'all',
+                items: conditions.items
+            };
+        }
+        return { match: 'all', items: [] };
+    }
+
+    function isGroup(node) {
+        return !!node && Array.isArray(node.items);
+    }
+
+    /**
+     * Serialize the root group, falling back to the legacy flat array
+     * when it is a plain AND of leaf conditions.
+     */
+    function serializeConditions(group) {
+        if (group.match === 'all' && !group.items.some(isGroup)) {
+            return group.items;
+        }
+        return group;
+    }
+
+    /**
+     * Number of real actions (not delays or branches) in a step list.
+     */
+    function countActions(steps) {
+        var count = 0;
+        (steps || []).forEach(function (step) {
+            if (step.type === 'branch') {
+                count += countActions(step.then) + countActions(step['else']);
+            } else if (step.type !== 'delay') {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Human-readable one-line summary of a condition group.
+     */
+    function describeConditions(group, nested) {
+        var joiner = group.match === 'any' ? ' ' + t('or', 'or') + ' ' : ' ' + t('and', 'and') + ' ';
+        var parts = group.items.map(function (item) {
+            return isGroup(item)
+                ? describeConditions(item, true)
+                : item.field + ' ' + item.op + ' ' + (item.value === '' ? '""' : item.value);
+        });
+
+        if (!parts.length) {
+            return t('always', 'Always');
+        }
+        var text = parts.join(joiner);
+        return nested && parts.length > 1 ? '(' + text + ')' : text;
+    }
+
+    // -- Inbound webhooks --
+
+    var INBOUND_PREFIX = 'wpt_inbound_';
+
+    function isInbound(hook) {
+        return String(hook || '').indexOf(INBOUND_PREFIX) === 0;
+    }
+
+    /**
+     * Dotted paths of a payload's leaves as [path, example] pairs, for the
+     * condition field list and the merge-tag picker. Arrays count as leaves.
+     */
+    function payloadPaths(value, prefix, out) {
+        out = out || [];
+        if (out.length >= 200) return out;
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) && prefix.split('.').length < 6) {
+            Object.keys(value).forEach(function (key) {
+                payloadPaths(value[key], prefix + '.' + key, out);
+            });
+        } else {
+            out.push([prefix, value]);
+        }
+        return out;
+    }
+
+    // -- Schedules --
+
+    /** Trigger hook of rules that run on a timer instead of an event. */
+    var SCHEDULE_HOOK = 'wpt_schedule';
+
+    /** Weekday keys in cron order, 0 = Sunday. */
+    var WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    var MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    var CRON_FIELDS = [
+        { name: 'minute', min: 0, max: 59 },
+        { name: 'hour', min: 0, max: 23 },
+        { name: 'day', min: 1, max: 31 },
+        { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+        { name: 'weekday', min: 0, max: 7, names: WEEKDAYS, offset: 0 }
+    ];
+
+    /**
+     * Parse a five-field cron expression into per-field lookup arrays.
+     * Takes *, lists, ranges, steps and jan/sun style names; 7 is Sunday
+     * too. Throws an Error with a readable message on bad input.
+     */
+    function parseCron(expr) {
+        var parts = String(expr || '').trim().split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(t('cronFields', 'A cron expression has five fields: minute hour day month weekday.'));
+        }
+
+        var cron = {};
+        CRON_FIELDS.forEach(function (field, i) {
+            cron[field.name] = parseCronField(parts[i], field);
+        });
+        cron.weekday[0] = cron.weekday[0] || cron.weekday[7];
+
+        // As in Vixie cron, a restricted day and weekday match either one.
+        cron.anyDay = parts[2].charAt(0) === '*';
+        cron.anyWeekday = parts[4].charAt(0) === '*';
+        return cron;
+    }
+
+    function parseCronField(text, field) {
+        var allowed = [];
+
+        text.split(',').forEach(function (part) {
+            var m = /^(?:(\*)|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i.exec(part);
+            if (!m) throw cronError(field, part);
+
+            var lo = m[1] ? field.min : cronValue(m[2], field);
+            var hi = m[1] ? field.max : m[3] ? cronValue(m[3], field) : m[4] ? field.max : lo;
+            var step = m[4] ? parseInt(m[4], 10) : 1;
+            if (isNaN(lo) || isNaN(hi) || lo > hi || step < 1) throw cronError(field, part);
+
+            for (var v = lo; v <= hi; v += step) allowed[v] = true;
+        });
+
+        return allowed;
+    }
+
+    function cronValue(token, field) {
+        var index = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+        if (index !== -1) return index + field.offset;
+
+        var n = /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+        return n >= field.min && n <= field.max ? n : NaN;
+    }
+
+    function cronError(field, part) {
+        return new Error(t('cronInvalid', 'Invalid %1$s "%2$s" in the cron expression.')
+            .replace('%1$s', t('cron_' + field.name, field.name))
+            .replace('%2$s', part));
+    }
+
+    /** "09:30" -> [9, 30]; null when it is not a valid time. */
+    function parseTime(text) {
+        var m = /^(\d{1,2}):(\d{2})$/.exec(String(text || ''));
+        return m && +m[1] < 24 && +m[2] < 60 ? [+m[1], +m[2]] : null;
+    }
+
+    /** Daily and weekly schedules are cron expressions underneath. */
+    function scheduleCron(schedule) {
+        if (schedule.mode === 'cron') return schedule.cron;
+
+        var time = parseTime(schedule.time) || [0, 0];
+        var days = schedule.mode === 'weekly' ? schedule.days.join(',') : '*';
+        return time[1] + ' ' + time[0] + ' * * ' + days;
+    }
+
+    /**
+     * Wall-clock time in a timezone, as a Date whose UTC fields hold the
+     * local values. Takes IANA names and WordPress's manual "UTC+5.5"
+     * offsets; an unknown name throws a RangeError.
+     */
+    function wallClock(timezone, now) {
+        now = now || new Date();
+
+        var offset = /^UTC([+-]\d+(?:\.\d+)?)?$/.exec(timezone || 'UTC');
+        if (offset) {
+            return new Date(now.getTime() + (offset[1] ? parseFloat(offset[1]) * 3600000 : 0));
+        }
+
+        var parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(now).forEach(function (part) {
+            parts[part.type] = parseInt(part.value, 10);
+        });
+
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    }
+
+    /**
+     * The next `count` run times of a schedule after `now`, as wall-clock
+     * Dates in the schedule's timezone (see wallClock). Intervals count
+     * from now, the way WordPress counts them from when the rule is saved.
+     */
+    function nextRuns(schedule, count, now) {
+        var start = wallClock(schedule.timezone, now);
+        var runs = [];
+
+        start.setUTCSeconds(0, 0);
+
+        if (schedule.mode === 'interval') {
+            var step = schedule.every * (schedule.unit === 'hours' ? 3600000 : 60000);
+            for (var i = 1; i <= count; i++) runs.push(new Date(start.getTime() + step * i));
+            return runs;
+        }
+
+        var cron = parseCron(scheduleCron(schedule));
+        var d = new Date(start.getTime() + 60000);
+        // "0 0 29 2 *" only comes round every four years; skipping whole
+        // months and days keeps even a long search cheap.
+        var limit = start.getTime() + 25 * 366 * 86400000;
+
+        while (runs.length < count && d.getTime() < limit) {
+            if (!cron.month[d.getUTCMonth() + 1]) {
+                d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+            } else if (!cronDayMatches(cron, d)) {
+                d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+            } else if (!cron.hour[d.getUTCHours()]) {
+                d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours() + 1));
+            } else {
+                if (cron.minute[d.getUTCMinutes()]) runs.push(d);
+                d = new Date(d.getTime() + 60000);
+            }
+        }
+
+        return runs;
+    }
+
+    function cronDayMatches(cron, d) {
+        var day = !!cron.day[d.getUTCDate()];
+        var weekday = !!cron.weekday[d.getUTCDay()];
+        return cron.anyDay || cron.anyWeekday ? day && weekday : day || weekday;
+    }
+
+    function weekdayLabel(index) {
+        return t('day_' + WEEKDAYS[index], WEEKDAYS[index].charAt(0).toUpperCase() + WEEKDAYS[index].slice(1));
+    }
+
+    /** "Mon 2026-01-19 09:00" for a wall-clock Date. */
+    function formatRun(d) {
+        return weekdayLabel(d.getUTCDay()) + ' ' + d.toISOString().slice(0, 16).replace('T', ' ');
+    }
+
+    /**
+     * One-line summary of a schedule for the flow view.
+     */
+    function describeSchedule(schedule) {
+        var text;
+
+        if (schedule.mode === 'interval') {
+            text = t('scheduleEvery', 'Every %s').replace('%s', schedule.every + ' ' + t('unit_' + schedule.unit, schedule.unit));
+        } else if (schedule.mode === 'daily') {
+            text = t('scheduleDaily', 'Daily at %s').replace('%s', schedule.time);
+        } else if (schedule.mode === 'weekly') {
+            text = t('scheduleWeekly', 'Every %1$s at %2$s')
+                .replace('%1$s', schedule.days.map(weekdayLabel).join(', '))
+                .replace('%2$s', schedule.time);
+        } else {
+            text = t('scheduleCron', 'Cron %s').replace('%s', schedule.cron);
+        }
+
+        return text + ' (' + schedule.timezone + ')';
+    }
+
+    // -- Dry run --
+
+    /**
+     * Build an empty payload with every field the rule's conditions read,
+     * as a starting point for pasting sample data.
+     */
+    function payloadSkeleton(conditions, steps) {
+        var skeleton = {};
+
+        function addField(path) {
+            var keys = path.split('.');
+            var node = skeleton;
+            keys.forEach(function (key, i) {
+                if (i === keys.length - 1) {
+                    if (!(key in node)) node[key] = '';
+                } else {
+                    if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+                    node = node[key];
+                }
+            });
+        }
+
+        function walkGroup(group) {
+            group.items.forEach(function (item) {
+                if (isGroup(item)) walkGroup(item); else addField(item.field);
+            });
+        }
+
+        function walkSteps(list) {
+            list.forEach(function (step) {
+                if (step.type === 'branch') {
+                    walkGroup(step.conditions);
+                    walkSteps(step.then);
+                    walkSteps(step['else']);
+                }
+            });
+        }
+
+        walkGroup(conditions);
+        walkSteps(steps);
+        return skeleton;
+    }
+
+    /**
+     * What an action would do, as a title and labelled fields. The server
+     * has already rendered its merge tags. Nothing is sent.
+     */
+    function previewAction(action) {
+        switch (action.type) {
+            case 'send_email':
+                return {
+                    title:  t('previewEmail', 'Would send an email'),
+                    fields: [
+                        [t('emailTo', 'To'), action.to],
+                        [t('emailSubject', 'Subject'), action.subject],
+                        [t('emailBody', 'Body'), action.body]
+                    ]
+                };
+            case 'send_webhook':
+                return {
+                    title:  t('previewWebhook', 'Would POST to a webhook'),
+                    fields: [
+                        [t('webhookUrl', 'URL'), action.url],
+                        [t('webhookPayload', 'Body'), prettyJson(action.payload)]
+                    ]
+                };
+            case 'set_meta':
+                return {
+                    title:  t('previewMeta', 'Would set a meta value'),
+                    fields: [
+                        [t('metaKey', 'Meta key'), action.meta_key],
+                        [t('metaValue', 'Meta value'), action.meta_value]
+                    ]
+                };
+            case 'clear_caches':
+                return { title: t('previewCaches', 'Would clear the object cache and known caching plugin caches'), fields: [] };
+        }
+
+        var spec = ACTION_LIBRARY[action.type];
+        if (spec) {
+            return {
+                title:  spec.preview,
+                fields: spec.fields.map(function (field) {
+                    var value = libraryValueLabel(field, action[field.key]);
+                    return [field.label, field.key === 'args' ? prettyJson(value) : value];
+                })
+            };
+        }
+        return { title: action.type, fields: [] };
+    }
+
+    /**
+     * Re-indent a JSON string for display; anything else is returned as-is.
+     */
+    function prettyJson(text) {
+        try {
+            return JSON.stringify(JSON.parse(text), null, 2);
+        } catch (e) {
+            return text;
+        }
+    }
+
     document.addEventListener('DOMContentLoaded', function () {
         var editor          = document.getElementById('wpt-automation-editor');
         var editorTitle     = document.getElementById('wpt-automation-editor-title');
@@ -98,6 +883,30 @@
 
         if (!editor) return;
 
+        var canvas      = null;
+        var canvasRefs  = [];
+        var canvasTimer = null;
+        var testPanel   = null;
+        var testRefs    = [];
+        var samples     = {};
+        var inbound     = null;
+        var endpoints   = [];
+        var schedule    = null;
+
+        mergeTagOptions.trigger = function () { return triggerSelect.value; };
+        mergeTagOptions.sample  = testSample;
+
+        if (window.wpt.mergeTags && config.triggerSubjects) {
+            Object.keys(config.triggerSubjects).forEach(function (hook) {
+                wpt.mergeTags.registerTrigger(hook, config.triggerSubjects[hook]);
+            });
+        }
+
+        buildBuilderChrome();
+        buildInboundPanel();
+        buildSchedulePanel();
+        resetEditor();
+
         // Show editor for new rule.
         if (addRuleBtn) {
             addRuleBtn.addEventListener('click', function () {
@@ -115,41 +924,72 @@
             });
         }
 
-        // Add condition row.
+        // Add condition row to the root group.
         if (addConditionBtn) {
             addConditionBtn.addEventListener('click', function () {
-                addConditionRow();
+                addConditionRow(groupItems(rootGroup()));
             });
         }
 
-        // Add action row.
+        // Add action row to the main step list.
         if (addActionBtn) {
             addActionBtn.addEventListener('click', function () {
-                var actionRows = actionsDiv.querySelectorAll('.wpt-automation-action-row');
-                if (actionRows.length >= config.maxActions) {
-                    alert('Maximum ' + config.maxActions + ' actions per rule.');
-                    return;
-                }
-                addActionRow();
+                if (canAddAction()) addActionRow(actionsDiv);
             });
         }
 
-        // Remove row (delegate).
+        // Remove row, group or step (delegate).
         document.addEventListener('click', function (e) {
             if (e.target.classList.contains('wpt-remove-row')) {
-                var row = e.target.closest('.wpt-automation-condition-row, .wpt-automation-action-row');
+                var row = e.target.closest('.wpt-automation-condition-row, .wpt-automation-action-row, .wpt-automation-delay-row, .wpt-automation-branch-row');
                 if (row) row.remove();
+            } else if (e.target.classList.contains('wpt-remove-group')) {
+                var group = e.target.closest('.wpt-cond-group');
+                if (group) group.remove();
+            }
+        });
+
+        // Nested add buttons inside groups and branches (delegate).
+        editor.addEventListener('click', function (e) {
+            var btn = e.target.closest('.wpt-add-condition, .wpt-add-group, .wpt-add-step');
+            if (!btn || !editor.contains(btn)) return;
+
+            if (btn.classList.contains('wpt-add-step')) {
+                var list = btn.closest('.wpt-step-list');
+                addStep(childWithClass(list, 'wpt-step-list-items'), btn.getAttribute('data-step'));
+                return;
+            }
+
+            var group = btn.closest('.wpt-cond-group');
+            if (btn.classList.contains('wpt-add-condition')) {
+                addConditionRow(groupItems(group));
+            } else if (depthOf(group) + 1 >= MAX_DEPTH) {
+                alert(t('maxDepth', 'Groups can only be nested ' + MAX_DEPTH + ' levels deep.'));
+            } else {
+                var child = addGroup(groupItems(group), { match: group.getAttribute('data-match') === 'all' ? 'any' : 'all', items: [] }, false);
+                addConditionRow(groupItems(child));
             }
         });
 
-        // Action type change (delegate).
+        // Action type and group match changes (delegate).
         document.addEventListener('change', function (e) {
             if (e.target.classList.contains('wpt-action-type')) {
                 var row = e.target.closest('.wpt-automation-action-row');
                 if (row) renderActionFields(row, e.target.value);
+            } else if (e.target.classList.contains('wpt-cond-match')) {
+                e.target.closest('.wpt-cond-group').setAttribute('data-match', e.target.value);
             }
         });
 
+        // Keep the flow view in sync with the builder; test marks go stale on edit.
+        ['input', 'change', 'click'].forEach(function (type) {
+            editor.addEventListener(type, function (e) {
+                if (testPanel.contains(e.target)) return;
+                if (canvas && !canvas.contains(e.target)) scheduleCanvas();
+                if (type !== 'click') clearTestMarks();
+            });
+        });
+
         // Save rule.
         if (saveBtn) {
             saveBtn.addEventListener('click', function () {
@@ -159,32 +999,44 @@
                     return;
                 }
 
-                var actions = collectActions();
-                if (actions.length === 0) {
+                var actions = readSteps(actionsDiv);
+                if (countActions(actions) === 0) {
                     alert(config.i18n.noActions);
                     return;
                 }
+                var incomplete = firstIncompleteAction(actions);
+                if (incomplete) {
+                    alert(t('actionIncomplete', 'Fill in the required fields of every action.') + '\n' + incomplete);
+                    return;
+                }
+                if (hasEmptyBranch(actions)) {
+                    alert(t('branchNeedsCondition', 'Every if/else step needs at least one condition.'));
+                    return;
+                }
+                var scheduled = triggerSelect.value === SCHEDULE_HOOK;
+                var scheduleError = scheduled ? validateSchedule(readSchedule()) : '';
+                if (scheduleError) {
+                    alert(scheduleError);
+                    return;
+                }
 
                 saveBtn.disabled = true;
                 if (spinner) spinner.classList.add('is-active');
 
-                ajaxPost('wpt_automation_save_rule', {
+                api.post('wpt_automation_save_rule', {
                     rule_id:      ruleIdInput.value,
                     name:         name,
                     trigger_hook: triggerSelect.value,
-                    conditions:   JSON.stringify(collectConditions()),
-                    actions:      JSON.stringify(actions)
+                    conditions:   JSON.stringify(serializeConditions(readGroup(rootGroup()))),
+                    actions:      JSON.stringify(actions),
+                    schedule:     scheduled ? JSON.stringify(readSchedule()) : ''
                 })
-                .then(function (result) {
-                    if (result.success) {
-                        alert(config.i18n.saved);
-                        window.location.reload();
-                    } else {
-                        alert(result.data && result.data.message ? result.data.message : config.i18n.networkError);
-                    }
+                .then(function () {
+                    alert(config.i18n.saved);
+                    window.location.reload();
                 })
-                .catch(function () {
-                    alert(config.i18n.networkError);
+                .catch(function (err) {
+                    alert(err.message || config.i18n.networkError);
                 })
                 .finally(function () {
                     saveBtn.disabled = false;
@@ -199,17 +1051,13 @@
                 var ruleId = e.target.getAttribute('data-rule-id');
                 e.target.disabled = true;
 
-                ajaxPost('wpt_automation_get_rule', { rule_id: ruleId })
-                    .then(function (result) {
-                        if (result.success) {
-                            loadRuleIntoEditor(result.data);
-                            editor.style.display = '';
-                            if (logView) logView.style.display = 'none';
-                        } else {
-                            alert(result.data && result.data.message ? result.data.message : config.i18n.networkError);
-                        }
+                api.post('wpt_automation_get_rule', { rule_id: ruleId }, { retries: 2 })
+                    .then(function (rule) {
+                        loadRuleIntoEditor(rule);
+                        editor.style.display = '';
+                        if (logView) logView.style.display = 'none';
                     })
-                    .catch(function () { alert(config.i18n.networkError); })
+                    .catch(function (err) { alert(err.message || config.i18n.networkError); })
                     .finally(function () { e.target.disabled = false; });
             }
         });
@@ -222,17 +1070,12 @@
                 var ruleId = e.target.getAttribute('data-rule-id');
                 e.target.disabled = true;
 
-                ajaxPost('wpt_automation_delete_rule', { rule_id: ruleId })
-                    .then(function (result) {
-                        if (result.success) {
-                            window.location.reload();
-                        } else {
-                            alert(result.data && result.data.message ? result.data.message : config.i18n.networkError);
-                            e.target.disabled = false;
-                        }
+                api.post('wpt_automation_delete_rule', { rule_id: ruleId })
+                    .then(function () {
+                        window.location.reload();
                     })
-                    .catch(function () {
-                        alert(config.i18n.networkError);
+                    .catch(function (err) {
+                        alert(err.message || config.i18n.networkError);
                         e.target.disabled = false;
                     });
             }
@@ -247,17 +1090,12 @@
                 var ruleId = btn.getAttribute('data-rule-id');
                 btn.disabled = true;
 
-                ajaxPost('wpt_automation_toggle_rule', { rule_id: ruleId })
-                    .then(function (result) {
-                        if (result.success) {
-                            window.location.reload();
-                        } else {
-                            alert(result.data && result.data.message ? result.data.message : config.i18n.networkError);
-                            btn.disabled = false;
-                        }
+                api.post('wpt_automation_toggle_rule', { rule_id: ruleId })
+                    .then(function () {
+                        window.location.reload();
                     })
-                    .catch(function () {
-                        alert(config.i18n.networkError);
+                    .catch(function (err) {
+                        alert(err.message || config.i18n.networkError);
                         btn.disabled = false;
                     });
             }
@@ -270,12 +1108,12 @@
                 logView.style.display = '';
                 logEntries.innerHTML = '<p>Loading...</p>';
 
-                ajaxPost('wpt_automation_get_log', {})
-                    .then(function (result) {
-                        if (result.success && result.data.length > 0) {
+                api.post('wpt_automation_get_log', {}, { retries: 2 })
+                    .then(function (entries) {
+                        if (entries && entries.length > 0) {
                             var html = '<table class="widefat striped"><thead><tr>'
                                      + '<th>Time</th><th>Rule</th><th>Trigger</th><th>Results</th></tr></thead><tbody>';
-                            result.data.forEach(function (entry) {
+                            entries.forEach(function (entry) {
                                 html += '<tr>';
                                 html += '<td>' + escapeHtml(entry.timestamp) + '</td>';
                                 html += '<td>' + escapeHtml(entry.rule_name) + ' (#' + entry.rule_id + ')</td>';
@@ -310,20 +1148,136 @@
 
         // -- Helper functions --
 
+        /**
+         * Add the branch/delay buttons next to "Add action" and the flow
+         * view toggle under the editor title.
+         */
+        function buildBuilderChrome() {
+            if (addActionBtn) {
+                var after = addActionBtn;
+                [
+                    ['branch', t('addBranch', 'Add If/Else')],
+                    ['delay', t('addDelay', 'Add Delay')]
+                ].forEach(function (def) {
+                    var btn = createFromHtml('<button type="button" class="button wpt-automation-add-' + def[0] + '">' + escapeHtml(def[1]) + '</button>');
+                    btn.addEventListener('click', function () { addStep(actionsDiv, def[0]); });
+                    after.parentNode.insertBefore(btn, after.nextSibling);
+                    after.parentNode.insertBefore(document.createTextNode(' '), btn);
+                    after = btn;
+                });
+            }
+
+            var toggle = createFromHtml('<p class="wpt-automation-view-toggle"><button type="button" class="button" aria-pressed="false">'
+                + '<span class="dashicons dashicons-networking"></span> ' + escapeHtml(t('flowView', 'Flow view')) + '</button></p>');
+            canvas = createFromHtml('<div id="wpt-automation-canvas" class="wpt-automation-canvas" style="display:none;"></div>');
+
+            var anchor = editorTitle && editorTitle.parentNode === editor ? editorTitle.nextSibling : editor.firstChild;
+            editor.insertBefore(toggle, anchor);
+            editor.insertBefore(canvas, toggle.nextSibling);
+
+            toggle.firstElementChild.addEventListener('click', function () {
+                var show = canvas.style.display === 'none';
+                canvas.style.display = show ? '' : 'none';
+                this.setAttribute('aria-pressed', show ? 'true' : 'false');
+                if (show) renderCanvas();
+            });
+
+            canvas.addEventListener('click', function (e) {
+                var node = e.target.closest('[data-ref]');
+                if (node) focusRef(parseInt(node.getAttribute('data-ref'), 10));
+            });
+
+            canvas.addEventListener('keydown', function (e) {
+                var node = e.target.closest('[data-ref]');
+                if (node && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    focusRef(parseInt(node.getAttribute('data-ref'), 10));
+                }
+            });
+
+            buildTestPanel();
+        }
+
         function resetEditor() {
             ruleIdInput.value = '0';
             nameInput.value = '';
             triggerSelect.selectedIndex = 0;
             conditionsDiv.innerHTML = '';
             actionsDiv.innerHTML = '';
+            addGroup(conditionsDiv, { match: 'all', items: [] }, true);
+            fillSchedule(null);
+            scheduleCanvas();
+            closeTestPanel();
+        }
+
+        function rootGroup() {
+            return childWithClass(conditionsDiv, 'wpt-cond-group');
+        }
+
+        function groupItems(group) {
+            return childWithClass(group, 'wpt-cond-group-items');
+        }
+
+        /**
+         * Nesting level of a condition group or step list element,
+         * counting enclosing groups and branches.
+         */
+        function depthOf(el) {
+            var depth = 0;
+            var node = el.parentNode;
+            while (node && node !== editor) {
+                if (node.classList && (node.classList.contains('wpt-cond-group') || node.classList.contains('wpt-automation-branch-row'))) {
+                    depth++;
+                }
+                node = node.parentNode;
+            }
+            return depth;
+        }
+
+        function canAddAction() {
+            var actionRows = actionsDiv.querySelectorAll('.wpt-automation-action-row');
+            if (config.maxActions && actionRows.length >= config.maxActions) {
+                alert('Maximum ' + config.maxActions + ' actions per rule.');
+                return false;
+            }
+            return true;
+        }
+
+        /**
+         * Append a condition group to container and fill it from data.
+         */
+        function addGroup(container, data, isRoot) {
+            var match = data.match === 'any' ? 'any' : 'all';
+            var group = createFromHtml('<div class="wpt-cond-group" data-match="' + match + '">'
+                + '<div class="wpt-cond-group-head">'
+                + '<select class="wpt-cond-match">'
+                + '<option value="all"' + (match === 'all' ? ' selected' : '') + '>' + escapeHtml(t('matchAll', 'All of')) + '</option>'
+                + '<option value="any"' + (match === 'any' ? ' selected' : '') + '>' + escapeHtml(t('matchAny', 'Any of')) + '</option>'
+                + '</select> '
+                + '<span class="wpt-cond-group-label">' + escapeHtml(t('theseConditions', 'these conditions')) + '</span>'
+                + '<button type="button" class="button-link wpt-add-condition">+ ' + escapeHtml(t('condition', 'Condition')) + '</button>'
+                + '<button type="button" class="button-link wpt-add-group">+ ' + escapeHtml(t('group', 'Group')) + '</button>'
+                + (isRoot ? '' : '<button type="button" class="button-link wpt-remove-group" aria-label="' + escapeAttr(t('removeGroup', 'Remove group')) + '">&times;</button>')
+                + '</div>'
+                + '<div class="wpt-cond-group-items"></div>'
+                + '</div>');
+            container.appendChild(group);
+
+            var items = groupItems(group);
+            (data.items || []).forEach(function (item) {
+                if (isGroup(item)) {
+                    addGroup(items, item, false);
+                } else {
+                    addConditionRow(items, item);
+                }
+            });
+            return group;
         }
 
-        function addConditionRow(data) {
-            var html = getTemplate('wpt-tmpl-condition-row');
-            var wrapper = document.createElement('div');
-            wrapper.innerHTML = html;
-            var row = wrapper.firstElementChild;
-            conditionsDiv.appendChild(row);
+        function addConditionRow(container, data) {
+            var row = createFromHtml(getTemplate('wpt-tmpl-condition-row'));
+            container.appendChild(row);
+            row.querySelector('.wpt-cond-field').setAttribute('list', 'wpt-automation-field-list');
 
             if (data) {
                 row.querySelector('.wpt-cond-field').value = data.field || '';
@@ -332,60 +1286,210 @@
             }
         }
 
-        function addActionRow(data) {
-            var html = getTemplate('wpt-tmpl-action-row');
-            var wrapper = document.createElement('div');
-            wrapper.innerHTML = html;
-            var row = wrapper.firstElementChild;
-            actionsDiv.appendChild(row);
+        /**
+         * Append a step of the given kind ('action', 'branch', 'delay').
+         */
+        function addStep(container, kind, data) {
+            if (kind === 'branch') {
+                if (depthOf(container) + 1 >= MAX_DEPTH) {
+                    alert(t('maxDepth', 'Groups can only be nested ' + MAX_DEPTH + ' levels deep.'));
+                    return;
+                }
+                addBranchRow(container, data);
+            } else if (kind === 'delay') {
+                addDelayRow(container, data);
+            } else if (data || canAddAction()) {
+                addActionRow(container, data);
+            }
+        }
+
+        function addActionRow(container, data) {
+            var row = createFromHtml(getTemplate('wpt-tmpl-action-row'));
+            container.appendChild(row);
 
             var type = (data && data.type) ? data.type : 'send_email';
+            ensureActionTypes(row.querySelector('.wpt-action-type'));
             row.querySelector('.wpt-action-type').value = type;
             renderActionFields(row, type, data);
         }
 
-        function collectConditions() {
-            var rows = conditionsDiv.querySelectorAll('.wpt-automation-condition-row');
-            var conditions = [];
-            for (var i = 0; i < rows.length; i++) {
-                var field = rows[i].querySelector('.wpt-cond-field').value.trim();
-                var op    = rows[i].querySelector('.wpt-cond-op').value;
-                var value = rows[i].querySelector('.wpt-cond-value').value.trim();
-                if (field) {
-                    conditions.push({ field: field, op: op, value: value });
+        function addDelayRow(container, data) {
+            data = data || {};
+            var unit = DELAY_UNITS.indexOf(data.unit) !== -1 ? data.unit : 'hours';
+            var options = DELAY_UNITS.map(function (u) {
+                return '<option value="' + u + '"' + (u === unit ? ' selected' : '') + '>' + escapeHtml(t('unit_' + u, u)) + '</option>';
+            }).join('');
+
+            container.appendChild(createFromHtml('<div class="wpt-automation-delay-row">'
+                + '<span class="dashicons dashicons-clock"></span> '
+                + '<label>' + escapeHtml(t('wait', 'Wait')) + ' '
+                + '<input type="number" class="wpt-delay-amount small-text" min="1" value="' + escapeAttr(String(data.amount || 1)) + '"></label> '
+                + '<select class="wpt-delay-unit">' + options + '</select> '
+                + '<button type="button" class="button-link wpt-remove-row" aria-label="' + escapeAttr(t('removeStep', 'Remove step')) + '">&times;</button>'
+                + '</div>'));
+        }
+
+        function addBranchRow(container, data) {
+            data = data || {};
+            var row = createFromHtml('<div class="wpt-automation-branch-row">'
+                + '<div class="wpt-branch-head"><strong>' + escapeHtml(t('if', 'If')) + '</strong>'
+                + '<button type="button" class="button-link wpt-remove-row" aria-label="' + escapeAttr(t('removeStep', 'Remove step')) + '">&times;</button></div>'
+                + '<div class="wpt-branch-conditions"></div>'
+                + stepListHtml('then', t('then', 'Then'))
+                + stepListHtml('else', t('else', 'Otherwise'))
+                + '</div>');
+            container.appendChild(row);
+
+            var group = addGroup(childWithClass(row, 'wpt-branch-conditions'), normalizeConditions(data.conditions), true);
+            if (!data.conditions) addConditionRow(groupItems(group));
+
+            loadSteps(branchItems(row, 'then'), data.then || []);
+            loadSteps(branchItems(row, 'else'), data['else'] || []);
+        }
+
+        function stepListHtml(arm, label) {
+            return '<div class="wpt-step-list" data-arm="' + arm + '">'
+                + '<div class="wpt-step-list-label">' + escapeHtml(label) + '</div>'
+                + '<div class="wpt-step-list-items"></div>'
+                + '<div class="wpt-step-list-add">'
+                + '<button type="button" class="button-link wpt-add-step" data-step="action">+ ' + escapeHtml(t('action', 'Action')) + '</button>'
+                + '<button type="button" class="button-link wpt-add-step" data-step="branch">+ ' + escapeHtml(t('branch', 'If/Else')) + '</button>'
+                + '<button type="button" class="button-link wpt-add-step" data-step="delay">+ ' + escapeHtml(t('delay', 'Delay')) + '</button>'
+                + '</div></div>';
+        }
+
+        function branchItems(row, arm) {
+            var lists = childrenWithClass(row, 'wpt-step-list');
+            for (var i = 0; i < lists.length; i++) {
+                if (lists[i].getAttribute('data-arm') === arm) {
+                    return childWithClass(lists[i], 'wpt-step-list-items');
+                }
+            }
+            return null;
+        }
+
+        function loadSteps(container, steps) {
+            steps.forEach(function (step) {
+                var kind = step.type === 'branch' || step.type === 'delay' ? step.type : 'action';
+                addStep(container, kind, step);
+            });
+        }
+
+        /**
+         * Read a condition group element. Empty rows and groups are dropped.
+         * When refs is given, groups and rows record their element index.
+         */
+        function readGroup(group, refs) {
+            var node = { match: group.getAttribute('data-match') === 'any' ? 'any' : 'all', items: [] };
+            var children = groupItems(group).children;
+
+            for (var i = 0; i < children.length; i++) {
+                var el = children[i];
+                if (el.classList.contains('wpt-cond-group')) {
+                    var child = readGroup(el, refs);
+                    if (child.items.length) node.items.push(child);
+                } else if (el.classList.contains('wpt-automation-condition-row')) {
+                    var field = el.querySelector('.wpt-cond-field').value.trim();
+                    if (field) {
+                        var leaf = {
+                            field: field,
+                            op:    el.querySelector('.wpt-cond-op').value,
+                            value: el.querySelector('.wpt-cond-value').value.trim()
+                        };
+                        if (refs) leaf.ref = refs.push(el) - 1;
+                        node.items.push(leaf);
+                    }
                 }
             }
-            return conditions;
-        }
-
-        function collectActions() {
-            var rows = actionsDiv.querySelectorAll('.wpt-automation-action-row');
-            var actions = [];
-            for (var i = 0; i < rows.length; i++) {
-                var type = rows[i].querySelector('.wpt-action-type').value;
-                var action = { type: type };
-
-                switch (type) {
-                    case 'send_email':
-                        action.to      = (rows[i].querySelector('.wpt-action-to') || {}).value || '';
-                        action.subject = (rows[i].querySelector('.wpt-action-subject') || {}).value || '';
-                        action.body    = (rows[i].querySelector('.wpt-action-body') || {}).value || '';
-                        break;
-                    case 'send_webhook':
-                        action.url     = (rows[i].querySelector('.wpt-action-url') || {}).value || '';
-                        action.payload = (rows[i].querySelector('.wpt-action-payload') || {}).value || '';
-                        break;
-                    case 'set_meta':
-                        action.meta_key   = (rows[i].querySelector('.wpt-action-meta-key') || {}).value || '';
-                        action.meta_value = (rows[i].querySelector('.wpt-action-meta-value') || {}).value || '';
-                        break;
-                    case 'clear_caches':
-                        break;
+
+            if (refs) node.ref = refs.push(group) - 1;
+            return node;
+        }
+
+        /**
+         * Read the steps directly inside container. When refs is given,
+         * each step records the index of its element for the flow view.
+         */
+        function readSteps(container, refs) {
+            var steps = [];
+            for (var i = 0; i < container.children.length; i++) {
+                var el = container.children[i];
+                var step = null;
+
+                if (el.classList.contains('wpt-automation-action-row')) {
+                    step = readAction(el);
+                } else if (el.classList.contains('wpt-automation-delay-row')) {
+                    step = {
+                        type:   'delay',
+                        amount: Math.max(1, parseInt(el.querySelector('.wpt-delay-amount').value, 10) || 1),
+                        unit:   el.querySelector('.wpt-delay-unit').value
+                    };
+                } else if (el.classList.contains('wpt-automation-branch-row')) {
+                    step = {
+                        type:       'branch',
+                        conditions: readGroup(childWithClass(childWithClass(el, 'wpt-branch-conditions'), 'wpt-cond-group'), refs),
+                        then:       readSteps(branchItems(el, 'then'), refs),
+                        'else':     readSteps(branchItems(el, 'else'), refs)
+                    };
                 }
 
-                actions.push(action);
+                if (step) {
+                    if (refs) step.ref = refs.push(el) - 1;
+                    steps.push(step);
+                }
+            }
+            return steps;
+        }
+
+        function readAction(row) {
+            var type = row.querySelector('.wpt-action-type').value;
+            var action = { type: type };
+
+            switch (type) {
+                case 'send_email':
+                    action.to      = (row.querySelector('.wpt-action-to') || {}).value || '';
+                    action.subject = (row.querySelector('.wpt-action-subject') || {}).value || '';
+                    action.body    = (row.querySelector('.wpt-action-body') || {}).value || '';
+                    break;
+                case 'send_webhook':
+                    action.url     = (row.querySelector('.wpt-action-url') || {}).value || '';
+                    action.payload = (row.querySelector('.wpt-action-payload') || {}).value || '';
+                    break;
+                case 'set_meta':
+                    action.meta_key   = (row.querySelector('.wpt-action-meta-key') || {}).value || '';
+                    action.meta_value = (row.querySelector('.wpt-action-meta-value') || {}).value || '';
+                    break;
+                case 'clear_caches':
+                    break;
+                default:
+                    if (ACTION_LIBRARY[type]) action = readLibraryFields(row, type);
             }
-            return actions;
+
+            return action;
+        }
+
+        /**
+         * "Action: Field, Field" for the first action missing required
+         * values, or an empty string.
+         */
+        function firstIncompleteAction(steps) {
+            for (var i = 0; i < steps.length; i++) {
+                var step = steps[i];
+                var found = step.type === 'branch'
+                    ? firstIncompleteAction(step.then) || firstIncompleteAction(step['else'])
+                    : '';
+                var missing = missingLibraryFields(step);
+                if (missing.length) found = ACTION_LIBRARY[step.type].label + ': ' + missing.join(', ');
+                if (found) return found;
+            }
+            return '';
+        }
+
+        function hasEmptyBranch(steps) {
+            return steps.some(function (step) {
+                return step.type === 'branch'
+                    && (!step.conditions.items.length || hasEmptyBranch(step.then) || hasEmptyBranch(step['else']));
+            });
         }
 
         function loadRuleIntoEditor(rule) {
@@ -393,14 +1497,910 @@
             editorTitle.textContent = config.i18n.editRule;
             ruleIdInput.value = rule.id || '0';
             nameInput.value = rule.name || '';
+            ensureTriggerOption(rule.trigger_hook || '');
             triggerSelect.value = rule.trigger_hook || '';
+            fillSchedule(typeof rule.schedule === 'string' && rule.schedule ? JSON.parse(rule.schedule) : rule.schedule);
+
+            conditionsDiv.innerHTML = '';
+            addGroup(conditionsDiv, normalizeConditions(rule.conditions), true);
+            loadSteps(actionsDiv, rule.actions || []);
+            scheduleCanvas();
+        }
+
+        // -- Test mode --
+
+        /**
+         * "Test rule" button next to Save and the dry-run panel.
+         */
+        function buildTestPanel() {
+            testPanel = createFromHtml('<div id="wpt-automation-test" class="wpt-automation-test" style="display:none;">'
+                + '<h3>' + escapeHtml(t('testRule', 'Test rule')) + '</h3>'
+                + '<p class="description">' + escapeHtml(t('testIntro', 'Dry run: conditions are checked against the sample payload and actions are previewed. Nothing is sent or saved.')) + '</p>'
+                + '<p><label for="wpt-automation-test-sample">' + escapeHtml(t('samplePayload', 'Sample payload')) + '</label> '
+                + '<select id="wpt-automation-test-sample"></select> '
+                + '<span class="wpt-automation-test-status description"></span></p>'
+                + '<textarea id="wpt-automation-test-payload" class="large-text code" rows="8" spellcheck="false"></textarea>'
+                + '<p><button type="button" class="button button-primary" id="wpt-automation-test-run">' + escapeHtml(t('runTest', 'Run test')) + '</button> '
+                + '<button type="button" class="button" id="wpt-automation-test-close">' + escapeHtml(t('close', 'Close')) + '</button></p>'
+                + '<div id="wpt-automation-test-results" aria-live="polite"></div>'
+                + '</div>');
+            editor.appendChild(testPanel);
+
+            if (saveBtn) {
+                var testBtn = createFromHtml('<button type="button" class="button" id="wpt-automation-test-rule">' + escapeHtml(t('testRule', 'Test rule')) + '</button>');
+                saveBtn.parentNode.insertBefore(testBtn, saveBtn.nextSibling);
+                saveBtn.parentNode.insertBefore(document.createTextNode(' '), testBtn);
+                testBtn.addEventListener('click', openTestPanel);
+            }
+
+            testPanel.querySelector('#wpt-automation-test-sample').addEventListener('change', function () {
+                fillSample(this.value);
+            });
+            testPanel.querySelector('#wpt-automation-test-run').addEventListener('click', runTest);
+
+            // Previews follow the sample being edited.
+            testPanel.querySelector('#wpt-automation-test-payload').addEventListener('input', refreshMergeTags);
+
+            // A different trigger exposes different variables and payloads.
+            triggerSelect.addEventListener('change', function () {
+                refreshMergeTags();
+                if (testPanel.style.display === 'none') return;
+                testPanel.querySelector('#wpt-automation-test-payload').value = '';
+                testPanel.querySelector('#wpt-automation-test-results').innerHTML = '';
+                openTestPanel();
+            });
+            testPanel.querySelector('#wpt-automation-test-close').addEventListener('click', closeTestPanel);
+        }
+
+        /**
+         * Show the panel and load recent items for the current trigger.
+         * Samples are cached per trigger for the page's lifetime.
+         */
+        function openTestPanel() {
+            var trigger = triggerSelect.value;
+            var select = testPanel.querySelector('#wpt-automation-test-sample');
+            var status = testPanel.querySelector('.wpt-automation-test-status');
+
+            testPanel.style.display = '';
+            testPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+
+            if (samples[trigger]) {
+                renderSampleOptions(samples[trigger]);
+                return;
+            }
+
+            status.textContent = t('loadingSamples', 'Loading recent items...');
+            select.disabled = true;
+
+            api.post('wpt_automation_get_samples', { trigger_hook: trigger }, { retries: 2 })
+                .then(function (list) {
+                    samples[trigger] = Array.isArray(list) ? list : [];
+                    renderSampleOptions(samples[trigger]);
+                    status.textContent = '';
+                })
+                .catch(function () {
+                    renderSampleOptions([]);
+                    status.textContent = t('samplesFailed', 'Recent items could not be loaded. Paste a payload instead.');
+                })
+                .finally(function () {
+                    select.disabled = false;
+                });
+        }
+
+        function closeTestPanel() {
+            if (!testPanel) return;
+            testPanel.style.display = 'none';
+            testPanel.querySelector('#wpt-automation-test-results').innerHTML = '';
+            clearTestMarks();
+            refreshMergeTags();
+        }
+
+        /**
+         * Options: a skeleton built from the rule's fields, then any
+         * recent items the server offered for this trigger.
+         */
+        function renderSampleOptions(list) {
+            var select = testPanel.querySelector('#wpt-automation-test-sample');
+            var html = '<option value="skeleton">' + escapeHtml(t('sampleSkeleton', 'Blank payload from rule fields')) + '</option>';
+            list.forEach(function (sample, i) {
+                html += '<option value="' + i + '">' + escapeHtml(sample.label) + '</option>';
+            });
+            select.innerHTML = html;
+
+            var payload = testPanel.querySelector('#wpt-automation-test-payload');
+            if (!payload.value.trim()) {
+                select.value = list.length ? '0' : 'skeleton';
+                fillSample(select.value);
+            }
+        }
+
+        function fillSample(value) {
+            var payload = testPanel.querySelector('#wpt-automation-test-payload');
+            var list = samples[triggerSelect.value] || [];
+            var data = value === 'skeleton' || !list[value]
+                ? payloadSkeleton(readGroup(rootGroup()), readSteps(actionsDiv))
+                : list[value].payload;
+            payload.value = JSON.stringify(data, null, 2);
+            refreshMergeTags();
+        }
+
+        /**
+         * The test panel's payload, when it is open and holds valid JSON,
+         * for merge-tag previews. Null falls back to example values.
+         */
+        function testSample() {
+            if (!testPanel || testPanel.style.display === 'none') return null;
+            try {
+                var data = JSON.parse(testPanel.querySelector('#wpt-automation-test-payload').value);
+                return data && typeof data === 'object' ? data : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        function refreshMergeTags() {
+            if (window.wpt.mergeTags) wpt.mergeTags.refresh();
+        }
+
+        /**
+         * Send the rule as it stands in the builder and the pasted payload
+         * to the server, which evaluates them with the live rule engine,
+         * then mark each condition row and list what would happen.
+         */
+        function runTest() {
+            var results = testPanel.querySelector('#wpt-automation-test-results');
+            var runBtn = testPanel.querySelector('#wpt-automation-test-run');
+            var text = testPanel.querySelector('#wpt-automation-test-payload').value || '{}';
+
+            try {
+                JSON.parse(text);
+            } catch (e) {
+                results.innerHTML = '<div class="notice notice-error inline"><p>' + escapeHtml(t('invalidPayload', 'The sample payload is not valid JSON.')) + ' ' + escapeHtml(e.message) + '</p></div>';
+                return;
+            }
+
+            clearTestMarks();
+            testRefs = [];
+            runBtn.disabled = true;
+
+            api.post('wpt_automation_test_rule', {
+                trigger_hook: triggerSelect.value,
+                conditions:   JSON.stringify(readGroup(rootGroup(), testRefs)),
+                actions:      JSON.stringify(readSteps(actionsDiv, testRefs)),
+                payload:      text
+            })
+                .then(function (data) {
+                    var html = '<div class="wpt-test-summary ' + (data.outcome.passed ? 'wpt-test-pass' : 'wpt-test-fail') + '">'
+                        + escapeHtml(data.outcome.passed
+                            ? t('testWouldRun', 'The rule would run for this payload.')
+                            : t('testWouldSkip', 'The rule would not run: its conditions do not match.'))
+                        + '</div>'
+                        + '<h4>' + escapeHtml(t('conditions', 'Conditions')) + '</h4>'
+                        + conditionResultsHtml(data.outcome);
+
+                    if (data.outcome.passed) {
+                        html += '<h4>' + escapeHtml(t('steps', 'Steps')) + '</h4>' + stepResultsHtml(data.steps);
+                    }
+
+                    results.innerHTML = html;
+                })
+                .catch(function (err) {
+                    results.innerHTML = '<div class="notice notice-error inline"><p>' + escapeHtml(err.message || config.i18n.networkError) + '</p></div>';
+                })
+                .finally(function () {
+                    runBtn.disabled = false;
+                });
+        }
+
+        function conditionResultsHtml(outcome) {
+            if (!outcome.items.length) {
+                return '<p class="description">' + escapeHtml(t('noConditions', 'No conditions; the rule always runs.')) + '</p>';
+            }
+
+            var html = '<ul class="wpt-test-conditions">'
+                + '<li class="wpt-test-group">' + escapeHtml(outcome.group.match === 'any' ? t('matchAny', 'Any of') : t('matchAll', 'All of')) + '</li>';
+
+            outcome.items.forEach(function (result) {
+                if (result.group) {
+                    markRef(result.group.ref, result.passed);
+                    html += '<li>' + conditionResultsHtml(result) + '</li>';
+                    return;
+                }
+
+                var c = result.condition;
+                markRef(c.ref, result.passed);
+                html += '<li class="' + resultClass(result.passed) + '">'
+                    + resultIcon(result.passed) + ' <code>' + escapeHtml(c.field + ' ' + c.op + ' ' + c.value) + '</code> '
+                    + '<span class="description">' + escapeHtml(result.passed === null
+                        ? t('unsupportedOp', 'unknown operator')
+                        : t('actual', 'actual:') + ' ' + formatActual(result.actual)) + '</span>'
+                    + '</li>';
+            });
+
+            return html + '</ul>';
+        }
+
+        /**
+         * Steps as the server traced them: branches carry their outcome
+         * and the steps of the arm taken.
+         */
+        function stepResultsHtml(steps) {
+            if (!steps.length) {
+                return '<p class="description">' + escapeHtml(t('noSteps', 'No steps')) + '</p>';
+            }
+
+            return '<ol class="wpt-test-steps">' + steps.map(function (step) {
+                if (step.type === 'delay') {
+                    return '<li><span class="dashicons dashicons-clock"></span> '
+                        + escapeHtml(t('wouldWait', 'Would wait') + ' ' + step.amount + ' ' + t('unit_' + step.unit, step.unit)) + '</li>';
+                }
+
+                if (step.type === 'branch') {
+                    return '<li><strong>' + escapeHtml(t('if', 'If')) + '</strong> '
+                        + escapeHtml(describeConditions(step.conditions)) + ' &rarr; '
+                        + '<strong>' + escapeHtml(step.outcome.passed ? t('then', 'Then') : t('else', 'Otherwise')) + '</strong>'
+                        + conditionResultsHtml(step.outcome)
+                        + stepResultsHtml(step.steps)
+                        + '</li>';
+                }
+
+                var preview = previewAction(step);
+                var html = '<li><strong>' + escapeHtml(preview.title) + '</strong>';
+                if (preview.fields.length) {
+                    html += '<dl class="wpt-test-preview">';
+                    preview.fields.forEach(function (field) {
+                        html += '<dt>' + escapeHtml(field[0]) + '</dt><dd><pre>' + escapeHtml(field[1] || '') + '</pre></dd>';
+                    });
+                    html += '</dl>';
+                }
+                return html + '</li>';
+            }).join('') + '</ol>';
+        }
+
+        function resultClass(passed) {
+            return passed === true ? 'wpt-test-pass' : (passed === null ? 'wpt-test-unknown' : 'wpt-test-fail');
+        }
+
+        function resultIcon(passed) {
+            return passed === true ? '&#10003;' : (passed === null ? '?' : '&#10007;');
+        }
+
+        function formatActual(value) {
+            if (value === undefined || value === null) return t('missing', '(missing)');
+            return typeof value === 'object' ? JSON.stringify(value) : JSON.stringify(String(value));
+        }
 
-            if (rule.conditions && rule.conditions.length) {
-                rule.conditions.forEach(function (c) { addConditionRow(c); });
+        /**
+         * Flag the builder row or group behind a result.
+         */
+        function markRef(ref, passed) {
+            var el = testRefs[ref];
+            if (el) el.classList.add(resultClass(passed));
+        }
+
+        function clearTestMarks() {
+            var marked = editor.querySelectorAll('.wpt-cond-group.wpt-test-pass, .wpt-cond-group.wpt-test-fail, .wpt-automation-condition-row.wpt-test-pass, .wpt-automation-condition-row.wpt-test-fail, .wpt-automation-condition-row.wpt-test-unknown');
+            for (var i = 0; i < marked.length; i++) {
+                marked[i].classList.remove('wpt-test-pass', 'wpt-test-fail', 'wpt-test-unknown');
+            }
+        }
+
+        // -- Schedule trigger --
+
+        /**
+         * "On a schedule" trigger option and the schedule editor shown
+         * under the trigger select while it is picked.
+         */
+        function buildSchedulePanel() {
+            if (!triggerSelect.querySelector('option[value="' + SCHEDULE_HOOK + '"]')) {
+                var group = document.createElement('optgroup');
+                var option = document.createElement('option');
+                group.className = 'wpt-schedule-triggers';
+                group.label = t('scheduleGroup', 'Time');
+                option.value = SCHEDULE_HOOK;
+                option.textContent = t('scheduleTrigger', 'On a schedule');
+                group.appendChild(option);
+                triggerSelect.appendChild(group);
+            }
+
+            var modes = [
+                ['interval', t('scheduleInterval', 'Every few minutes or hours')],
+                ['daily', t('scheduleDailyMode', 'Daily')],
+                ['weekly', t('scheduleWeeklyMode', 'Weekly')],
+                ['cron', t('scheduleCronMode', 'Cron expression')]
+            ];
+            var days = [1, 2, 3, 4, 5, 6, 0].map(function (day) {
+                return '<label><input type="checkbox" class="wpt-schedule-day" value="' + day + '"> ' + escapeHtml(weekdayLabel(day)) + '</label>';
+            });
+
+            schedule = createFromHtml('<div id="wpt-automation-schedule" class="wpt-automation-schedule" style="display:none;">'
+                + '<p><select id="wpt-schedule-mode" aria-label="' + escapeAttr(t('scheduleMode', 'Repeat')) + '">'
+                + modes.map(function (m) { return '<option value="' + m[0] + '">' + escapeHtml(m[1]) + '</option>'; }).join('')
+                + '</select></p>'
+                + '<p data-modes="interval"><label for="wpt-schedule-every">' + escapeHtml(t('every', 'Every')) + '</label> '
+                + '<input type="number" id="wpt-schedule-every" class="small-text" min="1" step="1"> '
+                + '<select id="wpt-schedule-unit">'
+                + ['minutes', 'hours'].map(function (u) { return '<option value="' + u + '">' + escapeHtml(t('unit_' + u, u)) + '</option>'; }).join('')
+                + '</select></p>'
+                + '<p class="wpt-schedule-days" data-modes="weekly">' + days.join(' ') + '</p>'
+                + '<p data-modes="daily weekly"><label for="wpt-schedule-time">' + escapeHtml(t('at', 'At')) + '</label> '
+                + '<input type="time" id="wpt-schedule-time"></p>'
+                + '<p data-modes="cron"><input type="text" id="wpt-schedule-cron" class="regular-text code" placeholder="0 9 * * 1" spellcheck="false"> '
+                + '<span class="description">' + escapeHtml(t('cronHelp', 'minute hour day month weekday')) + '</span></p>'
+                + '<p><label for="wpt-schedule-timezone">' + escapeHtml(t('timezone', 'Timezone')) + '</label> '
+                + '<select id="wpt-schedule-timezone">' + timezoneOptions() + '</select></p>'
+                + '<p class="wpt-schedule-error" role="alert" style="display:none;"></p>'
+                + '<div class="wpt-schedule-preview"><strong>' + escapeHtml(t('nextRuns', 'Next runs')) + '</strong>'
+                + '<ol id="wpt-schedule-runs"></ol></div>'
+                + (config.cronManagerUrl
+                    ? '<p class="description">' + escapeHtml(t('scheduleCronManager', 'Booked runs are listed in the Cron Manager.'))
+                        + ' <a href="' + escapeAttr(config.cronManagerUrl) + '">' + escapeHtml(t('openCronManager', 'Open Cron Manager')) + '</a></p>'
+                    : '')
+                + '</div>');
+
+            // Under the select, in its form-table cell or after its paragraph.
+            var row = triggerSelect.parentNode === editor ? triggerSelect : triggerSelect.parentNode;
+            if (row.tagName === 'TD') {
+                row.appendChild(schedule);
+            } else {
+                row.parentNode.insertBefore(schedule, row.nextSibling);
+            }
+
+            triggerSelect.addEventListener('change', syncSchedulePanel);
+            schedule.addEventListener('input', syncSchedulePanel);
+            schedule.addEventListener('change', syncSchedulePanel);
+
+            if (window.wpt.mergeTags) {
+                wpt.mergeTags.registerTrigger(SCHEDULE_HOOK, []);
+                wpt.mergeTags.registerVariables(SCHEDULE_HOOK, t('groupSchedule', 'Schedule'), [
+                    ['schedule.run_at', t('varRunAt', 'Run time'), '2026-01-19 09:00:00'],
+                    ['schedule.timezone', t('timezone', 'Timezone'), config.timezone || 'UTC'],
+                    ['schedule.description', t('varSchedule', 'Schedule'), describeSchedule({ mode: 'weekly', days: [1], time: '09:00', timezone: config.timezone || 'UTC' })]
+                ]);
+            }
+        }
+
+        /**
+         * The site's timezone first, then UTC and every zone the browser
+         * (or the module's config) knows.
+         */
+        function timezoneOptions() {
+            var site = config.timezone || 'UTC';
+            var zones = config.timezones || (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []);
+            var html = '<option value="' + escapeAttr(site) + '">' + escapeHtml(t('siteTimezone', 'Site timezone (%s)').replace('%s', site)) + '</option>';
+
+            ['UTC'].concat(zones).forEach(function (zone, i) {
+                if (zone !== site && (i === 0 || zone !== 'UTC')) {
+                    html += '<option value="' + escapeAttr(zone) + '">' + escapeHtml(zone) + '</option>';
+                }
+            });
+            return html;
+        }
+
+        function scheduleField(name) {
+            return schedule.querySelector('#wpt-schedule-' + name);
+        }
+
+        function fillSchedule(data) {
+            if (!schedule) return;
+            data = data || {};
+
+            var days = (data.days || [1]).map(Number);
+            var timezone = data.timezone || config.timezone || 'UTC';
+            var zoneSelect = scheduleField('timezone');
+
+            scheduleField('mode').value = data.mode || 'daily';
+            scheduleField('every').value = data.every || 15;
+            scheduleField('unit').value = data.unit === 'hours' ? 'hours' : 'minutes';
+            scheduleField('time').value = data.time || '09:00';
+            scheduleField('cron').value = data.cron || '';
+            schedule.querySelectorAll('.wpt-schedule-day').forEach(function (cb) {
+                cb.checked = days.indexOf(parseInt(cb.value, 10)) !== -1;
+            });
+
+            // A zone this browser does not list is still the rule's zone.
+            if (!hasOption(zoneSelect, timezone)) {
+                var option = document.createElement('option');
+                option.value = timezone;
+                option.textContent = timezone;
+                zoneSelect.appendChild(option);
+            }
+            zoneSelect.value = timezone;
+
+            syncSchedulePanel();
+        }
+
+        /**
+         * The editor's schedule with only the fields its mode uses.
+         */
+        function readSchedule() {
+            var data = { mode: scheduleField('mode').value };
+
+            if (data.mode === 'interval') {
+                data.every = parseInt(scheduleField('every').value, 10) || 0;
+                data.unit = scheduleField('unit').value;
+            } else if (data.mode === 'cron') {
+                data.cron = scheduleField('cron').value.trim().replace(/\s+/g, ' ');
+            } else {
+                data.time = scheduleField('time').value;
+                if (data.mode === 'weekly') {
+                    data.days = [];
+                    schedule.querySelectorAll('.wpt-schedule-day').forEach(function (cb) {
+                        if (cb.checked) data.days.push(parseInt(cb.value, 10));
+                    });
+                    data.days.sort();
+                }
+            }
+
+            data.timezone = scheduleField('timezone').value;
+            return data;
+        }
+
+        /**
+         * Why a schedule cannot be saved, or an empty string.
+         */
+        function validateSchedule(data) {
+            if (data.mode === 'interval' && data.every < 1) {
+                return t('scheduleNeedsEvery', 'Enter how often the rule runs.');
+            }
+            if ((data.mode === 'daily' || data.mode === 'weekly') && !parseTime(data.time)) {
+                return t('scheduleNeedsTime', 'Enter the time of day the rule runs.');
+            }
+            if (data.mode === 'weekly' && !data.days.length) {
+                return t('scheduleNeedsDays', 'Pick at least one weekday.');
+            }
+
+            try {
+                if (!nextRuns(data, 1).length) return t('scheduleNever', 'This schedule never comes round.');
+            } catch (err) {
+                return err instanceof RangeError
+                    ? t('scheduleBadTimezone', 'Unknown timezone %s.').replace('%s', data.timezone)
+                    : err.message;
+            }
+            return '';
+        }
+
+        /**
+         * Show the panel for the schedule trigger, the fields of the
+         * picked mode, and the next five run times or what is wrong.
+         */
+        function syncSchedulePanel() {
+            var active = triggerSelect.value === SCHEDULE_HOOK;
+            var mode = scheduleField('mode').value;
+
+            schedule.style.display = active ? '' : 'none';
+            schedule.querySelectorAll('[data-modes]').forEach(function (el) {
+                el.style.display = el.getAttribute('data-modes').split(' ').indexOf(mode) === -1 ? 'none' : '';
+            });
+            if (!active) return;
+
+            var data = readSchedule();
+            var error = validateSchedule(data);
+            var errorEl = schedule.querySelector('.wpt-schedule-error');
+
+            errorEl.textContent = error;
+            errorEl.style.display = error ? '' : 'none';
+            schedule.querySelector('#wpt-schedule-runs').innerHTML = error ? '' : nextRuns(data, 5).map(function (run) {
+                return '<li>' + escapeHtml(formatRun(run)) + '</li>';
+            }).join('');
+        }
+
+        // -- Inbound webhooks --
+
+        /**
+         * "Inbound webhooks" button next to View log, and the endpoints
+         * panel it opens. Endpoints are loaded up front because they are
+         * also trigger options.
+         */
+        function buildInboundPanel() {
+            inbound = createFromHtml('<div id="wpt-automation-inbound" class="wpt-automation-inbound" style="display:none;">'
+                + '<h3>' + escapeHtml(t('inboundTitle', 'Inbound webhooks')) + '</h3>'
+                + '<p class="description">' + escapeHtml(t('inboundIntro', 'Give another system a URL to call. Each endpoint appears as a trigger; its JSON body is available as payload.* in conditions and {{payload.*}} in actions.')) + '</p>'
+                + '<p><input type="text" id="wpt-inbound-name" class="regular-text" placeholder="' + escapeAttr(t('inboundName', 'Endpoint name, e.g. CRM contact updated')) + '"> '
+                + '<button type="button" class="button button-primary" id="wpt-inbound-create">' + escapeHtml(t('inboundCreate', 'Create endpoint')) + '</button></p>'
+                + '<div id="wpt-inbound-secret" class="notice notice-warning inline" style="display:none;"></div>'
+                + '<div id="wpt-inbound-list"></div>'
+                + '<datalist id="wpt-automation-field-list"></datalist>'
+                + '</div>');
+
+            if (viewLogBtn) {
+                var btn = createFromHtml('<button type="button" class="button" id="wpt-automation-view-inbound">' + escapeHtml(t('inboundTitle', 'Inbound webhooks')) + '</button>');
+                viewLogBtn.parentNode.insertBefore(btn, viewLogBtn.nextSibling);
+                viewLogBtn.parentNode.insertBefore(document.createTextNode(' '), btn);
+                btn.addEventListener('click', function () {
+                    inbound.style.display = inbound.style.display === 'none' ? '' : 'none';
+                });
+            } else {
+                inbound.style.display = '';
+            }
+
+            var anchor = logView || editor;
+            anchor.parentNode.insertBefore(inbound, anchor.nextSibling);
+
+            inbound.querySelector('#wpt-inbound-create').addEventListener('click', createEndpoint);
+            inbound.addEventListener('click', onInboundClick);
+
+            triggerSelect.addEventListener('change', syncFieldList);
+
+            loadEndpoints();
+        }
+
+        function loadEndpoints() {
+            return api.post('wpt_automation_inbound_list', {}, { retries: 2, key: 'inbound' })
+                .then(function (data) {
+                    endpoints = data.endpoints || [];
+                    renderEndpoints();
+                    syncTriggerOptions();
+                })
+                .catch(function (err) {
+                    if (wpt.api.isAbort(err)) return;
+                    inbound.querySelector('#wpt-inbound-list').textContent = err.message || config.i18n.networkError;
+                });
+        }
+
+        function renderEndpoints() {
+            var list = inbound.querySelector('#wpt-inbound-list');
+
+            if (!endpoints.length) {
+                list.innerHTML = '<p class="description">' + escapeHtml(t('inboundNone', 'No inbound endpoints yet.')) + '</p>';
+                return;
+            }
+
+            var html = '<table class="widefat striped wpt-inbound-table"><thead><tr>'
+                + '<th>' + escapeHtml(t('inboundNameCol', 'Name')) + '</th>'
+                + '<th>' + escapeHtml(t('inboundUrl', 'URL')) + '</th>'
+                + '<th>' + escapeHtml(t('inboundReceived', 'Received')) + '</th>'
+                + '<th></th></tr></thead><tbody>';
+
+            endpoints.forEach(function (ep) {
+                html += '<tr data-endpoint-id="' + ep.id + '">'
+                    + '<td><strong>' + escapeHtml(ep.name) + '</strong><br><code>' + escapeHtml(INBOUND_PREFIX + ep.slug) + '</code></td>'
+                    + '<td><code class="wpt-inbound-url">' + escapeHtml(ep.url) + '</code> '
+                    + '<button type="button" class="button-link wpt-inbound-copy" data-copy="' + escapeAttr(ep.url) + '">' + escapeHtml(t('copy', 'Copy')) + '</button></td>'
+                    + '<td>' + escapeHtml(String(ep.received || 0))
+                    + (ep.last_received ? ' <span class="description">' + escapeHtml(t('inboundLast', 'last %s').replace('%s', ep.last_received)) + '</span>' : '')
+                    + '</td>'
+                    + '<td class="wpt-inbound-actions">'
+                    + '<button type="button" class="button button-small wpt-inbound-requests" aria-expanded="false">' + escapeHtml(t('inboundRequests', 'Requests')) + '</button> '
+                    + '<button type="button" class="button button-small wpt-inbound-rotate">' + escapeHtml(t('inboundRotate', 'New secret')) + '</button> '
+                    + '<button type="button" class="button button-small button-link-delete wpt-inbound-delete">' + escapeHtml(t('delete', 'Delete')) + '</button>'
+                    + '</td></tr>';
+            });
+
+            list.innerHTML = html + '</tbody></table>';
+        }
+
+        /**
+         * Offer each endpoint as a trigger, and its last payload's fields
+         * as merge tags for that trigger.
+         */
+        function syncTriggerOptions() {
+            var group = triggerSelect.querySelector('optgroup.wpt-inbound-triggers');
+            var value = triggerSelect.value;
+
+            if (group) group.remove();
+
+            if (endpoints.length) {
+                group = document.createElement('optgroup');
+                group.className = 'wpt-inbound-triggers';
+                group.label = t('inboundTitle', 'Inbound webhooks');
+                endpoints.forEach(function (ep) {
+                    var option = document.createElement('option');
+                    option.value = INBOUND_PREFIX + ep.slug;
+                    option.textContent = ep.name;
+                    group.appendChild(option);
+                });
+                triggerSelect.appendChild(group);
+            }
+
+            if (value) ensureTriggerOption(value);
+            triggerSelect.value = value;
+
+            if (window.wpt.mergeTags) {
+                endpoints.forEach(function (ep) {
+                    var hook = INBOUND_PREFIX + ep.slug;
+                    wpt.mergeTags.registerTrigger(hook, []);
+                    wpt.mergeTags.registerVariables(hook, t('groupPayload', 'Payload'), inboundVariables(ep));
+                });
+                refreshMergeTags();
+            }
+
+            syncFieldList();
+        }
+
+        function inboundVariables(ep) {
+            var vars = [
+                ['inbound.endpoint', t('varEndpoint', 'Endpoint name'), ep.name],
+                ['inbound.ip', t('varSenderIp', 'Sender IP'), '203.0.113.7'],
+                ['inbound.received_at', t('varReceivedAt', 'Received at'), '2026-01-15 09:30:00']
+            ];
+
+            if (ep.sample) {
+                payloadPaths(ep.sample, 'payload').forEach(function (leaf) {
+                    vars.push([leaf[0], leaf[0].slice('payload.'.length), leaf[1]]);
+                });
+            } else {
+                vars.push(['payload.*', t('varPayloadField', 'Payload field'), '']);
+            }
+
+            return vars;
+        }
+
+        /**
+         * A rule can point at an endpoint the list no longer has (or has
+         * not loaded yet); keep its trigger selectable rather than lose it.
+         */
+        function ensureTriggerOption(hook) {
+            if (!hook || hasOption(triggerSelect, hook)) return;
+
+            var option = document.createElement('option');
+            option.value = hook;
+            option.textContent = isInbound(hook) ? t('inboundMissing', 'Deleted endpoint (%s)').replace('%s', hook) : hook;
+            triggerSelect.appendChild(option);
+        }
+
+        /** Suggest the selected endpoint's payload fields in condition rows. */
+        function syncFieldList() {
+            var datalist = inbound.querySelector('#wpt-automation-field-list');
+            var hook = triggerSelect.value;
+            var ep = endpoints.filter(function (e) { return INBOUND_PREFIX + e.slug === hook; })[0];
+
+            datalist.innerHTML = ep && ep.sample
+                ? payloadPaths(ep.sample, 'payload').map(function (leaf) {
+                    return '<option value="' + escapeAttr(leaf[0]) + '"></option>';
+                }).join('')
+                : '';
+        }
+
+        function createEndpoint() {
+            var nameEl = inbound.querySelector('#wpt-inbound-name');
+            var btn = inbound.querySelector('#wpt-inbound-create');
+            var name = nameEl.value.trim();
+
+            if (!name) {
+                alert(t('inboundNameRequired', 'Name the endpoint first.'));
+                nameEl.focus();
+                return;
+            }
+
+            btn.disabled = true;
+
+            api.post('wpt_automation_inbound_save', { name: name })
+                .then(function (data) {
+                    nameEl.value = '';
+                    showSecret(data.endpoint.name, data.secret);
+                    return loadEndpoints();
+                })
+                .catch(function (err) { alert(err.message || config.i18n.networkError); })
+                .finally(function () { btn.disabled = false; });
+        }
+
+        /** The secret is shown once, right after it is made. */
+        function showSecret(name, secret) {
+            var box = inbound.querySelector('#wpt-inbound-secret');
+            box.innerHTML = '<p><strong>' + escapeHtml(t('inboundSecretFor', 'Signing secret for %s').replace('%s', name)) + '</strong></p>'
+                + '<p><code class="wpt-inbound-secret-value">' + escapeHtml(secret) + '</code> '
+                + '<button type="button" class="button button-small wpt-inbound-copy" data-copy="' + escapeAttr(secret) + '">' + escapeHtml(t('copy', 'Copy')) + '</button></p>'
+                + '<p class="description">' + escapeHtml(t('inboundSecretOnce', 'Copy it now; it is not shown again. The sender signs each request with X-WPT-Timestamp and X-WPT-Signature: sha256=HMAC(secret, "timestamp.body").')) + '</p>';
+            box.style.display = '';
+        }
+
+        function onInboundClick(e) {
+            var copy = e.target.closest('.wpt-inbound-copy');
+            if (copy) {
+                copyText(copy.getAttribute('data-copy'))
+                    .then(function (ok) {
+                        copy.textContent = ok ? t('copied', 'Copied') : t('copyFailed', 'Copy failed; select the text instead');
+                    })
+                    .catch(function () {
+                        copy.textContent = t('copyFailed', 'Copy failed; select the text instead');
+                    });
+                return;
+            }
+
+            var detail = e.target.closest('.wpt-inbound-detail-toggle');
+            if (detail) {
+                toggleRequestBody(detail);
+                return;
+            }
+
+            var more = e.target.closest('.wpt-inbound-more');
+            if (more) {
+                loadRequests(more.closest('.wpt-inbound-log-row'), parseInt(more.getAttribute('data-page'), 10));
+                return;
+            }
+
+            var row = e.target.closest('tr[data-endpoint-id]');
+            if (!row) return;
+
+            var id = row.getAttribute('data-endpoint-id');
+            var ep = endpoints.filter(function (x) { return String(x.id) === id; })[0];
+
+            if (e.target.closest('.wpt-inbound-requests')) {
+                toggleRequests(row, e.target.closest('.wpt-inbound-requests'));
+            } else if (e.target.closest('.wpt-inbound-rotate')) {
+                if (!confirm(t('inboundConfirmRotate', 'Replace this endpoint\'s secret? Requests signed with the old one will be rejected.'))) return;
+                api.post('wpt_automation_inbound_rotate', { id: id })
+                    .then(function (data) { showSecret(ep ? ep.name : '', data.secret); })
+                    .catch(function (err) { alert(err.message || config.i18n.networkError); });
+            } else if (e.target.closest('.wpt-inbound-delete')) {
+                if (!confirm(t('inboundConfirmDelete', 'Delete this endpoint? Rules using it as their trigger stop running.'))) return;
+                api.post('wpt_automation_inbound_delete', { id: id })
+                    .then(loadEndpoints)
+                    .catch(function (err) { alert(err.message || config.i18n.networkError); });
+            }
+        }
+
+        function toggleRequests(row, btn) {
+            var next = row.nextElementSibling;
+            if (next && next.classList.contains('wpt-inbound-log-row')) {
+                next.remove();
+                btn.setAttribute('aria-expanded', 'false');
+                return;
             }
-            if (rule.actions && rule.actions.length) {
-                rule.actions.forEach(function (a) { addActionRow(a); });
+
+            var logRow = document.createElement('tr');
+            logRow.className = 'wpt-inbound-log-row';
+            logRow.setAttribute('data-log-for', row.getAttribute('data-endpoint-id'));
+            logRow.innerHTML = '<td colspan="4">'
+                + '<table class="widefat wpt-inbound-log"><thead><tr>'
+                + '<th>' + escapeHtml(t('inboundWhen', 'Received')) + '</th>'
+                + '<th>' + escapeHtml(t('inboundFrom', 'From')) + '</th>'
+                + '<th>' + escapeHtml(t('inboundStatus', 'Status')) + '</th>'
+                + '<th>' + escapeHtml(t('inboundRules', 'Rules run')) + '</th>'
+                + '<th></th></tr></thead><tbody></tbody></table>'
+                + '<p class="wpt-inbound-log-more"></p></td>';
+
+            row.parentNode.insertBefore(logRow, row.nextSibling);
+            btn.setAttribute('aria-expanded', 'true');
+            loadRequests(logRow, 1);
+        }
+
+        function loadRequests(logRow, page) {
+            var tbody = logRow.querySelector('.wpt-inbound-log tbody');
+            var more = logRow.querySelector('.wpt-inbound-log-more');
+            var id = logRow.getAttribute('data-log-for');
+
+            more.innerHTML = '<span class="spinner is-active"></span>';
+
+            api.post('wpt_automation_inbound_log', { id: id, page: page }, { retries: 2 })
+                .then(function (data) {
+                    var requests = data.requests || [];
+
+                    if (page === 1 && !requests.length) {
+                        tbody.innerHTML = '<tr><td colspan="5" class="description">' + escapeHtml(t('inboundNoRequests', 'Nothing received yet.')) + '</td></tr>';
+                    }
+
+                    requests.forEach(function (req) {
+                        var accepted = req.status === 'accepted';
+                        var row = document.createElement('tr');
+                        row.className = 'wpt-inbound-request ' + (accepted ? 'wpt-test-pass' : 'wpt-test-fail');
+                        row.innerHTML = '<td title="' + escapeAttr(req.received_at) + '">' + escapeHtml(req.received_ago || req.received_at) + '</td>'
+                            + '<td>' + escapeHtml(req.ip) + '</td>'
+                            + '<td>' + escapeHtml(accepted ? t('inboundAccepted', 'Accepted') : t('inboundRejected', 'Rejected'))
+                            + (req.error ? ' <span class="description">' + escapeHtml(req.error) + '</span>' : '') + '</td>'
+                            + '<td>' + escapeHtml(String(req.rules_run || 0)) + '</td>'
+                            + '<td><button type="button" class="button-link wpt-inbound-detail-toggle" aria-expanded="false">' + escapeHtml(t('inboundBody', 'Body')) + '</button></td>';
+                        row.wptBody = req.body;
+                        tbody.appendChild(row);
+                    });
+
+                    more.innerHTML = data.page < data.pages
+                        ? '<button type="button" class="button button-small wpt-inbound-more" data-page="' + (data.page + 1) + '">' + escapeHtml(t('loadMore', 'Load older')) + '</button>'
+                        : '';
+                })
+                .catch(function (err) {
+                    more.textContent = err.message || config.i18n.networkError;
+                });
+        }
+
+        function toggleRequestBody(btn) {
+            var row = btn.closest('tr');
+            var next = row.nextElementSibling;
+
+            if (next && next.classList.contains('wpt-inbound-body-row')) {
+                next.remove();
+                btn.setAttribute('aria-expanded', 'false');
+                return;
+            }
+
+            var body = document.createElement('tr');
+            body.className = 'wpt-inbound-body-row';
+            body.innerHTML = '<td colspan="5"><pre></pre></td>';
+            body.querySelector('pre').textContent = typeof row.wptBody === 'string' ? prettyJson(row.wptBody) : JSON.stringify(row.wptBody, null, 2);
+            row.parentNode.insertBefore(body, row.nextSibling);
+            btn.setAttribute('aria-expanded', 'true');
+        }
+
+        // -- Flow view --
+
+        function scheduleCanvas() {
+            if (!canvas || canvas.style.display === 'none') return;
+            clearTimeout(canvasTimer);
+            canvasTimer = setTimeout(renderCanvas, 150);
+        }
+
+        /**
+         * Draw the rule as a top-down flow: trigger, conditions, then
+         * each step, with if/else branches split into two columns.
+         */
+        function renderCanvas() {
+            canvasRefs = [];
+            var conditions = readGroup(rootGroup(), canvasRefs);
+            var steps = readSteps(actionsDiv, canvasRefs);
+            var trigger = triggerSelect.options[triggerSelect.selectedIndex];
+            var detail = trigger ? trigger.text : '';
+            if (triggerSelect.value === SCHEDULE_HOOK) detail = describeSchedule(readSchedule());
+
+            var html = '<div class="wpt-flow">'
+                + flowNode('trigger', 'dashicons-controls-play', t('trigger', 'When'), detail, null)
+                + flowNode('condition', 'dashicons-filter', t('onlyIf', 'Only if'), describeConditions(conditions), conditions.ref)
+                + flowSteps(steps)
+                + '</div>';
+
+            canvas.innerHTML = html;
+        }
+
+        function flowSteps(steps) {
+            if (!steps.length) {
+                return '<div class="wpt-flow-empty">' + escapeHtml(t('noSteps', 'No steps')) + '</div>';
             }
+
+            return steps.map(function (step) {
+                if (step.type === 'delay') {
+                    return flowNode('delay', 'dashicons-clock', t('wait', 'Wait'), step.amount + ' ' + t('unit_' + step.unit, step.unit), step.ref);
+                }
+                if (step.type === 'branch') {
+                    return flowNode('branch', 'dashicons-randomize', t('if', 'If'), describeConditions(step.conditions), step.ref)
+                        + '<div class="wpt-flow-split">'
+                        + '<div class="wpt-flow-arm"><span class="wpt-flow-arm-label">' + escapeHtml(t('then', 'Then')) + '</span>' + flowSteps(step.then) + '</div>'
+                        + '<div class="wpt-flow-arm"><span class="wpt-flow-arm-label">' + escapeHtml(t('else', 'Otherwise')) + '</span>' + flowSteps(step['else']) + '</div>'
+                        + '</div>';
+                }
+
+                var select = canvasRefs[step.ref].querySelector('.wpt-action-type');
+                var label = select && select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : step.type;
+                return flowNode('action', 'dashicons-admin-generic', label, actionSummary(step), step.ref);
+            }).join('');
+        }
+
+        /**
+         * Short detail line for an action node.
+         */
+        function actionSummary(step) {
+            var spec = ACTION_LIBRARY[step.type];
+            if (!spec) return step.to || step.url || step.meta_key || '';
+
+            return spec.summary.map(function (key) {
+                var field = spec.fields.filter(function (f) { return f.key === key; })[0];
+                return libraryValueLabel(field, step[key]);
+            }).filter(Boolean).join(' · ');
+        }
+
+        function flowNode(kind, icon, label, detail, ref) {
+            var attrs = ref === null || ref === undefined
+                ? ''
+                : ' data-ref="' + ref + '" role="button" tabindex="0"';
+            return '<div class="wpt-flow-node wpt-flow-' + kind + '"' + attrs + '>'
+                + '<span class="dashicons ' + icon + '"></span>'
+                + '<strong>' + escapeHtml(label) + '</strong>'
+                + (detail ? ' <span class="wpt-flow-detail">' + escapeHtml(detail) + '</span>' : '')
+                + '</div>';
+        }
+
+        /**
+         * Scroll the builder element behind a flow node into view.
+         */
+        function focusRef(index) {
+            var el = canvasRefs[index];
+            if (!el || !document.body.contains(el)) return;
+
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            el.classList.add('wpt-flash');
+            setTimeout(function () { el.classList.remove('wpt-flash'); }, 1200);
+
+            var input = el.querySelector('input, select, textarea');
+            if (input) input.focus({ preventScroll: true });
         }
     });
 })();
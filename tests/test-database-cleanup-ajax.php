@@ -0,0 +1,218 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Database_Cleanup AJAX entry points.
+ *
+ * Tests the batch contract the wpt.jobs runner relies on: one batch per
+ * request, 'continue' while rows remain, 'remaining' for the progress total.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Modules\Performance\Database_Cleanup;
+
+class Test_Database_Cleanup_Ajax extends WP_Ajax_UnitTestCase {
+
+    /**
+     * Module instance.
+     *
+     * @var Database_Cleanup
+     */
+    private Database_Cleanup $module;
+
+    /**
+     * Set up each test.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->module = new Database_Cleanup();
+        $this->module->init();
+        $this->_setRole( 'administrator' );
+    }
+
+    /**
+     * Call an AJAX action and return the decoded JSON response.
+     *
+     * @param string $action AJAX action without the wp_ajax_ prefix.
+     * @param array  $post   Request fields besides the nonce.
+     * @return array
+     */
+    private function call( string $action, array $post ): array {
+        $_POST = array_merge( [ 'nonce' => wp_create_nonce( 'wpt_db_cleanup_nonce' ) ], $post );
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            // Expected: wp_send_json_* ends the request.
+        }
+
+        $response             = json_decode( $this->_last_response, true );
+        $this->_last_response = '';
+
+        return is_array( $response ) ? $response : [];
+    }
+
+    /**
+     * Insert auto-drafts directly — the factory is too slow for a full batch.
+     *
+     * @param int $count Number of auto-drafts.
+     */
+    private function create_auto_drafts( int $count ): void {
+        global $wpdb;
+
+        $now  = current_time( 'mysql' );
+        $rows = [];
+        for ( $i = 0; $i < $count; $i++ ) {
+            $rows[] = $wpdb->prepare( "('Auto Draft', '', '', '', '', '', 'auto-draft', 'post', %s, %s, %s, %s)", $now, $now, $now, $now );
+        }
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query(
+            "INSERT INTO {$wpdb->posts}
+             (post_title, post_content, post_excerpt, to_ping, pinged, post_content_filtered, post_status, post_type, post_date, post_date_gmt, post_modified, post_modified_gmt)
+             VALUES " . implode( ',', $rows )
+        );
+    }
+
+    // ── Batch Contract: Single Category ───────────────────────
+
+    public function test_run_single_category_continues_until_empty(): void {
+        $batch = $this->module->get_batch_size();
+        $this->create_auto_drafts( $batch + 5 );
+
+        $first = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'auto_drafts' ] );
+
+        $this->assertTrue( $first['success'] );
+        $this->assertSame( $batch, $first['data']['deleted'] );
+        $this->assertSame( 5, $first['data']['remaining'] );
+        $this->assertTrue( $first['data']['continue'] );
+
+        $second = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'auto_drafts' ] );
+
+        $this->assertSame( 5, $second['data']['deleted'] );
+        $this->assertSame( 0, $second['data']['remaining'] );
+        $this->assertFalse( $second['data']['continue'] );
+    }
+
+    public function test_run_single_category_with_nothing_to_delete_stops(): void {
+        $response = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'auto_drafts' ] );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( 0, $response['data']['deleted'] );
+        $this->assertFalse( $response['data']['continue'] );
+    }
+
+    public function test_run_rejects_unknown_category(): void {
+        $response = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'wp_users' ] );
+
+        $this->assertFalse( $response['success'] );
+    }
+
+    // ── Batch Contract: All Categories ────────────────────────
+
+    public function test_run_all_reports_remaining_while_a_category_is_full(): void {
+        $batch = $this->module->get_batch_size();
+        $this->create_auto_drafts( $batch + 5 );
+
+        $first = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'all' ] );
+
+        $this->assertTrue( $first['success'] );
+        $this->assertSame( $batch, $first['data']['per_category']['auto_drafts'] );
+        $this->assertTrue( $first['data']['continue'] );
+        $this->assertGreaterThanOrEqual( 5, $first['data']['remaining'] );
+
+        $second = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'all' ] );
+
+        $this->assertSame( 5, $second['data']['per_category']['auto_drafts'] );
+        $this->assertFalse( $second['data']['continue'] );
+        $this->assertSame( 0, $second['data']['remaining'] );
+    }
+
+    public function test_run_all_sums_deleted_across_categories(): void {
+        $this->create_auto_drafts( 2 );
+        self::factory()->comment->create( [ 'comment_approved' => 'spam' ] );
+
+        $response = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'all' ] );
+
+        $this->assertSame( 2, $response['data']['per_category']['auto_drafts'] );
+        $this->assertSame( 1, $response['data']['per_category']['spam_comments'] );
+        $this->assertSame( array_sum( $response['data']['per_category'] ), $response['data']['deleted'] );
+        $this->assertFalse( $response['data']['continue'] );
+    }
+
+    // ── Command Palette Quick Actions ─────────────────────────
+
+    /**
+     * The palette's quick action list, as the command palette declares it.
+     *
+     * @return array
+     */
+    private function quick_actions(): array {
+        return [
+            [ 'title' => 'Clear Transients', 'action' => 'clear-transients' ],
+            [ 'title' => 'Run Database Cleanup', 'action' => 'run-db-cleanup' ],
+            [ 'title' => 'Export Settings', 'action' => 'export-settings' ],
+        ];
+    }
+
+    public function test_init_registers_palette_actions_filter(): void {
+        $this->assertSame( 10, has_filter( 'wpt_command_palette_actions', [ $this->module, 'palette_actions' ] ) );
+    }
+
+    public function test_palette_actions_run_cleanup_in_place(): void {
+        $actions = apply_filters( 'wpt_command_palette_actions', $this->quick_actions() );
+
+        $transients = $actions[0]['run'];
+        $this->assertSame( 'wpt_db_cleanup_run', $transients['ajax'] );
+        $this->assertSame( 'wpt_db_cleanup_nonce', $transients['nonceAction'] );
+        $this->assertSame( 1, wp_verify_nonce( $transients['nonce'], 'wpt_db_cleanup_nonce' ) );
+        $this->assertSame( [ 'category' => 'expired_transients' ], $transients['data'] );
+        $this->assertSame( 'continue', $transients['repeat'] );
+        $this->assertSame( [ 'deleted' ], $transients['sum'] );
+        $this->assertStringContainsString( '{deleted}', $transients['success'] );
+        $this->assertNotEmpty( $transients['confirm'] );
+
+        $cleanup = $actions[1]['run'];
+        $this->assertSame( [ 'category' => 'all' ], $cleanup['data'] );
+        $this->assertSame( 'continue', $cleanup['repeat'] );
+        $this->assertStringContainsString( '{deleted}', $cleanup['success'] );
+
+        // Other modules' actions are left alone.
+        $this->assertArrayNotHasKey( 'run', $actions[2] );
+    }
+
+    public function test_palette_actions_untouched_without_manage_options(): void {
+        $this->_setRole( 'editor' );
+
+        $this->assertSame( $this->quick_actions(), $this->module->palette_actions( $this->quick_actions() ) );
+    }
+
+    public function test_palette_run_contract_matches_ajax_response(): void {
+        $this->create_auto_drafts( 3 );
+
+        $actions = $this->module->palette_actions( $this->quick_actions() );
+        $run     = $actions[1]['run'];
+
+        // The palette repeats while the `repeat` key is truthy and sums the `sum` keys.
+        $response = $this->call( $run['ajax'], $run['data'] + [ 'nonce' => $run['nonce'] ] );
+
+        $this->assertArrayHasKey( $run['repeat'], $response['data'] );
+        foreach ( $run['sum'] as $key ) {
+            $this->assertIsInt( $response['data'][ $key ] );
+        }
+        $this->assertSame( 3, $response['data']['deleted'] );
+    }
+
+    // ── Permissions ───────────────────────────────────────────
+
+    public function test_run_requires_manage_options(): void {
+        $this->_setRole( 'editor' );
+        $this->create_auto_drafts( 1 );
+
+        $response = $this->call( 'wpt_db_cleanup_run', [ 'category' => 'auto_drafts' ] );
+
+        $this->assertFalse( $response['success'] );
+        $this->assertSame( 1, $this->module->get_count( 'auto_drafts', $this->module->get_default_settings() ) );
+    }
+}
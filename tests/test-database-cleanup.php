@@ -5,11 +5,13 @@ declare(strict_types=1);
  * PHPUnit tests for Database_Cleanup module.
  *
  * Tests behavioral correctness: sanitization, defaults, identity,
- * size estimates, and batch size configuration.
+ * size estimates, and batch size configuration. The item inspector's
+ * private get_items() and delete_items() are called through reflection.
  *
  * @package WPTransformed
  */
 
+use WPTransformed\Core\Settings;
 use WPTransformed\Modules\Performance\Database_Cleanup;
 
 class Test_Database_Cleanup extends WP_UnitTestCase {
@@ -29,6 +31,55 @@ class Test_Database_Cleanup extends WP_UnitTestCase {
         $this->module = new Database_Cleanup();
     }
 
+    /**
+     * Call a private method of the module.
+     *
+     * @param string $method Method name.
+     * @param mixed  ...$args Arguments.
+     * @return mixed
+     */
+    private function invoke( string $method, ...$args ) {
+        $ref = new ReflectionMethod( Database_Cleanup::class, $method );
+        $ref->setAccessible( true );
+
+        return $ref->invoke( $this->module, ...$args );
+    }
+
+    /**
+     * Create a revision of a post with a given date.
+     *
+     * @param int    $parent_id Parent post ID.
+     * @param string $date      Revision date.
+     * @return int
+     */
+    private function create_revision( int $parent_id, string $date ): int {
+        return self::factory()->post->create( [
+            'post_type'   => 'revision',
+            'post_status' => 'inherit',
+            'post_parent' => $parent_id,
+            'post_name'   => $parent_id . '-revision-v1',
+            'post_date'   => $date,
+        ] );
+    }
+
+    /**
+     * Insert postmeta rows whose posts do not exist.
+     *
+     * @param string $key   Meta key.
+     * @param int    $count Number of rows, one post ID each.
+     */
+    private function insert_orphaned_postmeta( string $key, int $count ): void {
+        global $wpdb;
+
+        $rows = [];
+        for ( $i = 1; $i <= $count; $i++ ) {
+            $rows[] = $wpdb->prepare( '(%d, %s, %s)', 900000 + $i, $key, 'x' );
+        }
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query( "INSERT INTO {$wpdb->postmeta} (post_id, meta_key, meta_value) VALUES " . implode( ',', $rows ) );
+    }
+
     // ── Identity ──────────────────────────────────────────────
 
     public function test_get_id(): void {
@@ -365,6 +416,138 @@ class Test_Database_Cleanup extends WP_UnitTestCase {
         $this->assertSame( 0, $after );
     }
 
+    // ── Item Inspector ────────────────────────────────────────
+
+    public function test_items_mark_revisions_kept_by_the_setting(): void {
+        $post_id = self::factory()->post->create();
+        $oldest  = $this->create_revision( $post_id, '2026-01-01 00:00:00' );
+        $middle  = $this->create_revision( $post_id, '2026-01-02 00:00:00' );
+        $newest  = $this->create_revision( $post_id, '2026-01-03 00:00:00' );
+
+        // Settings are cached statically, so put the saved ones back before asserting.
+        $saved = Settings::get( 'database-cleanup' );
+        Settings::save( 'database-cleanup', array_merge( $this->module->get_default_settings(), [ 'keep_recent_revisions' => 2 ] ) );
+        $items = $this->invoke( 'get_items', 'revisions', '', '', 50 );
+        Settings::save( 'database-cleanup', $saved );
+
+        $kept = [];
+        foreach ( $items as $item ) {
+            if ( $item['parent_id'] === $post_id ) {
+                $kept[ (int) $item['key'] ] = $item['kept'];
+            }
+        }
+
+        $this->assertSame( [ $oldest => false, $middle => true, $newest => true ], $kept );
+    }
+
+    public function test_deleting_revisions_skips_kept_revisions_and_other_posts(): void {
+        $post_id = self::factory()->post->create();
+        $oldest  = $this->create_revision( $post_id, '2026-01-01 00:00:00' );
+        $this->create_revision( $post_id, '2026-01-02 00:00:00' );
+        $newest  = $this->create_revision( $post_id, '2026-01-03 00:00:00' );
+        $other   = self::factory()->post->create();
+
+        $settings = $this->module->get_default_settings();
+        $settings['keep_recent_revisions'] = 2;
+
+        $deleted = $this->invoke( 'delete_items', 'revisions', [ (string) $oldest, (string) $newest, (string) $other ], $settings );
+
+        $this->assertSame( 1, $deleted );
+        $this->assertNull( get_post( $oldest ) );
+        $this->assertNotNull( get_post( $newest ) );
+        $this->assertNotNull( get_post( $other ) );
+    }
+
+    public function test_deleting_items_revalidates_keys_against_the_category(): void {
+        global $wpdb;
+
+        $settings  = $this->module->get_default_settings();
+        $published = self::factory()->post->create();
+        $trashed   = self::factory()->post->create( [ 'post_status' => 'trash' ] );
+
+        $this->assertSame( 0, $this->invoke( 'delete_items', 'auto_drafts', [ (string) $trashed ], $settings ) );
+        $this->assertSame( 1, $this->invoke( 'delete_items', 'trashed_posts', [ (string) $published, (string) $trashed ], $settings ) );
+        $this->assertNotNull( get_post( $published ) );
+        $this->assertNull( get_post( $trashed ) );
+
+        $approved = self::factory()->comment->create( [ 'comment_approved' => '1' ] );
+        $spam     = self::factory()->comment->create( [ 'comment_approved' => 'spam' ] );
+
+        $this->assertSame( 1, $this->invoke( 'delete_items', 'spam_comments', [ (string) $approved, (string) $spam ], $settings ) );
+        $this->assertNotNull( get_comment( $approved ) );
+        $this->assertNull( get_comment( $spam ) );
+
+        add_option( '_transient_timeout_wpt_test_expired', time() - 60 );
+        add_option( '_transient_wpt_test_expired', 'old' );
+        add_option( '_transient_timeout_wpt_test_fresh', time() + 3600 );
+        add_option( '_transient_wpt_test_fresh', 'new' );
+
+        $deleted = $this->invoke( 'delete_items', 'expired_transients', [ '_transient_timeout_wpt_test_expired', '_transient_timeout_wpt_test_fresh', 'siteurl' ], $settings );
+
+        // Rows are deleted with SQL, so read the table rather than the options cache.
+        $this->assertSame( 2, $deleted );
+        $this->assertSame( [ '_transient_timeout_wpt_test_fresh', '_transient_wpt_test_fresh', 'siteurl' ], $wpdb->get_col(
+            "SELECT option_name FROM {$wpdb->options}
+             WHERE option_name IN ( '_transient_timeout_wpt_test_expired', '_transient_wpt_test_expired', '_transient_timeout_wpt_test_fresh', '_transient_wpt_test_fresh', 'siteurl' )
+             ORDER BY option_name ASC"
+        ) );
+    }
+
+    public function test_deleting_trashed_posts_removes_their_term_relationships(): void {
+        global $wpdb;
+
+        $category = self::factory()->category->create();
+        $post_id  = self::factory()->post->create( [ 'post_category' => [ $category ] ] );
+        wp_trash_post( $post_id );
+
+        $this->invoke( 'delete_items', 'trashed_posts', [ (string) $post_id ], $this->module->get_default_settings() );
+
+        $this->assertNull( get_post( $post_id ) );
+        $this->assertSame( 0, (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->term_relationships} WHERE object_id = %d",
+            $post_id
+        ) ) );
+    }
+
+    public function test_orphaned_meta_items_group_rows_by_key(): void {
+        $this->insert_orphaned_postmeta( 'wpt_orphan_a', 3 );
+        $this->insert_orphaned_postmeta( 'wpt_orphan_b', 1 );
+        add_post_meta( self::factory()->post->create(), 'wpt_orphan_a', 'live' );
+
+        $items = $this->invoke( 'get_items', 'orphaned_postmeta', 'wpt_orphan_', '', 50 );
+
+        $this->assertSame( [
+            [ 'key' => 'wpt_orphan_a', 'rows' => 3, 'parents' => 3 ],
+            [ 'key' => 'wpt_orphan_b', 'rows' => 1, 'parents' => 1 ],
+        ], $items );
+
+        $after = $this->invoke( 'get_items', 'orphaned_postmeta', 'wpt_orphan_', 'wpt_orphan_a', 50 );
+        $this->assertSame( [ 'wpt_orphan_b' ], wp_list_pluck( $after, 'key' ) );
+    }
+
+    public function test_deleting_orphaned_meta_works_in_batches_by_key(): void {
+        global $wpdb;
+
+        $batch = $this->module->get_batch_size();
+
+        $this->insert_orphaned_postmeta( 'wpt_orphan_a', $batch + 1 );
+        $this->insert_orphaned_postmeta( 'wpt_orphan_b', 1 );
+        $live = self::factory()->post->create();
+        add_post_meta( $live, 'wpt_orphan_a', 'live' );
+
+        $settings = $this->module->get_default_settings();
+
+        $this->assertSame( $batch, $this->invoke( 'delete_items', 'orphaned_postmeta', [ 'wpt_orphan_a' ], $settings ) );
+        $this->assertSame( 1, $this->invoke( 'delete_items', 'orphaned_postmeta', [ 'wpt_orphan_a' ], $settings ) );
+        $this->assertSame( 0, $this->invoke( 'delete_items', 'orphaned_postmeta', [ 'wpt_orphan_a' ], $settings ) );
+
+        $this->assertSame( 'live', get_post_meta( $live, 'wpt_orphan_a', true ) );
+        $this->assertSame( 1, (int) $wpdb->get_var( $wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->postmeta} WHERE meta_key = %s",
+            'wpt_orphan_b'
+        ) ) );
+    }
+
     // ── Cleanup Tasks ─────────────────────────────────────────
 
     public function test_get_cleanup_tasks_returns_empty_array(): void {
@@ -0,0 +1,61 @@
+/**
+ * Parity tests for assets/admin/js/merge-tags.js.
+ *
+ * Renders every case in tests/fixtures/merge-tags.json with the browser
+ * renderer, as tests/test-merge-tags.php does with Merge_Tags. The
+ * process runs on a clock far from the fixture timezones, so a preview
+ * that used the browser's timezone instead of the site's would fail.
+ *
+ *     node --test tests/
+ *
+ * No dependencies — Node's built-in test runner.
+ */
+'use strict';
+
+// Must be set before the first Date is made.
+process.env.TZ = 'Asia/Kolkata';
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('node:fs');
+const path   = require('node:path');
+const vm     = require('node:vm');
+
+const SCRIPT  = fs.readFileSync(path.join(__dirname, '../assets/admin/js/merge-tags.js'), 'utf8');
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/merge-tags.json'), 'utf8'));
+
+/**
+ * window.wpt.mergeTags as a page localized for a site in `timezone`.
+ */
+function mergeTags(timezone) {
+    const window  = { wptMergeTags: { dateFormat: 'F j, Y', timezone: timezone } };
+    const context = vm.createContext({ window: window, document: { addEventListener: function () {} } });
+
+    vm.runInContext(SCRIPT, context);
+
+    return window.wpt.mergeTags;
+}
+
+/**
+ * Fixture cases with the timezone of the site they are written for.
+ */
+function cases() {
+    return FIXTURE.cases.map(function (c) { return [c, 'UTC']; })
+        .concat(FIXTURE.zoned.cases.map(function (c) { return [c, FIXTURE.zoned.timezone]; }));
+}
+
+cases().forEach(function ([c, timezone]) {
+    test(timezone + ': ' + c.template, function () {
+        const result = mergeTags(timezone).analyze(c.template, FIXTURE.context);
+
+        // Objects from the vm context have another Object prototype.
+        assert.strictEqual(result.output, c.output);
+        assert.deepStrictEqual(Array.from(result.missing), c.missing || []);
+        assert.deepStrictEqual(Array.from(result.unknownFilters), c.unknown_filters || []);
+    });
+});
+
+test('fixed offsets format like wp_timezone_string()', function () {
+    assert.strictEqual(mergeTags('+05:30').render('{{d|date:"c"}}', { d: 1767603600 }), '2026-01-05T14:30:00+05:30');
+    assert.strictEqual(mergeTags('-03:00').render('{{d|date:"Y-m-d H:i c"}}', { d: '2026-01-05 09:00:00' }), '2026-01-05 09:00 2026-01-05T09:00:00-03:00');
+});
@@ -0,0 +1,88 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Merge_Tags.
+ *
+ * Renders every case in tests/fixtures/merge-tags.json, the cases the
+ * browser renderer (assets/admin/js/merge-tags.js) must produce too, so
+ * a builder preview and the email or webhook it describes agree.
+ * tests/test-merge-tags.js renders the same cases with the browser code.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Core\Merge_Tags;
+
+class Test_Merge_Tags extends WP_UnitTestCase {
+
+    /**
+     * Decoded fixture file.
+     *
+     * @return array
+     */
+    private static function fixture(): array {
+        return json_decode( (string) file_get_contents( __DIR__ . '/fixtures/merge-tags.json' ), true );
+    }
+
+    /**
+     * Fixture dates are written for a UTC site, apart from the "zoned"
+     * cases, which name their own.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        update_option( 'timezone_string', 'UTC' );
+        update_option( 'date_format', 'F j, Y' );
+    }
+
+    /**
+     * @return array<string, array>
+     */
+    public function parity_cases(): array {
+        $fixture = self::fixture();
+        $cases   = [];
+        foreach ( $fixture['cases'] as $case ) {
+            $cases[ $case['template'] ] = [ $case, 'UTC' ];
+        }
+        foreach ( $fixture['zoned']['cases'] as $case ) {
+            $cases[ $fixture['zoned']['timezone'] . ': ' . $case['template'] ] = [ $case, $fixture['zoned']['timezone'] ];
+        }
+        return $cases;
+    }
+
+    // ── Parity With merge-tags.js ─────────────────────────────
+
+    /**
+     * @dataProvider parity_cases
+     *
+     * @param array  $case     Fixture case.
+     * @param string $timezone Site timezone.
+     */
+    public function test_renders_like_the_browser( array $case, string $timezone ): void {
+        update_option( 'timezone_string', $timezone );
+
+        $result = Merge_Tags::analyze( $case['template'], self::fixture()['context'] );
+
+        $this->assertSame( $case['output'], $result['output'] );
+        $this->assertSame( $case['missing'] ?? [], $result['missing'] );
+        $this->assertSame( $case['unknown_filters'] ?? [], $result['unknown_filters'] );
+    }
+
+    // ── Context ───────────────────────────────────────────────
+
+    public function test_date_filter_defaults_to_the_site_format(): void {
+        $this->assertSame( 'January 5, 2026', Merge_Tags::render( '{{d|date}}', [ 'd' => '2026-01-05 09:07:03' ] ) );
+    }
+
+    public function test_context_adds_site_and_trigger(): void {
+        update_option( 'blogname', 'Acme' );
+
+        $context = Merge_Tags::context( [ 'post' => [ 'id' => 5 ], 'new_status' => 'publish' ], 'transition_post_status' );
+
+        $this->assertSame( 'Acme', $context['site']['name'] );
+        $this->assertSame( 'transition_post_status', $context['trigger']['hook'] );
+        $this->assertSame( [ 'new_status' => 'publish' ], $context['trigger']['meta'] );
+        $this->assertSame( 'publish/publish', Merge_Tags::render( '{{new_status}}/{{trigger.meta.new_status}}', $context ) );
+        $this->assertSame( 5, $context['post']['id'] );
+    }
+}
@@ -0,0 +1,222 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Redirect_Manager AJAX entry points.
+ *
+ * Rules are saved through the add and import handlers and then matched
+ * with the Test URL handler, so each case covers what is stored as well
+ * as how it matches: regex sources keep named groups, lookbehinds and
+ * %xx octets, and targets keep ${1}-style capture references. Imports
+ * of Apache and nginx rules use tests/fixtures/redirect-import.json.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Modules\Utilities\Redirect_Manager;
+
+class Test_Redirect_Manager_Ajax extends WP_Ajax_UnitTestCase {
+
+    /**
+     * Module instance.
+     *
+     * @var Redirect_Manager
+     */
+    private Redirect_Manager $module;
+
+    /**
+     * Set up each test.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->module = new Redirect_Manager();
+        $this->module->init();
+        $this->_setRole( 'administrator' );
+    }
+
+    /**
+     * Call an AJAX action and return the decoded JSON response.
+     *
+     * @param string $action AJAX action without the wp_ajax_ prefix.
+     * @param array  $post   Request fields besides the nonce.
+     * @return array
+     */
+    private function call( string $action, array $post ): array {
+        $_POST = array_merge( [ 'nonce' => wp_create_nonce( 'wpt_redirect_manager_nonce' ) ], $post );
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            // Expected: wp_send_json_* ends the request.
+        }
+
+        $response             = json_decode( $this->_last_response, true );
+        $this->_last_response = '';
+
+        return is_array( $response ) ? $response : [];
+    }
+
+    /**
+     * Add a rule through the Add Redirect handler.
+     *
+     * @param string $source     Source.
+     * @param string $target     Target.
+     * @param string $match_type exact|wildcard|regex.
+     * @return array
+     */
+    private function add( string $source, string $target, string $match_type ): array {
+        return $this->call( 'wpt_add_redirect', [
+            'source_url'    => wp_slash( $source ),
+            'target_url'    => wp_slash( $target ),
+            'redirect_type' => 301,
+            'match_type'    => $match_type,
+        ] );
+    }
+
+    /**
+     * Where a URL would be redirected, or null.
+     *
+     * @param string $url Path and query.
+     * @return string|null
+     */
+    private function target_for( string $url ): ?string {
+        $data = $this->call( 'wpt_test_redirect_url', [ 'url' => $url ] )['data'];
+
+        return $data['matched'] ? $data['target'] : null;
+    }
+
+    // ── Regex ─────────────────────────────────────────────────
+
+    public function test_regex_source_keeps_named_groups_and_lookbehinds(): void {
+        $source   = '^/archive/(?<year>\d{4})/(?<!/0000/)(.+?)/?$';
+        $response = $this->add( $source, '/news/${2}/${1}', 'regex' );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( $source, $response['data']['redirect']['source_url'] );
+        $this->assertSame( '/news/${2}/${1}', $response['data']['redirect']['target_url'] );
+
+        $this->assertSame( '/news/hello-world/2024', $this->target_for( '/archive/2024/hello-world/' ) );
+        $this->assertNull( $this->target_for( '/archive/24/hello-world' ) );
+    }
+
+    public function test_braced_references_are_not_read_as_two_digits(): void {
+        $this->add( '^/v(\d)/(.*)$', '/version-${1}0/$2', 'regex' );
+
+        $this->assertSame( '/version-30/docs', $this->target_for( '/v3/docs' ) );
+    }
+
+    public function test_regex_source_keeps_encoded_octets(): void {
+        $response = $this->add( '^/caf%C3%A9/(.*)$', '/cafe/$1', 'regex' );
+
+        $this->assertSame( '^/caf%C3%A9/(.*)$', $response['data']['redirect']['source_url'] );
+        $this->assertSame( '/cafe/menu', $this->target_for( '/caf%C3%A9/menu' ) );
+    }
+
+    public function test_regex_source_may_contain_escaped_and_bare_hashes(): void {
+        $escaped = $this->add( '^/notes/(\d+)(?:\#.*)?$', '/n/$1', 'regex' );
+        $bare    = $this->add( '^/tags/([^#]+)$', '/t/$1', 'regex' );
+
+        $this->assertTrue( $escaped['success'] );
+        $this->assertTrue( $bare['success'] );
+        $this->assertSame( '^/notes/(\d+)(?:\#.*)?$', $escaped['data']['redirect']['source_url'] );
+        $this->assertSame( '/n/7', $this->target_for( '/notes/7' ) );
+        $this->assertSame( '/t/news', $this->target_for( '/tags/news' ) );
+    }
+
+    public function test_invalid_regex_is_rejected(): void {
+        $response = $this->add( '^/(unclosed', '/x', 'regex' );
+
+        $this->assertFalse( $response['success'] );
+    }
+
+    // ── Wildcard and Exact ────────────────────────────────────
+
+    public function test_wildcard_captures_fill_the_target(): void {
+        $this->add( '/old/*/page-*', '/new/$1?page=$2', 'wildcard' );
+
+        $this->assertSame( '/new/shop?page=2', $this->target_for( '/old/shop/page-2' ) );
+        $this->assertSame( '/new/shop?page=2', $this->target_for( '/OLD/shop/page-2/' ) );
+        $this->assertNull( $this->target_for( '/older/shop/page-2' ) );
+    }
+
+    public function test_exact_source_keeps_encoded_octets(): void {
+        $response = $this->add( '/caf%C3%A9', '/cafe', 'exact' );
+
+        $this->assertSame( '/caf%C3%A9', $response['data']['redirect']['source_url'] );
+        $this->assertSame( '/cafe', $this->target_for( '/caf%C3%A9' ) );
+        $this->assertNull( $this->target_for( '/caf' ) );
+    }
+
+    public function test_target_rejects_other_protocols(): void {
+        $response = $this->add( '/js', 'javascript:alert(1)', 'exact' );
+
+        $this->assertStringNotContainsString( 'javascript:', (string) ( $response['data']['redirect']['target_url'] ?? '' ) );
+    }
+
+    // ── Target Check ──────────────────────────────────────────
+
+    public function test_target_check_reports_missing_targets_with_short_timeouts(): void {
+        $this->add( '/a', 'https://example.com/gone', 'exact' );
+        $this->add( '/b', 'https://example.com/here', 'exact' );
+
+        $timeouts = [];
+        add_filter( 'pre_http_request', static function ( $pre, array $args, string $url ) use ( &$timeouts ) {
+            $timeouts[] = $args['timeout'];
+            return [ 'headers' => [], 'body' => '', 'cookies' => [], 'filename' => null, 'response' => [ 'code' => strpos( $url, 'gone' ) ? 404 : 200, 'message' => '' ] ];
+        }, 10, 3 );
+
+        $data = $this->call( 'wpt_check_redirect_targets', [ 'offset' => 0 ] )['data'];
+
+        $this->assertSame( 2, $data['processed'] );
+        $this->assertTrue( $data['done'] );
+        $this->assertSame( [ 'https://example.com/gone' ], wp_list_pluck( $data['broken'], 'target_url' ) );
+        $this->assertLessThanOrEqual( 2, max( $timeouts ) );
+    }
+
+    // ── Import ────────────────────────────────────────────────
+
+    public function test_import_keeps_regex_sources_and_braced_targets(): void {
+        $rows = [
+            [ 'source' => '^/p/(?<id>\d+)$', 'target' => '/?p=${1}', 'type' => 301, 'match_type' => 'regex' ],
+        ];
+
+        $response = $this->call( 'wpt_import_redirects', [ 'rows' => wp_slash( wp_json_encode( $rows ) ) ] );
+
+        $this->assertSame( 1, $response['data']['counts']['imported'] );
+        $this->assertSame( '/?p=42', $this->target_for( '/p/42' ) );
+    }
+
+    /**
+     * Rules parseApache() and parseNginx() produce for each fixture case.
+     *
+     * @return array<string, array>
+     */
+    public function parser_cases(): array {
+        $fixture = json_decode( (string) file_get_contents( __DIR__ . '/fixtures/redirect-import.json' ), true );
+        $cases   = [];
+
+        foreach ( $fixture['cases'] as $case ) {
+            $cases[ $case['format'] . ': ' . $case['input'] ] = [ $case ];
+        }
+
+        return $cases;
+    }
+
+    /**
+     * The browser parses server configs; this checks that what it sends
+     * redirects the way Apache or nginx would have.
+     *
+     * @dataProvider parser_cases
+     *
+     * @param array $case Fixture case.
+     */
+    public function test_parsed_server_rules_redirect_like_the_server( array $case ): void {
+        $response = $this->call( 'wpt_import_redirects', [ 'rows' => wp_slash( wp_json_encode( $case['rules'] ) ) ] );
+
+        $this->assertSame( count( $case['rules'] ), $response['data']['counts']['imported'] );
+
+        foreach ( $case['requests'] as $path => $target ) {
+            $this->assertSame( $target, $this->target_for( (string) $path ), (string) $path );
+        }
+    }
+}
@@ -0,0 +1,363 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Search_Replace AJAX entry points.
+ *
+ * Each case seeds rows through the factories, drives the dry run,
+ * preview, batch run, history and undo handlers the way the admin
+ * screen does, and reads the stored values back from the database, so
+ * it covers what a run writes as well as what it reports. Guards on a
+ * multisite subsite's tables are checked through the private
+ * scope_table() via reflection.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Modules\Utilities\Search_Replace;
+
+class Test_Search_Replace_Ajax extends WP_Ajax_UnitTestCase {
+
+    /**
+     * Module instance.
+     *
+     * @var Search_Replace
+     */
+    private Search_Replace $module;
+
+    /**
+     * Set up each test.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->module = new Search_Replace();
+        $this->module->init();
+        $this->_setRole( 'administrator' );
+    }
+
+    /**
+     * Call an AJAX action and return the decoded JSON response.
+     *
+     * @param string $action AJAX action without the wp_ajax_ prefix.
+     * @param array  $post   Request fields besides the nonce.
+     * @return array
+     */
+    private function call( string $action, array $post ): array {
+        $_POST = array_merge( [ 'nonce' => wp_create_nonce( 'wpt_search_replace_nonce' ) ], $post );
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            // Expected: wp_send_json_* ends the request.
+        }
+
+        $response             = json_decode( $this->_last_response, true );
+        $this->_last_response = '';
+
+        return is_array( $response ) ? $response : [];
+    }
+
+    /**
+     * Request fields for a list of pairs, as the admin screen sends them.
+     *
+     * @param array<string, string> $pairs Search => replace, in order.
+     * @param array                 $extra Other request fields.
+     * @return array
+     */
+    private function request( array $pairs, array $extra = [] ): array {
+        $list = [];
+        foreach ( $pairs as $search => $replace ) {
+            $list[] = [ 'search' => $search, 'replace' => $replace ];
+        }
+
+        return array_merge( [ 'pairs' => wp_slash( wp_json_encode( $list ) ) ], $extra );
+    }
+
+    /**
+     * Run one batch over a table.
+     *
+     * @param string                $table Full table name.
+     * @param array<string, string> $pairs Search => replace, in order.
+     * @param array                 $extra Other request fields.
+     * @return array
+     */
+    private function run( string $table, array $pairs, array $extra = [] ): array {
+        return $this->call( 'wpt_search_replace_run', $this->request( $pairs, array_merge( [
+            'table'   => $table,
+            'run_id'  => wp_generate_uuid4(),
+            'last_id' => 0,
+        ], $extra ) ) );
+    }
+
+    /**
+     * A post column as stored, bypassing the object cache.
+     *
+     * @param int    $post_id Post ID.
+     * @param string $column  Column name.
+     * @return string
+     */
+    private function post_column( int $post_id, string $column ): string {
+        global $wpdb;
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- fixed column names from the tests.
+        return (string) $wpdb->get_var( $wpdb->prepare( "SELECT `{$column}` FROM {$wpdb->posts} WHERE ID = %d", $post_id ) );
+    }
+
+    // ── Dry Run and Preview ───────────────────────────────────
+
+    public function test_dry_run_counts_matches_per_table(): void {
+        global $wpdb;
+
+        self::factory()->post->create( [ 'post_content' => 'See preview.test and preview.test/about' ] );
+        self::factory()->post->create( [ 'post_title' => 'preview.test', 'post_content' => 'Nothing here' ] );
+
+        $response = $this->call( 'wpt_search_replace_dry_run', $this->request( [ 'preview.test' => 'live.test' ], [
+            'tables' => [ $wpdb->posts ],
+        ] ) );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( [ [ 'table' => $wpdb->posts, 'rows' => 2, 'matches' => 3 ] ], $response['data']['results'] );
+        $this->assertSame( 3, $response['data']['total'] );
+    }
+
+    public function test_preview_lists_the_cells_a_run_would_change(): void {
+        global $wpdb;
+
+        $first  = self::factory()->post->create( [ 'post_content' => 'See preview.test' ] );
+        $second = self::factory()->post->create( [ 'post_title' => 'preview.test', 'post_content' => 'Nothing here' ] );
+
+        $response = $this->call( 'wpt_search_replace_preview', $this->request( [ 'preview.test' => 'live.test' ], [
+            'table' => $wpdb->posts,
+            'after' => 0,
+        ] ) );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( 'ID', $response['data']['primary_key'] );
+        $this->assertSame( $second, $response['data']['last_id'] );
+        $this->assertFalse( $response['data']['has_more'] );
+
+        $cells = [];
+        foreach ( $response['data']['rows'] as $row ) {
+            $cells[ $row['id'] ] = wp_list_pluck( $row['cells'], 'column' );
+        }
+        $this->assertSame( [ $first => [ 'post_content' ], $second => [ 'post_title' ] ], $cells );
+    }
+
+    public function test_run_leaves_excluded_rows_and_columns_alone(): void {
+        global $wpdb;
+
+        $kept_row = self::factory()->post->create( [ 'post_content' => 'See preview.test' ] );
+        $changed  = self::factory()->post->create( [ 'post_title' => 'preview.test', 'post_content' => 'See preview.test' ] );
+
+        $response = $this->run( $wpdb->posts, [ 'preview.test' => 'live.test' ], [
+            'exclude_rows'    => (string) $kept_row,
+            'exclude_columns' => [ 'post_title' ],
+        ] );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertTrue( $response['data']['done'] );
+        $this->assertSame( 1, $response['data']['replaced'] );
+        $this->assertSame( 'See preview.test', $this->post_column( $kept_row, 'post_content' ) );
+        $this->assertSame( 'See live.test', $this->post_column( $changed, 'post_content' ) );
+        $this->assertSame( 'preview.test', $this->post_column( $changed, 'post_title' ) );
+    }
+
+    // ── Pairs ─────────────────────────────────────────────────
+
+    public function test_pairs_apply_in_order(): void {
+        global $wpdb;
+
+        $post_id = self::factory()->post->create( [ 'post_content' => 'Visit old.test and new.test' ] );
+        $pairs   = [ 'old.test' => 'new.test', 'new.test' => 'final.test' ];
+
+        // The second pair also counts what the first one writes.
+        $dry_run = $this->call( 'wpt_search_replace_dry_run', $this->request( $pairs, [ 'tables' => [ $wpdb->posts ] ] ) );
+        $this->assertSame( [ 1, 2 ], $dry_run['data']['pairs'] );
+
+        $response = $this->run( $wpdb->posts, $pairs );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( 'Visit final.test and final.test', $this->post_column( $post_id, 'post_content' ) );
+    }
+
+    public function test_a_repeated_batch_is_not_applied_twice(): void {
+        global $wpdb;
+
+        $post_id = self::factory()->post->create( [ 'post_content' => 'cdn.test/logo.png' ] );
+        $batch   = [ 'run_id' => wp_generate_uuid4(), 'last_id' => 0 ];
+
+        $first = $this->run( $wpdb->posts, [ 'cdn.test' => 'cdn.test/static' ], $batch );
+        // A client retrying after the response was lost sends the same cursor.
+        $again = $this->run( $wpdb->posts, [ 'cdn.test' => 'cdn.test/static' ], $batch );
+
+        $this->assertSame( 1, $first['data']['replaced'] );
+        $this->assertTrue( $again['success'] );
+        $this->assertTrue( $again['data']['done'] );
+        $this->assertSame( 0, $again['data']['replaced'] );
+        $this->assertSame( 'cdn.test/static/logo.png', $this->post_column( $post_id, 'post_content' ) );
+    }
+
+    // ── Scope and Guards ──────────────────────────────────────
+
+    /**
+     * The `scope` request field for one table's row filters.
+     *
+     * @param string $table   Full table name.
+     * @param array  $filters Row filters (column, op, value).
+     * @return string
+     */
+    private function row_scope( string $table, array $filters ): string {
+        return wp_slash( wp_json_encode( [ $table => [ 'mode' => 'all', 'rows' => $filters ] ] ) );
+    }
+
+    public function test_row_filters_narrow_a_run(): void {
+        global $wpdb;
+
+        $in  = self::factory()->post->create( [ 'post_content' => 'scope.test' ] );
+        $out = self::factory()->post->create( [ 'post_content' => 'scope.test' ] );
+
+        $this->run( $wpdb->posts, [ 'scope.test' => 'scoped.test' ], [
+            'scope' => $this->row_scope( $wpdb->posts, [ [ 'column' => 'ID', 'op' => '=', 'value' => (string) $in ] ] ),
+        ] );
+
+        $this->assertSame( 'scoped.test', $this->post_column( $in, 'post_content' ) );
+        $this->assertSame( 'scope.test', $this->post_column( $out, 'post_content' ) );
+    }
+
+    public function test_unknown_filter_columns_and_operators_are_rejected(): void {
+        global $wpdb;
+
+        $post_id = self::factory()->post->create( [ 'post_content' => 'scope.test' ] );
+        $filters = [
+            'Unknown column'     => [ 'column' => 'no_such_column', 'op' => '=', 'value' => '1' ],
+            'Unknown comparison' => [ 'column' => 'ID', 'op' => '= 0 OR 1 =', 'value' => '1' ],
+        ];
+
+        foreach ( $filters as $message => $filter ) {
+            $scope   = $this->row_scope( $wpdb->posts, [ $filter ] );
+            $dry_run = $this->call( 'wpt_search_replace_dry_run', $this->request( [ 'scope.test' => 'x' ], [
+                'tables' => [ $wpdb->posts ],
+                'scope'  => $scope,
+            ] ) );
+            $run     = $this->run( $wpdb->posts, [ 'scope.test' => 'x' ], [ 'scope' => $scope ] );
+
+            $this->assertFalse( $dry_run['success'] );
+            $this->assertStringStartsWith( $message, $dry_run['data']['message'] );
+            $this->assertFalse( $run['success'] );
+            $this->assertStringStartsWith( $message, $run['data']['message'] );
+        }
+
+        $this->assertSame( 'scope.test', $this->post_column( $post_id, 'post_content' ) );
+    }
+
+    public function test_guarded_values_are_never_written(): void {
+        global $wpdb;
+
+        $user_id = get_current_user_id();
+        $post_id = self::factory()->post->create( [ 'post_content' => 'guard.test', 'guid' => 'http://guard.test/?p=1' ] );
+        update_user_meta( $user_id, 'session_tokens', [ 'token' => [ 'ua' => 'guard.test' ] ] );
+        update_user_meta( $user_id, 'wpt_sr_note', 'guard.test' );
+        set_transient( 'wpt_sr_guard', 'guard.test' );
+        update_option( 'wpt_sr_note', 'guard.test' );
+
+        foreach ( [ $wpdb->posts, $wpdb->usermeta, $wpdb->options ] as $table ) {
+            $this->assertTrue( $this->run( $table, [ 'guard.test' => 'moved.test' ] )['success'] );
+        }
+
+        $this->assertSame( 'moved.test', $this->post_column( $post_id, 'post_content' ) );
+        $this->assertSame( 'http://guard.test/?p=1', $this->post_column( $post_id, 'guid' ) );
+        $this->assertSame( 'moved.test', get_user_meta( $user_id, 'wpt_sr_note', true ) );
+        $this->assertSame( [ 'token' => [ 'ua' => 'guard.test' ] ], get_user_meta( $user_id, 'session_tokens', true ) );
+        $this->assertSame( 'moved.test', get_option( 'wpt_sr_note' ) );
+        $this->assertSame( 'guard.test', get_transient( 'wpt_sr_guard' ) );
+
+        // Unless the run allows them.
+        $this->run( $wpdb->posts, [ 'guard.test' => 'moved.test' ], [ 'allow_guards' => [ 'guid' ] ] );
+        $this->assertSame( 'http://moved.test/?p=1', $this->post_column( $post_id, 'guid' ) );
+    }
+
+    public function test_guards_cover_subsite_tables(): void {
+        global $wpdb;
+
+        $scope_table = new ReflectionMethod( Search_Replace::class, 'scope_table' );
+        $scope_table->setAccessible( true );
+        $scope = [ 'tables' => [], 'allow' => [] ];
+
+        $posts = $scope_table->invoke( $this->module, $wpdb->base_prefix . '2_posts', [
+            'text_columns' => [ 'post_content', 'guid' ],
+            'columns'      => [ 'ID', 'post_content', 'guid' ],
+            'primary_key'  => 'ID',
+        ], $scope );
+        $this->assertSame( [ 'post_content' ], $posts['columns'] );
+
+        $options = $scope_table->invoke( $this->module, $wpdb->base_prefix . '2_options', [
+            'text_columns' => [ 'option_name', 'option_value' ],
+            'columns'      => [ 'option_id', 'option_name', 'option_value' ],
+            'primary_key'  => 'option_id',
+        ], $scope );
+
+        // The subsite's options table has the same columns as this one.
+        set_transient( 'wpt_sr_guard', 'guard.test' );
+        update_option( 'wpt_sr_note', 'guard.test' );
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- WHERE fragment built by scope_table().
+        $writable = $wpdb->get_col( "SELECT option_name FROM {$wpdb->options} WHERE option_name IN ('_transient_wpt_sr_guard', 'wpt_sr_note') AND {$options['where']}" );
+
+        $this->assertSame( [ 'wpt_sr_note' ], $writable );
+    }
+
+    // ── History and Undo ──────────────────────────────────────
+
+    /**
+     * A run's entry in the history.
+     *
+     * @param string $run_id Run ID.
+     * @return array|null
+     */
+    private function history_run( string $run_id ): ?array {
+        $runs = $this->call( 'wpt_search_replace_history', [ 'page' => 0 ] )['data']['runs'];
+
+        foreach ( $runs as $run ) {
+            if ( $run['run_id'] === $run_id ) {
+                return $run;
+            }
+        }
+
+        return null;
+    }
+
+    public function test_undo_restores_only_the_selected_entries_and_reports_conflicts(): void {
+        global $wpdb;
+
+        $reworked = self::factory()->post->create( [ 'post_content' => 'undo.test alpha' ] );
+        $selected = self::factory()->post->create( [ 'post_content' => 'undo.test beta' ] );
+        $first    = wp_generate_uuid4();
+        $second   = wp_generate_uuid4();
+
+        $this->run( $wpdb->posts, [ 'undo.test' => 'undo.example' ], [ 'run_id' => $first ] );
+        $this->run( $wpdb->posts, [ 'undo.example alpha' => 'undo.example gamma' ], [ 'run_id' => $second ] );
+
+        // The second run changed one of the first run's rows again.
+        $this->assertSame( 2, $this->history_run( $first )['logged'] );
+        $this->assertSame( 1, $this->history_run( $first )['conflicts'] );
+        $this->assertSame( 0, $this->history_run( $second )['conflicts'] );
+
+        $entries = $this->call( 'wpt_search_replace_entries', [ 'run_id' => $first, 'after' => 0 ] )['data']['entries'];
+        $later   = [];
+        foreach ( $entries as $entry ) {
+            $later[ $entry['row_id'] ] = $entry['later'];
+        }
+        $this->assertSame( [ $reworked => [ $second ], $selected => [] ], $later );
+
+        $undo = $this->call( 'wpt_search_replace_undo', [
+            'run_id'  => $first,
+            'entries' => (string) $entries[1]['id'],
+        ] );
+
+        $this->assertTrue( $undo['success'] );
+        $this->assertSame( 1, $undo['data']['restored'] );
+        $this->assertSame( 1, $undo['data']['remaining'] );
+        $this->assertSame( 'undo.test beta', $this->post_column( $selected, 'post_content' ) );
+        $this->assertSame( 'undo.example gamma', $this->post_column( $reworked, 'post_content' ) );
+        $this->assertSame( 1, $this->history_run( $first )['undone'] );
+    }
+}
@@ -0,0 +1,432 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Webhook_Manager AJAX entry points.
+ *
+ * Requests are answered by a pre_http_request filter with the status
+ * codes each test queues, so the delivery log, the retry chain, replays
+ * and the bodies, credentials and signatures each webhook sends can be
+ * followed without a network. Events queue their deliveries for cron;
+ * send_queued() runs what cron would.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Modules\Utilities\Webhook_Manager;
+
+class Test_Webhook_Manager_Ajax extends WP_Ajax_UnitTestCase {
+
+    /**
+     * Module instance.
+     *
+     * @var Webhook_Manager
+     */
+    private Webhook_Manager $module;
+
+    /**
+     * Status codes the next requests answer with; 200 once empty.
+     *
+     * @var int[]
+     */
+    private array $codes = [];
+
+    /**
+     * Requests sent, as [url, args].
+     *
+     * @var array[]
+     */
+    private array $requests = [];
+
+    /**
+     * Set up each test.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->module = new Webhook_Manager();
+        $this->module->init();
+        $this->_setRole( 'administrator' );
+
+        add_filter( 'pre_http_request', function ( $pre, array $args, string $url ) {
+            $this->requests[] = [ $url, $args ];
+            $code = $this->codes ? array_shift( $this->codes ) : 200;
+            return [ 'headers' => [], 'body' => 'answer ' . $code, 'cookies' => [], 'filename' => null, 'response' => [ 'code' => $code, 'message' => '' ] ];
+        }, 10, 3 );
+    }
+
+    /**
+     * Call an AJAX action and return the decoded JSON response.
+     *
+     * @param string $action AJAX action without the wp_ajax_ prefix.
+     * @param array  $post   Request fields besides the nonce.
+     * @return array
+     */
+    private function call( string $action, array $post ): array {
+        $_POST = array_merge( [ 'nonce' => wp_create_nonce( 'wpt_webhook_nonce' ) ], $post );
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            // Expected: wp_send_json_* ends the request.
+        }
+
+        $response             = json_decode( $this->_last_response, true );
+        $this->_last_response = '';
+
+        return is_array( $response ) ? $response : [];
+    }
+
+    /**
+     * Save a webhook and return its ID.
+     *
+     * @param array $fields Fields besides the defaults.
+     * @return int
+     */
+    private function save( array $fields = [] ): int {
+        $response = $this->call( 'wpt_webhook_save', array_merge( [
+            'name'    => 'Zapier',
+            'url'     => 'https://hooks.example.com/catch',
+            'event'   => 'publish_post',
+            'headers' => '',
+        ], $fields ) );
+
+        return (int) $response['data']['id'];
+    }
+
+    /**
+     * A webhook as the list reports it.
+     *
+     * @param int $id Webhook ID.
+     * @return array
+     */
+    private function listed( int $id ): array {
+        foreach ( $this->call( 'wpt_webhook_list', [] )['data']['webhooks'] as $webhook ) {
+            if ( $webhook['id'] === $id ) {
+                return $webhook;
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Deliveries of a webhook, newest first.
+     *
+     * @param int    $id     Webhook ID.
+     * @param string $status '' or 'failed'.
+     * @return array
+     */
+    private function deliveries( int $id, string $status = '' ): array {
+        return $this->call( 'wpt_webhook_deliveries', [ 'id' => $id, 'page' => 1, 'status' => $status ] )['data'];
+    }
+
+    /**
+     * Send the deliveries cron has due now, as the next cron run would.
+     */
+    private function send_queued(): void {
+        foreach ( (array) _get_cron_array() as $timestamp => $hooks ) {
+            if ( $timestamp > time() ) {
+                continue;
+            }
+            foreach ( $hooks['wpt_webhook_retry'] ?? [] as $event ) {
+                wp_unschedule_event( $timestamp, 'wpt_webhook_retry', $event['args'] );
+                $this->module->retry_delivery( $event['args'][0] );
+            }
+        }
+    }
+
+    // ── Delivery Log ──────────────────────────────────────────
+
+    public function test_event_is_sent_and_recorded(): void {
+        $id = $this->save();
+
+        // Listeners are added for active webhooks when the module starts.
+        $this->module->init();
+        self::factory()->post->create( [ 'post_title' => 'Hello webhook', 'post_status' => 'publish' ] );
+
+        // Nothing is sent while the post saves.
+        $queued = $this->deliveries( $id )['deliveries'][0];
+        $this->assertCount( 0, $this->requests );
+        $this->assertSame( 'queued', $queued['status'] );
+        $this->assertNotFalse( wp_next_scheduled( 'wpt_webhook_retry', [ $queued['id'] ] ) );
+
+        $this->send_queued();
+
+        $this->assertCount( 1, $this->requests );
+        $this->assertSame( 'Hello webhook', json_decode( $this->requests[0][1]['body'], true )['post']['title'] );
+
+        $data = $this->deliveries( $id );
+        $this->assertSame( 1, $data['total'] );
+        $this->assertSame( $queued['id'], $data['deliveries'][0]['id'] );
+        $this->assertSame( 'publish_post', $data['deliveries'][0]['event'] );
+        $this->assertSame( 'success', $data['deliveries'][0]['status'] );
+        $this->assertSame( 200, $data['deliveries'][0]['response_code'] );
+        $this->assertSame( 200, $this->listed( $id )['last_status'] );
+    }
+
+    public function test_delivery_detail_keeps_request_and_response_without_credentials(): void {
+        $id = $this->save( [ 'headers' => wp_slash( wp_json_encode( [ 'Authorization' => 'Bearer s3cret', 'X-Site' => '{{site.name}}' ] ) ) ] );
+
+        $delivery = $this->call( 'wpt_webhook_test', [ 'id' => $id ] )['data']['delivery'];
+        $detail   = $this->call( 'wpt_webhook_delivery', [ 'delivery_id' => $delivery['id'] ] )['data']['delivery'];
+        $headers  = json_decode( $detail['request_headers'], true );
+
+        $this->assertSame( 'Bearer s3cret', $this->requests[0][1]['headers']['Authorization'] );
+        $this->assertStringNotContainsString( 's3cret', $detail['request_headers'] );
+        $this->assertSame( get_bloginfo( 'name' ), $headers['X-Site'] );
+        $this->assertTrue( json_decode( $detail['request_body'], true )['trigger']['meta']['test'] );
+        $this->assertSame( 'answer 200', $detail['response_body'] );
+    }
+
+    // ── Retries ───────────────────────────────────────────────
+
+    public function test_failed_delivery_is_retried_with_backoff(): void {
+        $id = $this->save();
+        $this->module->init();
+
+        $this->codes = [ 500, 502, 200 ];
+        self::factory()->post->create( [ 'post_status' => 'publish' ] );
+        $this->send_queued();
+
+        $first = $this->deliveries( $id )['deliveries'][0];
+        $this->assertSame( 'retrying', $first['status'] );
+        $this->assertSame( 5, $first['max_attempts'] );
+
+        $event = wp_get_scheduled_event( 'wpt_webhook_retry', [ $first['id'] ] );
+        $this->assertNotFalse( $event );
+        $this->assertEqualsWithDelta( time() + MINUTE_IN_SECONDS, $event->timestamp, 5 );
+
+        $this->module->retry_delivery( $first['id'] );
+        $second = $this->deliveries( $id )['deliveries'][0];
+
+        $this->assertSame( 2, $second['attempt'] );
+        $this->assertSame( 'retrying', $second['status'] );
+        $this->assertEqualsWithDelta( time() + 2 * MINUTE_IN_SECONDS, wp_get_scheduled_event( 'wpt_webhook_retry', [ $second['id'] ] )->timestamp, 5 );
+        $this->assertSame( 2, $this->listed( $id )['failing'] );
+
+        $this->module->retry_delivery( $second['id'] );
+        $data = $this->deliveries( $id );
+
+        $this->assertSame( [ 'success', 'failed', 'failed' ], wp_list_pluck( $data['deliveries'], 'status' ) );
+        $this->assertSame( $this->requests[0][1]['body'], $this->requests[2][1]['body'] );
+        $this->assertSame( 0, $this->listed( $id )['failing'] );
+        $this->assertSame( 2, $this->deliveries( $id, 'failed' )['total'] );
+    }
+
+    public function test_pruning_keeps_deliveries_waiting_for_a_retry(): void {
+        global $wpdb;
+
+        $id = $this->save();
+        $this->module->init();
+
+        $this->codes = [ 500 ];
+        self::factory()->post->create( [ 'post_status' => 'publish' ] );
+        $this->send_queued();
+        $retrying = $this->deliveries( $id )['deliveries'][0];
+
+        // A full log of newer deliveries, then one more send prunes it.
+        $table = $wpdb->prefix . 'wpt_webhook_deliveries';
+        $row   = $wpdb->prepare( "(%d, 'publish_post', 'success', '{}', '', '{}', '', %s)", $id, gmdate( 'Y-m-d H:i:s' ) );
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $wpdb->query( "INSERT INTO {$table} (webhook_id, event, status, context, request_url, request_headers, request_body, created_at) VALUES " . implode( ',', array_fill( 0, 200, $row ) ) );
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+
+        $this->module->retry_delivery( $retrying['id'] );
+
+        $this->assertCount( 3, $this->requests );
+        $this->assertSame( 2, $this->deliveries( $id )['deliveries'][0]['attempt'] );
+    }
+
+    public function test_tests_and_replays_are_sent_once(): void {
+        $id = $this->save();
+
+        $this->codes = [ 500, 500 ];
+        $test        = $this->call( 'wpt_webhook_test', [ 'id' => $id ] )['data']['delivery'];
+        $replay      = $this->call( 'wpt_webhook_replay', [ 'delivery_id' => $test['id'] ] )['data']['delivery'];
+
+        $this->assertSame( [ 'failed', 'failed' ], [ $test['status'], $replay['status'] ] );
+        $this->assertSame( 1, $replay['max_attempts'] );
+        $this->assertFalse( wp_next_scheduled( 'wpt_webhook_retry', [ $replay['id'] ] ) );
+
+        $this->module->retry_delivery( $replay['id'] );
+
+        $this->assertCount( 2, $this->requests );
+    }
+
+    // ── Replay ────────────────────────────────────────────────
+
+    public function test_replay_resends_the_recorded_context(): void {
+        $id = $this->save();
+
+        $this->codes = [ 404 ];
+        $original    = $this->call( 'wpt_webhook_test', [ 'id' => $id ] )['data']['delivery'];
+        $this->assertSame( 'failed', $original['status'] );
+
+        $this->call( 'wpt_webhook_save', [ 'id' => $id, 'name' => 'Zapier', 'url' => 'https://hooks.example.com/fixed', 'event' => 'publish_post', 'headers' => '' ] );
+        $response = $this->call( 'wpt_webhook_replay', [ 'delivery_id' => $original['id'] ] );
+
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( $original['id'], $response['data']['delivery']['replay_of'] );
+        $this->assertSame( 'success', $response['data']['delivery']['status'] );
+        $this->assertSame( 'https://hooks.example.com/fixed', $this->requests[1][0] );
+        $this->assertSame( $this->requests[0][1]['body'], $this->requests[1][1]['body'] );
+    }
+
+    public function test_deleting_a_webhook_drops_its_log(): void {
+        $id       = $this->save();
+        $delivery = $this->call( 'wpt_webhook_test', [ 'id' => $id ] )['data']['delivery'];
+
+        $this->call( 'wpt_webhook_delete', [ 'id' => $id ] );
+
+        $this->assertFalse( $this->call( 'wpt_webhook_delivery', [ 'delivery_id' => $delivery['id'] ] )['success'] );
+    }
+
+    // ── Events and Filters ────────────────────────────────────
+
+    public function test_one_webhook_listens_to_several_events(): void {
+        $id = $this->save( [ 'events' => [ 'publish_post', 'user_register' ] ] );
+        $this->module->init();
+
+        self::factory()->post->create( [ 'post_status' => 'publish' ] );
+        self::factory()->user->create();
+        $this->send_queued();
+
+        $this->assertSame( [ 'user_register', 'publish_post' ], wp_list_pluck( $this->deliveries( $id )['deliveries'], 'event' ) );
+        $this->assertSame( [ 'publish_post', 'user_register' ], $this->listed( $id )['events'] );
+        $this->assertSame( 'publish_post', $this->listed( $id )['event'] );
+    }
+
+    public function test_filters_narrow_each_event(): void {
+        $news = self::factory()->category->create( [ 'name' => 'News' ] );
+        $misc = self::factory()->category->create( [ 'name' => 'Misc' ] );
+
+        $id = $this->save( [
+            'events'  => [ 'publish_post', 'user_register' ],
+            'filters' => wp_slash( wp_json_encode( [
+                'publish_post'  => [ 'post_types' => [ 'post' ], 'taxonomy' => 'category', 'terms' => 'news, 999999' ],
+                'user_register' => [ 'roles' => [ 'editor' ] ],
+            ] ) ),
+        ] );
+        $this->module->init();
+
+        self::factory()->post->create( [ 'post_status' => 'publish', 'post_title' => 'In news', 'post_category' => [ $news ] ] );
+        self::factory()->post->create( [ 'post_status' => 'publish', 'post_title' => 'In misc', 'post_category' => [ $misc ] ] );
+        self::factory()->post->create( [ 'post_status' => 'publish', 'post_type' => 'page' ] );
+        self::factory()->user->create( [ 'role' => 'subscriber' ] );
+        self::factory()->user->create( [ 'role' => 'editor', 'user_login' => 'ed' ] );
+        $this->send_queued();
+
+        $this->assertCount( 2, $this->requests );
+        $this->assertSame( 'In news', json_decode( $this->requests[0][1]['body'], true )['post']['title'] );
+        $this->assertSame( 'ed', json_decode( $this->requests[1][1]['body'], true )['user']['login'] );
+        $this->assertArrayHasKey( 'publish_post', $this->listed( $id )['filters'] );
+    }
+
+    public function test_save_keeps_filters_of_subscribed_events_only(): void {
+        $id = $this->save( [
+            'events'  => [ 'publish_post', 'not_an_event' ],
+            'filters' => wp_slash( wp_json_encode( [
+                'publish_post' => [ 'post_types' => [ 'post' ], 'terms' => 'orphan' ],
+                'wp_login'     => [ 'roles' => [ 'editor' ] ],
+            ] ) ),
+        ] );
+
+        $listed = $this->listed( $id );
+
+        $this->assertSame( [ 'publish_post' ], $listed['events'] );
+        $this->assertSame( [ 'publish_post' => [ 'post_types' => [ 'post' ] ] ], $listed['filters'] );
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'https://example.com', 'events' => [ 'init' ] ] )['success'] );
+    }
+
+    // ── Formats, Auth and Signing ─────────────────────────────
+
+    public function test_chat_formats_wrap_the_rendered_message(): void {
+        $id = $this->save( [ 'format' => 'slack', 'message' => 'New on {{site.name|upper}}' ] );
+
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+        $this->call( 'wpt_webhook_save', [ 'id' => $id, 'name' => 'Teams', 'url' => 'https://hooks.example.com/catch', 'event' => 'publish_post', 'format' => 'teams', 'message' => 'Hi' ] );
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+
+        $this->assertSame( [ 'text' => 'New on ' . strtoupper( get_bloginfo( 'name' ) ) ], json_decode( $this->requests[0][1]['body'], true ) );
+        $this->assertSame( 'MessageCard', json_decode( $this->requests[1][1]['body'], true )['@type'] );
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'https://example.com', 'event' => 'publish_post', 'format' => 'discord', 'message' => ' ' ] )['success'] );
+    }
+
+    public function test_form_and_custom_formats(): void {
+        $form   = $this->save( [ 'format' => 'form' ] );
+        $custom = $this->save( [
+            'format'       => 'custom',
+            'template'     => wp_slash( '<event hook="{{trigger.hook}}" test="{{trigger.meta.test}}"/>' ),
+            'content_type' => 'application/xml',
+        ] );
+
+        $this->call( 'wpt_webhook_test', [ 'id' => $form ] );
+        $this->call( 'wpt_webhook_test', [ 'id' => $custom ] );
+
+        parse_str( $this->requests[0][1]['body'], $fields );
+        $this->assertSame( 'application/x-www-form-urlencoded', $this->requests[0][1]['headers']['Content-Type'] );
+        $this->assertSame( 'publish_post', $fields['trigger']['hook'] );
+        $this->assertSame( 'true', $fields['trigger']['meta']['test'] );
+
+        $this->assertSame( 'application/xml', $this->requests[1][1]['headers']['Content-Type'] );
+        $this->assertSame( '<event hook="publish_post" test="true"/>', $this->requests[1][1]['body'] );
+    }
+
+    public function test_signed_requests_carry_timestamp_and_hmac(): void {
+        $secret = 'whsec_0123456789abcdef';
+        $id     = $this->save( [ 'sign' => '1', 'secret' => $secret ] );
+
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+
+        $headers = $this->requests[0][1]['headers'];
+        $this->assertEqualsWithDelta( time(), (int) $headers['X-WPT-Timestamp'], 5 );
+        $this->assertSame(
+            'sha256=' . hash_hmac( 'sha256', $headers['X-WPT-Timestamp'] . '.' . $this->requests[0][1]['body'], $secret ),
+            $headers['X-WPT-Signature']
+        );
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'https://example.com', 'event' => 'publish_post', 'sign' => '1', 'secret' => 'short' ] )['success'] );
+    }
+
+    public function test_credentials_are_write_only_and_kept_when_blank(): void {
+        $id = $this->save( [ 'auth_type' => 'bearer', 'auth_token' => 'tok-123', 'sign' => '1', 'secret' => str_repeat( 'k', 16 ) ] );
+
+        $listed = $this->listed( $id );
+        $this->assertTrue( $listed['has_auth'] );
+        $this->assertTrue( $listed['has_secret'] );
+        $this->assertStringNotContainsString( 'tok-123', (string) wp_json_encode( $listed ) );
+
+        // Saving again with the fields blank keeps both.
+        $this->save( [ 'id' => $id, 'auth_type' => 'bearer', 'sign' => '1' ] );
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+
+        $headers = $this->requests[0][1]['headers'];
+        $this->assertSame( 'Bearer tok-123', $headers['Authorization'] );
+        $this->assertSame( 'sha256=' . hash_hmac( 'sha256', $headers['X-WPT-Timestamp'] . '.' . $this->requests[0][1]['body'], str_repeat( 'k', 16 ) ), $headers['X-WPT-Signature'] );
+
+        // A token does not carry over to basic auth.
+        $response = $this->call( 'wpt_webhook_save', [ 'id' => $id, 'name' => 'Zapier', 'url' => 'https://hooks.example.com/catch', 'event' => 'publish_post', 'auth_type' => 'basic', 'auth_user' => 'ops' ] );
+        $this->assertFalse( $response['success'] );
+
+        $this->save( [ 'id' => $id, 'auth_type' => 'basic', 'auth_user' => 'ops', 'auth_pass' => 'pw' ] );
+        $this->call( 'wpt_webhook_test', [ 'id' => $id ] );
+        $this->assertSame( 'Basic ' . base64_encode( 'ops:pw' ), $this->requests[1][1]['headers']['Authorization'] );
+    }
+
+    // ── Validation ────────────────────────────────────────────
+
+    public function test_save_rejects_bad_urls_events_and_headers(): void {
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'ftp://example.com', 'event' => 'publish_post' ] )['success'] );
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'https://example.com', 'event' => 'init' ] )['success'] );
+        $this->assertFalse( $this->call( 'wpt_webhook_save', [ 'name' => 'x', 'url' => 'https://example.com', 'event' => 'publish_post', 'headers' => '[1,' ] )['success'] );
+    }
+
+    // ── Permissions ───────────────────────────────────────────
+
+    public function test_deliveries_require_manage_options(): void {
+        $id = $this->save();
+        $this->_setRole( 'editor' );
+
+        $response = $this->call( 'wpt_webhook_deliveries', [ 'id' => $id ] );
+
+        $this->assertFalse( $response['success'] );
+    }
+}
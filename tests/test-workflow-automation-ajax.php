@@ -0,0 +1,589 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * PHPUnit tests for Workflow_Automation AJAX entry points.
+ *
+ * Tests the dry run the rule builder's "Test rule" panel relies on: the
+ * unsaved rule is evaluated by the same code as live runs, and condition
+ * rows come back with the `ref` the builder sent. Also covers the library
+ * actions and the capability checks made against the rule's author, and
+ * inbound endpoints, whose signed requests are dispatched through the
+ * REST server, and scheduled rules with the cron events they book.
+ *
+ * @package WPTransformed
+ */
+
+use WPTransformed\Modules\Utilities\Workflow_Automation;
+
+class Test_Workflow_Automation_Ajax extends WP_Ajax_UnitTestCase {
+
+    /**
+     * Module instance.
+     *
+     * @var Workflow_Automation
+     */
+    private Workflow_Automation $module;
+
+    /**
+     * Set up each test.
+     */
+    public function setUp(): void {
+        parent::setUp();
+        $this->module = new Workflow_Automation();
+        $this->module->init();
+        $this->_setRole( 'administrator' );
+
+        // A fresh server fires rest_api_init, registering the receiver.
+        $GLOBALS['wp_rest_server'] = null;
+    }
+
+    /**
+     * Call an AJAX action and return the decoded JSON response.
+     *
+     * @param string $action AJAX action without the wp_ajax_ prefix.
+     * @param array  $post   Request fields besides the nonce.
+     * @return array
+     */
+    private function call( string $action, array $post ): array {
+        $_POST = array_merge( [ 'nonce' => wp_create_nonce( 'wpt_automation_nonce' ) ], $post );
+
+        try {
+            $this->_handleAjax( $action );
+        } catch ( WPAjaxDieContinueException $e ) {
+            // Expected: wp_send_json_* ends the request.
+        }
+
+        $response             = json_decode( $this->_last_response, true );
+        $this->_last_response = '';
+
+        return is_array( $response ) ? $response : [];
+    }
+
+    /**
+     * Dry-run a rule against a payload.
+     *
+     * @param array $conditions Condition group.
+     * @param array $steps      Steps.
+     * @param array $payload    Sample payload.
+     * @return array
+     */
+    private function test_rule( array $conditions, array $steps, array $payload ): array {
+        return $this->call( 'wpt_automation_test_rule', [
+            'trigger_hook' => 'publish_post',
+            'conditions'   => wp_json_encode( $conditions ),
+            'actions'      => wp_json_encode( $steps ),
+            'payload'      => wp_json_encode( $payload ),
+        ] );
+    }
+
+    /**
+     * Whether one condition passes against a payload.
+     *
+     * @param string $field   Dotted field.
+     * @param string $op      Operator.
+     * @param string $value   Condition value.
+     * @param array  $payload Sample payload.
+     * @return bool|null
+     */
+    private function passes( string $field, string $op, string $value, array $payload ): ?bool {
+        $response = $this->test_rule( [ 'match' => 'all', 'items' => [ compact( 'field', 'op', 'value' ) ] ], [], $payload );
+
+        return $response['data']['outcome']['items'][0]['passed'];
+    }
+
+    // ── Operators ─────────────────────────────────────────────
+
+    public function test_text_operators(): void {
+        $payload = [ 'post' => [ 'title' => 'Hello World' ] ];
+
+        $this->assertTrue( $this->passes( 'post.title', '==', 'Hello World', $payload ) );
+        $this->assertTrue( $this->passes( 'post.title', 'contains', 'lo Wo', $payload ) );
+        $this->assertTrue( $this->passes( 'post.title', 'starts_with', 'Hello', $payload ) );
+        $this->assertTrue( $this->passes( 'post.title', 'ends_with', 'World', $payload ) );
+        $this->assertFalse( $this->passes( 'post.title', '!=', 'Hello World', $payload ) );
+    }
+
+    public function test_lists_match_any_element(): void {
+        $payload = [ 'post' => [ 'categories' => [ 'News', 'Tech' ] ] ];
+
+        $this->assertTrue( $this->passes( 'post.categories', '==', 'Tech', $payload ) );
+        $this->assertFalse( $this->passes( 'post.categories', 'not_contains', 'News', $payload ) );
+        $this->assertTrue( $this->passes( 'post.categories', '!=', 'Sport', $payload ) );
+    }
+
+    public function test_numeric_operators_read_leading_number(): void {
+        $payload = [ 'order' => [ 'total' => '120.50 EUR' ] ];
+
+        $this->assertTrue( $this->passes( 'order.total', '>', '100', $payload ) );
+        $this->assertTrue( $this->passes( 'order.total', '<=', '120.5', $payload ) );
+        $this->assertFalse( $this->passes( 'order.missing', '<', '100', $payload ) );
+    }
+
+    public function test_empty_operators(): void {
+        $payload = [ 'post' => [ 'tags' => [], 'excerpt' => '', 'title' => 'X' ] ];
+
+        $this->assertTrue( $this->passes( 'post.tags', 'empty', '', $payload ) );
+        $this->assertTrue( $this->passes( 'post.excerpt', 'empty', '', $payload ) );
+        $this->assertTrue( $this->passes( 'post.missing', 'empty', '', $payload ) );
+        $this->assertTrue( $this->passes( 'post.title', 'not_empty', '', $payload ) );
+    }
+
+    public function test_unknown_operator_is_null(): void {
+        $this->assertNull( $this->passes( 'post.title', 'matches', 'X', [ 'post' => [ 'title' => 'X' ] ] ) );
+    }
+
+    // ── Groups and Branches ───────────────────────────────────
+
+    public function test_nested_groups_keep_refs(): void {
+        $conditions = [
+            'match' => 'all',
+            'ref'   => 2,
+            'items' => [
+                [ 'field' => 'post.type', 'op' => '==', 'value' => 'post', 'ref' => 0 ],
+                [ 'match' => 'any', 'ref' => 1, 'items' => [
+                    [ 'field' => 'user.role', 'op' => '==', 'value' => 'editor', 'ref' => 3 ],
+                ] ],
+            ],
+        ];
+
+        $response = $this->test_rule( $conditions, [], [ 'post' => [ 'type' => 'post' ], 'user' => [ 'role' => 'author' ] ] );
+        $outcome  = $response['data']['outcome'];
+
+        $this->assertTrue( $response['success'] );
+        $this->assertFalse( $outcome['passed'] );
+        $this->assertSame( 2, $outcome['group']['ref'] );
+        $this->assertSame( 0, $outcome['items'][0]['condition']['ref'] );
+        $this->assertSame( 1, $outcome['items'][1]['group']['ref'] );
+        $this->assertSame( 'author', $outcome['items'][1]['items'][0]['actual'] );
+        $this->assertSame( [], $response['data']['steps'] );
+    }
+
+    public function test_branch_trace_follows_the_arm_taken(): void {
+        $steps = [
+            [
+                'type'       => 'branch',
+                'conditions' => [ 'match' => 'all', 'items' => [ [ 'field' => 'post.status', 'op' => '==', 'value' => 'publish' ] ] ],
+                'then'       => [ [ 'type' => 'clear_caches' ] ],
+                'else'       => [ [ 'type' => 'delay', 'amount' => 2, 'unit' => 'days' ], [ 'type' => 'set_meta', 'meta_key' => 'k', 'meta_value' => 'v' ] ],
+            ],
+        ];
+
+        $response = $this->test_rule( [ 'match' => 'all', 'items' => [] ], $steps, [ 'post' => [ 'id' => 1, 'status' => 'draft' ] ] );
+        $branch   = $response['data']['steps'][0];
+
+        $this->assertTrue( $response['data']['outcome']['passed'] );
+        $this->assertFalse( $branch['outcome']['passed'] );
+        $this->assertSame( [ 'delay', 'set_meta' ], wp_list_pluck( $branch['steps'], 'type' ) );
+
+        // Nothing ran.
+        $this->assertSame( '', get_post_meta( 1, 'k', true ) );
+    }
+
+    public function test_trace_renders_merge_tags_in_actions(): void {
+        $steps = [ [ 'type' => 'send_email', 'to' => '{{post.author.email}}', 'subject' => 'New: {{post.title|upper}}', 'body' => '{{post.categories|join:" / "}}' ] ];
+
+        $response = $this->test_rule( [ 'match' => 'all', 'items' => [] ], $steps, [
+            'post' => [ 'title' => 'Hello', 'author' => [ 'email' => 'jane@example.com' ], 'categories' => [ 'News', 'Tech' ] ],
+        ] );
+        $email = $response['data']['steps'][0];
+
+        $this->assertSame( 'jane@example.com', $email['to'] );
+        $this->assertSame( 'New: HELLO', $email['subject'] );
+        $this->assertSame( 'News / Tech', $email['body'] );
+    }
+
+    public function test_invalid_payload_is_rejected(): void {
+        $response = $this->call( 'wpt_automation_test_rule', [ 'conditions' => '[]', 'actions' => '[]', 'payload' => '{nope' ] );
+
+        $this->assertFalse( $response['success'] );
+    }
+
+    // ── Samples ───────────────────────────────────────────────
+
+    public function test_samples_use_live_payloads(): void {
+        $post_id = self::factory()->post->create( [ 'post_title' => 'Sample post' ] );
+
+        $response = $this->call( 'wpt_automation_get_samples', [ 'trigger_hook' => 'transition_post_status' ] );
+        $sample   = $response['data'][0];
+
+        $this->assertStringContainsString( 'Sample post', $sample['label'] );
+        $this->assertSame( $post_id, $sample['payload']['post']['id'] );
+        $this->assertSame( 'publish', $sample['payload']['new_status'] );
+    }
+
+    // ── Library Actions ───────────────────────────────────────
+
+    /**
+     * Run one action as a rule saved by $author would.
+     *
+     * @param array $action  Action step.
+     * @param array $payload Trigger payload.
+     * @param int   $author  User who saved the rule.
+     * @return array
+     */
+    private function run_action( array $action, array $payload, int $author ): array {
+        $method = new ReflectionMethod( Workflow_Automation::class, 'execute_action' );
+        $method->setAccessible( true );
+
+        return $method->invoke( $this->module, $action, $payload, $author );
+    }
+
+    public function test_save_keeps_library_fields_and_records_the_author(): void {
+        $response = $this->call( 'wpt_automation_save_rule', [
+            'name'         => 'Promote',
+            'trigger_hook' => 'user_register',
+            'conditions'   => '[]',
+            'actions'      => wp_json_encode( [ [ 'type' => 'change_user_role', 'user' => '{{user.id}}', 'mode' => 'bogus', 'role' => 'editor', 'extra' => 'x' ] ] ),
+        ] );
+
+        $rule = $this->call( 'wpt_automation_get_rule', [ 'rule_id' => $response['data']['rule_id'] ] )['data'];
+
+        $this->assertSame( [ [ 'type' => 'change_user_role', 'user' => '{{user.id}}', 'mode' => 'set', 'role' => 'editor' ] ], $rule['actions'] );
+
+        global $wpdb;
+        $author = (int) $wpdb->get_var( $wpdb->prepare( "SELECT author_id FROM {$wpdb->prefix}wpt_automation_rules WHERE id = %d", $response['data']['rule_id'] ) );
+        $this->assertSame( get_current_user_id(), $author );
+    }
+
+    public function test_save_requires_library_fields(): void {
+        $response = $this->call( 'wpt_automation_save_rule', [
+            'name'         => 'Snippet',
+            'trigger_hook' => 'publish_post',
+            'conditions'   => '[]',
+            'actions'      => wp_json_encode( [ [ 'type' => 'run_snippet', 'snippet' => '' ] ] ),
+        ] );
+
+        $this->assertFalse( $response['success'] );
+    }
+
+    public function test_change_user_role_needs_an_author_who_may_promote(): void {
+        $admin = self::factory()->user->create( [ 'role' => 'administrator' ] );
+        $user  = self::factory()->user->create( [ 'role' => 'subscriber' ] );
+        $step  = [ 'type' => 'change_user_role', 'user' => (string) $user, 'mode' => 'set', 'role' => 'author' ];
+
+        $denied = $this->run_action( $step, [], self::factory()->user->create( [ 'role' => 'editor' ] ) );
+        $this->assertFalse( $denied['success'] );
+        $this->assertSame( [ 'subscriber' ], get_userdata( $user )->roles );
+
+        $this->assertTrue( $this->run_action( $step, [], $admin )['success'] );
+        $this->assertSame( [ 'author' ], array_values( get_userdata( $user )->roles ) );
+    }
+
+    public function test_update_post_checks_the_author_before_writing(): void {
+        $admin   = self::factory()->user->create( [ 'role' => 'administrator' ] );
+        $writer  = self::factory()->user->create( [ 'role' => 'author' ] );
+        $post_id = self::factory()->post->create( [ 'post_status' => 'draft', 'post_author' => $admin ] );
+        $term_id = self::factory()->category->create( [ 'name' => 'Featured' ] );
+        $step    = [ 'type' => 'update_post', 'post' => (string) $post_id, 'status' => 'publish', 'author' => '', 'taxonomy' => 'category', 'terms' => 'featured', 'terms_mode' => 'append' ];
+
+        // An author cannot edit someone else's post.
+        $this->assertFalse( $this->run_action( $step, [], $writer )['success'] );
+        $this->assertSame( 'draft', get_post_status( $post_id ) );
+
+        $this->assertTrue( $this->run_action( $step, [], $admin )['success'] );
+        $this->assertSame( 'publish', get_post_status( $post_id ) );
+        $this->assertContains( $term_id, wp_get_post_categories( $post_id ) );
+
+        $unknown = $this->run_action( array_merge( $step, [ 'terms' => 'Nope' ] ), [], $admin );
+        $this->assertFalse( $unknown['success'] );
+        $this->assertStringContainsString( 'Nope', $unknown['message'] );
+    }
+
+    public function test_schedule_event_takes_a_json_array(): void {
+        $admin = self::factory()->user->create( [ 'role' => 'administrator' ] );
+        $step  = [ 'type' => 'schedule_event', 'hook' => 'my_followup', 'args' => '[5, "x"]', 'delay' => 2, 'delay_unit' => 'hours' ];
+
+        $this->assertTrue( $this->run_action( $step, [], $admin )['success'] );
+        $this->assertNotFalse( wp_next_scheduled( 'my_followup', [ 5, 'x' ] ) );
+
+        $this->assertFalse( $this->run_action( array_merge( $step, [ 'args' => '{"a":1}' ] ), [], $admin )['success'] );
+    }
+
+    public function test_admin_notice_is_shown_once(): void {
+        $admin = self::factory()->user->create( [ 'role' => 'administrator' ] );
+        $user  = self::factory()->user->create( [ 'role' => 'editor' ] );
+        $step  = [ 'type' => 'admin_notice', 'level' => 'warning', 'audience' => 'trigger_user', 'message' => 'Check <this>', 'dismissible' => true ];
+
+        $this->assertTrue( $this->run_action( $step, [ 'user' => [ 'id' => $user ] ], $admin )['success'] );
+
+        wp_set_current_user( $user );
+        ob_start();
+        $this->module->render_notices();
+        $html = (string) ob_get_clean();
+
+        $this->assertStringContainsString( 'notice-warning is-dismissible', $html );
+        $this->assertStringContainsString( 'Check &lt;this&gt;', $html );
+
+        ob_start();
+        $this->module->render_notices();
+        $this->assertSame( '', ob_get_clean() );
+    }
+
+    public function test_set_meta_needs_an_admin_author_and_refuses_guarded_keys(): void {
+        global $wpdb;
+
+        $admin   = self::factory()->user->create( [ 'role' => 'administrator' ] );
+        $user    = self::factory()->user->create( [ 'role' => 'subscriber' ] );
+        $payload = [ 'user' => [ 'id' => $user ] ];
+        $step    = [ 'type' => 'set_meta', 'meta_key' => 'crm_id', 'meta_value' => '42' ];
+
+        $this->assertFalse( $this->run_action( $step, $payload, self::factory()->user->create( [ 'role' => 'editor' ] ) )['success'] );
+        $this->assertSame( '', get_user_meta( $user, 'crm_id', true ) );
+
+        $this->assertTrue( $this->run_action( $step, $payload, $admin )['success'] );
+        $this->assertSame( '42', get_user_meta( $user, 'crm_id', true ) );
+
+        foreach ( [ $wpdb->prefix . 'capabilities', $wpdb->prefix . 'user_level', $wpdb->base_prefix . '2_capabilities', '_secret' ] as $key ) {
+            $result = $this->run_action( [ 'type' => 'set_meta', 'meta_key' => $key, 'meta_value' => 'a:1:{s:13:"administrator";b:1;}' ], $payload, $admin );
+            $this->assertFalse( $result['success'], $key );
+        }
+        $this->assertSame( [ 'subscriber' ], get_userdata( $user )->roles );
+        $this->assertSame( '', get_user_meta( $user, '_secret', true ) );
+    }
+
+    public function test_privileged_actions_refuse_rules_without_an_author(): void {
+        $result = $this->run_action( [ 'type' => 'schedule_event', 'hook' => 'my_followup', 'args' => '', 'delay' => 1, 'delay_unit' => 'hours' ], [], 0 );
+
+        $this->assertFalse( $result['success'] );
+        $this->assertFalse( wp_next_scheduled( 'my_followup' ) );
+    }
+
+    // ── Inbound Webhooks ──────────────────────────────────────
+
+    /**
+     * Create an endpoint and return it with its secret.
+     *
+     * @param string $name Endpoint name.
+     * @return array{0: array, 1: string}
+     */
+    private function create_endpoint( string $name ): array {
+        $data = $this->call( 'wpt_automation_inbound_save', [ 'name' => $name ] )['data'];
+
+        return [ $data['endpoint'], $data['secret'] ];
+    }
+
+    /**
+     * POST a body to an endpoint, signed with a secret.
+     *
+     * @param string   $slug   Endpoint slug.
+     * @param string   $body   Raw body.
+     * @param string   $secret Signing secret.
+     * @param int|null $time   Signature timestamp; now by default.
+     * @return WP_REST_Response
+     */
+    private function receive( string $slug, string $body, string $secret, ?int $time = null ): WP_REST_Response {
+        $time    = $time ?? time();
+        $request = new WP_REST_Request( 'POST', '/wptransformed/v1/inbound/' . $slug );
+        $request->set_body( $body );
+        $request->set_header( 'X-WPT-Timestamp', (string) $time );
+        $request->set_header( 'X-WPT-Signature', 'sha256=' . hash_hmac( 'sha256', $time . '.' . $body, $secret ) );
+
+        return rest_get_server()->dispatch( $request );
+    }
+
+    public function test_signed_request_runs_rules_with_its_payload(): void {
+        [ $endpoint, $secret ] = $this->create_endpoint( 'CRM contact' );
+        $_SERVER['REMOTE_ADDR'] = '203.0.113.7';
+
+        $saved = $this->call( 'wpt_automation_save_rule', [
+            'name'         => 'Welcome pro customers',
+            'trigger_hook' => 'wpt_inbound_' . $endpoint['slug'],
+            'conditions'   => wp_json_encode( [ [ 'field' => 'payload.customer.plan', 'op' => '==', 'value' => 'pro' ] ] ),
+            'actions'      => wp_json_encode( [ [ 'type' => 'send_email', 'to' => '{{payload.customer.email}}', 'subject' => 'From {{inbound.endpoint}}', 'body' => '{{inbound.ip}}' ] ] ),
+        ] );
+        $this->assertTrue( $saved['success'] );
+
+        $pro  = $this->receive( $endpoint['slug'], '{"customer":{"email":"pro@example.com","plan":"pro"}}', $secret );
+        $free = $this->receive( $endpoint['slug'], '{"customer":{"email":"free@example.com","plan":"free"}}', $secret );
+
+        $this->assertSame( 200, $pro->get_status() );
+        $this->assertSame( 1, $pro->get_data()['rules_run'] );
+        $this->assertSame( 0, $free->get_data()['rules_run'] );
+
+        $run = $this->call( 'wpt_automation_get_log', [] )['data'][0];
+        $this->assertSame( 'wpt_inbound_' . $endpoint['slug'], $run['trigger'] );
+        $this->assertStringContainsString( 'pro@example.com', $run['results'][0]['message'] );
+
+        $listed = $this->call( 'wpt_automation_inbound_list', [] )['data']['endpoints'][0];
+        $this->assertSame( 2, $listed['received'] );
+        $this->assertSame( 'free', $listed['sample']['customer']['plan'] );
+        $this->assertStringContainsString( '/wptransformed/v1/inbound/' . $endpoint['slug'], $listed['url'] );
+        $this->assertArrayNotHasKey( 'secret', $listed );
+
+        $log = $this->call( 'wpt_automation_inbound_log', [ 'id' => $endpoint['id'], 'page' => 1 ] )['data'];
+        $this->assertSame( [ 'accepted', 'accepted' ], wp_list_pluck( $log['requests'], 'status' ) );
+        $this->assertSame( [ 0, 1 ], wp_list_pluck( $log['requests'], 'rules_run' ) );
+        $this->assertSame( '203.0.113.7', $log['requests'][0]['ip'] );
+    }
+
+    public function test_unsigned_stale_and_malformed_requests_are_rejected_and_logged(): void {
+        [ $endpoint, $secret ] = $this->create_endpoint( 'CRM' );
+        $slug = $endpoint['slug'];
+
+        $this->assertSame( 401, $this->receive( $slug, '{}', 'not-the-secret' )->get_status() );
+        $this->assertSame( 401, $this->receive( $slug, '{}', $secret, time() - HOUR_IN_SECONDS )->get_status() );
+        $this->assertSame( 400, $this->receive( $slug, 'name=x', $secret )->get_status() );
+        $this->assertSame( 404, $this->receive( 'nosuchendpoint', '{}', $secret )->get_status() );
+
+        $log = $this->call( 'wpt_automation_inbound_log', [ 'id' => $endpoint['id'], 'page' => 1 ] )['data'];
+        $this->assertSame( [ 'rejected', 'rejected', 'rejected' ], wp_list_pluck( $log['requests'], 'status' ) );
+        $this->assertSame( 'name=x', $log['requests'][0]['body'] );
+        $this->assertSame( 0, $this->call( 'wpt_automation_inbound_list', [] )['data']['endpoints'][0]['received'] );
+
+        // A new secret replaces the old one.
+        $rotated = $this->call( 'wpt_automation_inbound_rotate', [ 'id' => $endpoint['id'] ] )['data']['secret'];
+        $this->assertSame( 401, $this->receive( $slug, '{}', $secret )->get_status() );
+        $this->assertSame( 200, $this->receive( $slug, '{}', $rotated )->get_status() );
+    }
+
+    public function test_a_signed_request_is_accepted_once(): void {
+        [ $endpoint, $secret ] = $this->create_endpoint( 'CRM' );
+        $rule = [ 'name' => 'Count', 'trigger_hook' => 'wpt_inbound_' . $endpoint['slug'], 'conditions' => '[]', 'actions' => wp_json_encode( [ [ 'type' => 'clear_caches' ] ] ) ];
+        $this->assertTrue( $this->call( 'wpt_automation_save_rule', $rule )['success'] );
+
+        $time   = time();
+        $first  = $this->receive( $endpoint['slug'], '{"n":1}', $secret, $time );
+        $replay = $this->receive( $endpoint['slug'], '{"n":1}', $secret, $time );
+        $next   = $this->receive( $endpoint['slug'], '{"n":1}', $secret, $time + 1 );
+
+        $this->assertSame( [ 200, 401, 200 ], [ $first->get_status(), $replay->get_status(), $next->get_status() ] );
+        $this->assertSame( 2, $this->call( 'wpt_automation_inbound_list', [] )['data']['endpoints'][0]['received'] );
+
+        $log = $this->call( 'wpt_automation_inbound_log', [ 'id' => $endpoint['id'], 'page' => 1 ] )['data'];
+        $this->assertSame( [ 'accepted', 'rejected', 'accepted' ], wp_list_pluck( $log['requests'], 'status' ) );
+    }
+
+    public function test_endpoints_are_triggers_until_deleted(): void {
+        [ $endpoint, $secret ] = $this->create_endpoint( 'Orders' );
+        $hook = 'wpt_inbound_' . $endpoint['slug'];
+        $rule = [ 'name' => 'Order', 'trigger_hook' => $hook, 'conditions' => '[]', 'actions' => wp_json_encode( [ [ 'type' => 'clear_caches' ] ] ) ];
+
+        $this->assertFalse( $this->call( 'wpt_automation_save_rule', array_merge( $rule, [ 'trigger_hook' => 'wpt_inbound_nosuchendpoint' ] ) )['success'] );
+        $this->assertTrue( $this->call( 'wpt_automation_save_rule', $rule )['success'] );
+
+        $this->receive( $endpoint['slug'], '{"order":{"total":42}}', $secret );
+        $sample = $this->call( 'wpt_automation_get_samples', [ 'trigger_hook' => $hook ] )['data'][0]['payload'];
+        $this->assertSame( 42, $sample['payload']['order']['total'] );
+        $this->assertSame( 'Orders', $sample['inbound']['endpoint'] );
+
+        $this->assertTrue( $this->call( 'wpt_automation_inbound_delete', [ 'id' => $endpoint['id'] ] )['success'] );
+        $this->assertSame( 404, $this->receive( $endpoint['slug'], '{}', $secret )->get_status() );
+        $this->assertFalse( $this->call( 'wpt_automation_save_rule', $rule )['success'] );
+        $this->assertSame( [], $this->call( 'wpt_automation_inbound_list', [] )['data']['endpoints'] );
+    }
+
+    // ── Schedules ─────────────────────────────────────────────
+
+    /**
+     * Save a rule triggered by a schedule.
+     *
+     * @param array|null $schedule Schedule, or null to send none.
+     * @param array      $steps    Steps.
+     * @return array Response.
+     */
+    private function save_scheduled( ?array $schedule, array $steps = [ [ 'type' => 'clear_caches' ] ] ): array {
+        return $this->call( 'wpt_automation_save_rule', [
+            'name'         => 'Daily digest',
+            'trigger_hook' => 'wpt_schedule',
+            'conditions'   => '[]',
+            'actions'      => wp_json_encode( $steps ),
+            'schedule'     => $schedule === null ? '' : wp_json_encode( $schedule ),
+        ] );
+    }
+
+    /**
+     * The first run of a schedule after a UTC time, as "Y-m-d H:i" UTC.
+     *
+     * @param array  $schedule Schedule.
+     * @param string $after    UTC date and time.
+     * @return string
+     */
+    private function next_run( array $schedule, string $after ): string {
+        $method = new ReflectionMethod( Workflow_Automation::class, 'next_run' );
+        $method->setAccessible( true );
+
+        return gmdate( 'Y-m-d H:i', (int) $method->invoke( $this->module, $schedule, strtotime( $after . ' UTC' ) ) );
+    }
+
+    public function test_next_run_follows_the_wall_clock_of_the_timezone(): void {
+        // Thursday 15 January 2026; New York is UTC-5 in winter.
+        $this->assertSame( '2026-01-19 14:00', $this->next_run( [ 'mode' => 'weekly', 'time' => '09:00', 'days' => [ 1 ], 'timezone' => 'America/New_York' ], '2026-01-15 12:00' ) );
+
+        // Berlin moves to summer time overnight, so 09:00 is 07:00 UTC.
+        $this->assertSame( '2026-03-29 07:00', $this->next_run( [ 'mode' => 'daily', 'time' => '09:00', 'timezone' => 'Europe/Berlin' ], '2026-03-28 10:00' ) );
+
+        $this->assertSame( '2026-01-15 03:30', $this->next_run( [ 'mode' => 'daily', 'time' => '09:00', 'timezone' => 'UTC+5.5' ], '2026-01-15 00:00' ) );
+        $this->assertSame( '2026-01-15 00:15', $this->next_run( [ 'mode' => 'interval', 'every' => 15, 'unit' => 'minutes', 'timezone' => 'UTC' ], '2026-01-15 00:00' ) );
+        $this->assertSame( '2028-02-29 00:00', $this->next_run( [ 'mode' => 'cron', 'cron' => '0 0 29 2 *', 'timezone' => 'UTC' ], '2026-01-01 00:00' ) );
+
+        // A restricted day and weekday match either one.
+        $this->assertSame( '2026-02-06 12:00', $this->next_run( [ 'mode' => 'cron', 'cron' => '0 12 13 * fri', 'timezone' => 'UTC' ], '2026-02-01 00:00' ) );
+    }
+
+    public function test_saving_a_scheduled_rule_books_its_next_run(): void {
+        $schedule = [ 'mode' => 'daily', 'time' => '9:00', 'timezone' => 'UTC' ];
+        $id       = $this->save_scheduled( $schedule )['data']['rule_id'];
+
+        $expected = strtotime( gmdate( 'Y-m-d' ) . ' 09:00:00 UTC' );
+        if ( $expected <= time() ) {
+            $expected += DAY_IN_SECONDS;
+        }
+
+        $this->assertSame( $expected, wp_next_scheduled( 'wpt_automation_scheduled', [ $id ] ) );
+        $this->assertSame( '09:00', $this->call( 'wpt_automation_get_rule', [ 'rule_id' => $id ] )['data']['schedule']['time'] );
+
+        $details = apply_filters( 'wpt_cron_event_details', [], 'wpt_automation_scheduled', [ $id ] );
+        $this->assertSame( 'Rule: Daily digest', $details['label'] );
+        $this->assertSame( 'Daily at 09:00 (UTC)', $details['schedule'] );
+
+        $this->call( 'wpt_automation_toggle_rule', [ 'rule_id' => $id ] );
+        $this->assertFalse( wp_next_scheduled( 'wpt_automation_scheduled', [ $id ] ) );
+
+        $this->call( 'wpt_automation_toggle_rule', [ 'rule_id' => $id ] );
+        $this->assertSame( $expected, wp_next_scheduled( 'wpt_automation_scheduled', [ $id ] ) );
+
+        $this->call( 'wpt_automation_delete_rule', [ 'rule_id' => $id ] );
+        $this->assertFalse( wp_next_scheduled( 'wpt_automation_scheduled', [ $id ] ) );
+    }
+
+    public function test_incomplete_schedules_are_rejected(): void {
+        $this->assertFalse( $this->save_scheduled( null )['success'] );
+        $this->assertFalse( $this->save_scheduled( [ 'mode' => 'weekly', 'time' => '09:00', 'days' => [], 'timezone' => 'UTC' ] )['success'] );
+        $this->assertFalse( $this->save_scheduled( [ 'mode' => 'cron', 'cron' => '61 * * * *', 'timezone' => 'UTC' ] )['success'] );
+        $this->assertFalse( $this->save_scheduled( [ 'mode' => 'cron', 'cron' => '0 0 31 2 *', 'timezone' => 'UTC' ] )['success'] );
+        $this->assertFalse( $this->save_scheduled( [ 'mode' => 'daily', 'time' => '09:00', 'timezone' => 'Mars/Olympus' ] )['success'] );
+    }
+
+    public function test_scheduled_run_sees_the_schedule_and_books_the_next(): void {
+        reset_phpmailer_instance();
+
+        $id = $this->save_scheduled(
+            [ 'mode' => 'interval', 'every' => 30, 'unit' => 'minutes', 'timezone' => 'UTC' ],
+            [ [ 'type' => 'send_email', 'to' => 'ops@example.com', 'subject' => '{{schedule.description}}', 'body' => 'Run at {{schedule.run_at}}' ] ]
+        )['data']['rule_id'];
+
+        $this->module->run_scheduled( $id );
+
+        $this->assertSame( 'Every 30 minutes (UTC)', tests_retrieve_phpmailer_instance()->get_sent()->subject );
+        $this->assertSame( 'wpt_schedule', $this->call( 'wpt_automation_get_log', [] )['data'][0]['trigger'] );
+        $this->assertEqualsWithDelta( time() + 30 * MINUTE_IN_SECONDS, wp_next_scheduled( 'wpt_automation_scheduled', [ $id ] ), 5 );
+    }
+
+    // ── Permissions ───────────────────────────────────────────
+
+    public function test_test_rule_requires_manage_options(): void {
+        $this->_setRole( 'editor' );
+
+        $response = $this->test_rule( [ 'match' => 'all', 'items' => [] ], [], [] );
+
+        $this->assertFalse( $response['success'] );
+    }
+
+    public function test_inbound_endpoints_require_manage_options(): void {
+        $this->_setRole( 'editor' );
+
+        $this->assertFalse( $this->call( 'wpt_automation_inbound_save', [ 'name' => 'CRM' ] )['success'] );
+        $this->assertFalse( $this->call( 'wpt_automation_inbound_list', [] )['success'] );
+    }
+}